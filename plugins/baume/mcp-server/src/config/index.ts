@@ -11,3 +11,5 @@ export {
   type StorageConfig,
   type S3Config,
 } from './storage.js';
+
+export { getPluginSpecifiers, loadRulePlugins } from './plugins.js';
@@ -0,0 +1,30 @@
+/**
+ * Rule Plugin Configuration
+ *
+ * Loads the baume rule plugins listed in BAUME_PLUGINS (comma-separated
+ * package names or module paths, resolved from the working directory).
+ */
+
+import { loadPlugins } from '@getlarge/baume-reviewer';
+
+/**
+ * Get the plugin specifiers from environment variables.
+ */
+export function getPluginSpecifiers(): string[] {
+  return (process.env['BAUME_PLUGINS'] ?? '')
+    .split(',')
+    .map((specifier) => specifier.trim())
+    .filter(Boolean);
+}
+
+let plugins: ReturnType<typeof loadPlugins> | undefined;
+
+/**
+ * Load the configured plugins once per thread.
+ *
+ * The registry holds the built-in rules plus the plugin rules and presets.
+ */
+export function loadRulePlugins(): ReturnType<typeof loadPlugins> {
+  plugins ??= loadPlugins(getPluginSpecifiers());
+  return plugins;
+}
@@ -217,6 +217,14 @@ export const ListRulesInputSchema = Type.Object({
 });
 export type ListRulesInput = Static<typeof ListRulesInputSchema>;
 
+export const RuleOptionInfoSchema = Type.Object({
+  type: Type.String({
+    description: 'Option type (e.g., integer, list of strings)',
+  }),
+  description: Type.String(),
+  default: Type.Optional(Type.Unknown()),
+});
+
 export const RuleInfoSchema = Type.Object({
   id: Type.String(),
   name: Type.String(),
@@ -224,6 +232,12 @@ export const RuleInfoSchema = Type.Object({
   severity: SeveritySchema,
   category: Type.String(),
   description: Type.String(),
+  options: Type.Optional(
+    Type.Record(Type.String(), RuleOptionInfoSchema, {
+      description:
+        'Options settable in config under rules.<id>.options, with their defaults',
+    })
+  ),
 });
 
 export const ListRulesOutputSchema = Type.Object({
@@ -5,10 +5,11 @@
  * Adapted for @getlarge/fastify-mcp HandlerContext.
  */
 
-import { defaultRegistry } from '@getlarge/baume-reviewer';
+import { describeOptionType } from '@getlarge/baume-reviewer';
 import type { RuleCategory } from '@getlarge/baume-reviewer/types';
 import type { CallToolResult } from '@getlarge/fastify-mcp';
 
+import { loadRulePlugins } from '../../config/plugins.js';
 import type { ListRulesInput, ListRulesOutput } from '../../schemas/index.js';
 
 /**
@@ -18,12 +19,13 @@ export async function executeListRules(
   params: ListRulesInput
 ): Promise<CallToolResult> {
   const { aip, category } = params;
-  let rules = defaultRegistry.getAll();
+  const { registry } = await loadRulePlugins();
+  let rules = registry.getAll();
 
   if (aip !== undefined) {
-    rules = defaultRegistry.getByAip(aip);
+    rules = registry.getByAip(aip);
   } else if (category) {
-    rules = defaultRegistry.getByCategory(category as RuleCategory);
+    rules = registry.getByCategory(category as RuleCategory);
   }
 
   const ruleInfo: ListRulesOutput['rules'] = rules.map((r) => ({
@@ -33,6 +35,18 @@ export async function executeListRules(
     severity: r.severity,
     category: r.category,
     description: r.description,
+    ...(Object.keys(r.optionsSchema).length > 0 && {
+      options: Object.fromEntries(
+        Object.entries(r.optionsSchema).map(([name, option]) => [
+          name,
+          {
+            type: describeOptionType(option),
+            description: option.description,
+            default: option.default,
+          },
+        ])
+      ),
+    }),
   }));
 
   const output: ListRulesOutput = { rules: ruleInfo, count: ruleInfo.length };
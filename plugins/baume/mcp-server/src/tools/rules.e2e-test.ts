@@ -69,6 +69,27 @@ describe('Rule Discovery E2E', () => {
       assert.ok(firstRule.severity, 'Rule should have severity');
       assert.ok(firstRule.description, 'Rule should have description');
     });
+
+    test('includes configurable rule options with defaults', async () => {
+      const response = await client.callTool('baume-list-rules', {
+        category: 'pagination',
+      });
+
+      const content = client.parseTextContent(response);
+      const rules = content?.rules as Array<{
+        id: string;
+        options?: Record<string, { type: string; default?: unknown }>;
+      }>;
+      const listPaginated = rules.find((r) => r.id === 'aip158/list-paginated');
+
+      assert.ok(listPaginated?.options, 'Should list options');
+      assert.equal(listPaginated.options.pageSizeNames.type, 'list of strings');
+      assert.deepEqual(listPaginated.options.pageSizeNames.default, [
+        'page_size',
+        'pageSize',
+        'limit',
+      ]);
+    });
   });
 
   describe('baume-get-info', () => {
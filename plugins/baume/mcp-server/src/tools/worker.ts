@@ -11,10 +11,13 @@ import { parse as parseYaml } from 'yaml';
 import {
   OpenAPIReviewer,
   OpenAPIFixer,
+  SourceMap,
+  addSourceLocations,
   formatJSON,
 } from '@getlarge/baume-reviewer';
 import type { RuleCategory, Finding } from '@getlarge/baume-reviewer/types';
 import type { WorkerTask, WorkerResult } from './worker-pool.js';
+import { loadRulePlugins } from '../config/plugins.js';
 
 interface ReviewPayload {
   strict?: boolean;
@@ -58,25 +61,31 @@ function parseSpecFromBuffer(
   return { spec, rawText: text };
 }
 
-function handleReview(
+async function handleReview(
   payload: ReviewPayload,
   spec: Record<string, unknown>,
   sourcePath: string,
   rawText: string
-): WorkerResult {
+): Promise<WorkerResult> {
   try {
     const { strict, lenient, categories, skipRules } = payload;
 
     // Generate reviewId from raw spec content
     const reviewId = generateReviewId(rawText);
 
+    // Built-in rules plus the rules of plugins listed in BAUME_PLUGINS
+    const { registry } = await loadRulePlugins();
+
     const reviewer = new OpenAPIReviewer({
       strict,
       categories: categories as RuleCategory[] | undefined,
       skipRules,
+      registry,
     });
 
     const result = reviewer.review(spec, sourcePath);
+    // Line and column of each finding in the reviewed text
+    addSourceLocations(result, new SourceMap(sourcePath, rawText));
     const parsedResult = JSON.parse(formatJSON(result));
 
     // Add lenient mode flag to metadata if used
@@ -153,7 +162,7 @@ function handleApplyFixes(
  * @see https://nodejs.org/api/worker_threads.html#workerpostmessagevalue-transferlist
  * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/SharedArrayBuffer
  */
-parentPort?.on('message', (task: WorkerTask) => {
+parentPort?.on('message', async (task: WorkerTask) => {
   let result: WorkerResult;
 
   try {
@@ -165,7 +174,7 @@ parentPort?.on('message', (task: WorkerTask) => {
 
     switch (task.type) {
       case 'review':
-        result = handleReview(
+        result = await handleReview(
           task.payload as ReviewPayload,
           spec,
           task.sourcePath,
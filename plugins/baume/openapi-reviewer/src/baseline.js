@@ -0,0 +1,203 @@
+// @ts-check
+/**
+ * Finding Baselines
+ *
+ * A baseline records the findings of a spec at one point in time so CI can
+ * fail on new findings only. Findings are matched by fingerprint: a hash of
+ * the rule ID, the logical location (`path`, and `jsonPath` without array
+ * indices) and the message with numbers and whitespace normalized. None of
+ * these depend on line numbers or on other parts of the spec, so a
+ * fingerprint survives unrelated edits, such as inserting or reordering
+ * parameters.
+ *
+ * @example
+ * ```js
+ * const baseline = createBaseline(reviewer.review(spec));
+ * // ...later
+ * const result = applyBaseline(reviewer.review(spec), baseline);
+ * const blocking = getNewFindings(result).filter((f) => f.severity === 'error');
+ * ```
+ *
+ * @module baseline
+ */
+
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').ReviewResult} ReviewResult
+ * @typedef {import('./types.ts').Baseline} Baseline
+ * @typedef {import('./types.ts').BaselineEntry} BaselineEntry
+ */
+
+/** Version of the baseline file format */
+export const BASELINE_VERSION = 1;
+
+/**
+ * Normalize a message so counts and spacing do not change its fingerprint
+ * @param {string} message
+ * @returns {string}
+ */
+export function normalizeMessage(message) {
+  return message.replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Compute the fingerprint of a finding
+ * @param {Finding} finding
+ * @returns {string} Hex digest
+ */
+export function fingerprintFinding(finding) {
+  return createHash('sha256')
+    .update(
+      [
+        finding.ruleId,
+        finding.path,
+        // Indices shift when other items are inserted or reordered
+        (finding.jsonPath ?? '').replace(/\[\d+\]/g, '[]'),
+        normalizeMessage(finding.message),
+      ].join('\0')
+    )
+    .digest('hex')
+    .slice(0, 32);
+}
+
+/**
+ * Create a baseline from a review result
+ *
+ * Entries are sorted so that regenerating the baseline for an unchanged
+ * spec produces an identical file.
+ *
+ * @param {ReviewResult} result
+ * @returns {Baseline}
+ */
+export function createBaseline(result) {
+  /** @type {Map<string, BaselineEntry>} */
+  const entries = new Map();
+
+  for (const finding of result.findings) {
+    const fingerprint = fingerprintFinding(finding);
+    const entry = entries.get(fingerprint);
+    if (entry) {
+      entry.count = (entry.count ?? 1) + 1;
+    } else {
+      entries.set(fingerprint, {
+        fingerprint,
+        ruleId: finding.ruleId,
+        path: finding.path,
+        message: finding.message,
+      });
+    }
+  }
+
+  return {
+    version: BASELINE_VERSION,
+    findings: [...entries.values()].sort(
+      (a, b) =>
+        a.ruleId.localeCompare(b.ruleId) ||
+        a.path.localeCompare(b.path) ||
+        a.fingerprint.localeCompare(b.fingerprint)
+    ),
+  };
+}
+
+/**
+ * Mark each finding of a result as new or known to the baseline
+ *
+ * A fingerprint recorded N times covers N findings; any further finding
+ * with the same fingerprint is new. The result is updated in place and
+ * `summary.baseline` gets the counts.
+ *
+ * @param {ReviewResult} result
+ * @param {Baseline} baseline
+ * @returns {ReviewResult} The same result
+ */
+export function applyBaseline(result, baseline) {
+  /** @type {Map<string, number>} Remaining budget per fingerprint */
+  const remaining = new Map(
+    baseline.findings.map((entry) => [entry.fingerprint, entry.count ?? 1])
+  );
+
+  let known = 0;
+  for (const finding of result.findings) {
+    const fingerprint = fingerprintFinding(finding);
+    const budget = remaining.get(fingerprint) ?? 0;
+    if (budget > 0) {
+      remaining.set(fingerprint, budget - 1);
+      finding.baseline = 'known';
+      known++;
+    } else {
+      finding.baseline = 'new';
+    }
+  }
+
+  let fixed = 0;
+  for (const budget of remaining.values()) {
+    fixed += budget;
+  }
+
+  result.summary.baseline = {
+    known,
+    new: result.findings.length - known,
+    fixed,
+  };
+
+  return result;
+}
+
+/**
+ * Findings that are not covered by the baseline (all of them without one)
+ * @param {ReviewResult} result
+ * @returns {Finding[]}
+ */
+export function getNewFindings(result) {
+  return result.findings.filter((f) => f.baseline !== 'known');
+}
+
+/**
+ * Read and validate a baseline file
+ * @param {string} baselinePath
+ * @returns {Baseline}
+ * @throws {Error} If the file cannot be read or is not a baseline
+ */
+export function loadBaseline(baselinePath) {
+  /** @type {unknown} */
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(baselinePath, 'utf-8'));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot read baseline ${baselinePath}: ${message}`);
+  }
+
+  const baseline = /** @type {Partial<Baseline> | null} */ (raw);
+  if (
+    typeof baseline !== 'object' ||
+    baseline === null ||
+    !Array.isArray(baseline.findings) ||
+    baseline.findings.some((entry) => typeof entry?.fingerprint !== 'string')
+  ) {
+    throw new Error(
+      `Invalid baseline ${baselinePath}: expected { version, findings: [{ fingerprint, ... }] }`
+    );
+  }
+  if (baseline.version !== BASELINE_VERSION) {
+    throw new Error(
+      `Unsupported baseline version ${baseline.version} in ${baselinePath} (expected ${BASELINE_VERSION})`
+    );
+  }
+
+  return /** @type {Baseline} */ (baseline);
+}
+
+/**
+ * Write a baseline file, creating its directory if needed
+ * @param {string} baselinePath
+ * @param {Baseline} baseline
+ */
+export function writeBaseline(baselinePath, baseline) {
+  mkdirSync(dirname(baselinePath), { recursive: true });
+  writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+}
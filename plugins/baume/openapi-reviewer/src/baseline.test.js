@@ -0,0 +1,243 @@
+// @ts-check
+/**
+ * Tests for finding baselines
+ * Run with: node --test src/baseline.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  applyBaseline,
+  createBaseline,
+  fingerprintFinding,
+  getNewFindings,
+  loadBaseline,
+  normalizeMessage,
+  writeBaseline,
+} from './baseline.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import { formatConsole, formatSARIF } from './formatters.js';
+
+/**
+ * @param {Record<string, unknown>} [extraPaths]
+ * @returns {any}
+ */
+function createSpec(extraPaths = {}) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Legacy', version: '1.0.0' },
+    paths: {
+      '/getUsers': { get: { responses: { 200: { description: 'OK' } } } },
+      '/users/{id}': { get: { responses: { 200: { description: 'OK' } } } },
+      ...extraPaths,
+    },
+  };
+}
+
+/**
+ * @param {Partial<import('./types.js').Finding>} overrides
+ * @returns {import('./types.js').Finding}
+ */
+function finding(overrides = {}) {
+  return {
+    ruleId: 'aip122/consistent-casing',
+    severity: 'warning',
+    category: 'naming',
+    path: '/userSettings',
+    message: "Inconsistent casing: 'userSettings' uses camelCase",
+    ...overrides,
+  };
+}
+
+describe('fingerprintFinding', () => {
+  it('ignores counts and whitespace in messages', () => {
+    assert.equal(
+      normalizeMessage('  Found 3 of  12 paths\n'),
+      'Found # of # paths'
+    );
+    assert.equal(
+      fingerprintFinding(finding({ message: 'Used by 3 operations' })),
+      fingerprintFinding(finding({ message: 'Used by 4  operations' }))
+    );
+  });
+
+  it('distinguishes rules, locations and messages', () => {
+    const base = fingerprintFinding(finding());
+    assert.notEqual(base, fingerprintFinding(finding({ ruleId: 'x/y' })));
+    assert.notEqual(base, fingerprintFinding(finding({ path: '/other' })));
+    assert.notEqual(base, fingerprintFinding(finding({ jsonPath: '$.x' })));
+    assert.notEqual(base, fingerprintFinding(finding({ message: 'Other' })));
+  });
+
+  it('does not depend on the position of array items', () => {
+    assert.equal(
+      fingerprintFinding(
+        finding({ jsonPath: "$.paths['/users'].get.parameters[2].schema" })
+      ),
+      fingerprintFinding(
+        finding({ jsonPath: "$.paths['/users'].get.parameters[0].schema" })
+      )
+    );
+  });
+
+  it('does not depend on severity', () => {
+    assert.equal(
+      fingerprintFinding(finding()),
+      fingerprintFinding(finding({ severity: 'error' }))
+    );
+  });
+});
+
+describe('applyBaseline', () => {
+  const reviewer = new OpenAPIReviewer();
+
+  it('marks every finding as known against its own baseline', () => {
+    const baseline = createBaseline(reviewer.review(createSpec()));
+    const result = applyBaseline(reviewer.review(createSpec()), baseline);
+
+    assert.ok(result.findings.length > 0);
+    assert.ok(result.findings.every((f) => f.baseline === 'known'));
+    assert.deepEqual(getNewFindings(result), []);
+    assert.deepEqual(result.summary.baseline, {
+      known: result.findings.length,
+      new: 0,
+      fixed: 0,
+    });
+  });
+
+  it('survives unrelated edits and reports new and fixed findings', () => {
+    const baseline = createBaseline(reviewer.review(createSpec()));
+
+    const edited = createSpec({
+      '/getOrders': { get: { responses: { 200: { description: 'OK' } } } },
+    });
+    edited.info.description = 'Now documented';
+    delete edited.paths['/users/{id}'];
+
+    const result = applyBaseline(reviewer.review(edited), baseline);
+    const newPaths = new Set(getNewFindings(result).map((f) => f.path));
+
+    assert.ok(newPaths.has('/getOrders'));
+    assert.ok(![...newPaths].some((p) => p.includes('/getUsers')));
+    assert.ok(result.summary.baseline && result.summary.baseline.fixed > 0);
+  });
+
+  it('survives parameters inserted before a finding', () => {
+    const pageSize = {
+      name: 'page_size',
+      in: 'query',
+      schema: { type: 'integer' },
+    };
+    // Findings of webhooks point at their element with a jsonPath
+    const spec = {
+      ...createSpec(),
+      openapi: '3.1.0',
+      webhooks: {
+        bookAdded: {
+          get: {
+            parameters: [pageSize],
+            responses: { 200: { description: 'OK' } },
+          },
+        },
+      },
+    };
+    const baseline = createBaseline(reviewer.review(spec));
+
+    spec.webhooks.bookAdded.get.parameters = [
+      { name: 'filter', in: 'query', schema: { type: 'string' } },
+      pageSize,
+    ];
+    const result = applyBaseline(reviewer.review(spec), baseline);
+
+    const maxPageSize = result.findings.find(
+      (f) => f.ruleId === 'aip158/max-page-size'
+    );
+    assert.match(maxPageSize?.jsonPath ?? '', /parameters\[1\]/);
+    assert.equal(maxPageSize?.baseline, 'known');
+  });
+
+  it('counts repeated fingerprints', () => {
+    const baseline = createBaseline({
+      ...reviewer.review(createSpec()),
+      findings: [finding(), finding()],
+    });
+    assert.equal(baseline.findings.length, 1);
+    assert.equal(baseline.findings[0].count, 2);
+
+    const result = applyBaseline(
+      {
+        ...reviewer.review(createSpec()),
+        findings: [finding(), finding(), finding()],
+      },
+      baseline
+    );
+    assert.deepEqual(
+      result.findings.map((f) => f.baseline),
+      ['known', 'known', 'new']
+    );
+  });
+
+  it('hides known findings in console output and sets SARIF baseline states', () => {
+    const baseline = createBaseline(reviewer.review(createSpec()));
+    const result = applyBaseline(
+      reviewer.review(
+        createSpec({
+          '/getOrders': { get: { responses: { 200: { description: 'OK' } } } },
+        })
+      ),
+      baseline
+    );
+
+    const output = formatConsole(result, false);
+    assert.ok(output.includes('/getOrders'));
+    assert.ok(!output.includes('/getUsers'));
+    assert.match(output, /Baseline: \d+ new, \d+ known \(not shown\), 0 fixed/);
+
+    const sarif = JSON.parse(formatSARIF(result));
+    const states = new Set(
+      sarif.runs[0].results.map((/** @type {any} */ r) => r.baselineState)
+    );
+    assert.deepEqual([...states].sort(), ['new', 'unchanged']);
+  });
+});
+
+describe('baseline files', () => {
+  const TEMP_DIR = mkdtempSync(join(tmpdir(), 'baume-baseline-'));
+
+  after(() => {
+    rmSync(TEMP_DIR, { recursive: true, force: true });
+  });
+
+  it('round-trips through a file and is stable', () => {
+    const dir = mkdtempSync(join(TEMP_DIR, 'baseline-'));
+    const path = join(dir, '.baume', 'baseline.json');
+    const reviewer = new OpenAPIReviewer();
+
+    writeBaseline(path, createBaseline(reviewer.review(createSpec())));
+    const first = readFileSync(path, 'utf-8');
+    writeBaseline(path, createBaseline(reviewer.review(createSpec())));
+
+    assert.equal(readFileSync(path, 'utf-8'), first);
+    assert.deepEqual(
+      loadBaseline(path),
+      createBaseline(reviewer.review(createSpec()))
+    );
+  });
+
+  it('rejects files that are not baselines', () => {
+    const dir = mkdtempSync(join(TEMP_DIR, 'baseline-'));
+    const path = join(dir, 'baseline.json');
+
+    writeFileSync(path, '{ "findings": {} }');
+    assert.throws(() => loadBaseline(path), /Invalid baseline/);
+
+    writeFileSync(path, '{ "version": 99, "findings": [] }');
+    assert.throws(() => loadBaseline(path), /Unsupported baseline version 99/);
+
+    writeFileSync(path, 'not json');
+    assert.throws(() => loadBaseline(path), /Cannot read baseline/);
+  });
+});
@@ -0,0 +1,274 @@
+// @ts-check
+/**
+ * Tests for the sandboxed CEL evaluator
+ * Run with: node --test src/cel.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileCel, CEL_LIMITS } from './rules/declarative/cel.js';
+
+/**
+ * @param {string} source
+ * @param {Record<string, unknown>} [bindings]
+ */
+function evaluate(source, bindings = {}) {
+  return compileCel(source).evaluate(bindings);
+}
+
+const operation = {
+  operationId: 'listUsers',
+  parameters: [
+    { name: 'page_size', in: 'query' },
+    { name: 'email', in: 'query' },
+    { name: 'X-Request-Id', in: 'header' },
+  ],
+  responses: { 200: { description: 'OK' } },
+};
+
+describe('CEL parsing', () => {
+  it('parses literals', () => {
+    assert.equal(evaluate('42'), 42);
+    assert.equal(evaluate('0x1F'), 31);
+    assert.equal(evaluate('1.5e2'), 150);
+    assert.equal(evaluate('"a\\tb"'), 'a\tb');
+    assert.equal(evaluate("r'\\d+'"), '\\d+');
+    assert.equal(evaluate("'''multi\nline'''"), 'multi\nline');
+    assert.equal(evaluate('null'), null);
+    assert.deepEqual(evaluate('[1, "two", [3],]'), [1, 'two', [3]]);
+    assert.deepEqual(evaluate('{"a": 1, "b": true}'), { a: 1, b: true });
+  });
+
+  it('follows CEL operator precedence', () => {
+    assert.equal(evaluate('1 + 2 * 3'), 7);
+    assert.equal(evaluate('!false && 1 < 2'), true);
+    assert.equal(evaluate('true || false && false'), true);
+    assert.equal(evaluate('1 < 2 ? "yes" : "no"'), 'yes');
+    assert.equal(evaluate('-2 * 3 == -6'), true);
+  });
+
+  it('reports syntax errors with their column', () => {
+    assert.throws(() => compileCel('a +'), /column 4: unexpected end/);
+    assert.throws(() => compileCel('a.b(c'), /expected '\)'/);
+    assert.throws(() => compileCel('"open'), /unterminated string/);
+    assert.throws(() => compileCel('a # b'), /unexpected character '#'/);
+    assert.throws(() => compileCel('has(a)'), /has\(\) expects a field/);
+    assert.throws(
+      () => compileCel('xs.all(x)'),
+      /all\(\) expects a variable name and a predicate/
+    );
+  });
+
+  it('lists free variables, excluding comprehension variables', () => {
+    const program = compileCel(
+      'operation.parameters.exists(p, p.name == path)'
+    );
+    assert.deepEqual(program.identifiers.sort(), ['operation', 'path']);
+  });
+
+  it('rejects deeply nested expressions', () => {
+    const source = '('.repeat(200) + '1' + ')'.repeat(200);
+    assert.throws(() => compileCel(source), /nested too deeply/);
+  });
+});
+
+describe('CEL evaluation', () => {
+  it('selects fields and indexes lists and maps', () => {
+    assert.equal(
+      evaluate('operation.parameters[1].name', { operation }),
+      'email'
+    );
+    assert.equal(
+      evaluate('operation.responses["200"].description', { operation }),
+      'OK'
+    );
+    assert.equal(
+      evaluate('operation.responses[200].description', { operation }),
+      'OK'
+    );
+  });
+
+  it('runs comprehension macros', () => {
+    const bindings = { operation };
+    assert.equal(
+      evaluate('operation.parameters.exists(p, p.in == "header")', bindings),
+      true
+    );
+    assert.equal(
+      evaluate('operation.parameters.all(p, p.in == "query")', bindings),
+      false
+    );
+    assert.equal(
+      evaluate(
+        'operation.parameters.exists_one(p, p.name == "email")',
+        bindings
+      ),
+      true
+    );
+    assert.deepEqual(
+      evaluate(
+        'operation.parameters.filter(p, p.in == "query").map(p, p.name)',
+        bindings
+      ),
+      ['page_size', 'email']
+    );
+    assert.deepEqual(
+      evaluate(
+        'operation.parameters.map(p, p.in == "header", p.name)',
+        bindings
+      ),
+      ['X-Request-Id']
+    );
+    assert.deepEqual(evaluate('{"a": 1, "b": 2}.map(k, k + "!")'), [
+      'a!',
+      'b!',
+    ]);
+  });
+
+  it('evaluates the no-PII-in-query example from RULES.md', () => {
+    const program = compileCel(`
+      !(operation.parameters ?? [])
+        .filter(p, p.in == "query")
+        .exists(p, p.name.matches("(?i)(email|phone|ssn|password)"))
+    `);
+
+    assert.equal(program.evaluate({ operation }), false);
+    assert.equal(program.evaluate({ operation: { responses: {} } }), true);
+  });
+
+  it('supports string functions in receiver and global style', () => {
+    assert.equal(evaluate('"page_token".startsWith("page")'), true);
+    assert.equal(evaluate('"page_token".endsWith("token")'), true);
+    assert.equal(evaluate('"page_token".contains("_")'), true);
+    assert.equal(evaluate('size("héllo")'), 5);
+    assert.equal(evaluate('"héllo".size()'), 5);
+    assert.equal(evaluate('"Users".lowerAscii()'), 'users');
+    assert.equal(evaluate('"v1/users".matches("^v[0-9]+/")'), true);
+  });
+
+  it('supports membership, equality and concatenation', () => {
+    assert.equal(evaluate('"GET" in ["GET", "HEAD"]'), true);
+    assert.equal(evaluate('"a" in {"a": 1}'), true);
+    assert.equal(evaluate('[1, {"a": [2]}] == [1, {"a": [2]}]'), true);
+    assert.equal(evaluate('"a" + "b"'), 'ab');
+    assert.deepEqual(evaluate('[1] + [2]'), [1, 2]);
+    assert.equal(evaluate('7 / 2'), 3.5);
+  });
+
+  it('distinguishes missing fields with has() and ??', () => {
+    assert.equal(evaluate('has(operation.requestBody)', { operation }), false);
+    assert.equal(evaluate('has(operation.responses)', { operation }), true);
+    assert.equal(
+      evaluate('operation.requestBody.content ?? "none"', { operation }),
+      'none'
+    );
+    assert.throws(
+      () => evaluate('operation.requestBody', { operation }),
+      /no such key: 'requestBody'/
+    );
+  });
+
+  it('absorbs errors when the other side of && or || decides', () => {
+    assert.equal(evaluate('operation.missing || true', { operation }), true);
+    assert.equal(evaluate('false && operation.missing', { operation }), false);
+    assert.throws(
+      () => evaluate('operation.missing || false', { operation }),
+      /no such key/
+    );
+  });
+
+  it('reports type errors', () => {
+    assert.throws(
+      () => evaluate('1 + "a"'),
+      /no matching overload for '\+' applied to \(double, string\)/
+    );
+    assert.throws(() => evaluate('!1'), /no matching overload for '!'/);
+    assert.throws(
+      () => evaluate('unknown'),
+      /undeclared reference to 'unknown'/
+    );
+    assert.throws(
+      () => evaluate('exec("rm")'),
+      /undeclared reference to function 'exec'/
+    );
+    assert.throws(() => evaluate('[1][3]'), /index out of range/);
+  });
+});
+
+describe('CEL sandbox', () => {
+  it('only reads own properties', () => {
+    assert.throws(
+      () => evaluate('operation.constructor', { operation }),
+      /no such key: 'constructor'/
+    );
+    assert.throws(
+      () => evaluate('operation["__proto__"]', { operation }),
+      /no such key/
+    );
+  });
+
+  it('enforces the time limit', () => {
+    const items = Array.from({ length: 2000 }, (_, i) => i);
+    assert.throws(
+      () =>
+        evaluate('items.all(a, items.all(b, items.all(c, a + b + c >= 0)))', {
+          items,
+        }),
+      new RegExp(`time limit of ${CEL_LIMITS.timeoutMs}ms exceeded`)
+    );
+  });
+
+  it('enforces the memory limit', () => {
+    const items = Array.from({ length: 1000 }, (_, i) => i);
+    assert.throws(
+      () => evaluate('items.map(a, items.map(b, b)).size() > 0', { items }),
+      /memory limit of 1024KB exceeded/
+    );
+  });
+
+  it('rejects patterns that can backtrack catastrophically', () => {
+    assert.throws(
+      () => evaluate('"aaaa".matches("(a+)+$")'),
+      /nested quantifiers/
+    );
+    assert.throws(() => evaluate('"aa".matches("(a)\\\\1")'), /backreferences/);
+  });
+
+  it('rejects repeated alternatives, which backtrack as much', () => {
+    const input = `"${'a'.repeat(28)}!"`;
+    for (const pattern of ['^(a|a)+$', '^(?:(b|a)c?)*$', '^((a|aa)){2,}$']) {
+      assert.throws(
+        () => evaluate(`${input}.matches("${pattern}")`),
+        /repeated alternatives/
+      );
+    }
+    // Alternatives not repeated, or inside a class, are fine
+    assert.equal(evaluate('"phone".matches("^(email|phone)$")'), true);
+    assert.equal(evaluate('"a|b".matches("^[a|b]+$")'), true);
+    assert.equal(evaluate('"ab".matches("^(ab)+$")'), true);
+  });
+
+  it('rejects repetitions in a row that can match the same characters', () => {
+    for (const pattern of ['[a-z]*[a-z]*[a-z]*[a-z]*!', 'a*a?', 'x*(x)*']) {
+      assert.throws(
+        () => evaluate(`s.matches("${pattern}")`, { s: 'a'.repeat(200) }),
+        /overlapping repetitions/
+      );
+    }
+    // Repetitions of different characters, or apart, are fine
+    assert.equal(evaluate('"v2/".matches("^v[0-9]+/")'), true);
+    assert.equal(evaluate('"a foo b".matches(".*foo.*")'), true);
+    assert.equal(evaluate('"ab-cd".matches("^(?:[a-z]+-)?[a-z]+$")'), true);
+    assert.equal(evaluate('"Ab12".matches("^[A-Z][a-z]+[0-9]*$")'), true);
+  });
+
+  it('caps the length of the strings patterns run on', () => {
+    assert.throws(
+      () =>
+        evaluate('s.matches("^a")', {
+          s: 'a'.repeat(CEL_LIMITS.maxMatchLength + 1),
+        }),
+      /matches\(\) input of 4097 characters exceeds the limit of 4096/
+    );
+  });
+});
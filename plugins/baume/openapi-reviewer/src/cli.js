@@ -18,12 +18,20 @@
  * # SARIF output for CI integration
  * node cli.js openapi.yaml --format sarif > results.sarif
  *
+ * # Breaking changes since the last release
+ * node cli.js diff openapi.v1.yaml openapi.yaml
+ *
+ * # Every spec of a monorepo
+ * node cli.js services/ --format summary
+ *
  * @module cli
  */
 
 import { readFileSync, writeFileSync, existsSync } from 'node:fs';
-import { resolve, extname, basename, dirname, join } from 'node:path';
+import { resolve, extname, basename, dirname, join, relative } from 'node:path';
+import { parseDocument, parse as parseYaml } from 'yaml';
 import { parseArgs as nodeParseArgs } from 'node:util';
+import { createInterface } from 'node:readline/promises';
 import SwaggerParser from '@apidevtools/swagger-parser';
 import { OpenAPIReviewer } from './reviewer.js';
 import {
@@ -32,14 +40,68 @@ import {
   formatJSON,
   formatSARIF,
   formatSummary,
+  formatMultiConsole,
+  formatMultiMarkdown,
+  formatMultiSARIF,
+  formatMultiSummary,
 } from './formatters.js';
 import { OpenAPIFixer } from './fixer.js';
+import { createDiffResult, diffSpecs } from './diff.js';
+import { createOverlay, loadOverlay, writeOverlay } from './overlay.js';
+import {
+  createJsonPatch,
+  loadJsonPatch,
+  writeJsonPatch,
+} from './json-patch.js';
+import { createMultiReviewResult, resolveSpecInputs } from './multi-review.js';
+import {
+  CONFIG_DIR,
+  getConfigPlugins,
+  loadCustomRules,
+  loadProjectConfig,
+  toReviewerConfig,
+  writeDisabledRules,
+} from './config.js';
+import { loadPlugins } from './plugins.js';
+import { SourceMap, addSourceLocations } from './source-map.js';
+import { rebaseRefs, writeBackFixes } from './write-back.js';
+import {
+  createJournal,
+  createUndoFindings,
+  loadJournal,
+  writeJournal,
+} from './journal.js';
+import { verifyFixes } from './verify.js';
+import {
+  filterFixes,
+  matchesFixFilters,
+  selectFixes,
+} from './fix-selection.js';
+import {
+  applyBaseline,
+  createBaseline,
+  getNewFindings,
+  loadBaseline,
+  writeBaseline,
+} from './baseline.js';
 
 /**
  * @typedef {import('./types.ts').ReviewerConfig} ReviewerConfig
  * @typedef {import('./types.ts').RuleCategory} RuleCategory
+ * @typedef {import('./types.ts').ReviewFormatter} ReviewFormatter
  */
 
+/** Metadata of a review that also applies to the review of its fixed spec */
+const FIXED_REVIEW_METADATA = /** @type {const} */ ([
+  'lenientMode',
+  'lenientReason',
+  'configPath',
+  'overlayPath',
+  'patchPath',
+]);
+
+const SEVERITIES = ['error', 'warning', 'suggestion'];
+
 /** @type {import('node:util').ParseArgsConfig} */
 const argsConfig = {
   options: {
@@ -51,9 +113,25 @@ const argsConfig = {
     skip: { type: 'string', short: 'x', multiple: true, default: [] },
     'no-color': { type: 'boolean', default: false },
     fix: { type: 'boolean', short: 'F', default: false },
+    'fix-iterations': { type: 'string' },
+    'fix-rule': { type: 'string', multiple: true, default: [] },
+    'fix-category': { type: 'string', multiple: true, default: [] },
+    'fix-severity': { type: 'string', multiple: true, default: [] },
+    interactive: { type: 'boolean', short: 'i', default: false },
     output: { type: 'string', short: 'o' },
     'dry-run': { type: 'boolean', default: false },
+    undo: { type: 'string' },
     'from-json': { type: 'string', short: 'j' },
+    preset: { type: 'string', short: 'p' },
+    config: { type: 'string' },
+    'no-config': { type: 'boolean', default: false },
+    baseline: { type: 'string', short: 'b' },
+    'write-baseline': { type: 'string' },
+    overlay: { type: 'string' },
+    'write-overlay': { type: 'string' },
+    patch: { type: 'string' },
+    'write-patch': { type: 'string' },
+    plugin: { type: 'string', multiple: true, default: [] },
   },
   allowPositionals: true,
   strict: false,
@@ -69,41 +147,80 @@ const argsConfig = {
  * @property {string[]} [skip]
  * @property {boolean} [no-color]
  * @property {boolean} [fix]
+ * @property {string} [fix-iterations]
+ * @property {string[]} [fix-rule]
+ * @property {string[]} [fix-category]
+ * @property {string[]} [fix-severity]
+ * @property {boolean} [interactive]
  * @property {string} [output]
  * @property {boolean} [dry-run]
+ * @property {string} [undo]
  * @property {string} [from-json]
+ * @property {string} [preset]
+ * @property {string} [config]
+ * @property {boolean} [no-config]
+ * @property {string} [baseline]
+ * @property {string} [write-baseline]
+ * @property {string} [overlay]
+ * @property {string} [write-overlay]
+ * @property {string} [patch]
+ * @property {string} [write-patch]
+ * @property {string[]} [plugin]
  */
 
 /**
  * Parse command line arguments using Node.js built-in parseArgs
+ *
+ * `diff <base> <revision>` compares two specs; any other arguments are
+ * specs to review (files, directories, globs or discovery results).
+ *
  * @param {string[]} args
- * @returns {{specPath: string, options: CLIOptions}}
+ * @returns {{command: 'review' | 'diff', specPaths: string[], basePath: string, options: CLIOptions}}
  */
 function parseArgs(args) {
   const { values, positionals } = nodeParseArgs({ ...argsConfig, args });
   const v = /** @type {ParsedValues} */ (values);
+  const diff = positionals[0] === 'diff';
 
   return {
-    specPath: positionals[0] ?? '',
+    command: diff ? 'diff' : 'review',
+    specPaths: diff ? positionals.slice(2, 3) : positionals,
+    basePath: (diff ? positionals[1] : undefined) ?? '',
     options: {
       help: v.help ?? false,
       strict: v.strict ?? false,
       lenient: v.lenient ?? false,
-      format: /** @type {CLIOptions['format']} */ (v.format ?? 'console'),
+      format: v.format ?? 'console',
       categories: v.category ?? [],
       skipRules: v.skip ?? [],
       noColor: v['no-color'] ?? false,
       fix: v.fix ?? false,
+      fixIterations: Number(v['fix-iterations'] ?? 1),
+      fixRules: v['fix-rule'] ?? [],
+      fixCategories: v['fix-category'] ?? [],
+      fixSeverities: v['fix-severity'] ?? [],
+      interactive: v.interactive ?? false,
       output: v.output,
       dryRun: v['dry-run'] ?? false,
+      undo: v.undo,
       fromJson: v['from-json'],
+      preset: v.preset,
+      config: v.config,
+      noConfig: v['no-config'] ?? false,
+      baseline: v.baseline,
+      writeBaseline: v['write-baseline'],
+      overlay: v.overlay,
+      writeOverlay: v['write-overlay'],
+      patch: v.patch,
+      writePatch: v['write-patch'],
+      plugins: v.plugin ?? [],
     },
   };
 }
 
 /**
  * @typedef {Object} CLIOptions
- * @property {'console' | 'json' | 'markdown' | 'sarif' | 'summary'} format
+ * @property {string} format - A built-in format or one added by a plugin
  * @property {boolean} strict
  * @property {boolean} lenient
  * @property {string[]} categories
@@ -111,9 +228,25 @@ function parseArgs(args) {
  * @property {boolean} noColor
  * @property {boolean} help
  * @property {boolean} fix
+ * @property {number} fixIterations - Rounds of fixing and reviewing the fixed spec
+ * @property {string[]} fixRules - Only apply the fixes of these rules
+ * @property {string[]} fixCategories - Only apply the fixes of these categories
+ * @property {string[]} fixSeverities - Only apply the fixes of these severities
+ * @property {boolean} interactive - Ask which fixes to apply
  * @property {string} [output]
  * @property {boolean} dryRun
+ * @property {string} [undo] - Journal of the fixes to revert
  * @property {string} [fromJson]
+ * @property {string} [preset]
+ * @property {string} [config]
+ * @property {boolean} noConfig
+ * @property {string} [baseline]
+ * @property {string} [writeBaseline]
+ * @property {string} [overlay]
+ * @property {string} [writeOverlay]
+ * @property {string} [patch]
+ * @property {string} [writePatch]
+ * @property {string[]} plugins
  */
 
 /**
@@ -125,23 +258,91 @@ AIP OpenAPI Reviewer
 Review OpenAPI specifications against Google's API Improvement Proposals.
 
 USAGE:
-  aip-review <spec-file> [options]
+  aip-review <spec-file>... [options]
+  aip-review diff <base-spec> <spec-file> [options]
 
 ARGUMENTS:
-  <spec-file>         Path to OpenAPI spec (YAML or JSON)
+  <spec-file>         Path to OpenAPI spec (YAML or JSON). Also accepts
+                      directories (searched like baume-discover), quoted
+                      globs and baume-discover --format json results;
+                      several specs are reviewed together (see MULTIPLE SPECS)
+
+COMMANDS:
+  diff                Report the changes from <base-spec> to <spec-file>,
+                      classified as breaking (errors), potentially breaking
+                      (warnings) or safe (suggestions) following AIP-180.
+                      Supports --format, --strict (potentially breaking
+                      changes become errors), --lenient, --no-color and
+                      --plugin.
 
 OPTIONS:
   -h, --help          Show this help message
   -s, --strict        Treat warnings as errors
   -l, --lenient       Skip strict OpenAPI validation (use when spec has minor schema issues)
-  -f, --format <fmt>  Output format: console (default), json, markdown, sarif, summary
+  -f, --format <fmt>  Output format: console (default), json, markdown, sarif, summary,
+                      or a format added by a plugin (e.g., acme/junit)
   -c, --category <c>  Only run rules in category (can repeat)
   -x, --skip <rule>   Skip specific rule by ID (can repeat)
+  -p, --preset <name> Start from a rule preset (overrides 'extends' in config)
   --no-color          Disable colored output
-  -F, --fix           Apply fixes to the spec and write output
+  -F, --fix           Apply fixes and write them into a copy of the spec,
+                      keeping its comments and formatting. Fixes of the
+                      files the spec $refs are written into them, so only
+                      when the spec is fixed in place (--output <spec>)
+  --fix-iterations <n>
+                      Fix the findings that fixes introduce too, reviewing
+                      the fixed spec again up to n times (default: 1)
+  --fix-rule <rule>   Only fix the findings of this rule ("aip158/*"
+                      for a namespace; can repeat)
+  --fix-category <c>  Only fix the findings of this category (can repeat)
+  --fix-severity <s>  Only fix findings of this severity: error, warning
+                      or suggestion (can repeat). The --fix-* filters also
+                      select the fixes of --write-overlay and --write-patch
+  -i, --interactive   Walk the fixes rule by rule and choose to apply, skip
+                      or suppress each one (in the spec with x-baume-ignore,
+                      or by disabling the rule in the project config)
   -o, --output <path> Output path for fixed spec (default: <spec>.fixed.<ext>)
   --dry-run           Show what fixes would be applied without writing
+  --undo <journal>    Revert the fixes of a --fix run, recorded in a journal
+                      under .baume/fixes/, in the spec they were written to
+                      (or write the result to --output); fails if the spec
+                      has changed where they wrote
   -j, --from-json <f> Re-format existing JSON review output (skip re-running review)
+  --config <path>     Use this config file instead of discovering one
+  --no-config         Ignore .api-hygiene/config.yaml files
+  -b, --baseline <f>  Report findings in this baseline as known; only new
+                      findings affect the exit code
+  --write-baseline <f>
+                      Record the current findings as a baseline and exit
+  --overlay <file>    Apply an OpenAPI Overlay to the spec before reviewing it
+  --write-overlay <f> Write the fixes as an OpenAPI Overlay instead of
+                      rewriting the spec (for generated specs), and exit;
+                      with --overlay, its actions are kept and new fixes
+                      added
+  --patch <file>      Apply an RFC 6902 JSON Patch to the spec before reviewing
+                      it; fails if one of its tests no longer holds
+  --write-patch <f>   Write the fixes as a JSON Patch, and exit; with --patch,
+                      its operations are kept and new fixes added
+  --plugin <module>   Load rules, presets and formats from an npm package or
+                      a local module (can repeat)
+
+CONFIGURATION:
+  The nearest .api-hygiene/config.yaml (searched upwards from the spec)
+  provides per-rule overrides, path exclusions, declarative custom
+  rules (customRules) and rule plugins (plugins). CLI flags are applied
+  on top of it.
+
+MULTIPLE SPECS:
+  Each spec is reviewed with the config that applies to it (or --config),
+  and the report aggregates them: per-spec summaries, overall counts and
+  an overall hygiene score across all operations. The exit code is the
+  worst of all specs. --fix, baselines, overlays and patches work on a single spec.
+
+PRESETS:
+  google-aip-strict   Full AIP compliance, all rules enabled
+  google-aip-standard Balanced — errors and warnings, no nitpicking
+  google-aip-minimal  Critical rules only — for legacy APIs
+  rest-best-practices AIP-inspired with generic naming
 
 CATEGORIES:
   naming              Resource naming conventions (AIP-122, AIP-123)
@@ -162,6 +363,9 @@ EXAMPLES:
   # Only check naming and pagination
   aip-review api.yaml -c naming -c pagination
 
+  # Critical rules only (legacy services)
+  aip-review api.yaml --preset google-aip-minimal
+
   # Skip specific rules
   aip-review api.yaml -x aip122/plural-resources
 
@@ -171,10 +375,48 @@ EXAMPLES:
   # Preview fixes without writing
   aip-review api.yaml --fix --dry-run
 
+  # Fix in place, then revert that run
+  aip-review api.yaml --fix --fix-category naming --output api.yaml
+  aip-review --undo .baume/fixes/<timestamp>-api.yaml.json
+
+  # Choose fix by fix what to apply or suppress
+  aip-review api.yaml --fix --interactive
+
+  # In CI, only apply the pagination fixes for errors
+  aip-review api.yaml --fix --fix-category pagination --fix-severity error
+
+  # Fix until no fix introduces a fixable finding, reporting what was resolved
+  aip-review api.yaml --fix --fix-iterations 5 --format json
+
+  # Add an internal rule pack and use its preset
+  aip-review api.yaml --plugin @acme/baume-plugin --preset acme/recommended
+
+  # Accept today's findings, then fail CI on new ones only
+  aip-review api.yaml --write-baseline .baume/baseline.json
+  aip-review api.yaml --strict --baseline .baume/baseline.json
+
+  # Review every spec of a monorepo in one CI step
+  aip-review services/ --format sarif > results.sarif
+  aip-review 'apis/**/openapi.yaml' --format summary
+  baume-discover --format json > specs.json && aip-review specs.json
+
+  # Keep fixes to a generated spec in an overlay
+  aip-review generated.yaml --write-overlay fixes.overlay.yaml
+  aip-review generated.yaml --overlay fixes.overlay.yaml
+
+  # Fixes as a JSON Patch, for generic tooling
+  aip-review api.yaml --write-patch fixes.patch.json
+
+  # Fail CI on breaking changes since the released spec
+  aip-review diff released/api.yaml api.yaml
+
 EXIT CODES:
   0   No errors found (or fixes applied successfully)
-  1   Errors found (or warnings in strict mode)
-  2   Invalid arguments or file not found
+  1   Errors found (or warnings in strict mode); with --baseline,
+      only errors that are not in the baseline count; for diff,
+      breaking changes found
+  2   Invalid arguments or file not found (or, with several specs,
+      one of them could not be reviewed)
 `);
 }
 
@@ -182,29 +424,60 @@ EXIT CODES:
  * Load, validate, and parse spec file using swagger-parser
  * @param {string} specPath
  * @param {boolean} [lenient=false] - Skip strict validation, only dereference refs
+ * @param {import('./types.js').OpenAPISpec} [document] - Contents to use instead of
+ *   the file's (e.g., with an overlay applied); $refs still resolve from the file
  * @returns {Promise<import('./types.js').OpenAPISpec>}
  */
-async function loadSpec(specPath, lenient = false) {
+async function loadSpec(specPath, lenient = false, document) {
   const resolved = resolve(specPath);
 
   if (!existsSync(resolved)) {
     throw new Error(`File not found: ${specPath}`);
   }
 
+  // swagger-parser modifies the document it is given
+  /** @type {any} */
+  const api = document ? structuredClone(document) : resolved;
+
   if (lenient) {
     // Lenient mode: only dereference refs, skip strict schema validation
     // Use this when specs have minor schema issues but are still processable
-    const spec = /** @type {any} */ (await SwaggerParser.dereference(resolved));
+    const spec = /** @type {any} */ (
+      await SwaggerParser.dereference(resolved, api, {})
+    );
     return spec;
   }
 
   // Use SwaggerParser.validate() for strict validation
   // This catches spec errors early before review
   // Cast to any to work around complex union types
-  const spec = /** @type {any} */ (await SwaggerParser.validate(resolved));
+  const spec = /** @type {any} */ (
+    await SwaggerParser.validate(resolved, api, {})
+  );
   return spec;
 }
 
+/**
+ * Read a spec as written ($refs intact), with an overlay or JSON Patch applied
+ * @param {string} specPath
+ * @param {{overlay?: import('./types.ts').Overlay, patch?: import('./types.ts').JsonPatch}} corrections
+ * @returns {import('./types.js').OpenAPISpec}
+ * @throws {Error} If the spec cannot be read or a correction cannot be applied
+ */
+function readSpecAsWritten(specPath, { overlay, patch }) {
+  if (!existsSync(specPath)) {
+    throw new Error(`File not found: ${specPath}`);
+  }
+  const fixer = new OpenAPIFixer(parseYaml(readFileSync(specPath, 'utf-8')));
+  if (overlay) fixer.applyOverlay(overlay);
+  if (patch) fixer.applyJsonPatch(patch);
+  const [failure] = fixer.getErrors();
+  if (failure) {
+    throw new Error(failure.error);
+  }
+  return fixer.getSpec();
+}
+
 /**
  * Serialize spec to YAML
  * @param {object} spec
@@ -227,6 +500,101 @@ async function serializeYAML(spec) {
   }
 }
 
+/**
+ * Load a spec, falling back to lenient mode when strict validation fails
+ * @param {string} specPath
+ * @param {CLIOptions} options
+ * @param {import('./types.js').OpenAPISpec} [document] - Contents to use instead of the file's
+ * @returns {Promise<{spec: import('./types.js').OpenAPISpec, usedLenient: boolean} | {error: string}>}
+ *   The error if the spec cannot be loaded (it is also printed)
+ */
+async function loadSpecWithFallback(specPath, options, document) {
+  try {
+    return {
+      spec: await loadSpec(specPath, options.lenient, document),
+      usedLenient: options.lenient,
+    };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+
+    if (options.lenient) {
+      console.error(`Error loading spec: ${message}`);
+      return { error: message };
+    }
+
+    // Not in lenient mode: try automatic fallback
+    const useColor = !options.noColor && process.stdout.isTTY;
+    const yellow = useColor ? '\x1b[33m' : '';
+    const reset = useColor ? '\x1b[0m' : '';
+
+    console.error(
+      `${yellow}Warning: Strict validation of ${specPath} failed: ${message}${reset}`
+    );
+    console.error(
+      `${yellow}Falling back to lenient mode (skipping schema validation)...${reset}\n`
+    );
+
+    try {
+      return {
+        spec: await loadSpec(specPath, true, document),
+        usedLenient: true,
+      };
+    } catch (lenientError) {
+      const lenientMessage =
+        lenientError instanceof Error
+          ? lenientError.message
+          : String(lenientError);
+      console.error(
+        `Error loading spec (even in lenient mode): ${lenientMessage}`
+      );
+      return { error: lenientMessage };
+    }
+  }
+}
+
+/**
+ * Check the options that select fixes
+ * @param {CLIOptions} options
+ * @returns {string | undefined} What is wrong with them
+ */
+function checkFixSelection(options) {
+  const severity = options.fixSeverities.find((s) => !SEVERITIES.includes(s));
+  if (severity !== undefined) {
+    return `--fix-severity must be one of ${SEVERITIES.join(', ')}, got "${severity}"`;
+  }
+  const filtered =
+    options.fixRules.length > 0 ||
+    options.fixCategories.length > 0 ||
+    options.fixSeverities.length > 0;
+  if (
+    filtered &&
+    !options.fix &&
+    !options.writeOverlay &&
+    !options.writePatch
+  ) {
+    return '--fix-rule, --fix-category and --fix-severity select the fixes of --fix, --write-overlay or --write-patch';
+  }
+  if (options.interactive && !options.fix) {
+    return '--interactive selects the fixes of --fix';
+  }
+  if (options.interactive && !process.stdin.isTTY) {
+    return '--interactive needs a terminal';
+  }
+  return undefined;
+}
+
+/**
+ * @param {CLIOptions} options
+ * @returns {import('./fix-selection.js').FixFilters} The --fix-* filters
+ */
+function getFixFilters(options) {
+  return {
+    rules: options.fixRules,
+    categories: options.fixCategories,
+    severities: options.fixSeverities,
+  };
+}
+
 /**
  * Get the default output path for fixed spec
  * @param {string} specPath
@@ -239,77 +607,109 @@ function getDefaultOutputPath(specPath) {
   return join(dir, `${base}.fixed${ext}`);
 }
 
+/**
+ * Rebase the relative `$ref`s of a spec written to another directory
+ * @param {string} content
+ * @param {string} specPath
+ * @param {string} outputPath
+ * @returns {string}
+ */
+function rebaseOutput(content, specPath, outputPath) {
+  const from = dirname(specPath);
+  const to = dirname(outputPath);
+  return resolve(from) === resolve(to)
+    ? content
+    : rebaseRefs(content, from, to);
+}
+
 /**
  * Main CLI function
  * @param {string[]} args
  * @returns {Promise<number>} Exit code
  */
 async function main(args) {
-  const { specPath, options } = parseArgs(args);
+  const { command, specPaths, basePath, options } = parseArgs(args);
+  const specPath = specPaths[0] ?? '';
 
-  if (options.help || (!specPath && !options.fromJson)) {
+  if (options.help || (!specPath && !options.fromJson && !options.undo)) {
     printHelp();
     return options.help ? 0 : 2;
   }
 
+  // Revert the fixes of a journal, in the spec it names
+  if (options.undo) {
+    if (specPath) {
+      console.error('--undo reverts the spec its journal names: give no spec');
+      return 2;
+    }
+    return handleUndo(options.undo, options);
+  }
+
+  if (command === 'diff') {
+    return handleDiff(basePath, specPath, options);
+  }
+
   // Handle --from-json: re-format existing review JSON
   if (options.fromJson) {
     return handleFromJson(options);
   }
 
-  // Load spec with automatic fallback to lenient mode
-  let spec;
-  let usedLenient = options.lenient;
-  try {
-    spec = await loadSpec(specPath, options.lenient);
-  } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
+  const fixSelectionError = checkFixSelection(options);
+  if (fixSelectionError) {
+    console.error(fixSelectionError);
+    return 2;
+  }
 
-    // If not in lenient mode, try automatic fallback
-    if (!options.lenient) {
-      const useColor = !options.noColor && process.stdout.isTTY;
-      const yellow = useColor ? '\x1b[33m' : '';
-      const reset = useColor ? '\x1b[0m' : '';
+  // Several specs, directories, globs or a discovery result
+  const inputs = await resolveSpecInputs(specPaths);
+  if (
+    specPaths.length > 1 ||
+    inputs.specPaths.length !== 1 ||
+    inputs.specPaths[0] !== specPath
+  ) {
+    return handleMultiReview(inputs, options);
+  }
 
-      console.error(
-        `${yellow}Warning: Strict validation failed: ${message}${reset}`
-      );
-      console.error(
-        `${yellow}Falling back to lenient mode (skipping schema validation)...${reset}\n`
-      );
+  if (
+    (options.overlay || options.writeOverlay) &&
+    (options.patch || options.writePatch)
+  ) {
+    console.error('Overlays and JSON Patches cannot be combined');
+    return 2;
+  }
 
-      try {
-        spec = await loadSpec(specPath, true);
-        usedLenient = true;
-      } catch (lenientError) {
-        const lenientMessage =
-          lenientError instanceof Error
-            ? lenientError.message
-            : String(lenientError);
-        console.error(
-          `Error loading spec (even in lenient mode): ${lenientMessage}`
-        );
-        return 2;
-      }
-    } else {
-      console.error(`Error loading spec: ${message}`);
+  // Layer an overlay or a JSON Patch on the spec as written, before its
+  // $refs are resolved (e.g., fixes kept for a generated spec)
+  /** @type {{overlay?: import('./types.ts').Overlay, patch?: import('./types.ts').JsonPatch}} */
+  const corrections = {};
+  /** @type {import('./types.ts').OpenAPISpec | undefined} */
+  let corrected;
+  if (options.overlay || options.patch) {
+    try {
+      if (options.overlay) corrections.overlay = loadOverlay(options.overlay);
+      if (options.patch) corrections.patch = loadJsonPatch(options.patch);
+      corrected = readSpecAsWritten(specPath, corrections);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      const kind = options.overlay ? 'overlay' : 'JSON Patch';
+      console.error(`Error applying ${kind}: ${message}`);
       return 2;
     }
   }
 
-  // Build reviewer config
-  /** @type {ReviewerConfig} */
-  const config = {
-    strict: options.strict,
-    categories:
-      options.categories.length > 0
-        ? /** @type {RuleCategory[]} */ (options.categories)
-        : undefined,
-    skipRules: options.skipRules.length > 0 ? options.skipRules : undefined,
-  };
+  // Load spec with automatic fallback to lenient mode
+  const loaded = await loadSpecWithFallback(specPath, options, corrected);
+  if ('error' in loaded) return 2;
+  const { spec, usedLenient } = loaded;
+
+  // Load project config (.api-hygiene/config.yaml), its custom rules and plugins
+  const projectConfig = resolveProjectConfig(specPath, options);
+  if (projectConfig === null) return 2;
+  const setup = await createReviewSetup(projectConfig, options);
+  if (!setup) return 2;
+  const { reviewer, formatters } = setup;
 
   // Run review
-  const reviewer = new OpenAPIReviewer(config);
   let result;
   try {
     result = reviewer.review(spec, specPath);
@@ -318,39 +718,88 @@ async function main(args) {
     console.error(`Error reviewing spec: ${message}`);
     return 2;
   }
+  printInvalidSuppressions(result);
+
+  // Point findings at their line in the spec (or in a $ref'd file)
+  const sourceMap = new SourceMap(specPath);
+  addSourceLocations(result, sourceMap);
+
+  if (projectConfig) {
+    result.metadata.configPath = projectConfig.path;
+  }
+  if (options.overlay) {
+    result.metadata.overlayPath = options.overlay;
+  }
+  if (options.patch) {
+    result.metadata.patchPath = options.patch;
+  }
 
   // Add lenient mode flag to metadata if used
   if (usedLenient) {
-    result.metadata.lenientMode = true;
-    result.metadata.lenientReason = options.lenient
-      ? 'explicitly requested'
-      : 'automatic fallback due to validation failure';
+    markLenient(result, options);
+  }
+
+  // Write the fixes as an overlay instead of rewriting the spec
+  if (options.writeOverlay) {
+    return handleWriteOverlay(specPath, result, corrections.overlay, options);
+  }
+  if (options.writePatch) {
+    return handleWritePatch(specPath, result, corrections.patch, options);
+  }
+
+  // Record the current findings as the new baseline
+  if (options.writeBaseline) {
+    try {
+      const baseline = createBaseline(result);
+      writeBaseline(options.writeBaseline, baseline);
+      console.log(
+        `Baseline with ${result.findings.length} finding(s) written to ${options.writeBaseline}`
+      );
+      return 0;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error writing baseline: ${message}`);
+      return 2;
+    }
+  }
+
+  // Compare with an existing baseline
+  if (options.baseline) {
+    try {
+      applyBaseline(result, loadBaseline(options.baseline));
+      result.metadata.baselinePath = options.baseline;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error loading baseline: ${message}`);
+      return 2;
+    }
   }
 
   // Handle fix mode
   if (options.fix) {
-    return await handleFixMode(spec, specPath, result, options);
+    if (!Number.isInteger(options.fixIterations) || options.fixIterations < 1) {
+      console.error('--fix-iterations must be a positive integer');
+      return 2;
+    }
+    return await handleFixMode(spec, specPath, result, options, {
+      reviewer,
+      formatters,
+      corrected,
+    });
   }
 
   // Format and output
   let output;
-  switch (options.format) {
-    case 'json':
-      output = formatJSON(result);
-      break;
-    case 'markdown':
-      output = formatMarkdown(result);
-      break;
-    case 'sarif':
-      output = formatSARIF(result);
-      break;
-    case 'summary':
-      output = formatSummary(result);
-      break;
-    case 'console':
-    default:
-      output = formatConsole(result, !options.noColor && process.stdout.isTTY);
-      break;
+  try {
+    output = formatResult(result, options, {
+      formatters,
+      sources: sourceMap,
+      rules: reviewer.getRules(),
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error formatting output: ${message}`);
+    return 2;
   }
 
   console.log(output);
@@ -365,8 +814,8 @@ async function main(args) {
     );
   }
 
-  // Exit code based on findings
-  if (result.summary.errors > 0) {
+  // Exit code based on findings (known baseline findings do not count)
+  if (getNewFindings(result).some((f) => f.severity === 'error')) {
     return 1;
   }
 
@@ -374,144 +823,833 @@ async function main(args) {
 }
 
 /**
- * Handle --from-json: re-format existing review JSON output
- * @param {CLIOptions} options
- * @returns {number}
+ * @typedef {{config: import('./types.ts').ProjectConfig, path: string}} LoadedProjectConfig
  */
-function handleFromJson(options) {
-  const jsonPath = /** @type {string} */ (options.fromJson);
 
-  // Load JSON review result
-  /** @type {import('./types.ts').ReviewResult} */
-  let result;
+/**
+ * Find the project config that applies to a spec
+ * @param {string} specPath
+ * @param {CLIOptions} options
+ * @returns {LoadedProjectConfig | undefined | null} Undefined without a
+ *   config, null if it cannot be loaded (the error is printed)
+ */
+function resolveProjectConfig(specPath, options) {
+  if (options.noConfig) return undefined;
   try {
-    const content = readFileSync(resolve(jsonPath), 'utf-8');
-    result = JSON.parse(content);
+    return loadProjectConfig(specPath, options.config);
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
-    console.error(`Error loading JSON: ${message}`);
-    return 2;
+    console.error(`Error loading config: ${message}`);
+    return null;
   }
+}
 
-  // Format and output
-  let output;
-  switch (options.format) {
-    case 'json':
-      output = formatJSON(result);
-      break;
-    case 'markdown':
-      output = formatMarkdown(result);
-      break;
-    case 'sarif':
-      output = formatSARIF(result);
-      break;
-    case 'summary':
-      output = formatSummary(result);
-      break;
-    case 'console':
-    default:
-      output = formatConsole(result, !options.noColor && process.stdout.isTTY);
-      break;
+/**
+ * @typedef {Object} ReviewSetup
+ * @property {OpenAPIReviewer} reviewer - Reviewer configured from the config and CLI flags
+ * @property {Record<string, ReviewFormatter>} formatters - Formats added by plugins
+ */
+
+/**
+ * Build the reviewer for a project config
+ *
+ * Loads the config's custom rules and its plugins along with those from
+ * --plugin; CLI flags are applied on top of the config.
+ *
+ * @param {LoadedProjectConfig | undefined} projectConfig
+ * @param {CLIOptions} options
+ * @returns {Promise<ReviewSetup | undefined>} Undefined if something cannot
+ *   be loaded (the error is printed)
+ */
+async function createReviewSetup(projectConfig, options) {
+  /** @type {ReviewerConfig['customRules']} */
+  let customRules;
+  if (projectConfig?.config.customRules) {
+    try {
+      customRules = loadCustomRules(
+        projectConfig.config,
+        dirname(projectConfig.path)
+      );
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error loading config: ${message}`);
+      return undefined;
+    }
   }
 
-  console.log(output);
+  // Load plugins from the config and from --plugin
+  const pluginSpecifiers = [
+    ...(projectConfig
+      ? getConfigPlugins(projectConfig.config, dirname(projectConfig.path))
+      : []),
+    ...options.plugins,
+  ];
+  /** @type {ReviewerConfig['registry']} */
+  let registry;
+  /** @type {Record<string, ReviewFormatter>} */
+  let formatters = {};
+  if (pluginSpecifiers.length > 0) {
+    try {
+      ({ registry, formatters } = await loadPlugins(pluginSpecifiers));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error loading plugins: ${message}`);
+      return undefined;
+    }
+  }
 
-  // Exit code based on findings
-  if (result.summary.errors > 0) {
-    return 1;
+  // Build reviewer config
+  /** @type {ReviewerConfig} */
+  const config = {
+    ...toReviewerConfig(projectConfig?.config ?? {}),
+    strict: options.strict,
+    categories:
+      options.categories.length > 0
+        ? /** @type {RuleCategory[]} */ (options.categories)
+        : undefined,
+    skipRules: options.skipRules.length > 0 ? options.skipRules : undefined,
+    customRules,
+    registry,
+  };
+  if (options.preset) {
+    config.preset = options.preset;
   }
 
-  return 0;
+  try {
+    return { reviewer: new OpenAPIReviewer(config), formatters };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error reviewing spec: ${message}`);
+    return undefined;
+  }
 }
 
 /**
- * Handle fix mode - apply fixes and write output
- * @param {import('./types.ts').OpenAPISpec} spec
+ * Handle --write-overlay: write the fixes of a review as an overlay
+ *
+ * Fixes are converted against the spec as written ($refs intact), with the
+ * --overlay actions applied; those actions are kept in the written overlay.
+ *
  * @param {string} specPath
  * @param {import('./types.ts').ReviewResult} result
+ * @param {import('./types.ts').Overlay | undefined} baseOverlay - Overlay given with --overlay
  * @param {CLIOptions} options
- * @returns {Promise<number>}
+ * @returns {number}
  */
-async function handleFixMode(spec, specPath, result, options) {
+function handleWriteOverlay(specPath, result, baseOverlay, options) {
+  const overlayPath = /** @type {string} */ (options.writeOverlay);
   const useColor = !options.noColor && process.stdout.isTTY;
   const green = useColor ? '\x1b[32m' : '';
-  const yellow = useColor ? '\x1b[33m' : '';
   const red = useColor ? '\x1b[31m' : '';
   const reset = useColor ? '\x1b[0m' : '';
-  const dim = useColor ? '\x1b[2m' : '';
-
-  // Count fixable findings
-  const fixableFindings = result.findings.filter((f) => f.fix);
-  const unfixableFindings = result.findings.filter((f) => !f.fix);
 
-  if (fixableFindings.length === 0) {
-    console.log(`${yellow}No fixes available.${reset}`);
-    if (unfixableFindings.length > 0) {
-      console.log(
-        `${dim}${unfixableFindings.length} finding(s) require manual intervention.${reset}`
-      );
+  let conversion;
+  try {
+    const document = readSpecAsWritten(specPath, { overlay: baseOverlay });
+    conversion = createOverlay(
+      filterFixes(result.findings, getFixFilters(options)),
+      document,
+      {
+        extends: relative(dirname(resolve(overlayPath)), resolve(specPath)),
+      }
+    );
+    if (baseOverlay) {
+      conversion.overlay = {
+        ...baseOverlay,
+        actions: [...baseOverlay.actions, ...conversion.overlay.actions],
+      };
     }
-    return result.summary.errors > 0 ? 1 : 0;
+    writeOverlay(overlayPath, conversion.overlay);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`${red}Error writing overlay:${reset} ${message}`);
+    return 2;
   }
 
+  printSkippedFixes(conversion.skipped, options);
   console.log(
-    `\n${dim}Found ${fixableFindings.length} fixable issue(s)${reset}\n`
+    `${green}Overlay with ${conversion.overlay.actions.length} action(s) written to:${reset} ${overlayPath}`
   );
 
-  // Apply fixes
-  const fixer = new OpenAPIFixer(spec, { dryRun: options.dryRun });
-  const fixResults = fixer.applyFixes(fixableFindings);
-  const summary = fixer.getSummary();
-
-  // Report results
-  for (const fixResult of fixResults) {
-    const status = fixResult.applied ? `${green}✓${reset}` : `${red}✗${reset}`;
-    console.log(`  ${status} ${fixResult.ruleId}`);
+  return conversion.skipped.length > 0 ? 1 : 0;
+}
 
-    // Show errors for failed fixes
-    if (!fixResult.applied) {
-      for (const change of fixResult.changes) {
-        if (!change.applied && change.error) {
-          console.log(`    ${red}${change.error}${reset}`);
-        }
-      }
-    }
+/**
+ * Handle --write-patch: write the fixes of a review as a JSON Patch
+ *
+ * Fixes are converted against the spec as written ($refs intact), with the
+ * --patch operations applied; those operations are kept in the written patch.
+ *
+ * @param {string} specPath
+ * @param {import('./types.ts').ReviewResult} result
+ * @param {import('./types.ts').JsonPatch | undefined} basePatch - Patch given with --patch
+ * @param {CLIOptions} options
+ * @returns {number}
+ */
+function handleWritePatch(specPath, result, basePatch, options) {
+  const patchPath = /** @type {string} */ (options.writePatch);
+  const useColor = !options.noColor && process.stdout.isTTY;
+  const green = useColor ? '\x1b[32m' : '';
+  const red = useColor ? '\x1b[31m' : '';
+  const reset = useColor ? '\x1b[0m' : '';
+
+  let conversion;
+  try {
+    const document = readSpecAsWritten(specPath, { patch: basePatch });
+    conversion = createJsonPatch(
+      filterFixes(result.findings, getFixFilters(options)),
+      document
+    );
+    if (basePatch) {
+      conversion.patch = [...basePatch, ...conversion.patch];
+    }
+    writeJsonPatch(patchPath, conversion.patch);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`${red}Error writing JSON Patch:${reset} ${message}`);
+    return 2;
+  }
+
+  printSkippedFixes(conversion.skipped, options);
+  console.log(
+    `${green}JSON Patch with ${conversion.patch.length} operation(s) written to:${reset} ${patchPath}`
+  );
+
+  return conversion.skipped.length > 0 ? 1 : 0;
+}
+
+/**
+ * Print the fixes an overlay, a patch or the spec's text could not express
+ * @param {Array<{ruleId: string, path: string, error: string}>} skipped
+ * @param {CLIOptions} options
+ * @param {(line: string) => void} [log=console.log]
+ */
+function printSkippedFixes(skipped, options, log = console.log) {
+  const useColor = !options.noColor && process.stdout.isTTY;
+  const red = useColor ? '\x1b[31m' : '';
+  const reset = useColor ? '\x1b[0m' : '';
+
+  for (const { ruleId, path, error } of skipped) {
+    log(`  ${red}✗${reset} ${ruleId} ${path}`);
+    log(`    ${red}${error}${reset}`);
+  }
+}
+
+/**
+ * Warn about the malformed `x-baume-ignore` entries a review ignored
+ * @param {import('./types.ts').ReviewResult} result
+ */
+function printInvalidSuppressions(result) {
+  for (const issue of result.metadata.invalidSuppressions ?? []) {
+    console.error(`Ignoring invalid suppression: ${issue}`);
+  }
+}
+
+/**
+ * Record in a result that its spec was loaded in lenient mode
+ * @param {import('./types.ts').ReviewResult} result
+ * @param {CLIOptions} options
+ */
+function markLenient(result, options) {
+  result.metadata.lenientMode = true;
+  result.metadata.lenientReason = options.lenient
+    ? 'explicitly requested'
+    : 'automatic fallback due to validation failure';
+}
+
+/**
+ * Handle several specs: review each with the config that applies to it
+ *
+ * Specs under the same config share its reviewer. The exit code is the
+ * worst of all specs: 2 if one could not be reviewed, 1 if one has errors.
+ *
+ * @param {import('./multi-review.js').ResolvedInputs} inputs - Specs the arguments expand to
+ * @param {CLIOptions} options
+ * @returns {Promise<number>}
+ */
+async function handleMultiReview(inputs, options) {
+  const singleSpecFlag = /** @type {const} */ ([
+    ['--fix', options.fix],
+    ['--baseline', options.baseline],
+    ['--write-baseline', options.writeBaseline],
+    ['--overlay', options.overlay],
+    ['--write-overlay', options.writeOverlay],
+    ['--patch', options.patch],
+    ['--write-patch', options.writePatch],
+  ]).find(([, value]) => value)?.[0];
+  if (singleSpecFlag) {
+    console.error(`${singleSpecFlag} works on a single spec`);
+    return 2;
+  }
+  if (inputs.unmatched.length > 0) {
+    console.error(`No specs found in: ${inputs.unmatched.join(', ')}`);
+    return 2;
+  }
+
+  /** @type {Map<string, ReviewSetup>} Setups by config path */
+  const setups = new Map();
+  /** @type {Record<string, ReviewFormatter>} */
+  const formatters = {};
+  /** @type {import('./rules/index.js').BaseRule[]} */
+  const rules = [];
+  /** @type {import('./types.ts').ReviewResult[]} */
+  const reviews = [];
+  /** @type {SourceMap[]} */
+  const sources = [];
+  /** @type {import('./types.ts').SpecFailure[]} */
+  const failures = [];
+
+  for (const specPath of inputs.specPaths) {
+    const projectConfig = resolveProjectConfig(specPath, options);
+    if (projectConfig === null) return 2;
+
+    const key = projectConfig?.path ?? '';
+    let setup = setups.get(key);
+    if (!setup) {
+      setup = await createReviewSetup(projectConfig, options);
+      if (!setup) return 2;
+      setups.set(key, setup);
+      Object.assign(formatters, setup.formatters);
+      rules.push(...setup.reviewer.getRules());
+    }
+
+    const loaded = await loadSpecWithFallback(specPath, options);
+    if ('error' in loaded) {
+      failures.push({ specPath, error: loaded.error });
+      continue;
+    }
+
+    let result;
+    try {
+      result = setup.reviewer.review(loaded.spec, specPath);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error reviewing ${specPath}: ${message}`);
+      failures.push({ specPath, error: message });
+      continue;
+    }
+    printInvalidSuppressions(result);
+
+    const sourceMap = new SourceMap(specPath);
+    addSourceLocations(result, sourceMap);
+    if (projectConfig) {
+      result.metadata.configPath = projectConfig.path;
+    }
+    if (loaded.usedLenient) {
+      markLenient(result, options);
+    }
+    reviews.push(result);
+    sources.push(sourceMap);
+  }
+
+  const result = createMultiReviewResult(reviews, failures);
+
+  let output;
+  try {
+    output = formatMultiResult(result, options, { formatters, sources, rules });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error formatting output: ${message}`);
+    return 2;
+  }
+
+  console.log(output);
+
+  if (failures.length > 0) return 2;
+  return result.summary.errors > 0 ? 1 : 0;
+}
+
+/**
+ * Handle --from-json: re-format existing review JSON output
+ * @param {CLIOptions} options
+ * @returns {Promise<number>}
+ */
+async function handleFromJson(options) {
+  const jsonPath = /** @type {string} */ (options.fromJson);
+
+  // Plugins may provide the requested format and describe their rules
+  /** @type {Record<string, ReviewFormatter>} */
+  let formatters = {};
+  /** @type {ReviewerConfig['registry']} */
+  let registry;
+  if (options.plugins.length > 0) {
+    try {
+      ({ formatters, registry } = await loadPlugins(options.plugins));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error loading plugins: ${message}`);
+      return 2;
+    }
+  }
+
+  // Load JSON review result
+  /** @type {import('./types.ts').ReviewResult} */
+  let result;
+  try {
+    const content = readFileSync(resolve(jsonPath), 'utf-8');
+    result = JSON.parse(content);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error loading JSON: ${message}`);
+    return 2;
+  }
+
+  // Format and output (code frames read the spec files if they are still here)
+  let output;
+  try {
+    output = formatResult(result, options, {
+      formatters,
+      sources: new SourceMap(result.specPath),
+      rules: registry?.getAll(),
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error formatting output: ${message}`);
+    return 2;
+  }
+
+  console.log(output);
+
+  // Exit code based on findings (known baseline findings do not count)
+  if (getNewFindings(result).some((f) => f.severity === 'error')) {
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Handle diff: report the changes between two versions of a spec
+ * @param {string} basePath - Spec clients were built against
+ * @param {string} specPath - New version of the spec
+ * @param {CLIOptions} options
+ * @returns {Promise<number>}
+ */
+async function handleDiff(basePath, specPath, options) {
+  if (!basePath) {
+    printHelp();
+    return 2;
+  }
+
+  // Plugins may provide the requested format
+  /** @type {Record<string, ReviewFormatter>} */
+  let formatters = {};
+  if (options.plugins.length > 0) {
+    try {
+      ({ formatters } = await loadPlugins(options.plugins));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error loading plugins: ${message}`);
+      return 2;
+    }
+  }
+
+  const base = await loadSpecWithFallback(basePath, options);
+  if ('error' in base) return 2;
+  const revision = await loadSpecWithFallback(specPath, options);
+  if ('error' in revision) return 2;
+
+  const result = createDiffResult(diffSpecs(base.spec, revision.spec), {
+    specPath,
+    basePath,
+    spec: revision.spec,
+    strict: options.strict,
+  });
+
+  // Point changes at their line in the revised spec
+  const sourceMap = new SourceMap(specPath);
+  addSourceLocations(result, sourceMap);
+
+  let output;
+  try {
+    output = formatResult(result, options, { formatters, sources: sourceMap });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error formatting output: ${message}`);
+    return 2;
+  }
+
+  console.log(output);
+
+  // Breaking changes fail the build
+  return result.summary.errors > 0 ? 1 : 0;
+}
+
+/**
+ * Format a review result in the requested format
+ * @param {import('./types.ts').ReviewResult} result
+ * @param {CLIOptions} options
+ * @param {Object} context
+ * @param {Record<string, ReviewFormatter>} context.formatters - Formats added by plugins
+ * @param {SourceMap} context.sources - Spec sources, for code frames and SARIF fixes
+ * @param {import('./rules/index.js').BaseRule[]} [context.rules] - Rules to describe in SARIF
+ * @returns {string}
+ * @throws {Error} If a plugin format is requested but not loaded
+ */
+function formatResult(result, options, { formatters, sources, rules }) {
+  const color = !options.noColor && Boolean(process.stdout.isTTY);
+
+  const pluginFormatter = formatters[options.format];
+  if (pluginFormatter) {
+    return pluginFormatter(result, { color });
+  }
+  if (options.format.includes('/')) {
+    throw new Error(
+      `Unknown format '${options.format}' (load the plugin providing it with --plugin or 'plugins:')`
+    );
   }
 
-  console.log('');
+  switch (options.format) {
+    case 'json':
+      return formatJSON(result);
+    case 'markdown':
+      return formatMarkdown(result);
+    case 'sarif':
+      return formatSARIF(result, { rules, sources });
+    case 'summary':
+      return formatSummary(result);
+    case 'console':
+    default:
+      return formatConsole(result, color, sources);
+  }
+}
+
+/**
+ * Format a multi-spec review in the requested format
+ *
+ * Plugin formats only know single reviews: they format each spec, and the
+ * outputs are joined.
+ *
+ * @param {import('./types.ts').MultiReviewResult} result
+ * @param {CLIOptions} options
+ * @param {Object} context
+ * @param {Record<string, ReviewFormatter>} context.formatters - Formats added by plugins
+ * @param {SourceMap[]} context.sources - Spec sources, by review
+ * @param {import('./rules/index.js').BaseRule[]} context.rules - Rules to describe in SARIF
+ * @returns {string}
+ * @throws {Error} If a plugin format is requested but not loaded
+ */
+function formatMultiResult(result, options, { formatters, sources, rules }) {
+  const color = !options.noColor && Boolean(process.stdout.isTTY);
+
+  const pluginFormatter = formatters[options.format];
+  if (pluginFormatter) {
+    return result.reviews
+      .map((review) => pluginFormatter(review, { color }))
+      .join('\n');
+  }
+  if (options.format.includes('/')) {
+    throw new Error(
+      `Unknown format '${options.format}' (load the plugin providing it with --plugin or 'plugins:')`
+    );
+  }
+
+  switch (options.format) {
+    case 'json':
+      return formatJSON(result);
+    case 'markdown':
+      return formatMultiMarkdown(result);
+    case 'sarif':
+      return formatMultiSARIF(result, { rules, sources });
+    case 'summary':
+      return formatMultiSummary(result);
+    case 'console':
+    default:
+      return formatMultiConsole(result, color, sources);
+  }
+}
+
+/**
+ * @typedef {Object} FixContext
+ * @property {OpenAPIReviewer} reviewer - Reviewer that produced the result, to review the fixed spec
+ * @property {Record<string, ReviewFormatter>} formatters - Formats added by plugins
+ * @property {import('./types.ts').OpenAPISpec} [corrected] - The spec with an overlay
+ *   or JSON Patch applied, which is written instead of the file's text
+ */
+
+/**
+ * Ask in the terminal which fixes to apply (see `selectFixes`)
+ * @param {import('./types.ts').Finding[]} findings - Fixable findings
+ * @param {CLIOptions} options
+ * @param {(line: string) => void} log
+ * @returns {Promise<import('./fix-selection.js').FixSelection>}
+ */
+async function promptFixes(findings, options, log) {
+  const terminal = createInterface({
+    input: process.stdin,
+    output: options.format === 'console' ? process.stdout : process.stderr,
+  });
+  // Unlike question(), the line iterator keeps what is typed ahead
+  const lines = terminal[Symbol.asyncIterator]();
+  try {
+    return await selectFixes(findings, {
+      ask: async (question) => {
+        terminal.setPrompt(question);
+        terminal.prompt();
+        const line = await lines.next();
+        return line.done ? '' : line.value;
+      },
+      print: log,
+    });
+  } finally {
+    terminal.close();
+  }
+}
+
+/**
+ * Handle fix mode - apply fixes, verify them and write output
+ *
+ * The fixed spec is reviewed again (see `verifyFixes`), and the fixes are
+ * written into the spec's source text (see `writeBackFixes`), so the
+ * output differs from the spec only where they changed it. Fixes of what
+ * the spec `$ref`s from other files are written into those files, in
+ * place. A dry run does all of it but writing.
+ *
+ * The fixes applied are those the --fix-* filters select, and with
+ * --interactive, those chosen then; findings can also be suppressed then.
+ *
+ * The console format reports the fixes as they go; other formats report
+ * the review of the fixed spec, with the fixes in its summary, and the
+ * progress goes to stderr.
+ *
+ * @param {import('./types.ts').OpenAPISpec} spec
+ * @param {string} specPath
+ * @param {import('./types.ts').ReviewResult} result
+ * @param {CLIOptions} options
+ * @param {FixContext} context
+ * @returns {Promise<number>}
+ */
+async function handleFixMode(spec, specPath, result, options, context) {
+  const { reviewer, formatters, corrected } = context;
+  const useColor = !options.noColor && process.stdout.isTTY;
+  const green = useColor ? '\x1b[32m' : '';
+  const yellow = useColor ? '\x1b[33m' : '';
+  const red = useColor ? '\x1b[31m' : '';
+  const reset = useColor ? '\x1b[0m' : '';
+  const dim = useColor ? '\x1b[2m' : '';
+  const log = options.format === 'console' ? console.log : console.error;
+
+  // Count fixable findings
+  const fixableFindings = result.findings.filter((f) => f.fix);
+  const unfixableFindings = result.findings.filter((f) => !f.fix);
+
+  if (fixableFindings.length === 0) {
+    log(`${yellow}No fixes available.${reset}`);
+    if (unfixableFindings.length > 0) {
+      log(
+        `${dim}${unfixableFindings.length} finding(s) require manual intervention.${reset}`
+      );
+    }
+    return result.summary.errors > 0 ? 1 : 0;
+  }
+
+  log(`\n${dim}Found ${fixableFindings.length} fixable issue(s)${reset}\n`);
+
+  // Select the fixes to apply
+  const filters = getFixFilters(options);
+  let selected = filterFixes(fixableFindings, filters);
+  if (selected.length < fixableFindings.length) {
+    log(
+      `${dim}${selected.length} of them selected by --fix-rule, --fix-category and --fix-severity${reset}\n`
+    );
+  }
+  /** @type {Array<{ruleId: string, reason?: string}>} */
+  let disabled = [];
+  if (options.interactive) {
+    const selection = await promptFixes(selected, options, log);
+    selected = [...selection.accepted, ...selection.suppressed];
+    disabled = selection.disabled;
+    log('');
+  }
+
+  // Disable the rules chosen in the project config (or create one)
+  if (disabled.length > 0) {
+    const configPath =
+      result.metadata.configPath ??
+      join(dirname(specPath), CONFIG_DIR, 'config.yaml');
+    const rules = disabled.map(({ ruleId }) => ruleId).join(', ');
+    if (options.dryRun) {
+      log(`${yellow}Dry run:${reset} Would disable ${rules} in ${configPath}`);
+    } else {
+      try {
+        writeDisabledRules(configPath, disabled);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        console.error(`${red}Error writing config:${reset} ${message}`);
+        return 2;
+      }
+      log(`${green}Disabled${reset} ${rules} in ${configPath}`);
+    }
+  }
+
+  if (selected.length === 0) {
+    log(`${yellow}No fixes selected.${reset}`);
+    return result.summary.errors > 0 ? 1 : 0;
+  }
+
+  // Apply fixes and review the fixed spec
+  let verified;
+  try {
+    verified = verifyFixes(reviewer, spec, result, {
+      maxIterations: options.fixIterations,
+      fixes: selected,
+      filter: (finding) => matchesFixFilters(finding, filters),
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error reviewing fixed spec: ${message}`);
+    return 2;
+  }
+  const { fixResults, summary } = verified;
+  const review = verified.result;
+  const fixes = /** @type {import('./types.ts').FixVerification} */ (
+    review.summary.fixes
+  );
+
+  // Report results
+  for (const fixResult of fixResults) {
+    const status = fixResult.applied ? `${green}✓${reset}` : `${red}✗${reset}`;
+    const suppressed =
+      fixResult.finding?.fix?.type === 'suppress'
+        ? ` ${dim}(suppressed)${reset}`
+        : '';
+    const sameAs = fixResult.sameAs
+      ? ` ${dim}(with the fix of ${fixResult.sameAs.path})${reset}`
+      : '';
+    log(`  ${status} ${fixResult.ruleId}${suppressed}${sameAs}`);
+
+    // Show errors for failed fixes
+    if (!fixResult.applied) {
+      for (const change of fixResult.changes) {
+        if (!change.applied && change.error) {
+          log(`    ${red}${change.error}${reset}`);
+        }
+      }
+    }
+  }
+
+  log('');
 
   // Summary line
   if (options.dryRun) {
-    console.log(
+    log(
       `${yellow}Dry run:${reset} Would apply ${green}${summary.applied}${reset} fix(es) (${summary.changes} change(s))`
     );
     if (summary.failed > 0) {
-      console.log(`  ${red}${summary.failed} fix(es) would fail${reset}`);
+      log(`  ${red}${summary.failed} fix(es) would fail${reset}`);
     }
   } else {
-    console.log(
+    log(
       `Applied ${green}${summary.applied}${reset} fix(es) (${summary.changes} change(s))`
     );
     if (summary.failed > 0) {
-      console.log(`  ${red}${summary.failed} fix(es) failed${reset}`);
+      log(`  ${red}${summary.failed} fix(es) failed${reset}`);
+    }
+  }
+  if (summary.conflicts > 0) {
+    log(
+      `  ${yellow}${summary.conflicts} of them conflict with another fix${reset}`
+    );
+  }
+
+  // What the fixes resolved, and what they introduced
+  log(
+    `\nRe-reviewed the fixed spec: ${green}${fixes.resolved} resolved${reset}, ${fixes.persisting} persisting, ${fixes.introduced > 0 ? yellow : ''}${fixes.introduced} introduced${reset}${fixes.iterations > 1 ? ` (${fixes.iterations} iterations)` : ''}`
+  );
+  for (const finding of review.findings) {
+    if (finding.fixStatus === 'introduced') {
+      log(`  ${yellow}+${reset} ${finding.ruleId} ${finding.path}`);
+      log(`    ${dim}${finding.message}${reset}`);
     }
   }
+  if (!fixes.converged) {
+    log(
+      `${dim}The fixes introduced fixable findings: fix them too with a higher --fix-iterations${reset}`
+    );
+  }
 
   // Write output
-  if (!options.dryRun && summary.applied > 0) {
-    const outputPath = options.output || getDefaultOutputPath(specPath);
-    const ext = extname(outputPath).toLowerCase();
+  const outputPath = options.output || getDefaultOutputPath(specPath);
+  /** @type {SourceMap | undefined} Sources of the fixed spec */
+  let fixedSources;
+  let unwritten = 0;
+  if (summary.applied > 0) {
+    const isJSON = (/** @type {string} */ path) =>
+      extname(path).toLowerCase() === '.json';
 
     try {
-      let content;
-      if (ext === '.json') {
-        content = JSON.stringify(fixer.getSpec(), null, 2);
-      } else {
-        content = await serializeYAML(fixer.getSpec());
+      const source = corrected
+        ? isJSON(specPath)
+          ? JSON.stringify(corrected, null, 2) + '\n'
+          : await serializeYAML(corrected)
+        : undefined;
+      // As applied: in the planned order, with paths rebased after renames,
+      // and each change once
+      const applied = fixResults.flatMap((fixResult) =>
+        fixResult.applied && fixResult.finding && !fixResult.sameAs
+          ? [fixResult.finding]
+          : []
+      );
+      // Files the spec $refs are fixed in place, so only along with it
+      const writeBack = writeBackFixes(applied, specPath, source, {
+        refFiles: resolve(outputPath) === resolve(specPath),
+      });
+
+      if (writeBack.skipped.length > 0) {
+        log(
+          `\n${red}${writeBack.skipped.length} fix(es) could not be written:${reset}`
+        );
+        printSkippedFixes(writeBack.skipped, options, log);
+        unwritten = writeBack.skipped.length;
+      }
+      if (writeBack.reformatted.length > 0) {
+        log(
+          `\n${yellow}Reformatted the spec to write:${reset} ${writeBack.reformatted
+            .map((finding) => finding.ruleId)
+            .join(', ')}`
+        );
       }
 
-      writeFileSync(outputPath, content, 'utf-8');
-      console.log(`\n${green}Fixed spec written to:${reset} ${outputPath}`);
+      if (writeBack.written.length > 0) {
+        let content = writeBack.text;
+        // Converting between YAML and JSON rewrites the whole file anyway
+        if (isJSON(outputPath) !== isJSON(specPath)) {
+          const fixed = parseYaml(content);
+          content = isJSON(outputPath)
+            ? JSON.stringify(fixed, null, 2) + '\n'
+            : await serializeYAML(fixed);
+        }
+        content = rebaseOutput(content, specPath, outputPath);
+        fixedSources = new SourceMap(outputPath, content, writeBack.files);
+        const refFiles = Object.keys(writeBack.files);
+        if (options.dryRun && refFiles.length > 0) {
+          log(
+            `\n${yellow}Dry run:${reset} Would fix $ref'd file(s) in place: ${refFiles.join(', ')}`
+          );
+        }
+        if (!options.dryRun) {
+          writeFileSync(outputPath, content, 'utf-8');
+          log(`\n${green}Fixed spec written to:${reset} ${outputPath}`);
+          for (const file of refFiles) {
+            writeFileSync(file, writeBack.files[file], 'utf-8');
+            log(`${green}Fixed $ref'd file in place:${reset} ${file}`);
+          }
+          const journalPath = writeJournal(
+            createJournal(
+              fixResults.filter(
+                (fixResult) =>
+                  fixResult.finding &&
+                  writeBack.written.includes(fixResult.finding)
+              ),
+              { specPath, outputPath },
+              writeBack.previous
+            )
+          );
+          log(
+            `${dim}Journal written to ${journalPath} (revert with --undo)${reset}`
+          );
+        }
+      }
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
       console.error(`${red}Error writing output:${reset} ${message}`);
@@ -521,21 +1659,145 @@ async function handleFixMode(spec, specPath, result, options) {
 
   // Report unfixable issues
   if (unfixableFindings.length > 0) {
-    console.log(
+    log(
       `\n${dim}${unfixableFindings.length} issue(s) require manual fixes:${reset}`
     );
     for (const finding of unfixableFindings.slice(0, 5)) {
-      console.log(`  ${dim}- ${finding.path}: ${finding.message}${reset}`);
+      log(`  ${dim}- ${finding.path}: ${finding.message}${reset}`);
     }
     if (unfixableFindings.length > 5) {
+      log(`  ${dim}... and ${unfixableFindings.length - 5} more${reset}`);
+    }
+  }
+
+  // Other formats report the review of the fixed spec
+  if (options.format !== 'console') {
+    for (const key of FIXED_REVIEW_METADATA) {
+      if (result.metadata[key] !== undefined) {
+        Object.assign(review.metadata, { [key]: result.metadata[key] });
+      }
+    }
+    // Locations point into the fixed spec, when it is all written
+    if (fixedSources && !options.dryRun && unwritten === 0) {
+      addSourceLocations(review, fixedSources);
+    }
+    try {
       console.log(
-        `  ${dim}... and ${unfixableFindings.length - 5} more${reset}`
+        formatResult(review, options, {
+          formatters,
+          sources: fixedSources ?? new SourceMap(specPath),
+          rules: reviewer.getRules(),
+        })
       );
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      console.error(`Error formatting output: ${message}`);
+      return 2;
     }
   }
 
-  // Return success if no errors remain
-  return summary.failed > 0 ? 1 : 0;
+  // Fail if a fix did not make it into the spec, or introduced an error
+  const introducedErrors = review.findings.some(
+    (f) => f.fixStatus === 'introduced' && f.severity === 'error'
+  );
+  return summary.failed > 0 || unwritten > 0 || introducedErrors ? 1 : 0;
+}
+
+/**
+ * Handle --undo - revert the fixes recorded in a journal
+ *
+ * The inverses of the fixes are written into the text of the spec they
+ * were written to (see `writeBackFixes`), last fix first, or into a copy
+ * with --output; files it `$ref`s are reverted in place. Nothing is
+ * written if the spec has changed where a fix wrote, if an inverse cannot
+ * be written, or if the reverted files do not parse (e.g., have duplicate
+ * keys).
+ *
+ * @param {string} journalPath
+ * @param {CLIOptions} options
+ * @returns {Promise<number>}
+ */
+async function handleUndo(journalPath, options) {
+  const useColor = !options.noColor && process.stdout.isTTY;
+  const green = useColor ? '\x1b[32m' : '';
+  const yellow = useColor ? '\x1b[33m' : '';
+  const red = useColor ? '\x1b[31m' : '';
+  const reset = useColor ? '\x1b[0m' : '';
+
+  let journal;
+  try {
+    journal = loadJournal(journalPath);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`Error loading journal: ${message}`);
+    return 2;
+  }
+  const specPath = relative(process.cwd(), journal.output);
+  const outputPath = options.output || specPath;
+
+  let writeBack;
+  try {
+    const spec = await loadSpec(specPath, true);
+    writeBack = writeBackFixes(
+      createUndoFindings(journal, spec),
+      specPath,
+      undefined,
+      { refFiles: resolve(outputPath) === resolve(specPath) }
+    );
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`${red}Error undoing fixes:${reset} ${message}`);
+    return 2;
+  }
+  if (writeBack.skipped.length > 0) {
+    console.error(
+      `${red}${writeBack.skipped.length} fix(es) could not be undone, so none was:${reset}`
+    );
+    printSkippedFixes(writeBack.skipped, options, console.error);
+    return 2;
+  }
+  const invalid = [
+    [specPath, writeBack.text],
+    ...Object.entries(writeBack.files),
+  ].flatMap(([file, text]) =>
+    parseDocument(text).errors.map((error) => `${file}: ${error.message}`)
+  );
+  if (invalid.length > 0) {
+    console.error(
+      `${red}Undoing the fixes would leave invalid files, so none was written:${reset}`
+    );
+    for (const message of invalid) console.error(`  ${message}`);
+    return 2;
+  }
+
+  for (const finding of writeBack.written) {
+    console.log(`  ${green}↶${reset} ${finding.ruleId} ${finding.path}`);
+  }
+  if (options.dryRun) {
+    console.log(
+      `\n${yellow}Dry run:${reset} Would undo ${writeBack.written.length} fix(es) in ${[outputPath, ...Object.keys(writeBack.files)].join(', ')}`
+    );
+    return 0;
+  }
+  try {
+    writeFileSync(
+      outputPath,
+      rebaseOutput(writeBack.text, specPath, outputPath),
+      'utf-8'
+    );
+    for (const [file, text] of Object.entries(writeBack.files)) {
+      writeFileSync(file, text, 'utf-8');
+      console.log(`  ${green}Reverted $ref'd file in place:${reset} ${file}`);
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    console.error(`${red}Error writing output:${reset} ${message}`);
+    return 2;
+  }
+  console.log(
+    `\n${green}Undid ${writeBack.written.length} fix(es), written to:${reset} ${outputPath}`
+  );
+  return 0;
 }
 
 // Run CLI
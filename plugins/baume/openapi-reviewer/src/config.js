@@ -0,0 +1,396 @@
+// @ts-check
+/**
+ * Project Configuration
+ *
+ * Discovers, parses and validates `.api-hygiene/config.yaml` files and
+ * converts them into reviewer configuration.
+ *
+ * @example
+ * ```js
+ * const loaded = loadProjectConfig('api/openapi.yaml');
+ * const reviewer = new OpenAPIReviewer({
+ *   ...toReviewerConfig(loaded?.config ?? {}),
+ *   strict: true,
+ * });
+ * ```
+ *
+ * @module config
+ */
+
+import {
+  existsSync,
+  globSync,
+  mkdirSync,
+  readFileSync,
+  writeFileSync,
+} from 'node:fs';
+import { dirname, extname, isAbsolute, join, resolve } from 'node:path';
+import { parse as parseYaml, parseDocument } from 'yaml';
+import { compileRules, defaultRegistry } from './rules/index.js';
+import { validateOptions } from './rules/options.js';
+
+/**
+ * @typedef {import('./types.ts').ProjectConfig} ProjectConfig
+ * @typedef {import('./types.ts').ReviewerConfig} ReviewerConfig
+ * @typedef {import('./types.ts').RuleOverride} RuleOverride
+ * @typedef {import('./rules/index.js').BaseRule} BaseRule
+ */
+
+/** Directory holding project configuration */
+export const CONFIG_DIR = '.api-hygiene';
+
+/** Config file names, in lookup order */
+export const CONFIG_FILENAMES = ['config.yaml', 'config.yml', 'config.json'];
+
+const SEVERITIES = ['error', 'warning', 'suggestion'];
+const CONFIG_KEYS = ['extends', 'rules', 'exclude', 'customRules', 'plugins'];
+const RULE_KEYS = ['enabled', 'severity', 'weight', 'options', 'reason'];
+
+/**
+ * Find the nearest config file by walking up from a spec file
+ * @param {string} specPath - Path to the spec (or a directory)
+ * @returns {string | undefined} Absolute path to the config file
+ */
+export function findConfigFile(specPath) {
+  const start = resolve(specPath);
+  let dir = extname(start) ? dirname(start) : start;
+
+  while (true) {
+    for (const filename of CONFIG_FILENAMES) {
+      const candidate = join(dir, CONFIG_DIR, filename);
+      if (existsSync(candidate)) return candidate;
+    }
+
+    const parent = dirname(dir);
+    if (parent === dir) return undefined;
+    dir = parent;
+  }
+}
+
+/**
+ * Validate a parsed config object
+ * @param {unknown} raw - Parsed YAML/JSON content
+ * @returns {string[]} Validation issues (empty when valid)
+ */
+export function validateConfig(raw) {
+  /** @type {string[]} */
+  const issues = [];
+
+  if (raw === null || raw === undefined) return issues;
+  if (!isPlainObject(raw)) {
+    return ['config must be a mapping'];
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!CONFIG_KEYS.includes(key)) {
+      issues.push(
+        `${key}: unknown key (expected one of ${CONFIG_KEYS.join(', ')})`
+      );
+    }
+  }
+
+  if (raw.extends !== undefined && typeof raw.extends !== 'string') {
+    issues.push('extends: must be a preset name');
+  }
+
+  if (raw.rules !== undefined) {
+    if (!isPlainObject(raw.rules)) {
+      issues.push('rules: must be a mapping of rule IDs to settings');
+    } else {
+      for (const [ruleId, settings] of Object.entries(raw.rules)) {
+        issues.push(...validateRuleOverride(ruleId, settings));
+      }
+    }
+  }
+
+  if (raw.exclude !== undefined) {
+    if (!Array.isArray(raw.exclude)) {
+      issues.push('exclude: must be a list of path patterns');
+    } else {
+      raw.exclude.forEach((pattern, i) => {
+        if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+          issues.push(
+            `exclude[${i}]: must be a path pattern starting with '/'`
+          );
+        }
+      });
+    }
+  }
+
+  if (raw.customRules !== undefined) {
+    if (!Array.isArray(raw.customRules)) {
+      issues.push('customRules: must be a list of rule files');
+    } else {
+      raw.customRules.forEach((entry, i) => {
+        if (typeof entry !== 'string' || entry === '') {
+          issues.push(`customRules[${i}]: must be a file path or glob`);
+        }
+      });
+    }
+  }
+
+  if (raw.plugins !== undefined) {
+    if (!Array.isArray(raw.plugins)) {
+      issues.push('plugins: must be a list of packages or module paths');
+    } else {
+      raw.plugins.forEach((entry, i) => {
+        if (typeof entry !== 'string' || entry === '') {
+          issues.push(`plugins[${i}]: must be a package name or module path`);
+        }
+      });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Validate settings for a single rule
+ * @param {string} ruleId - Rule the settings apply to
+ * @param {unknown} settings
+ * @returns {string[]}
+ */
+function validateRuleOverride(ruleId, settings) {
+  const where = `rules.${ruleId}`;
+  if (!isPlainObject(settings)) {
+    return [`${where}: must be a mapping`];
+  }
+
+  /** @type {string[]} */
+  const issues = [];
+
+  for (const key of Object.keys(settings)) {
+    if (!RULE_KEYS.includes(key)) {
+      issues.push(
+        `${where}.${key}: unknown key (expected one of ${RULE_KEYS.join(', ')})`
+      );
+    }
+  }
+  if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+    issues.push(`${where}.enabled: must be true or false`);
+  }
+  if (
+    settings.severity !== undefined &&
+    !SEVERITIES.includes(/** @type {string} */ (settings.severity))
+  ) {
+    issues.push(`${where}.severity: must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (
+    settings.weight !== undefined &&
+    (typeof settings.weight !== 'number' ||
+      !Number.isFinite(settings.weight) ||
+      settings.weight < 0)
+  ) {
+    issues.push(`${where}.weight: must be a non-negative number`);
+  }
+  if (settings.options !== undefined) {
+    // Built-in rules are checked against their schema; custom rules when loaded
+    const rule = defaultRegistry.getById(ruleId);
+    if (rule) {
+      issues.push(
+        ...validateOptions(
+          rule.optionsSchema,
+          settings.options,
+          `${where}.options`
+        )
+      );
+    } else if (!isPlainObject(settings.options)) {
+      issues.push(`${where}.options: must be a mapping`);
+    }
+  }
+  if (settings.reason !== undefined && typeof settings.reason !== 'string') {
+    issues.push(`${where}.reason: must be a string`);
+  }
+
+  return issues;
+}
+
+/**
+ * Load and validate a config file
+ * @param {string} configPath - Path to the config file
+ * @returns {ProjectConfig}
+ * @throws {Error} If the file cannot be parsed or is invalid
+ */
+export function loadConfigFile(configPath) {
+  const content = readFileSync(configPath, 'utf-8');
+
+  /** @type {unknown} */
+  let raw;
+  try {
+    raw =
+      extname(configPath).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : parseYaml(content);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot parse config ${configPath}: ${message}`);
+  }
+
+  const issues = validateConfig(raw);
+  if (issues.length > 0) {
+    throw new Error(
+      `Invalid config ${configPath}:\n${issues.map((i) => `  - ${i}`).join('\n')}`
+    );
+  }
+
+  return /** @type {ProjectConfig} */ (raw ?? {});
+}
+
+/**
+ * Load project config for a spec, either from an explicit path or by discovery
+ * @param {string} specPath - Path to the spec being reviewed
+ * @param {string} [configPath] - Explicit config path (skips discovery)
+ * @returns {{config: ProjectConfig, path: string} | undefined}
+ */
+export function loadProjectConfig(specPath, configPath) {
+  const path = configPath ? resolve(configPath) : findConfigFile(specPath);
+  if (!path) return undefined;
+
+  if (!existsSync(path)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  return { config: loadConfigFile(path), path };
+}
+
+/**
+ * Disable rules in a config file, creating the file if needed
+ *
+ * Other settings of the rules are kept, and so are the comments and layout
+ * of a YAML file.
+ *
+ * @param {string} configPath - e.g., the path `findConfigFile` found, or
+ *   `.api-hygiene/config.yaml` next to the spec
+ * @param {Array<{ruleId: string, reason?: string}>} rules
+ * @throws {Error} If the file cannot be parsed or written
+ */
+export function writeDisabledRules(configPath, rules) {
+  const content = existsSync(configPath)
+    ? readFileSync(configPath, 'utf-8')
+    : '';
+  mkdirSync(dirname(configPath), { recursive: true });
+
+  if (extname(configPath).toLowerCase() === '.json') {
+    /** @type {ProjectConfig} */
+    let config;
+    try {
+      config = content ? JSON.parse(content) : {};
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      throw new Error(`Cannot parse config ${configPath}: ${message}`);
+    }
+    config.rules ??= {};
+    for (const { ruleId, reason } of rules) {
+      config.rules[ruleId] = {
+        ...config.rules[ruleId],
+        enabled: false,
+        ...(reason && { reason }),
+      };
+    }
+    writeFileSync(configPath, JSON.stringify(config, null, 2) + '\n');
+    return;
+  }
+
+  const document = parseDocument(content);
+  if (document.errors.length > 0) {
+    throw new Error(
+      `Cannot parse config ${configPath}: ${document.errors[0].message}`
+    );
+  }
+  for (const { ruleId, reason } of rules) {
+    document.setIn(['rules', ruleId, 'enabled'], false);
+    if (reason) document.setIn(['rules', ruleId, 'reason'], reason);
+  }
+  writeFileSync(configPath, document.toString({ lineWidth: 0 }));
+}
+
+/**
+ * Load and compile the declarative rules referenced by `customRules`
+ * @param {ProjectConfig} config - Project config
+ * @param {string} baseDir - Directory entries are resolved against (the config file's)
+ * @returns {BaseRule[]}
+ * @throws {Error} If a file is missing, unparseable or defines an invalid rule
+ */
+export function loadCustomRules(config, baseDir) {
+  /** @type {string[]} */
+  const files = [];
+
+  for (const entry of config.customRules ?? []) {
+    const pattern = isAbsolute(entry) ? entry : join(baseDir, entry);
+    const matches = /[*?[{]/.test(entry) ? globSync(pattern).sort() : [pattern];
+
+    if (matches.length === 0 || !matches.every((file) => existsSync(file))) {
+      throw new Error(`Custom rule file not found: ${entry}`);
+    }
+    files.push(...matches.filter((file) => !files.includes(file)));
+  }
+
+  const docs = files.map((file) => {
+    const content = readFileSync(file, 'utf-8');
+    try {
+      return extname(file).toLowerCase() === '.json'
+        ? JSON.parse(content)
+        : parseYaml(content);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      throw new Error(`Cannot parse rule ${file}: ${message}`);
+    }
+  });
+
+  const rules = compileRules(docs, files);
+  for (const [i, rule] of rules.entries()) {
+    if (defaultRegistry.getById(rule.id)) {
+      throw new Error(
+        `Rule ${files[i]}: '${rule.id}' conflicts with a built-in rule`
+      );
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Get the plugins referenced by `plugins`, ready for `loadPlugins`
+ *
+ * Module paths are resolved against the config file's directory; package
+ * names are left as they are.
+ *
+ * @param {ProjectConfig} config - Project config
+ * @param {string} baseDir - The config file's directory
+ * @returns {string[]}
+ */
+export function getConfigPlugins(config, baseDir) {
+  return (config.plugins ?? []).map((entry) =>
+    entry.startsWith('.') ? resolve(baseDir, entry) : entry
+  );
+}
+
+/**
+ * Convert project config into reviewer config
+ * @param {ProjectConfig} config
+ * @returns {ReviewerConfig}
+ */
+export function toReviewerConfig(config) {
+  /** @type {ReviewerConfig} */
+  const reviewerConfig = {};
+
+  if (config.extends) {
+    reviewerConfig.preset = config.extends;
+  }
+  if (config.rules) {
+    reviewerConfig.rules = config.rules;
+  }
+  if (config.exclude && config.exclude.length > 0) {
+    reviewerConfig.exclude = config.exclude;
+  }
+
+  return reviewerConfig;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,309 @@
+// @ts-check
+/**
+ * Tests for project configuration loading
+ * Run with: node --test src/config.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  writeFileSync,
+  rmSync,
+} from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  findConfigFile,
+  getConfigPlugins,
+  loadConfigFile,
+  loadProjectConfig,
+  validateConfig,
+  toReviewerConfig,
+  writeDisabledRules,
+} from './config.js';
+import { matchesPathPattern } from './rules/index.js';
+
+describe('validateConfig', () => {
+  it('accepts an empty config', () => {
+    assert.deepEqual(validateConfig(null), []);
+    assert.deepEqual(validateConfig({}), []);
+  });
+
+  it('accepts documented rule settings and exclusions', () => {
+    const issues = validateConfig({
+      extends: 'google-aip-standard',
+      rules: {
+        'aip155/idempotency-key': {
+          enabled: false,
+          reason: 'Using database-level deduplication',
+        },
+        'aip158/list-paginated': { severity: 'error' },
+      },
+      exclude: ['/health', '/internal/*'],
+    });
+
+    assert.deepEqual(issues, []);
+  });
+
+  it('rejects unknown keys', () => {
+    const issues = validateConfig({ rulez: {} });
+    assert.equal(issues.length, 1);
+    assert.match(issues[0], /^rulez: unknown key/);
+  });
+
+  it('reports invalid rule settings with their location', () => {
+    const issues = validateConfig({
+      rules: {
+        'aip158/list-paginated': { severity: 'fatal', enabled: 'no' },
+      },
+    });
+
+    assert.ok(
+      issues.some((i) => i.startsWith('rules.aip158/list-paginated.severity'))
+    );
+    assert.ok(
+      issues.some((i) => i.startsWith('rules.aip158/list-paginated.enabled'))
+    );
+  });
+
+  it('validates rule options against the rule', () => {
+    assert.deepEqual(
+      validateConfig({
+        rules: {
+          'aip158/max-page-size': { options: { maximum: 50 } },
+          'myorg/custom': { options: { anything: true } },
+        },
+      }),
+      []
+    );
+
+    assert.deepEqual(
+      validateConfig({
+        rules: {
+          'aip158/max-page-size': {
+            options: { maximum: 'big', pageSizeNames: 'limit', size: 1 },
+          },
+          'aip122/no-verbs': { options: { verbs: [] } },
+          'myorg/custom': { options: ['x'] },
+        },
+      }),
+      [
+        'rules.aip158/max-page-size.options.maximum: must be an integer',
+        'rules.aip158/max-page-size.options.pageSizeNames: must be a list of strings',
+        'rules.aip158/max-page-size.options.size: unknown option (expected one of pageSizeNames, maximum, flagLargerMaximum)',
+        'rules.aip122/no-verbs.options.verbs: unknown option (the rule has no options)',
+        'rules.myorg/custom.options: must be a mapping',
+      ]
+    );
+  });
+
+  it('validates custom rule references', () => {
+    assert.deepEqual(validateConfig({ customRules: ['./rules/*.yaml'] }), []);
+    assert.deepEqual(validateConfig({ customRules: [''] }), [
+      'customRules[0]: must be a file path or glob',
+    ]);
+  });
+
+  it('validates plugin references', () => {
+    assert.deepEqual(
+      validateConfig({ plugins: ['@acme/baume-plugin', './rules/acme.js'] }),
+      []
+    );
+    assert.deepEqual(validateConfig({ plugins: 'acme' }), [
+      'plugins: must be a list of packages or module paths',
+    ]);
+    assert.deepEqual(validateConfig({ plugins: [42] }), [
+      'plugins[0]: must be a package name or module path',
+    ]);
+  });
+
+  it('rejects exclude patterns that are not paths', () => {
+    const issues = validateConfig({ exclude: ['health', 42] });
+    assert.deepEqual(issues, [
+      "exclude[0]: must be a path pattern starting with '/'",
+      "exclude[1]: must be a path pattern starting with '/'",
+    ]);
+  });
+});
+
+describe('config discovery', () => {
+  /** @type {string} */
+  let root;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'baume-config-'));
+    mkdirSync(join(root, '.api-hygiene'));
+    mkdirSync(join(root, 'services', 'books'), { recursive: true });
+    writeFileSync(
+      join(root, '.api-hygiene', 'config.yaml'),
+      [
+        'rules:',
+        '  aip122/plural-resources:',
+        '    severity: error',
+        'exclude:',
+        '  - /health',
+      ].join('\n')
+    );
+    writeFileSync(join(root, 'services', 'books', 'openapi.yaml'), '');
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('walks up from the spec to find the config', () => {
+    const found = findConfigFile(
+      join(root, 'services', 'books', 'openapi.yaml')
+    );
+    assert.equal(found, join(root, '.api-hygiene', 'config.yaml'));
+  });
+
+  it('loads and validates the discovered config', () => {
+    const loaded = loadProjectConfig(
+      join(root, 'services', 'books', 'openapi.yaml')
+    );
+
+    assert.ok(loaded);
+    assert.equal(loaded.path, join(root, '.api-hygiene', 'config.yaml'));
+    assert.deepEqual(loaded.config.exclude, ['/health']);
+  });
+
+  it('throws a descriptive error for invalid files', () => {
+    const badPath = join(root, 'bad.yaml');
+    writeFileSync(badPath, 'rules:\n  foo:\n    severity: loud\n');
+
+    assert.throws(
+      () => loadConfigFile(badPath),
+      /Invalid config .*bad\.yaml:\n {2}- rules\.foo\.severity/
+    );
+  });
+
+  it('throws when an explicit config path does not exist', () => {
+    assert.throws(
+      () => loadProjectConfig('openapi.yaml', join(root, 'missing.yaml')),
+      /Config file not found/
+    );
+  });
+});
+
+describe('writeDisabledRules', () => {
+  /** @type {string} */
+  let root;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'baume-disable-'));
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('keeps the comments and other settings of a YAML config', () => {
+    const configPath = join(root, 'config.yaml');
+    writeFileSync(
+      configPath,
+      [
+        '# Shared by all services',
+        'extends: google-aip-standard',
+        'rules:',
+        '  aip158/max-page-size:',
+        '    severity: error # agreed in review',
+        '',
+      ].join('\n')
+    );
+
+    writeDisabledRules(configPath, [
+      { ruleId: 'aip158/max-page-size' },
+      { ruleId: 'aip122/plural-resources', reason: 'Public API' },
+    ]);
+
+    assert.equal(
+      readFileSync(configPath, 'utf-8'),
+      [
+        '# Shared by all services',
+        'extends: google-aip-standard',
+        'rules:',
+        '  aip158/max-page-size:',
+        '    severity: error # agreed in review',
+        '    enabled: false',
+        '  aip122/plural-resources:',
+        '    enabled: false',
+        '    reason: Public API',
+        '',
+      ].join('\n')
+    );
+    assert.deepEqual(validateConfig(loadConfigFile(configPath)), []);
+  });
+
+  it('creates the config, and writes JSON configs as JSON', () => {
+    const yamlPath = join(root, 'new', '.api-hygiene', 'config.yaml');
+    writeDisabledRules(yamlPath, [{ ruleId: 'aip132/has-ordering' }]);
+    assert.deepEqual(loadConfigFile(yamlPath), {
+      rules: { 'aip132/has-ordering': { enabled: false } },
+    });
+
+    const jsonPath = join(root, 'config.json');
+    writeFileSync(jsonPath, '{"exclude": ["/health"]}');
+    writeDisabledRules(jsonPath, [
+      { ruleId: 'aip132/has-ordering', reason: 'Sorted by the client' },
+    ]);
+    assert.deepEqual(JSON.parse(readFileSync(jsonPath, 'utf-8')), {
+      exclude: ['/health'],
+      rules: {
+        'aip132/has-ordering': {
+          enabled: false,
+          reason: 'Sorted by the client',
+        },
+      },
+    });
+  });
+});
+
+describe('toReviewerConfig', () => {
+  it('maps extends, rules and exclusions', () => {
+    const config = toReviewerConfig({
+      extends: 'google-aip-standard',
+      rules: { 'aip122/no-verbs': { enabled: false } },
+      exclude: ['/metrics'],
+    });
+
+    assert.deepEqual(config, {
+      preset: 'google-aip-standard',
+      rules: { 'aip122/no-verbs': { enabled: false } },
+      exclude: ['/metrics'],
+    });
+  });
+});
+
+describe('getConfigPlugins', () => {
+  it('resolves module paths against the config directory', () => {
+    assert.deepEqual(
+      getConfigPlugins(
+        { plugins: ['@acme/baume-plugin', './rules/acme.js'] },
+        '/repo/.api-hygiene'
+      ),
+      ['@acme/baume-plugin', '/repo/.api-hygiene/rules/acme.js']
+    );
+  });
+});
+
+describe('matchesPathPattern', () => {
+  it('matches exact paths', () => {
+    assert.ok(matchesPathPattern('/health', '/health'));
+    assert.ok(!matchesPathPattern('/health/live', '/health'));
+  });
+
+  it('matches a single segment with *', () => {
+    assert.ok(matchesPathPattern('/internal/users', '/internal/*'));
+    assert.ok(!matchesPathPattern('/internal/users/{id}', '/internal/*'));
+  });
+
+  it('matches any depth with **', () => {
+    assert.ok(matchesPathPattern('/docs', '/docs/**'));
+    assert.ok(matchesPathPattern('/docs/v1/index', '/docs/**'));
+    assert.ok(!matchesPathPattern('/documents', '/docs/**'));
+  });
+});
@@ -0,0 +1,572 @@
+// @ts-check
+/**
+ * Tests for the declarative custom-rule engine
+ * Run with: node --test src/declarative.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { OpenAPIReviewer } from './reviewer.js';
+import { loadCustomRules } from './config.js';
+import {
+  compileRule,
+  compileRules,
+  registerDeclarativeRules,
+  RuleRegistry,
+  OperationRule,
+  PathRule,
+  SchemaRule,
+  SpecRule,
+  matchesPathPattern,
+} from './rules/index.js';
+
+/** @type {import('./types.ts').OpenAPISpec} */
+const spec = {
+  openapi: '3.0.0',
+  info: { title: 'Books API', version: '1.0.0' },
+  security: [{ bearer: [] }],
+  paths: {
+    '/health': {
+      get: { security: [], responses: { 200: { description: 'OK' } } },
+    },
+    '/v1/books': {
+      get: {
+        operationId: 'listBooks',
+        tags: ['books'],
+        responses: { 200: { description: 'OK' } },
+      },
+      post: {
+        operationId: 'createBook',
+        security: [],
+        tags: ['books'],
+        requestBody: { content: {} },
+        responses: { 201: { description: 'Created' } },
+      },
+    },
+    '/books/{id}': {
+      parameters: [{ name: 'X-Tenant', in: 'header' }],
+      get: { responses: { 200: { description: 'OK' } } },
+    },
+  },
+  components: {
+    schemas: {
+      Book: { type: 'object', properties: { id: { type: 'string' } } },
+      Author: { type: 'object', properties: { name: { type: 'string' } } },
+    },
+  },
+};
+
+/**
+ * Review the spec with a single declarative rule
+ * @param {Record<string, unknown>} doc
+ */
+function reviewWith(doc) {
+  const rule = compileRule(doc);
+  const reviewer = new OpenAPIReviewer({ customRules: [rule] });
+  return reviewer.review(spec).findings.filter((f) => f.ruleId === rule.id);
+}
+
+describe('compileRule', () => {
+  it('creates a rule class matching the scope', () => {
+    const base = {
+      check: { schemaExists: { namePattern: '*' } },
+      message: 'x',
+    };
+
+    assert.ok(compileRule({ ...base, id: 'a/op' }) instanceof OperationRule);
+    assert.ok(
+      compileRule({ ...base, id: 'a/path', scope: 'path' }) instanceof PathRule
+    );
+    assert.ok(
+      compileRule({ ...base, id: 'a/spec', scope: 'spec' }) instanceof SpecRule
+    );
+    assert.ok(
+      compileRule({ ...base, id: 'a/schema', scope: 'schema' }) instanceof
+        SchemaRule
+    );
+  });
+
+  it('applies metadata defaults', () => {
+    const rule = compileRule({
+      id: 'myorg/require-auth',
+      check: { hasSecurity: true },
+      message: 'No auth',
+    });
+
+    assert.equal(rule.name, 'myorg/require-auth');
+    assert.equal(rule.severity, 'warning');
+    assert.equal(rule.description, '');
+  });
+
+  it('uses the declared category and AIP', () => {
+    const rule = compileRule({
+      id: 'myorg/auth',
+      category: 'security',
+      aip: 122,
+      check: { hasSecurity: true },
+      message: 'No auth',
+    });
+
+    assert.equal(rule.category, 'security');
+    assert.equal(rule.aip, 'AIP-122');
+  });
+
+  it('reports every problem in the document at once', () => {
+    assert.throws(
+      () =>
+        compileRule(
+          {
+            id: 'no-namespace',
+            scope: 'operation',
+            severity: 'fatal',
+            check: { hasSecurty: true, hasProperty: 'id' },
+            message: 'Missing {schema}',
+            extra: true,
+          },
+          'rules/bad.yaml'
+        ),
+      (error) => {
+        assert.ok(error instanceof Error);
+        assert.match(error.message, /^Invalid rule rules\/bad\.yaml:\n/);
+        assert.match(error.message, /- extra: unknown key/);
+        assert.match(error.message, /- id: must be a namespaced rule ID/);
+        assert.match(error.message, /- severity: must be one of/);
+        assert.match(error.message, /- check\.hasSecurty: unknown check/);
+        assert.match(
+          error.message,
+          /- check\.hasProperty: not available in 'operation' scope/
+        );
+        assert.match(
+          error.message,
+          /- message: unknown placeholder \{schema\}/
+        );
+        return true;
+      }
+    );
+  });
+
+  it('requires a check and a message', () => {
+    assert.throws(
+      () => compileRule({ id: 'a/b' }),
+      /check: required[\s\S]*message: required|message: required[\s\S]*check: required/
+    );
+  });
+
+  it('validates fix changes', () => {
+    assert.throws(
+      () =>
+        compileRule({
+          id: 'a/b',
+          scope: 'path',
+          check: { pathMatches: '/v1/**' },
+          message: 'x',
+          fix: {
+            type: 'rename-path-segment',
+            changes: [{ operation: 'move' }],
+          },
+        }),
+      /fix\.changes\[0\]\.operation: must be one of[\s\S]*fix\.changes\[0\]\.path/
+    );
+  });
+});
+
+describe('declarative check functions', () => {
+  it('hasSecurity honours spec-level and empty requirements', () => {
+    const findings = reviewWith({
+      id: 'myorg/require-auth',
+      severity: 'error',
+      match: { pathExcludes: ['/health'] },
+      check: { hasSecurity: true },
+      message: 'Endpoint {method} {path} has no security defined',
+      suggestion: 'Secure {operationId}',
+    });
+
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].path, 'POST /v1/books');
+    assert.equal(findings[0].severity, 'error');
+    assert.equal(
+      findings[0].message,
+      'Endpoint POST /v1/books has no security defined'
+    );
+    assert.equal(findings[0].suggestion, 'Secure createBook');
+    assert.equal(findings[0].jsonPath, "$.paths['/v1/books'].post");
+  });
+
+  it('hasParameter includes path-level parameters and ignores header case', () => {
+    const findings = reviewWith({
+      id: 'myorg/tenant-header',
+      match: { methods: ['get'], pathMatches: '/books/**' },
+      check: { hasParameter: { names: ['x-tenant'], in: 'header' } },
+      message: 'Missing tenant header',
+    });
+
+    assert.deepEqual(findings, []);
+  });
+
+  it('combines checks with and/or/not', () => {
+    const findings = reviewWith({
+      id: 'myorg/body-or-created',
+      match: { tags: ['books'] },
+      check: {
+        or: [
+          { and: [{ hasRequestBody: true }, { hasResponse: [201] }] },
+          { not: { hasRequestBody: true } },
+        ],
+        hasResponse: [200],
+      },
+      message: '{operationId} is inconsistent',
+    });
+
+    // POST has no 200, GET passes both branches
+    assert.deepEqual(
+      findings.map((f) => f.message),
+      ['createBook is inconsistent']
+    );
+  });
+
+  it('evaluates path-scoped rules and renders fixes', () => {
+    const findings = reviewWith({
+      id: 'myorg/versioned-paths',
+      scope: 'path',
+      match: { pathExcludes: ['/health', '/metrics'] },
+      check: { pathMatches: '/v[0-9]*/**' },
+      message: "Path '{path}' missing version prefix",
+      fix: {
+        type: 'rename-path-segment',
+        changes: [
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '{path}',
+            to: '/v1{path}',
+          },
+        ],
+      },
+    });
+
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].path, '/books/{id}');
+    assert.deepEqual(findings[0].fix, {
+      type: 'rename-path-segment',
+      jsonPath: "$.paths['/books/{id}']",
+      specChanges: [
+        {
+          operation: 'rename-key',
+          path: '$.paths',
+          from: '/books/{id}',
+          to: '/v1/books/{id}',
+        },
+      ],
+    });
+  });
+
+  it('keeps placeholders that only name inherited properties', () => {
+    const findings = reviewWith({
+      id: 'myorg/versioned-paths',
+      scope: 'path',
+      match: { pathExcludes: ['/health', '/metrics'] },
+      check: { pathMatches: '/v[0-9]*/**' },
+      message: 'Unversioned path',
+      fix: {
+        type: 'rename-path-segment',
+        changes: [
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '{path}',
+            to: '/v1{path}/{constructor}/{toString}',
+          },
+        ],
+      },
+    });
+
+    assert.equal(
+      findings[0].fix?.specChanges[0].to,
+      '/v1/books/{id}/{constructor}/{toString}'
+    );
+  });
+
+  it('evaluates spec-scoped rules', () => {
+    const findings = reviewWith({
+      id: 'myorg/error-schema',
+      scope: 'spec',
+      check: { schemaExists: { namePattern: '*Error*' } },
+      message: '{title} has no error schema',
+    });
+
+    assert.equal(findings.length, 1);
+    assert.equal(findings[0].path, '$');
+    assert.equal(findings[0].message, 'Books API has no error schema');
+  });
+
+  it('evaluates schema-scoped rules', () => {
+    const findings = reviewWith({
+      id: 'myorg/schema-id',
+      scope: 'schema',
+      match: { schemaMatches: ['B*', 'Author'] },
+      check: { hasProperty: 'id' },
+      message: 'Schema {schema} has no id',
+    });
+
+    assert.deepEqual(
+      findings.map((f) => [f.path, f.jsonPath]),
+      [['Author', "$.components.schemas['Author']"]]
+    );
+  });
+
+  it('understands OpenAPI 3.1 type arrays and const', () => {
+    const rule = compileRule({
+      id: 'myorg/nullable-strings',
+      scope: 'schema',
+      check: { not: { and: [{ hasType: 'string' }, { isNullable: true }] } },
+      message: '{schema} is a nullable string',
+    });
+    const findings = new OpenAPIReviewer({ customRules: [rule] })
+      .review({
+        openapi: '3.1.0',
+        components: {
+          schemas: {
+            Legacy: { type: 'string', nullable: true },
+            Modern: { type: ['string', 'null'] },
+            Always: { type: 'string', const: null },
+            Count: { type: ['integer', 'null'] },
+            Name: { type: 'string' },
+          },
+        },
+      })
+      .findings.filter((f) => f.ruleId === rule.id);
+
+    assert.deepEqual(
+      findings.map((f) => f.path),
+      ['Legacy', 'Modern', 'Always']
+    );
+  });
+});
+
+describe('cel checks', () => {
+  it('evaluates the no-PII-in-query example', () => {
+    const rule = compileRule({
+      id: 'myorg/no-pii-in-query',
+      severity: 'error',
+      match: { methods: ['GET'] },
+      check: {
+        cel: `!(operation.parameters ?? [])
+  .filter(p, p.in == "query")
+  .exists(p, p.name.matches("(?i)(email|phone|ssn|password)"))`,
+      },
+      message: 'Query parameter may contain PII - use POST with body instead',
+    });
+    const reviewer = new OpenAPIReviewer({ customRules: [rule] });
+
+    const clean = reviewer.review(spec);
+    const pii = reviewer.review({
+      ...spec,
+      paths: {
+        '/v1/users': {
+          get: {
+            parameters: [{ name: 'Email', in: 'query' }],
+            responses: {},
+          },
+        },
+      },
+    });
+
+    assert.ok(!clean.findings.some((f) => f.ruleId === rule.id));
+    assert.deepEqual(
+      pii.findings.filter((f) => f.ruleId === rule.id).map((f) => f.path),
+      ['GET /v1/users']
+    );
+  });
+
+  it('reports syntax errors and unknown variables when compiling', () => {
+    assert.throws(
+      () =>
+        compileRule({
+          id: 'a/b',
+          scope: 'path',
+          check: { cel: 'operation.parameters.size() > 0' },
+          message: 'x',
+        }),
+      /check\.cel: unknown variable 'operation' in 'path' scope/
+    );
+    assert.throws(
+      () =>
+        compileRule({
+          id: 'a/b',
+          check: { cel: 'operation.parameters.size( > 0' },
+          message: 'x',
+        }),
+      /check\.cel: CEL syntax error at column 28/
+    );
+  });
+
+  it('records evaluation errors without aborting the review', () => {
+    const rule = compileRule({
+      id: 'myorg/broken',
+      check: { cel: 'operation.requestBody.required' },
+      message: 'x',
+    });
+    const reviewer = new OpenAPIReviewer({ customRules: [rule] });
+
+    const result = reviewer.review(spec);
+    const errors = result.metadata.ruleErrors ?? [];
+
+    assert.ok(result.findings.length > 0, 'Other rules still report');
+    assert.ok(errors.length > 0);
+    assert.equal(errors[0].ruleId, 'myorg/broken');
+    assert.equal(errors[0].path, 'GET /health');
+    assert.equal(
+      errors[0].message,
+      "CEL evaluation failed: no such key: 'requestBody'"
+    );
+  });
+
+  it('requires a bool result', () => {
+    const rule = compileRule({
+      id: 'myorg/not-bool',
+      scope: 'spec',
+      check: { cel: 'spec.info.title' },
+      message: 'x',
+    });
+    const result = new OpenAPIReviewer({ customRules: [rule] }).review(spec);
+
+    assert.match(
+      result.metadata.ruleErrors?.[0].message ?? '',
+      /must return a bool, got string/
+    );
+  });
+});
+
+describe('custom rules in the reviewer', () => {
+  const rule = compileRule({
+    id: 'myorg/require-auth',
+    category: 'security',
+    check: { hasSecurity: true },
+    message: 'No auth on {method} {path}',
+  });
+
+  it('applies severity overrides from config', () => {
+    const reviewer = new OpenAPIReviewer({
+      customRules: [rule],
+      rules: { 'myorg/require-auth': { severity: 'error' } },
+    });
+    const finding = reviewer
+      .review(spec)
+      .findings.find((f) => f.ruleId === 'myorg/require-auth');
+
+    assert.equal(finding?.severity, 'error');
+  });
+
+  it('can be disabled and filtered by category', () => {
+    const disabled = new OpenAPIReviewer({
+      customRules: [rule],
+      rules: { 'myorg/require-auth': { enabled: false } },
+    });
+    const filtered = new OpenAPIReviewer({
+      customRules: [rule],
+      categories: ['naming'],
+    });
+
+    assert.ok(!disabled.getRules().includes(rule));
+    assert.ok(!filtered.getRules().includes(rule));
+  });
+});
+
+describe('compileRules / registerDeclarativeRules', () => {
+  const doc = { id: 'myorg/a', check: { hasSecurity: true }, message: 'x' };
+
+  it('rejects duplicate IDs', () => {
+    assert.throws(
+      () => compileRules([doc, doc], ['one.yaml', 'two.yaml']),
+      /Duplicate rule ID 'myorg\/a' in two\.yaml \(already defined in one\.yaml\)/
+    );
+  });
+
+  it('registers rules under their namespace', () => {
+    const registry = new RuleRegistry();
+    registerDeclarativeRules(registry, compileRules([doc]));
+
+    assert.equal(registry.getByAip(122).length, 0);
+    assert.equal(registry.getById('myorg/a')?.id, 'myorg/a');
+    assert.deepEqual(registry.getAips(), []);
+    assert.throws(
+      () => registerDeclarativeRules(registry, compileRules([doc])),
+      /already registered/
+    );
+  });
+});
+
+describe('loadCustomRules', () => {
+  /** @type {string} */
+  let root;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'baume-rules-'));
+    mkdirSync(join(root, 'rules'));
+    writeFileSync(
+      join(root, 'rules', 'require-auth.yaml'),
+      [
+        'id: myorg/require-auth',
+        'severity: error',
+        'check:',
+        '  hasSecurity: true',
+        "message: 'Endpoint {method} {path} has no security defined'",
+      ].join('\n')
+    );
+    writeFileSync(
+      join(root, 'rules', 'error-schema.json'),
+      JSON.stringify({
+        id: 'myorg/error-schema',
+        scope: 'spec',
+        check: { schemaExists: { namePattern: '*Error' } },
+        message: 'No error schema',
+      })
+    );
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('resolves files and globs relative to the config directory', () => {
+    const rules = loadCustomRules(
+      { customRules: ['./rules/*', './rules/require-auth.yaml'] },
+      root
+    );
+
+    assert.deepEqual(
+      rules.map((r) => r.id),
+      ['myorg/error-schema', 'myorg/require-auth']
+    );
+  });
+
+  it('throws for missing files', () => {
+    assert.throws(
+      () => loadCustomRules({ customRules: ['./rules/nope.yaml'] }, root),
+      /Custom rule file not found: \.\/rules\/nope\.yaml/
+    );
+  });
+
+  it('rejects IDs that shadow built-in rules', () => {
+    writeFileSync(
+      join(root, 'shadow.yaml'),
+      'id: aip122/no-verbs\ncheck: {hasSecurity: true}\nmessage: x\n'
+    );
+
+    assert.throws(
+      () => loadCustomRules({ customRules: ['shadow.yaml'] }, root),
+      /conflicts with a built-in rule/
+    );
+  });
+});
+
+describe('matchesPathPattern character classes', () => {
+  it('matches a single character from a class', () => {
+    assert.ok(matchesPathPattern('/v1/books', '/v[0-9]*/**'));
+    assert.ok(!matchesPathPattern('/books', '/v[0-9]*/**'));
+    assert.ok(!matchesPathPattern('/vx/books', '/v[0-9]*/**'));
+  });
+});
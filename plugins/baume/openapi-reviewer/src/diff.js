@@ -0,0 +1,859 @@
+// @ts-check
+/**
+ * Breaking-Change Detection
+ *
+ * Compares the operations of a base spec with those of a revised spec and
+ * classifies every difference a client can notice, following AIP-180:
+ *
+ * - **breaking**: existing clients stop working (a removed operation, a
+ *   parameter that became required, a narrowed request enum...)
+ * - **potentially breaking**: clients relying on what was documented may
+ *   break (a new success status, a new value in a response enum...)
+ * - **safe**: additions existing clients can ignore
+ *
+ * Whether a schema change breaks clients depends on its direction:
+ * narrowing what a request accepts is breaking, narrowing what a response
+ * returns is not. Diffs are reported as findings of the `versioning`
+ * category, so every formatter can output them.
+ *
+ * @see https://google.aip.dev/180
+ * @module diff
+ */
+
+import {
+  getAllOperations,
+  getOperationParameters,
+  getSchemaTypes,
+  operationToJsonPath,
+  pathToJsonPath,
+  requestBodyToJsonPath,
+  resolveRef,
+  responseToJsonPath,
+} from './rules/index.js';
+import { REVIEWER_VERSION } from './reviewer.js';
+import { Swagger2Conversion, isSwagger2 } from './swagger2.js';
+
+/**
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').Operation} Operation
+ * @typedef {import('./types.ts').Parameter} Parameter
+ * @typedef {import('./types.ts').MediaType} MediaType
+ * @typedef {import('./types.ts').Schema} Schema
+ * @typedef {import('./types.ts').ApiChange} ApiChange
+ * @typedef {import('./types.ts').ChangeClassification} ChangeClassification
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').ReviewResult} ReviewResult
+ * @typedef {import('./types.ts').RuleCategory} RuleCategory
+ * @typedef {import('./types.ts').Severity} Severity
+ */
+
+/**
+ * Which side of the exchange a schema describes
+ * @typedef {'request' | 'response'} Direction
+ */
+
+/**
+ * State shared while comparing two specs
+ * @typedef {Object} DiffContext
+ * @property {OpenAPISpec} before - Base spec
+ * @property {OpenAPISpec} after - Revised spec
+ * @property {ApiChange[]} changes - Changes found so far
+ */
+
+/**
+ * Where a schema comparison currently is
+ * @typedef {Object} SchemaPosition
+ * @property {string} path - Operation the schema belongs to (e.g., "POST /books")
+ * @property {string} root - Logical location of the root schema (e.g., "POST /books requestBody")
+ * @property {string} pointer - Position below the root (e.g., "author.name")
+ * @property {string} jsonPath - JSONPath of the schema in the revised spec
+ * @property {Direction} direction
+ * @property {object[]} stack - Base schemas being compared, to stop at cycles
+ */
+
+/** Severity each classification is reported with */
+export const CHANGE_SEVERITIES = /** @type {const} */ ({
+  breaking: 'error',
+  'potentially-breaking': 'warning',
+  safe: 'suggestion',
+});
+
+/** Keywords whose branches are compared one by one */
+const COMPOSITION_KEYWORDS = /** @type {const} */ (['allOf', 'oneOf', 'anyOf']);
+
+/**
+ * Find the changes between two versions of a spec
+ *
+ * Operations are matched by path template, ignoring path parameter names,
+ * and HTTP method. Swagger 2.0 specs are compared as their OpenAPI 3.0
+ * equivalent; JSONPaths point into the revised spec as written.
+ *
+ * @param {OpenAPISpec} base - Spec clients were built against
+ * @param {OpenAPISpec} revision - New version of the spec
+ * @returns {ApiChange[]}
+ */
+export function diffSpecs(base, revision) {
+  const conversion = isSwagger2(revision)
+    ? new Swagger2Conversion(revision)
+    : undefined;
+
+  /** @type {DiffContext} */
+  const context = {
+    before: isSwagger2(base) ? new Swagger2Conversion(base).spec : base,
+    after: conversion?.spec ?? revision,
+    changes: [],
+  };
+  diffPaths(context);
+
+  if (conversion) {
+    for (const change of context.changes) {
+      if (change.jsonPath) {
+        change.jsonPath = conversion.toSwagger2Path(change.jsonPath);
+      }
+    }
+  }
+  return context.changes;
+}
+
+/**
+ * Report changes as a review result, one finding per change
+ *
+ * Breaking changes are errors, potentially breaking ones warnings and safe
+ * ones suggestions, all in the `versioning` category.
+ *
+ * @param {ApiChange[]} changes
+ * @param {Object} options
+ * @param {string} options.specPath - Path to the revised spec
+ * @param {string} options.basePath - Path to the base spec
+ * @param {OpenAPISpec} [options.spec] - Revised spec, for its title and version
+ * @param {boolean} [options.strict=false] - Report potentially breaking changes as errors
+ * @returns {ReviewResult}
+ */
+export function createDiffResult(changes, options) {
+  const findings = changes.map((change) => changeToFinding(change, options));
+
+  /** @type {Record<RuleCategory, number>} */
+  const byCategory = {
+    naming: 0,
+    'standard-methods': 0,
+    errors: 0,
+    pagination: 0,
+    filtering: 0,
+    lro: 0,
+    idempotency: 0,
+    versioning: findings.length,
+    security: 0,
+  };
+  /** @param {Severity} severity */
+  const count = (severity) =>
+    findings.filter((f) => f.severity === severity).length;
+
+  return {
+    specPath: options.specPath,
+    specTitle: options.spec?.info?.title,
+    specVersion: options.spec?.info?.version,
+    findings,
+    summary: {
+      errors: count('error'),
+      warnings: count('warning'),
+      suggestions: count('suggestion'),
+      byCategory,
+    },
+    metadata: {
+      reviewedAt: new Date().toISOString(),
+      reviewerVersion: REVIEWER_VERSION,
+      rulesApplied: [],
+      comparedWith: options.basePath,
+    },
+  };
+}
+
+/**
+ * @param {ApiChange} change
+ * @param {{strict?: boolean}} options
+ * @returns {Finding}
+ */
+function changeToFinding(change, { strict = false }) {
+  const severity =
+    strict && change.classification === 'potentially-breaking'
+      ? 'error'
+      : CHANGE_SEVERITIES[change.classification];
+
+  /** @type {Finding} */
+  const finding = {
+    ruleId: change.id,
+    severity,
+    category: 'versioning',
+    aip: 'AIP-180',
+    path: change.path,
+    message: change.message,
+    context: {
+      classification: change.classification,
+      ...('before' in change && { before: change.before }),
+      ...('after' in change && { after: change.after }),
+    },
+  };
+  if (change.jsonPath) {
+    finding.jsonPath = change.jsonPath;
+  }
+  if (change.classification === 'breaking') {
+    finding.suggestion =
+      'Keep the previous behavior, or release the change in a new major version';
+  }
+  return finding;
+}
+
+/**
+ * @param {DiffContext} context
+ * @param {string} id - Kind of change, without the "aip180/" prefix
+ * @param {ChangeClassification} classification
+ * @param {Omit<ApiChange, 'id' | 'classification'>} change
+ */
+function report(context, id, classification, change) {
+  context.changes.push({ id: `aip180/${id}`, classification, ...change });
+}
+
+/**
+ * Compare the paths and operations of the two specs
+ * @param {DiffContext} context
+ */
+function diffPaths(context) {
+  const before = groupOperations(context.before);
+  const after = groupOperations(context.after);
+
+  /** @type {Map<string, string>} Revised paths by template */
+  const revisedPaths = new Map(
+    [...after.keys()].map((path) => [pathTemplate(path), path])
+  );
+  const basePaths = new Set([...before.keys()].map(pathTemplate));
+
+  for (const [basePath, baseOperations] of before) {
+    const path = revisedPaths.get(pathTemplate(basePath));
+    if (path === undefined) {
+      report(context, 'path-removed', 'breaking', {
+        path: basePath,
+        message: `Path ${basePath} was removed`,
+      });
+      continue;
+    }
+
+    const operations = /** @type {Map<string, Operation>} */ (after.get(path));
+    for (const [method, operation] of baseOperations) {
+      const revised = operations.get(method);
+      if (revised) {
+        diffOperation(context, { basePath, path, method }, operation, revised);
+      } else {
+        report(context, 'operation-removed', 'breaking', {
+          path: `${method} ${path}`,
+          message: `Operation ${method} ${path} was removed`,
+          jsonPath: pathToJsonPath(path),
+        });
+      }
+    }
+    for (const method of operations.keys()) {
+      if (!baseOperations.has(method)) {
+        report(context, 'operation-added', 'safe', {
+          path: `${method} ${path}`,
+          message: `Operation ${method} ${path} was added`,
+          jsonPath: operationToJsonPath(path, method),
+        });
+      }
+    }
+  }
+
+  for (const path of after.keys()) {
+    if (!basePaths.has(pathTemplate(path))) {
+      report(context, 'path-added', 'safe', {
+        path,
+        message: `Path ${path} was added`,
+        jsonPath: pathToJsonPath(path),
+      });
+    }
+  }
+}
+
+/**
+ * Compare one operation in both specs
+ * @param {DiffContext} context
+ * @param {{basePath: string, path: string, method: string}} where - Path in
+ *   each spec (they differ when path parameters were renamed) and method
+ * @param {Operation} before
+ * @param {Operation} after
+ */
+function diffOperation(context, { basePath, path, method }, before, after) {
+  const label = `${method} ${path}`;
+  diffParameters(context, { basePath, path, method });
+
+  // Request body
+  const baseBody = deref(context.before, before.requestBody);
+  const body = deref(context.after, after.requestBody);
+  const bodyPath = requestBodyToJsonPath(path, method);
+  if (baseBody && !body) {
+    report(context, 'request-body-removed', 'potentially-breaking', {
+      path: label,
+      message: `Request body of ${label} was removed`,
+      jsonPath: operationToJsonPath(path, method),
+    });
+  } else if (!baseBody && body) {
+    report(context, 'request-body-added', body.required ? 'breaking' : 'safe', {
+      path: label,
+      message: `${body.required ? 'Required request' : 'Request'} body was added to ${label}`,
+      jsonPath: bodyPath,
+    });
+  } else if (baseBody && body) {
+    if (!baseBody.required && body.required) {
+      report(context, 'request-body-required', 'breaking', {
+        path: label,
+        message: `Request body of ${label} is now required`,
+        jsonPath: bodyPath,
+      });
+    }
+    diffContent(context, baseBody.content, body.content, {
+      path: label,
+      root: `${label} requestBody`,
+      jsonPath: bodyPath,
+      direction: 'request',
+    });
+  }
+
+  diffResponses(context, { path, method }, before, after);
+}
+
+/**
+ * Compare the parameters of an operation, inherited ones included
+ * @param {DiffContext} context
+ * @param {{basePath: string, path: string, method: string}} where
+ */
+function diffParameters(context, { basePath, path, method }) {
+  const label = `${method} ${path}`;
+  const before = new Map(
+    getOperationParameters(context.before, basePath, method).map(
+      ({ parameter }) => [parameterKey(parameter, basePath), parameter]
+    )
+  );
+  const after = new Map(
+    getOperationParameters(context.after, path, method).map(
+      ({ parameter, jsonPath }) => [
+        parameterKey(parameter, path),
+        { parameter, jsonPath },
+      ]
+    )
+  );
+
+  for (const [key, baseParameter] of before) {
+    const revised = after.get(key);
+    const name = `'${baseParameter.name}' (${baseParameter.in})`;
+    if (!revised) {
+      report(context, 'parameter-removed', 'potentially-breaking', {
+        path: label,
+        message: `Parameter ${name} was removed from ${label}`,
+        jsonPath: operationToJsonPath(path, method),
+      });
+      continue;
+    }
+
+    const { parameter, jsonPath } = revised;
+    if (!baseParameter.required && parameter.required) {
+      report(context, 'parameter-required', 'breaking', {
+        path: label,
+        message: `Parameter ${name} of ${label} is now required`,
+        jsonPath,
+      });
+    }
+    diffSchema(context, baseParameter.schema, parameter.schema, {
+      path: label,
+      root: `${label} parameter ${parameter.name}`,
+      pointer: '',
+      jsonPath: `${jsonPath}.schema`,
+      direction: 'request',
+      stack: [],
+    });
+  }
+
+  for (const [key, { parameter, jsonPath }] of after) {
+    if (before.has(key)) continue;
+    const name = `'${parameter.name}' (${parameter.in})`;
+    report(
+      context,
+      'parameter-added',
+      parameter.required ? 'breaking' : 'safe',
+      {
+        path: label,
+        message: `${parameter.required ? 'Required parameter' : 'Parameter'} ${name} was added to ${label}`,
+        jsonPath,
+      }
+    );
+  }
+}
+
+/**
+ * Compare the responses of an operation
+ * @param {DiffContext} context
+ * @param {{path: string, method: string}} where - Path in the revised spec
+ * @param {Operation} before
+ * @param {Operation} after
+ */
+function diffResponses(context, { path, method }, before, after) {
+  const label = `${method} ${path}`;
+  const baseStatuses = Object.keys(before.responses || {});
+  const statuses = Object.keys(after.responses || {});
+  const removed = baseStatuses.filter((s) => !statuses.includes(s));
+  const added = statuses.filter((s) => !baseStatuses.includes(s));
+
+  // One success status replaced by another (e.g., 200 -> 201)
+  const removedSuccess = removed.filter(isSuccess);
+  const addedSuccess = added.filter(isSuccess);
+  if (removedSuccess.length === 1 && addedSuccess.length === 1) {
+    const [from] = removedSuccess;
+    const [to] = addedSuccess;
+    report(context, 'status-code-changed', 'breaking', {
+      path: label,
+      message: `Success status of ${label} changed from ${from} to ${to}`,
+      jsonPath: responseToJsonPath(path, method, to),
+      before: from,
+      after: to,
+    });
+    removed.splice(removed.indexOf(from), 1);
+    added.splice(added.indexOf(to), 1);
+  }
+
+  for (const status of removed) {
+    report(
+      context,
+      'response-removed',
+      isSuccess(status) ? 'breaking' : 'potentially-breaking',
+      {
+        path: label,
+        message: `Response ${status} was removed from ${label}`,
+        jsonPath: operationToJsonPath(path, method),
+      }
+    );
+  }
+  for (const status of added) {
+    report(
+      context,
+      'response-added',
+      isSuccess(status) ? 'potentially-breaking' : 'safe',
+      {
+        path: label,
+        message: `Response ${status} was added to ${label}`,
+        jsonPath: responseToJsonPath(path, method, status),
+      }
+    );
+  }
+
+  for (const status of baseStatuses.filter((s) => statuses.includes(s))) {
+    const baseResponse = deref(context.before, before.responses?.[status]);
+    const response = deref(context.after, after.responses?.[status]);
+    if (!baseResponse || !response) continue;
+
+    diffContent(context, baseResponse.content, response.content, {
+      path: label,
+      root: `${label} ${status} response`,
+      jsonPath: responseToJsonPath(path, method, status),
+      direction: 'response',
+    });
+  }
+}
+
+/**
+ * Compare the media types of a request body or response
+ * @param {DiffContext} context
+ * @param {Record<string, MediaType> | undefined} before
+ * @param {Record<string, MediaType> | undefined} after
+ * @param {{path: string, root: string, jsonPath: string, direction: Direction}} where -
+ *   `jsonPath` is the one of the object holding `content`
+ */
+function diffContent(context, before = {}, after = {}, where) {
+  const { path, root, jsonPath, direction } = where;
+  const several = Object.keys(after).length > 1;
+
+  for (const [mediaType, media] of Object.entries(before)) {
+    const revised = after[mediaType];
+    if (!revised) {
+      report(context, 'media-type-removed', 'breaking', {
+        path,
+        message: `${root} no longer supports ${mediaType}`,
+        jsonPath,
+      });
+      continue;
+    }
+    diffSchema(context, media?.schema, revised.schema, {
+      path,
+      root: several ? `${root} (${mediaType})` : root,
+      pointer: '',
+      jsonPath: `${jsonPath}.content['${mediaType}'].schema`,
+      direction,
+      stack: [],
+    });
+  }
+
+  for (const mediaType of Object.keys(after)) {
+    if (!Object.hasOwn(before, mediaType)) {
+      report(context, 'media-type-added', 'safe', {
+        path,
+        message: `${root} now supports ${mediaType}`,
+        jsonPath: `${jsonPath}.content['${mediaType}']`,
+      });
+    }
+  }
+}
+
+/**
+ * Compare a schema in both specs: types, enums, properties, array items
+ * and the branches of `allOf`, `oneOf` and `anyOf`
+ * @param {DiffContext} context
+ * @param {Schema | undefined} baseSchema
+ * @param {Schema | undefined} revisedSchema
+ * @param {SchemaPosition} position
+ */
+function diffSchema(context, baseSchema, revisedSchema, position) {
+  const before = deref(context.before, baseSchema);
+  const after = deref(context.after, revisedSchema);
+  // 3.1 allows boolean schemas; there is nothing to compare in them
+  if (!isObject(before) || !isObject(after)) return;
+  if (position.stack.includes(before)) return;
+
+  const { path, direction, jsonPath } = position;
+  const where = position.pointer
+    ? `${position.root} > ${position.pointer}`
+    : position.root;
+  const request = direction === 'request';
+
+  // Types: requests may accept more, responses may return less
+  const baseTypes = getSchemaTypes(before);
+  const types = getSchemaTypes(after);
+  if (baseTypes.length > 0 && types.length > 0) {
+    const widened = baseTypes.every((t) => allowsType(types, t));
+    const narrowed = types.every((t) => allowsType(baseTypes, t));
+    if (!widened || !narrowed) {
+      report(
+        context,
+        'type-changed',
+        (request ? widened : narrowed) ? 'safe' : 'breaking',
+        {
+          path,
+          message: `Type of ${where} changed from ${baseTypes.join(' | ')} to ${types.join(' | ')}`,
+          jsonPath,
+          before: baseTypes,
+          after: types,
+        }
+      );
+    }
+  }
+
+  // Enums: a missing list allows any value
+  const baseValues = getEnumValues(before);
+  const values = getEnumValues(after);
+  const removedValues = values
+    ? (baseValues ?? []).filter((v) => !includesValue(values, v))
+    : [];
+  const addedValues = baseValues
+    ? (values ?? []).filter((v) => !includesValue(baseValues, v))
+    : [];
+  if ((values && !baseValues) || removedValues.length > 0) {
+    report(context, 'enum-narrowed', request ? 'breaking' : 'safe', {
+      path,
+      message: baseValues
+        ? `${where} no longer allows ${formatValues(removedValues)}`
+        : `${where} is now limited to ${formatValues(values ?? [])}`,
+      jsonPath,
+      before: baseValues,
+      after: values,
+    });
+  }
+  if ((baseValues && !values) || addedValues.length > 0) {
+    report(context, 'enum-widened', request ? 'safe' : 'potentially-breaking', {
+      path,
+      message: values
+        ? `${where} now allows ${formatValues(addedValues)}`
+        : `${where} is no longer limited to ${formatValues(baseValues ?? [])}`,
+      jsonPath,
+      before: baseValues,
+      after: values,
+    });
+  }
+
+  // Properties
+  const baseProperties = before.properties || {};
+  const properties = after.properties || {};
+  const baseRequired = before.required || [];
+  const required = after.required || [];
+
+  /**
+   * @param {string} segment
+   * @param {string} childPath
+   * @returns {SchemaPosition}
+   */
+  const child = (segment, childPath) => ({
+    ...position,
+    pointer:
+      position.pointer === '' || segment === '[]'
+        ? position.pointer + segment
+        : `${position.pointer}.${segment}`,
+    jsonPath: childPath,
+    stack: [...position.stack, before],
+  });
+
+  for (const [name, property] of Object.entries(baseProperties)) {
+    const field = `'${name}'`;
+    if (!Object.hasOwn(properties, name)) {
+      report(
+        context,
+        'field-removed',
+        request ? 'potentially-breaking' : 'breaking',
+        {
+          path,
+          message: `Field ${field} was removed from ${where}`,
+          jsonPath,
+        }
+      );
+      continue;
+    }
+
+    const wasRequired = baseRequired.includes(name);
+    const isRequired = required.includes(name);
+    if (!wasRequired && isRequired) {
+      report(context, 'field-required', request ? 'breaking' : 'safe', {
+        path,
+        message: `Field ${field} of ${where} is now required`,
+        jsonPath,
+      });
+    } else if (wasRequired && !isRequired) {
+      report(
+        context,
+        'field-optional',
+        request ? 'safe' : 'potentially-breaking',
+        {
+          path,
+          message: `Field ${field} of ${where} is no longer required`,
+          jsonPath,
+        }
+      );
+    }
+
+    diffSchema(
+      context,
+      property,
+      properties[name],
+      child(name, `${jsonPath}.properties['${name}']`)
+    );
+  }
+
+  for (const name of Object.keys(properties)) {
+    if (Object.hasOwn(baseProperties, name)) continue;
+    const isRequired = request && required.includes(name);
+    report(context, 'field-added', isRequired ? 'breaking' : 'safe', {
+      path,
+      message: `${isRequired ? 'Required field' : 'Field'} '${name}' was added to ${where}`,
+      jsonPath: `${jsonPath}.properties['${name}']`,
+    });
+  }
+
+  diffSchema(
+    context,
+    before.items,
+    after.items,
+    child('[]', `${jsonPath}.items`)
+  );
+
+  // A branch of allOf constrains the value further, one of oneOf or anyOf
+  // is an alternative to the others
+  for (const keyword of COMPOSITION_KEYWORDS) {
+    const baseBranches = before[keyword] || [];
+    const branches = after[keyword] || [];
+    const { pairs, removed, added } = matchBranches(baseBranches, branches);
+    const constraint = keyword === 'allOf';
+
+    for (const index of removed) {
+      report(
+        context,
+        'composition-branch-removed',
+        constraint === request ? 'safe' : 'breaking',
+        {
+          path,
+          message: `Branch ${index} of ${keyword} was removed from ${where}`,
+          jsonPath,
+        }
+      );
+    }
+    for (const index of added) {
+      report(
+        context,
+        'composition-branch-added',
+        constraint !== request ? 'safe' : 'potentially-breaking',
+        {
+          path,
+          message: `A ${keyword} branch was added to ${where}`,
+          jsonPath: `${jsonPath}.${keyword}[${index}]`,
+        }
+      );
+    }
+    for (const [baseIndex, index] of pairs) {
+      diffSchema(
+        context,
+        baseBranches[baseIndex],
+        branches[index],
+        child(`${keyword}[${index}]`, `${jsonPath}.${keyword}[${index}]`)
+      );
+    }
+  }
+}
+
+/**
+ * Pair the branches of a composition in both specs
+ *
+ * Branches that `$ref` the same schema are paired wherever they are, the
+ * other ones by position.
+ *
+ * @param {Schema[]} before
+ * @param {Schema[]} after
+ * @returns {{pairs: Array<[number, number]>, removed: number[], added: number[]}}
+ *   Indices in the base and revised lists
+ */
+function matchBranches(before, after) {
+  /** @param {Schema | undefined} schema */
+  const refOf = (schema) =>
+    isObject(schema) && typeof schema.$ref === 'string'
+      ? schema.$ref
+      : undefined;
+  const unmatched = new Set(after.keys());
+
+  /** @type {Array<[number, number]>} */
+  const pairs = [];
+  /** @type {number[]} */
+  const removed = [];
+  for (const [index, branch] of before.entries()) {
+    const ref = refOf(branch);
+    const match =
+      ref === undefined
+        ? unmatched.has(index) && refOf(after[index]) === undefined
+          ? index
+          : undefined
+        : [...unmatched].find((i) => refOf(after[i]) === ref);
+    if (match === undefined) {
+      removed.push(index);
+    } else {
+      unmatched.delete(match);
+      pairs.push([index, match]);
+    }
+  }
+
+  return { pairs, removed, added: [...unmatched] };
+}
+
+/**
+ * Group the operations of a spec by path and method
+ * @param {OpenAPISpec} spec
+ * @returns {Map<string, Map<string, Operation>>}
+ */
+function groupOperations(spec) {
+  /** @type {Map<string, Map<string, Operation>>} */
+  const paths = new Map(
+    Object.keys(spec.paths || {}).map((path) => [path, new Map()])
+  );
+  for (const { path, method, operation } of getAllOperations(spec)) {
+    paths.get(path)?.set(method, operation);
+  }
+  return paths;
+}
+
+/**
+ * Path with its parameter names left out, so renaming them still matches
+ * @param {string} path - e.g., "/books/{bookId}"
+ * @returns {string} e.g., "/books/{}"
+ */
+function pathTemplate(path) {
+  return path.replace(/\{[^}]*\}/g, '{}');
+}
+
+/**
+ * Identify a parameter across versions
+ *
+ * Header names are case-insensitive, and path parameters are matched by
+ * position since renaming them does not change the URL.
+ *
+ * @param {Parameter} parameter
+ * @param {string} path
+ * @returns {string}
+ */
+function parameterKey(parameter, path) {
+  if (parameter.in === 'path') {
+    const names = [...path.matchAll(/\{([^}]*)\}/g)].map((m) => m[1]);
+    const index = names.indexOf(parameter.name);
+    return `path:${index === -1 ? parameter.name : index}`;
+  }
+  if (parameter.in === 'header') {
+    return `header:${parameter.name.toLowerCase()}`;
+  }
+  return `${parameter.in}:${parameter.name}`;
+}
+
+/**
+ * Resolve a local $ref, if the element is one
+ * @template {object} T
+ * @param {OpenAPISpec} spec
+ * @param {T | undefined} element
+ * @returns {T | undefined}
+ */
+function deref(spec, element) {
+  const ref = /** @type {{$ref?: unknown}} */ (element ?? {}).$ref;
+  if (typeof ref !== 'string') return element;
+  return /** @type {T | undefined} */ (resolveRef(spec, ref));
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Schema}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isSuccess(status) {
+  return /^2/.test(status);
+}
+
+/**
+ * Whether a list of types allows values of another type
+ * @param {string[]} types
+ * @param {string} type
+ * @returns {boolean}
+ */
+function allowsType(types, type) {
+  return (
+    types.includes(type) || (type === 'integer' && types.includes('number'))
+  );
+}
+
+/**
+ * Values a schema is limited to, from `enum` or `const`
+ * @param {Schema} schema
+ * @returns {unknown[] | undefined} Undefined when any value is allowed
+ */
+function getEnumValues(schema) {
+  if (schema.enum) return schema.enum;
+  return 'const' in schema ? [schema.const] : undefined;
+}
+
+/**
+ * @param {unknown[]} values
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function includesValue(values, value) {
+  const json = JSON.stringify(value);
+  return values.some((v) => JSON.stringify(v) === json);
+}
+
+/**
+ * @param {unknown[]} values
+ * @returns {string} e.g., "'draft', 'published'"
+ */
+function formatValues(values) {
+  return values.map((v) => JSON.stringify(v).replace(/^"|"$/g, "'")).join(', ');
+}
@@ -0,0 +1,407 @@
+// @ts-check
+/**
+ * Tests for breaking-change detection
+ * Run with: node --test src/diff.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDiffResult, diffSpecs } from './diff.js';
+import { formatMarkdown } from './formatters.js';
+
+/**
+ * Spec both versions start from
+ * @returns {any}
+ */
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Books', version: '1.0.0' },
+    paths: {
+      '/books': {
+        get: {
+          parameters: [
+            { name: 'page_size', in: 'query', schema: { type: 'integer' } },
+            { name: 'X-Tenant', in: 'header', schema: { type: 'string' } },
+          ],
+          responses: {
+            200: {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      books: {
+                        type: 'array',
+                        items: { $ref: '#/components/schemas/Book' },
+                      },
+                      next_page_token: { type: 'string' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        post: {
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Book' },
+              },
+            },
+          },
+          responses: { 200: { description: 'Created' } },
+        },
+      },
+      '/books/{id}': {
+        parameters: [
+          {
+            name: 'id',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        get: { responses: { 200: { description: 'OK' } } },
+        delete: { responses: { 204: { description: 'Deleted' } } },
+      },
+    },
+    components: {
+      schemas: {
+        Book: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: { type: 'string' },
+            status: { type: 'string', enum: ['draft', 'published'] },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * @param {import('./types.ts').ApiChange[]} changes
+ * @returns {string[][]} [id, classification, path] per change
+ */
+function summarize(changes) {
+  return changes.map((c) => [c.id, c.classification, c.path]);
+}
+
+describe('diffSpecs', () => {
+  it('finds no changes between identical specs', () => {
+    assert.deepEqual(diffSpecs(createSpec(), createSpec()), []);
+  });
+
+  it('classifies removed and added paths and operations', () => {
+    const revision = createSpec();
+    delete revision.paths['/books/{id}'].delete;
+    revision.paths['/books/{id}'].patch = {
+      responses: { 200: { description: 'OK' } },
+    };
+    revision.paths['/authors'] = revision.paths['/books'];
+    delete revision.paths['/books'];
+
+    assert.deepEqual(summarize(diffSpecs(createSpec(), revision)), [
+      ['aip180/path-removed', 'breaking', '/books'],
+      ['aip180/operation-removed', 'breaking', 'DELETE /books/{id}'],
+      ['aip180/operation-added', 'safe', 'PATCH /books/{id}'],
+      ['aip180/path-added', 'safe', '/authors'],
+    ]);
+  });
+
+  it('matches paths whose parameters were renamed', () => {
+    const revision = createSpec();
+    const pathItem = revision.paths['/books/{id}'];
+    pathItem.parameters[0].name = 'bookId';
+    revision.paths['/books/{bookId}'] = pathItem;
+    delete revision.paths['/books/{id}'];
+
+    assert.deepEqual(diffSpecs(createSpec(), revision), []);
+  });
+
+  it('flags parameters that became required or were added as required', () => {
+    const revision = createSpec();
+    const get = revision.paths['/books'].get;
+    get.parameters[0].required = true;
+    get.parameters[1].name = 'x-tenant';
+    get.parameters.push(
+      { name: 'filter', in: 'query', required: true },
+      { name: 'order_by', in: 'query' }
+    );
+
+    const changes = diffSpecs(createSpec(), revision);
+
+    assert.deepEqual(summarize(changes), [
+      ['aip180/parameter-required', 'breaking', 'GET /books'],
+      ['aip180/parameter-added', 'breaking', 'GET /books'],
+      ['aip180/parameter-added', 'safe', 'GET /books'],
+    ]);
+    assert.equal(
+      changes[0].message,
+      "Parameter 'page_size' (query) of GET /books is now required"
+    );
+    assert.equal(changes[0].jsonPath, "$.paths['/books'].get.parameters[0]");
+  });
+
+  it('classifies schema changes by direction', () => {
+    const revision = createSpec();
+    const book = revision.components.schemas.Book;
+    // Book is both the POST request body and in the GET response
+    book.properties.status.enum = ['draft'];
+    book.properties.title.type = 'integer';
+    book.properties.isbn = { type: 'string' };
+    book.required.push('isbn');
+
+    assert.deepEqual(
+      diffSpecs(createSpec(), revision).map((c) => [
+        c.id,
+        c.classification,
+        c.message,
+      ]),
+      [
+        [
+          'aip180/type-changed',
+          'breaking',
+          'Type of GET /books 200 response > books[].title changed from string to integer',
+        ],
+        [
+          'aip180/enum-narrowed',
+          'safe',
+          "GET /books 200 response > books[].status no longer allows 'published'",
+        ],
+        [
+          'aip180/field-added',
+          'safe',
+          "Field 'isbn' was added to GET /books 200 response > books[]",
+        ],
+        [
+          'aip180/type-changed',
+          'breaking',
+          'Type of POST /books requestBody > title changed from string to integer',
+        ],
+        [
+          'aip180/enum-narrowed',
+          'breaking',
+          "POST /books requestBody > status no longer allows 'published'",
+        ],
+        [
+          'aip180/field-added',
+          'breaking',
+          "Required field 'isbn' was added to POST /books requestBody",
+        ],
+      ]
+    );
+  });
+
+  it('compares the branches of composed schemas', () => {
+    /** @param {any} spec */
+    const compose = (spec) => {
+      Object.assign(spec.components.schemas, {
+        Audited: { properties: { createdAt: { type: 'string' } } },
+        Paperback: { properties: { pages: { type: 'integer' } } },
+        Ebook: { properties: { url: { type: 'string' } } },
+        Audiobook: { properties: { minutes: { type: 'integer' } } },
+      });
+      Object.assign(spec.components.schemas.Book, {
+        allOf: [{ $ref: '#/components/schemas/Audited' }],
+        oneOf: [
+          { $ref: '#/components/schemas/Paperback' },
+          { $ref: '#/components/schemas/Ebook' },
+        ],
+      });
+      return spec;
+    };
+    const revision = compose(createSpec());
+    const book = revision.components.schemas.Book;
+    book.allOf = [];
+    // Ebook replaced, Paperback moved
+    book.oneOf = [
+      { $ref: '#/components/schemas/Audiobook' },
+      { $ref: '#/components/schemas/Paperback' },
+    ];
+    revision.components.schemas.Paperback.properties.pages.type = 'string';
+    // Not mistaken for an inherited property
+    book.properties.constructor = { type: 'string' };
+
+    assert.deepEqual(
+      diffSpecs(compose(createSpec()), revision).map((c) => [
+        c.id,
+        c.classification,
+        c.message,
+      ]),
+      [
+        [
+          'aip180/field-added',
+          'safe',
+          "Field 'constructor' was added to GET /books 200 response > books[]",
+        ],
+        [
+          'aip180/composition-branch-removed',
+          'breaking',
+          'Branch 0 of allOf was removed from GET /books 200 response > books[]',
+        ],
+        [
+          'aip180/composition-branch-removed',
+          'safe',
+          'Branch 1 of oneOf was removed from GET /books 200 response > books[]',
+        ],
+        [
+          'aip180/composition-branch-added',
+          'potentially-breaking',
+          'A oneOf branch was added to GET /books 200 response > books[]',
+        ],
+        [
+          'aip180/type-changed',
+          'breaking',
+          'Type of GET /books 200 response > books[].oneOf[1].pages changed from integer to string',
+        ],
+        [
+          'aip180/field-added',
+          'safe',
+          "Field 'constructor' was added to POST /books requestBody",
+        ],
+        [
+          'aip180/composition-branch-removed',
+          'safe',
+          'Branch 0 of allOf was removed from POST /books requestBody',
+        ],
+        [
+          'aip180/composition-branch-removed',
+          'breaking',
+          'Branch 1 of oneOf was removed from POST /books requestBody',
+        ],
+        [
+          'aip180/composition-branch-added',
+          'safe',
+          'A oneOf branch was added to POST /books requestBody',
+        ],
+        [
+          'aip180/type-changed',
+          'breaking',
+          'Type of POST /books requestBody > oneOf[1].pages changed from integer to string',
+        ],
+      ]
+    );
+  });
+
+  it('allows wider request types and narrower response types', () => {
+    const base = createSpec();
+    base.paths['/books'].get.parameters[0].schema = { type: 'integer' };
+    const revision = createSpec();
+    revision.paths['/books'].get.parameters[0].schema = { type: 'number' };
+    revision.paths['/books'].get.responses['200'].content[
+      'application/json'
+    ].schema.properties.next_page_token = { type: ['string', 'null'] };
+
+    assert.deepEqual(summarize(diffSpecs(base, revision)), [
+      ['aip180/type-changed', 'safe', 'GET /books'],
+      ['aip180/type-changed', 'breaking', 'GET /books'],
+    ]);
+  });
+
+  it('reports removed response fields with the enclosing schema', () => {
+    const revision = createSpec();
+    delete revision.paths['/books'].get.responses['200'].content[
+      'application/json'
+    ].schema.properties.next_page_token;
+
+    const [change] = diffSpecs(createSpec(), revision);
+
+    assert.equal(change.id, 'aip180/field-removed');
+    assert.equal(change.classification, 'breaking');
+    assert.equal(
+      change.jsonPath,
+      "$.paths['/books'].get.responses['200'].content['application/json'].schema"
+    );
+  });
+
+  it('classifies status code changes', () => {
+    const revision = createSpec();
+    const post = revision.paths['/books'].post;
+    post.responses = { 201: post.responses['200'] };
+    revision.paths['/books/{id}'].get.responses['404'] = {
+      description: 'Not found',
+    };
+    revision.paths['/books/{id}'].delete.responses['200'] = {
+      description: 'Deleted',
+    };
+
+    const changes = diffSpecs(createSpec(), revision);
+
+    assert.deepEqual(summarize(changes), [
+      ['aip180/status-code-changed', 'breaking', 'POST /books'],
+      ['aip180/response-added', 'safe', 'GET /books/{id}'],
+      ['aip180/response-added', 'potentially-breaking', 'DELETE /books/{id}'],
+    ]);
+    assert.equal(
+      changes[0].message,
+      'Success status of POST /books changed from 200 to 201'
+    );
+  });
+
+  it('compares circular schemas', () => {
+    const base = createSpec();
+    const revision = createSpec();
+    for (const spec of [base, revision]) {
+      const book = spec.components.schemas.Book;
+      book.properties.sequel = book;
+    }
+    revision.components.schemas.Book.properties.status.enum.push('archived');
+
+    assert.deepEqual(summarize(diffSpecs(base, revision)), [
+      ['aip180/enum-widened', 'potentially-breaking', 'GET /books'],
+      ['aip180/enum-widened', 'safe', 'POST /books'],
+    ]);
+  });
+});
+
+describe('createDiffResult', () => {
+  it('reports changes as versioning findings', () => {
+    const revision = createSpec();
+    delete revision.paths['/books/{id}'].delete;
+    revision.paths['/books/{id}'].get.responses['404'] = {
+      description: 'Not found',
+    };
+    revision.paths['/books'].get.parameters.pop();
+
+    const result = createDiffResult(diffSpecs(createSpec(), revision), {
+      specPath: 'api.yaml',
+      basePath: 'released.yaml',
+      spec: revision,
+    });
+
+    assert.deepEqual(
+      result.findings.map((f) => [f.ruleId, f.severity, f.category]),
+      [
+        ['aip180/parameter-removed', 'warning', 'versioning'],
+        ['aip180/response-added', 'suggestion', 'versioning'],
+        ['aip180/operation-removed', 'error', 'versioning'],
+      ]
+    );
+    assert.deepEqual(result.findings[2].context, {
+      classification: 'breaking',
+    });
+    assert.equal(result.summary.byCategory.versioning, 3);
+    assert.equal(result.metadata.comparedWith, 'released.yaml');
+    assert.ok(
+      formatMarkdown(result).includes('**Compared with:** released.yaml')
+    );
+  });
+
+  it('reports potentially breaking changes as errors in strict mode', () => {
+    const revision = createSpec();
+    revision.paths['/books'].get.parameters.pop();
+
+    const result = createDiffResult(diffSpecs(createSpec(), revision), {
+      specPath: 'api.yaml',
+      basePath: 'released.yaml',
+      strict: true,
+    });
+
+    assert.equal(result.summary.errors, 1);
+  });
+});
@@ -18,10 +18,16 @@
  * @module discover
  */
 
-import { glob, readFile } from 'node:fs/promises';
+import { readFile } from 'node:fs/promises';
 import { resolve, relative, basename } from 'node:path';
 import { parseArgs } from 'node:util';
 import SwaggerParser from '@apidevtools/swagger-parser';
+import {
+  DEFAULT_IGNORES,
+  GLOB_PATTERNS,
+  findSpecFiles,
+  looksLikeSpec,
+} from './spec-files.js';
 
 /**
  * @typedef {Object} SpecInfo
@@ -65,63 +71,6 @@ const argsConfig = {
   strict: false,
 };
 
-/**
- * Default glob patterns to ignore
- */
-const DEFAULT_IGNORES = [
-  '**/node_modules/**',
-  '**/.git/**',
-  '**/dist/**',
-  '**/build/**',
-  '**/coverage/**',
-  '**/.next/**',
-  '**/.nuxt/**',
-];
-
-/**
- * Glob patterns to find OpenAPI specs
- */
-const GLOB_PATTERNS = [
-  '**/openapi.{yaml,yml,json}',
-  '**/swagger.{yaml,yml,json}',
-  '**/api.{yaml,yml,json}',
-  '**/*openapi*.{yaml,yml,json}',
-  '**/*swagger*.{yaml,yml,json}',
-];
-
-/**
- * Find spec files using native glob
- * @param {string} dir - Directory to search
- * @param {string[]} [ignores] - Glob patterns to ignore (defaults to DEFAULT_IGNORES)
- * @returns {Promise<string[]>}
- */
-async function findSpecFiles(dir, ignores = DEFAULT_IGNORES) {
-  /** @type {Set<string>} */
-  const results = new Set();
-
-  const matches = glob(GLOB_PATTERNS, { cwd: dir, exclude: ignores });
-
-  for await (const match of matches) {
-    results.add(resolve(dir, match));
-  }
-
-  return [...results];
-}
-
-/**
- * Check if content looks like OpenAPI/Swagger
- * @param {string} content
- * @returns {boolean}
- */
-function looksLikeSpec(content) {
-  return (
-    content.includes('openapi:') ||
-    content.includes('"openapi":') ||
-    content.includes('swagger:') ||
-    content.includes('"swagger":')
-  );
-}
-
 /**
  * Detect if spec was auto-generated
  * @param {string} content
@@ -0,0 +1,331 @@
+// @ts-check
+/**
+ * Fix Selection
+ *
+ * Chooses which fixes `--fix` applies, instead of all of them: some are
+ * right for one API and wrong for another (adding `page_size` is safe,
+ * renaming `/user` to `/users` in a public API is not).
+ *
+ * - `filterFixes` keeps the fixes of some rules, categories or severities,
+ *   for CI.
+ * - `selectFixes` walks the fixes rule by rule, shows what each would
+ *   change and asks whether to apply it, skip it, or suppress the finding:
+ *   with an `x-baume-ignore` entry where it is reported (written into the
+ *   spec like a fix, see `createSuppressionFix`), or by disabling the rule
+ *   in the project config.
+ *
+ * @example
+ * ```js
+ * const fixable = filterFixes(result.findings, { categories: ['pagination'] });
+ * const selection = await selectFixes(fixable, prompt);
+ * const fixes = [...selection.accepted, ...selection.suppressed];
+ * ```
+ *
+ * @module fix-selection
+ */
+
+import { stringify as stringifyYaml } from 'yaml';
+import { SUPPRESSION_KEY, matchesRule } from './suppressions.js';
+import { formatJsonPath, parseJsonPath } from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+/** HTTP methods, as operations are keyed in path items */
+const METHODS = [
+  'get',
+  'put',
+  'post',
+  'delete',
+  'options',
+  'head',
+  'patch',
+  'trace',
+];
+
+/**
+ * @typedef {Object} FixFilters
+ * @property {string[]} [rules] - Rule IDs, "namespace/*" or "*"
+ * @property {string[]} [categories]
+ * @property {string[]} [severities]
+ */
+
+/**
+ * @typedef {Object} FixPrompt
+ * @property {(question: string) => Promise<string>} ask - Read an answer
+ * @property {(line: string) => void} print
+ */
+
+/**
+ * @typedef {Object} FixSelection
+ * @property {Finding[]} accepted - Findings whose fix to apply
+ * @property {Finding[]} suppressed - Findings to suppress, with their suppression as fix
+ * @property {Array<{ruleId: string, reason?: string}>} disabled - Rules to disable in the config
+ * @property {Finding[]} skipped
+ */
+
+/** Answers to the fix prompt */
+const CHOICES = [
+  ['y', 'apply this fix'],
+  ['n', 'skip it'],
+  ['i', `suppress the finding here (${SUPPRESSION_KEY})`],
+  ['d', 'disable the rule in the project config'],
+  ['a', 'apply this fix and the rest of the rule'],
+  ['r', 'skip the rest of the rule'],
+  ['q', 'skip all remaining fixes'],
+  ['?', 'help'],
+];
+
+/**
+ * Keep the fixable findings that match the filters
+ * @param {Finding[]} findings
+ * @param {FixFilters} filters
+ * @returns {Finding[]}
+ */
+export function filterFixes(findings, filters) {
+  return findings.filter(
+    (finding) => finding.fix && matchesFixFilters(finding, filters)
+  );
+}
+
+/**
+ * Whether a finding matches every filter given
+ *
+ * Each filter matches any of its values; an empty or missing filter
+ * matches everything.
+ *
+ * @param {Finding} finding
+ * @param {FixFilters} filters
+ * @returns {boolean}
+ */
+export function matchesFixFilters(finding, filters) {
+  const { rules = [], categories = [], severities = [] } = filters;
+  return (
+    (rules.length === 0 ||
+      rules.some((pattern) => matchesRule(finding.ruleId, pattern))) &&
+    (categories.length === 0 || categories.includes(finding.category)) &&
+    (severities.length === 0 || severities.includes(finding.severity))
+  );
+}
+
+/**
+ * Ask which fixes to apply, rule by rule
+ *
+ * Findings are grouped by rule, in the order their rules first occur.
+ *
+ * @param {Finding[]} findings - Fixable findings
+ * @param {FixPrompt} prompt
+ * @returns {Promise<FixSelection>}
+ */
+export async function selectFixes(findings, prompt) {
+  /** @type {FixSelection} */
+  const selection = { accepted: [], suppressed: [], disabled: [], skipped: [] };
+
+  /** @type {Map<string, Finding[]>} */
+  const byRule = new Map();
+  for (const finding of findings) {
+    if (!finding.fix) continue;
+    byRule.set(finding.ruleId, [
+      ...(byRule.get(finding.ruleId) ?? []),
+      finding,
+    ]);
+  }
+
+  let quit = false;
+  for (const [ruleId, group] of byRule) {
+    if (quit) {
+      selection.skipped.push(...group);
+      continue;
+    }
+    prompt.print('');
+    prompt.print(`${ruleId} (${group.length} fix(es))`);
+
+    /** @type {'accept' | 'skip' | undefined} Decision for the rest of the rule */
+    let rest;
+    for (const [i, finding] of group.entries()) {
+      if (rest) {
+        selection[rest === 'accept' ? 'accepted' : 'skipped'].push(finding);
+        continue;
+      }
+
+      prompt.print(
+        `  [${i + 1}/${group.length}] ${finding.path}: ${finding.message}`
+      );
+      for (const line of previewFix(finding)) {
+        prompt.print(`    ${line}`);
+      }
+
+      switch (await askChoice(prompt)) {
+        case 'y':
+          selection.accepted.push(finding);
+          break;
+        case 'a':
+          selection.accepted.push(finding);
+          rest = 'accept';
+          break;
+        case 'i': {
+          const reason = await prompt.ask('  Reason (optional): ');
+          selection.suppressed.push(createSuppressionFix(finding, reason));
+          break;
+        }
+        case 'd': {
+          const reason = await prompt.ask('  Reason (optional): ');
+          selection.disabled.push({
+            ruleId,
+            ...(reason.trim() && { reason: reason.trim() }),
+          });
+          selection.skipped.push(finding);
+          rest = 'skip';
+          break;
+        }
+        case 'r':
+          selection.skipped.push(finding);
+          rest = 'skip';
+          break;
+        case 'q':
+          selection.skipped.push(finding);
+          rest = 'skip';
+          quit = true;
+          break;
+        default:
+          selection.skipped.push(finding);
+      }
+    }
+  }
+
+  return selection;
+}
+
+/**
+ * Replace the fix of a finding with an `x-baume-ignore` entry suppressing it
+ *
+ * The entry goes on the element the finding is reported on, or the nearest
+ * one that can carry it: a parameter, an operation, a path item, a component
+ * schema or, failing those, the root document.
+ *
+ * @param {Finding} finding
+ * @param {string} [reason]
+ * @returns {Finding}
+ */
+export function createSuppressionFix(finding, reason) {
+  const target = suppressionTarget(finding);
+  return {
+    ...finding,
+    fix: {
+      type: 'suppress',
+      jsonPath: formatJsonPath(target),
+      specChanges: [
+        {
+          operation: 'add',
+          path: formatJsonPath([...target, SUPPRESSION_KEY]),
+          value: {
+            rule: finding.ruleId,
+            ...(reason?.trim() && { reason: reason.trim() }),
+          },
+        },
+      ],
+    },
+  };
+}
+
+/**
+ * Describe the changes of a fix, one line per change (and per line of a value)
+ * @param {Finding} finding
+ * @returns {string[]}
+ */
+export function previewFix(finding) {
+  return (finding.fix?.specChanges ?? []).flatMap((change) => {
+    switch (change.operation) {
+      case 'set':
+        return withValue(`set ${change.path} to`, change.value);
+      case 'add':
+        return withValue(`add to ${change.path}:`, change.value);
+      case 'merge':
+        return withValue(`merge into ${change.path}:`, change.value);
+      case 'remove':
+        return [`remove ${change.path}`];
+      case 'rename-key':
+        return [`rename '${change.from}' to '${change.to}' in ${change.path}`];
+      default:
+        return [`${change.operation} ${change.path}`];
+    }
+  });
+}
+
+/**
+ * Ask until the answer is one of the choices
+ * @param {FixPrompt} prompt
+ * @returns {Promise<string>} The choice; an empty answer skips the fix
+ */
+async function askChoice(prompt) {
+  const keys = CHOICES.map(([key]) => key).join(',');
+  while (true) {
+    const answer = (await prompt.ask(`  Apply? [${keys}] `))
+      .trim()
+      .toLowerCase();
+    if (answer === '') return 'n';
+    if (answer !== '?' && CHOICES.some(([key]) => key === answer)) {
+      return answer;
+    }
+    for (const [key, description] of CHOICES) {
+      prompt.print(`    ${key} - ${description}`);
+    }
+  }
+}
+
+/**
+ * @param {string} label
+ * @param {unknown} value
+ * @returns {string[]} The value inline if it is a scalar, as YAML below the label otherwise
+ */
+function withValue(label, value) {
+  if (typeof value !== 'object' || value === null) {
+    return [`${label} ${JSON.stringify(value)}`];
+  }
+  const yaml = stringifyYaml(value, { lineWidth: 0 }).trimEnd().split('\n');
+  return [label, ...yaml.map((line) => `  ${line}`)];
+}
+
+/**
+ * Path of the element to carry a finding's suppression
+ * @param {Finding} finding
+ * @returns {string[]}
+ */
+function suppressionTarget(finding) {
+  const segments = finding.jsonPath
+    ? parseJsonPath(finding.jsonPath)
+    : logicalPathSegments(finding.path);
+
+  const [collection, name, method, parameters, index] = segments;
+  if (collection === 'paths' || collection === 'webhooks') {
+    if (!METHODS.includes(method)) return segments.slice(0, 2);
+    if (parameters === 'parameters' && /^\d+$/.test(index ?? '')) {
+      return segments.slice(0, 5);
+    }
+    return segments.slice(0, 3);
+  }
+  if (collection === 'components' && name === 'schemas' && method) {
+    return segments.slice(0, 3);
+  }
+  if (collection === 'definitions' && name) {
+    return segments.slice(0, 2);
+  }
+  return [];
+}
+
+/**
+ * @param {string} path - Logical path of a finding, e.g., "GET /users"
+ * @returns {string[]} Segments of the operation or path item it names
+ */
+function logicalPathSegments(path) {
+  const [first, second] = path.split(' ');
+  if (second?.startsWith('/') && METHODS.includes(first.toLowerCase())) {
+    return ['paths', second, first.toLowerCase()];
+  }
+  if (second === undefined && first.startsWith('/')) {
+    return ['paths', first];
+  }
+  return [];
+}
@@ -0,0 +1,280 @@
+// @ts-check
+/**
+ * Tests for choosing the fixes to apply
+ * Run with: node --test src/fix-selection.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSuppressionFix,
+  filterFixes,
+  previewFix,
+  selectFixes,
+} from './fix-selection.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import { verifyFixes } from './verify.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ */
+
+/**
+ * @param {string} ruleId
+ * @param {Partial<Finding>} [overrides]
+ * @returns {Finding}
+ */
+function createFinding(ruleId, overrides = {}) {
+  return {
+    ruleId,
+    severity: 'warning',
+    category: 'naming',
+    path: 'GET /books',
+    message: `${ruleId} message`,
+    fix: {
+      type: 'add-parameter',
+      jsonPath: "$.paths['/books'].get",
+      specChanges: [
+        {
+          operation: 'add',
+          path: "$.paths['/books'].get.parameters",
+          value: { name: 'page_size', in: 'query' },
+        },
+      ],
+    },
+    ...overrides,
+  };
+}
+
+/**
+ * Prompt answering from a script, recording what it is shown
+ * @param {string[]} answers
+ */
+function createPrompt(answers) {
+  /** @type {string[]} */
+  const shown = [];
+  return {
+    shown,
+    ask: async (/** @type {string} */ question) => {
+      shown.push(question);
+      return answers.shift() ?? '';
+    },
+    print: (/** @type {string} */ line) => {
+      shown.push(line);
+    },
+  };
+}
+
+describe('filterFixes', () => {
+  const findings = [
+    createFinding('aip158/list-paginated', { category: 'pagination' }),
+    createFinding('aip158/max-page-size', {
+      category: 'pagination',
+      severity: 'suggestion',
+    }),
+    createFinding('aip122/plural-resources', { severity: 'error' }),
+    createFinding('aip122/no-verbs', { fix: undefined }),
+  ];
+
+  it('keeps fixable findings matching every filter', () => {
+    assert.deepEqual(filterFixes(findings, {}), findings.slice(0, 3));
+    assert.deepEqual(filterFixes(findings, { rules: ['aip158/*'] }), [
+      findings[0],
+      findings[1],
+    ]);
+    assert.deepEqual(
+      filterFixes(findings, {
+        categories: ['pagination'],
+        severities: ['warning', 'error'],
+      }),
+      [findings[0]]
+    );
+    assert.deepEqual(
+      filterFixes(findings, {
+        rules: ['aip122/plural-resources', 'aip122/no-verbs'],
+      }),
+      [findings[2]]
+    );
+  });
+});
+
+describe('selectFixes', () => {
+  it('asks fix by fix, grouped by rule', async () => {
+    const findings = [
+      createFinding('aip122/plural-resources', { path: '/book' }),
+      createFinding('aip158/list-paginated'),
+      createFinding('aip122/plural-resources', { path: '/author' }),
+      createFinding('aip122/plural-resources', { path: '/shelf' }),
+      createFinding('aip158/list-paginated', { path: 'GET /authors' }),
+      createFinding('aip132/has-ordering'),
+    ];
+    const prompt = createPrompt([
+      'y',
+      'i',
+      'Published URL',
+      'maybe',
+      '',
+      'A',
+      'd',
+      'Sorted by the client',
+    ]);
+
+    const selection = await selectFixes(findings, prompt);
+
+    assert.deepEqual(selection.accepted, [
+      findings[0],
+      findings[1],
+      findings[4],
+    ]);
+    assert.deepEqual(
+      selection.suppressed.map((finding) => finding.fix?.specChanges),
+      [
+        [
+          {
+            operation: 'add',
+            path: "$.paths['/author'].x-baume-ignore",
+            value: {
+              rule: 'aip122/plural-resources',
+              reason: 'Published URL',
+            },
+          },
+        ],
+      ]
+    );
+    assert.deepEqual(selection.skipped, [findings[3], findings[5]]);
+    assert.deepEqual(selection.disabled, [
+      { ruleId: 'aip132/has-ordering', reason: 'Sorted by the client' },
+    ]);
+
+    assert.ok(prompt.shown.includes('aip122/plural-resources (3 fix(es))'));
+    assert.ok(
+      prompt.shown.includes('  [2/3] /author: aip122/plural-resources message')
+    );
+    // An unknown answer shows the choices and asks again
+    assert.ok(prompt.shown.includes('    q - skip all remaining fixes'));
+  });
+
+  it('skips the remaining fixes on quit', async () => {
+    const findings = [
+      createFinding('aip158/list-paginated'),
+      createFinding('aip158/list-paginated', { path: 'GET /authors' }),
+      createFinding('aip132/has-ordering'),
+    ];
+    const prompt = createPrompt(['q']);
+
+    const selection = await selectFixes(findings, prompt);
+
+    assert.deepEqual(selection.accepted, []);
+    assert.deepEqual(selection.skipped, findings);
+    assert.ok(!prompt.shown.includes('aip132/has-ordering (1 fix(es))'));
+  });
+});
+
+describe('createSuppressionFix', () => {
+  it('suppresses on the nearest element that can carry it', () => {
+    const cases = [
+      [
+        createFinding('aip158/max-page-size', {
+          jsonPath: "$.paths['/books'].get.parameters[1].schema",
+        }),
+        "$.paths['/books'].get.parameters[1]",
+      ],
+      [createFinding('aip158/list-paginated'), "$.paths['/books'].get"],
+      [
+        createFinding('aip122/field-names', {
+          path: 'Book.authorName',
+          jsonPath: '$.components.schemas.Book.properties.authorName',
+        }),
+        '$.components.schemas.Book',
+      ],
+      [
+        createFinding('aip122/plural-resources', { path: '/book' }),
+        "$.paths['/book']",
+      ],
+      [createFinding('info-contact', { path: 'info' }), '$'],
+    ];
+    for (const [finding, target] of cases) {
+      const suppression = createSuppressionFix(
+        /** @type {Finding} */ (finding)
+      );
+      assert.equal(suppression.fix?.type, 'suppress');
+      assert.equal(suppression.fix?.jsonPath, target);
+      assert.equal(
+        suppression.fix?.specChanges[0].path,
+        `${target}.x-baume-ignore`
+      );
+    }
+  });
+
+  it('resolves the finding once applied', () => {
+    /** @type {OpenAPISpec} */
+    const spec = {
+      openapi: '3.0.3',
+      info: { title: 'Library', version: '1.0.0' },
+      paths: {
+        '/books': {
+          get: {
+            responses: { 200: { description: 'OK' } },
+          },
+        },
+      },
+    };
+    const reviewer = new OpenAPIReviewer({
+      skipRules: ['aip193/schema-defined', 'aip193/responses-documented'],
+    });
+    const result = reviewer.review(spec);
+    const finding = /** @type {Finding} */ (
+      result.findings.find((f) => f.ruleId === 'aip158/list-paginated')
+    );
+
+    const verified = verifyFixes(reviewer, spec, result, {
+      fixes: [createSuppressionFix(finding, 'Returns a handful of books')],
+    });
+
+    assert.deepEqual(verified.result.resolved, [finding]);
+    assert.equal(verified.result.summary.fixes?.introduced, 0);
+    assert.deepEqual(verified.spec.paths?.['/books'].get?.['x-baume-ignore'], [
+      { rule: 'aip158/list-paginated', reason: 'Returns a handful of books' },
+    ]);
+  });
+});
+
+describe('previewFix', () => {
+  it('shows one line per change, and values as YAML', () => {
+    const finding = createFinding('mixed', {
+      fix: {
+        type: 'add-parameter',
+        jsonPath: '$',
+        specChanges: [
+          {
+            operation: 'set',
+            path: "$.paths['/books'].get.parameters[0].schema.maximum",
+            value: 100,
+          },
+          {
+            operation: 'add',
+            path: "$.paths['/books'].get.parameters",
+            value: { name: 'page_token', in: 'query' },
+          },
+          { operation: 'remove', path: "$.paths['/books'].post.requestBody" },
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '/book',
+            to: '/books',
+          },
+        ],
+      },
+    });
+
+    assert.deepEqual(previewFix(finding), [
+      "set $.paths['/books'].get.parameters[0].schema.maximum to 100",
+      "add to $.paths['/books'].get.parameters:",
+      '  name: page_token',
+      '  in: query',
+      "remove $.paths['/books'].post.requestBody",
+      "rename '/book' to '/books' in $.paths",
+    ]);
+  });
+});
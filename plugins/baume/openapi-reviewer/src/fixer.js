@@ -5,30 +5,87 @@
  * Applies structured fix objects from findings to OpenAPI specifications.
  * Supports JSONPath-like navigation and atomic spec changes.
  *
+ * Fixes are computed independently from the same spec, so `applyFixes`
+ * plans them first (see `planFixes`): fixes that conflict with an earlier
+ * one are left out, renames go last and the paths of later fixes follow
+ * the keys earlier ones renamed. Each fix then applies as a whole or not at
+ * all.
+ *
+ * Every change applied is logged with its inverse: JSON Patch operations
+ * putting back what it replaced or removed. `getInversePatch` chains them
+ * into a patch reverting the fixes.
+ *
  * @module fixer
  */
 
+import { isDeepStrictEqual } from 'node:util';
+import {
+  formatJsonPath,
+  parseJsonPath,
+  parseJsonPointer,
+  queryJsonPath,
+  toJsonPointer,
+  toNormalizedPath,
+} from './rules/helpers/jsonpath.js';
+
 /**
  * @typedef {import('./types.ts').Fix} Fix
  * @typedef {import('./types.ts').SpecChange} SpecChange
  * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
  * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').Overlay} Overlay
+ * @typedef {import('./types.ts').OverlayAction} OverlayAction
+ * @typedef {import('./types.ts').JsonPatch} JsonPatch
+ * @typedef {import('./types.ts').JsonPatchOperation} JsonPatchOperation
  */
 
 /**
  * @typedef {Object} ChangeLogEntry
- * @property {SpecChange} change - The change that was applied/attempted
+ * @property {SpecChange | JsonPatchOperation} change - The change that was applied/attempted
  * @property {boolean} applied - Whether the change was successfully applied
  * @property {string} [error] - Error message if the change failed
+ * @property {boolean} [rolledBack] - Applied, then undone because a later change of the fix failed
+ * @property {JsonPatchOperation[]} [inverse] - For an applied change, operations
+ *   reverting it right after it: the values it replaced or removed, guarded by
+ *   `test`s of what it wrote
  */
 
 /**
  * @typedef {Object} FixResult
  * @property {string} ruleId - The rule ID that generated this fix
+ * @property {Finding} [finding] - The finding, with its fix as applied (paths rebased after renames)
  * @property {boolean} applied - Whether all changes were applied
+ * @property {boolean} [conflict] - Left out because it conflicts with an earlier fix
+ * @property {Finding} [sameAs] - The fix whose changes this one makes too,
+ *   applied in its place (its changes are logged there)
  * @property {ChangeLogEntry[]} changes - Individual change results
  */
 
+/**
+ * @typedef {Object} FixSummary
+ * @property {number} total - Fixes attempted
+ * @property {number} applied
+ * @property {number} failed - Including conflicting fixes
+ * @property {number} conflicts - Fixes left out for conflicting with an earlier one
+ * @property {number} changes - Changes applied
+ */
+
+/**
+ * @typedef {Object} FixConflict
+ * @property {Finding} finding - The fix left out
+ * @property {SpecChange} change - Its change that conflicts
+ * @property {Finding} conflictsWith - The earlier fix it conflicts with
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} FixPlan
+ * @property {Finding[]} fixes - Findings to fix, in the order to apply them
+ * @property {FixConflict[]} conflicts - Fixes left out
+ * @property {Array<{finding: Finding, sameAs: Finding}>} duplicates - Fixes
+ *   making the same changes as a planned one (`sameAs`, as in `fixes`)
+ */
+
 /**
  * OpenAPI specification fixer
  *
@@ -47,6 +104,9 @@
  * ```
  */
 export class OpenAPIFixer {
+  /** @type {OpenAPISpec} The spec as given, which a dry run returns */
+  #input;
+
   /** @type {OpenAPISpec} */
   #spec;
 
@@ -59,15 +119,21 @@ export class OpenAPIFixer {
   /**
    * @param {OpenAPISpec} spec - The OpenAPI spec to modify
    * @param {Object} [options] - Fixer options
-   * @param {boolean} [options.dryRun=false] - If true, don't modify the spec, just validate changes
+   * @param {boolean} [options.dryRun=false] - If true, apply changes to a private copy only, to
+   *   validate them; `getSpec()` returns the spec unchanged
    */
   constructor(spec, options = {}) {
-    this.#spec = options.dryRun ? spec : structuredClone(spec);
+    this.#input = spec;
+    this.#spec = structuredClone(spec);
     this.#dryRun = options.dryRun ?? false;
   }
 
   /**
    * Apply a fix from a finding
+   *
+   * The fix is atomic: if one of its changes fails, the changes before it
+   * are rolled back and the ones after it are not attempted.
+   *
    * @param {Finding} finding - Finding with a fix to apply
    * @returns {FixResult} Result of applying the fix
    */
@@ -80,27 +146,35 @@ export class OpenAPIFixer {
       };
     }
 
-    const fix = finding.fix;
     /** @type {ChangeLogEntry[]} */
     const changes = [];
-    let allApplied = true;
+    const snapshot = structuredClone(this.#spec);
 
-    for (const change of fix.specChanges) {
+    for (const change of finding.fix.specChanges) {
       try {
-        if (!this.#dryRun) {
-          this.#applyChange(change);
-        }
-        changes.push({ change, applied: true });
+        const inverse = invertChange(this.#spec, change);
+        this.#applyChange(change);
+        changes.push({
+          change,
+          applied: true,
+          inverse: guardInverse(this.#spec, inverse),
+        });
       } catch (error) {
         const message = error instanceof Error ? error.message : String(error);
+        this.#spec = snapshot;
+        for (const entry of changes) {
+          entry.applied = false;
+          entry.rolledBack = true;
+        }
         changes.push({ change, applied: false, error: message });
-        allApplied = false;
+        break;
       }
     }
 
     const result = {
       ruleId: finding.ruleId,
-      applied: allApplied,
+      finding,
+      applied: changes.every((c) => c.applied),
       changes,
     };
 
@@ -109,23 +183,239 @@ export class OpenAPIFixer {
   }
 
   /**
-   * Apply multiple fixes from findings
+   * Apply multiple fixes from findings, in the order `planFixes` gives
+   *
+   * Fixes that conflict with an earlier one are not applied: they are
+   * logged as failed, with the conflict as the error of their change. Fixes
+   * making the same changes as an earlier one are applied with it, and
+   * logged with its outcome and no changes.
+   *
    * @param {Finding[]} findings - Findings with fixes to apply
-   * @returns {FixResult[]} Results of applying all fixes
+   * @returns {FixResult[]} Results in the order the fixes were applied,
+   *   followed by the duplicate and the conflicting fixes
    */
   applyFixes(findings) {
-    /** @type {FixResult[]} */
-    const results = [];
+    const { fixes, conflicts, duplicates } = planFixes(findings);
+    const results = fixes.map((finding) => this.applyFix(finding));
 
-    for (const finding of findings) {
-      if (finding.fix) {
-        results.push(this.applyFix(finding));
-      }
+    for (const { finding, sameAs } of duplicates) {
+      const result = {
+        ruleId: finding.ruleId,
+        finding,
+        applied: Boolean(
+          results.find((other) => other.finding === sameAs)?.applied
+        ),
+        sameAs,
+        changes: [],
+      };
+      this.#log.push(result);
+      results.push(result);
+    }
+
+    for (const conflict of conflicts) {
+      const result = {
+        ruleId: conflict.finding.ruleId,
+        finding: conflict.finding,
+        applied: false,
+        conflict: true,
+        changes: [
+          {
+            change: conflict.change,
+            applied: false,
+            error: describeConflict(conflict),
+          },
+        ],
+      };
+      this.#log.push(result);
+      results.push(result);
     }
 
     return results;
   }
 
+  /**
+   * Apply the actions of an OpenAPI Overlay document, in order
+   *
+   * Each action is logged like a fix, under its `x-baume-rule` (or
+   * "overlay"), with one change per selected node. An `update` is merged
+   * into selected objects (recursively; arrays are concatenated) and
+   * appended to selected arrays. An action selecting nothing changes
+   * nothing, as the Overlay specification requires. Changes are logged in
+   * the order they are applied: from the last node selected.
+   *
+   * @param {Overlay} overlay
+   * @returns {FixResult[]} Results, one per action
+   * @throws {Error} If the document is not an Overlay 1.x document
+   */
+  applyOverlay(overlay) {
+    if (
+      typeof overlay !== 'object' ||
+      overlay === null ||
+      typeof overlay.overlay !== 'string' ||
+      !overlay.overlay.startsWith('1.') ||
+      !Array.isArray(overlay.actions)
+    ) {
+      throw new Error(
+        'Invalid overlay: expected { overlay: 1.x, info, actions: [...] }'
+      );
+    }
+
+    return overlay.actions.map((action) => {
+      /** @type {ChangeLogEntry[]} */
+      let changes;
+      try {
+        const nodes = queryJsonPath(this.#spec, action.target);
+        const planned = nodes.map(({ path, value }) => ({
+          path,
+          value,
+          change: this.#overlayChange(action, path, value),
+        }));
+        // From the end, so removals keep the indices of earlier nodes valid
+        changes = planned.reverse().map(({ path, value, change }) => {
+          const inverse = invertChange(this.#spec, change);
+          this.#applyOverlayChange(action, path, value);
+          return {
+            change,
+            applied: true,
+            inverse: guardInverse(this.#spec, inverse),
+          };
+        });
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        /** @type {SpecChange} */
+        const change = action.remove
+          ? { operation: 'remove', path: action.target }
+          : { operation: 'merge', path: action.target, value: action.update };
+        changes = [{ change, applied: false, error: message }];
+      }
+
+      const result = {
+        ruleId: action['x-baume-rule'] ?? 'overlay',
+        applied: changes.every((c) => c.applied),
+        changes,
+      };
+      this.#log.push(result);
+      return result;
+    });
+  }
+
+  /**
+   * Apply an RFC 6902 JSON Patch document
+   *
+   * The patch is atomic: if an operation fails, including a `test` of a
+   * value that has changed since the patch was made, none is applied. It is
+   * logged as one fix, with a change per operation or the failed one alone.
+   *
+   * @param {JsonPatch} patch
+   * @param {Object} [options]
+   * @param {string} [options.ruleId='json-patch'] - Rule ID to log the patch under
+   * @returns {FixResult} Result of applying the patch
+   * @throws {Error} If the document is not a JSON Patch
+   */
+  applyJsonPatch(patch, options = {}) {
+    if (
+      !Array.isArray(patch) ||
+      patch.some(
+        (operation) =>
+          typeof operation?.op !== 'string' ||
+          typeof operation.path !== 'string'
+      )
+    ) {
+      throw new Error('Invalid JSON Patch: expected [{ op, path, ... }]');
+    }
+
+    /** @type {ChangeLogEntry[]} */
+    let changes;
+    let document = /** @type {unknown} */ (structuredClone(this.#spec));
+    /** @type {JsonPatchOperation[][]} */
+    const inverses = [];
+    let index = 0;
+    try {
+      for (; index < patch.length; index++) {
+        const inverse = invertPatchOperation(document, patch[index]);
+        document = applyPatchOperation(document, patch[index]);
+        inverses.push(guardInverse(document, inverse));
+      }
+      this.#spec = /** @type {OpenAPISpec} */ (document);
+      changes = patch.map((change, i) => ({
+        change,
+        applied: true,
+        inverse: inverses[i],
+      }));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      const change = patch[index];
+      changes = [
+        {
+          change,
+          applied: false,
+          error: `Operation ${index} (${change.op} ${change.path}): ${message}`,
+        },
+      ];
+    }
+
+    const result = {
+      ruleId: options.ruleId ?? 'json-patch',
+      applied: changes.every((c) => c.applied),
+      changes,
+    };
+    this.#log.push(result);
+    return result;
+  }
+
+  /**
+   * Describe what an overlay action does to one node
+   * @param {OverlayAction} action
+   * @param {Array<string | number>} path
+   * @param {unknown} value - The node's current value
+   * @returns {SpecChange}
+   */
+  #overlayChange(action, path, value) {
+    const target = toNormalizedPath(path);
+    if (action.remove) {
+      if (path.length === 0) throw new Error('Cannot remove the root');
+      return { operation: 'remove', path: target };
+    }
+    if (Array.isArray(value)) {
+      return { operation: 'add', path: target, value: action.update };
+    }
+    if (!isPlainObject(value) || !isPlainObject(action.update)) {
+      throw new Error(
+        `Cannot update ${target}: update and target must both be objects, or the target an array`
+      );
+    }
+    return { operation: 'merge', path: target, value: action.update };
+  }
+
+  /**
+   * Remove or update one node selected by an overlay action
+   * @param {OverlayAction} action
+   * @param {Array<string | number>} path
+   * @param {unknown} value - The node's current value
+   */
+  #applyOverlayChange(action, path, value) {
+    if (action.remove) {
+      const parent = /** @type {any} */ (
+        path
+          .slice(0, -1)
+          .reduce((node, key) => /** @type {any} */ (node)[key], this.#spec)
+      );
+      const key = /** @type {string | number} */ (path.at(-1));
+      if (Array.isArray(parent)) {
+        parent.splice(/** @type {number} */ (key), 1);
+      } else {
+        delete parent[key];
+      }
+    } else if (Array.isArray(value)) {
+      value.push(structuredClone(action.update));
+    } else {
+      mergeDeep(
+        /** @type {Record<string, unknown>} */ (value),
+        /** @type {Record<string, unknown>} */ (action.update)
+      );
+    }
+  }
+
   /**
    * Apply a single spec change
    * @param {SpecChange} change
@@ -242,14 +532,19 @@ export class OpenAPIFixer {
 
    */
   #removeValue(jsonPath) {
-    const { parent, key } = this.#resolveParent(jsonPath);
+    const segments = parseJsonPath(jsonPath);
+    if (segments.length === 0) {
+      throw new Error('Cannot remove the root');
+    }
+    const key = /** @type {string} */ (segments.pop());
+    const parent = this.#resolveSegments(segments);
 
-    if (!(key in parent)) {
+    if (typeof parent !== 'object' || parent === null || !(key in parent)) {
       // Already removed or never existed - that's fine
       return;
     }
 
-    delete parent[key];
+    delete (/** @type {Record<string, unknown>} */ (parent)[key]);
   }
 
   /**
@@ -305,15 +600,18 @@ export class OpenAPIFixer {
 
    */
   #resolve(jsonPath) {
-    const path = jsonPath.replace(/^\$\.?/, '');
-
-    if (!path) {
-      return this.#spec;
-    }
+    return this.#resolveSegments(parseJsonPath(jsonPath));
+  }
 
+  /**
+   * Resolve the segments of a parsed JSONPath to get the value
+   * @param {string[]} segments
+   * @returns {unknown}
+   */
+  #resolveSegments(segments) {
     let current = /** @type {unknown} */ (this.#spec);
 
-    for (const segment of this.#parseSegments(path)) {
+    for (const segment of segments) {
       if (current === undefined || current === null) {
         return undefined;
       }
@@ -335,7 +633,7 @@ export class OpenAPIFixer {
 
    */
   #resolveParent(jsonPath) {
-    const segments = this.#parseSegments(jsonPath.replace(/^\$\.?/, ''));
+    const segments = parseJsonPath(jsonPath);
 
     if (segments.length === 0) {
       throw new Error('Cannot resolve parent of root');
@@ -359,68 +657,11 @@ export class OpenAPIFixer {
   }
 
   /**
-   * Parse JSONPath segments
-   *
-   * Handles:
-   * - paths['/users'].get -> ['paths', '/users', 'get']
-   * - paths.get.parameters[0] -> ['paths', 'get', 'parameters', '0']
-   *
-   * @param {string} path
-   * @returns {string[]}
-
-   */
-  #parseSegments(path) {
-    /** @type {string[]} */
-    const segments = [];
-    let current = '';
-    let inBracket = false;
-    let quote = '';
-
-    for (let i = 0; i < path.length; i++) {
-      const char = path[i];
-
-      if (inBracket) {
-        if (quote) {
-          // Inside quoted string
-          if (char === quote) {
-            quote = '';
-          } else {
-            current += char;
-          }
-        } else if (char === '"' || char === "'") {
-          quote = char;
-        } else if (char === ']') {
-          if (current) segments.push(current);
-          current = '';
-          inBracket = false;
-        } else {
-          current += char;
-        }
-      } else {
-        if (char === '[') {
-          if (current) segments.push(current);
-          current = '';
-          inBracket = true;
-        } else if (char === '.') {
-          if (current) segments.push(current);
-          current = '';
-        } else {
-          current += char;
-        }
-      }
-    }
-
-    if (current) segments.push(current);
-
-    return segments;
-  }
-
-  /**
-   * Get the modified spec
+   * Get the modified spec (the spec as given, in a dry run)
    * @returns {OpenAPISpec}
    */
   getSpec() {
-    return this.#spec;
+    return this.#dryRun ? this.#input : this.#spec;
   }
 
   /**
@@ -431,13 +672,27 @@ export class OpenAPIFixer {
     return this.#log;
   }
 
+  /**
+   * Get a JSON Patch reverting every change applied so far
+   *
+   * Applied to the spec the changes left (`getSpec()`), it gives back the
+   * spec as given, or fails as a whole if a value the changes wrote has
+   * changed since. Renamed keys move back last in their object.
+   *
+   * @returns {JsonPatch}
+   */
+  getInversePatch() {
+    return getInversePatch(this.#log);
+  }
+
   /**
    * Get summary statistics
-   * @returns {{total: number, applied: number, failed: number, changes: number}}
+   * @returns {FixSummary}
    */
   getSummary() {
     const applied = this.#log.filter((r) => r.applied).length;
     const failed = this.#log.filter((r) => !r.applied).length;
+    const conflicts = this.#log.filter((r) => r.conflict).length;
     const changes = this.#log.reduce(
       (sum, r) => sum + r.changes.filter((c) => c.applied).length,
       0
@@ -447,6 +702,7 @@ export class OpenAPIFixer {
       total: this.#log.length,
       applied,
       failed,
+      conflicts,
       changes,
     };
   }
@@ -482,6 +738,812 @@ export class OpenAPIFixer {
   }
 }
 
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Merge an overlay update into an object
+ *
+ * Objects are merged recursively and arrays concatenated; other values
+ * replace what is there.
+ *
+ * @param {Record<string, unknown>} target
+ * @param {Record<string, unknown>} update
+ */
+function mergeDeep(target, update) {
+  for (const [key, value] of Object.entries(update)) {
+    const current = target[key];
+    if (isPlainObject(current) && isPlainObject(value)) {
+      mergeDeep(current, value);
+    } else if (Array.isArray(current) && Array.isArray(value)) {
+      current.push(...structuredClone(value));
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+}
+
+/**
+ * Apply one JSON Patch operation
+ * @param {unknown} document - Modified in place
+ * @param {JsonPatchOperation} operation
+ * @returns {unknown} The document, or its replacement when the root is replaced
+ */
+function applyPatchOperation(document, operation) {
+  switch (operation.op) {
+    case 'add':
+      return addAtPointer(
+        document,
+        operation.path,
+        structuredClone(operation.value)
+      );
+
+    case 'remove':
+      removeAtPointer(document, operation.path);
+      return document;
+
+    case 'replace':
+      return replaceAtPointer(
+        document,
+        operation.path,
+        structuredClone(operation.value)
+      );
+
+    case 'move': {
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw new Error(`Cannot move ${operation.from} into itself`);
+      }
+      const value = getAtPointer(document, operation.from);
+      removeAtPointer(document, operation.from);
+      return addAtPointer(document, operation.path, value);
+    }
+
+    case 'copy':
+      return addAtPointer(
+        document,
+        operation.path,
+        structuredClone(getAtPointer(document, operation.from))
+      );
+
+    case 'test':
+      if (
+        !isDeepStrictEqual(
+          getAtPointer(document, operation.path),
+          operation.value
+        )
+      ) {
+        throw new Error('Test failed: the value has changed');
+      }
+      return document;
+
+    default:
+      throw new Error(
+        `Unknown operation: ${/** @type {{op: string}} */ (operation).op}`
+      );
+  }
+}
+
+/**
+ * Operations reverting a spec change
+ * @param {unknown} document - The spec before the change
+ * @param {SpecChange} change
+ * @returns {JsonPatchOperation[]}
+ */
+function invertChange(document, change) {
+  const segments = parseJsonPath(change.path);
+  const target = valueAt(document, segments);
+
+  switch (change.operation) {
+    case 'rename-key':
+      return [
+        {
+          op: 'move',
+          from: toJsonPointer([...segments, String(change.to)]),
+          path: toJsonPointer([...segments, String(change.from)]),
+        },
+      ];
+
+    case 'add':
+      if (Array.isArray(target)) {
+        return [
+          { op: 'remove', path: toJsonPointer([...segments, target.length]) },
+        ];
+      }
+      return restoreOperations(document, segments);
+
+    case 'merge': {
+      const { value } = change;
+      if (Array.isArray(target) && Array.isArray(value)) {
+        // The appended items, last first
+        return value.map((_, i) => ({
+          op: /** @type {const} */ ('remove'),
+          path: toJsonPointer([
+            ...segments,
+            target.length + value.length - 1 - i,
+          ]),
+        }));
+      }
+      if (isPlainObject(target) && isPlainObject(value)) {
+        return Object.keys(value).flatMap((key) =>
+          restoreOperations(document, [...segments, key])
+        );
+      }
+      return restoreOperations(document, segments);
+    }
+
+    case 'remove':
+      // Removing what is not there changes nothing
+      return segments.length > 0 && target !== undefined
+        ? [
+            {
+              op: 'add',
+              path: toJsonPointer(segments),
+              value: structuredClone(target),
+            },
+          ]
+        : [];
+
+    default:
+      return restoreOperations(document, segments);
+  }
+}
+
+/**
+ * Operations putting back what a path holds before a change writes it: its
+ * value, or nothing (from the first object the change creates on the way)
+ * @param {unknown} document
+ * @param {string[]} segments
+ * @returns {JsonPatchOperation[]}
+ */
+function restoreOperations(document, segments) {
+  let value = document;
+  for (const [i, segment] of segments.entries()) {
+    if (
+      typeof value !== 'object' ||
+      value === null ||
+      !Object.hasOwn(value, segment)
+    ) {
+      return [{ op: 'remove', path: toJsonPointer(segments.slice(0, i + 1)) }];
+    }
+    value = /** @type {Record<string, unknown>} */ (value)[segment];
+  }
+  return [
+    {
+      op: 'replace',
+      path: toJsonPointer(segments),
+      value: structuredClone(value),
+    },
+  ];
+}
+
+/**
+ * Operations reverting a JSON Patch operation
+ * @param {unknown} document - The document before the operation
+ * @param {JsonPatchOperation} operation
+ * @returns {JsonPatchOperation[]}
+ */
+function invertPatchOperation(document, operation) {
+  switch (operation.op) {
+    case 'add':
+    case 'copy':
+      return restoreAdded(document, operation.path);
+
+    case 'remove':
+    case 'replace': {
+      const value = structuredClone(getAtPointer(document, operation.path));
+      return [
+        {
+          op: operation.op === 'remove' ? 'add' : 'replace',
+          path: operation.path,
+          value,
+        },
+      ];
+    }
+
+    case 'move': {
+      // What the moved value overwrote comes back after it
+      const [overwritten] = restoreAdded(document, operation.path);
+      return [
+        { op: 'move', from: operation.path, path: operation.from },
+        ...(overwritten.op === 'replace'
+          ? [
+              {
+                op: /** @type {const} */ ('add'),
+                path: operation.path,
+                value: overwritten.value,
+              },
+            ]
+          : []),
+      ];
+    }
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Operations reverting the `add` of a value at a JSON Pointer
+ * @param {unknown} document - The document before the value is added
+ * @param {string} pointer
+ * @returns {JsonPatchOperation[]}
+ */
+function restoreAdded(document, pointer) {
+  if (pointer === '') {
+    return [{ op: 'replace', path: '', value: structuredClone(document) }];
+  }
+  const { container, key } = locatePointer(document, pointer);
+  if (Array.isArray(container)) {
+    const index = key === '-' ? container.length : Number(key);
+    return [
+      {
+        op: 'remove',
+        path: `${pointer.slice(0, pointer.lastIndexOf('/'))}/${index}`,
+      },
+    ];
+  }
+  return Object.hasOwn(container, key)
+    ? [
+        {
+          op: 'replace',
+          path: pointer,
+          value: structuredClone(container[key]),
+        },
+      ]
+    : [{ op: 'remove', path: pointer }];
+}
+
+/**
+ * Guard the operations of an inverse with `test`s of the values they
+ * replace or remove
+ * @param {unknown} document - The document after the change
+ * @param {JsonPatchOperation[]} inverse
+ * @returns {JsonPatchOperation[]}
+ */
+function guardInverse(document, inverse) {
+  return inverse.flatMap((operation) => {
+    /** @type {JsonPatchOperation[]} */
+    const guarded = [operation];
+    if (operation.op === 'replace' || operation.op === 'remove') {
+      const value = valueAt(document, parseJsonPointer(operation.path));
+      if (value !== undefined) {
+        guarded.unshift({
+          op: 'test',
+          path: operation.path,
+          value: structuredClone(value),
+        });
+      }
+    }
+    return guarded;
+  });
+}
+
+/**
+ * @param {unknown} document
+ * @param {string[]} segments
+ * @returns {unknown} The value at the path, if there is one
+ */
+function valueAt(document, segments) {
+  let value = document;
+  for (const segment of segments) {
+    if (
+      typeof value !== 'object' ||
+      value === null ||
+      !Object.hasOwn(value, segment)
+    ) {
+      return undefined;
+    }
+    value = /** @type {Record<string, unknown>} */ (value)[segment];
+  }
+  return value;
+}
+
+/**
+ * Index of an array element designated by a reference token
+ * @param {string} token
+ * @param {number} max - Largest valid index
+ * @param {string} pointer - For error messages
+ * @returns {number}
+ */
+function arrayIndex(token, max, pointer) {
+  if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) > max) {
+    throw new Error(`No array element '${token}' at ${pointer}`);
+  }
+  return Number(token);
+}
+
+/**
+ * Value a JSON Pointer designates
+ * @param {unknown} document
+ * @param {string} pointer
+ * @returns {unknown}
+ * @throws {Error} If there is none
+ */
+function getAtPointer(document, pointer) {
+  let value = document;
+  for (const token of parseJsonPointer(pointer)) {
+    if (Array.isArray(value)) {
+      value = value[arrayIndex(token, value.length - 1, pointer)];
+    } else if (isPlainObject(value) && Object.hasOwn(value, token)) {
+      value = value[token];
+    } else {
+      throw new Error(`No value at ${pointer}`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Container of the value a JSON Pointer designates, and its key there
+ * @param {unknown} document
+ * @param {string} pointer - Not the root
+ * @returns {{container: unknown[] | Record<string, unknown>, key: string}}
+ */
+function locatePointer(document, pointer) {
+  const tokens = parseJsonPointer(pointer);
+  const key = /** @type {string} */ (tokens.pop());
+  const parentPointer = tokens
+    .map((token) => `/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+  const container = getAtPointer(document, parentPointer);
+  if (!Array.isArray(container) && !isPlainObject(container)) {
+    throw new Error(`No object or array at ${parentPointer || '/'}`);
+  }
+  return { container, key };
+}
+
+/**
+ * Add a value: insert it in an array, or set an object member
+ * @param {unknown} document
+ * @param {string} pointer
+ * @param {unknown} value
+ * @returns {unknown} The document, or the value when the pointer is the root
+ */
+function addAtPointer(document, pointer, value) {
+  if (pointer === '') return value;
+  const { container, key } = locatePointer(document, pointer);
+  if (Array.isArray(container)) {
+    const index =
+      key === '-'
+        ? container.length
+        : arrayIndex(key, container.length, pointer);
+    container.splice(index, 0, value);
+  } else {
+    container[key] = value;
+  }
+  return document;
+}
+
+/**
+ * Replace the value a JSON Pointer designates, in place
+ * @param {unknown} document
+ * @param {string} pointer
+ * @param {unknown} value
+ * @returns {unknown} The document, or the value when the pointer is the root
+ * @throws {Error} If there is no value to replace
+ */
+function replaceAtPointer(document, pointer, value) {
+  if (pointer === '') return value;
+  const { container, key } = locatePointer(document, pointer);
+  if (Array.isArray(container)) {
+    container[arrayIndex(key, container.length - 1, pointer)] = value;
+  } else if (Object.hasOwn(container, key)) {
+    container[key] = value;
+  } else {
+    throw new Error(`No value at ${pointer}`);
+  }
+  return document;
+}
+
+/**
+ * Remove the value a JSON Pointer designates
+ * @param {unknown} document
+ * @param {string} pointer
+ * @throws {Error} If there is none
+ */
+function removeAtPointer(document, pointer) {
+  if (pointer === '') throw new Error('Cannot remove the root');
+  const { container, key } = locatePointer(document, pointer);
+  if (Array.isArray(container)) {
+    container.splice(arrayIndex(key, container.length - 1, pointer), 1);
+  } else if (Object.hasOwn(container, key)) {
+    delete container[key];
+  } else {
+    throw new Error(`No value at ${pointer}`);
+  }
+}
+
+/**
+ * Plan the order in which to apply the fixes of findings
+ *
+ * Rules compute their fixes independently, from the spec as reviewed, so:
+ *
+ * - A fix that makes the same changes as an earlier one is a duplicate of
+ *   it: renaming a path segment makes the same changes for every path
+ *   below it, whichever path the finding is reported on.
+ * - A fix that conflicts with an earlier one (renaming the same key, or to
+ *   the same key, writing the same node unless both append to it or merge
+ *   different keys into it, or writing within a member that the other
+ *   writes) is left out.
+ * - Fixes that rename keys go last, in their order: the others target the
+ *   spec with its keys as reviewed.
+ * - The paths of a renaming fix are rebased through the keys renamed by
+ *   the fixes before it (e.g., a response renamed under a path that a
+ *   previous fix pluralized).
+ *
+ * @param {Finding[]} findings - Findings without a fix are ignored
+ * @returns {FixPlan} The findings are copied where their paths are rebased
+ */
+export function planFixes(findings) {
+  /** @type {Finding[]} */
+  const accepted = [];
+  /** @type {FixConflict[]} */
+  const conflicts = [];
+  /** @type {Array<{finding: Finding, sameAs: Finding}>} */
+  const duplicates = [];
+
+  for (const finding of findings) {
+    if (!finding.fix) continue;
+    const changes = finding.fix.specChanges;
+    const sameAs = accepted.find(
+      (other) =>
+        changes.length > 0 && isDeepStrictEqual(changes, other.fix?.specChanges)
+    );
+    if (sameAs) {
+      duplicates.push({ finding, sameAs });
+      continue;
+    }
+    const conflict = findConflict(finding, accepted);
+    if (conflict) {
+      conflicts.push(conflict);
+    } else {
+      accepted.push(finding);
+    }
+  }
+
+  const renames = (/** @type {Finding} */ finding) =>
+    Boolean(finding.fix?.specChanges.some((c) => c.operation === 'rename-key'));
+
+  /** @type {RenamedKey[]} */
+  const renamed = [];
+  /** @type {Map<Finding, Finding>} Accepted findings, to how they are planned */
+  const planned = new Map();
+  const fixes = [
+    ...accepted.filter((finding) => !renames(finding)),
+    ...accepted.filter(renames).map((finding) => {
+      const rebased = rebaseFix(finding, renamed);
+      planned.set(finding, rebased);
+      for (const change of rebased.fix?.specChanges ?? []) {
+        if (change.operation === 'rename-key' && change.from && change.to) {
+          renamed.push({
+            key: [...parseJsonPath(change.path), change.from],
+            to: change.to,
+          });
+        }
+      }
+      return rebased;
+    }),
+  ];
+
+  return {
+    fixes,
+    conflicts,
+    duplicates: duplicates.map(({ finding, sameAs }) => ({
+      finding,
+      sameAs: planned.get(sameAs) ?? sameAs,
+    })),
+  };
+}
+
+/**
+ * A key renamed by a planned fix
+ * @typedef {Object} RenamedKey
+ * @property {string[]} key - Path of the key before the rename
+ * @property {string} to - Its new name
+ */
+
+/**
+ * The keys that applied fixes renamed
+ * @param {FixResult[]} results - In the order the fixes were applied
+ * @returns {RenamedKey[]} In the order of the renames
+ */
+export function getRenamedKeys(results) {
+  return results.flatMap((result) =>
+    result.changes.flatMap(({ change, applied }) =>
+      applied &&
+      'operation' in change &&
+      change.operation === 'rename-key' &&
+      change.from &&
+      change.to
+        ? [{ key: [...parseJsonPath(change.path), change.from], to: change.to }]
+        : []
+    )
+  );
+}
+
+/**
+ * A JSON Patch reverting the changes of fixes
+ * @param {FixResult[]} results - In the order the fixes were applied
+ * @returns {JsonPatch} The inverses of their applied changes, last change first
+ */
+export function getInversePatch(results) {
+  return [...results]
+    .reverse()
+    .flatMap((result) =>
+      [...result.changes]
+        .reverse()
+        .flatMap(({ applied, inverse }) => (applied && inverse) || [])
+    );
+}
+
+/**
+ * Find the first change of a fix that conflicts with an accepted fix
+ * @param {Finding} finding
+ * @param {Finding[]} accepted
+ * @returns {FixConflict | undefined}
+ */
+function findConflict(finding, accepted) {
+  const changes = finding.fix?.specChanges ?? [];
+  for (const other of accepted) {
+    const otherChanges = other.fix?.specChanges ?? [];
+    for (const change of changes) {
+      for (const otherChange of otherChanges) {
+        const reason = conflictBetween(otherChange, change);
+        if (reason) {
+          return { finding, change, conflictsWith: other, reason };
+        }
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Why two changes cannot both be applied
+ * @param {SpecChange} a - Change of the earlier fix
+ * @param {SpecChange} b
+ * @returns {string | undefined}
+ */
+function conflictBetween(a, b) {
+  const targetA = changeTarget(a);
+  const targetB = changeTarget(b);
+
+  if (a.operation === 'rename-key' && b.operation === 'rename-key') {
+    const sameParent = isDeepStrictEqual(
+      parseJsonPath(a.path),
+      parseJsonPath(b.path)
+    );
+    if (sameParent && a.from === b.from) {
+      return `both rename '${a.from}' at ${a.path}`;
+    }
+    if (sameParent && a.to === b.to) {
+      return `both rename a key to '${a.to}' at ${a.path}`;
+    }
+  }
+
+  for (const [rename, other] of [
+    [a, b],
+    [b, a],
+  ]) {
+    if (
+      rename.operation === 'rename-key' &&
+      rename.to &&
+      isWithin([...parseJsonPath(rename.path), rename.to], changeTarget(other))
+    ) {
+      return `one renames '${rename.from}' to '${rename.to}' at ${rename.path}, which the other writes`;
+    }
+  }
+
+  if (a.operation === 'remove' && isWithin(targetA, targetB)) {
+    return `one removes ${a.path}, which the other changes`;
+  }
+  if (b.operation === 'remove' && isWithin(targetB, targetA)) {
+    return `one removes ${b.path}, which the other changes`;
+  }
+
+  // Renames are applied last, through the paths they rename
+  if (a.operation === 'rename-key' || b.operation === 'rename-key') {
+    return undefined;
+  }
+  if (!isWithin(targetA, targetB) && !isWithin(targetB, targetA)) {
+    return undefined;
+  }
+  if (isDeepStrictEqual(targetA, targetB)) {
+    if (a.operation === 'set' && b.operation === 'set') {
+      return isDeepStrictEqual(a.value, b.value)
+        ? undefined
+        : `both set ${a.path}, to different values`;
+    }
+    if (appends(a) && appends(b)) return undefined;
+    if (a.operation === 'merge' && b.operation === 'merge') {
+      return mergeDisjoint(a.value, b.value)
+        ? undefined
+        : `both merge the same keys into ${a.path}`;
+    }
+    return `both change ${a.path}`;
+  }
+  const [outer, inner] = targetA.length < targetB.length ? [a, b] : [b, a];
+  if (!writesMember(outer, changeTarget(inner)[changeTarget(outer).length])) {
+    return undefined;
+  }
+  return `one changes ${outer.path}, the other ${inner.path} within it`;
+}
+
+/**
+ * @param {SpecChange} change
+ * @param {string} key
+ * @returns {boolean} Whether the change writes the member at the key of its target
+ */
+function writesMember(change, key) {
+  if (appends(change)) return false;
+  if (change.operation === 'merge' && isPlainObject(change.value)) {
+    return Object.hasOwn(change.value, key);
+  }
+  return true;
+}
+
+/**
+ * @param {SpecChange} change
+ * @returns {boolean} Whether the change appends items to an array
+ */
+function appends(change) {
+  return (
+    change.operation === 'add' ||
+    (change.operation === 'merge' && Array.isArray(change.value))
+  );
+}
+
+/**
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean} Whether both are objects without a key in common
+ */
+function mergeDisjoint(a, b) {
+  return (
+    isPlainObject(a) &&
+    isPlainObject(b) &&
+    Object.keys(a).every((key) => !Object.hasOwn(b, key))
+  );
+}
+
+/**
+ * @param {SpecChange} change
+ * @returns {string[]} Path of the node the change writes or removes
+ */
+function changeTarget(change) {
+  const segments = parseJsonPath(change.path);
+  return change.operation === 'rename-key' && change.from
+    ? [...segments, change.from]
+    : segments;
+}
+
+/**
+ * @param {string[]} ancestor
+ * @param {string[]} path
+ * @returns {boolean} Whether the path is the ancestor or below it
+ */
+function isWithin(ancestor, path) {
+  return (
+    ancestor.length <= path.length &&
+    ancestor.every((segment, i) => path[i] === segment)
+  );
+}
+
+/**
+ * Rewrite the paths of a fix that go through renamed keys
+ * @param {Finding} finding
+ * @param {RenamedKey[]} renamed - In the order of the renames
+ * @returns {Finding}
+ */
+function rebaseFix(finding, renamed) {
+  const { fix } = finding;
+  if (!fix || renamed.length === 0) return finding;
+
+  const specChanges = fix.specChanges.map((change) => {
+    const path = rebasePath(change.path, renamed);
+    return path === change.path ? change : { ...change, path };
+  });
+  const jsonPath = rebasePath(fix.jsonPath, renamed);
+  if (
+    jsonPath === fix.jsonPath &&
+    specChanges.every((change, i) => change === fix.specChanges[i])
+  ) {
+    return finding;
+  }
+  return { ...finding, fix: { ...fix, jsonPath, specChanges } };
+}
+
+/**
+ * Rewrite a JSONPath that goes through renamed keys
+ * @param {string} jsonPath
+ * @param {RenamedKey[]} renamed - In the order of the renames
+ * @returns {string} The path, unchanged if it goes through no renamed key
+ */
+export function rebasePath(jsonPath, renamed) {
+  let segments = parseJsonPath(jsonPath);
+  let changed = false;
+  for (const { key, to } of renamed) {
+    if (isWithin(key, segments)) {
+      segments = [...key.slice(0, -1), to, ...segments.slice(key.length)];
+      changed = true;
+    }
+  }
+  return changed ? formatJsonPath(segments) : jsonPath;
+}
+
+/**
+ * @param {FixConflict} conflict
+ * @returns {string}
+ */
+function describeConflict({ conflictsWith, reason }) {
+  return `Conflicts with ${conflictsWith.ruleId} (${conflictsWith.path}): ${reason}`;
+}
+
+/**
+ * Convert the fixes of findings into another format, change by change
+ *
+ * Fixes are taken in the order `planFixes` gives, conflicting ones are
+ * skipped and duplicate ones converted once. Each change is converted against the spec as the previous
+ * changes left it, then applied to check it. A fix with a change that
+ * cannot be converted or applied is skipped as a whole.
+ *
+ * @template T
+ * @param {Finding[]} findings - Findings without a fix are ignored
+ * @param {OpenAPISpec} spec
+ * @param {(change: SpecChange, spec: OpenAPISpec) => T[]} convert - Throws if the change cannot be expressed
+ * @returns {{converted: Array<{finding: Finding, items: T[]}>, skipped: Array<{ruleId: string, path: string, error: string}>}}
+ */
+export function convertFixes(findings, spec, convert) {
+  /** @type {Array<{finding: Finding, items: T[]}>} */
+  const converted = [];
+  const { fixes, conflicts } = planFixes(findings);
+  /** @type {Array<{ruleId: string, path: string, error: string}>} */
+  const skipped = conflicts.map((conflict) => ({
+    ruleId: conflict.finding.ruleId,
+    path: conflict.finding.path,
+    error: describeConflict(conflict),
+  }));
+
+  let current = spec;
+  for (const finding of fixes) {
+    if (!finding.fix) continue;
+
+    const fixer = new OpenAPIFixer(current);
+    /** @type {T[]} */
+    const items = [];
+    try {
+      for (const change of finding.fix.specChanges) {
+        items.push(...convert(change, fixer.getSpec()));
+        const result = fixer.applyFix({
+          ...finding,
+          fix: { ...finding.fix, specChanges: [change] },
+        });
+        if (!result.applied) {
+          throw new Error(result.changes[0]?.error ?? 'Change not applied');
+        }
+      }
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      skipped.push({
+        ruleId: finding.ruleId,
+        path: finding.path,
+        error: message,
+      });
+      continue;
+    }
+
+    converted.push({ finding, items });
+    current = fixer.getSpec();
+  }
+
+  return { converted, skipped };
+}
+
 /**
  * Create a fixer and apply all fixes from findings
  *
@@ -489,7 +1551,7 @@ export class OpenAPIFixer {
  * @param {Finding[]} findings - Findings with fixes
  * @param {Object} [options] - Options
  * @param {boolean} [options.dryRun=false] - Just validate, don't modify
- * @returns {{spec: OpenAPISpec, results: FixResult[], summary: {total: number, applied: number, failed: number, changes: number}}}
+ * @returns {{spec: OpenAPISpec, results: FixResult[], summary: FixSummary}}
  */
 export function applyAllFixes(spec, findings, options = {}) {
   const fixer = new OpenAPIFixer(spec, options);
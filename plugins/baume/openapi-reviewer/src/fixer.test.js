@@ -1,14 +1,34 @@
 // @ts-check
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
-import { OpenAPIFixer, applyAllFixes } from './fixer.js';
+import { OpenAPIFixer, applyAllFixes, planFixes } from './fixer.js';
 
 /**
  * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
  * @typedef {import('./types.ts').Parameter} Parameter
  * @typedef {import('./types.ts').PathItem} PathItem
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').SpecChange} SpecChange
  */
 
+/**
+ * Helper to create a finding with a fix made of the given changes
+ * @param {string} ruleId
+ * @param {string} path
+ * @param {SpecChange[]} specChanges
+ * @returns {Finding}
+ */
+function fixFinding(ruleId, path, specChanges) {
+  return {
+    ruleId,
+    severity: 'warning',
+    category: 'naming',
+    path,
+    message: `${ruleId} message`,
+    fix: { type: 'test', jsonPath: specChanges[0].path, specChanges },
+  };
+}
+
 /**
  * Helper to create a query parameter with proper typing
  * @param {string} name
@@ -369,6 +389,37 @@ describe('OpenAPIFixer', () => {
 
       assert.strictEqual(result.applied, true);
     });
+
+    it('should not create the parents of a missing value', () => {
+      const spec = {
+        openapi: '3.0.0',
+        paths: {
+          '/users': { get: {} },
+        },
+      };
+
+      const fixer = new OpenAPIFixer(spec);
+      const result = fixer.applyFix({
+        ruleId: 'test-rule',
+        severity: 'warning',
+        category: 'naming',
+        path: '/user',
+        message: 'test',
+        fix: {
+          type: 'remove-request-body',
+          jsonPath: "$.paths['/user'].delete",
+          specChanges: [
+            {
+              operation: 'remove',
+              path: "$.paths['/user'].delete.requestBody",
+            },
+          ],
+        },
+      });
+
+      assert.strictEqual(result.applied, true);
+      assert.deepStrictEqual(fixer.getSpec(), spec);
+    });
   });
 
   describe('merge operation', () => {
@@ -611,7 +662,7 @@ describe('OpenAPIFixer', () => {
       assert.strictEqual(pathItem.get?.requestBody, undefined);
     });
 
-    it('should report partial failure when some changes fail', () => {
+    it('should roll back a fix when one of its changes fails', () => {
       const spec = {
         openapi: '3.0.0',
         paths: {
@@ -647,8 +698,12 @@ describe('OpenAPIFixer', () => {
       });
 
       assert.strictEqual(result.applied, false);
-      assert.strictEqual(result.changes[0].applied, true);
+      assert.strictEqual(result.changes[0].applied, false);
+      assert.strictEqual(result.changes[0].rolledBack, true);
       assert.strictEqual(result.changes[1].applied, false);
+      assert.match(String(result.changes[1].error), /not found/);
+      assert.deepEqual(fixer.getSpec(), spec);
+      assert.deepEqual(fixer.getSummary().changes, 0);
     });
   });
 
@@ -685,6 +740,29 @@ describe('OpenAPIFixer', () => {
       assert.strictEqual(result.applied, true);
       assert.ok('/user' in spec.paths); // Original unchanged
     });
+
+    it('should validate changes against the fixes before them', () => {
+      const spec = { openapi: '3.0.0', paths: { '/user': { get: {} } } };
+      const rename = fixFinding('rename', '/user', [
+        {
+          operation: 'rename-key',
+          path: '$.paths',
+          from: '/user',
+          to: '/users',
+        },
+      ]);
+
+      const fixer = new OpenAPIFixer(spec, { dryRun: true });
+      const results = [
+        fixer.applyFix(rename),
+        fixer.applyFix({ ...rename, ruleId: 'again' }),
+      ];
+
+      assert.strictEqual(results[0].applied, true);
+      assert.strictEqual(results[1].applied, false);
+      assert.strictEqual(fixer.getSpec(), spec);
+      assert.deepEqual(spec.paths, { '/user': { get: {} } });
+    });
   });
 
   describe('applyFixes helper', () => {
@@ -936,4 +1014,637 @@ describe('OpenAPIFixer', () => {
       assert.ok('/users' in (fixer.getSpec().paths ?? {}));
     });
   });
+
+  describe('applyOverlay', () => {
+    /** @returns {OpenAPISpec} */
+    function createSpec() {
+      return {
+        openapi: '3.0.3',
+        info: { title: 'Test', version: '1.0.0' },
+        paths: {
+          '/books': {
+            get: {
+              parameters: [queryParam('page_size'), queryParam('filter')],
+              responses: { 200: { description: 'OK' } },
+            },
+            delete: { responses: { 200: { description: 'OK' } } },
+          },
+        },
+      };
+    }
+
+    it('merges updates, appends to arrays and removes nodes', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      const results = fixer.applyOverlay({
+        overlay: '1.0.0',
+        info: { title: 'Fixes', version: '1.0.0' },
+        actions: [
+          {
+            target: "$.paths['/books'].get.parameters[?@.name == 'page_size']",
+            update: { schema: { type: 'integer', maximum: 100 } },
+          },
+          {
+            target: "$.paths['/books'].get.parameters",
+            update: queryParam('order_by'),
+            'x-baume-rule': 'aip132/has-ordering',
+          },
+          { target: "$.paths['/books'].delete", remove: true },
+        ],
+      });
+
+      assert.deepStrictEqual(
+        results.map((r) => [r.ruleId, r.applied]),
+        [
+          ['overlay', true],
+          ['aip132/has-ordering', true],
+          ['overlay', true],
+        ]
+      );
+      const pathItem = getPath(fixer.getSpec(), '/books');
+      assert.deepStrictEqual(
+        getParams(fixer.getSpec(), '/books', 'get').map((p) => p.name),
+        ['page_size', 'filter', 'order_by']
+      );
+      assert.deepStrictEqual(pathItem.get?.parameters?.[0], {
+        name: 'page_size',
+        in: 'query',
+        schema: { type: 'integer', maximum: 100 },
+      });
+      assert.ok(!('delete' in pathItem));
+    });
+
+    it('removes every selected array item', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      fixer.applyOverlay({
+        overlay: '1.0.0',
+        info: { title: 'Fixes', version: '1.0.0' },
+        actions: [{ target: '$..parameters[*]', remove: true }],
+      });
+
+      assert.deepStrictEqual(getParams(fixer.getSpec(), '/books', 'get'), []);
+    });
+
+    it('ignores actions selecting nothing and reports invalid ones', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      const results = fixer.applyOverlay({
+        overlay: '1.0.0',
+        info: { title: 'Fixes', version: '1.0.0' },
+        actions: [
+          { target: "$.paths['/authors']", update: { get: {} } },
+          { target: '$.info.title', update: 'Other' },
+          { target: '$.paths[', remove: true },
+        ],
+      });
+
+      assert.deepStrictEqual(
+        results.map((r) => [r.applied, r.changes.length]),
+        [
+          [true, 0],
+          [false, 1],
+          [false, 1],
+        ]
+      );
+      assert.match(String(results[2].changes[0].error), /Invalid JSONPath/);
+      assert.equal(fixer.getErrors().length, 2);
+      assert.equal(fixer.getSpec().info.title, 'Test');
+    });
+
+    it('rejects documents that are not overlays', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      assert.throws(
+        () =>
+          fixer.applyOverlay(
+            /** @type {any} */ ({ overlay: '2.0.0', actions: [] })
+          ),
+        /Invalid overlay/
+      );
+    });
+  });
+
+  describe('applyJsonPatch', () => {
+    /** @returns {OpenAPISpec} */
+    function createSpec() {
+      return {
+        openapi: '3.0.3',
+        info: { title: 'Test', version: '1.0.0' },
+        paths: {
+          '/book': {
+            get: {
+              parameters: [queryParam('page_size'), queryParam('filter')],
+              responses: { 200: { description: 'OK' } },
+            },
+          },
+        },
+      };
+    }
+
+    it('applies all operations', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      const result = fixer.applyJsonPatch([
+        {
+          op: 'test',
+          path: '/paths/~1book/get/parameters/1/name',
+          value: 'filter',
+        },
+        { op: 'move', from: '/paths/~1book', path: '/paths/~1books' },
+        {
+          op: 'add',
+          path: '/paths/~1books/get/parameters/1',
+          value: queryParam('order_by', { type: 'string' }),
+        },
+        {
+          op: 'add',
+          path: '/paths/~1books/get/parameters/-',
+          value: queryParam('page_token'),
+        },
+        { op: 'remove', path: '/paths/~1books/get/parameters/2' },
+        { op: 'replace', path: '/info/title', value: 'Library' },
+        {
+          op: 'copy',
+          from: '/paths/~1books/get/responses',
+          path: '/paths/~1books/x-responses',
+        },
+      ]);
+
+      assert.strictEqual(result.ruleId, 'json-patch');
+      assert.strictEqual(result.applied, true);
+      assert.strictEqual(result.changes.length, 7);
+      const spec = fixer.getSpec();
+      assert.strictEqual(spec.info.title, 'Library');
+      assert.ok(!('/book' in (spec.paths ?? {})));
+      assert.deepStrictEqual(
+        getParams(spec, '/books', 'get').map((p) => p.name),
+        ['page_size', 'order_by', 'page_token']
+      );
+      assert.deepStrictEqual(getPath(spec, '/books')['x-responses'], {
+        200: { description: 'OK' },
+      });
+    });
+
+    it('applies nothing when an operation fails', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      const result = fixer.applyJsonPatch(
+        [
+          { op: 'replace', path: '/info/title', value: 'Library' },
+          { op: 'test', path: '/info/version', value: '2.0.0' },
+        ],
+        { ruleId: 'aip158/max-page-size' }
+      );
+
+      assert.strictEqual(result.applied, false);
+      assert.deepStrictEqual(fixer.getErrors(), [
+        {
+          ruleId: 'aip158/max-page-size',
+          error:
+            'Operation 1 (test /info/version): Test failed: the value has changed',
+        },
+      ]);
+      assert.deepStrictEqual(fixer.getSpec(), createSpec());
+    });
+
+    it('rejects pointers to missing values', () => {
+      for (const operation of /** @type {import('./types.ts').JsonPatch} */ ([
+        { op: 'remove', path: '/paths/~1books' },
+        { op: 'replace', path: '/paths/~1book/get/parameters/2', value: {} },
+        { op: 'add', path: '/paths/~1book/get/parameters/3', value: {} },
+        { op: 'add', path: '/paths/~1books/get', value: {} },
+        { op: 'move', from: '/paths', path: '/paths/~1book/x-paths' },
+        { op: 'add', path: 'paths', value: {} },
+      ])) {
+        const fixer = new OpenAPIFixer(createSpec());
+        assert.strictEqual(
+          fixer.applyJsonPatch([operation]).applied,
+          false,
+          JSON.stringify(operation)
+        );
+      }
+    });
+
+    it('rejects documents that are not JSON Patches', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      assert.throws(
+        () => fixer.applyJsonPatch(/** @type {any} */ ({ op: 'add' })),
+        /Invalid JSON Patch/
+      );
+    });
+  });
+
+  describe('getInversePatch', () => {
+    /** @returns {OpenAPISpec} */
+    function createSpec() {
+      return {
+        openapi: '3.0.3',
+        info: { title: 'Test', version: '1.0.0' },
+        tags: [{ name: 'Book' }],
+        paths: {
+          '/book': {
+            get: {
+              parameters: [
+                queryParam('page_size', { type: 'integer' }),
+                queryParam('filter'),
+              ],
+              responses: { 200: { description: 'OK' } },
+            },
+            post: {
+              requestBody: { content: {} },
+              responses: { 201: { description: 'Created' } },
+            },
+          },
+        },
+      };
+    }
+
+    /**
+     * @param {OpenAPIFixer} fixer
+     * @returns {OpenAPISpec} The spec the inverse patch gives back
+     */
+    function revert(fixer) {
+      const reverter = new OpenAPIFixer(fixer.getSpec());
+      const result = reverter.applyJsonPatch(fixer.getInversePatch());
+      assert.deepStrictEqual(reverter.getErrors(), []);
+      assert.strictEqual(result.applied, true);
+      return reverter.getSpec();
+    }
+
+    it('reverts every kind of change', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      for (const finding of [
+        fixFinding('aip122/plural-resources', '/book', [
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '/book',
+            to: '/books',
+          },
+        ]),
+        fixFinding('aip158/max-page-size', 'GET /books', [
+          {
+            operation: 'set',
+            path: "$.paths['/books'].get.parameters[0].schema.maximum",
+            value: 100,
+          },
+          { operation: 'set', path: '$.info.title', value: 'Library' },
+        ]),
+        fixFinding('aip132/has-ordering', 'GET /books', [
+          {
+            operation: 'add',
+            path: "$.paths['/books'].get.parameters",
+            value: queryParam('order_by', { type: 'string' }),
+          },
+          {
+            operation: 'merge',
+            path: '$.tags',
+            value: [{ name: 'Author' }, { name: 'Shelf' }],
+          },
+          {
+            operation: 'merge',
+            path: "$.paths['/books'].get.responses['200']",
+            value: { description: 'The books', headers: {} },
+          },
+        ]),
+        fixFinding('aip133/no-request-body', 'POST /books', [
+          { operation: 'remove', path: "$.paths['/books'].post.requestBody" },
+          { operation: 'remove', path: "$.paths['/books'].post.callbacks" },
+        ]),
+      ]) {
+        fixer.applyFix(finding);
+      }
+
+      assert.strictEqual(fixer.getSummary().failed, 0);
+      assert.deepStrictEqual(revert(fixer), createSpec());
+    });
+
+    it('leaves out the changes that were not applied', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      fixer.applyFix(
+        fixFinding('aip158/max-page-size', 'GET /book', [
+          { operation: 'set', path: '$.info.title', value: 'Library' },
+          { operation: 'rename-key', path: '$.paths', from: '/x', to: '/y' },
+        ])
+      );
+
+      assert.deepStrictEqual(fixer.getInversePatch(), []);
+    });
+
+    it('reverts overlays and JSON Patches', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      fixer.applyOverlay({
+        overlay: '1.0.0',
+        info: { title: 'Fixes', version: '1.0.0' },
+        actions: [
+          {
+            target: "$.paths['/book'].get.parameters[*]",
+            update: { required: false },
+          },
+          { target: "$.paths['/book'].get.parameters[0]", remove: true },
+          { target: "$.paths['/book'].post", remove: true },
+        ],
+      });
+      fixer.applyJsonPatch([
+        { op: 'move', from: '/paths/~1book', path: '/paths/~1books' },
+        { op: 'copy', from: '/info/title', path: '/info/x-title' },
+        { op: 'replace', path: '/info/version', value: '2.0.0' },
+        { op: 'add', path: '/tags/0', value: { name: 'Author' } },
+        { op: 'move', from: '/tags/1', path: '/tags/0' },
+      ]);
+
+      assert.deepStrictEqual(revert(fixer), createSpec());
+    });
+
+    it('fails as a whole once a value the changes wrote has changed', () => {
+      const fixer = new OpenAPIFixer(createSpec());
+      fixer.applyFix(
+        fixFinding('aip158/max-page-size', 'GET /book', [
+          {
+            operation: 'set',
+            path: "$.paths['/book'].get.parameters[0].schema",
+            value: { type: 'integer', maximum: 100 },
+          },
+          { operation: 'set', path: '$.info.title', value: 'Library' },
+        ])
+      );
+      const edited = fixer.getSpec();
+      edited.info.title = 'Bookshop';
+
+      const reverter = new OpenAPIFixer(edited);
+      const result = reverter.applyJsonPatch(fixer.getInversePatch());
+
+      assert.strictEqual(result.applied, false);
+      assert.match(reverter.getErrors()[0].error, /Test failed/);
+      assert.deepStrictEqual(reverter.getSpec(), edited);
+    });
+  });
+});
+
+describe('planFixes', () => {
+  /** @returns {OpenAPISpec} */
+  function createSpec() {
+    return {
+      openapi: '3.0.0',
+      paths: {
+        '/book': {
+          get: { parameters: [queryParam('page_size', { type: 'integer' })] },
+          post: { responses: { 200: { description: 'OK' } } },
+        },
+      },
+    };
+  }
+
+  const pluralize = fixFinding('aip122/plural-resources', '/book', [
+    { operation: 'rename-key', path: '$.paths', from: '/book', to: '/books' },
+  ]);
+  const created = fixFinding('aip133/post-returns-201', 'POST /book', [
+    {
+      operation: 'rename-key',
+      path: "$.paths['/book'].post.responses",
+      from: '200',
+      to: '201',
+    },
+  ]);
+  const maximum = fixFinding('aip158/max-page-size', 'GET /book', [
+    {
+      operation: 'set',
+      path: "$.paths['/book'].get.parameters[0].schema.maximum",
+      value: 100,
+    },
+  ]);
+
+  it('applies renames last, rebasing paths through earlier renames', () => {
+    const { fixes, conflicts } = planFixes([pluralize, created, maximum]);
+
+    assert.deepEqual(conflicts, []);
+    assert.deepEqual(
+      fixes.map((finding) => finding.ruleId),
+      [
+        'aip158/max-page-size',
+        'aip122/plural-resources',
+        'aip133/post-returns-201',
+      ]
+    );
+    assert.strictEqual(fixes[0], maximum);
+    assert.deepEqual(fixes[2].fix?.specChanges[0], {
+      operation: 'rename-key',
+      path: "$.paths['/books'].post.responses",
+      from: '200',
+      to: '201',
+    });
+    assert.strictEqual(
+      fixes[2].fix?.jsonPath,
+      fixes[2].fix?.specChanges[0].path
+    );
+    // The finding given is not modified
+    assert.strictEqual(
+      created.fix?.specChanges[0].path,
+      "$.paths['/book'].post.responses"
+    );
+
+    const { spec, summary } = applyAllFixes(createSpec(), [
+      pluralize,
+      created,
+      maximum,
+    ]);
+    assert.deepEqual(summary, {
+      total: 3,
+      applied: 3,
+      failed: 0,
+      conflicts: 0,
+      changes: 3,
+    });
+    assert.deepEqual(getPath(spec, '/books').post?.responses, {
+      201: { description: 'OK' },
+    });
+    assert.strictEqual(
+      getParams(spec, '/books', 'get')[0].schema?.maximum,
+      100
+    );
+  });
+
+  it('leaves out fixes that conflict with an earlier one', () => {
+    const cases = [
+      [
+        fixFinding('other-name', '/book', [
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '/book',
+            to: '/volumes',
+          },
+        ]),
+        /both rename '\/book' at \$\.paths/,
+      ],
+      [
+        fixFinding('same-name', '/bookz', [
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '/bookz',
+            to: '/books',
+          },
+        ]),
+        /both rename a key to '\/books'/,
+      ],
+      [
+        fixFinding('remove', '/book', [
+          { operation: 'remove', path: "$.paths['/book']" },
+        ]),
+        /one removes \$\.paths\['\/book'\], which the other changes/,
+      ],
+      [
+        fixFinding('other-maximum', 'GET /book', [
+          {
+            operation: 'set',
+            path: "$.paths['/book'].get.parameters[0].schema.maximum",
+            value: 50,
+          },
+        ]),
+        /both set .*, to different values/,
+      ],
+    ];
+
+    for (const [finding, reason] of cases) {
+      const fixer = new OpenAPIFixer(createSpec());
+      const results = fixer.applyFixes([
+        pluralize,
+        maximum,
+        /** @type {Finding} */ (finding),
+      ]);
+      const conflict = results[results.length - 1];
+
+      assert.strictEqual(conflict.finding, finding);
+      assert.strictEqual(conflict.applied, false);
+      assert.strictEqual(conflict.conflict, true);
+      assert.match(String(conflict.changes[0].error), /^Conflicts with /);
+      assert.match(String(conflict.changes[0].error), reason);
+      assert.strictEqual(fixer.getSummary().conflicts, 1);
+      assert.strictEqual(fixer.getSummary().applied, 2);
+    }
+  });
+
+  it('leaves out other writes to the same node or within it', () => {
+    const schema = "$.paths['/book'].get.parameters[0].schema";
+    const merge = fixFinding('merge', 'GET /book', [
+      { operation: 'merge', path: schema, value: { minimum: 1 } },
+    ]);
+    const add = fixFinding('add', 'GET /book', [
+      { operation: 'add', path: `${schema}.enum`, value: 10 },
+    ]);
+    const cases = [
+      [
+        merge,
+        fixFinding('set', 'GET /book', [
+          { operation: 'set', path: schema, value: { type: 'string' } },
+        ]),
+        /both change .*\.schema$/,
+      ],
+      [
+        add,
+        fixFinding('set', 'GET /book', [
+          { operation: 'set', path: `${schema}.enum`, value: [20] },
+        ]),
+        /both change .*\.schema\.enum$/,
+      ],
+      [
+        merge,
+        fixFinding('same-keys', 'GET /book', [
+          { operation: 'merge', path: schema, value: { minimum: 0 } },
+        ]),
+        /both merge the same keys into/,
+      ],
+      [
+        merge,
+        fixFinding('within', 'GET /book', [
+          { operation: 'set', path: `${schema}.minimum`, value: 0 },
+        ]),
+        /one changes .*\.schema, the other .*\.schema\.minimum within it/,
+      ],
+      [
+        fixFinding('within', 'GET /book', [
+          { operation: 'set', path: `${schema}.format`, value: 'int32' },
+        ]),
+        fixFinding('merge-format', 'GET /book', [
+          { operation: 'merge', path: schema, value: { format: 'int64' } },
+        ]),
+        /one changes .*\.schema, the other .*\.schema\.format within it/,
+      ],
+    ];
+
+    for (const [earlier, later, reason] of cases) {
+      const { fixes, conflicts } = planFixes([
+        /** @type {Finding} */ (earlier),
+        /** @type {Finding} */ (later),
+      ]);
+
+      assert.deepEqual(fixes, [earlier]);
+      assert.equal(conflicts.length, 1);
+      assert.strictEqual(conflicts[0].finding, later);
+      assert.strictEqual(conflicts[0].conflictsWith, earlier);
+      assert.match(conflicts[0].reason, /** @type {RegExp} */ (reason));
+    }
+  });
+
+  it('merges different keys into a node, and appends to what it holds', () => {
+    const schema = "$.paths['/book'].get.parameters[0].schema";
+    const minimum = fixFinding('minimum', 'GET /book', [
+      { operation: 'merge', path: schema, value: { minimum: 1 } },
+    ]);
+    const format = fixFinding('format', 'GET /book', [
+      { operation: 'merge', path: schema, value: { format: 'int32' } },
+    ]);
+
+    const ordering = fixFinding('ordering', 'GET /book', [
+      {
+        operation: 'add',
+        path: "$.paths['/book'].get.parameters",
+        value: queryParam('order_by', { type: 'string' }),
+      },
+    ]);
+
+    const { spec, summary } = applyAllFixes(createSpec(), [
+      minimum,
+      format,
+      ordering,
+    ]);
+
+    assert.equal(summary.conflicts, 0);
+    assert.deepEqual(getParams(spec, '/book', 'get')[0].schema, {
+      type: 'integer',
+      minimum: 1,
+      format: 'int32',
+    });
+    assert.equal(getParams(spec, '/book', 'get')[1].name, 'order_by');
+  });
+
+  it('applies fixes making the same changes once', () => {
+    const again = { ...created, path: 'POST /book/200' };
+
+    const { fixes, duplicates } = planFixes([pluralize, created, again]);
+
+    assert.equal(fixes.length, 2);
+    assert.equal(duplicates.length, 1);
+    assert.strictEqual(duplicates[0].finding, again);
+    // As planned, rebased after the rename of '/book'
+    assert.strictEqual(duplicates[0].sameAs, fixes[1]);
+
+    const fixer = new OpenAPIFixer(createSpec());
+    const results = fixer.applyFixes([pluralize, created, again]);
+    assert.deepEqual(
+      results.map(({ applied, sameAs, changes }) => [
+        applied,
+        sameAs,
+        changes.length,
+      ]),
+      [
+        [true, undefined, 1],
+        [true, undefined, 1],
+        [true, fixes[1], 0],
+      ]
+    );
+    assert.deepEqual(fixer.getSummary(), {
+      total: 3,
+      applied: 3,
+      failed: 0,
+      conflicts: 0,
+      changes: 2,
+    });
+  });
 });
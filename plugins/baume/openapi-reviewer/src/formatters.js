@@ -4,14 +4,37 @@
  * @module formatters
  */
 
+import { fingerprintFinding, getNewFindings } from './baseline.js';
+import { getRuleById } from './rules/index.js';
+import { planTextEdits } from './text-edits.js';
+
 /**
  * @typedef {import('./types.js').ReviewResult} ReviewResult
+ * @typedef {import('./types.js').MultiReviewResult} MultiReviewResult
+ * @typedef {import('./types.js').SpecFailure} SpecFailure
  * @typedef {import('./types.js').Finding} Finding
+ * @typedef {import('./types.js').RuleError} RuleError
+ * @typedef {import('./types.js').HygieneScore} HygieneScore
+ * @typedef {import('./types.js').Suppression} Suppression
+ * @typedef {import('./types.js').FixVerification} FixVerification
+ * @typedef {import('./types.js').SourceLocation} SourceLocation
+ * @typedef {{getLines(file: string): string[] | undefined}} SourceLines
+ * @typedef {import('./source-map.js').SourceMap} SourceMap
+ * @typedef {import('./rules/index.js').BaseRule} BaseRule
  */
 
+/** Number of tags listed in score breakdowns, worst first */
+const SCORE_TAG_LIMIT = 5;
+
+/** Key of the baseline fingerprint in SARIF `partialFingerprints` */
+const SARIF_FINGERPRINT = 'baumeFingerprint/v1';
+
+/** Lines shown before and after a finding's line in code frames */
+const CODE_FRAME_CONTEXT = 2;
+
 /**
  * Format result as JSON
- * @param {ReviewResult} result
+ * @param {ReviewResult | MultiReviewResult} result
  * @returns {string}
  */
 export function formatJSON(result) {
@@ -30,6 +53,9 @@ export function formatMarkdown(result) {
   lines.push(`## API Review: ${result.specPath}`);
   lines.push('');
 
+  if (result.metadata.comparedWith) {
+    lines.push(`**Compared with:** ${result.metadata.comparedWith}`);
+  }
   if (result.specTitle) {
     lines.push(`**Title:** ${result.specTitle}`);
   }
@@ -39,12 +65,11 @@ export function formatMarkdown(result) {
   lines.push(`**Reviewed:** ${result.metadata.reviewedAt}`);
   lines.push('');
 
-  // Group findings by severity
-  const errors = result.findings.filter((f) => f.severity === 'error');
-  const warnings = result.findings.filter((f) => f.severity === 'warning');
-  const suggestions = result.findings.filter(
-    (f) => f.severity === 'suggestion'
-  );
+  // Group findings by severity (findings known to the baseline are hidden)
+  const findings = getNewFindings(result);
+  const errors = findings.filter((f) => f.severity === 'error');
+  const warnings = findings.filter((f) => f.severity === 'warning');
+  const suggestions = findings.filter((f) => f.severity === 'suggestion');
 
   // Errors
   if (errors.length > 0) {
@@ -78,16 +103,63 @@ export function formatMarkdown(result) {
 
   // No issues
   if (result.findings.length === 0) {
-    lines.push('### ✅ No issues found!');
+    lines.push(
+      result.metadata.comparedWith
+        ? '### ✅ No changes found!'
+        : '### ✅ No issues found!'
+    );
+    lines.push('');
+  } else if (findings.length === 0) {
+    lines.push('### ✅ No new issues found!');
     lines.push('');
   }
 
+  // Rules that failed to run
+  const ruleErrors = groupRuleErrors(result.metadata.ruleErrors);
+  if (ruleErrors.length > 0) {
+    lines.push('### ⚠️ Rule Errors');
+    lines.push('');
+    for (const { ruleId, message, count } of ruleErrors) {
+      lines.push(`- **${ruleId}**: ${message} (${count}×)`);
+    }
+    lines.push('');
+  }
+
+  // Suppressions that no longer match anything
+  const unused = unusedSuppressions(result);
+  if (unused.length > 0) {
+    lines.push('### ⚠️ Unused Suppressions');
+    lines.push('');
+    for (const { rule, location } of unused) {
+      lines.push(`- \`${rule}\` at \`${location}\` matched no finding`);
+    }
+    lines.push('');
+  }
+
+  // Hygiene score
+  if (result.summary.score) {
+    lines.push('### Hygiene Score');
+    lines.push('');
+    lines.push(...formatScoreMarkdown(result.summary.score));
+  }
+
   // Summary
   lines.push('---');
   lines.push('');
   lines.push(
     `**Summary:** ${result.summary.errors} errors, ${result.summary.warnings} warnings, ${result.summary.suggestions} suggestions`
   );
+  if (result.summary.baseline) {
+    const { known, fixed } = result.summary.baseline;
+    lines.push('');
+    lines.push(
+      `**Baseline:** ${result.summary.baseline.new} new, ${known} known (not shown), ${fixed} fixed`
+    );
+  }
+  if (result.summary.fixes) {
+    lines.push('');
+    lines.push(`**Fixes:** ${describeFixes(result.summary.fixes)}`);
+  }
 
   return lines.join('\n');
 }
@@ -99,7 +171,11 @@ export function formatMarkdown(result) {
  */
 function formatFindingMarkdown(finding) {
   const lines = [];
-  lines.push(`- \`${finding.path}\` — ${finding.message}`);
+  lines.push(
+    finding.fixStatus === 'introduced'
+      ? `- \`${finding.path}\` — ${finding.message} _(introduced by fixes)_`
+      : `- \`${finding.path}\` — ${finding.message}`
+  );
   lines.push(`  - **Rule:** \`${finding.ruleId}\``);
 
   if (finding.aip) {
@@ -263,31 +339,40 @@ function formatYAMLObject(obj, indent) {
 
 /**
  * Format result for console output (with ANSI colors)
+ *
+ * Findings with a source location show it; given the source files, they
+ * also show the lines around it.
+ *
  * @param {ReviewResult} result
  * @param {boolean} [useColors=true]
+ * @param {SourceLines} [sources] - Source files for code frames
  * @returns {string}
  */
-export function formatConsole(result, useColors = true) {
+export function formatConsole(result, useColors = true, sources) {
   const c = useColors ? colors : noColors;
   const lines = [];
 
   // Header
   lines.push('');
   lines.push(`${c.bold}API Review: ${result.specPath}${c.reset}`);
+  if (result.metadata.comparedWith) {
+    lines.push(
+      `${c.dim}Compared with ${result.metadata.comparedWith}${c.reset}`
+    );
+  }
   lines.push('');
 
-  // Group findings by severity
-  const errors = result.findings.filter((f) => f.severity === 'error');
-  const warnings = result.findings.filter((f) => f.severity === 'warning');
-  const suggestions = result.findings.filter(
-    (f) => f.severity === 'suggestion'
-  );
+  // Group findings by severity (findings known to the baseline are hidden)
+  const findings = getNewFindings(result);
+  const errors = findings.filter((f) => f.severity === 'error');
+  const warnings = findings.filter((f) => f.severity === 'warning');
+  const suggestions = findings.filter((f) => f.severity === 'suggestion');
 
   // Errors
   if (errors.length > 0) {
     lines.push(`${c.red}${c.bold}Errors (${errors.length})${c.reset}`);
     for (const finding of errors) {
-      lines.push(formatFindingConsole(finding, c));
+      lines.push(formatFindingConsole(finding, c, sources));
     }
     lines.push('');
   }
@@ -296,7 +381,7 @@ export function formatConsole(result, useColors = true) {
   if (warnings.length > 0) {
     lines.push(`${c.yellow}${c.bold}Warnings (${warnings.length})${c.reset}`);
     for (const finding of warnings) {
-      lines.push(formatFindingConsole(finding, c));
+      lines.push(formatFindingConsole(finding, c, sources));
     }
     lines.push('');
   }
@@ -307,14 +392,43 @@ export function formatConsole(result, useColors = true) {
       `${c.blue}${c.bold}Suggestions (${suggestions.length})${c.reset}`
     );
     for (const finding of suggestions) {
-      lines.push(formatFindingConsole(finding, c));
+      lines.push(formatFindingConsole(finding, c, sources));
     }
     lines.push('');
   }
 
   // No issues
   if (result.findings.length === 0) {
-    lines.push(`${c.green}${c.bold}✓ No issues found!${c.reset}`);
+    const none = result.metadata.comparedWith ? 'changes' : 'issues';
+    lines.push(`${c.green}${c.bold}✓ No ${none} found!${c.reset}`);
+    lines.push('');
+  } else if (findings.length === 0) {
+    lines.push(`${c.green}${c.bold}✓ No new issues found!${c.reset}`);
+    lines.push('');
+  }
+
+  // Rules that failed to run
+  const ruleErrors = groupRuleErrors(result.metadata.ruleErrors);
+  if (ruleErrors.length > 0) {
+    lines.push(`${c.red}${c.bold}Rule errors (${ruleErrors.length})${c.reset}`);
+    for (const { ruleId, message, count } of ruleErrors) {
+      lines.push(`  ${c.dim}${ruleId}${c.reset}`);
+      lines.push(`    ${message} ${c.dim}(${count}×)${c.reset}`);
+    }
+    lines.push('');
+  }
+
+  // Suppressions that no longer match anything
+  const unused = unusedSuppressions(result);
+  if (unused.length > 0) {
+    lines.push(
+      `${c.yellow}${c.bold}Unused suppressions (${unused.length})${c.reset}`
+    );
+    for (const { rule, location } of unused) {
+      lines.push(`  ${c.dim}${rule}${c.reset}`);
+      lines.push(`    ${c.cyan}${location}${c.reset}`);
+      lines.push(`    Matched no finding; remove it from x-baume-ignore`);
+    }
     lines.push('');
   }
 
@@ -338,6 +452,38 @@ export function formatConsole(result, useColors = true) {
     lines.push(`Summary: ${summaryParts.join(', ')}`);
   }
 
+  if (result.summary.baseline) {
+    const { known, fixed } = result.summary.baseline;
+    lines.push(
+      `Baseline: ${c.bold}${result.summary.baseline.new} new${c.reset}, ${c.dim}${known} known (not shown), ${fixed} fixed${c.reset}`
+    );
+  }
+  if (result.summary.fixes) {
+    lines.push(`Fixes: ${describeFixes(result.summary.fixes)}`);
+  }
+
+  // Hygiene score
+  const score = result.summary.score;
+  if (score) {
+    const color =
+      score.score >= 75 ? c.green : score.score >= 50 ? c.yellow : c.red;
+    lines.push(
+      `Hygiene score: ${color}${c.bold}${score.score}/100${c.reset} (${score.level})`
+    );
+    const categories = Object.entries(score.byCategory)
+      .filter(([, breakdown]) => breakdown.findings > 0)
+      .map(([category, breakdown]) => `${category} ${breakdown.score}`);
+    if (categories.length > 0) {
+      lines.push(`  ${c.dim}By category: ${categories.join(', ')}${c.reset}`);
+    }
+    const tags = worstTags(score).map(
+      ([tag, breakdown]) => `${tag} ${breakdown.score}`
+    );
+    if (tags.length > 0) {
+      lines.push(`  ${c.dim}Lowest tags: ${tags.join(', ')}${c.reset}`);
+    }
+  }
+
   return lines.join('\n');
 }
 
@@ -345,28 +491,225 @@ export function formatConsole(result, useColors = true) {
  * Format a single finding for console
  * @param {Finding} finding
  * @param {typeof colors} c
+ * @param {SourceLines} [sources]
  * @returns {string}
  */
-function formatFindingConsole(finding, c) {
+function formatFindingConsole(finding, c, sources) {
   const lines = [];
-  lines.push(`  ${c.dim}${finding.ruleId}${c.reset}`);
-  lines.push(`    ${c.cyan}${finding.path}${c.reset}`);
+  const { location } = finding;
+  lines.push(
+    finding.fixStatus === 'introduced'
+      ? `  ${c.dim}${finding.ruleId}${c.reset} ${c.yellow}(introduced by fixes)${c.reset}`
+      : `  ${c.dim}${finding.ruleId}${c.reset}`
+  );
+  lines.push(
+    location
+      ? `    ${c.cyan}${finding.path}${c.reset} ${c.dim}(${location.file}:${location.line}:${location.column})${c.reset}`
+      : `    ${c.cyan}${finding.path}${c.reset}`
+  );
   lines.push(`    ${finding.message}`);
 
   if (finding.suggestion) {
     lines.push(`    ${c.dim}→ ${finding.suggestion}${c.reset}`);
   }
 
+  const source = location && sources?.getLines(location.file);
+  if (location && source) {
+    lines.push(...formatCodeFrame(source, location, c));
+  }
+
   return lines.join('\n');
 }
 
+/**
+ * Show the source lines around a location, with a caret under its start
+ * @param {string[]} source - Lines of the file
+ * @param {SourceLocation} location
+ * @param {typeof colors} c
+ * @returns {string[]}
+ */
+function formatCodeFrame(source, location, c) {
+  const first = Math.max(1, location.line - CODE_FRAME_CONTEXT);
+  const last = Math.min(source.length, location.line + CODE_FRAME_CONTEXT);
+  const width = String(last).length;
+
+  const lines = [];
+  for (let line = first; line <= last; line++) {
+    const number = String(line).padStart(width);
+    if (line === location.line) {
+      lines.push(`    ${c.red}>${c.reset} ${number} | ${source[line - 1]}`);
+      lines.push(
+        `      ${' '.repeat(width)} | ${' '.repeat(location.column - 1)}${c.red}^${c.reset}`
+      );
+    } else {
+      lines.push(`    ${c.dim}  ${number} | ${source[line - 1]}${c.reset}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Format the score breakdown tables as Markdown
+ * @param {HygieneScore} score
+ * @returns {string[]}
+ */
+function formatScoreMarkdown(score) {
+  const lines = [];
+  lines.push(
+    `**${score.score}/100** (${score.level}) across ${score.operationCount} operations`
+  );
+  lines.push('');
+
+  const categories = Object.entries(score.byCategory);
+  if (categories.length > 0) {
+    lines.push('| Category | Score | Level | Findings |');
+    lines.push('|----------|-------|-------|----------|');
+    for (const [category, breakdown] of categories) {
+      lines.push(
+        `| ${category} | ${breakdown.score} | ${breakdown.level} | ${breakdown.findings} |`
+      );
+    }
+    lines.push('');
+  }
+
+  const tags = worstTags(score);
+  if (tags.length > 0) {
+    lines.push('| Tag | Score | Level | Operations |');
+    lines.push('|-----|-------|-------|------------|');
+    for (const [tag, breakdown] of tags) {
+      lines.push(
+        `| ${tag} | ${breakdown.score} | ${breakdown.level} | ${breakdown.operations} |`
+      );
+    }
+    lines.push('');
+  }
+
+  return lines;
+}
+
+/**
+ * Describe the outcome of fixes in one line
+ * @param {FixVerification} fixes
+ * @returns {string} e.g., "12 applied, 1 failed; 11 resolved, 2 persisting, 1 introduced"
+ */
+function describeFixes(fixes) {
+  const { applied, failed, resolved, persisting, introduced } = fixes;
+  let line = `${applied} applied, ${failed} failed; ${resolved} resolved, ${persisting} persisting, ${introduced} introduced`;
+  if (fixes.iterations > 1) {
+    line += ` (${fixes.iterations} iterations)`;
+  }
+  if (!fixes.converged) {
+    line += '; fixable findings introduced by the fixes remain';
+  }
+  return line;
+}
+
+/**
+ * Tags with findings, lowest score first
+ * @param {HygieneScore} score
+ * @returns {Array<[string, HygieneScore['byTag'][string]]>}
+ */
+function worstTags(score) {
+  return Object.entries(score.byTag)
+    .filter(([, breakdown]) => breakdown.findings > 0)
+    .sort(([a, x], [b, y]) => x.score - y.score || a.localeCompare(b))
+    .slice(0, SCORE_TAG_LIMIT);
+}
+
+/**
+ * Suppressions whose rule ran without producing a matching finding
+ * @param {ReviewResult} result
+ * @returns {Suppression[]}
+ */
+function unusedSuppressions(result) {
+  return (result.metadata.suppressions ?? []).filter(
+    (s) => s.status === 'unused'
+  );
+}
+
+/**
+ * Group rule errors by rule and message
+ * @param {RuleError[] | undefined} ruleErrors
+ * @returns {Array<{ruleId: string, message: string, count: number}>}
+ */
+function groupRuleErrors(ruleErrors = []) {
+  /** @type {Map<string, {ruleId: string, message: string, count: number}>} */
+  const groups = new Map();
+  for (const { ruleId, message } of ruleErrors) {
+    const key = `${ruleId}\0${message}`;
+    const group = groups.get(key) ?? { ruleId, message, count: 0 };
+    group.count++;
+    groups.set(key, group);
+  }
+  return [...groups.values()];
+}
+
 /**
  * Format result for SARIF output (Static Analysis Results Interchange Format)
  * Useful for integration with CI/CD tools and IDEs
+ *
+ * Rules are described from their definitions: built-in rules are found by
+ * ID, others (custom and plugin rules) when passed in `options.rules`.
+ * Given the spec's sources, fixes are included as text replacements.
+ *
  * @param {ReviewResult} result
+ * @param {Object} [options]
+ * @param {BaseRule[]} [options.rules] - Rules that ran (defaults to built-in rules)
+ * @param {SourceMap} [options.sources] - Spec sources, for fixes
+ * @returns {string}
+ */
+export function formatSARIF(result, options = {}) {
+  return toSARIF([result], {
+    rules: options.rules,
+    sources: [options.sources],
+    reviewerVersion: result.metadata.reviewerVersion,
+  });
+}
+
+/**
+ * Format a multi-spec review as SARIF
+ *
+ * All specs share one run, so code scanning tools see a single analysis;
+ * each result points at its own spec. Specs that could not be reviewed are
+ * reported as tool execution errors.
+ *
+ * @param {MultiReviewResult} result
+ * @param {Object} [options]
+ * @param {BaseRule[]} [options.rules] - Rules that ran (defaults to built-in rules)
+ * @param {Array<SourceMap | undefined>} [options.sources] - Spec sources, by review, for fixes
  * @returns {string}
  */
-export function formatSARIF(result) {
+export function formatMultiSARIF(result, options = {}) {
+  return toSARIF(result.reviews, {
+    rules: options.rules,
+    sources: options.sources ?? [],
+    reviewerVersion: result.metadata.reviewerVersion,
+    failures: result.failures,
+  });
+}
+
+/**
+ * Build a SARIF log with one run covering the given reviews
+ * @param {ReviewResult[]} reviews
+ * @param {Object} options
+ * @param {BaseRule[]} [options.rules]
+ * @param {Array<SourceMap | undefined>} options.sources - Spec sources, by review
+ * @param {string} options.reviewerVersion
+ * @param {SpecFailure[]} [options.failures]
+ * @returns {string}
+ */
+function toSARIF(reviews, { rules, sources, reviewerVersion, failures = [] }) {
+  const ruleIds = [
+    ...new Set(
+      reviews.flatMap((result) => [
+        ...result.metadata.rulesApplied,
+        ...result.findings.map((f) => f.ruleId),
+      ])
+    ),
+  ];
+  const ruleIndex = new Map(ruleIds.map((id, i) => [id, i]));
+  const ruleErrors = reviews.flatMap((r) => r.metadata.ruleErrors ?? []);
+
   const sarif = {
     $schema:
       'https://raw.githubusercontent.com/oasis-tcs/sarif-spec/master/Schemata/sarif-schema-2.1.0.json',
@@ -376,32 +719,52 @@ export function formatSARIF(result) {
         tool: {
           driver: {
             name: 'baume-reviewer',
-            version: result.metadata.reviewerVersion,
+            version: reviewerVersion,
             informationUri: 'https://google.aip.dev',
-            rules: result.metadata.rulesApplied.map((ruleId) => ({
-              id: ruleId,
-              shortDescription: { text: ruleId },
-            })),
+            rules: ruleIds.map((id) =>
+              ruleToSARIF(
+                id,
+                rules?.find((r) => r.id === id) ?? getRuleById(id)
+              )
+            ),
           },
         },
-        results: result.findings.map((finding) => ({
-          ruleId: finding.ruleId,
-          level: severityToSARIF(finding.severity),
-          message: { text: finding.message },
-          locations: [
-            {
-              physicalLocation: {
-                artifactLocation: { uri: result.specPath },
-              },
-              logicalLocations: [{ name: finding.path }],
-            },
-          ],
-          properties: {
-            aip: finding.aip,
-            category: finding.category,
-            suggestion: finding.suggestion,
+        invocations: [
+          {
+            executionSuccessful:
+              ruleErrors.length === 0 && failures.length === 0,
+            toolExecutionNotifications: [
+              ...ruleErrors.map((error) => ({
+                level: 'error',
+                message: { text: error.message },
+                associatedRule: { id: error.ruleId },
+                locations: error.path
+                  ? [{ logicalLocations: [{ name: error.path }] }]
+                  : undefined,
+              })),
+              ...failures.map((failure) => ({
+                level: 'error',
+                message: { text: failure.error },
+                locations: [
+                  {
+                    physicalLocation: {
+                      artifactLocation: { uri: failure.specPath },
+                    },
+                  },
+                ],
+              })),
+            ],
           },
-        })),
+        ],
+        results: reviews.flatMap((result, i) =>
+          result.findings.map((finding) =>
+            findingToSARIF(finding, result, ruleIndex, sources[i])
+          )
+        ),
+        properties:
+          reviews.length === 1 && reviews[0].summary.fixes
+            ? { fixes: reviews[0].summary.fixes }
+            : undefined,
       },
     ],
   };
@@ -409,6 +772,125 @@ export function formatSARIF(result) {
   return JSON.stringify(sarif, null, 2);
 }
 
+/**
+ * Describe a finding as a SARIF result
+ * @param {Finding} finding
+ * @param {ReviewResult} result - Review the finding belongs to
+ * @param {Map<string, number>} ruleIndex - Index of each rule in the driver's rules
+ * @param {SourceMap | undefined} sources
+ * @returns {object}
+ */
+function findingToSARIF(finding, result, ruleIndex, sources) {
+  return {
+    ruleId: finding.ruleId,
+    ruleIndex: ruleIndex.get(finding.ruleId),
+    level: severityToSARIF(finding.severity),
+    baselineState: finding.baseline
+      ? finding.baseline === 'known'
+        ? 'unchanged'
+        : 'new'
+      : undefined,
+    message: { text: finding.message },
+    locations: [
+      {
+        physicalLocation: finding.location
+          ? {
+              artifactLocation: { uri: finding.location.file },
+              region: {
+                startLine: finding.location.line,
+                startColumn: finding.location.column,
+                endLine: finding.location.endLine,
+                endColumn: finding.location.endColumn,
+              },
+            }
+          : { artifactLocation: { uri: result.specPath } },
+        logicalLocations: [{ name: finding.path }],
+      },
+    ],
+    partialFingerprints: {
+      [SARIF_FINGERPRINT]: fingerprintFinding(finding),
+    },
+    fixes: fixToSARIF(finding, sources),
+    properties: {
+      aip: finding.aip,
+      category: finding.category,
+      suggestion: finding.suggestion,
+      fixStatus: finding.fixStatus,
+    },
+  };
+}
+
+/**
+ * Describe a rule as a SARIF reportingDescriptor
+ * @param {string} id
+ * @param {BaseRule | undefined} rule - Undefined for rules that are not known here
+ * @returns {object}
+ */
+function ruleToSARIF(id, rule) {
+  if (!rule) {
+    return { id, shortDescription: { text: id } };
+  }
+
+  const aip = rule.aip?.match(/^AIP-(\d+)$/)?.[1];
+  return {
+    id,
+    name: rule.name,
+    shortDescription: { text: rule.name },
+    fullDescription: { text: rule.description },
+    helpUri: aip ? `https://google.aip.dev/${aip}` : undefined,
+    help: {
+      text: rule.aip ? `${rule.description} (${rule.aip})` : rule.description,
+    },
+    defaultConfiguration: { level: severityToSARIF(rule.severity) },
+    properties: {
+      tags: [rule.category, ...(rule.aip ? [rule.aip] : [])],
+      category: rule.category,
+    },
+  };
+}
+
+/**
+ * Express a finding's fix as SARIF fixes
+ * @param {Finding} finding
+ * @param {SourceMap | undefined} sources
+ * @returns {object[] | undefined} Undefined without sources or if the fix
+ *   cannot be written as text replacements
+ */
+function fixToSARIF(finding, sources) {
+  if (!finding.fix || !sources) return undefined;
+
+  const edits = planTextEdits(finding.fix.specChanges, sources);
+  if (!edits || edits.length === 0) return undefined;
+
+  /** @type {Map<string, object[]>} */
+  const byFile = new Map();
+  for (const edit of edits) {
+    const start = sources.position(edit.file, edit.start);
+    const end = sources.position(edit.file, edit.end);
+    const replacements = byFile.get(edit.file) ?? [];
+    replacements.push({
+      deletedRegion: {
+        startLine: start.line,
+        startColumn: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+      },
+      insertedContent: { text: edit.text },
+    });
+    byFile.set(edit.file, replacements);
+  }
+
+  return [
+    {
+      description: { text: finding.suggestion ?? finding.message },
+      artifactChanges: [...byFile].map(([file, replacements]) => ({
+        artifactLocation: { uri: file },
+        replacements,
+      })),
+    },
+  ];
+}
+
 /**
  * Convert severity to SARIF level
  * @param {import('./types.js').Severity} severity
@@ -463,6 +945,9 @@ export function formatSummary(result) {
   lines.push(`## API Review: ${result.specTitle || result.specPath}`);
   lines.push('');
   lines.push(`**Spec:** \`${result.specPath}\``);
+  if (result.metadata.comparedWith) {
+    lines.push(`**Compared with:** \`${result.metadata.comparedWith}\``);
+  }
   if (result.specVersion) {
     lines.push(`**Version:** ${result.specVersion}`);
   }
@@ -480,6 +965,25 @@ export function formatSummary(result) {
   lines.push(`| **Total** | **${result.findings.length}** |`);
   lines.push('');
 
+  if (result.summary.baseline) {
+    const { known, fixed } = result.summary.baseline;
+    lines.push(
+      `**Baseline:** ${result.summary.baseline.new} new, ${known} known, ${fixed} fixed`
+    );
+    lines.push('');
+  }
+
+  if (result.summary.fixes) {
+    lines.push(`**Fixes:** ${describeFixes(result.summary.fixes)}`);
+    lines.push('');
+  }
+
+  if (result.summary.score) {
+    lines.push('### Hygiene Score');
+    lines.push('');
+    lines.push(...formatScoreMarkdown(result.summary.score));
+  }
+
   // Group findings by rule and count
   /** @type {Record<string, {count: number, severity: string, aip: string|undefined, category: string, samples: Array<{path: string, message: string}>}>} */
   const byRule = {};
@@ -578,3 +1082,222 @@ export function formatSummary(result) {
 
   return lines.join('\n');
 }
+
+/**
+ * Format a multi-spec review for console output
+ *
+ * Each spec is reported as by `formatConsole`, followed by a table of the
+ * specs and the overall counts and score.
+ *
+ * @param {MultiReviewResult} result
+ * @param {boolean} [useColors=true]
+ * @param {Array<SourceLines | undefined>} [sources] - Source files for code frames, by review
+ * @returns {string}
+ */
+export function formatMultiConsole(result, useColors = true, sources = []) {
+  const c = useColors ? colors : noColors;
+  const lines = result.reviews.map((review, i) =>
+    formatConsole(review, useColors, sources[i])
+  );
+
+  for (const { specPath, error } of result.failures) {
+    lines.push('');
+    lines.push(`${c.bold}API Review: ${specPath}${c.reset}`);
+    lines.push(`${c.red}${c.bold}✗ Not reviewed:${c.reset} ${error}`);
+  }
+
+  // Per-spec summaries
+  const { summary } = result;
+  lines.push('');
+  lines.push(`${c.bold}Specs (${summary.specs})${c.reset}`);
+  const width = Math.max(
+    ...result.reviews.map((r) => r.specPath.length),
+    ...result.failures.map((f) => f.specPath.length)
+  );
+  for (const review of result.reviews) {
+    const { errors, warnings, suggestions, score } = review.summary;
+    const status = errors > 0 ? `${c.red}✗` : `${c.green}✓`;
+    const counts = `${errors} errors, ${warnings} warnings, ${suggestions} suggestions`;
+    const scored = score ? ` ${c.dim}score ${score.score}${c.reset}` : '';
+    lines.push(
+      `  ${status}${c.reset} ${review.specPath.padEnd(width)}  ${counts}${scored}`
+    );
+  }
+  for (const { specPath } of result.failures) {
+    lines.push(
+      `  ${c.red}✗${c.reset} ${specPath.padEnd(width)}  ${c.red}not reviewed${c.reset}`
+    );
+  }
+  lines.push('');
+
+  // Overall
+  lines.push(
+    `Overall: ${c.red}${summary.errors} errors${c.reset}, ${c.yellow}${summary.warnings} warnings${c.reset}, ${c.blue}${summary.suggestions} suggestions${c.reset}`
+  );
+  if (summary.failed > 0) {
+    lines.push(
+      `${c.red}${summary.failed} spec(s) could not be reviewed${c.reset}`
+    );
+  }
+  if (summary.baseline) {
+    const { known, fixed } = summary.baseline;
+    lines.push(
+      `Baseline: ${c.bold}${summary.baseline.new} new${c.reset}, ${c.dim}${known} known (not shown), ${fixed} fixed${c.reset}`
+    );
+  }
+  if (summary.score) {
+    const { score, level, operationCount } = summary.score;
+    const color = score >= 75 ? c.green : score >= 50 ? c.yellow : c.red;
+    lines.push(
+      `Overall hygiene score: ${color}${c.bold}${score}/100${c.reset} (${level}) across ${operationCount} operations`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a multi-spec review as a Markdown report
+ *
+ * An overview table of the specs comes first, then each spec's report as
+ * by `formatMarkdown`.
+ *
+ * @param {MultiReviewResult} result
+ * @returns {string}
+ */
+export function formatMultiMarkdown(result) {
+  const lines = [];
+
+  lines.push(`# API Review: ${result.summary.specs} specs`);
+  lines.push('');
+  lines.push(`**Reviewed:** ${result.metadata.reviewedAt}`);
+  lines.push('');
+  lines.push(...formatSpecTableMarkdown(result));
+  lines.push(...formatOverallMarkdown(result));
+
+  for (const review of result.reviews) {
+    lines.push('');
+    lines.push(formatMarkdown(review));
+  }
+  for (const { specPath, error } of result.failures) {
+    lines.push('');
+    lines.push(`## API Review: ${specPath}`);
+    lines.push('');
+    lines.push(`### ❌ Not reviewed`);
+    lines.push('');
+    lines.push(error);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format a multi-spec review as a condensed summary (context-efficient)
+ *
+ * Lists the specs with their counts and scores, and the rules with the most
+ * findings across all specs.
+ *
+ * @param {MultiReviewResult} result
+ * @returns {string}
+ */
+export function formatMultiSummary(result) {
+  const lines = [];
+
+  lines.push(`## API Review: ${result.summary.specs} specs`);
+  lines.push('');
+  lines.push(`**Reviewed:** ${result.metadata.reviewedAt}`);
+  lines.push('');
+  lines.push('### Specs');
+  lines.push('');
+  lines.push(...formatSpecTableMarkdown(result));
+  lines.push(...formatOverallMarkdown(result));
+
+  // Findings by rule, across specs
+  /** @type {Map<string, {count: number, severity: string, aip: string | undefined, specs: Set<string>}>} */
+  const byRule = new Map();
+  for (const review of result.reviews) {
+    for (const f of review.findings) {
+      const info = byRule.get(f.ruleId) ?? {
+        count: 0,
+        severity: f.severity,
+        aip: f.aip,
+        specs: new Set(),
+      };
+      info.count++;
+      info.specs.add(review.specPath);
+      byRule.set(f.ruleId, info);
+    }
+  }
+
+  if (byRule.size > 0) {
+    lines.push('');
+    lines.push('### Findings by Rule (sorted by count)');
+    lines.push('');
+    lines.push('| Rule | Count | Specs | Severity | AIP |');
+    lines.push('|------|-------|-------|----------|-----|');
+    for (const [ruleId, info] of [...byRule].sort(
+      (a, b) => b[1].count - a[1].count
+    )) {
+      lines.push(
+        `| \`${ruleId}\` | ${info.count} | ${info.specs.size} | ${info.severity} | ${info.aip || '-'} |`
+      );
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Table of the specs in a multi-spec review, with their counts and scores
+ * @param {MultiReviewResult} result
+ * @returns {string[]}
+ */
+function formatSpecTableMarkdown(result) {
+  const lines = [];
+  lines.push('| Spec | Errors | Warnings | Suggestions | Score |');
+  lines.push('|------|--------|----------|-------------|-------|');
+  for (const review of result.reviews) {
+    const { errors, warnings, suggestions, score } = review.summary;
+    const scored = score ? `${score.score} (${score.level})` : '-';
+    lines.push(
+      `| \`${review.specPath}\` | ${errors} | ${warnings} | ${suggestions} | ${scored} |`
+    );
+  }
+  for (const { specPath, error } of result.failures) {
+    lines.push(`| \`${specPath}\` | ❌ Not reviewed: ${error} | | | |`);
+  }
+  lines.push('');
+  return lines;
+}
+
+/**
+ * Overall counts and score of a multi-spec review
+ * @param {MultiReviewResult} result
+ * @returns {string[]}
+ */
+function formatOverallMarkdown(result) {
+  const { summary } = result;
+  const lines = [];
+  lines.push(
+    `**Overall:** ${summary.errors} errors, ${summary.warnings} warnings, ${summary.suggestions} suggestions`
+  );
+  if (summary.failed > 0) {
+    lines.push('');
+    lines.push(`**Not reviewed:** ${summary.failed} spec(s)`);
+  }
+  if (summary.baseline) {
+    const { known, fixed } = summary.baseline;
+    lines.push('');
+    lines.push(
+      `**Baseline:** ${summary.baseline.new} new, ${known} known, ${fixed} fixed`
+    );
+  }
+  if (summary.score) {
+    const { score, level, operationCount } = summary.score;
+    lines.push('');
+    lines.push(
+      `**Overall hygiene score:** ${score}/100 (${level}) across ${operationCount} operations`
+    );
+  }
+  return lines;
+}
@@ -7,10 +7,13 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   formatMarkdown,
+  formatConsole,
   formatJSON,
   formatSARIF,
   formatSummary,
 } from './formatters.js';
+import { fingerprintFinding } from './baseline.js';
+import { SourceMap } from './source-map.js';
 
 /**
  * Create a mock review result for testing
@@ -350,6 +353,145 @@ describe('formatSARIF', () => {
     assert.ok(levels.includes('warning'));
     assert.ok(levels.includes('note')); // suggestion -> note
   });
+
+  it('reports source locations as regions', () => {
+    const result = createMockResult({
+      findings: [
+        createMockFinding({
+          location: {
+            file: 'schemas/book.yaml',
+            line: 3,
+            column: 5,
+            endLine: 7,
+            endColumn: 20,
+          },
+        }),
+        createMockFinding(),
+      ],
+    });
+    const parsed = JSON.parse(formatSARIF(result));
+
+    const [located, unlocated] = parsed.runs[0].results.map(
+      (/** @type {any} */ r) => r.locations[0].physicalLocation
+    );
+    assert.deepEqual(located, {
+      artifactLocation: { uri: 'schemas/book.yaml' },
+      region: { startLine: 3, startColumn: 5, endLine: 7, endColumn: 20 },
+    });
+    assert.deepEqual(unlocated, {
+      artifactLocation: { uri: 'test-api.yaml' },
+    });
+  });
+
+  it('describes rules from their definitions', () => {
+    const result = createMockResult({
+      findings: [createMockFinding(), createMockFinding({ ruleId: 'myorg/x' })],
+    });
+    const run = JSON.parse(formatSARIF(result)).runs[0];
+
+    assert.deepEqual(run.tool.driver.rules, [
+      {
+        id: 'aip122/plural-resources',
+        name: 'Plural Resource Names',
+        shortDescription: { text: 'Plural Resource Names' },
+        fullDescription: run.tool.driver.rules[0].fullDescription,
+        helpUri: 'https://google.aip.dev/122',
+        help: run.tool.driver.rules[0].help,
+        defaultConfiguration: { level: 'warning' },
+        properties: { tags: ['naming', 'AIP-122'], category: 'naming' },
+      },
+      { id: 'myorg/x', shortDescription: { text: 'myorg/x' } },
+    ]);
+    assert.ok(run.tool.driver.rules[0].help.text.endsWith('(AIP-122)'));
+    assert.deepEqual(
+      run.results.map((/** @type {any} */ r) => r.ruleIndex),
+      [0, 1]
+    );
+  });
+
+  it('fingerprints results like baselines do', () => {
+    const finding = createMockFinding();
+    const result = createMockResult({ findings: [finding] });
+    const [sarifResult] = JSON.parse(formatSARIF(result)).runs[0].results;
+
+    assert.deepEqual(sarifResult.partialFingerprints, {
+      'baumeFingerprint/v1': fingerprintFinding(finding),
+    });
+  });
+
+  it('includes fixes as replacements in the spec source', () => {
+    const text = 'openapi: 3.0.3\npaths:\n  /user/{id}:\n    get: {}\n';
+    const result = createMockResult({ findings: [createMockFinding()] });
+
+    const [withSources] = JSON.parse(
+      formatSARIF(result, { sources: new SourceMap('test-api.yaml', text) })
+    ).runs[0].results;
+    const [withoutSources] = JSON.parse(formatSARIF(result)).runs[0].results;
+
+    assert.deepEqual(withSources.fixes, [
+      {
+        description: { text: "Rename to 'users'" },
+        artifactChanges: [
+          {
+            artifactLocation: { uri: 'test-api.yaml' },
+            replacements: [
+              {
+                deletedRegion: {
+                  startLine: 3,
+                  startColumn: 3,
+                  endLine: 3,
+                  endColumn: 13,
+                },
+                insertedContent: { text: '/users/{id}' },
+              },
+            ],
+          },
+        ],
+      },
+    ]);
+    assert.equal(withoutSources.fixes, undefined);
+  });
+});
+
+describe('formatConsole source locations', () => {
+  const finding = createMockFinding({
+    location: {
+      file: 'test-api.yaml',
+      line: 3,
+      column: 3,
+      endLine: 3,
+      endColumn: 9,
+    },
+  });
+  const result = createMockResult({
+    findings: [finding],
+    summary: { errors: 0, warnings: 1, suggestions: 0 },
+  });
+
+  it('shows the file, line and column of findings', () => {
+    const output = formatConsole(result, false);
+    assert.ok(output.includes('(test-api.yaml:3:3)'));
+  });
+
+  it('shows a code frame when the source is available', () => {
+    const source = ['openapi: 3.0.3', 'paths:', '  /user:', '    get: {}'];
+    const output = formatConsole(result, false, {
+      getLines: (file) => (file === 'test-api.yaml' ? source : undefined),
+    });
+
+    assert.ok(
+      output.includes(
+        [
+          '      1 | openapi: 3.0.3',
+          '      2 | paths:',
+          '    > 3 |   /user:',
+          '        |   ^',
+          '      4 |     get: {}',
+        ].join('\n')
+      ),
+      output
+    );
+  });
 });
 
 // ============================================
@@ -559,3 +701,136 @@ describe('formatSummary', () => {
     assert.ok(output.includes('... and 13 more'));
   });
 });
+
+// ============================================
+// Hygiene Score Tests
+// ============================================
+
+describe('hygiene score output', () => {
+  /** @type {import('./types.js').HygieneScore} */
+  const score = {
+    score: 62,
+    level: 'Presentable',
+    penalty: 15.5,
+    findings: 3,
+    operationCount: 4,
+    byCategory: {
+      naming: { score: 55, level: 'Presentable', penalty: 15, findings: 2 },
+      pagination: {
+        score: 98,
+        level: 'Operating Room',
+        penalty: 0.5,
+        findings: 1,
+      },
+    },
+    byTag: {
+      books: {
+        score: 29,
+        level: 'Grimy',
+        penalty: 10,
+        findings: 1,
+        operations: 1,
+      },
+      users: {
+        score: 100,
+        level: 'Operating Room',
+        penalty: 0,
+        findings: 0,
+        operations: 3,
+      },
+    },
+  };
+
+  it('renders score tables in Markdown', () => {
+    const result = createMockResult({
+      summary: { errors: 1, warnings: 2, suggestions: 0, score },
+    });
+    const output = formatMarkdown(result);
+
+    assert.ok(output.includes('### Hygiene Score'));
+    assert.ok(output.includes('**62/100** (Presentable) across 4 operations'));
+    assert.ok(output.includes('| naming | 55 | Presentable | 2 |'));
+    assert.ok(output.includes('| books | 29 | Grimy | 1 |'));
+    assert.ok(!output.includes('| users |'), 'clean tags are omitted');
+  });
+
+  it('includes the score in the summary format', () => {
+    const result = createMockResult({
+      summary: { errors: 1, warnings: 2, suggestions: 0, score },
+    });
+    const output = formatSummary(result);
+
+    assert.ok(output.includes('### Hygiene Score'));
+    assert.ok(output.includes('**62/100** (Presentable)'));
+  });
+
+  it('prints a score line on the console', () => {
+    const result = createMockResult({
+      summary: { errors: 1, warnings: 2, suggestions: 0, score },
+    });
+    const output = formatConsole(result, false);
+
+    assert.ok(output.includes('Hygiene score: 62/100 (Presentable)'));
+    assert.ok(output.includes('By category: naming 55, pagination 98'));
+    assert.ok(output.includes('Lowest tags: books 29'));
+  });
+});
+
+// ============================================
+// Fix Verification Tests
+// ============================================
+
+describe('fix verification output', () => {
+  /** @type {import('./types.js').FixVerification} */
+  const fixes = {
+    applied: 5,
+    failed: 1,
+    iterations: 2,
+    converged: false,
+    resolved: 4,
+    persisting: 2,
+    introduced: 1,
+  };
+  const introduced = createMockFinding({ fixStatus: 'introduced' });
+
+  /** @returns {import('./types.js').ReviewResult} */
+  function createFixedResult() {
+    return createMockResult({
+      findings: [introduced],
+      summary: { errors: 0, warnings: 1, suggestions: 0, fixes },
+    });
+  }
+
+  it('describes the fixes in every text format', () => {
+    const line =
+      '5 applied, 1 failed; 4 resolved, 2 persisting, 1 introduced (2 iterations); fixable findings introduced by the fixes remain';
+
+    assert.ok(
+      formatConsole(createFixedResult(), false).includes(`Fixes: ${line}`)
+    );
+    assert.ok(
+      formatMarkdown(createFixedResult()).includes(`**Fixes:** ${line}`)
+    );
+    assert.ok(
+      formatSummary(createFixedResult()).includes(`**Fixes:** ${line}`)
+    );
+  });
+
+  it('marks the findings that fixes introduced', () => {
+    assert.match(
+      formatConsole(createFixedResult(), false),
+      /aip122\/plural-resources \(introduced by fixes\)/
+    );
+    assert.match(
+      formatMarkdown(createFixedResult()),
+      /appears singular _\(introduced by fixes\)_/
+    );
+  });
+
+  it('adds the fixes to SARIF runs and results', () => {
+    const sarif = JSON.parse(formatSARIF(createFixedResult()));
+
+    assert.deepEqual(sarif.runs[0].properties, { fixes });
+    assert.equal(sarif.runs[0].results[0].properties.fixStatus, 'introduced');
+  });
+});
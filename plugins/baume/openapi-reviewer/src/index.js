@@ -37,6 +37,27 @@
  * const namingRules = defaultRegistry.getByCategory('naming');
  *
  * @example
+ * // Start from a preset and layer overrides on top
+ * import { OpenAPIReviewer } from '@getlarge/baume-reviewer';
+ *
+ * const reviewer = new OpenAPIReviewer({
+ *   preset: 'google-aip-minimal',
+ *   rules: { 'aip193/schema-defined': { enabled: true, severity: 'error' } },
+ * });
+ *
+ * @example
+ * // Declarative custom rules (pure data, no executable code)
+ * import { OpenAPIReviewer, compileRule } from '@getlarge/baume-reviewer';
+ *
+ * const requireAuth = compileRule({
+ *   id: 'myorg/require-auth',
+ *   severity: 'error',
+ *   check: { hasSecurity: true },
+ *   message: 'Endpoint {method} {path} has no security defined',
+ * });
+ * const reviewer = new OpenAPIReviewer({ customRules: [requireAuth] });
+ *
+ * @example
  * // Custom output format
  * import { reviewSpec, formatMarkdown, formatSARIF } from '@getlarge/baume-reviewer';
  *
@@ -44,6 +65,41 @@
  * const markdown = formatMarkdown(result);
  * const sarif = formatSARIF(result);
  *
+ * @example
+ * // Breaking changes between two versions of a spec
+ * import { diffSpecs, createDiffResult, formatMarkdown } from '@getlarge/baume-reviewer';
+ *
+ * const changes = diffSpecs(released, spec);
+ * const breaking = changes.filter((c) => c.classification === 'breaking');
+ * const report = formatMarkdown(
+ *   createDiffResult(changes, { specPath: 'api.yaml', basePath: 'released.yaml' })
+ * );
+ *
+ * @example
+ * // Every spec of a monorepo in one report
+ * import { resolveSpecInputs, createMultiReviewResult, formatMultiMarkdown } from '@getlarge/baume-reviewer';
+ *
+ * const { specPaths } = await resolveSpecInputs(['services/']);
+ * const reviews = specPaths.map((path) => reviewSpec(load(path), path));
+ * const report = formatMultiMarkdown(createMultiReviewResult(reviews));
+ *
+ * @example
+ * // Fixes to a generated spec, kept as an overlay
+ * import { createOverlay, writeOverlay, loadOverlay, OpenAPIFixer } from '@getlarge/baume-reviewer';
+ *
+ * const { overlay, skipped } = createOverlay(result.findings, writtenSpec);
+ * writeOverlay('api-fixes.overlay.yaml', overlay);
+ * const fixer = new OpenAPIFixer(generatedSpec);
+ * fixer.applyOverlay(loadOverlay('api-fixes.overlay.yaml'));
+ *
+ * @example
+ * // Fixes as an RFC 6902 JSON Patch, guarded by tests of the values they change
+ * import { createJsonPatch, OpenAPIFixer } from '@getlarge/baume-reviewer';
+ *
+ * const { patch } = createJsonPatch(result.findings, writtenSpec);
+ * const fixer = new OpenAPIFixer(writtenSpec);
+ * const { applied } = fixer.applyJsonPatch(patch);
+ *
  * @module baume-reviewer
  */
 
@@ -58,6 +114,13 @@ export {
   RuleRegistry,
   getRulesByCategory,
   getRuleById,
+  // Presets
+  defaultPresets,
+  getPreset,
+  googleAipStrict,
+  googleAipStandard,
+  googleAipMinimal,
+  restBestPractices,
   // Base classes
   BaseRule,
   SpecRule,
@@ -66,6 +129,21 @@ export {
   SchemaRule,
   PropertyRule,
   ParameterRule,
+  DEFAULT_WEIGHTS,
+  // Rule options
+  getDefaultOptions,
+  validateOptions,
+  describeOptionType,
+  // Declarative rules
+  compileRule,
+  compileRules,
+  registerDeclarativeRules,
+  DeclarativeOperationRule,
+  DeclarativePathRule,
+  DeclarativeSpecRule,
+  DeclarativeSchemaRule,
+  compileCel,
+  CEL_LIMITS,
   // Helpers
   getResourceSegments,
   isVersionPrefix,
@@ -76,9 +154,25 @@ export {
   isSingular,
   looksLikeVerb,
   getAllOperations,
+  getPathItemCollections,
+  relocateJsonPath,
+  getOperationParameters,
   hasParameter,
   resolveRef,
   getResponseSchema,
+  isOpenAPI31,
+  getSchemaTypes,
+  isNullable,
+  makeNullable,
+  walkSchemas,
+  parseJsonPath,
+  formatJsonPath,
+  queryJsonPath,
+  toNormalizedPath,
+  toJsonPointer,
+  parseJsonPointer,
+  renamePathSegment,
+  renameWords,
 } from './rules/index.js';
 
 // Formatters
@@ -87,8 +181,68 @@ export {
   formatMarkdown,
   formatConsole,
   formatSARIF,
+  formatMultiConsole,
+  formatMultiMarkdown,
+  formatMultiSARIF,
+  formatMultiSummary,
 } from './formatters.js';
 
+// Hygiene score
+export {
+  computeScore,
+  scoreFromPenalty,
+  getHygieneLevel,
+  SEVERITY_FACTORS,
+  HYGIENE_LEVELS,
+} from './scoring.js';
+
+// Baselines
+export {
+  createBaseline,
+  applyBaseline,
+  getNewFindings,
+  fingerprintFinding,
+  loadBaseline,
+  writeBaseline,
+} from './baseline.js';
+
+// Source locations
+export { SourceMap, addSourceLocations } from './source-map.js';
+export { RefMap, canonicalizeFixes } from './ref-map.js';
+export { planTextEdits } from './text-edits.js';
+export { writeBackFixes } from './write-back.js';
+
+// Swagger 2.0 input
+export { Swagger2Conversion, isSwagger2 } from './swagger2.js';
+
+// Breaking changes between spec versions
+export { diffSpecs, createDiffResult, CHANGE_SEVERITIES } from './diff.js';
+
+// Reviews of several specs
+export { resolveSpecInputs, createMultiReviewResult } from './multi-review.js';
+
+// Fixes as OpenAPI Overlays
+export {
+  createOverlay,
+  loadOverlay,
+  writeOverlay,
+  OVERLAY_VERSION,
+} from './overlay.js';
+
+// Fixes as JSON Patches
+export {
+  createJsonPatch,
+  loadJsonPatch,
+  writeJsonPatch,
+} from './json-patch.js';
+
+// Inline suppressions
+export {
+  SuppressionIndex,
+  SUPPRESSION_KEY,
+  matchesRule,
+} from './suppressions.js';
+
 // AIP Metadata
 export {
   AIP_METADATA,
@@ -97,4 +251,44 @@ export {
 } from './aip-metadata.js';
 
 // Fixer
-export { OpenAPIFixer, applyAllFixes } from './fixer.js';
+export {
+  OpenAPIFixer,
+  applyAllFixes,
+  planFixes,
+  getInversePatch,
+} from './fixer.js';
+export { verifyFixes, compareFindings } from './verify.js';
+export {
+  createJournal,
+  writeJournal,
+  loadJournal,
+  createUndoFindings,
+  JOURNAL_DIR,
+} from './journal.js';
+export {
+  filterFixes,
+  matchesFixFilters,
+  selectFixes,
+  createSuppressionFix,
+  previewFix,
+} from './fix-selection.js';
+
+// Project configuration
+export {
+  findConfigFile,
+  loadConfigFile,
+  loadProjectConfig,
+  loadCustomRules,
+  getConfigPlugins,
+  validateConfig,
+  toReviewerConfig,
+  writeDisabledRules,
+} from './config.js';
+
+// Rule plugins
+export {
+  loadPlugin,
+  loadPlugins,
+  validatePlugin,
+  deriveNamespace,
+} from './plugins.js';
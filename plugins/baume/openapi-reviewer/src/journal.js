@@ -0,0 +1,345 @@
+// @ts-check
+/**
+ * Fix Journals
+ *
+ * A journal records the fixes one `--fix` run wrote, each with the JSON
+ * Patch reverting it (see `OpenAPIFixer.getInversePatch`), so that the run
+ * can be undone later without version control: `--undo` replays the
+ * inverses, last fix first, and writes them into the fixed spec's text
+ * like fixes (see `writeBackFixes`).
+ *
+ * Inverses are guarded by `test`s of what the fixes wrote: undoing fails
+ * as a whole if the spec has changed there since. Values they put back
+ * are those the fixes overwrote in the source, as written (see
+ * `writeBackFixes`), so `$ref`s come back as they were; a removed member
+ * comes back last in its object.
+ *
+ * @example
+ * ```js
+ * const { previous } = writeBackFixes(applied, specPath);
+ * const journal = createJournal(fixResults, { specPath, outputPath }, previous);
+ * const journalPath = writeJournal(journal);
+ * // ...later
+ * const undo = createUndoFindings(loadJournal(journalPath), fixedSpec);
+ * const { text } = writeBackFixes(undo, outputPath);
+ * ```
+ *
+ * @module journal
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { OpenAPIFixer, getInversePatch } from './fixer.js';
+import {
+  formatJsonPath,
+  parseJsonPath,
+  parseJsonPointer,
+} from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').FixJournal} FixJournal
+ * @typedef {import('./types.ts').FixJournalEntry} FixJournalEntry
+ * @typedef {import('./types.ts').JsonPatchOperation} JsonPatchOperation
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ * @typedef {import('./fixer.js').FixResult} FixResult
+ */
+
+/** Version of the journal file format */
+export const JOURNAL_VERSION = 1;
+
+/** Where journals are written, relative to the working directory */
+export const JOURNAL_DIR = join('.baume', 'fixes');
+
+/**
+ * Create a journal of the fixes written by a run
+ *
+ * Fixes that were not applied, or applied with another one (`sameAs`),
+ * are left out.
+ *
+ * @param {FixResult[]} results - In the order the fixes were applied
+ * @param {{specPath: string, outputPath: string}} files - The spec fixed,
+ *   and where the fixed spec was written
+ * @param {Map<Finding, unknown[]>} [previous] - What the changes of the
+ *   fixes overwrote, as written (see `writeBackFixes`); values of the
+ *   reviewed spec, with `$ref`s resolved, are put back otherwise
+ * @returns {FixJournal} With the file paths as given
+ */
+export function createJournal(results, { specPath, outputPath }, previous) {
+  /** @type {FixJournalEntry[]} */
+  const fixes = [];
+  for (const result of results) {
+    const { finding } = result;
+    if (!result.applied || result.sameAs || !finding) continue;
+    const written = previous?.get(finding);
+    const inverse = getInversePatch([
+      written ? restoreAsWritten(result, written) : result,
+    ]);
+    if (inverse.length === 0) continue;
+    fixes.push({
+      ruleId: finding.ruleId,
+      severity: finding.severity,
+      category: finding.category,
+      path: finding.path,
+      message: finding.message,
+      inverse,
+    });
+  }
+
+  return {
+    version: JOURNAL_VERSION,
+    createdAt: new Date().toISOString(),
+    spec: specPath,
+    output: outputPath,
+    fixes,
+  };
+}
+
+/**
+ * Make the inverses of a fix put back values as they were written
+ * @param {FixResult} result
+ * @param {unknown[]} written - What the path of each change held
+ * @returns {FixResult} A copy
+ */
+function restoreAsWritten(result, written) {
+  return {
+    ...result,
+    changes: result.changes.map((entry, i) => {
+      const { change, inverse } = entry;
+      if (!inverse || written[i] === undefined || !('operation' in change)) {
+        return entry;
+      }
+      const base = parseJsonPath(change.path);
+      return {
+        ...entry,
+        inverse: inverse.map((operation) => {
+          if (operation.op !== 'add' && operation.op !== 'replace') {
+            return operation;
+          }
+          const segments = parseJsonPointer(operation.path);
+          const value = base.every((segment, j) => segments[j] === segment)
+            ? valueAt(written[i], segments.slice(base.length))
+            : undefined;
+          return value === undefined ? operation : { ...operation, value };
+        }),
+      };
+    }),
+  };
+}
+
+/**
+ * Write a journal, named after its time and output file
+ * @param {FixJournal} journal - With the file paths as given
+ * @param {string} [dir=JOURNAL_DIR]
+ * @returns {string} Path of the journal
+ */
+export function writeJournal(journal, dir = JOURNAL_DIR) {
+  const stamp = journal.createdAt.replace(/[:.]/g, '-');
+  const journalPath = join(dir, `${stamp}-${basename(journal.output)}.json`);
+  const file = {
+    ...journal,
+    spec: relative(dir, journal.spec),
+    output: relative(dir, journal.output),
+  };
+  mkdirSync(dir, { recursive: true });
+  writeFileSync(journalPath, JSON.stringify(file, null, 2) + '\n');
+  return journalPath;
+}
+
+/**
+ * Read and validate a journal file
+ * @param {string} journalPath
+ * @returns {FixJournal} With the file paths resolved
+ * @throws {Error} If the file cannot be read or is not a journal
+ */
+export function loadJournal(journalPath) {
+  /** @type {unknown} */
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(journalPath, 'utf-8'));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot read journal ${journalPath}: ${message}`);
+  }
+
+  const journal = /** @type {Partial<FixJournal> | null} */ (raw);
+  if (
+    typeof journal !== 'object' ||
+    journal === null ||
+    typeof journal.spec !== 'string' ||
+    typeof journal.output !== 'string' ||
+    !Array.isArray(journal.fixes) ||
+    journal.fixes.some(
+      (fix) => typeof fix?.ruleId !== 'string' || !Array.isArray(fix.inverse)
+    )
+  ) {
+    throw new Error(
+      `Invalid journal ${journalPath}: expected { version, spec, output, fixes: [{ ruleId, inverse, ... }] }`
+    );
+  }
+  if (journal.version !== JOURNAL_VERSION) {
+    throw new Error(
+      `Unsupported journal version ${journal.version} in ${journalPath} (expected ${JOURNAL_VERSION})`
+    );
+  }
+
+  const dir = dirname(journalPath);
+  return /** @type {FixJournal} */ ({
+    ...journal,
+    spec: resolve(dir, journal.spec),
+    output: resolve(dir, journal.output),
+  });
+}
+
+/**
+ * Findings whose fixes revert the fixes of a journal
+ *
+ * One finding per fix, last fix first, with its inverse as spec changes
+ * (of type `undo`), ready for `writeBackFixes`.
+ *
+ * @param {FixJournal} journal
+ * @param {OpenAPISpec} spec - The fixed spec, dereferenced like the spec reviewed
+ * @returns {Finding[]}
+ * @throws {Error} If the spec has changed where an inverse applies
+ */
+export function createUndoFindings(journal, spec) {
+  const fixer = new OpenAPIFixer(spec);
+
+  return [...journal.fixes].reverse().map((fix) => {
+    /** @type {SpecChange[]} */
+    const specChanges = [];
+    for (const operation of fix.inverse) {
+      specChanges.push(...toSpecChanges(operation, fixer.getSpec()));
+      // Values the fixes wrote with a $ref are now dereferenced
+      const result = fixer.applyJsonPatch(
+        [/** @type {JsonPatchOperation} */ (resolveRefs(operation, spec))],
+        { ruleId: fix.ruleId }
+      );
+      if (!result.applied) {
+        const error = result.changes.find((change) => change.error)?.error;
+        throw new Error(
+          `Cannot undo ${fix.ruleId} at ${fix.path}, the spec has changed since: ${error}`
+        );
+      }
+    }
+
+    const { inverse: _inverse, ...finding } = fix;
+    return {
+      ...finding,
+      fix: { type: 'undo', jsonPath: '$', specChanges },
+    };
+  });
+}
+
+/**
+ * Express a JSON Patch operation as spec changes
+ * @param {JsonPatchOperation} operation
+ * @param {unknown} document - The spec before the operation
+ * @returns {SpecChange[]} None for a `test`
+ * @throws {Error} If the operation has no spec change equivalent
+ */
+function toSpecChanges(operation, document) {
+  const segments = parseJsonPointer(operation.path);
+  const path = formatJsonPath(segments);
+  if (segments.length === 0 && operation.op !== 'test') {
+    throw new Error(`Cannot express ${operation.op} of the whole spec`);
+  }
+
+  switch (operation.op) {
+    case 'test':
+      return [];
+
+    case 'remove':
+      return [{ operation: 'remove', path }];
+
+    case 'replace':
+      return [{ operation: 'set', path, value: operation.value }];
+
+    case 'add': {
+      const parent = valueAt(document, segments.slice(0, -1));
+      if (!Array.isArray(parent)) {
+        return [{ operation: 'set', path, value: operation.value }];
+      }
+      const last = segments[segments.length - 1];
+      if (last !== '-' && Number(last) !== parent.length) {
+        throw new Error(`Cannot express an insertion at ${operation.path}`);
+      }
+      return [
+        {
+          operation: 'add',
+          path: formatJsonPath(segments.slice(0, -1)),
+          value: operation.value,
+        },
+      ];
+    }
+
+    case 'move': {
+      const from = parseJsonPointer(operation.from);
+      const parent = segments.slice(0, -1);
+      if (
+        from.length === segments.length &&
+        from.slice(0, -1).every((segment, i) => segment === parent[i]) &&
+        !Array.isArray(valueAt(document, parent))
+      ) {
+        return [
+          {
+            operation: 'rename-key',
+            path: formatJsonPath(parent),
+            from: from[from.length - 1],
+            to: segments[segments.length - 1],
+          },
+        ];
+      }
+      return [
+        { operation: 'set', path, value: valueAt(document, from) },
+        { operation: 'remove', path: formatJsonPath(from) },
+      ];
+    }
+
+    default:
+      throw new Error(`Cannot express ${operation.op} as a spec change`);
+  }
+}
+
+/**
+ * Replace the local `$ref`s of a value with what they point to
+ * @param {unknown} value
+ * @param {OpenAPISpec} spec - Dereferenced
+ * @returns {unknown} A copy
+ */
+function resolveRefs(value, spec) {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveRefs(item, spec));
+  }
+  if (typeof value !== 'object' || value === null) return value;
+
+  const { $ref } = /** @type {{$ref?: unknown}} */ (value);
+  if (typeof $ref === 'string' && $ref.startsWith('#')) {
+    const target = valueAt(
+      spec,
+      parseJsonPointer(decodeURIComponent($ref.slice(1)))
+    );
+    if (target !== undefined) return target;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, member]) => [
+      key,
+      resolveRefs(member, spec),
+    ])
+  );
+}
+
+/**
+ * @param {unknown} document
+ * @param {string[]} segments
+ * @returns {unknown} The value at the path, if there is one
+ */
+function valueAt(document, segments) {
+  let value = document;
+  for (const segment of segments) {
+    if (typeof value !== 'object' || value === null) return undefined;
+    value = /** @type {Record<string, unknown>} */ (value)[segment];
+  }
+  return value;
+}
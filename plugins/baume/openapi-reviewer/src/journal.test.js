@@ -0,0 +1,286 @@
+// @ts-check
+/**
+ * Tests for fix journals
+ * Run with: node --test src/journal.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import {
+  createJournal,
+  createUndoFindings,
+  loadJournal,
+  writeJournal,
+} from './journal.js';
+import { OpenAPIFixer } from './fixer.js';
+import { writeBackFixes } from './write-back.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+const SPEC = `openapi: 3.0.3
+info:
+  title: Library # shown in the portal
+  version: 1.0.0
+paths:
+  /book:
+    get:
+      parameters:
+        - name: page_size
+          in: query
+          schema:
+            type: integer
+      responses:
+        '200':
+          description: OK
+    delete:
+      requestBody:
+        content: {}
+      responses:
+        '204':
+          description: Deleted
+components:
+  schemas:
+    Book:
+      type: object
+`;
+
+/**
+ * @param {string} ruleId
+ * @param {string} path
+ * @param {SpecChange[]} specChanges
+ * @returns {Finding}
+ */
+function createFinding(ruleId, path, specChanges) {
+  return {
+    ruleId,
+    severity: 'warning',
+    category: 'pagination',
+    path,
+    message: `${ruleId} message`,
+    fix: { type: 'add-parameter', jsonPath: specChanges[0].path, specChanges },
+  };
+}
+
+/**
+ * Fix the spec like the CLI does, in memory and in its text
+ * @returns {{fixer: OpenAPIFixer, text: string}}
+ */
+function fixSpec() {
+  const findings = [
+    createFinding('aip158/max-page-size', 'GET /book', [
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.parameters[0].schema.maximum",
+        value: 100,
+      },
+    ]),
+    createFinding('aip158/list-paginated', 'GET /book', [
+      {
+        operation: 'add',
+        path: "$.paths['/book'].get.parameters",
+        value: { name: 'page_token', in: 'query', schema: { type: 'string' } },
+      },
+      {
+        operation: 'merge',
+        path: "$.paths['/book'].get.responses['200']",
+        value: {
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Book' },
+            },
+          },
+        },
+      },
+    ]),
+    createFinding('aip135/no-request-body', 'DELETE /book', [
+      { operation: 'remove', path: "$.paths['/book'].delete.requestBody" },
+    ]),
+    createFinding('aip122/plural-resources', '/book', [
+      { operation: 'rename-key', path: '$.paths', from: '/book', to: '/books' },
+    ]),
+  ];
+  const fixer = new OpenAPIFixer(parseYaml(SPEC));
+  for (const finding of findings) fixer.applyFix(finding);
+  return { fixer, text: writeBackFixes(findings, 'api.yaml', SPEC).text };
+}
+
+/**
+ * The fixed spec as the CLI reviews it: dereferenced
+ * @param {string} text
+ */
+function dereference(text) {
+  const spec = parseYaml(text);
+  spec.paths['/books'].get.responses['200'].content['application/json'].schema =
+    spec.components.schemas.Book;
+  return spec;
+}
+
+describe('createJournal', () => {
+  it('records the fixes applied with their inverse', () => {
+    const { fixer } = fixSpec();
+    fixer.applyFix(
+      createFinding('aip158/max-page-size', 'GET /books', [
+        { operation: 'set', path: '$.paths.missing.get', value: {} },
+        { operation: 'rename-key', path: '$.paths', from: '/x', to: '/y' },
+      ])
+    );
+
+    const journal = createJournal(fixer.getLog(), {
+      specPath: 'api.yaml',
+      outputPath: 'api.yaml',
+    });
+
+    assert.deepEqual(
+      journal.fixes.map((fix) => fix.ruleId),
+      [
+        'aip158/max-page-size',
+        'aip158/list-paginated',
+        'aip135/no-request-body',
+        'aip122/plural-resources',
+      ]
+    );
+    assert.deepEqual(journal.fixes[0].inverse, [
+      {
+        op: 'test',
+        path: '/paths/~1book/get/parameters/0/schema/maximum',
+        value: 100,
+      },
+      { op: 'remove', path: '/paths/~1book/get/parameters/0/schema/maximum' },
+    ]);
+  });
+});
+
+describe('writeJournal and loadJournal', () => {
+  const TEMP_DIR = mkdtempSync(join(tmpdir(), 'baume-journal-'));
+
+  after(() => {
+    rmSync(TEMP_DIR, { recursive: true, force: true });
+  });
+
+  it('keep the file paths relative to the journal', () => {
+    const dir = mkdtempSync(join(TEMP_DIR, 'journal-'));
+    const journal = createJournal([], {
+      specPath: join(dir, 'api.yaml'),
+      outputPath: join(dir, 'api.fixed.yaml'),
+    });
+
+    const journalPath = writeJournal(journal, join(dir, '.baume', 'fixes'));
+
+    assert.match(journalPath, /T\d\d-\d\d-\d\d-\d+Z-api\.fixed\.yaml\.json$/);
+    assert.deepEqual(loadJournal(journalPath), journal);
+  });
+
+  it('rejects files that are not journals', () => {
+    const dir = mkdtempSync(join(TEMP_DIR, 'journal-'));
+    const invalid = join(dir, 'invalid.json');
+    writeFileSync(invalid, JSON.stringify({ version: 1, fixes: [] }));
+    assert.throws(() => loadJournal(invalid), /Invalid journal/);
+
+    const future = join(dir, 'future.json');
+    writeFileSync(
+      future,
+      JSON.stringify({ version: 2, spec: 'a', output: 'a', fixes: [] })
+    );
+    assert.throws(() => loadJournal(future), /Unsupported journal version 2/);
+  });
+});
+
+describe('createUndoFindings', () => {
+  it('writes the spec back as it was before the fixes', () => {
+    const { fixer, text } = fixSpec();
+    const journal = createJournal(fixer.getLog(), {
+      specPath: 'api.yaml',
+      outputPath: 'api.yaml',
+    });
+
+    const undo = createUndoFindings(journal, dereference(text));
+
+    assert.deepEqual(
+      undo.map((finding) => [finding.ruleId, finding.fix?.type]),
+      [
+        ['aip122/plural-resources', 'undo'],
+        ['aip135/no-request-body', 'undo'],
+        ['aip158/list-paginated', 'undo'],
+        ['aip158/max-page-size', 'undo'],
+      ]
+    );
+    assert.deepEqual(undo[0].fix?.specChanges, [
+      { operation: 'rename-key', path: '$.paths', from: '/books', to: '/book' },
+    ]);
+    const reverted = writeBackFixes(undo, 'api.yaml', text).text;
+    assert.deepEqual(parseYaml(reverted), parseYaml(SPEC));
+    assert.ok(reverted.includes('title: Library # shown in the portal'));
+    // What a fix removed comes back last in its object
+    assert.match(reverted, /'204':\n\s+description: Deleted\n\s+requestBody:/);
+  });
+
+  it('puts back $refs as they were written', () => {
+    const text = `openapi: 3.0.3
+info:
+  title: Library
+  version: 1.0.0
+paths:
+  /books:
+    get:
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                $ref: "#/components/schemas/BookList"
+components:
+  schemas:
+    BookList:
+      type: object
+`;
+    const spec = parseYaml(text);
+    const content = spec.paths['/books'].get.responses['200'].content;
+    content['application/json'].schema = spec.components.schemas.BookList;
+    const fixer = new OpenAPIFixer(spec);
+    const finding = createFinding('aip158/list-array', 'GET /books', [
+      {
+        operation: 'set',
+        path: "$.paths['/books'].get.responses['200'].content['application/json'].schema",
+        value: { type: 'array', items: { type: 'string' } },
+      },
+    ]);
+    fixer.applyFix(finding);
+    const fixed = writeBackFixes([finding], 'api.yaml', text);
+
+    const journal = createJournal(
+      fixer.getLog(),
+      { specPath: 'api.yaml', outputPath: 'api.yaml' },
+      fixed.previous
+    );
+
+    assert.deepEqual(journal.fixes[0].inverse[1], {
+      op: 'replace',
+      path: '/paths/~1books/get/responses/200/content/application~1json/schema',
+      value: { $ref: '#/components/schemas/BookList' },
+    });
+    const undo = createUndoFindings(journal, parseYaml(fixed.text));
+    assert.equal(writeBackFixes(undo, 'api.yaml', fixed.text).text, text);
+  });
+
+  it('fails once the spec has changed where a fix wrote', () => {
+    const { fixer, text } = fixSpec();
+    const journal = createJournal(fixer.getLog(), {
+      specPath: 'api.yaml',
+      outputPath: 'api.yaml',
+    });
+    const edited = dereference(text.replace('maximum: 100', 'maximum: 50'));
+
+    assert.throws(
+      () => createUndoFindings(journal, edited),
+      /Cannot undo aip158\/max-page-size at GET \/book, the spec has changed since/
+    );
+  });
+});
@@ -0,0 +1,296 @@
+// @ts-check
+/**
+ * JSON Patch
+ *
+ * Expresses fixes as an RFC 6902 JSON Patch, so that they can go through
+ * generic tooling, and reads patches for `OpenAPIFixer`'s `applyJsonPatch`.
+ *
+ * Each `SpecChange` becomes operations on RFC 6901 JSON Pointers:
+ *
+ * - `set`: a `replace` of an existing value, or an `add` of the member
+ *   (nesting the value in the objects that do not exist yet)
+ * - `add`: an `add` at the end of the array (`/-`), or of a new array
+ * - `merge`: an `add` per array item, or a `set` per object member
+ * - `remove`: a `remove`
+ * - `rename-key`: a `move` to the new key, which puts the member last in
+ *   its parent (member order is not significant in JSON)
+ *
+ * Values a patch replaces, removes or moves are guarded by a `test` of
+ * their current value by default, so that a patch made for an older
+ * version of the spec fails as a whole instead of overwriting changes.
+ *
+ * As with overlays, changes are converted against the spec as written and
+ * cannot go through a `$ref`.
+ *
+ * @example
+ * ```js
+ * const { patch } = createJsonPatch(result.findings, spec);
+ * writeJsonPatch('fixes.patch.json', patch);
+ * // ...later, or with any JSON Patch tool
+ * const fixer = new OpenAPIFixer(spec);
+ * fixer.applyJsonPatch(loadJsonPatch('fixes.patch.json'));
+ * ```
+ *
+ * @see https://www.rfc-editor.org/rfc/rfc6902
+ * @module json-patch
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { convertFixes } from './fixer.js';
+import {
+  followJsonPath,
+  parseJsonPath,
+  toJsonPointer,
+} from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').JsonPatch} JsonPatch
+ * @typedef {import('./types.ts').JsonPatchOperation} JsonPatchOperation
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+/** Operations defined by RFC 6902 */
+const OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * @typedef {Object} JsonPatchConversion
+ * @property {JsonPatch} patch
+ * @property {Array<{ruleId: string, path: string, error: string}>} skipped - Fixes that could not be expressed
+ */
+
+/**
+ * Convert the fixes of findings into a JSON Patch
+ *
+ * Findings without a fix are ignored. A fix that does not apply to the
+ * spec, or targets something behind a `$ref`, is skipped as a whole.
+ *
+ * @param {Finding[]} findings
+ * @param {OpenAPISpec} spec - The spec as written (not dereferenced)
+ * @param {Object} [options]
+ * @param {boolean} [options.test=true] - Guard replaced, removed and moved values with `test` operations
+ * @returns {JsonPatchConversion}
+ */
+export function createJsonPatch(findings, spec, options = {}) {
+  const test = options.test ?? true;
+  const { converted, skipped } = convertFixes(findings, spec, (change, doc) =>
+    changeToOperations(change, doc, test)
+  );
+  return { patch: converted.flatMap(({ items }) => items), skipped };
+}
+
+/**
+ * Read and validate a JSON Patch file
+ * @param {string} patchPath
+ * @returns {JsonPatch}
+ * @throws {Error} If the file cannot be read or is not a JSON Patch
+ */
+export function loadJsonPatch(patchPath) {
+  /** @type {unknown} */
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(patchPath, 'utf-8'));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot read JSON Patch ${patchPath}: ${message}`);
+  }
+
+  if (!Array.isArray(raw)) {
+    throw new Error(
+      `Invalid JSON Patch ${patchPath}: expected an array of operations`
+    );
+  }
+  raw.forEach((operation, i) => {
+    const issue = validateOperation(operation);
+    if (issue) {
+      throw new Error(
+        `Invalid JSON Patch ${patchPath}: operation ${i} ${issue}`
+      );
+    }
+  });
+
+  return /** @type {JsonPatch} */ (raw);
+}
+
+/**
+ * Write a JSON Patch file
+ * @param {string} patchPath
+ * @param {JsonPatch} patch
+ */
+export function writeJsonPatch(patchPath, patch) {
+  mkdirSync(dirname(patchPath), { recursive: true });
+  writeFileSync(patchPath, JSON.stringify(patch, null, 2) + '\n');
+}
+
+/**
+ * Check the members of an operation
+ * @param {any} operation
+ * @returns {string | undefined} What is wrong with it
+ */
+function validateOperation(operation) {
+  if (typeof operation !== 'object' || operation === null) {
+    return 'is not an object';
+  }
+  if (!OPERATIONS.includes(operation.op)) {
+    return `has an unknown op ${JSON.stringify(operation.op)}`;
+  }
+  if (typeof operation.path !== 'string') {
+    return 'has no path';
+  }
+  if (
+    ['move', 'copy'].includes(operation.op) &&
+    typeof operation.from !== 'string'
+  ) {
+    return `(${operation.op}) has no from`;
+  }
+  if (
+    ['add', 'replace', 'test'].includes(operation.op) &&
+    !('value' in operation)
+  ) {
+    return `(${operation.op}) has no value`;
+  }
+  return undefined;
+}
+
+/**
+ * Express a spec change as JSON Patch operations
+ * @param {SpecChange} change
+ * @param {unknown} document - The spec before the change
+ * @param {boolean} test - Guard replaced, removed and moved values
+ * @returns {JsonPatchOperation[]}
+ */
+function changeToOperations(change, document, test) {
+  const segments = parseJsonPath(change.path);
+
+  switch (change.operation) {
+    case 'set':
+      return setOperations(segments, change.value, document, test);
+
+    case 'add': {
+      const { path, value, found } = followJsonPath(document, segments);
+      if (found < segments.length) {
+        return setOperations(segments, [change.value], document, test);
+      }
+      if (!Array.isArray(value)) {
+        throw new Error(`Expected array at ${change.path}`);
+      }
+      return [
+        { op: 'add', path: toJsonPointer([...path, '-']), value: change.value },
+      ];
+    }
+
+    case 'remove': {
+      const { path, value, found } = followJsonPath(document, segments);
+      if (found < segments.length) return [];
+      const pointer = toJsonPointer(path);
+      return [...guard(pointer, value, test), { op: 'remove', path: pointer }];
+    }
+
+    case 'merge': {
+      const { path, value, found } = followJsonPath(document, segments);
+      if (found < segments.length) {
+        return setOperations(segments, change.value, document, test);
+      }
+      if (Array.isArray(value) && Array.isArray(change.value)) {
+        const pointer = toJsonPointer([...path, '-']);
+        return change.value.map((item) => ({
+          op: 'add',
+          path: pointer,
+          value: item,
+        }));
+      }
+      if (isPlainObject(value) && isPlainObject(change.value)) {
+        return Object.entries(change.value).flatMap(([key, member]) =>
+          setOperations([...segments, key], member, document, test)
+        );
+      }
+      throw new Error(`Cannot merge into ${change.path}`);
+    }
+
+    case 'rename-key': {
+      const { path, value, found } = followJsonPath(document, segments);
+      const from = /** @type {string} */ (change.from);
+      const to = /** @type {string} */ (change.to);
+      if (
+        found < segments.length ||
+        !isPlainObject(value) ||
+        !(from in value)
+      ) {
+        throw new Error(`Key '${from}' not found at ${change.path}`);
+      }
+      if (to in value) {
+        throw new Error(`Key '${to}' already exists at ${change.path}`);
+      }
+      const pointer = toJsonPointer([...path, from]);
+      return [
+        ...guard(pointer, value[from], test),
+        { op: 'move', from: pointer, path: toJsonPointer([...path, to]) },
+      ];
+    }
+
+    default:
+      throw new Error(`Unknown operation: ${change.operation}`);
+  }
+}
+
+/**
+ * Operations setting a member, creating the objects leading to it
+ * @param {string[]} segments - Path of the member
+ * @param {unknown} value
+ * @param {unknown} document
+ * @param {boolean} test
+ * @returns {JsonPatchOperation[]}
+ */
+function setOperations(segments, value, document, test) {
+  if (segments.length === 0) throw new Error('Cannot replace the root');
+
+  const { path, value: existing, found } = followJsonPath(document, segments);
+  if (found === segments.length) {
+    const pointer = toJsonPointer(path);
+    return [
+      ...guard(pointer, existing, test),
+      { op: 'replace', path: pointer, value },
+    ];
+  }
+
+  // Nest the value in the members that do not exist yet; an array index
+  // leading to the member means the path is stale (e.g., renamed by an
+  // earlier fix)
+  const [first, ...rest] = segments.slice(found);
+  if (
+    !isPlainObject(existing) ||
+    segments.slice(found, -1).some((key) => /^\d+$/.test(key))
+  ) {
+    throw new Error(
+      `Cannot add ${segments.slice(found).join('.')} to ${toJsonPointer(path) || '/'}`
+    );
+  }
+  return [
+    {
+      op: 'add',
+      path: toJsonPointer([...path, first]),
+      value: rest.reduceRight((nested, key) => ({ [key]: nested }), value),
+    },
+  ];
+}
+
+/**
+ * A `test` of the current value, when guarding
+ * @param {string} pointer
+ * @param {unknown} value
+ * @param {boolean} test
+ * @returns {JsonPatchOperation[]}
+ */
+function guard(pointer, value, test) {
+  return test ? [{ op: 'test', path: pointer, value }] : [];
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
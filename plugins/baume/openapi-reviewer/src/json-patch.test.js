@@ -0,0 +1,347 @@
+// @ts-check
+/**
+ * Tests for JSON Patch export and loading
+ * Run with: node --test src/json-patch.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  createJsonPatch,
+  loadJsonPatch,
+  writeJsonPatch,
+} from './json-patch.js';
+import { OpenAPIFixer } from './fixer.js';
+import { toJsonPointer } from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMP_DIR = join(__dirname, '__temp_json_patch__');
+
+/** @returns {OpenAPISpec} */
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Library', version: '1.0.0' },
+    paths: {
+      '/book': {
+        get: {
+          parameters: [
+            { name: 'page_size', in: 'query', schema: { type: 'integer' } },
+          ],
+          responses: {
+            200: {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/BookList' },
+                },
+              },
+            },
+          },
+        },
+        post: {
+          requestBody: { content: {} },
+          responses: { 200: { description: 'OK' } },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        BookList: { type: 'object', properties: { books: { type: 'array' } } },
+      },
+    },
+  };
+}
+
+/**
+ * Finding with a fix made of the given changes
+ * @param {string} ruleId
+ * @param {SpecChange[]} specChanges
+ * @returns {Finding}
+ */
+function createFinding(ruleId, specChanges) {
+  return {
+    ruleId,
+    severity: 'warning',
+    category: 'naming',
+    path: '/book',
+    message: `${ruleId} message`,
+    fix: { type: 'test', jsonPath: '$', specChanges },
+  };
+}
+
+const findings = [
+  createFinding('aip158/max-page-size', [
+    {
+      operation: 'set',
+      path: "$.paths['/book'].get.parameters[0].schema.maximum",
+      value: 100,
+    },
+  ]),
+  createFinding('aip132/has-ordering', [
+    {
+      operation: 'add',
+      path: "$.paths['/book'].get.parameters",
+      value: { name: 'order_by', in: 'query', schema: { type: 'string' } },
+    },
+  ]),
+  createFinding('aip133/post-returns-201', [
+    {
+      operation: 'rename-key',
+      path: "$.paths['/book'].post.responses",
+      from: '200',
+      to: '201',
+    },
+  ]),
+  createFinding('aip131/get-no-body', [
+    { operation: 'remove', path: "$.paths['/book'].post.requestBody" },
+  ]),
+  createFinding('aip193/responses-documented', [
+    {
+      operation: 'merge',
+      path: "$.paths['/book'].get.responses",
+      value: { default: { description: 'Error' } },
+    },
+  ]),
+  createFinding('aip122/plural-resources', [
+    { operation: 'rename-key', path: '$.paths', from: '/book', to: '/books' },
+  ]),
+];
+
+describe('toJsonPointer', () => {
+  it('escapes ~ and /', () => {
+    assert.equal(
+      toJsonPointer(['paths', '/a~b', 'get', 'parameters', 0]),
+      '/paths/~1a~0b/get/parameters/0'
+    );
+    assert.equal(toJsonPointer([]), '');
+  });
+});
+
+describe('createJsonPatch', () => {
+  it('expresses fixes as operations guarded by tests', () => {
+    const { patch, skipped } = createJsonPatch(findings, createSpec());
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(patch, [
+      {
+        op: 'add',
+        path: '/paths/~1book/get/parameters/0/schema/maximum',
+        value: 100,
+      },
+      {
+        op: 'add',
+        path: '/paths/~1book/get/parameters/-',
+        value: { name: 'order_by', in: 'query', schema: { type: 'string' } },
+      },
+      {
+        op: 'test',
+        path: '/paths/~1book/post/requestBody',
+        value: { content: {} },
+      },
+      { op: 'remove', path: '/paths/~1book/post/requestBody' },
+      {
+        op: 'add',
+        path: '/paths/~1book/get/responses/default',
+        value: { description: 'Error' },
+      },
+      {
+        op: 'test',
+        path: '/paths/~1book/post/responses/200',
+        value: { description: 'OK' },
+      },
+      {
+        op: 'move',
+        from: '/paths/~1book/post/responses/200',
+        path: '/paths/~1book/post/responses/201',
+      },
+      {
+        op: 'test',
+        path: '/paths/~1book',
+        value: createPatchedPathItem(),
+      },
+      { op: 'move', from: '/paths/~1book', path: '/paths/~1books' },
+    ]);
+  });
+
+  it('yields the spec the fixes produce when applied', () => {
+    const { patch } = createJsonPatch(findings, createSpec());
+
+    const patched = new OpenAPIFixer(createSpec());
+    patched.applyJsonPatch(patch);
+    const fixed = new OpenAPIFixer(createSpec());
+    fixed.applyFixes(findings);
+
+    assert.deepEqual(patched.getErrors(), []);
+    assert.deepEqual(patched.getSpec(), fixed.getSpec());
+  });
+
+  it('fails as a whole on a spec changed since', () => {
+    const { patch } = createJsonPatch(findings, createSpec());
+    const changed = createSpec();
+    delete changed.paths?.['/book'].post?.requestBody?.content;
+
+    const fixer = new OpenAPIFixer(changed);
+    const result = fixer.applyJsonPatch(patch);
+
+    assert.equal(result.applied, false);
+    assert.match(
+      String(result.changes[0].error),
+      /^Operation 2 \(test \/paths\/~1book\/post\/requestBody\)/
+    );
+    assert.deepEqual(fixer.getSpec(), changed);
+  });
+
+  it('replaces values without tests on request', () => {
+    const { patch } = createJsonPatch(
+      [
+        createFinding('replace', [
+          {
+            operation: 'set',
+            path: "$.paths['/book'].get.parameters[0].schema",
+            value: { type: 'string' },
+          },
+        ]),
+      ],
+      createSpec(),
+      { test: false }
+    );
+
+    assert.deepEqual(patch, [
+      {
+        op: 'replace',
+        path: '/paths/~1book/get/parameters/0/schema',
+        value: { type: 'string' },
+      },
+    ]);
+  });
+
+  it('adds members named like array indices, such as status codes', () => {
+    const { patch, skipped } = createJsonPatch(
+      [
+        createFinding('aip193/standard-codes', [
+          {
+            operation: 'merge',
+            path: "$.paths['/book'].post.responses",
+            value: { 400: { description: 'Bad request' } },
+          },
+        ]),
+      ],
+      createSpec()
+    );
+
+    assert.deepEqual(skipped, []);
+    assert.deepEqual(patch, [
+      {
+        op: 'add',
+        path: '/paths/~1book/post/responses/400',
+        value: { description: 'Bad request' },
+      },
+    ]);
+  });
+
+  it('skips fixes behind a $ref or that do not apply', () => {
+    const { patch, skipped } = createJsonPatch(
+      [
+        createFinding('aip158/response-next-token', [
+          {
+            operation: 'set',
+            path: "$.paths['/book'].get.responses['200'].content['application/json'].schema.properties.next_page_token",
+            value: { type: 'string' },
+          },
+        ]),
+        createFinding('aip133/post-returns-201', [
+          {
+            operation: 'rename-key',
+            path: "$.paths['/book'].get.responses",
+            from: '201',
+            to: '202',
+          },
+        ]),
+      ],
+      createSpec()
+    );
+
+    assert.deepEqual(patch, []);
+    // Renames are converted last
+    assert.deepEqual(
+      skipped.map((s) => s.ruleId),
+      ['aip158/response-next-token', 'aip133/post-returns-201']
+    );
+    assert.match(skipped[0].error, /is a \$ref/);
+  });
+});
+
+describe('loadJsonPatch and writeJsonPatch', () => {
+  before(() => {
+    mkdirSync(TEMP_DIR, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TEMP_DIR, { recursive: true, force: true });
+  });
+
+  it('writes a patch and reads it back', () => {
+    const { patch } = createJsonPatch(findings, createSpec());
+    const patchPath = join(TEMP_DIR, 'fixes', 'patch.json');
+
+    writeJsonPatch(patchPath, patch);
+    assert.deepEqual(loadJsonPatch(patchPath), patch);
+  });
+
+  it('rejects files that are not JSON Patches', () => {
+    const cases = [
+      ['object.json', '{"op": "add"}', /expected an array of operations/],
+      [
+        'unknown-op.json',
+        '[{"op": "merge", "path": ""}]',
+        /operation 0 has an unknown op "merge"/,
+      ],
+      [
+        'no-value.json',
+        '[{"op": "add", "path": "/a"}]',
+        /operation 0 \(add\) has no value/,
+      ],
+      [
+        'no-from.json',
+        '[{"op": "move", "path": "/a"}]',
+        /operation 0 \(move\) has no from/,
+      ],
+      ['yaml.json', 'op: add', /Cannot read JSON Patch/],
+    ];
+    for (const [file, content, error] of cases) {
+      const patchPath = join(TEMP_DIR, String(file));
+      writeFileSync(patchPath, String(content));
+      assert.throws(() => loadJsonPatch(patchPath), error);
+    }
+  });
+});
+
+/**
+ * The /book path item as the fixes before the rename leave it
+ * @returns {unknown}
+ */
+function createPatchedPathItem() {
+  const pathItem = /** @type {any} */ (
+    structuredClone(createSpec().paths?.['/book'])
+  );
+  pathItem.get.parameters[0].schema.maximum = 100;
+  pathItem.get.parameters.push({
+    name: 'order_by',
+    in: 'query',
+    schema: { type: 'string' },
+  });
+  pathItem.get.responses.default = { description: 'Error' };
+  pathItem.post.responses = { 201: { description: 'OK' } };
+  delete pathItem.post.requestBody;
+  return pathItem;
+}
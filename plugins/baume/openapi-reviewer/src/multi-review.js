@@ -0,0 +1,216 @@
+// @ts-check
+/**
+ * Multi-Spec Reviews
+ *
+ * Reviews every spec of a repository in one run. Inputs are spec files,
+ * directories (searched like `baume-discover` does), glob patterns, or the
+ * JSON output of `baume-discover`. The reviews are aggregated into a single
+ * result with per-spec summaries and an overall hygiene score, computed from
+ * the findings of all specs as if they were one API.
+ *
+ * @module multi-review
+ */
+
+import { glob, readFile, stat } from 'node:fs/promises';
+import { extname, relative, resolve } from 'node:path';
+import { DEFAULT_IGNORES, findSpecFiles, looksLikeSpec } from './spec-files.js';
+import { REVIEWER_VERSION } from './reviewer.js';
+import { getHygieneLevel, scoreFromPenalty } from './scoring.js';
+
+/**
+ * @typedef {import('./types.ts').ReviewResult} ReviewResult
+ * @typedef {import('./types.ts').MultiReviewResult} MultiReviewResult
+ * @typedef {import('./types.ts').SpecFailure} SpecFailure
+ * @typedef {import('./types.ts').RuleCategory} RuleCategory
+ */
+
+/** Characters that make an input a glob pattern rather than a path */
+const GLOB_CHARACTERS = /[*?[\]{}]/;
+
+/**
+ * @typedef {Object} ResolvedInputs
+ * @property {string[]} specPaths - Specs to review, in input order, without duplicates
+ * @property {string[]} unmatched - Directories, globs and discovery results that yielded no spec
+ */
+
+/**
+ * Expand review inputs into spec paths
+ *
+ * Files are kept as given. Directories are searched for files named like
+ * specs whose content looks like one; globs are matched from `cwd`. Both
+ * skip `DEFAULT_IGNORES` (node_modules, dist...). A discovery result lists
+ * its specs, except those `baume-discover` could not parse. Found specs are
+ * reported relative to `cwd`.
+ *
+ * @param {string[]} inputs - Spec files, directories, globs or discovery results
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory relative inputs are resolved from
+ * @param {string[]} [options.ignores] - Glob patterns to skip in directories and globs
+ * @returns {Promise<ResolvedInputs>}
+ */
+export async function resolveSpecInputs(
+  inputs,
+  { cwd = process.cwd(), ignores = DEFAULT_IGNORES } = {}
+) {
+  /** @type {Map<string, string>} Display path by absolute path */
+  const specs = new Map();
+  /** @type {string[]} */
+  const unmatched = [];
+
+  /** @param {string} absolutePath */
+  const display = (absolutePath) => relative(cwd, absolutePath) || absolutePath;
+
+  for (const input of inputs) {
+    const absolutePath = resolve(cwd, input);
+    /** @type {string[]} */
+    let found;
+
+    if (GLOB_CHARACTERS.test(input)) {
+      found = [];
+      for await (const match of glob(input, { cwd, exclude: ignores })) {
+        found.push(resolve(cwd, match));
+      }
+    } else if (await isDirectory(absolutePath)) {
+      found = [];
+      for (const file of await findSpecFiles(absolutePath, ignores)) {
+        if (looksLikeSpec(await readFile(file, 'utf-8'))) {
+          found.push(file);
+        }
+      }
+    } else {
+      const listed = await readDiscoveryResult(absolutePath);
+      if (!listed) {
+        // A spec file (or a missing one, reported when it is loaded)
+        if (!specs.has(absolutePath)) specs.set(absolutePath, input);
+        continue;
+      }
+      found = listed;
+    }
+
+    if (found.length === 0) {
+      unmatched.push(input);
+    }
+    for (const file of found.sort()) {
+      if (!specs.has(file)) specs.set(file, display(file));
+    }
+  }
+
+  return { specPaths: [...specs.values()], unmatched };
+}
+
+/**
+ * Aggregate the reviews of several specs
+ *
+ * Counts are summed over all specs. The overall score spreads the penalty
+ * of all findings over the operations of all specs, so each spec weighs as
+ * much as its number of operations.
+ *
+ * @param {ReviewResult[]} reviews - One review per spec
+ * @param {SpecFailure[]} [failures] - Specs that could not be reviewed
+ * @returns {MultiReviewResult}
+ */
+export function createMultiReviewResult(reviews, failures = []) {
+  /** @type {MultiReviewResult['summary']} */
+  const summary = {
+    specs: reviews.length + failures.length,
+    failed: failures.length,
+    errors: 0,
+    warnings: 0,
+    suggestions: 0,
+    byCategory: {},
+  };
+
+  let penalty = 0;
+  let operationCount = 0;
+  let findings = 0;
+  let scored = false;
+
+  for (const review of reviews) {
+    summary.errors += review.summary.errors;
+    summary.warnings += review.summary.warnings;
+    summary.suggestions += review.summary.suggestions;
+    for (const [category, count] of Object.entries(review.summary.byCategory)) {
+      const key = /** @type {RuleCategory} */ (category);
+      summary.byCategory[key] = (summary.byCategory[key] ?? 0) + count;
+    }
+
+    const score = review.summary.score;
+    if (score) {
+      scored = true;
+      penalty += score.penalty;
+      operationCount += score.operationCount;
+      findings += score.findings;
+    }
+
+    const baseline = review.summary.baseline;
+    if (baseline) {
+      summary.baseline ??= { known: 0, new: 0, fixed: 0 };
+      summary.baseline.known += baseline.known;
+      summary.baseline.new += baseline.new;
+      summary.baseline.fixed += baseline.fixed;
+    }
+  }
+
+  if (scored) {
+    const score = scoreFromPenalty(penalty, operationCount);
+    summary.score = {
+      score,
+      level: getHygieneLevel(score),
+      penalty: Math.round(penalty * 100) / 100,
+      findings,
+      operationCount,
+    };
+  }
+
+  return {
+    reviews,
+    failures,
+    summary,
+    metadata: {
+      reviewedAt: new Date().toISOString(),
+      reviewerVersion: REVIEWER_VERSION,
+    },
+  };
+}
+
+/**
+ * @param {string} path
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(path) {
+  try {
+    return (await stat(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read the specs listed in a `baume-discover --format json` result
+ * @param {string} path
+ * @returns {Promise<string[] | undefined>} Undefined if the file is not a discovery result
+ */
+async function readDiscoveryResult(path) {
+  if (extname(path).toLowerCase() !== '.json') return undefined;
+
+  let content;
+  try {
+    content = JSON.parse(await readFile(path, 'utf-8'));
+  } catch {
+    // Missing or invalid files are left to the spec loader to report
+    return undefined;
+  }
+  if (
+    !content ||
+    typeof content.searchPath !== 'string' ||
+    !Array.isArray(content.specs)
+  ) {
+    return undefined;
+  }
+
+  return content.specs
+    .filter((/** @type {any} */ spec) => !spec.error && spec.absolutePath)
+    .map((/** @type {any} */ spec) =>
+      resolve(content.searchPath, spec.absolutePath)
+    );
+}
@@ -0,0 +1,190 @@
+// @ts-check
+/**
+ * Tests for multi-spec reviews
+ * Run with: node --test src/multi-review.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createMultiReviewResult, resolveSpecInputs } from './multi-review.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import {
+  formatMultiConsole,
+  formatMultiMarkdown,
+  formatMultiSARIF,
+} from './formatters.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMP_DIR = join(__dirname, '__temp_multi_review__');
+
+/**
+ * Spec with a GET and a POST on one path
+ * @param {string} path
+ * @returns {any}
+ */
+function createSpec(path) {
+  return {
+    openapi: '3.0.3',
+    info: { title: path, version: '1.0.0' },
+    paths: {
+      [path]: {
+        get: { responses: { 200: { description: 'OK' } } },
+        post: { responses: { 201: { description: 'Created' } } },
+      },
+    },
+  };
+}
+
+describe('resolveSpecInputs', () => {
+  before(() => {
+    mkdirSync(join(TEMP_DIR, 'services', 'books'), { recursive: true });
+    mkdirSync(join(TEMP_DIR, 'services', 'authors'), { recursive: true });
+    mkdirSync(join(TEMP_DIR, 'node_modules', 'pkg'), { recursive: true });
+    mkdirSync(join(TEMP_DIR, 'empty'), { recursive: true });
+
+    writeFileSync(
+      join(TEMP_DIR, 'services', 'books', 'openapi.yaml'),
+      'openapi: 3.0.3'
+    );
+    writeFileSync(
+      join(TEMP_DIR, 'services', 'authors', 'openapi.yaml'),
+      'openapi: 3.0.3'
+    );
+    // Named like a spec, but is not one
+    writeFileSync(
+      join(TEMP_DIR, 'services', 'authors', 'openapi-config.json'),
+      '{"generator": "typescript"}'
+    );
+    writeFileSync(
+      join(TEMP_DIR, 'node_modules', 'pkg', 'openapi.yaml'),
+      'openapi: 3.0.3'
+    );
+    writeFileSync(
+      join(TEMP_DIR, 'specs.json'),
+      JSON.stringify({
+        searchPath: TEMP_DIR,
+        specs: [
+          { absolutePath: join(TEMP_DIR, 'services', 'books', 'openapi.yaml') },
+          { absolutePath: join(TEMP_DIR, 'broken.yaml'), error: {} },
+        ],
+      })
+    );
+  });
+
+  after(() => {
+    rmSync(TEMP_DIR, { recursive: true, force: true });
+  });
+
+  it('searches directories for specs, skipping ignored directories', async () => {
+    const { specPaths, unmatched } = await resolveSpecInputs(['.'], {
+      cwd: TEMP_DIR,
+    });
+
+    assert.deepEqual(specPaths, [
+      'services/authors/openapi.yaml',
+      'services/books/openapi.yaml',
+    ]);
+    assert.deepEqual(unmatched, []);
+  });
+
+  it('expands globs and keeps files as given, without duplicates', async () => {
+    const { specPaths } = await resolveSpecInputs(
+      ['services/books/openapi.yaml', 'services/*/openapi.yaml', 'other.yaml'],
+      { cwd: TEMP_DIR }
+    );
+
+    assert.deepEqual(specPaths, [
+      'services/books/openapi.yaml',
+      'services/authors/openapi.yaml',
+      'other.yaml',
+    ]);
+  });
+
+  it('reads the specs listed in a discovery result', async () => {
+    const { specPaths } = await resolveSpecInputs(['specs.json'], {
+      cwd: TEMP_DIR,
+    });
+
+    assert.deepEqual(specPaths, ['services/books/openapi.yaml']);
+  });
+
+  it('reports inputs that yield no spec', async () => {
+    const { specPaths, unmatched } = await resolveSpecInputs(
+      ['empty', 'services/*.yaml'],
+      { cwd: TEMP_DIR }
+    );
+
+    assert.deepEqual(specPaths, []);
+    assert.deepEqual(unmatched, ['empty', 'services/*.yaml']);
+  });
+});
+
+describe('createMultiReviewResult', () => {
+  it('sums counts and scores all operations together', () => {
+    const reviewer = new OpenAPIReviewer();
+    const books = reviewer.review(createSpec('/books'), 'books.yaml');
+    const authors = reviewer.review(createSpec('/author'), 'authors.yaml');
+
+    const result = createMultiReviewResult(
+      [books, authors],
+      [{ specPath: 'broken.yaml', error: 'File not found: broken.yaml' }]
+    );
+
+    assert.equal(result.summary.specs, 3);
+    assert.equal(result.summary.failed, 1);
+    assert.equal(
+      result.summary.warnings,
+      books.summary.warnings + authors.summary.warnings
+    );
+    assert.equal(
+      result.summary.byCategory.naming,
+      (books.summary.byCategory.naming ?? 0) +
+        (authors.summary.byCategory.naming ?? 0)
+    );
+
+    // Each spec weighs as much as its operations: between the two scores
+    const overall = /** @type {NonNullable<typeof result.summary.score>} */ (
+      result.summary.score
+    );
+    const scores = [books, authors].map((r) => r.summary.score?.score ?? 0);
+    assert.equal(overall.operationCount, 4);
+    assert.ok(overall.score >= Math.min(...scores));
+    assert.ok(overall.score <= Math.max(...scores));
+    assert.ok(authors.summary.score?.score !== books.summary.score?.score);
+  });
+
+  it('is formatted with per-spec summaries', () => {
+    const reviewer = new OpenAPIReviewer();
+    const result = createMultiReviewResult(
+      [
+        reviewer.review(createSpec('/books'), 'books.yaml'),
+        reviewer.review(createSpec('/author'), 'authors.yaml'),
+      ],
+      [{ specPath: 'broken.yaml', error: 'File not found: broken.yaml' }]
+    );
+
+    const markdown = formatMultiMarkdown(result);
+    assert.ok(markdown.startsWith('# API Review: 3 specs'));
+    assert.ok(markdown.includes('## API Review: books.yaml'));
+    assert.ok(markdown.includes('| `broken.yaml` | ❌ Not reviewed'));
+    assert.ok(markdown.includes('**Overall hygiene score:**'));
+
+    const output = formatMultiConsole(result, false);
+    assert.ok(output.includes('API Review: authors.yaml'));
+    assert.match(output, /✗ broken\.yaml\s+not reviewed/);
+
+    const sarif = JSON.parse(formatMultiSARIF(result));
+    assert.equal(sarif.runs.length, 1);
+    const uris = new Set(
+      sarif.runs[0].results.map(
+        (/** @type {any} */ r) =>
+          r.locations[0].physicalLocation.artifactLocation.uri
+      )
+    );
+    assert.deepEqual([...uris].sort(), ['authors.yaml', 'books.yaml']);
+    assert.equal(sarif.runs[0].invocations[0].executionSuccessful, false);
+  });
+});
@@ -0,0 +1,285 @@
+// @ts-check
+/**
+ * OpenAPI Overlays
+ *
+ * Expresses fixes as an OpenAPI Overlay 1.0 document instead of rewriting
+ * the spec. A generated spec is overwritten by its generator, so fixing it
+ * in place is lost on the next build; an overlay keeps the corrections as a
+ * reviewable file layered on the generated output (`OpenAPIFixer`'s
+ * `applyOverlay`, or any Overlay tool).
+ *
+ * Each `SpecChange` becomes one or more actions targeting RFC 9535
+ * normalized paths:
+ *
+ * - `set`: an `update` of the parent with the new member, after removing
+ *   the old value if it is an object (updates merge objects)
+ * - `add`: an `update` of the array, which appends the value
+ * - `merge`: an `update` per array item, or a `set` per object member
+ * - `remove`: a `remove` action
+ * - `rename-key`: removing the member and adding it back under the new
+ *   key, which moves it to the end of its parent
+ *
+ * Changes are converted against the spec as the previous fixes left it, so
+ * later actions see earlier ones. Targets cannot go through a `$ref`: an
+ * overlay applies to the document as written, not as dereferenced.
+ *
+ * @example
+ * ```js
+ * const { overlay } = createOverlay(result.findings, spec, { extends: 'openapi.yaml' });
+ * writeOverlay('fixes.overlay.yaml', overlay);
+ * // ...after the next generator run
+ * const fixer = new OpenAPIFixer(generatedSpec);
+ * fixer.applyOverlay(loadOverlay('fixes.overlay.yaml'));
+ * ```
+ *
+ * @see https://spec.openapis.org/overlay/v1.0.0.html
+ * @module overlay
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, extname } from 'node:path';
+import { parse as parseYaml, stringify as stringifyYaml } from 'yaml';
+import { convertFixes } from './fixer.js';
+import {
+  followJsonPath,
+  parseJsonPath,
+  toNormalizedPath,
+} from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').Overlay} Overlay
+ * @typedef {import('./types.ts').OverlayAction} OverlayAction
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+/** Version of the Overlay specification written */
+export const OVERLAY_VERSION = '1.0.0';
+
+/**
+ * @typedef {Object} OverlayConversion
+ * @property {Overlay} overlay
+ * @property {Array<{ruleId: string, path: string, error: string}>} skipped - Fixes that could not be expressed
+ */
+
+/**
+ * Convert the fixes of findings into an overlay
+ *
+ * Findings without a fix are ignored. A fix that does not apply to the
+ * spec, or targets something behind a `$ref`, is skipped as a whole.
+ *
+ * @param {Finding[]} findings
+ * @param {OpenAPISpec} spec - The spec as written (not dereferenced)
+ * @param {Object} [options]
+ * @param {string} [options.title] - Overlay title (defaults to one naming the spec)
+ * @param {string} [options.version] - Overlay version
+ * @param {string} [options.extends] - URL of the spec, relative to the overlay
+ * @returns {OverlayConversion}
+ */
+export function createOverlay(findings, spec, options = {}) {
+  /** @type {Overlay} */
+  const overlay = {
+    overlay: OVERLAY_VERSION,
+    info: {
+      title: options.title ?? `Fixes for ${spec.info?.title ?? 'the API'}`,
+      version: options.version ?? '1.0.0',
+    },
+    ...(options.extends && { extends: options.extends }),
+    actions: [],
+  };
+  const { converted, skipped } = convertFixes(findings, spec, changeToActions);
+  for (const { finding, items } of converted) {
+    const description = finding.suggestion ?? finding.message;
+    for (const { target, ...operation } of items) {
+      overlay.actions.push({
+        target,
+        description,
+        ...operation,
+        'x-baume-rule': finding.ruleId,
+      });
+    }
+  }
+
+  return { overlay, skipped };
+}
+
+/**
+ * Read and validate an overlay file (YAML or JSON)
+ * @param {string} overlayPath
+ * @returns {Overlay}
+ * @throws {Error} If the file cannot be read or is not an overlay
+ */
+export function loadOverlay(overlayPath) {
+  /** @type {unknown} */
+  let raw;
+  try {
+    raw = parseYaml(readFileSync(overlayPath, 'utf-8'));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot read overlay ${overlayPath}: ${message}`);
+  }
+
+  const overlay = /** @type {Partial<Overlay> | null} */ (raw);
+  if (
+    typeof overlay !== 'object' ||
+    overlay === null ||
+    typeof overlay.overlay !== 'string' ||
+    !Array.isArray(overlay.actions) ||
+    overlay.actions.some((action) => typeof action?.target !== 'string')
+  ) {
+    throw new Error(
+      `Invalid overlay ${overlayPath}: expected { overlay, info, actions: [{ target, ... }] }`
+    );
+  }
+  if (!overlay.overlay.startsWith('1.')) {
+    throw new Error(
+      `Unsupported overlay version ${overlay.overlay} in ${overlayPath} (expected 1.x)`
+    );
+  }
+
+  return /** @type {Overlay} */ (overlay);
+}
+
+/**
+ * Write an overlay file, as JSON for a .json path and YAML otherwise
+ * @param {string} overlayPath
+ * @param {Overlay} overlay
+ */
+export function writeOverlay(overlayPath, overlay) {
+  mkdirSync(dirname(overlayPath), { recursive: true });
+  const content =
+    extname(overlayPath).toLowerCase() === '.json'
+      ? JSON.stringify(overlay, null, 2) + '\n'
+      : stringifyYaml(overlay, { lineWidth: 0 });
+  writeFileSync(overlayPath, content);
+}
+
+/**
+ * Express a spec change as overlay actions
+ * @param {SpecChange} change
+ * @param {unknown} document - The spec before the change
+ * @returns {OverlayAction[]}
+ */
+function changeToActions(change, document) {
+  const segments = parseJsonPath(change.path);
+
+  switch (change.operation) {
+    case 'set':
+      return setActions(segments, change.value, document);
+
+    case 'add': {
+      const { path, value, found } = followJsonPath(document, segments);
+      if (found < segments.length) {
+        return setActions(segments, [change.value], document);
+      }
+      if (!Array.isArray(value)) {
+        throw new Error(`Expected array at ${change.path}`);
+      }
+      return [{ target: toNormalizedPath(path), update: change.value }];
+    }
+
+    case 'remove': {
+      const { path, found } = followJsonPath(document, segments);
+      return found < segments.length
+        ? []
+        : [{ target: toNormalizedPath(path), remove: true }];
+    }
+
+    case 'merge': {
+      const { path, value, found } = followJsonPath(document, segments);
+      if (found < segments.length) {
+        return setActions(segments, change.value, document);
+      }
+      if (Array.isArray(value) && Array.isArray(change.value)) {
+        return change.value.map((item) => ({
+          target: toNormalizedPath(path),
+          update: item,
+        }));
+      }
+      if (isPlainObject(value) && isPlainObject(change.value)) {
+        return Object.entries(change.value).flatMap(([key, member]) =>
+          setActions([...segments, key], member, document)
+        );
+      }
+      throw new Error(`Cannot merge into ${change.path}`);
+    }
+
+    case 'rename-key': {
+      const { path, value, found } = followJsonPath(document, segments);
+      const from = /** @type {string} */ (change.from);
+      if (
+        found < segments.length ||
+        !isPlainObject(value) ||
+        !(from in value)
+      ) {
+        throw new Error(`Key '${from}' not found at ${change.path}`);
+      }
+      return [
+        { target: toNormalizedPath([...path, from]), remove: true },
+        {
+          target: toNormalizedPath(path),
+          update: { [/** @type {string} */ (change.to)]: value[from] },
+        },
+      ];
+    }
+
+    default:
+      throw new Error(`Unknown operation: ${change.operation}`);
+  }
+}
+
+/**
+ * Actions setting a member, creating the objects leading to it
+ * @param {string[]} segments - Path of the member
+ * @param {unknown} value
+ * @param {unknown} document
+ * @returns {OverlayAction[]}
+ */
+function setActions(segments, value, document) {
+  if (segments.length === 0) throw new Error('Cannot replace the root');
+
+  const { path, value: existing, found } = followJsonPath(document, segments);
+  if (found === segments.length) {
+    const parent = followJsonPath(document, segments.slice(0, -1));
+    if (!isPlainObject(parent.value)) {
+      throw new Error(`Cannot replace ${toNormalizedPath(path)}`);
+    }
+    return [
+      // Updates merge objects and concatenate arrays: remove the old value
+      ...(typeof existing === 'object' && existing !== null
+        ? [{ target: toNormalizedPath(path), remove: true }]
+        : []),
+      {
+        target: toNormalizedPath(parent.path),
+        update: { [segments[segments.length - 1]]: value },
+      },
+    ];
+  }
+
+  // Nest the value in the members that do not exist yet; an array index
+  // leading to the member means the path is stale (e.g., renamed by an
+  // earlier fix)
+  const missing = segments.slice(found);
+  if (
+    !isPlainObject(existing) ||
+    missing.slice(0, -1).some((key) => /^\d+$/.test(key))
+  ) {
+    throw new Error(
+      `Cannot add ${missing.join('.')} to ${toNormalizedPath(path)}`
+    );
+  }
+  const update = missing.reduceRight(
+    (nested, key) => ({ [key]: nested }),
+    value
+  );
+  return [{ target: toNormalizedPath(path), update }];
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
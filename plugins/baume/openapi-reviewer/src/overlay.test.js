@@ -0,0 +1,366 @@
+// @ts-check
+/**
+ * Tests for overlays and the JSONPath queries they target
+ * Run with: node --test src/overlay.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  OVERLAY_VERSION,
+  createOverlay,
+  loadOverlay,
+  writeOverlay,
+} from './overlay.js';
+import { OpenAPIFixer } from './fixer.js';
+import { queryJsonPath, toNormalizedPath } from './rules/index.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEMP_DIR = join(__dirname, '__temp_overlay__');
+
+/** @returns {OpenAPISpec} */
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Library', version: '1.0.0' },
+    paths: {
+      '/book': {
+        get: {
+          parameters: [
+            { name: 'page_size', in: 'query', schema: { type: 'integer' } },
+          ],
+          responses: {
+            200: {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/BookList' },
+                },
+              },
+            },
+          },
+        },
+        post: {
+          requestBody: { content: {} },
+          responses: { 200: { description: 'OK' } },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        BookList: { type: 'object', properties: { books: { type: 'array' } } },
+      },
+    },
+  };
+}
+
+/**
+ * Finding with a fix made of the given changes
+ * @param {string} ruleId
+ * @param {SpecChange[]} specChanges
+ * @returns {Finding}
+ */
+function createFinding(ruleId, specChanges) {
+  return {
+    ruleId,
+    severity: 'warning',
+    category: 'naming',
+    path: '/book',
+    message: `${ruleId} message`,
+    suggestion: `${ruleId} suggestion`,
+    fix: { type: 'test', jsonPath: '$', specChanges },
+  };
+}
+
+describe('queryJsonPath', () => {
+  const document = {
+    paths: {
+      '/a': { get: { parameters: [{ name: 'x' }, { name: 'y', in: 'path' }] } },
+      '/b': { post: { parameters: [{ name: 'z', in: 'query' }] } },
+    },
+  };
+
+  it('selects members, indices and wildcards', () => {
+    assert.deepEqual(
+      queryJsonPath(document, "$.paths['/a'].get.parameters[-1].name"),
+      [{ path: ['paths', '/a', 'get', 'parameters', 1, 'name'], value: 'y' }]
+    );
+    assert.deepEqual(
+      queryJsonPath(document, '$.paths.*.*.parameters[0].name').map(
+        (node) => node.value
+      ),
+      ['x', 'z']
+    );
+    assert.deepEqual(
+      queryJsonPath(document, "$.paths['/a', '/c']").map((node) => node.path),
+      [['paths', '/a']]
+    );
+  });
+
+  it('selects descendants and filters', () => {
+    assert.deepEqual(
+      queryJsonPath(document, '$..name').map((node) => node.value),
+      ['x', 'y', 'z']
+    );
+    assert.deepEqual(
+      queryJsonPath(document, "$..parameters[?@.in == 'query'].name").map(
+        (node) => node.value
+      ),
+      ['z']
+    );
+    assert.deepEqual(
+      queryJsonPath(document, "$..parameters[?(@.in != 'path')].name").map(
+        (node) => node.value
+      ),
+      ['x', 'z']
+    );
+    assert.deepEqual(
+      queryJsonPath(document, '$..parameters[?@.in].name').map(
+        (node) => node.value
+      ),
+      ['y', 'z']
+    );
+  });
+
+  it('rejects invalid queries', () => {
+    assert.throws(() => queryJsonPath(document, 'paths'), /Invalid JSONPath/);
+    assert.throws(
+      () => queryJsonPath(document, '$.paths['),
+      /Invalid JSONPath/
+    );
+  });
+
+  it('round-trips normalized paths', () => {
+    const path = ['paths', "/it's", 'get', 'parameters', 0];
+    const normalized = toNormalizedPath(path);
+
+    assert.equal(normalized, "$['paths']['/it\\'s']['get']['parameters'][0]");
+    assert.deepEqual(
+      queryJsonPath(
+        { paths: { "/it's": { get: { parameters: ['p'] } } } },
+        normalized
+      ),
+      [{ path, value: 'p' }]
+    );
+  });
+});
+
+describe('createOverlay', () => {
+  const findings = [
+    createFinding('aip158/max-page-size', [
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.parameters[0].schema.maximum",
+        value: 100,
+      },
+    ]),
+    createFinding('aip132/has-ordering', [
+      {
+        operation: 'add',
+        path: "$.paths['/book'].get.parameters",
+        value: { name: 'order_by', in: 'query', schema: { type: 'string' } },
+      },
+    ]),
+    createFinding('aip133/post-returns-201', [
+      {
+        operation: 'rename-key',
+        path: "$.paths['/book'].post.responses",
+        from: '200',
+        to: '201',
+      },
+    ]),
+    createFinding('aip131/get-no-body', [
+      { operation: 'remove', path: "$.paths['/book'].post.requestBody" },
+    ]),
+    createFinding('aip122/plural-resources', [
+      { operation: 'rename-key', path: '$.paths', from: '/book', to: '/books' },
+    ]),
+  ];
+
+  it('expresses fixes as actions on normalized paths', () => {
+    const { overlay, skipped } = createOverlay(findings, createSpec(), {
+      extends: 'openapi.yaml',
+    });
+
+    assert.deepEqual(skipped, []);
+    assert.equal(overlay.overlay, OVERLAY_VERSION);
+    assert.equal(overlay.info.title, 'Fixes for Library');
+    assert.equal(overlay.extends, 'openapi.yaml');
+    assert.deepEqual(overlay.actions[0], {
+      target: "$['paths']['/book']['get']['parameters'][0]['schema']",
+      description: 'aip158/max-page-size suggestion',
+      update: { maximum: 100 },
+      'x-baume-rule': 'aip158/max-page-size',
+    });
+    assert.deepEqual(
+      overlay.actions.map((action) => [
+        action.target,
+        'remove' in action ? 'remove' : 'update',
+      ]),
+      [
+        ["$['paths']['/book']['get']['parameters'][0]['schema']", 'update'],
+        ["$['paths']['/book']['get']['parameters']", 'update'],
+        ["$['paths']['/book']['post']['requestBody']", 'remove'],
+        ["$['paths']['/book']['post']['responses']['200']", 'remove'],
+        ["$['paths']['/book']['post']['responses']", 'update'],
+        ["$['paths']['/book']", 'remove'],
+        ["$['paths']", 'update'],
+      ]
+    );
+  });
+
+  it('yields the spec the fixes produce when applied', () => {
+    const { overlay } = createOverlay(findings, createSpec());
+
+    const overlaid = new OpenAPIFixer(createSpec());
+    overlaid.applyOverlay(overlay);
+    const fixed = new OpenAPIFixer(createSpec());
+    fixed.applyFixes(findings);
+
+    assert.deepEqual(overlaid.getErrors(), []);
+    assert.deepEqual(overlaid.getSpec(), fixed.getSpec());
+  });
+
+  it('replaces objects and creates missing members', () => {
+    const { overlay } = createOverlay(
+      [
+        createFinding('replace', [
+          {
+            operation: 'set',
+            path: "$.paths['/book'].get.parameters[0].schema",
+            value: { type: 'string' },
+          },
+        ]),
+        createFinding('create', [
+          {
+            operation: 'merge',
+            path: "$.paths['/book'].get.tags",
+            value: ['Books'],
+          },
+        ]),
+      ],
+      createSpec()
+    );
+
+    assert.deepEqual(
+      overlay.actions.map(({ target, update, remove }) => ({
+        target,
+        update,
+        remove,
+      })),
+      [
+        {
+          target: "$['paths']['/book']['get']['parameters'][0]['schema']",
+          update: undefined,
+          remove: true,
+        },
+        {
+          target: "$['paths']['/book']['get']['parameters'][0]",
+          update: { schema: { type: 'string' } },
+          remove: undefined,
+        },
+        {
+          target: "$['paths']['/book']['get']",
+          update: { tags: ['Books'] },
+          remove: undefined,
+        },
+      ]
+    );
+  });
+
+  it('skips fixes behind a $ref or that do not apply', () => {
+    const { overlay, skipped } = createOverlay(
+      [
+        createFinding('aip158/response-next-token', [
+          {
+            operation: 'set',
+            path: "$.paths['/book'].get.responses['200'].content['application/json'].schema.properties.next_page_token",
+            value: { type: 'string' },
+          },
+        ]),
+        createFinding('aip122/plural-resources', [
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '/author',
+            to: '/authors',
+          },
+        ]),
+        createFinding('aip158/max-page-size', [
+          {
+            operation: 'set',
+            path: "$.paths['/author'].get.parameters[0].schema.maximum",
+            value: 100,
+          },
+        ]),
+      ],
+      createSpec()
+    );
+
+    assert.deepEqual(overlay.actions, []);
+    assert.deepEqual(
+      skipped.map((s) => s.ruleId),
+      [
+        'aip158/response-next-token',
+        'aip158/max-page-size',
+        'aip122/plural-resources',
+      ]
+    );
+    assert.match(skipped[0].error, /is a \$ref/);
+  });
+});
+
+describe('loadOverlay and writeOverlay', () => {
+  before(() => {
+    mkdirSync(TEMP_DIR, { recursive: true });
+  });
+
+  after(() => {
+    rmSync(TEMP_DIR, { recursive: true, force: true });
+  });
+
+  it('writes YAML or JSON and reads either back', () => {
+    const { overlay } = createOverlay(
+      [
+        createFinding('aip131/get-no-body', [
+          { operation: 'remove', path: "$.paths['/book'].post.requestBody" },
+        ]),
+      ],
+      createSpec()
+    );
+
+    for (const file of ['fixes/overlay.yaml', 'overlay.json']) {
+      const overlayPath = join(TEMP_DIR, file);
+      writeOverlay(overlayPath, overlay);
+      assert.deepEqual(loadOverlay(overlayPath), overlay);
+    }
+    assert.match(
+      readFileSync(join(TEMP_DIR, 'fixes/overlay.yaml'), 'utf-8'),
+      /^overlay: 1\.0\.0$/m
+    );
+  });
+
+  it('rejects files that are not 1.x overlays', () => {
+    const notOverlay = join(TEMP_DIR, 'openapi.yaml');
+    writeFileSync(notOverlay, 'openapi: 3.0.3\npaths: {}\n');
+    assert.throws(() => loadOverlay(notOverlay), /Invalid overlay/);
+
+    const future = join(TEMP_DIR, 'future.yaml');
+    writeFileSync(future, 'overlay: 2.0.0\nactions: []\n');
+    assert.throws(() => loadOverlay(future), /Unsupported overlay version/);
+
+    assert.throws(
+      () => loadOverlay(join(TEMP_DIR, 'missing.yaml')),
+      /Cannot read overlay/
+    );
+  });
+});
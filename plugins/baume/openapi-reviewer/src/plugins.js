@@ -0,0 +1,343 @@
+// @ts-check
+/**
+ * Rule Plugins
+ *
+ * A plugin is an ES module (an npm package or a local file) that
+ * contributes rules, presets and output formatters, as named exports or
+ * as properties of its default export:
+ *
+ * ```js
+ * export const namespace = 'acme'; // optional, derived from the package name
+ * export const rules = [new AcmeOperationIdRule()];
+ * export const presets = [{ name: 'acme/recommended', description: '...', rules: [...] }];
+ * export const formatters = { 'acme/junit': (result, options) => '...' };
+ * ```
+ *
+ * The default export may also be a function, called with the reviewer's
+ * rules module (base classes and helpers) and returning the same object.
+ * Rules built from those classes pass the reviewer's `instanceof` checks
+ * even when the plugin and the reviewer are installed separately.
+ *
+ * Everything a plugin contributes is named after its namespace
+ * (`acme/...`), so plugins cannot replace built-in rules, presets or
+ * formats, nor each other's.
+ *
+ * @example
+ * ```js
+ * const { registry, formatters } = await loadPlugins(['@acme/baume-plugin']);
+ * const reviewer = new OpenAPIReviewer({ registry, preset: 'acme/recommended' });
+ * ```
+ *
+ * @module plugins
+ */
+
+import { createRequire } from 'node:module';
+import { basename, extname, isAbsolute, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import * as rulesModule from './rules/index.js';
+import {
+  defaultRegistry,
+  SpecRule,
+  PathRule,
+  OperationRule,
+  SchemaRule,
+  PropertyRule,
+  ParameterRule,
+} from './rules/index.js';
+
+/**
+ * @typedef {import('./types.ts').RulePreset} RulePreset
+ * @typedef {import('./types.ts').ReviewFormatter} ReviewFormatter
+ * @typedef {import('./types.ts').RulePlugin} RulePlugin
+ * @typedef {import('./rules/index.js').BaseRule} BaseRule
+ * @typedef {import('./rules/index.js').RuleRegistry} RuleRegistry
+ */
+
+/** Rule classes the reviewer knows how to dispatch */
+const RULE_CLASSES = [
+  SpecRule,
+  PathRule,
+  OperationRule,
+  SchemaRule,
+  PropertyRule,
+  ParameterRule,
+];
+
+const NAMESPACE_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+/**
+ * Derive a plugin namespace from its specifier
+ *
+ * `@acme/baume-plugin` and `baume-plugin-acme` both give "acme", and so
+ * does a local file named `acme.js`.
+ *
+ * @param {string} specifier - Package name or file path
+ * @returns {string}
+ */
+export function deriveNamespace(specifier) {
+  if (isLocalSpecifier(specifier)) {
+    return basename(specifier, extname(specifier)).replace(
+      /^baume-plugin-/,
+      ''
+    );
+  }
+  if (specifier.startsWith('@')) {
+    return specifier.slice(1).split('/')[0];
+  }
+  return specifier.split('/')[0].replace(/^baume-plugin-/, '');
+}
+
+/**
+ * Validate a plugin module and normalize it
+ * @param {unknown} mod - The imported module namespace
+ * @param {string} specifier - How the plugin was referenced (for messages)
+ * @returns {RulePlugin}
+ * @throws {Error} If the module does not export a valid plugin
+ */
+export function validatePlugin(mod, specifier) {
+  const exports = pluginExports(mod);
+  /** @type {string[]} */
+  const issues = [];
+
+  const namespace = exports.namespace ?? deriveNamespace(specifier);
+  if (typeof namespace !== 'string' || !NAMESPACE_PATTERN.test(namespace)) {
+    issues.push(
+      `namespace: must be lowercase letters, digits and dashes (got ${JSON.stringify(namespace)})`
+    );
+  } else if (/^aip\d+$/.test(namespace)) {
+    issues.push(`namespace: '${namespace}' is reserved for built-in rules`);
+  }
+  const prefix = `${namespace}/`;
+
+  if (
+    exports.rules === undefined &&
+    exports.presets === undefined &&
+    exports.formatters === undefined
+  ) {
+    issues.push('must export rules, presets or formatters');
+  }
+
+  /** @type {BaseRule[]} */
+  const rules = [];
+  if (exports.rules !== undefined) {
+    if (!Array.isArray(exports.rules)) {
+      issues.push('rules: must be a list of rule instances');
+    } else {
+      exports.rules.forEach((rule, i) => {
+        if (!RULE_CLASSES.some((RuleClass) => rule instanceof RuleClass)) {
+          issues.push(
+            `rules[${i}]: must be an instance of SpecRule, PathRule, OperationRule, SchemaRule, PropertyRule or ParameterRule`
+          );
+        } else if (!rule.id.startsWith(prefix)) {
+          issues.push(
+            `rules[${i}]: id '${rule.id}' must start with '${prefix}'`
+          );
+        } else {
+          rules.push(rule);
+        }
+      });
+    }
+  }
+
+  /** @type {RulePreset[]} */
+  const presets = [];
+  if (exports.presets !== undefined) {
+    if (!Array.isArray(exports.presets)) {
+      issues.push('presets: must be a list of presets');
+    } else {
+      exports.presets.forEach((preset, i) => {
+        const presetIssues = validatePreset(preset, prefix);
+        issues.push(...presetIssues.map((issue) => `presets[${i}]${issue}`));
+        if (presetIssues.length === 0) presets.push(preset);
+      });
+    }
+  }
+
+  /** @type {Record<string, ReviewFormatter>} */
+  const formatters = {};
+  if (exports.formatters !== undefined) {
+    if (
+      typeof exports.formatters !== 'object' ||
+      exports.formatters === null ||
+      Array.isArray(exports.formatters)
+    ) {
+      issues.push('formatters: must be a mapping of format names to functions');
+    } else {
+      for (const [name, formatter] of Object.entries(exports.formatters)) {
+        if (!name.startsWith(prefix)) {
+          issues.push(`formatters.${name}: name must start with '${prefix}'`);
+        } else if (typeof formatter !== 'function') {
+          issues.push(`formatters.${name}: must be a function`);
+        } else {
+          formatters[name] = formatter;
+        }
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new Error(
+      `Invalid plugin '${specifier}':\n${issues.map((i) => `  - ${i}`).join('\n')}`
+    );
+  }
+
+  return { name: specifier, namespace, rules, presets, formatters };
+}
+
+/**
+ * Import and validate a plugin
+ *
+ * Local files (starting with `.` or `/`) are resolved against `baseDir`;
+ * package names are resolved from `baseDir`'s node_modules first.
+ *
+ * @param {string} specifier - Package name or file path
+ * @param {string} [baseDir=process.cwd()] - Directory to resolve from
+ * @returns {Promise<RulePlugin>}
+ * @throws {Error} If the plugin cannot be imported or is invalid
+ */
+export async function loadPlugin(specifier, baseDir = process.cwd()) {
+  /** @type {unknown} */
+  let mod;
+  try {
+    mod = await import(resolveSpecifier(specifier, baseDir));
+    const factory = /** @type {{default?: unknown}} */ (mod).default;
+    if (typeof factory === 'function') {
+      mod = await factory(rulesModule);
+    }
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`Cannot load plugin '${specifier}': ${message}`);
+  }
+  return validatePlugin(mod, specifier);
+}
+
+/**
+ * Load plugins and combine them with the built-in rules
+ *
+ * The built-in registry is left untouched: plugin rules and presets are
+ * registered in a copy of it.
+ *
+ * @param {string[]} specifiers - Package names or file paths
+ * @param {string} [baseDir=process.cwd()] - Directory to resolve from
+ * @param {RuleRegistry} [base=defaultRegistry] - Registry to start from
+ * @returns {Promise<{registry: RuleRegistry, formatters: Record<string, ReviewFormatter>, plugins: RulePlugin[]}>}
+ * @throws {Error} If a plugin cannot be loaded or conflicts with another one
+ */
+export async function loadPlugins(
+  specifiers,
+  baseDir = process.cwd(),
+  base = defaultRegistry
+) {
+  const registry = base.clone();
+  /** @type {Record<string, ReviewFormatter>} */
+  const formatters = {};
+  /** @type {RulePlugin[]} */
+  const plugins = [];
+
+  for (const specifier of specifiers) {
+    const plugin = await loadPlugin(specifier, baseDir);
+    const other = plugins.find((p) => p.namespace === plugin.namespace);
+    if (other) {
+      throw new Error(
+        `Plugins '${other.name}' and '${plugin.name}' both use the namespace '${plugin.namespace}'`
+      );
+    }
+
+    for (const rule of plugin.rules) {
+      if (registry.getById(rule.id)) {
+        throw new Error(
+          `Plugin '${plugin.name}': rule '${rule.id}' is already registered`
+        );
+      }
+    }
+    registry.register(plugin.namespace, ...plugin.rules);
+
+    for (const preset of plugin.presets) {
+      const unknown = preset.rules.filter((id) => !registry.getById(id));
+      if (unknown.length > 0) {
+        throw new Error(
+          `Plugin '${plugin.name}': preset '${preset.name}' references unknown rules: ${unknown.join(', ')}`
+        );
+      }
+    }
+    registry.registerPreset(...plugin.presets);
+
+    Object.assign(formatters, plugin.formatters);
+    plugins.push(plugin);
+  }
+
+  return { registry, formatters, plugins };
+}
+
+/**
+ * @param {unknown} mod
+ * @returns {Record<string, any>}
+ */
+function pluginExports(mod) {
+  const namespace = /** @type {Record<string, any>} */ (mod ?? {});
+  const fallback = namespace.default;
+  const hasNamed =
+    'rules' in namespace || 'presets' in namespace || 'formatters' in namespace;
+  return !hasNamed && typeof fallback === 'object' && fallback !== null
+    ? fallback
+    : namespace;
+}
+
+/**
+ * @param {unknown} preset
+ * @param {string} prefix - Required name prefix (e.g., "acme/")
+ * @returns {string[]} Issues, each starting with the field it concerns
+ */
+function validatePreset(preset, prefix) {
+  if (typeof preset !== 'object' || preset === null) {
+    return [': must be a preset object'];
+  }
+  const { name, description, rules, severity } =
+    /** @type {Record<string, unknown>} */ (preset);
+
+  /** @type {string[]} */
+  const issues = [];
+  if (typeof name !== 'string' || !name.startsWith(prefix)) {
+    issues.push(`.name: must start with '${prefix}'`);
+  }
+  if (typeof description !== 'string') {
+    issues.push('.description: must be a string');
+  }
+  if (!Array.isArray(rules) || rules.some((id) => typeof id !== 'string')) {
+    issues.push('.rules: must be a list of rule IDs');
+  }
+  if (
+    severity !== undefined &&
+    (typeof severity !== 'object' || severity === null)
+  ) {
+    issues.push('.severity: must be a mapping of rule IDs to severities');
+  }
+  return issues;
+}
+
+/**
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+function isLocalSpecifier(specifier) {
+  return specifier.startsWith('.') || isAbsolute(specifier);
+}
+
+/**
+ * Turn a plugin specifier into something `import()` can load
+ * @param {string} specifier
+ * @param {string} baseDir
+ * @returns {string}
+ */
+function resolveSpecifier(specifier, baseDir) {
+  if (isLocalSpecifier(specifier)) {
+    return pathToFileURL(resolve(baseDir, specifier)).href;
+  }
+  try {
+    const require = createRequire(join(resolve(baseDir), 'noop.js'));
+    return pathToFileURL(require.resolve(specifier)).href;
+  } catch {
+    // ESM-only packages cannot be resolved by require; let import() try
+    return specifier;
+  }
+}
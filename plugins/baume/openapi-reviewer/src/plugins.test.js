@@ -0,0 +1,274 @@
+// @ts-check
+/**
+ * Tests for rule plugins
+ * Run with: node --test src/plugins.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import {
+  deriveNamespace,
+  loadPlugin,
+  loadPlugins,
+  validatePlugin,
+} from './plugins.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import { defaultRegistry, OperationRule, SpecRule } from './rules/index.js';
+
+const RULES_URL = pathToFileURL(
+  join(fileURLToPath(import.meta.url), '..', 'rules', 'index.js')
+).href;
+
+const TEMP_DIR = mkdtempSync(join(tmpdir(), 'baume-plugin-'));
+
+after(() => {
+  rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Source of a plugin module with one operation rule, a preset and a formatter
+ * @param {string} [namespace='acme']
+ * @returns {string}
+ */
+function pluginSource(namespace = 'acme') {
+  return `
+import { OperationRule } from '${RULES_URL}';
+
+class OperationIdRule extends OperationRule {
+  constructor() {
+    super({
+      id: '${namespace}/operation-id',
+      name: 'Operation IDs',
+      aip: 'ACME-1',
+      severity: 'error',
+      description: 'Operations must have an operationId',
+    });
+  }
+
+  checkOperation(method, operation, path, spec, ctx) {
+    if (operation.operationId) return [];
+    return [ctx.createFinding({ path: method + ' ' + path, message: 'Missing operationId' })];
+  }
+}
+
+export const rules = [new OperationIdRule()];
+export const presets = [
+  {
+    name: '${namespace}/recommended',
+    description: 'ACME conventions',
+    rules: ['${namespace}/operation-id', 'aip122/no-verbs'],
+  },
+];
+export const formatters = {
+  '${namespace}/count': (result) => 'findings: ' + result.findings.length,
+};
+`;
+}
+
+/**
+ * Write a module to a fresh temp directory
+ * @param {string} filename
+ * @param {string} source
+ * @returns {string} Absolute path of the module
+ */
+function writeModule(filename, source) {
+  const dir = mkdtempSync(join(TEMP_DIR, 'module-'));
+  const path = join(dir, filename);
+  writeFileSync(path, source);
+  return path;
+}
+
+/** @returns {any} */
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Plugins', version: '1.0.0' },
+    paths: {
+      '/getUsers': { get: { responses: { 200: { description: 'OK' } } } },
+      '/books': {
+        get: {
+          operationId: 'listBooks',
+          responses: { 200: { description: 'OK' } },
+        },
+      },
+    },
+  };
+}
+
+describe('deriveNamespace', () => {
+  it('uses the package scope, the plugin suffix or the file name', () => {
+    assert.equal(deriveNamespace('@acme/baume-plugin'), 'acme');
+    assert.equal(deriveNamespace('baume-plugin-acme'), 'acme');
+    assert.equal(deriveNamespace('./rules/acme.js'), 'acme');
+    assert.equal(deriveNamespace('/opt/baume-plugin-acme.mjs'), 'acme');
+  });
+});
+
+describe('validatePlugin', () => {
+  it('reports every problem with the module', () => {
+    class NotARule {
+      id = 'acme/x';
+    }
+    class OtherNamespace extends OperationRule {
+      constructor() {
+        super({
+          id: 'other/y',
+          name: 'Y',
+          aip: 'X',
+          severity: 'error',
+          description: 'Y',
+        });
+      }
+    }
+
+    assert.throws(
+      () =>
+        validatePlugin(
+          {
+            rules: [new NotARule(), new OtherNamespace()],
+            presets: [{ name: 'strict', rules: 'all' }],
+            formatters: { 'acme/html': 'not a function', junit: () => '' },
+          },
+          './acme.js'
+        ),
+      (/** @type {Error} */ error) => {
+        assert.equal(
+          error.message,
+          [
+            "Invalid plugin './acme.js':",
+            '  - rules[0]: must be an instance of SpecRule, PathRule, OperationRule, SchemaRule, PropertyRule or ParameterRule',
+            "  - rules[1]: id 'other/y' must start with 'acme/'",
+            "  - presets[0].name: must start with 'acme/'",
+            '  - presets[0].description: must be a string',
+            '  - presets[0].rules: must be a list of rule IDs',
+            '  - formatters.acme/html: must be a function',
+            "  - formatters.junit: name must start with 'acme/'",
+          ].join('\n')
+        );
+        return true;
+      }
+    );
+  });
+
+  it('rejects modules without contributions and reserved namespaces', () => {
+    assert.throws(
+      () => validatePlugin({}, './acme.js'),
+      /must export rules, presets or formatters/
+    );
+    assert.throws(
+      () => validatePlugin({ namespace: 'aip122', rules: [] }, './x.js'),
+      /namespace: 'aip122' is reserved for built-in rules/
+    );
+  });
+
+  it('accepts a default export', () => {
+    const plugin = validatePlugin(
+      { default: { namespace: 'acme', formatters: { 'acme/x': () => '' } } },
+      'baume-plugin-acme'
+    );
+    assert.equal(plugin.namespace, 'acme');
+    assert.deepEqual(Object.keys(plugin.formatters), ['acme/x']);
+  });
+});
+
+describe('loadPlugins', () => {
+  it('adds plugin rules, presets and formatters without touching the built-in registry', async () => {
+    const path = writeModule('acme.js', pluginSource());
+    const builtIn = defaultRegistry.size;
+
+    const { registry, formatters, plugins } = await loadPlugins([path]);
+
+    assert.equal(defaultRegistry.size, builtIn);
+    assert.equal(defaultRegistry.getPreset('acme/recommended'), undefined);
+    assert.equal(registry.size, builtIn + 1);
+    assert.ok(registry.getById('acme/operation-id'));
+    assert.ok(registry.getPreset('acme/recommended'));
+    assert.deepEqual(Object.keys(formatters), ['acme/count']);
+    assert.equal(plugins[0].namespace, 'acme');
+  });
+
+  it('runs plugin rules in the reviewer and resolves plugin presets', async () => {
+    const path = writeModule('acme.js', pluginSource());
+    const { registry } = await loadPlugins([path]);
+
+    const all = new OpenAPIReviewer({ registry }).review(createSpec());
+    assert.deepEqual(
+      all.findings
+        .filter((f) => f.ruleId === 'acme/operation-id')
+        .map((f) => f.path),
+      ['GET /getUsers']
+    );
+
+    const preset = new OpenAPIReviewer({
+      registry,
+      preset: 'acme/recommended',
+    });
+    assert.deepEqual(
+      preset
+        .getRules()
+        .map((r) => r.id)
+        .sort(),
+      ['acme/operation-id', 'aip122/no-verbs']
+    );
+  });
+
+  it('resolves local modules against the base directory', async () => {
+    const path = writeModule('acme.js', pluginSource());
+    const plugin = await loadPlugin('./acme.js', join(path, '..'));
+    assert.equal(plugin.rules[0].id, 'acme/operation-id');
+  });
+
+  it('calls a default export function with the rule base classes', async () => {
+    const path = writeModule(
+      'baume-plugin-acme.mjs',
+      `export default function ({ SpecRule }) {
+        class TitleRule extends SpecRule {
+          constructor() {
+            super({ id: 'acme/title', name: 'Title', severity: 'warning', description: 'Title' });
+          }
+          checkSpec() {
+            return [];
+          }
+        }
+        return { rules: [new TitleRule()] };
+      }`
+    );
+
+    const plugin = await loadPlugin(path);
+    assert.equal(plugin.namespace, 'acme');
+    assert.ok(plugin.rules[0] instanceof SpecRule);
+  });
+
+  it('rejects plugins sharing a namespace', async () => {
+    const first = writeModule('acme.js', pluginSource());
+    const second = writeModule('baume-plugin-acme.js', pluginSource());
+
+    await assert.rejects(
+      loadPlugins([first, second]),
+      /both use the namespace 'acme'/
+    );
+  });
+
+  it('rejects presets referencing unknown rules', async () => {
+    const path = writeModule(
+      'acme.js',
+      `export const presets = [{ name: 'acme/p', description: 'P', rules: ['acme/missing'] }];`
+    );
+
+    await assert.rejects(
+      loadPlugins([path]),
+      /preset 'acme\/p' references unknown rules: acme\/missing/
+    );
+  });
+
+  it('reports modules that cannot be imported', async () => {
+    await assert.rejects(
+      loadPlugin('baume-plugin-does-not-exist'),
+      /Cannot load plugin 'baume-plugin-does-not-exist'/
+    );
+  });
+});
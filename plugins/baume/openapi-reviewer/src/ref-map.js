@@ -0,0 +1,163 @@
+// @ts-check
+/**
+ * Canonical Paths of Shared Elements
+ *
+ * The reviewer works on a dereferenced spec, where everything used through
+ * a `$ref` is one object shared by the component (or the referenced file)
+ * and every place using it. Rules report fixes at the place they look at,
+ * e.g. the response schema of an operation, so the same component is fixed
+ * once per use, through paths that only exist in the dereferenced spec.
+ *
+ * A RefMap records, for every object of the spec, the first path it is met
+ * at: under `components` (`definitions`, `parameters` and `responses` in
+ * Swagger 2.0) for what is reusable, at the first use otherwise. Fix paths
+ * are rewritten to those canonical paths, so that fixes land at the
+ * definition of what they change: identical fixes of a shared element are
+ * planned once, and are written into the component or the `$ref`'d file
+ * instead of an inlined copy.
+ *
+ * @example
+ * ```js
+ * const refMap = new RefMap(spec);
+ * refMap.canonicalPath("$.paths['/books'].get.responses[200].content['application/json'].schema.properties");
+ * // "$.components.schemas.BookList.properties"
+ * ```
+ *
+ * @module ref-map
+ */
+
+import { formatJsonPath, parseJsonPath } from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+/** Members of the root holding reusable elements, walked first */
+const REUSABLE_KEYS = ['components', 'definitions', 'parameters', 'responses'];
+
+/**
+ * Maps the paths of a dereferenced spec to where shared elements are defined
+ */
+export class RefMap {
+  /** @type {object} */
+  #spec;
+
+  /** @type {WeakMap<object, string[]>} Canonical path of every object */
+  #paths = new WeakMap();
+
+  /**
+   * @param {OpenAPISpec} spec - Dereferenced, with shared elements as shared objects
+   */
+  constructor(spec) {
+    this.#spec = spec;
+    this.#paths.set(spec, []);
+    const root = /** @type {Record<string, unknown>} */ (spec);
+    const keys = [
+      ...REUSABLE_KEYS.filter((key) => Object.hasOwn(root, key)),
+      ...Object.keys(root).filter((key) => !REUSABLE_KEYS.includes(key)),
+    ];
+    for (const key of keys) this.#visit(root[key], [key]);
+  }
+
+  /**
+   * The path of an element at its definition
+   *
+   * The deepest object the path leads to is replaced by its canonical
+   * path; segments below it that do not exist are kept.
+   *
+   * @param {string} jsonPath
+   * @returns {string} In the notation of `formatJsonPath`
+   */
+  canonicalPath(jsonPath) {
+    return formatJsonPath(this.#canonicalSegments(parseJsonPath(jsonPath)));
+  }
+
+  /**
+   * Rewrite a spec change to apply at the definition of what it changes
+   *
+   * A `set` or `remove` replaces the member at the place of use: only its
+   * parent is made canonical, so that setting a shared element (e.g. to
+   * an edited copy) unshares it rather than changing its definition.
+   *
+   * @param {SpecChange} change
+   * @returns {SpecChange} With its path in the notation of `formatJsonPath`
+   */
+  canonicalChange(change) {
+    const segments = parseJsonPath(change.path);
+    const member = change.operation === 'set' || change.operation === 'remove';
+    if (member && segments.length === 0) return change;
+
+    const canonical = member
+      ? [
+          ...this.#canonicalSegments(segments.slice(0, -1)),
+          segments[segments.length - 1],
+        ]
+      : this.#canonicalSegments(segments);
+    // One notation, so that changes of the same element compare equal
+    const path = formatJsonPath(canonical);
+    return path === change.path ? change : { ...change, path };
+  }
+
+  /**
+   * @param {string[]} segments
+   * @returns {string[]}
+   */
+  #canonicalSegments(segments) {
+    /** @type {unknown} */
+    let value = this.#spec;
+    let found = 0;
+    for (const segment of segments) {
+      if (!isObject(value) || !Object.hasOwn(value, segment)) break;
+      const child = /** @type {Record<string, unknown>} */ (value)[segment];
+      if (!isObject(child)) break;
+      value = child;
+      found++;
+    }
+    const base =
+      this.#paths.get(/** @type {object} */ (value)) ??
+      segments.slice(0, found);
+    return [...base, ...segments.slice(found)];
+  }
+
+  /**
+   * Record the path of an object and its members, where first met
+   * @param {unknown} value
+   * @param {string[]} path
+   */
+  #visit(value, path) {
+    if (!isObject(value) || this.#paths.has(value)) return;
+    this.#paths.set(value, path);
+    for (const [key, member] of Object.entries(value)) {
+      this.#visit(member, [...path, key]);
+    }
+  }
+}
+
+/**
+ * Rewrite the fixes of findings to apply at the definitions of what they change
+ * @param {Finding[]} findings - Changed in place
+ * @param {OpenAPISpec} spec - The dereferenced spec they were found in
+ */
+export function canonicalizeFixes(findings, spec) {
+  /** @type {RefMap | undefined} */
+  let refMap;
+  for (const finding of findings) {
+    const fix = finding.fix;
+    if (!fix?.specChanges?.length) continue;
+    refMap ??= new RefMap(spec);
+    const map = refMap;
+    fix.specChanges = fix.specChanges.map((change) =>
+      map.canonicalChange(change)
+    );
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is object}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null;
+}
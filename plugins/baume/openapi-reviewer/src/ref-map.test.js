@@ -0,0 +1,155 @@
+// @ts-check
+/**
+ * Tests for canonical paths of shared elements
+ * Run with: node --test src/ref-map.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RefMap } from './ref-map.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import { planFixes } from './fixer.js';
+
+/**
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ */
+
+/**
+ * A spec as the CLI reviews it: `BookList` is a component, `author` the
+ * content of a file both list responses $ref
+ * @returns {OpenAPISpec}
+ */
+function createSpec() {
+  const author = {
+    type: 'object',
+    properties: { name: { type: 'string' } },
+  };
+  const bookList = {
+    type: 'object',
+    properties: { books: { type: 'array', items: { type: 'string' } } },
+  };
+  /** @param {object} schema */
+  const list = (schema) => ({
+    parameters: [
+      { name: 'page_size', in: 'query', schema: { type: 'integer' } },
+    ],
+    responses: {
+      200: {
+        description: 'OK',
+        content: { 'application/json': { schema } },
+      },
+    },
+  });
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Library', version: '1.0.0' },
+    paths: {
+      '/authors': { get: list(author) },
+      '/books': { get: list(bookList) },
+      '/shelves/{shelf}/books': { get: list(bookList) },
+      '/writers': { get: list(author) },
+    },
+    components: { schemas: { BookList: bookList } },
+  };
+}
+
+/**
+ * @param {string} path
+ * @param {string} [member]
+ */
+function schemaPath(path, member = '') {
+  return `$.paths['${path}'].get.responses[200].content['application/json'].schema${member}`;
+}
+
+describe('RefMap', () => {
+  it('maps paths through shared elements to their definition', () => {
+    const refMap = new RefMap(createSpec());
+
+    assert.equal(
+      refMap.canonicalPath(schemaPath('/shelves/{shelf}/books', '.properties')),
+      '$.components.schemas.BookList.properties'
+    );
+    // Missing members are kept
+    assert.equal(
+      refMap.canonicalPath(schemaPath('/books', '.properties.next.type')),
+      '$.components.schemas.BookList.properties.next.type'
+    );
+    // What no component holds is defined where first used
+    assert.equal(
+      refMap.canonicalPath(schemaPath('/writers', '.required')),
+      schemaPath('/authors', '.required')
+    );
+    const unshared = "$.paths['/books'].get.parameters[0].schema.maximum";
+    assert.equal(refMap.canonicalPath(unshared), unshared);
+  });
+
+  it('changes a member of a shared element, but sets it where used', () => {
+    const refMap = new RefMap(createSpec());
+
+    assert.deepEqual(
+      refMap.canonicalChange({
+        operation: 'set',
+        path: schemaPath('/books', '.description'),
+        value: 'Books',
+      }),
+      {
+        operation: 'set',
+        path: '$.components.schemas.BookList.description',
+        value: 'Books',
+      }
+    );
+    assert.deepEqual(
+      refMap.canonicalChange({
+        operation: 'add',
+        path: schemaPath('/books', '.required'),
+        value: 'books',
+      }),
+      {
+        operation: 'add',
+        path: '$.components.schemas.BookList.required',
+        value: 'books',
+      }
+    );
+    const unshare = {
+      operation: /** @type {const} */ ('set'),
+      path: schemaPath('/books'),
+      value: { type: 'object' },
+    };
+    assert.equal(refMap.canonicalChange(unshare), unshare);
+  });
+});
+
+describe('OpenAPIReviewer fixes of shared elements', () => {
+  it('fix each shared element once, at its definition', () => {
+    const findings = new OpenAPIReviewer({ categories: ['pagination'] })
+      .review(createSpec())
+      .findings.filter(
+        (finding) => finding.ruleId === 'aip158/response-next-token'
+      );
+
+    assert.deepEqual(
+      findings.map((finding) => [
+        finding.path,
+        finding.fix?.specChanges[0].path,
+      ]),
+      [
+        ['GET /authors', schemaPath('/authors', '.properties.next_page_token')],
+        [
+          'GET /books',
+          '$.components.schemas.BookList.properties.next_page_token',
+        ],
+        [
+          'GET /shelves/{shelf}/books',
+          '$.components.schemas.BookList.properties.next_page_token',
+        ],
+        ['GET /writers', schemaPath('/authors', '.properties.next_page_token')],
+      ]
+    );
+    const { fixes, duplicates } = planFixes(findings);
+    assert.deepEqual(
+      fixes.map((finding) => finding.path),
+      ['GET /authors', 'GET /books']
+    );
+    assert.equal(duplicates.length, 2);
+  });
+});
@@ -0,0 +1,334 @@
+// @ts-check
+/**
+ * Tests for cascading renames
+ * Run with: node --test src/rename.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renamePathSegment, renameWords } from './rules/helpers/rename.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import { verifyFixes } from './verify.js';
+
+/**
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').Parameter} Parameter
+ */
+
+/**
+ * A spec as the CLI reviews it: dereferenced, so what is used through
+ * `$ref`s is shared with the components
+ * @returns {OpenAPISpec}
+ */
+function createSpec() {
+  /** @type {Parameter} */
+  const userId = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  };
+  const getUser = {
+    operationRef: '#/paths/~1user~1{id}/get',
+    parameters: { id: '$response.body#/id' },
+  };
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Shop', version: '1.0.0' },
+    tags: [{ name: 'User' }, { name: 'Order' }],
+    security: [{ oauth: ['read:user'] }],
+    paths: {
+      '/user': {
+        get: {
+          operationId: 'listUser',
+          tags: ['User'],
+          responses: { 200: { description: 'OK' } },
+        },
+        post: {
+          operationId: 'createUser',
+          tags: ['User'],
+          security: [{ oauth: ['write:user'] }],
+          responses: { 201: { description: 'Created', links: { getUser } } },
+        },
+      },
+      '/user/{id}': {
+        parameters: [userId],
+        get: {
+          operationId: 'getUser',
+          tags: ['User'],
+          responses: {
+            200: {
+              description: 'OK',
+              links: {
+                orders: {
+                  operationId: 'listUserOrders',
+                  parameters: { id: '$request.path.id' },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/user/{id}/orders': {
+        get: {
+          operationId: 'listUserOrders',
+          tags: ['Order'],
+          parameters: [userId],
+          responses: { 200: { description: 'OK' } },
+        },
+      },
+      '/users-export': {
+        get: { responses: { 200: { description: 'OK' } } },
+      },
+    },
+    components: {
+      parameters: { UserId: userId },
+      links: { getUser },
+      securitySchemes: {
+        oauth: {
+          type: 'oauth2',
+          flows: {
+            implicit: {
+              authorizationUrl: 'https://example.com/auth',
+              scopes: { 'read:user': 'Read users', 'write:user': 'Edit users' },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+describe('renamePathSegment', () => {
+  it('renames the paths starting with the segment, renames last', () => {
+    const changes = renamePathSegment(createSpec(), '/user/{id}', 1, 'users');
+
+    assert.deepEqual(changes, [
+      {
+        operation: 'set',
+        path: '$.components.links.getUser.operationRef',
+        value: '#/paths/~1users~1{id}/get',
+      },
+      { operation: 'rename-key', path: '$.paths', from: '/user', to: '/users' },
+      {
+        operation: 'rename-key',
+        path: '$.paths',
+        from: '/user/{id}',
+        to: '/users/{id}',
+      },
+      {
+        operation: 'rename-key',
+        path: '$.paths',
+        from: '/user/{id}/orders',
+        to: '/users/{id}/orders',
+      },
+    ]);
+  });
+
+  it('renames the list operationId, tags and scopes made of the segment', () => {
+    const changes = renamePathSegment(createSpec(), '/user', 1, 'users', {
+      names: true,
+    });
+
+    // Operations on one user, and on its orders, keep their operationId
+    assert.deepEqual(changes.slice(0, -3), [
+      {
+        operation: 'set',
+        path: "$.paths['/user'].get.operationId",
+        value: 'listUsers',
+      },
+      // 'Order' is not the resource renamed
+      { operation: 'set', path: '$.tags[0].name', value: 'Users' },
+      {
+        operation: 'set',
+        path: "$.paths['/user'].get.tags[0]",
+        value: 'Users',
+      },
+      {
+        operation: 'set',
+        path: "$.paths['/user'].post.tags[0]",
+        value: 'Users',
+      },
+      {
+        operation: 'set',
+        path: "$.paths['/user/{id}'].get.tags[0]",
+        value: 'Users',
+      },
+      {
+        operation: 'rename-key',
+        path: '$.components.securitySchemes.oauth.flows.implicit.scopes',
+        from: 'read:user',
+        to: 'read:users',
+      },
+      {
+        operation: 'rename-key',
+        path: '$.components.securitySchemes.oauth.flows.implicit.scopes',
+        from: 'write:user',
+        to: 'write:users',
+      },
+      { operation: 'set', path: '$.security[0].oauth[0]', value: 'read:users' },
+      {
+        operation: 'set',
+        path: "$.paths['/user'].post.security[0].oauth[0]",
+        value: 'write:users',
+      },
+      {
+        operation: 'set',
+        path: '$.components.links.getUser.operationRef',
+        value: '#/paths/~1users~1{id}/get',
+      },
+    ]);
+  });
+
+  it('renames a path parameter where it is declared and passed', () => {
+    const changes = renamePathSegment(
+      createSpec(),
+      '/user/{id}/orders',
+      2,
+      '{userId}'
+    );
+
+    assert.deepEqual(changes, [
+      // Once, in the component every renamed path uses
+      {
+        operation: 'set',
+        path: '$.components.parameters.UserId.name',
+        value: 'userId',
+      },
+      {
+        operation: 'set',
+        path: '$.components.links.getUser.operationRef',
+        value: '#/paths/~1user~1{userId}/get',
+      },
+      {
+        operation: 'rename-key',
+        path: '$.components.links.getUser.parameters',
+        from: 'id',
+        to: 'userId',
+      },
+      {
+        operation: 'set',
+        path: "$.paths['/user/{id}'].get.responses[200].links.orders.parameters.id",
+        value: '$request.path.userId',
+      },
+      {
+        operation: 'rename-key',
+        path: '$.paths',
+        from: '/user/{id}',
+        to: '/user/{userId}',
+      },
+      {
+        operation: 'rename-key',
+        path: '$.paths',
+        from: '/user/{id}/orders',
+        to: '/user/{userId}/orders',
+      },
+    ]);
+  });
+
+  it('copies a parameter that paths keeping their name share', () => {
+    const spec = createSpec();
+    const userId = /** @type {Parameter} */ (
+      spec.components?.parameters?.UserId
+    );
+    spec.paths = {
+      '/user/{id}': { parameters: [userId], get: { responses: {} } },
+      '/accounts/{id}': { parameters: [userId], get: { responses: {} } },
+    };
+
+    const changes = renamePathSegment(spec, '/user/{id}', 2, '{userId}');
+
+    assert.deepEqual(changes.slice(0, 1), [
+      {
+        operation: 'set',
+        path: "$.paths['/user/{id}'].parameters[0]",
+        value: { ...userId, name: 'userId' },
+      },
+    ]);
+  });
+
+  it('follows operationRefs however their pointer is written', () => {
+    const spec = createSpec();
+    const link = /** @type {import('./types.ts').Link} */ (
+      spec.components?.links?.getUser
+    );
+    link.operationRef =
+      'https://example.com/shop.yaml#/paths/~1user~1%7Bid%7D/get';
+
+    const [change] = renamePathSegment(spec, '/user', 1, 'users');
+
+    assert.deepEqual(change, {
+      operation: 'set',
+      path: '$.components.links.getUser.operationRef',
+      value: 'https://example.com/shop.yaml#/paths/~1users~1%7Bid%7D/get',
+    });
+  });
+
+  it('leaves a consistent spec once applied', () => {
+    const reviewer = new OpenAPIReviewer({ categories: ['naming'] });
+    const spec = createSpec();
+    const result = reviewer.review(spec);
+
+    const verified = verifyFixes(reviewer, spec, result);
+
+    // Every path under '/user' is reported, with the same fix
+    assert.deepEqual(
+      verified.fixResults.map((fixResult) => fixResult.sameAs?.path),
+      [undefined, '/user', '/user']
+    );
+    assert.deepEqual(verified.result.summary.fixes, {
+      applied: 3,
+      failed: 0,
+      iterations: 1,
+      converged: true,
+      resolved: 3,
+      persisting: 0,
+      introduced: 0,
+    });
+    const fixed = verified.spec;
+    assert.deepEqual(Object.keys(fixed.paths ?? {}), [
+      '/users',
+      '/users/{id}',
+      '/users/{id}/orders',
+      '/users-export',
+    ]);
+    assert.equal(fixed.paths?.['/users'].get?.operationId, 'listUsers');
+    assert.equal(fixed.paths?.['/users'].post?.operationId, 'createUser');
+    assert.equal(fixed.paths?.['/users/{id}'].get?.operationId, 'getUser');
+    assert.equal(
+      fixed.components?.links?.getUser.operationRef,
+      '#/paths/~1users~1{id}/get'
+    );
+    assert.deepEqual(
+      fixed.components?.securitySchemes?.oauth.flows?.implicit?.scopes,
+      { 'read:users': 'Read users', 'write:users': 'Edit users' }
+    );
+  });
+});
+
+describe('renameWords', () => {
+  it('keeps the style of the identifier', () => {
+    assert.equal(renameWords('getUserById', 'user', 'users'), 'getUsersById');
+    assert.equal(renameWords('UserProfile', 'user', 'users'), 'UsersProfile');
+    assert.equal(
+      renameWords('list_user_orders', 'user', 'users'),
+      'list_users_orders'
+    );
+    assert.equal(renameWords('USER_ID', 'user', 'users'), 'USERS_ID');
+    assert.equal(renameWords('read:user', 'user', 'users'), 'read:users');
+    assert.equal(
+      renameWords('getUserProfile', 'user-profile', 'account-settings'),
+      'getAccountSettings'
+    );
+    assert.equal(
+      renameWords('user-profile:read', 'userProfile', 'accountSettings'),
+      'account-settings:read'
+    );
+  });
+
+  it('matches whole words only', () => {
+    assert.equal(renameWords('getUsername', 'user', 'users'), 'getUsername');
+    assert.equal(renameWords('superuser', 'user', 'users'), 'superuser');
+    assert.equal(renameWords('getUsers', 'user', 'users'), 'getUsers');
+  });
+});
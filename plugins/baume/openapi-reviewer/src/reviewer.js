@@ -11,8 +11,7 @@
 import {
   defaultRules,
   defaultRegistry,
-  getRulesByCategory,
-  BaseRule, // eslint-disable-line no-unused-vars -- used in JSDoc
+  BaseRule,
   SpecRule,
   PathRule,
   OperationRule,
@@ -20,7 +19,18 @@ import {
   PropertyRule,
   ParameterRule,
   getAllOperations,
+  getOperationParameters,
+  getPathItemCollections,
+  relocateJsonPath,
+  matchesPathPattern,
+  operationToJsonPath,
+  pathToJsonPath,
+  walkSchemas,
 } from './rules/index.js';
+import { canonicalizeFixes } from './ref-map.js';
+import { computeScore } from './scoring.js';
+import { SuppressionIndex } from './suppressions.js';
+import { Swagger2Conversion, isSwagger2 } from './swagger2.js';
 
 /**
  * @typedef {import('./types.js').OpenAPISpec} OpenAPISpec
@@ -30,9 +40,10 @@ import {
  * @typedef {import('./types.js').Rule} Rule
  * @typedef {import('./types.js').RuleContext} RuleContext
  * @typedef {import('./types.js').RuleCategory} RuleCategory
+ * @typedef {import('./types.js').RuleError} RuleError
  */
 
-const REVIEWER_VERSION = '2.0.0';
+export const REVIEWER_VERSION = '2.0.0';
 
 /**
  * OpenAPI Reviewer that checks specs against AIP principles
@@ -45,9 +56,22 @@ export class OpenAPIReviewer {
   /** @type {ReviewerConfig} */
   #config;
 
+  /** @type {Record<string, import('./types.js').Severity>} */
+  #severities = {};
+
+  /** @type {Record<string, number>} Hygiene score weight per rule ID */
+  #weights = {};
+
+  /** @type {Record<string, Record<string, unknown>>} Options per rule ID */
+  #options = {};
+
+  /** @type {RuleError[]} Errors raised by rules during the current review */
+  #ruleErrors = [];
+
   /**
    * Create a new reviewer instance
    * @param {ReviewerConfig} [config={}] - Configuration options
+   * @throws {Error} If the configured preset does not exist or rule options are invalid
    */
   constructor(config = {}) {
     this.#config = config;
@@ -60,12 +84,48 @@ export class OpenAPIReviewer {
    * @returns {BaseRule[]}
    */
   #buildRuleSet(config) {
+    // Plugins provide a registry that also holds their rules and presets
+    const registry = config.registry ?? defaultRegistry;
+
     /** @type {BaseRule[]} */
-    let rules = [...defaultRules];
+    let rules = config.registry ? registry.getAll() : [...defaultRules];
+
+    // Start from the preset's rule selection and severities
+    if (config.preset) {
+      rules = registry.getPresetRules(config.preset);
+      const preset = registry.getPreset(config.preset);
+      Object.assign(this.#severities, preset?.severity);
+    }
+
+    // Overrides can enable rules the preset left out
+    if (config.rules) {
+      for (const [id, override] of Object.entries(config.rules)) {
+        const rule = registry.getById(id);
+        if (override.enabled === true && rule && !rules.includes(rule)) {
+          rules.push(rule);
+        }
+        if (override.severity) {
+          this.#severities[id] = override.severity;
+        }
+      }
+    }
+
+    // Add custom rules so category, skip and override settings apply to them
+    if (config.customRules) {
+      for (const customRule of config.customRules) {
+        rules.push(
+          customRule instanceof BaseRule
+            ? customRule
+            : // Wrap legacy rules in a SpecRule-like interface
+              new LegacyRuleWrapper(customRule)
+        );
+      }
+    }
 
     // Filter by category if specified
     if (config.categories && config.categories.length > 0) {
-      rules = getRulesByCategory(config.categories);
+      const categories = config.categories;
+      rules = rules.filter((r) => categories.includes(r.category));
     }
 
     // Remove skipped rules
@@ -74,13 +134,16 @@ export class OpenAPIReviewer {
       rules = rules.filter((r) => !skipSet.has(r.id));
     }
 
-    // Add custom rules (legacy Rule interface support)
-    if (config.customRules) {
-      // Wrap legacy rules in a SpecRule-like interface
-      for (const legacyRule of config.customRules) {
-        const wrapper = new LegacyRuleWrapper(legacyRule);
-        rules.push(wrapper);
-      }
+    // Remove rules disabled through per-rule overrides
+    if (config.rules) {
+      const overrides = config.rules;
+      rules = rules.filter((r) => overrides[r.id]?.enabled !== false);
+    }
+
+    for (const rule of rules) {
+      const override = config.rules?.[rule.id];
+      this.#weights[rule.id] = override?.weight ?? rule.weight;
+      this.#options[rule.id] = rule.resolveOptions(override?.options);
     }
 
     return rules;
@@ -88,6 +151,13 @@ export class OpenAPIReviewer {
 
   /**
    * Review an OpenAPI spec using typed rule dispatch
+   *
+   * Swagger 2.0 specs are reviewed as their OpenAPI 3.0 equivalent; the
+   * JSONPaths in the result point into the Swagger 2.0 spec.
+   *
+   * Fixes of elements the spec shares through `$ref`s change them where
+   * they are defined (see `canonicalizeFixes`).
+   *
    * @param {OpenAPISpec} spec - The OpenAPI specification to review
    * @param {string} [specPath='<inline>'] - Path to the spec file (for reporting)
    * @returns {ReviewResult}
@@ -95,6 +165,21 @@ export class OpenAPIReviewer {
   review(spec, specPath = '<inline>') {
     /** @type {Finding[]} */
     const allFindings = [];
+    this.#ruleErrors = [];
+    const reviewed = spec;
+
+    const conversion = isSwagger2(spec)
+      ? new Swagger2Conversion(spec)
+      : undefined;
+    if (conversion) {
+      spec = conversion.spec;
+    }
+
+    // Excluded paths are hidden from every rule, including spec-wide ones
+    spec = this.#excludePaths(spec);
+
+    // Findings silenced with x-baume-ignore are dropped as they are produced
+    const suppressions = new SuppressionIndex(spec);
 
     // Group rules by type for efficient dispatch
     const specRules = this.#rules.filter((r) => r instanceof SpecRule);
@@ -113,114 +198,71 @@ export class OpenAPIReviewer {
       const ctx = this.#createRuleContext(rule, spec);
       try {
         const findings = /** @type {SpecRule} */ (rule).checkSpec(spec, ctx);
-        allFindings.push(...findings);
+        allFindings.push(...suppressions.filter(findings));
       } catch (error) {
         this.#logRuleError(rule, error);
       }
     }
 
-    // Run PathRules (for each path)
-    for (const [path, pathItem] of Object.entries(spec.paths || {})) {
-      for (const rule of pathRules) {
-        const ctx = this.#createRuleContext(rule, spec);
-        try {
-          const findings = /** @type {PathRule} */ (rule).checkPath(
-            path,
-            pathItem,
-            spec,
-            ctx
-          );
-          allFindings.push(...findings);
-        } catch (error) {
-          this.#logRuleError(rule, error);
-        }
-      }
+    // Run PathRules, OperationRules and ParameterRules on the path items of
+    // `paths`, then on OpenAPI 3.1 webhooks and reusable path items
+    for (const collection of getPathItemCollections(spec)) {
+      allFindings.push(
+        ...this.#reviewPathItems(collection, spec, suppressions, {
+          pathRules,
+          operationRules,
+          parameterRules,
+        })
+      );
     }
 
-    // Run OperationRules (for each operation)
-    const operations = getAllOperations(spec);
-    for (const { path, method, operation } of operations) {
-      for (const rule of operationRules) {
-        // Check method filter if specified
-        const opRule = /** @type {OperationRule} */ (rule);
-        if (opRule.methods && !opRule.methods.includes(method)) continue;
+    // Run SchemaRules and PropertyRules on every schema, inline or not
+    if (schemaRules.length > 0 || propertyRules.length > 0) {
+      const { schemas, properties } = walkSchemas(spec);
 
-        const ctx = this.#createRuleContext(rule, spec);
-        try {
-          const findings = opRule.checkOperation(
-            method,
-            operation,
-            path,
-            spec,
-            ctx
-          );
-          allFindings.push(...findings);
-        } catch (error) {
-          this.#logRuleError(rule, error);
-        }
-      }
-
-      // Run ParameterRules (for each parameter in operation)
-      for (const param of operation.parameters || []) {
-        for (const rule of parameterRules) {
-          // Check location filter if specified
-          const paramRule = /** @type {ParameterRule} */ (rule);
-          if (paramRule.locations && !paramRule.locations.includes(param.in))
-            continue;
-
-          const ctx = this.#createRuleContext(rule, spec);
+      for (const visit of schemas) {
+        for (const rule of schemaRules) {
+          const ctx = this.#createRuleContext(rule, spec, visit);
           try {
-            const findings = paramRule.checkParameter(
-              param,
-              method,
-              path,
+            const findings = /** @type {SchemaRule} */ (rule).checkSchema(
+              visit.name,
+              visit.schema,
               spec,
               ctx
             );
-            allFindings.push(...findings);
+            allFindings.push(
+              ...suppressions.filter(findings, [
+                spec,
+                ...visit.ancestors,
+                visit.schema,
+              ])
+            );
           } catch (error) {
-            this.#logRuleError(rule, error);
+            this.#logRuleError(rule, error, visit.location);
           }
         }
       }
-    }
-
-    // Run SchemaRules (for each schema in components)
-    for (const [schemaName, schema] of Object.entries(
-      spec.components?.schemas || {}
-    )) {
-      for (const rule of schemaRules) {
-        const ctx = this.#createRuleContext(rule, spec);
-        try {
-          const findings = /** @type {SchemaRule} */ (rule).checkSchema(
-            schemaName,
-            schema,
-            spec,
-            ctx
-          );
-          allFindings.push(...findings);
-        } catch (error) {
-          this.#logRuleError(rule, error);
-        }
-      }
 
-      // Run PropertyRules (for each property in schema)
-      for (const [propertyName, property] of Object.entries(
-        schema.properties || {}
-      )) {
+      for (const visit of properties) {
         for (const rule of propertyRules) {
-          const ctx = this.#createRuleContext(rule, spec);
+          const ctx = this.#createRuleContext(rule, spec, visit);
           try {
             const findings = /** @type {PropertyRule} */ (rule).checkProperty(
-              propertyName,
-              property,
-              schemaName,
+              visit.name,
+              visit.schema,
+              visit.parentName,
               spec,
               ctx
             );
-            allFindings.push(...findings);
+            allFindings.push(
+              ...suppressions.filter(findings, [
+                spec,
+                ...visit.ancestors,
+                visit.schema,
+              ])
+            );
           } catch (error) {
-            this.#logRuleError(rule, error);
+            this.#logRuleError(rule, error, visit.location);
           }
         }
       }
@@ -237,8 +279,13 @@ export class OpenAPIReviewer {
 
     // Build summary
     const summary = this.#buildSummary(allFindings);
+    summary.score = computeScore(allFindings, spec, {
+      weights: this.#weights,
+      categories: [...new Set(this.#rules.map((r) => r.category))],
+    });
 
-    return {
+    /** @type {ReviewResult} */
+    const result = {
       specPath,
       specTitle: spec.info?.title,
       specVersion: spec.info?.version,
@@ -250,33 +297,197 @@ export class OpenAPIReviewer {
         rulesApplied: this.#rules.map((r) => r.id),
       },
     };
+
+    if (this.#ruleErrors.length > 0) {
+      result.metadata.ruleErrors = this.#ruleErrors;
+    }
+
+    if (suppressions.issues.length > 0) {
+      result.metadata.invalidSuppressions = suppressions.issues;
+    }
+
+    if (!suppressions.isEmpty) {
+      result.metadata.suppressions = suppressions.report(
+        result.metadata.rulesApplied
+      );
+    }
+
+    const restored = conversion ? conversion.restore(result) : result;
+    canonicalizeFixes(restored.findings, reviewed);
+    return restored;
+  }
+
+  /**
+   * Run path, operation and parameter rules on a collection of path items
+   *
+   * Rules see the collection's path items as `spec.paths`. Findings on
+   * webhooks and reusable path items are moved there: their JSONPaths are
+   * relocated, and the checked element is the default `jsonPath`, since
+   * their `path` is not an API path.
+   *
+   * @param {import('./types.js').PathItemCollection} collection
+   * @param {OpenAPISpec} root - The whole spec, for spec-wide suppressions
+   * @param {SuppressionIndex} suppressions
+   * @param {{pathRules: BaseRule[], operationRules: BaseRule[], parameterRules: BaseRule[]}} rules
+   * @returns {Finding[]}
+   */
+  #reviewPathItems(collection, root, suppressions, rules) {
+    /** @type {Finding[]} */
+    const allFindings = [];
+    const { spec } = collection;
+    const isPaths = collection.jsonPath === '$.paths';
+
+    /**
+     * @param {Finding[]} findings
+     * @param {object[]} nodes - Elements the rule checked, below the root
+     * @param {string} jsonPath - JSONPath of the checked element
+     */
+    const collect = (findings, nodes, jsonPath) => {
+      for (const finding of suppressions.filter(findings, [root, ...nodes])) {
+        if (!isPaths) {
+          relocateFinding(finding, collection);
+          finding.jsonPath ??= relocateJsonPath(jsonPath, collection);
+        }
+        allFindings.push(finding);
+      }
+    };
+
+    // Run PathRules (for each path); webhook names are not paths
+    if (isPaths) {
+      for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+        for (const rule of rules.pathRules) {
+          const ctx = this.#createRuleContext(rule, spec);
+          try {
+            const findings = /** @type {PathRule} */ (rule).checkPath(
+              path,
+              pathItem,
+              spec,
+              ctx
+            );
+            collect(findings, [pathItem], pathToJsonPath(path));
+          } catch (error) {
+            this.#logRuleError(rule, error, path);
+          }
+        }
+      }
+    }
+
+    // Run OperationRules (for each operation)
+    const operations = getAllOperations(spec);
+    for (const { path, method, operation } of operations) {
+      const pathItem = /** @type {import('./types.js').PathItem} */ (
+        spec.paths?.[path]
+      );
+      for (const rule of rules.operationRules) {
+        // Check method filter if specified
+        const opRule = /** @type {OperationRule} */ (rule);
+        if (opRule.methods && !opRule.methods.includes(method)) continue;
+
+        const ctx = this.#createRuleContext(rule, spec);
+        try {
+          const findings = opRule.checkOperation(
+            method,
+            operation,
+            path,
+            spec,
+            ctx
+          );
+          collect(
+            findings,
+            [pathItem, operation],
+            operationToJsonPath(path, method)
+          );
+        } catch (error) {
+          this.#logRuleError(rule, error, `${method} ${path}`);
+        }
+      }
+
+      // Run ParameterRules (for each parameter of the operation, including
+      // the ones it inherits from the path item)
+      for (const { parameter: param, jsonPath } of getOperationParameters(
+        spec,
+        path,
+        method
+      )) {
+        for (const rule of rules.parameterRules) {
+          // Check location filter if specified
+          const paramRule = /** @type {ParameterRule} */ (rule);
+          if (paramRule.locations && !paramRule.locations.includes(param.in))
+            continue;
+
+          const ctx = this.#createRuleContext(rule, spec, { jsonPath });
+          try {
+            const findings = paramRule.checkParameter(
+              param,
+              method,
+              path,
+              spec,
+              ctx
+            );
+            collect(findings, [pathItem, operation, param], jsonPath);
+          } catch (error) {
+            this.#logRuleError(rule, error, `${method} ${path}`);
+          }
+        }
+      }
+    }
+
+    return allFindings;
+  }
+
+  /**
+   * Return a shallow copy of the spec without excluded paths
+   * @param {OpenAPISpec} spec
+   * @returns {OpenAPISpec}
+   */
+  #excludePaths(spec) {
+    const patterns = this.#config.exclude;
+    if (!patterns || patterns.length === 0 || !spec.paths) return spec;
+
+    const paths = Object.fromEntries(
+      Object.entries(spec.paths).filter(
+        ([path]) =>
+          !patterns.some((pattern) => matchesPathPattern(path, pattern))
+      )
+    );
+    return { ...spec, paths };
   }
 
   /**
-   * Log rule error
+   * Record a rule error so one failing rule does not abort the review
+   *
+   * Only the first error of each rule is logged; all of them are reported
+   * in `metadata.ruleErrors`.
+   *
    * @param {BaseRule} rule
    * @param {unknown} error
+   * @param {string} [path] - Element the rule was checking
    */
-  #logRuleError(rule, error) {
-    if (error instanceof Error) {
-      console.error(`Rule ${rule.id} threw error:`, error.message);
-    } else {
-      console.error(`Rule ${rule.id} threw unknown error:`, error);
+  #logRuleError(rule, error, path) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (!this.#ruleErrors.some((e) => e.ruleId === rule.id)) {
+      console.error(`Rule ${rule.id} threw error:`, message);
     }
+    this.#ruleErrors.push({ ruleId: rule.id, path, message });
   }
 
   /**
    * Create context for a rule
    * @param {BaseRule} rule
    * @param {OpenAPISpec} spec
+   * @param {{jsonPath?: string, location?: string}} [element] - Where the checked element is
    * @returns {RuleContext}
    */
-  #createRuleContext(rule, spec) {
+  #createRuleContext(rule, spec, element = {}) {
+    const severity = this.#severities[rule.id] ?? rule.severity;
     return {
       spec,
+      options: this.#options[rule.id],
+      jsonPath: element.jsonPath,
+      location: element.location,
       createFinding: (partial) => ({
         ruleId: rule.id,
-        severity: rule.severity,
+        severity,
         category: rule.category,
         aip: rule.aip,
         ...partial,
@@ -379,6 +590,24 @@ class LegacyRuleWrapper extends SpecRule {
   }
 }
 
+/**
+ * Move the JSONPaths of a finding from `$.paths` to its collection
+ * @param {Finding} finding
+ * @param {import('./types.js').PathItemCollection} collection
+ */
+function relocateFinding(finding, collection) {
+  if (finding.jsonPath) {
+    finding.jsonPath = relocateJsonPath(finding.jsonPath, collection);
+  }
+  const fix = finding.fix;
+  if (!fix) return;
+
+  fix.jsonPath = relocateJsonPath(fix.jsonPath, collection);
+  for (const change of fix.specChanges) {
+    change.path = relocateJsonPath(change.path, collection);
+  }
+}
+
 /**
  * Convenience function to review a spec with default config
  * @param {OpenAPISpec} spec
@@ -204,6 +204,63 @@ describe('OpenAPIReviewer', () => {
       'Strict should promote warnings to errors'
     );
   });
+
+  it('disables rules through per-rule overrides', () => {
+    const spec = {
+      paths: { '/user': {} },
+    };
+
+    const reviewer = new OpenAPIReviewer({
+      rules: { 'aip122/plural-resources': { enabled: false } },
+    });
+    const result = reviewer.review(spec);
+
+    assert.ok(
+      !result.metadata.rulesApplied.includes('aip122/plural-resources')
+    );
+    assert.equal(
+      result.findings.filter((f) => f.ruleId === 'aip122/plural-resources')
+        .length,
+      0
+    );
+  });
+
+  it('applies per-rule severity overrides', () => {
+    const spec = {
+      paths: { '/users': { get: { parameters: [] } } },
+    };
+
+    const reviewer = new OpenAPIReviewer({
+      rules: { 'aip158/list-paginated': { severity: 'error' } },
+    });
+    const result = reviewer.review(spec);
+    const finding = result.findings.find(
+      (f) => f.ruleId === 'aip158/list-paginated'
+    );
+
+    assert.equal(finding?.severity, 'error');
+    assert.ok(result.summary.errors >= 1);
+  });
+
+  it('excludes paths matching exclude patterns', () => {
+    const spec = {
+      paths: {
+        '/user': {},
+        '/user/{id}': {},
+        '/internal/widget': { get: { parameters: [] } },
+        '/internal/widget/part': {},
+      },
+    };
+
+    const reviewer = new OpenAPIReviewer({ exclude: ['/internal/**'] });
+    const result = reviewer.review(spec);
+
+    assert.ok(result.findings.some((f) => f.path === '/user'));
+    assert.ok(
+      result.findings.every((f) => !f.path.includes('/internal')),
+      'Should not report findings on excluded paths'
+    );
+  });
 });
 
 // ============================================
@@ -276,3 +333,129 @@ describe('Rule behaviors (integration)', () => {
     assert.equal(verbFindings.length, 0, 'Should not flag noun exceptions');
   });
 });
+
+// ============================================
+// Preset Tests
+// ============================================
+
+describe('Rule presets', () => {
+  it('registers the built-in presets', () => {
+    const names = defaultRegistry.getPresets().map((p) => p.name);
+    assert.deepEqual(names, [
+      'google-aip-strict',
+      'google-aip-standard',
+      'google-aip-minimal',
+      'rest-best-practices',
+    ]);
+  });
+
+  it('only references existing rules', () => {
+    for (const preset of defaultRegistry.getPresets()) {
+      for (const id of preset.rules) {
+        assert.ok(defaultRegistry.getById(id), `${preset.name}: ${id}`);
+      }
+    }
+  });
+
+  it('strict preset enables every built-in rule', () => {
+    const strict = defaultRegistry.getPresetRules('google-aip-strict');
+    assert.equal(strict.length, defaultRules.length);
+  });
+
+  it('limits the rule set to the preset', () => {
+    const reviewer = new OpenAPIReviewer({ preset: 'google-aip-minimal' });
+    const ids = reviewer.getRules().map((r) => r.id);
+
+    assert.deepEqual(ids.sort(), [
+      'aip122/no-verbs',
+      'aip131/get-no-body',
+      'aip135/delete-idempotent',
+      'aip158/list-paginated',
+    ]);
+  });
+
+  it('applies preset severities', () => {
+    const spec = {
+      paths: { '/users': { post: { responses: { 200: {} } } } },
+    };
+
+    const result = new OpenAPIReviewer({ preset: 'google-aip-strict' }).review(
+      spec
+    );
+    const finding = result.findings.find(
+      (f) => f.ruleId === 'aip133/post-returns-201'
+    );
+
+    assert.equal(finding?.severity, 'warning');
+  });
+
+  it('layers rule overrides on top of the preset', () => {
+    const reviewer = new OpenAPIReviewer({
+      preset: 'google-aip-minimal',
+      rules: {
+        'aip193/schema-defined': { enabled: true, severity: 'error' },
+        'aip122/no-verbs': { enabled: false },
+      },
+    });
+    const ids = reviewer.getRules().map((r) => r.id);
+    assert.ok(ids.includes('aip193/schema-defined'));
+    assert.ok(!ids.includes('aip122/no-verbs'));
+
+    const result = reviewer.review({ paths: { '/users': {} } });
+    const finding = result.findings.find(
+      (f) => f.ruleId === 'aip193/schema-defined'
+    );
+    assert.equal(finding?.severity, 'error');
+  });
+
+  it('passes configured rule options to the rules', () => {
+    const spec = {
+      paths: {
+        '/users': {
+          get: {
+            parameters: [
+              {
+                name: 'page_size',
+                in: 'query',
+                schema: { type: 'integer', maximum: 1000 },
+              },
+            ],
+          },
+        },
+      },
+    };
+    const ruleFindings = (/** @type {OpenAPIReviewer} */ reviewer) =>
+      reviewer
+        .review(structuredClone(spec))
+        .findings.filter((f) => f.ruleId === 'aip158/max-page-size');
+
+    assert.equal(ruleFindings(new OpenAPIReviewer()).length, 0);
+    const strict = new OpenAPIReviewer({
+      rules: {
+        'aip158/max-page-size': {
+          options: { maximum: 200, flagLargerMaximum: true },
+        },
+      },
+    });
+    assert.equal(ruleFindings(strict).length, 1);
+    // Options do not leak into other reviewers sharing the rule instance
+    assert.equal(ruleFindings(new OpenAPIReviewer()).length, 0);
+  });
+
+  it('throws for invalid rule options', () => {
+    assert.throws(
+      () =>
+        new OpenAPIReviewer({
+          rules: { 'aip158/max-page-size': { options: { maximum: 0 } } },
+        }),
+      /Invalid options for rule aip158\/max-page-size:\n {2}- options\.maximum: must be at least 1/
+    );
+  });
+
+  it('throws for unknown presets', () => {
+    assert.throws(
+      () => new OpenAPIReviewer({ preset: 'nope' }),
+      /Unknown preset 'nope' \(available: google-aip-strict/
+    );
+  });
+});
@@ -44,15 +44,17 @@ function headerParam(name, schema) {
  * Uses the same dispatch logic as OpenAPIReviewer
  * @param {string} ruleId
  * @param {import('./types.ts').OpenAPISpec} spec
+ * @param {Record<string, unknown>} [options] - Rule options overrides
  * @returns {import('./types.ts').Finding[]}
  */
-function runRule(ruleId, spec) {
+function runRule(ruleId, spec, options) {
   const rule = getRuleById(ruleId);
   if (!rule) throw new Error(`Rule not found: ${ruleId}`);
 
   /** @type {import('./types.js').RuleContext} */
   const ctx = {
     spec,
+    options: rule.resolveOptions(options),
     createFinding: (
       /** @type {Partial<import('./types.js').Finding>} */ partial
       // @ts-ignore
@@ -121,6 +123,14 @@ describe('aip122/plural-resources', () => {
     const findings = runRule('aip122/plural-resources', spec);
     assert.equal(findings.length, 0);
   });
+
+  it('skips configured exceptions', () => {
+    const spec = { paths: { '/inventory': {}, '/Staff/{id}': {} } };
+    const findings = runRule('aip122/plural-resources', spec, {
+      exceptions: ['inventory', 'staff'],
+    });
+    assert.equal(findings.length, 0);
+  });
 });
 
 describe('aip122/no-verbs', () => {
@@ -358,6 +368,23 @@ describe('aip135/delete-idempotent', () => {
 // ============================================
 
 describe('aip158/list-paginated', () => {
+  it('uses configured parameter names', () => {
+    const spec = {
+      paths: {
+        '/users': { get: { parameters: [queryParam('page_size')] } },
+        '/books': { get: { parameters: [queryParam('per_page')] } },
+      },
+    };
+    const findings = runRule('aip158/list-paginated', spec, {
+      pageSizeNames: ['per_page'],
+      pageTokenNames: ['page'],
+    });
+    assert.deepEqual(
+      findings.map((f) => f.path),
+      ['GET /users']
+    );
+  });
+
   it('flags collection GET without pagination', () => {
     const spec = {
       paths: {
@@ -477,6 +504,35 @@ describe('aip158/max-page-size', () => {
     const findings = runRule('aip158/max-page-size', spec);
     assert.equal(findings.length, 0);
   });
+
+  it('uses configured parameter names and maximum', () => {
+    const spec = {
+      paths: {
+        '/users': {
+          get: {
+            parameters: [
+              queryParam('per_page', { type: 'integer' }),
+              queryParam('page_size', { type: 'integer', maximum: 500 }),
+            ],
+          },
+        },
+      },
+    };
+    const findings = runRule('aip158/max-page-size', spec, {
+      pageSizeNames: ['per_page', 'page_size'],
+      maximum: 50,
+      flagLargerMaximum: true,
+    });
+
+    assert.deepEqual(
+      findings.map((f) => f.message),
+      [
+        "Parameter 'per_page' has no maximum value",
+        "Parameter 'page_size' allows up to 500 items (limit is 50)",
+      ]
+    );
+    assert.equal(findings[0].fix?.replacement, 50);
+  });
 });
 
 describe('aip158/response-next-token', () => {
@@ -567,6 +623,31 @@ describe('aip158/response-next-token', () => {
     const findings = runRule('aip158/response-next-token', spec);
     assert.equal(findings.length, 0);
   });
+
+  it('suggests a nullable token in the idiom of the spec version', () => {
+    /** @param {string} openapi */
+    const suggested = (openapi) =>
+      runRule('aip158/response-next-token', {
+        openapi,
+        paths: {
+          '/users': {
+            get: {
+              parameters: [queryParam('page_size')],
+              responses: {
+                200: {
+                  content: {
+                    'application/json': { schema: { properties: {} } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      })[0].fix?.specChanges[0].value;
+
+    assert.deepEqual(suggested('3.0.3'), { type: 'string', nullable: true });
+    assert.deepEqual(suggested('3.1.0'), { type: ['string', 'null'] });
+  });
 });
 
 // ============================================
@@ -656,6 +737,23 @@ describe('aip193/standard-codes', () => {
     const findings = runRule('aip193/standard-codes', spec);
     assert.equal(findings.length, 0);
   });
+
+  it('accepts additional codes from options', () => {
+    const spec = {
+      paths: {
+        '/users': {
+          get: { responses: { 200: {}, 418: {}, 499: {} } },
+        },
+      },
+    };
+    const findings = runRule('aip193/standard-codes', spec, {
+      additionalCodes: ['418'],
+    });
+    assert.deepEqual(
+      findings.map((f) => f.message),
+      ['Non-standard error code 499']
+    );
+  });
 });
 
 // ============================================
@@ -985,4 +1083,25 @@ describe('defaultRules', () => {
     const uniqueIds = new Set(ids);
     assert.equal(ids.length, uniqueIds.size);
   });
+  it('share options that cannot be changed', () => {
+    const rule = /** @type {import('./rules/index.js').BaseRule} */ (
+      getRuleById('aip158/max-page-size')
+    );
+    const overrides = { pageSizeNames: ['size'] };
+
+    for (const options of [
+      rule.resolveOptions(),
+      rule.resolveOptions(overrides),
+    ]) {
+      assert.throws(() => {
+        options.maximum = 5;
+      }, TypeError);
+      assert.throws(() => {
+        /** @type {string[]} */ (options.pageSizeNames).push('count');
+      }, TypeError);
+    }
+    assert.equal(rule.resolveOptions().maximum, 100);
+    // The config's own values are left alone
+    overrides.pageSizeNames.push('count');
+  });
 });
@@ -13,7 +13,7 @@ import {
   getResourceSegments,
   detectCasingStyle,
   pathToJsonPath,
-  computeRenamedPath,
+  renamePathSegment,
 } from '../helpers/index.js';
 
 /**
@@ -89,11 +89,13 @@ export class ConsistentCasingRule extends SpecRule {
 
       // Flag paths that don't match dominant style
       for (const path of Object.keys(spec.paths || {})) {
+        const rawSegments = path.split('/');
+        let index = 0;
         for (const segment of getResourceSegments(path)) {
+          index = rawSegments.indexOf(segment, index + 1);
           const style = detectCasingStyle(segment);
           if (style !== 'lowercase' && style !== dominant) {
             const convertedSegment = convertCasing(segment, dominant);
-            const newPath = computeRenamedPath(path, segment, convertedSegment);
             findings.push(
               ctx.createFinding({
                 path,
@@ -113,14 +115,12 @@ export class ConsistentCasingRule extends SpecRule {
                     dominantStyle: dominant,
                   },
                   replacement: convertedSegment,
-                  specChanges: [
-                    {
-                      operation: 'rename-key',
-                      path: '$.paths',
-                      from: path,
-                      to: newPath,
-                    },
-                  ],
+                  specChanges: renamePathSegment(
+                    spec,
+                    path,
+                    index,
+                    convertedSegment
+                  ),
                 },
               })
             );
@@ -9,7 +9,11 @@
  */
 
 import { PathRule } from '../base.js';
-import { pathToJsonPath, isVersionPrefix } from '../helpers/index.js';
+import {
+  pathToJsonPath,
+  isVersionPrefix,
+  renamePathSegment,
+} from '../helpers/index.js';
 
 /**
  * Rule: Nested resource parameters should reflect parent ownership
@@ -76,7 +80,6 @@ export class NestedOwnershipRule extends PathRule {
           ? parentResource.slice(0, -1)
           : parentResource;
         const suggestedName = `${singularParent}Id`;
-        const newPath = path.replace(`{${paramName}}`, `{${suggestedName}}`);
 
         findings.push(
           ctx.createFinding({
@@ -93,14 +96,13 @@ export class NestedOwnershipRule extends PathRule {
               jsonPath: pathToJsonPath(path),
               target: { paramName, parentResource, parameterIndex: i },
               replacement: suggestedName,
-              specChanges: [
-                {
-                  operation: 'rename-key',
-                  path: '$.paths',
-                  from: path,
-                  to: newPath,
-                },
-              ],
+              // The leading '/' makes the raw index one more
+              specChanges: renamePathSegment(
+                spec,
+                path,
+                i + 1,
+                `{${suggestedName}}`
+              ),
             },
           })
         );
@@ -17,7 +17,7 @@ import {
   findSingletonResources,
   looksLikeVerb,
   pathToJsonPath,
-  computeRenamedPath,
+  renamePathSegment,
 } from '../helpers/index.js';
 
 /**
@@ -60,7 +60,12 @@ export class NoVerbsRule extends PathRule {
       this.#singletonCache.set(spec, singletons);
     }
 
+    const rawSegments = path.split('/');
+    let index = 0;
+
     for (const segment of getResourceSegments(path)) {
+      index = rawSegments.indexOf(segment, index + 1);
+
       // Skip colon-prefixed custom method suffixes (e.g., :cancel, :publish)
       if (segment.includes(':')) continue;
 
@@ -79,7 +84,6 @@ export class NoVerbsRule extends PathRule {
               ''
             )
             .toLowerCase() || 'resource';
-        const newPath = computeRenamedPath(path, segment, extractedNoun);
         findings.push(
           ctx.createFinding({
             path,
@@ -91,14 +95,7 @@ export class NoVerbsRule extends PathRule {
               jsonPath: pathToJsonPath(path),
               target: { segment, extractedNoun },
               replacement: extractedNoun,
-              specChanges: [
-                {
-                  operation: 'rename-key',
-                  path: '$.paths',
-                  from: path,
-                  to: newPath,
-                },
-              ],
+              specChanges: renamePathSegment(spec, path, index, extractedNoun),
             },
           })
         );
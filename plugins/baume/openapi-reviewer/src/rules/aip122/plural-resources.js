@@ -18,7 +18,7 @@ import {
   isSingular,
   pluralize,
   pathToJsonPath,
-  computeRenamedPath,
+  renamePathSegment,
 } from '../helpers/index.js';
 
 /**
@@ -40,6 +40,15 @@ export class PluralResourcesRule extends PathRule {
       severity: 'warning',
       description:
         'Resource names should be plural nouns (except singletons per AIP-156)',
+      options: {
+        exceptions: {
+          type: 'array',
+          items: { type: 'string' },
+          default: [],
+          description:
+            'Path segments accepted as-is (in addition to built-in uncountables like "metadata")',
+        },
+      },
     });
   }
 
@@ -60,10 +69,18 @@ export class PluralResourcesRule extends PathRule {
       this.#singletonCache.set(spec, singletons);
     }
 
+    const { exceptions } = /** @type {{exceptions: string[]}} */ (
+      this.getOptions(ctx)
+    );
+    const accepted = new Set(exceptions.map((e) => e.toLowerCase()));
+
     const segments = getResourceSegments(path);
+    const rawSegments = path.split('/');
+    let index = 0;
 
     for (let i = 0; i < segments.length; i++) {
       const segment = segments[i];
+      index = rawSegments.indexOf(segment, index + 1);
 
       // Skip version prefixes
       if (isVersionPrefix(segment)) continue;
@@ -71,6 +88,9 @@ export class PluralResourcesRule extends PathRule {
       // Skip custom methods
       if (isCustomMethod(segment, path, singletons)) continue;
 
+      // Skip configured exceptions
+      if (accepted.has(segment.toLowerCase())) continue;
+
       // Build path up to this segment to check singleton status
       const pathToSegment = '/' + segments.slice(0, i + 1).join('/');
 
@@ -79,7 +99,6 @@ export class PluralResourcesRule extends PathRule {
 
       if (isSingular(segment)) {
         const suggestedPlural = pluralize(segment);
-        const newPath = computeRenamedPath(path, segment, suggestedPlural);
         findings.push(
           ctx.createFinding({
             path,
@@ -91,14 +110,14 @@ export class PluralResourcesRule extends PathRule {
               jsonPath: pathToJsonPath(path),
               target: { segment, segmentIndex: i },
               replacement: suggestedPlural,
-              specChanges: [
-                {
-                  operation: 'rename-key',
-                  path: '$.paths',
-                  from: path,
-                  to: newPath,
-                },
-              ],
+              // Names made of the resource follow it (listUser -> listUsers)
+              specChanges: renamePathSegment(
+                spec,
+                path,
+                index,
+                suggestedPlural,
+                { names: true }
+              ),
             },
           })
         );
@@ -26,6 +26,20 @@ export class ListPaginatedRule extends OperationRule {
       aip: 'AIP-158',
       severity: 'warning',
       description: 'List endpoints should support pagination',
+      options: {
+        pageSizeNames: {
+          type: 'array',
+          items: { type: 'string' },
+          default: ['page_size', 'pageSize', 'limit'],
+          description: 'Query parameters that set the page size',
+        },
+        pageTokenNames: {
+          type: 'array',
+          items: { type: 'string' },
+          default: ['page_token', 'pageToken', 'cursor', 'offset'],
+          description: 'Query parameters that select the page',
+        },
+      },
     });
 
     // Only run on GET methods
@@ -47,16 +61,18 @@ export class ListPaginatedRule extends OperationRule {
     // Only check collection endpoints
     if (!isCollectionEndpoint(path)) return findings;
 
-    const hasPageSize =
-      hasParameter(operation, 'page_size') ||
-      hasParameter(operation, 'pageSize') ||
-      hasParameter(operation, 'limit');
+    const { pageSizeNames, pageTokenNames } =
+      /** @type {{pageSizeNames: string[], pageTokenNames: string[]}} */ (
+        this.getOptions(ctx)
+      );
+
+    const hasPageSize = pageSizeNames.some((name) =>
+      hasParameter(operation, name)
+    );
 
-    const hasPageToken =
-      hasParameter(operation, 'page_token') ||
-      hasParameter(operation, 'pageToken') ||
-      hasParameter(operation, 'cursor') ||
-      hasParameter(operation, 'offset');
+    const hasPageToken = pageTokenNames.some((name) =>
+      hasParameter(operation, name)
+    );
 
     if (!hasPageSize && !hasPageToken) {
       const suggestedParams = [
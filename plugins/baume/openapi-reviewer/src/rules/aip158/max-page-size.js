@@ -22,6 +22,26 @@ export class MaxPageSizeRule extends ParameterRule {
       aip: 'AIP-158',
       severity: 'suggestion',
       description: 'Page size parameter should have a maximum value',
+      options: {
+        pageSizeNames: {
+          type: 'array',
+          items: { type: 'string' },
+          default: ['page_size', 'pageSize', 'limit'],
+          description: 'Query parameters that set the page size',
+        },
+        maximum: {
+          type: 'integer',
+          minimum: 1,
+          default: 100,
+          description:
+            'Largest acceptable page size; used as the maximum added by the fix',
+        },
+        flagLargerMaximum: {
+          type: 'boolean',
+          default: false,
+          description: 'Also flag page sizes whose maximum exceeds `maximum`',
+        },
+      },
     });
 
     // Only check query parameters
@@ -41,38 +61,55 @@ export class MaxPageSizeRule extends ParameterRule {
     /** @type {import('../../types.ts').Finding[]} */
     const findings = [];
 
+    const { pageSizeNames, maximum, flagLargerMaximum } =
+      /** @type {{pageSizeNames: string[], maximum: number, flagLargerMaximum: boolean}} */ (
+        this.getOptions(ctx)
+      );
+
     // Only check page size parameters
-    const pageSizeNames = ['page_size', 'pageSize', 'limit'];
     if (!pageSizeNames.includes(param.name)) return findings;
 
     // Only check GET methods
     if (method !== 'GET') return findings;
 
-    if (param.schema && param.schema.maximum === undefined) {
-      // Find the index of this parameter in the operation
-      const paramJsonPath = `${parametersToJsonPath(path, method)}[?(@.name=='${param.name}')].schema`;
-      findings.push(
-        ctx.createFinding({
-          path: `${method} ${path}`,
-          message: `Parameter '${param.name}' has no maximum value`,
-          suggestion: 'Add maximum: 100 (or appropriate limit) to schema',
-          fix: {
-            type: 'set-schema-constraint',
-            jsonPath: paramJsonPath,
-            target: { paramName: param.name, constraint: 'maximum' },
-            replacement: 100,
-            specChanges: [
-              {
-                operation: 'set',
-                path: `${paramJsonPath}.maximum`,
-                value: 100,
-              },
-            ],
-          },
-        })
-      );
+    if (!param.schema) return findings;
+
+    const current = param.schema.maximum;
+    let message;
+    if (current === undefined) {
+      message = `Parameter '${param.name}' has no maximum value`;
+    } else if (flagLargerMaximum && current > maximum) {
+      message = `Parameter '${param.name}' allows up to ${current} items (limit is ${maximum})`;
+    } else {
+      return findings;
     }
 
+    // The reviewer passes where the parameter is (it may be inherited from
+    // the path item); fall back to a name filter when called directly
+    const paramJsonPath = ctx.jsonPath
+      ? `${ctx.jsonPath}.schema`
+      : `${parametersToJsonPath(path, method)}[?(@.name=='${param.name}')].schema`;
+    findings.push(
+      ctx.createFinding({
+        path: `${method} ${path}`,
+        message,
+        suggestion: `Add maximum: ${maximum} (or appropriate limit) to schema`,
+        fix: {
+          type: 'set-schema-constraint',
+          jsonPath: paramJsonPath,
+          target: { paramName: param.name, constraint: 'maximum' },
+          replacement: maximum,
+          specChanges: [
+            {
+              operation: 'set',
+              path: `${paramJsonPath}.maximum`,
+              value: maximum,
+            },
+          ],
+        },
+      })
+    );
+
     return findings;
   }
 }
@@ -14,6 +14,7 @@ import {
   hasParameter,
   getResponseSchema,
   responseSchemaToJsonPath,
+  makeNullable,
 } from '../helpers/index.js';
 
 /**
@@ -74,7 +75,7 @@ export class ResponseNextTokenRule extends OperationRule {
       'cursor' in props;
 
     if (!hasNextToken) {
-      const suggestedField = { type: 'string', nullable: true };
+      const suggestedField = makeNullable({ type: 'string' }, spec);
       const schemaJsonPath = responseSchemaToJsonPath(path, method, '200');
       findings.push(
         ctx.createFinding({
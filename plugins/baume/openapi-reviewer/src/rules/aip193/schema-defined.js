@@ -24,6 +24,7 @@ export class ErrorSchemaDefinedRule extends SpecRule {
       name: 'Error Schema Defined',
       aip: 'AIP-193',
       severity: 'warning',
+      weight: 7,
       description: 'API should define a consistent error response schema',
     });
   }
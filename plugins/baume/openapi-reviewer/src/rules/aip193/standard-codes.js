@@ -32,10 +32,7 @@ const STANDARD_SERVER_ERRORS = new Set([
   '504', // Gateway Timeout
 ]);
 
-const ALL_STANDARD = new Set([
-  ...STANDARD_CLIENT_ERRORS,
-  ...STANDARD_SERVER_ERRORS,
-]);
+const ALL_STANDARD = [...STANDARD_CLIENT_ERRORS, ...STANDARD_SERVER_ERRORS];
 
 /**
  * Rule: Use standard HTTP error codes
@@ -48,6 +45,21 @@ export class StandardErrorCodesRule extends OperationRule {
       aip: 'AIP-193',
       severity: 'suggestion',
       description: 'Use standard HTTP error status codes',
+      options: {
+        allowedCodes: {
+          type: 'array',
+          items: { type: 'string' },
+          default: ALL_STANDARD,
+          description: 'Error status codes considered standard',
+        },
+        additionalCodes: {
+          type: 'array',
+          items: { type: 'string' },
+          default: [],
+          description:
+            'Extra error status codes to accept on top of allowedCodes',
+        },
+      },
     });
   }
 
@@ -63,12 +75,18 @@ export class StandardErrorCodesRule extends OperationRule {
     const findings = [];
     const responses = operation.responses || {};
 
+    const { allowedCodes, additionalCodes } =
+      /** @type {{allowedCodes: string[], additionalCodes: string[]}} */ (
+        this.getOptions(ctx)
+      );
+    const allowed = new Set([...allowedCodes, ...additionalCodes]);
+
     for (const code of Object.keys(responses)) {
       // Skip success codes and default
       if (code === 'default' || code.startsWith('2') || code.startsWith('3'))
         continue;
 
-      if (!ALL_STANDARD.has(code)) {
+      if (!allowed.has(code)) {
         // Suggest the closest standard code
         const suggestedCode = code.startsWith('4') ? '400' : '500';
         findings.push(
@@ -76,7 +94,7 @@ export class StandardErrorCodesRule extends OperationRule {
             path: `${method} ${path}`,
             message: `Non-standard error code ${code}`,
             suggestion: `Use standard codes: 400, 401, 403, 404, 409, 422, 429 (client) or 500, 503 (server)`,
-            context: { code, standardCodes: [...ALL_STANDARD] },
+            context: { code, standardCodes: [...allowed] },
             fix: {
               type: 'change-status-code',
               jsonPath: responsesToJsonPath(path, method),
@@ -8,6 +8,12 @@
  * @module rules/base
  */
 
+import {
+  freezeOptions,
+  getDefaultOptions,
+  validateOptions,
+} from './options.js';
+
 /**
  * @typedef {import('../types.ts').Finding} Finding
  * @typedef {import('../types.ts').OpenAPISpec} OpenAPISpec
@@ -18,6 +24,7 @@
  * @typedef {import('../types.ts').Parameter} Parameter
  * @typedef {import('../types.ts').Severity} Severity
  * @typedef {import('../types.ts').RuleCategory} RuleCategory
+ * @typedef {import('../types.ts').RuleOptionSchema} RuleOptionSchema
  */
 
 /**
@@ -40,6 +47,16 @@ const AIP_CATEGORIES = {
   194: 'errors',
 };
 
+/**
+ * Default scoring weight per default severity
+ * @type {Record<Severity, number>}
+ */
+export const DEFAULT_WEIGHTS = {
+  error: 10,
+  warning: 5,
+  suggestion: 2,
+};
+
 /**
  * Base class for all rules
  */
@@ -59,6 +76,15 @@ export class BaseRule {
   /** @type {string} */
   description;
 
+  /** @type {number} */
+  weight;
+
+  /** @type {Record<string, RuleOptionSchema>} Options users can set in config */
+  optionsSchema;
+
+  /** @type {Record<string, unknown>} */
+  #defaultOptions;
+
   /** @type {RuleCategory | undefined} */
   #categoryOverride;
 
@@ -70,16 +96,61 @@ export class BaseRule {
    * @param {Severity} config.severity - Default severity
    * @param {string} config.description - Description of what the rule checks
    * @param {RuleCategory} [config.category] - Override derived category
+   * @param {number} [config.weight] - Scoring weight (defaults from severity)
+   * @param {Record<string, RuleOptionSchema>} [config.options] - Configurable options
    */
-  constructor({ id, name, aip, severity, description, category }) {
+  constructor({
+    id,
+    name,
+    aip,
+    severity,
+    description,
+    category,
+    weight,
+    options = {},
+  }) {
     this.id = id;
     this.name = name;
     this.aip = aip;
     this.severity = severity;
     this.description = description;
+    this.weight = weight ?? DEFAULT_WEIGHTS[severity];
+    this.optionsSchema = options;
+    this.#defaultOptions = freezeOptions(getDefaultOptions(options));
     this.#categoryOverride = category;
   }
 
+  /**
+   * Validate user options and merge them over the defaults
+   * @param {unknown} [overrides] - Options from the config
+   * @returns {Readonly<Record<string, unknown>>} Frozen, as rules share them
+   *   across reviews
+   * @throws {Error} If an option is unknown or has the wrong type
+   */
+  resolveOptions(overrides) {
+    if (overrides === undefined) return this.#defaultOptions;
+
+    const issues = validateOptions(this.optionsSchema, overrides);
+    if (issues.length > 0) {
+      throw new Error(
+        `Invalid options for rule ${this.id}:\n${issues.map((i) => `  - ${i}`).join('\n')}`
+      );
+    }
+    return freezeOptions({
+      ...this.#defaultOptions,
+      ...structuredClone(/** @type {object} */ (overrides)),
+    });
+  }
+
+  /**
+   * Options in effect for a check (defaults unless the reviewer set some)
+   * @param {RuleContext} ctx
+   * @returns {Record<string, unknown>}
+   */
+  getOptions(ctx) {
+    return ctx.options ?? this.#defaultOptions;
+  }
+
   /**
    * Get rule category (override or derived from AIP number)
    * @returns {RuleCategory}
@@ -163,14 +234,18 @@ export class OperationRule extends BaseRule {
 }
 
 /**
- * Rule that runs for each schema in components/schemas
+ * Rule that runs for each schema in the spec
  * Use for rules that analyze schema definitions
  * (e.g., naming conventions, required fields)
+ *
+ * Besides components/schemas, this covers inline parameter, request body,
+ * response and header schemas and every nested schema. `ctx.location`
+ * and `ctx.jsonPath` tell where the schema is.
  */
 export class SchemaRule extends BaseRule {
   /**
    * Check a single schema
-   * @param {string} _schemaName - The schema name
+   * @param {string} _schemaName - Component name, or the location of an inline schema
    * @param {Schema} _schema - The schema object
    * @param {OpenAPISpec} _spec - Full spec for context
    * @param {RuleContext} _ctx - Rule context with helpers
@@ -185,13 +260,16 @@ export class SchemaRule extends BaseRule {
  * Rule that runs for each property in a schema
  * Use for rules that analyze field-level patterns
  * (e.g., field naming, type conventions)
+ *
+ * Runs on the properties of every schema SchemaRule sees, nested ones
+ * included.
  */
 export class PropertyRule extends BaseRule {
   /**
    * Check a single property
    * @param {string} _propertyName - The property name
    * @param {Schema} _property - The property schema
-   * @param {string} _schemaName - Parent schema name
+   * @param {string} _schemaName - Parent schema name or location
    * @param {OpenAPISpec} _spec - Full spec for context
    * @param {RuleContext} _ctx - Rule context with helpers
    * @returns {Finding[]}
@@ -0,0 +1,1398 @@
+// @ts-check
+/**
+ * Sandboxed CEL Evaluator
+ *
+ * A small interpreter for the subset of the Common Expression Language
+ * (https://github.com/google/cel-spec) used by `check.cel` in declarative
+ * rules. Expressions can only read the values they are given: there are no
+ * host functions, property access is limited to own data properties, and
+ * every evaluation runs under a time and allocation budget.
+ *
+ * Differences from the spec, chosen for OpenAPI documents parsed from JSON:
+ * - all numbers are doubles (`7 / 2 == 3.5`)
+ * - `a ?? b` yields `b` when `a` is null or refers to a missing field
+ *
+ * @example
+ * ```js
+ * const program = compileCel('operation.parameters.exists(p, p.in == "query")');
+ * program.evaluate({ operation }); // => true
+ * ```
+ *
+ * @module rules/declarative/cel
+ */
+
+/**
+ * Limits applied to every evaluation
+ * @type {{timeoutMs: number, memoryBytes: number, maxDepth: number, maxMatchLength: number}}
+ */
+export const CEL_LIMITS = {
+  /** Wall-clock budget per evaluation */
+  timeoutMs: 50,
+  /** Approximate bytes of lists, maps and strings created per evaluation */
+  memoryBytes: 1024 * 1024,
+  /** Maximum expression and value nesting */
+  maxDepth: 100,
+  /** Longest string `matches` runs a pattern on */
+  maxMatchLength: 4096,
+};
+
+/**
+ * @typedef {Object} Token
+ * @property {'number' | 'string' | 'ident' | 'punct' | 'eof'} type
+ * @property {string} text - Source text (operator or identifier)
+ * @property {unknown} [value] - Literal value
+ * @property {number} pos - Offset in the source
+ */
+
+/**
+ * @typedef {{type: 'literal', value: unknown}
+ *   | {type: 'ident', name: string}
+ *   | {type: 'select', operand: Node, field: string}
+ *   | {type: 'index', operand: Node, index: Node}
+ *   | {type: 'call', name: string, target?: Node, args: Node[]}
+ *   | {type: 'list', elements: Node[]}
+ *   | {type: 'map', entries: Array<[Node, Node]>}
+ *   | {type: 'unary', op: string, operand: Node}
+ *   | {type: 'binary', op: string, left: Node, right: Node}
+ *   | {type: 'ternary', test: Node, consequent: Node, alternate: Node}
+ *   | {type: 'has', operand: Node, field: string}
+ *   | {type: 'comprehension', macro: string, range: Node, variable: string, predicate?: Node, transform?: Node}
+ * } Node
+ */
+
+/**
+ * A compiled CEL expression
+ * @typedef {Object} CelProgram
+ * @property {string} source - Expression source
+ * @property {string[]} identifiers - Free variables the expression reads
+ * @property {(bindings: Record<string, unknown>) => unknown} evaluate
+ */
+
+const RESERVED = new Set(['true', 'false', 'null', 'in']);
+const MACROS = new Set(['all', 'exists', 'exists_one', 'map', 'filter']);
+const PUNCTUATION = [
+  '??',
+  '==',
+  '!=',
+  '<=',
+  '>=',
+  '&&',
+  '||',
+  '<',
+  '>',
+  '+',
+  '-',
+  '*',
+  '/',
+  '%',
+  '!',
+  '?',
+  ':',
+  '.',
+  ',',
+  '(',
+  ')',
+  '[',
+  ']',
+  '{',
+  '}',
+];
+const ESCAPES = /** @type {Record<string, string>} */ ({
+  n: '\n',
+  r: '\r',
+  t: '\t',
+  '\\': '\\',
+  "'": "'",
+  '"': '"',
+  '`': '`',
+  '?': '?',
+  a: '\x07',
+  b: '\b',
+  f: '\f',
+  v: '\v',
+});
+
+/**
+ * Raised for references to fields that do not exist, so `??` can recover
+ */
+class NoSuchKeyError extends Error {}
+
+/**
+ * Raised when an evaluation exceeds its budget; never absorbed by && or ||
+ */
+class LimitError extends Error {}
+
+/**
+ * Compile a CEL expression
+ * @param {string} source - Expression source
+ * @returns {CelProgram}
+ * @throws {Error} On syntax errors, with the column of the problem
+ */
+export function compileCel(source) {
+  const ast = new Parser(tokenize(source)).parseExpression();
+
+  return {
+    source,
+    identifiers: [...collectIdentifiers(ast, new Set())],
+    evaluate(bindings) {
+      const evaluation = new Evaluation(bindings);
+      return evaluation.eval(ast, new Map());
+    },
+  };
+}
+
+// ============================================
+// Lexer
+// ============================================
+
+/**
+ * @param {string} source
+ * @returns {Token[]}
+ */
+function tokenize(source) {
+  /** @type {Token[]} */
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if (source.startsWith('//', i)) {
+      while (i < source.length && source[i] !== '\n') i++;
+      continue;
+    }
+
+    const start = i;
+
+    const number =
+      /^(?:0x[0-9a-fA-F]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)[uU]?/.exec(
+        source.slice(i)
+      );
+    if (number || (ch === '.' && /\d/.test(source[i + 1] ?? ''))) {
+      const text = number
+        ? number[0]
+        : (/^\.\d+(?:[eE][+-]?\d+)?/.exec(source.slice(i))?.[0] ?? '');
+      tokens.push({
+        type: 'number',
+        text,
+        value: Number(text.replace(/[uU]$/, '')),
+        pos: start,
+      });
+      i += text.length;
+      continue;
+    }
+
+    const stringPrefix = /^[rR]?(?:'''|"""|'|")/.exec(source.slice(i));
+    if (stringPrefix) {
+      const raw = /^[rR]/.test(stringPrefix[0]);
+      const quote = stringPrefix[0].replace(/^[rR]/, '');
+      i += stringPrefix[0].length;
+      let value = '';
+      while (!source.startsWith(quote, i)) {
+        if (i >= source.length || (quote.length === 1 && source[i] === '\n')) {
+          throw syntaxError('unterminated string', start);
+        }
+        if (source[i] === '\\' && !raw) {
+          const [text, length] = readEscape(source, i);
+          value += text;
+          i += length;
+        } else {
+          value += source[i++];
+        }
+      }
+      i += quote.length;
+      tokens.push({
+        type: 'string',
+        text: source.slice(start, i),
+        value,
+        pos: start,
+      });
+      continue;
+    }
+
+    const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (ident) {
+      tokens.push({ type: 'ident', text: ident[0], pos: start });
+      i += ident[0].length;
+      continue;
+    }
+
+    const punct = PUNCTUATION.find((p) => source.startsWith(p, i));
+    if (!punct) {
+      throw syntaxError(`unexpected character '${ch}'`, start);
+    }
+    tokens.push({ type: 'punct', text: punct, pos: start });
+    i += punct.length;
+  }
+
+  tokens.push({ type: 'eof', text: '', pos: source.length });
+  return tokens;
+}
+
+/**
+ * Decode an escape sequence starting at a backslash
+ * @param {string} source
+ * @param {number} i - Offset of the backslash
+ * @returns {[string, number]} Decoded text and consumed length
+ */
+function readEscape(source, i) {
+  const next = source[i + 1];
+  if (next in ESCAPES) return [ESCAPES[next], 2];
+
+  const unicode =
+    /^(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|([0-3][0-7]{2}))/.exec(
+      source.slice(i + 1)
+    );
+  if (!unicode) throw syntaxError(`invalid escape '\\${next}'`, i);
+
+  const [text, hex2, hex4, hex8, octal] = unicode;
+  const code = octal ? parseInt(octal, 8) : parseInt(hex2 ?? hex4 ?? hex8, 16);
+  return [String.fromCodePoint(code), text.length + 1];
+}
+
+/**
+ * @param {string} message
+ * @param {number} pos
+ * @returns {Error}
+ */
+function syntaxError(message, pos) {
+  return new Error(`CEL syntax error at column ${pos + 1}: ${message}`);
+}
+
+// ============================================
+// Parser
+// ============================================
+
+/**
+ * Recursive-descent parser following the CEL grammar, plus `??` between
+ * `||` and the conditional operator.
+ */
+class Parser {
+  /** @type {Token[]} */
+  #tokens;
+
+  #pos = 0;
+
+  #depth = 0;
+
+  /**
+   * @param {Token[]} tokens
+   */
+  constructor(tokens) {
+    this.#tokens = tokens;
+  }
+
+  /** @returns {Node} */
+  parseExpression() {
+    const node = this.#expr();
+    const token = this.#peek();
+    if (token.type !== 'eof') {
+      throw syntaxError(`unexpected '${token.text}'`, token.pos);
+    }
+    return node;
+  }
+
+  /** @returns {Token} */
+  #peek() {
+    return this.#tokens[this.#pos];
+  }
+
+  /**
+   * Consume the next token if it is the given punctuation
+   * @param {string} text
+   * @returns {boolean}
+   */
+  #accept(text) {
+    const token = this.#peek();
+    if (token.type === 'punct' && token.text === text) {
+      this.#pos++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * @param {string} text
+   */
+  #expect(text) {
+    if (!this.#accept(text)) {
+      const token = this.#peek();
+      const found =
+        token.type === 'eof' ? 'end of expression' : `'${token.text}'`;
+      throw syntaxError(`expected '${text}' but found ${found}`, token.pos);
+    }
+  }
+
+  /** @returns {Node} */
+  #expr() {
+    if (++this.#depth > CEL_LIMITS.maxDepth) {
+      throw syntaxError('expression is nested too deeply', this.#peek().pos);
+    }
+    const test = this.#coalesce();
+    let node = test;
+    if (this.#accept('?')) {
+      const consequent = this.#coalesce();
+      this.#expect(':');
+      const alternate = this.#expr();
+      node = { type: 'ternary', test, consequent, alternate };
+    }
+    this.#depth--;
+    return node;
+  }
+
+  /** @returns {Node} */
+  #coalesce() {
+    let left = this.#or();
+    while (this.#accept('??')) {
+      left = { type: 'binary', op: '??', left, right: this.#or() };
+    }
+    return left;
+  }
+
+  /** @returns {Node} */
+  #or() {
+    let left = this.#and();
+    while (this.#accept('||')) {
+      left = { type: 'binary', op: '||', left, right: this.#and() };
+    }
+    return left;
+  }
+
+  /** @returns {Node} */
+  #and() {
+    let left = this.#relation();
+    while (this.#accept('&&')) {
+      left = { type: 'binary', op: '&&', left, right: this.#relation() };
+    }
+    return left;
+  }
+
+  /** @returns {Node} */
+  #relation() {
+    let left = this.#addition();
+    while (true) {
+      const token = this.#peek();
+      const isOp =
+        (token.type === 'punct' &&
+          ['<', '<=', '>', '>=', '==', '!='].includes(token.text)) ||
+        (token.type === 'ident' && token.text === 'in');
+      if (!isOp) return left;
+      this.#pos++;
+      left = { type: 'binary', op: token.text, left, right: this.#addition() };
+    }
+  }
+
+  /** @returns {Node} */
+  #addition() {
+    let left = this.#multiplication();
+    while (true) {
+      const token = this.#peek();
+      if (token.type !== 'punct' || !['+', '-'].includes(token.text)) {
+        return left;
+      }
+      this.#pos++;
+      left = {
+        type: 'binary',
+        op: token.text,
+        left,
+        right: this.#multiplication(),
+      };
+    }
+  }
+
+  /** @returns {Node} */
+  #multiplication() {
+    let left = this.#unary();
+    while (true) {
+      const token = this.#peek();
+      if (token.type !== 'punct' || !['*', '/', '%'].includes(token.text)) {
+        return left;
+      }
+      this.#pos++;
+      left = { type: 'binary', op: token.text, left, right: this.#unary() };
+    }
+  }
+
+  /** @returns {Node} */
+  #unary() {
+    const token = this.#peek();
+    if (token.type === 'punct' && (token.text === '!' || token.text === '-')) {
+      this.#pos++;
+      return { type: 'unary', op: token.text, operand: this.#unary() };
+    }
+    return this.#member();
+  }
+
+  /** @returns {Node} */
+  #member() {
+    let node = this.#primary();
+
+    while (true) {
+      if (this.#accept('.')) {
+        const name = this.#identifier();
+        if (this.#accept('(')) {
+          node = this.#methodCall(node, name);
+        } else {
+          node = { type: 'select', operand: node, field: name };
+        }
+      } else if (this.#accept('[')) {
+        const index = this.#expr();
+        this.#expect(']');
+        node = { type: 'index', operand: node, index };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  /**
+   * Parse the arguments of `target.name(...)`, expanding macros
+   * @param {Node} target
+   * @param {string} name
+   * @returns {Node}
+   */
+  #methodCall(target, name) {
+    const argsPos = this.#peek().pos;
+    const args = this.#arguments();
+
+    if (!MACROS.has(name)) {
+      return { type: 'call', name, target, args };
+    }
+
+    const expected = name === 'map' ? [2, 3] : [2];
+    const variable = args[0];
+    if (!expected.includes(args.length) || variable?.type !== 'ident') {
+      throw syntaxError(
+        `${name}() expects a variable name and ${name === 'map' ? 'an optional filter and a transform' : 'a predicate'}`,
+        argsPos
+      );
+    }
+
+    if (name === 'map') {
+      return {
+        type: 'comprehension',
+        macro: name,
+        range: target,
+        variable: variable.name,
+        predicate: args.length === 3 ? args[1] : undefined,
+        transform: args[args.length - 1],
+      };
+    }
+    return {
+      type: 'comprehension',
+      macro: name,
+      range: target,
+      variable: variable.name,
+      predicate: args[1],
+    };
+  }
+
+  /** @returns {Node[]} */
+  #arguments() {
+    /** @type {Node[]} */
+    const args = [];
+    if (this.#accept(')')) return args;
+    do {
+      args.push(this.#expr());
+    } while (this.#accept(','));
+    this.#expect(')');
+    return args;
+  }
+
+  /** @returns {string} */
+  #identifier() {
+    const token = this.#peek();
+    if (token.type !== 'ident') {
+      throw syntaxError(`expected a field name`, token.pos);
+    }
+    this.#pos++;
+    return token.text;
+  }
+
+  /** @returns {Node} */
+  #primary() {
+    const token = this.#peek();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        this.#pos++;
+        return { type: 'literal', value: token.value };
+
+      case 'ident': {
+        this.#pos++;
+        if (token.text === 'true') return { type: 'literal', value: true };
+        if (token.text === 'false') return { type: 'literal', value: false };
+        if (token.text === 'null') return { type: 'literal', value: null };
+        if (RESERVED.has(token.text)) {
+          throw syntaxError(`unexpected '${token.text}'`, token.pos);
+        }
+        if (!this.#accept('(')) return { type: 'ident', name: token.text };
+
+        if (token.text === 'has') {
+          const operand = this.#expr();
+          this.#expect(')');
+          if (operand.type !== 'select') {
+            throw syntaxError('has() expects a field selection', token.pos);
+          }
+          return {
+            type: 'has',
+            operand: operand.operand,
+            field: operand.field,
+          };
+        }
+        return { type: 'call', name: token.text, args: this.#arguments() };
+      }
+
+      case 'punct':
+        if (this.#accept('(')) {
+          const node = this.#expr();
+          this.#expect(')');
+          return node;
+        }
+        if (this.#accept('[')) {
+          /** @type {Node[]} */
+          const elements = [];
+          if (!this.#accept(']')) {
+            do {
+              if (this.#peek().text === ']') break; // trailing comma
+              elements.push(this.#expr());
+            } while (this.#accept(','));
+            this.#expect(']');
+          }
+          return { type: 'list', elements };
+        }
+        if (this.#accept('{')) {
+          /** @type {Array<[Node, Node]>} */
+          const entries = [];
+          if (!this.#accept('}')) {
+            do {
+              if (this.#peek().text === '}') break; // trailing comma
+              const key = this.#expr();
+              this.#expect(':');
+              entries.push([key, this.#expr()]);
+            } while (this.#accept(','));
+            this.#expect('}');
+          }
+          return { type: 'map', entries };
+        }
+        break;
+    }
+
+    const found =
+      token.type === 'eof' ? 'end of expression' : `'${token.text}'`;
+    throw syntaxError(`unexpected ${found}`, token.pos);
+  }
+}
+
+/**
+ * Collect free variables (excluding comprehension variables)
+ * @param {Node} node
+ * @param {Set<string>} bound - Variables bound by enclosing comprehensions
+ * @param {Set<string>} [found]
+ * @returns {Set<string>}
+ */
+function collectIdentifiers(node, bound, found = new Set()) {
+  switch (node.type) {
+    case 'ident':
+      if (!bound.has(node.name)) found.add(node.name);
+      break;
+    case 'select':
+    case 'has':
+      collectIdentifiers(node.operand, bound, found);
+      break;
+    case 'index':
+      collectIdentifiers(node.operand, bound, found);
+      collectIdentifiers(node.index, bound, found);
+      break;
+    case 'call':
+      if (node.target) collectIdentifiers(node.target, bound, found);
+      node.args.forEach((arg) => collectIdentifiers(arg, bound, found));
+      break;
+    case 'list':
+      node.elements.forEach((e) => collectIdentifiers(e, bound, found));
+      break;
+    case 'map':
+      for (const [key, value] of node.entries) {
+        collectIdentifiers(key, bound, found);
+        collectIdentifiers(value, bound, found);
+      }
+      break;
+    case 'unary':
+      collectIdentifiers(node.operand, bound, found);
+      break;
+    case 'binary':
+      collectIdentifiers(node.left, bound, found);
+      collectIdentifiers(node.right, bound, found);
+      break;
+    case 'ternary':
+      collectIdentifiers(node.test, bound, found);
+      collectIdentifiers(node.consequent, bound, found);
+      collectIdentifiers(node.alternate, bound, found);
+      break;
+    case 'comprehension': {
+      collectIdentifiers(node.range, bound, found);
+      const inner = new Set(bound).add(node.variable);
+      if (node.predicate) collectIdentifiers(node.predicate, inner, found);
+      if (node.transform) collectIdentifiers(node.transform, inner, found);
+      break;
+    }
+  }
+  return found;
+}
+
+// ============================================
+// Evaluator
+// ============================================
+
+/** Check the clock every this many steps */
+const CLOCK_INTERVAL = 256;
+
+/** @type {Map<string, RegExp>} */
+const regexCache = new Map();
+
+/**
+ * State of a single evaluation: bindings, clock and allocation budget
+ */
+class Evaluation {
+  /** @type {Record<string, unknown>} */
+  #bindings;
+
+  #deadline = performance.now() + CEL_LIMITS.timeoutMs;
+
+  #steps = 0;
+
+  #allocated = 0;
+
+  /**
+   * @param {Record<string, unknown>} bindings
+   */
+  constructor(bindings) {
+    this.#bindings = bindings;
+  }
+
+  /**
+   * @param {Node} node
+   * @param {Map<string, unknown>} locals - Comprehension variables
+   * @returns {unknown}
+   */
+  eval(node, locals) {
+    this.#tick();
+
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'ident':
+        if (locals.has(node.name)) return locals.get(node.name);
+        if (Object.hasOwn(this.#bindings, node.name)) {
+          return this.#bindings[node.name];
+        }
+        throw new Error(`undeclared reference to '${node.name}'`);
+
+      case 'select': {
+        const operand = this.eval(node.operand, locals);
+        if (!isMap(operand)) {
+          throw new Error(
+            `cannot select field '${node.field}' from ${typeName(operand)}`
+          );
+        }
+        if (!Object.hasOwn(operand, node.field)) {
+          throw new NoSuchKeyError(`no such key: '${node.field}'`);
+        }
+        return operand[node.field];
+      }
+
+      case 'has': {
+        const operand = this.eval(node.operand, locals);
+        if (!isMap(operand)) {
+          throw new Error(
+            `has() cannot test field '${node.field}' on ${typeName(operand)}`
+          );
+        }
+        return Object.hasOwn(operand, node.field);
+      }
+
+      case 'index':
+        return this.#index(
+          this.eval(node.operand, locals),
+          this.eval(node.index, locals)
+        );
+
+      case 'list': {
+        this.#allocate(16 * node.elements.length);
+        return node.elements.map((e) => this.eval(e, locals));
+      }
+
+      case 'map': {
+        this.#allocate(32 * node.entries.length);
+        /** @type {Array<[string, unknown]>} */
+        const entries = [];
+        for (const [keyNode, valueNode] of node.entries) {
+          const key = this.eval(keyNode, locals);
+          if (
+            typeof key !== 'string' &&
+            typeof key !== 'number' &&
+            typeof key !== 'boolean'
+          ) {
+            throw new Error(`unsupported map key type ${typeName(key)}`);
+          }
+          entries.push([String(key), this.eval(valueNode, locals)]);
+        }
+        // fromEntries defines own properties, so "__proto__" stays a plain key
+        return Object.fromEntries(entries);
+      }
+
+      case 'unary': {
+        const operand = this.eval(node.operand, locals);
+        if (node.op === '!') return !this.#bool(operand, '!');
+        if (typeof operand !== 'number') throw overloadError('-', operand);
+        return -operand;
+      }
+
+      case 'binary':
+        return this.#binary(node, locals);
+
+      case 'ternary':
+        return this.#bool(this.eval(node.test, locals), '?:')
+          ? this.eval(node.consequent, locals)
+          : this.eval(node.alternate, locals);
+
+      case 'call':
+        return this.#call(node, locals);
+
+      case 'comprehension':
+        return this.#comprehension(node, locals);
+    }
+  }
+
+  /**
+   * @param {Extract<Node, {type: 'binary'}>} node
+   * @param {Map<string, unknown>} locals
+   * @returns {unknown}
+   */
+  #binary(node, locals) {
+    const { op } = node;
+
+    if (op === '??') {
+      try {
+        const left = this.eval(node.left, locals);
+        if (left !== null && left !== undefined) return left;
+      } catch (error) {
+        if (!(error instanceof NoSuchKeyError)) throw error;
+      }
+      return this.eval(node.right, locals);
+    }
+
+    if (op === '&&' || op === '||') {
+      // Errors are absorbed when the other side decides the result
+      const decisive = op === '||';
+      /** @type {unknown} */
+      let leftError;
+      try {
+        if (this.#bool(this.eval(node.left, locals), op) === decisive) {
+          return decisive;
+        }
+      } catch (error) {
+        if (error instanceof LimitError) throw error;
+        leftError = error;
+      }
+      const right = this.#bool(this.eval(node.right, locals), op);
+      if (right === decisive) return decisive;
+      if (leftError) throw leftError;
+      return !decisive;
+    }
+
+    const left = this.eval(node.left, locals);
+    const right = this.eval(node.right, locals);
+
+    switch (op) {
+      case '==':
+        return this.#equals(left, right, 0);
+      case '!=':
+        return !this.#equals(left, right, 0);
+      case 'in':
+        if (Array.isArray(right)) {
+          return right.some((item) => this.#equals(left, item, 0));
+        }
+        if (isMap(right)) {
+          return (
+            ['string', 'number', 'boolean'].includes(typeof left) &&
+            Object.hasOwn(right, String(left))
+          );
+        }
+        throw overloadError('in', left, right);
+      case '<':
+      case '<=':
+      case '>':
+      case '>=': {
+        const bothNumbers =
+          typeof left === 'number' && typeof right === 'number';
+        const bothStrings =
+          typeof left === 'string' && typeof right === 'string';
+        if (!bothNumbers && !bothStrings) throw overloadError(op, left, right);
+        const l = /** @type {number | string} */ (left);
+        const r = /** @type {number | string} */ (right);
+        if (op === '<') return l < r;
+        if (op === '<=') return l <= r;
+        if (op === '>') return l > r;
+        return l >= r;
+      }
+      case '+':
+        if (typeof left === 'number' && typeof right === 'number') {
+          return left + right;
+        }
+        if (typeof left === 'string' && typeof right === 'string') {
+          this.#allocate(2 * (left.length + right.length));
+          return left + right;
+        }
+        if (Array.isArray(left) && Array.isArray(right)) {
+          this.#allocate(16 * (left.length + right.length));
+          return [...left, ...right];
+        }
+        throw overloadError(op, left, right);
+      case '-':
+      case '*':
+      case '/':
+      case '%': {
+        if (typeof left !== 'number' || typeof right !== 'number') {
+          throw overloadError(op, left, right);
+        }
+        if ((op === '/' || op === '%') && right === 0) {
+          throw new Error(op === '/' ? 'division by zero' : 'modulus by zero');
+        }
+        if (op === '-') return left - right;
+        if (op === '*') return left * right;
+        if (op === '/') return left / right;
+        return left % right;
+      }
+    }
+    throw new Error(`unknown operator '${op}'`);
+  }
+
+  /**
+   * @param {Extract<Node, {type: 'call'}>} node
+   * @param {Map<string, unknown>} locals
+   * @returns {unknown}
+   */
+  #call(node, locals) {
+    const target = node.target ? this.eval(node.target, locals) : undefined;
+    const args = node.args.map((arg) => this.eval(arg, locals));
+    // Global and receiver styles are interchangeable: size(x) == x.size()
+    const [receiver, ...rest] = node.target ? [target, ...args] : args;
+
+    switch (node.name) {
+      case 'size':
+        expectArity(node.name, rest, 0);
+        if (typeof receiver === 'string') return [...receiver].length;
+        if (Array.isArray(receiver)) return receiver.length;
+        if (isMap(receiver)) return Object.keys(receiver).length;
+        throw overloadError('size', receiver);
+
+      case 'contains':
+      case 'startsWith':
+      case 'endsWith': {
+        expectArity(node.name, rest, 1);
+        const [arg] = rest;
+        if (typeof receiver !== 'string' || typeof arg !== 'string') {
+          throw overloadError(node.name, receiver, arg);
+        }
+        if (node.name === 'contains') return receiver.includes(arg);
+        if (node.name === 'startsWith') return receiver.startsWith(arg);
+        return receiver.endsWith(arg);
+      }
+
+      case 'matches': {
+        expectArity(node.name, rest, 1);
+        const [pattern] = rest;
+        if (typeof receiver !== 'string' || typeof pattern !== 'string') {
+          throw overloadError(node.name, receiver, pattern);
+        }
+        const regex = compileRegex(pattern);
+        // A running match cannot be interrupted by the time limit
+        if (receiver.length > CEL_LIMITS.maxMatchLength) {
+          throw new LimitError(
+            `matches() input of ${receiver.length} characters exceeds the limit of ${CEL_LIMITS.maxMatchLength}`
+          );
+        }
+        return regex.test(receiver);
+      }
+
+      case 'lowerAscii':
+      case 'upperAscii':
+        expectArity(node.name, rest, 0);
+        if (typeof receiver !== 'string')
+          throw overloadError(node.name, receiver);
+        this.#allocate(2 * receiver.length);
+        return node.name === 'lowerAscii'
+          ? receiver.replace(/[A-Z]/g, (c) => c.toLowerCase())
+          : receiver.replace(/[a-z]/g, (c) => c.toUpperCase());
+
+      case 'string':
+        expectArity(node.name, rest, 0);
+        if (
+          ['string', 'number', 'boolean'].includes(typeof receiver) ||
+          receiver === null
+        ) {
+          return String(receiver);
+        }
+        throw overloadError(node.name, receiver);
+
+      case 'int':
+      case 'double': {
+        expectArity(node.name, rest, 0);
+        const value =
+          typeof receiver === 'string' ? Number(receiver) : receiver;
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+          throw overloadError(node.name, receiver);
+        }
+        return node.name === 'int' ? Math.trunc(value) : value;
+      }
+
+      case 'type':
+        expectArity(node.name, rest, 0);
+        return typeName(receiver);
+    }
+
+    throw new Error(`undeclared reference to function '${node.name}'`);
+  }
+
+  /**
+   * @param {Extract<Node, {type: 'comprehension'}>} node
+   * @param {Map<string, unknown>} locals
+   * @returns {unknown}
+   */
+  #comprehension(node, locals) {
+    const range = this.eval(node.range, locals);
+    /** @type {unknown[]} */
+    let items;
+    if (Array.isArray(range)) {
+      items = range;
+    } else if (isMap(range)) {
+      items = Object.keys(range);
+    } else {
+      throw overloadError(node.macro, range);
+    }
+
+    const scope = new Map(locals);
+    /**
+     * @param {Node} expr
+     * @param {unknown} item
+     */
+    const run = (expr, item) => {
+      scope.set(node.variable, item);
+      return this.eval(expr, scope);
+    };
+    /**
+     * @param {unknown} item
+     * @returns {boolean}
+     */
+    const test = (item) =>
+      this.#bool(run(/** @type {Node} */ (node.predicate), item), node.macro);
+
+    switch (node.macro) {
+      case 'all':
+        return items.every(test);
+      case 'exists':
+        return items.some(test);
+      case 'exists_one':
+        return items.filter(test).length === 1;
+      case 'filter': {
+        const result = items.filter(test);
+        this.#allocate(16 * result.length);
+        return result;
+      }
+      case 'map': {
+        const selected = node.predicate ? items.filter(test) : items;
+        this.#allocate(16 * selected.length);
+        return selected.map((item) =>
+          run(/** @type {Node} */ (node.transform), item)
+        );
+      }
+    }
+    throw new Error(`unknown macro '${node.macro}'`);
+  }
+
+  /**
+   * @param {unknown} operand
+   * @param {unknown} index
+   * @returns {unknown}
+   */
+  #index(operand, index) {
+    if (Array.isArray(operand)) {
+      if (typeof index !== 'number' || !Number.isInteger(index)) {
+        throw overloadError('[]', operand, index);
+      }
+      if (index < 0 || index >= operand.length) {
+        throw new Error(`index out of range: ${index}`);
+      }
+      return operand[index];
+    }
+    if (isMap(operand)) {
+      if (!['string', 'number', 'boolean'].includes(typeof index)) {
+        throw overloadError('[]', operand, index);
+      }
+      const key = String(index);
+      if (!Object.hasOwn(operand, key)) {
+        throw new NoSuchKeyError(`no such key: '${key}'`);
+      }
+      return operand[key];
+    }
+    throw overloadError('[]', operand, index);
+  }
+
+  /**
+   * Deep equality over JSON-like values
+   * @param {unknown} a
+   * @param {unknown} b
+   * @param {number} depth
+   * @returns {boolean}
+   */
+  #equals(a, b, depth) {
+    this.#tick();
+    if (depth > CEL_LIMITS.maxDepth) {
+      throw new Error('value is nested too deeply to compare');
+    }
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+      return (
+        a.length === b.length &&
+        a.every((item, i) => this.#equals(item, b[i], depth + 1))
+      );
+    }
+    if (isMap(a) && isMap(b)) {
+      const keys = Object.keys(a);
+      return (
+        keys.length === Object.keys(b).length &&
+        keys.every(
+          (key) =>
+            Object.hasOwn(b, key) && this.#equals(a[key], b[key], depth + 1)
+        )
+      );
+    }
+    return false;
+  }
+
+  /**
+   * @param {unknown} value
+   * @param {string} op - Operator name for the error message
+   * @returns {boolean}
+   */
+  #bool(value, op) {
+    if (typeof value !== 'boolean') throw overloadError(op, value);
+    return value;
+  }
+
+  /** Count a step and enforce the time limit */
+  #tick() {
+    if (
+      ++this.#steps % CLOCK_INTERVAL === 0 &&
+      performance.now() > this.#deadline
+    ) {
+      throw new LimitError(`time limit of ${CEL_LIMITS.timeoutMs}ms exceeded`);
+    }
+  }
+
+  /**
+   * Charge an allocation against the memory budget
+   * @param {number} bytes
+   */
+  #allocate(bytes) {
+    this.#allocated += bytes;
+    if (this.#allocated > CEL_LIMITS.memoryBytes) {
+      throw new LimitError(
+        `memory limit of ${Math.round(CEL_LIMITS.memoryBytes / 1024)}KB exceeded`
+      );
+    }
+  }
+}
+
+/**
+ * Compile an RE2-style pattern to a RegExp
+ *
+ * Leading inline flags such as `(?i)` become RegExp flags. JavaScript
+ * regular expressions backtrack and cannot be interrupted by the time
+ * limit, so patterns that can match the same text in many ways are
+ * rejected (see `findBacktracking`).
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function compileRegex(pattern) {
+  const cached = regexCache.get(pattern);
+  if (cached) return cached;
+
+  const inline = /^\(\?([imsU]+)\)/.exec(pattern);
+  const flags = (inline?.[1] ?? '').replace(/U/g, '');
+  const body = inline ? pattern.slice(inline[0].length) : pattern;
+
+  const backtracking = findBacktracking(body, [...new Set(flags)].join(''));
+  if (backtracking) {
+    throw new Error(
+      `pattern '${pattern}' has ${backtracking}, which are not allowed`
+    );
+  }
+  if (/\\[1-9]|\(\?[=!<]/.test(body)) {
+    throw new Error(
+      `pattern '${pattern}' uses backreferences or lookaround, which RE2 does not support`
+    );
+  }
+
+  /** @type {RegExp} */
+  let regex;
+  try {
+    regex = new RegExp(body, [...new Set(flags)].join('') + 'u');
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    throw new Error(`invalid pattern '${pattern}': ${message}`);
+  }
+
+  if (regexCache.size > 256) regexCache.clear();
+  regexCache.set(pattern, regex);
+  return regex;
+}
+
+/**
+ * Characters compared to tell whether two parts of a pattern can match the
+ * same text: ASCII, and a few others of common classes
+ */
+const SAMPLE_CHARACTERS = [
+  ...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)),
+  '\u00a0',
+  'é',
+  'ß',
+  'Ω',
+  '中',
+  '\u2028',
+  '😀',
+];
+
+/**
+ * Find what makes a pattern backtrack beyond the time limit
+ *
+ * Besides repeated groups that are repeated inside (`(a+)+`) or have
+ * alternatives (`(a|a)+`), which backtrack exponentially, repetitions in
+ * a row that can match the same characters (`[a-z]*[a-z]*`) are rejected:
+ * each of them multiplies the ways to split the text between them.
+ *
+ * @param {string} body - Pattern without its inline flags
+ * @param {string} flags - RegExp flags of the pattern
+ * @returns {string | undefined} What the pattern has, if anything
+ */
+function findBacktracking(body, flags) {
+  /**
+   * A group being read
+   * @typedef {Object} GroupState
+   * @property {boolean} quantified - Has a repetition inside
+   * @property {boolean} alternation - Has alternatives
+   * @property {boolean[][]} entry - Repetitions that can match where it starts
+   * @property {boolean[][][]} exits - Repetitions that can match where its alternatives end
+   * @property {boolean[][]} first - Characters its alternatives can start with
+   * @property {boolean} atStart - Whether nothing required was read in the current alternative
+   */
+
+  /** @type {boolean[][]} Repetitions that can match at the current position */
+  let pending = [];
+  /** @returns {GroupState} */
+  const openGroup = () => ({
+    quantified: false,
+    alternation: false,
+    entry: pending,
+    exits: [],
+    first: [],
+    atStart: true,
+  });
+  /** @type {GroupState[]} */
+  const groups = [openGroup()];
+  const overlaps = (/** @type {boolean[]} */ characters) =>
+    pending.some((other) => other.some((match, i) => match && characters[i]));
+
+  for (let i = 0; i < body.length;) {
+    let group = groups[groups.length - 1];
+    const char = body[i];
+
+    if (char === '(') {
+      i += body.startsWith('(?:', i) ? 3 : 1;
+      groups.push(openGroup());
+      continue;
+    }
+    if (char === '|') {
+      i++;
+      group.alternation = true;
+      group.exits.push(pending);
+      pending = group.entry;
+      group.atStart = true;
+      continue;
+    }
+    if (char === '^' || char === '$') {
+      i++;
+      continue;
+    }
+
+    /** @type {boolean[]} Characters the atom can start with */
+    let characters;
+    /** @type {GroupState | undefined} */
+    let closed;
+    if (char === ')') {
+      if (groups.length === 1) return undefined;
+      closed = /** @type {GroupState} */ (groups.pop());
+      group = groups[groups.length - 1];
+      pending = [...closed.exits, pending].flat();
+      characters = SAMPLE_CHARACTERS.map((_, j) =>
+        closed ? closed.first.some((first) => first[j]) : false
+      );
+      i++;
+    } else {
+      const end = atomEnd(body, i);
+      const atom = body.slice(i, end);
+      i = end;
+      // Word boundaries match no character
+      if (atom === '\\b' || atom === '\\B') continue;
+      characters = matchedCharacters(atom, flags);
+    }
+
+    const { length, min, max } = parseQuantifier(body.slice(i));
+    i += length;
+    // `?` is not a repetition
+    const repeated = max > 1;
+
+    if (closed) {
+      if (repeated && closed.quantified) return 'nested quantifiers';
+      if (repeated && closed.alternation) return 'repeated alternatives';
+      group.quantified ||= closed.quantified || repeated;
+      group.alternation ||= closed.alternation;
+      if (max > 1 || min === 0) {
+        const after = pending;
+        pending = closed.entry;
+        if (overlaps(characters)) return 'overlapping repetitions';
+        // Only a repeated group can start over where it ends
+        pending = [
+          ...(min === 0 ? closed.entry : []),
+          ...after,
+          ...(repeated ? [characters] : []),
+        ];
+      }
+    } else {
+      group.quantified ||= repeated;
+      if (max > 1 || min === 0) {
+        if (overlaps(characters)) return 'overlapping repetitions';
+        pending = min === 0 ? [...pending, characters] : [characters];
+      } else {
+        pending = [];
+      }
+    }
+
+    if (group.atStart) group.first.push(characters);
+    if (min > 0) group.atStart = false;
+  }
+  return undefined;
+}
+
+/**
+ * Read the quantifier at the start of a text
+ * @param {string} text
+ * @returns {{length: number, min: number, max: number}} Once, with no
+ *   length, if there is none
+ */
+function parseQuantifier(text) {
+  const match = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(text);
+  if (!match) return { length: 0, min: 1, max: 1 };
+  const [quantifier, symbol, min, range, max] = match;
+  const { length } = quantifier;
+  if (symbol === '*') return { length, min: 0, max: Infinity };
+  if (symbol === '+') return { length, min: 1, max: Infinity };
+  if (symbol === '?') return { length, min: 0, max: 1 };
+  return {
+    length,
+    min: Number(min),
+    max: !range ? Number(min) : max ? Number(max) : Infinity,
+  };
+}
+
+/**
+ * @param {string} body
+ * @param {number} start - Offset of an atom: a character, an escape, a class or `.`
+ * @returns {number} Offset after it
+ */
+function atomEnd(body, start) {
+  if (body[start] === '[') {
+    let i = start + 1;
+    while (i < body.length && body[i] !== ']') i += body[i] === '\\' ? 2 : 1;
+    return i + 1;
+  }
+  if (body[start] === '\\') {
+    const escape =
+      /^\\(?:[pPu]\{[^}]*\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[A-Za-z]|[^])/u.exec(
+        body.slice(start)
+      );
+    return start + (escape?.[0].length ?? 1);
+  }
+  return start + String.fromCodePoint(body.codePointAt(start) ?? 0).length;
+}
+
+/**
+ * @param {string} atom
+ * @param {string} flags
+ * @returns {boolean[]} Which of the sample characters it matches
+ */
+function matchedCharacters(atom, flags) {
+  try {
+    const regex = new RegExp(`^(?:${atom})$`, `${flags}u`);
+    return SAMPLE_CHARACTERS.map((char) => regex.test(char));
+  } catch {
+    // Reported when the whole pattern is compiled
+    return SAMPLE_CHARACTERS.map(() => false);
+  }
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isMap(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * CEL type name of a value
+ * @param {unknown} value
+ * @returns {string}
+ */
+function typeName(value) {
+  if (value === null || value === undefined) return 'null_type';
+  if (Array.isArray(value)) return 'list';
+  if (typeof value === 'object') return 'map';
+  if (typeof value === 'number') return 'double';
+  if (typeof value === 'boolean') return 'bool';
+  return typeof value;
+}
+
+/**
+ * @param {string} name
+ * @param {...unknown} operands
+ * @returns {Error}
+ */
+function overloadError(name, ...operands) {
+  return new Error(
+    `no matching overload for '${name}' applied to (${operands.map(typeName).join(', ')})`
+  );
+}
+
+/**
+ * @param {string} name
+ * @param {unknown[]} args
+ * @param {number} expected
+ */
+function expectArity(name, args, expected) {
+  if (args.length !== expected) {
+    throw new Error(
+      `${name}() expects ${expected} argument${expected === 1 ? '' : 's'}, got ${args.length}`
+    );
+  }
+}
@@ -0,0 +1,475 @@
+// @ts-check
+/**
+ * Built-in check functions for declarative rules
+ *
+ * Each `check` and `match` block of a declarative rule is compiled into a
+ * predicate over a {@link CheckTarget}. Compilation validates arguments and
+ * scope up front, so a rule file with a typo fails to load instead of
+ * silently never matching.
+ *
+ * @module rules/declarative/checks
+ */
+
+import {
+  isCollectionEndpoint,
+  matchesPathPattern,
+  escapeRegex,
+  getSchemaTypes,
+  isNullable,
+} from '../helpers/index.js';
+import { compileCel } from './cel.js';
+
+/**
+ * @typedef {import('../../types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('../../types.ts').PathItem} PathItem
+ * @typedef {import('../../types.ts').Operation} Operation
+ * @typedef {import('../../types.ts').Parameter} Parameter
+ * @typedef {import('../../types.ts').Schema} Schema
+ * @typedef {import('../../types.ts').DeclarativeRuleScope} DeclarativeRuleScope
+ */
+
+/**
+ * The element a declarative rule is evaluated against
+ * @typedef {Object} CheckTarget
+ * @property {OpenAPISpec} spec - Full spec
+ * @property {string} [path] - API path (path and operation scopes)
+ * @property {PathItem} [pathItem] - Path item (path and operation scopes)
+ * @property {string} [method] - Uppercase HTTP method (operation scope)
+ * @property {Operation} [operation] - Operation (operation scope)
+ * @property {string} [schemaName] - Component name, or location of an inline schema (schema scope)
+ * @property {Schema} [schema] - Schema (schema scope)
+ * @property {boolean} [inline] - Whether the schema is not a component (schema scope)
+ */
+
+/**
+ * @typedef {(target: CheckTarget) => boolean} Predicate
+ */
+
+/**
+ * @typedef {Object} CheckDefinition
+ * @property {DeclarativeRuleScope[]} scopes - Scopes where the check is available
+ * @property {(arg: unknown, where: string, issues: string[], scope: DeclarativeRuleScope) => Predicate} compile
+ */
+
+const PARAMETER_LOCATIONS = ['query', 'header', 'path', 'cookie'];
+
+/**
+ * Variables a `cel` expression can read, per scope
+ * @type {Record<DeclarativeRuleScope, Array<keyof CheckTarget>>}
+ */
+const CEL_VARIABLES = {
+  operation: ['spec', 'path', 'pathItem', 'method', 'operation'],
+  path: ['spec', 'path', 'pathItem'],
+  spec: ['spec'],
+  schema: ['spec', 'schemaName', 'schema'],
+};
+
+/**
+ * Check functions available in `check` blocks
+ * @type {Record<string, CheckDefinition>}
+ */
+const CHECKS = {
+  hasRequestBody: {
+    scopes: ['operation'],
+    compile(arg, where, issues) {
+      const expected = expectBoolean(arg, where, issues);
+      return (t) => Boolean(t.operation?.requestBody) === expected;
+    },
+  },
+
+  hasParameter: {
+    scopes: ['operation'],
+    compile(arg, where, issues) {
+      if (!isPlainObject(arg)) {
+        issues.push(`${where}: expected {names: [...], in?: location}`);
+        return () => false;
+      }
+      const names = expectStringList(arg.names, `${where}.names`, issues);
+      const location = arg.in;
+      if (
+        location !== undefined &&
+        !PARAMETER_LOCATIONS.includes(/** @type {string} */ (location))
+      ) {
+        issues.push(
+          `${where}.in: must be one of ${PARAMETER_LOCATIONS.join(', ')}`
+        );
+      }
+      const lowerNames = names.map((n) => n.toLowerCase());
+      return (t) =>
+        getEffectiveParameters(t).some(
+          (p) =>
+            (location === undefined || p.in === location) &&
+            // Header names are case-insensitive
+            (p.in === 'header'
+              ? lowerNames.includes(p.name.toLowerCase())
+              : names.includes(p.name))
+        );
+    },
+  },
+
+  hasSecurity: {
+    scopes: ['operation'],
+    compile(arg, where, issues) {
+      const expected = expectBoolean(arg, where, issues);
+      return (t) => {
+        const requirements = t.operation?.security ?? t.spec.security ?? [];
+        // An empty requirement ({}) makes authentication optional
+        const secured =
+          requirements.length > 0 &&
+          requirements.every((r) => Object.keys(r).length > 0);
+        return secured === expected;
+      };
+    },
+  },
+
+  hasResponse: {
+    scopes: ['operation'],
+    compile(arg, where, issues) {
+      if (!Array.isArray(arg) || arg.length === 0) {
+        issues.push(`${where}: expected a list of status codes`);
+        return () => false;
+      }
+      const codes = arg.map(String);
+      return (t) =>
+        codes.every((code) => t.operation?.responses?.[code] !== undefined);
+    },
+  },
+
+  pathMatches: {
+    scopes: ['operation', 'path'],
+    compile(arg, where, issues) {
+      const patterns = expectPatterns(arg, where, issues);
+      return (t) => patterns.some((p) => matchesPathPattern(t.path ?? '', p));
+    },
+  },
+
+  pathExcludes: {
+    scopes: ['operation', 'path'],
+    compile(arg, where, issues) {
+      const patterns = expectPatterns(arg, where, issues);
+      return (t) => !patterns.some((p) => matchesPathPattern(t.path ?? '', p));
+    },
+  },
+
+  isCollectionEndpoint: {
+    scopes: ['operation', 'path'],
+    compile(arg, where, issues) {
+      const expected = expectBoolean(arg, where, issues);
+      return (t) => isCollectionEndpoint(t.path ?? '') === expected;
+    },
+  },
+
+  schemaExists: {
+    scopes: ['operation', 'path', 'spec', 'schema'],
+    compile(arg, where, issues) {
+      if (!isPlainObject(arg) || typeof arg.namePattern !== 'string') {
+        issues.push(`${where}: expected {namePattern: "<glob>"}`);
+        return () => false;
+      }
+      const regex = nameGlobToRegExp(arg.namePattern);
+      return (t) =>
+        Object.keys(t.spec.components?.schemas ?? {}).some((name) =>
+          regex.test(name)
+        );
+    },
+  },
+
+  cel: {
+    scopes: ['operation', 'path', 'spec', 'schema'],
+    compile(arg, where, issues, scope) {
+      if (typeof arg !== 'string' || arg.trim() === '') {
+        issues.push(`${where}: expected a CEL expression`);
+        return () => false;
+      }
+
+      /** @type {import('./cel.js').CelProgram} */
+      let program;
+      try {
+        program = compileCel(arg);
+      } catch (error) {
+        issues.push(
+          `${where}: ${error instanceof Error ? error.message : error}`
+        );
+        return () => false;
+      }
+
+      const variables = CEL_VARIABLES[scope];
+      for (const name of program.identifiers) {
+        if (!variables.includes(/** @type {keyof CheckTarget} */ (name))) {
+          issues.push(
+            `${where}: unknown variable '${name}' in '${scope}' scope (available: ${variables.join(', ')})`
+          );
+        }
+      }
+
+      return (t) => {
+        const bindings = Object.fromEntries(
+          variables.map((name) => [name, t[name] ?? null])
+        );
+        /** @type {unknown} */
+        let result;
+        try {
+          result = program.evaluate(bindings);
+        } catch (error) {
+          const message =
+            error instanceof Error ? error.message : String(error);
+          throw new Error(`CEL evaluation failed: ${message}`);
+        }
+        if (typeof result !== 'boolean') {
+          throw new Error(
+            `CEL expression must return a bool, got ${result === null ? 'null' : Array.isArray(result) ? 'list' : typeof result}`
+          );
+        }
+        return result;
+      };
+    },
+  },
+
+  hasProperty: {
+    scopes: ['schema'],
+    compile(arg, where, issues) {
+      const names = expectStringList(
+        Array.isArray(arg) ? arg : [arg],
+        where,
+        issues
+      );
+      return (t) =>
+        names.every((name) => t.schema?.properties?.[name] !== undefined);
+    },
+  },
+
+  hasType: {
+    scopes: ['schema'],
+    compile(arg, where, issues) {
+      const types = expectStringList(
+        Array.isArray(arg) ? arg : [arg],
+        where,
+        issues
+      );
+      // A 3.1 type array matches when it allows any of the types
+      return (t) =>
+        getSchemaTypes(t.schema ?? {}).some((type) => types.includes(type));
+    },
+  },
+
+  isNullable: {
+    scopes: ['schema'],
+    compile(arg, where, issues) {
+      const expected = expectBoolean(arg, where, issues);
+      return (t) => isNullable(t.schema ?? {}) === expected;
+    },
+  },
+};
+
+/**
+ * Filters available in `match` blocks
+ * @type {Record<string, CheckDefinition>}
+ */
+const MATCHERS = {
+  methods: {
+    scopes: ['operation'],
+    compile(arg, where, issues) {
+      const methods = expectStringList(arg, where, issues).map((m) =>
+        m.toUpperCase()
+      );
+      return (t) => methods.includes(t.method ?? '');
+    },
+  },
+  pathMatches: CHECKS.pathMatches,
+  pathExcludes: CHECKS.pathExcludes,
+  tags: {
+    scopes: ['operation'],
+    compile(arg, where, issues) {
+      const tags = expectStringList(arg, where, issues);
+      return (t) => (t.operation?.tags ?? []).some((tag) => tags.includes(tag));
+    },
+  },
+  schemaMatches: {
+    scopes: ['schema'],
+    compile(arg, where, issues) {
+      const patterns = expectStringList(
+        Array.isArray(arg) ? arg : [arg],
+        where,
+        issues
+      ).map(nameGlobToRegExp);
+      // Only component schemas have a name to match
+      return (t) =>
+        !t.inline && patterns.some((regex) => regex.test(t.schemaName ?? ''));
+    },
+  },
+};
+
+/**
+ * Compile a `check` block into a predicate
+ *
+ * A mapping with several keys requires all of them to pass.
+ *
+ * @param {unknown} node - The check block
+ * @param {DeclarativeRuleScope} scope - Rule scope
+ * @param {string} where - Location prefix for error messages
+ * @param {string[]} issues - Collected compilation issues
+ * @returns {Predicate}
+ */
+export function compileCheck(node, scope, where, issues) {
+  if (!isPlainObject(node) || Object.keys(node).length === 0) {
+    issues.push(`${where}: expected a mapping of check functions`);
+    return () => false;
+  }
+
+  /** @type {Predicate[]} */
+  const predicates = [];
+
+  for (const [name, arg] of Object.entries(node)) {
+    const at = `${where}.${name}`;
+
+    switch (name) {
+      case 'and':
+      case 'or': {
+        if (!Array.isArray(arg) || arg.length === 0) {
+          issues.push(`${at}: expected a non-empty list of checks`);
+          continue;
+        }
+        const parts = arg.map((child, i) =>
+          compileCheck(child, scope, `${at}[${i}]`, issues)
+        );
+        predicates.push(
+          name === 'and'
+            ? (t) => parts.every((p) => p(t))
+            : (t) => parts.some((p) => p(t))
+        );
+        continue;
+      }
+      case 'not': {
+        const inner = compileCheck(arg, scope, at, issues);
+        predicates.push((t) => !inner(t));
+        continue;
+      }
+    }
+
+    const definition = CHECKS[name];
+    if (!definition) {
+      issues.push(
+        `${at}: unknown check function (available: ${[...Object.keys(CHECKS), 'and', 'or', 'not'].join(', ')})`
+      );
+      continue;
+    }
+    if (!definition.scopes.includes(scope)) {
+      issues.push(
+        `${at}: not available in '${scope}' scope (use ${definition.scopes.join(', ')})`
+      );
+      continue;
+    }
+    predicates.push(definition.compile(arg, at, issues, scope));
+  }
+
+  return (t) => predicates.every((p) => p(t));
+}
+
+/**
+ * Compile a `match` block into a predicate (all filters must pass)
+ * @param {unknown} node - The match block
+ * @param {DeclarativeRuleScope} scope - Rule scope
+ * @param {string} where - Location prefix for error messages
+ * @param {string[]} issues - Collected compilation issues
+ * @returns {Predicate}
+ */
+export function compileMatch(node, scope, where, issues) {
+  if (node === undefined) return () => true;
+  if (!isPlainObject(node)) {
+    issues.push(`${where}: expected a mapping of filters`);
+    return () => false;
+  }
+
+  /** @type {Predicate[]} */
+  const predicates = [];
+
+  for (const [name, arg] of Object.entries(node)) {
+    const at = `${where}.${name}`;
+    const definition = MATCHERS[name];
+    if (!definition) {
+      issues.push(
+        `${at}: unknown filter (available: ${Object.keys(MATCHERS).join(', ')})`
+      );
+      continue;
+    }
+    if (!definition.scopes.includes(scope)) {
+      issues.push(`${at}: not available in '${scope}' scope`);
+      continue;
+    }
+    predicates.push(definition.compile(arg, at, issues, scope));
+  }
+
+  return (t) => predicates.every((p) => p(t));
+}
+
+/**
+ * Parameters of an operation, including inherited path-level parameters
+ * @param {CheckTarget} target
+ * @returns {Parameter[]}
+ */
+function getEffectiveParameters(target) {
+  return [
+    ...(target.operation?.parameters ?? []),
+    ...(target.pathItem?.parameters ?? []),
+  ];
+}
+
+/**
+ * Convert a schema-name glob (e.g., "*Error*") to a regular expression
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function nameGlobToRegExp(pattern) {
+  return new RegExp(`^${pattern.split('*').map(escapeRegex).join('.*')}$`);
+}
+
+/**
+ * @param {unknown} arg
+ * @param {string} where
+ * @param {string[]} issues
+ * @returns {boolean}
+ */
+function expectBoolean(arg, where, issues) {
+  if (typeof arg !== 'boolean') {
+    issues.push(`${where}: expected true or false`);
+    return false;
+  }
+  return arg;
+}
+
+/**
+ * @param {unknown} arg
+ * @param {string} where
+ * @param {string[]} issues
+ * @returns {string[]}
+ */
+function expectStringList(arg, where, issues) {
+  if (
+    !Array.isArray(arg) ||
+    arg.length === 0 ||
+    !arg.every((v) => typeof v === 'string')
+  ) {
+    issues.push(`${where}: expected a non-empty list of strings`);
+    return [];
+  }
+  return arg;
+}
+
+/**
+ * Accept a single path pattern or a list of them
+ * @param {unknown} arg
+ * @param {string} where
+ * @param {string[]} issues
+ * @returns {string[]}
+ */
+function expectPatterns(arg, where, issues) {
+  return expectStringList(typeof arg === 'string' ? [arg] : arg, where, issues);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,507 @@
+// @ts-check
+/**
+ * Declarative Rule Compiler
+ *
+ * Turns a parsed rule document (see "Custom Rules" in RULES.md) into a
+ * regular rule instance of the class matching its `scope`, so the reviewer
+ * dispatches it like any built-in rule.
+ *
+ * @module rules/declarative/compile
+ */
+
+import { OperationRule, PathRule, SchemaRule, SpecRule } from '../base.js';
+import {
+  operationToJsonPath,
+  pathToJsonPath,
+  schemaToJsonPath,
+} from '../helpers/index.js';
+import { compileCheck, compileMatch, isPlainObject } from './checks.js';
+
+/**
+ * @typedef {import('../../types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('../../types.ts').PathItem} PathItem
+ * @typedef {import('../../types.ts').Operation} Operation
+ * @typedef {import('../../types.ts').Schema} Schema
+ * @typedef {import('../../types.ts').Finding} Finding
+ * @typedef {import('../../types.ts').Fix} Fix
+ * @typedef {import('../../types.ts').SpecChange} SpecChange
+ * @typedef {import('../../types.ts').RuleContext} RuleContext
+ * @typedef {import('../../types.ts').RuleCategory} RuleCategory
+ * @typedef {import('../../types.ts').Severity} Severity
+ * @typedef {import('../../types.ts').DeclarativeRuleScope} DeclarativeRuleScope
+ * @typedef {import('./checks.js').CheckTarget} CheckTarget
+ * @typedef {import('./checks.js').Predicate} Predicate
+ */
+
+/**
+ * A compiled rule document, shared by the scope-specific rule classes
+ * @typedef {Object} CompiledDefinition
+ * @property {Predicate} match - Which elements the rule applies to
+ * @property {Predicate} check - Passes when the element complies
+ * @property {string} message - Message template
+ * @property {string} [suggestion] - Suggestion template
+ * @property {{type: string, changes: SpecChange[]}} [fix] - Fix template
+ */
+
+/**
+ * Where a finding is reported, plus template values for that element
+ * @typedef {Object} FindingLocation
+ * @property {string} path - Finding path (e.g., "GET /users")
+ * @property {string} jsonPath - JSONPath to the element
+ * @property {Record<string, string>} vars - Template values
+ */
+
+const SCOPES = /** @type {DeclarativeRuleScope[]} */ ([
+  'operation',
+  'path',
+  'spec',
+  'schema',
+]);
+const SEVERITIES = ['error', 'warning', 'suggestion'];
+const CATEGORIES = [
+  'naming',
+  'standard-methods',
+  'errors',
+  'pagination',
+  'filtering',
+  'lro',
+  'idempotency',
+  'versioning',
+  'security',
+];
+const RULE_KEYS = [
+  'id',
+  'name',
+  'description',
+  'severity',
+  'weight',
+  'category',
+  'aip',
+  'scope',
+  'match',
+  'check',
+  'message',
+  'suggestion',
+  'fix',
+];
+const CHANGE_OPERATIONS = ['rename-key', 'set', 'add', 'remove', 'merge'];
+
+/**
+ * Placeholders available in templates, per scope
+ * @type {Record<DeclarativeRuleScope, string[]>}
+ */
+const TEMPLATE_VARS = {
+  operation: ['ruleId', 'method', 'path', 'operationId'],
+  path: ['ruleId', 'path'],
+  spec: ['ruleId', 'title'],
+  schema: ['ruleId', 'schema'],
+};
+
+/**
+ * Rule compiled from a declarative `scope: operation` document
+ */
+export class DeclarativeOperationRule extends OperationRule {
+  /** @type {CompiledDefinition} */
+  #definition;
+
+  /**
+   * @param {ConstructorParameters<typeof OperationRule>[0]} config
+   * @param {CompiledDefinition} definition
+   */
+  constructor(config, definition) {
+    super(config);
+    this.#definition = definition;
+  }
+
+  /**
+   * @param {string} method
+   * @param {Operation} operation
+   * @param {string} path
+   * @param {OpenAPISpec} spec
+   * @param {RuleContext} ctx
+   * @returns {Finding[]}
+   */
+  checkOperation(method, operation, path, spec, ctx) {
+    const target = {
+      spec,
+      path,
+      pathItem: spec.paths?.[path],
+      method,
+      operation,
+    };
+    return evaluate(this.#definition, target, ctx, {
+      path: `${method} ${path}`,
+      jsonPath: operationToJsonPath(path, method),
+      vars: {
+        ruleId: this.id,
+        method,
+        path,
+        operationId: operation.operationId ?? '',
+      },
+    });
+  }
+}
+
+/**
+ * Rule compiled from a declarative `scope: path` document
+ */
+export class DeclarativePathRule extends PathRule {
+  /** @type {CompiledDefinition} */
+  #definition;
+
+  /**
+   * @param {ConstructorParameters<typeof PathRule>[0]} config
+   * @param {CompiledDefinition} definition
+   */
+  constructor(config, definition) {
+    super(config);
+    this.#definition = definition;
+  }
+
+  /**
+   * @param {string} path
+   * @param {PathItem} pathItem
+   * @param {OpenAPISpec} spec
+   * @param {RuleContext} ctx
+   * @returns {Finding[]}
+   */
+  checkPath(path, pathItem, spec, ctx) {
+    return evaluate(this.#definition, { spec, path, pathItem }, ctx, {
+      path,
+      jsonPath: pathToJsonPath(path),
+      vars: { ruleId: this.id, path },
+    });
+  }
+}
+
+/**
+ * Rule compiled from a declarative `scope: spec` document
+ */
+export class DeclarativeSpecRule extends SpecRule {
+  /** @type {CompiledDefinition} */
+  #definition;
+
+  /**
+   * @param {ConstructorParameters<typeof SpecRule>[0]} config
+   * @param {CompiledDefinition} definition
+   */
+  constructor(config, definition) {
+    super(config);
+    this.#definition = definition;
+  }
+
+  /**
+   * @param {OpenAPISpec} spec
+   * @param {RuleContext} ctx
+   * @returns {Finding[]}
+   */
+  checkSpec(spec, ctx) {
+    return evaluate(this.#definition, { spec }, ctx, {
+      path: '$',
+      jsonPath: '$',
+      vars: { ruleId: this.id, title: spec.info?.title ?? '' },
+    });
+  }
+}
+
+/**
+ * Rule compiled from a declarative `scope: schema` document
+ */
+export class DeclarativeSchemaRule extends SchemaRule {
+  /** @type {CompiledDefinition} */
+  #definition;
+
+  /**
+   * @param {ConstructorParameters<typeof SchemaRule>[0]} config
+   * @param {CompiledDefinition} definition
+   */
+  constructor(config, definition) {
+    super(config);
+    this.#definition = definition;
+  }
+
+  /**
+   * @param {string} schemaName
+   * @param {Schema} schema
+   * @param {OpenAPISpec} spec
+   * @param {RuleContext} ctx
+   * @returns {Finding[]}
+   */
+  checkSchema(schemaName, schema, spec, ctx) {
+    const inline =
+      ctx.jsonPath !== undefined &&
+      ctx.jsonPath !== schemaToJsonPath(schemaName);
+    return evaluate(
+      this.#definition,
+      { spec, schemaName, schema, inline },
+      ctx,
+      {
+        path: ctx.location ?? schemaName,
+        jsonPath: ctx.jsonPath ?? schemaToJsonPath(schemaName),
+        vars: { ruleId: this.id, schema: schemaName },
+      }
+    );
+  }
+}
+
+const RULE_CLASSES = {
+  operation: DeclarativeOperationRule,
+  path: DeclarativePathRule,
+  spec: DeclarativeSpecRule,
+  schema: DeclarativeSchemaRule,
+};
+
+/**
+ * Run a compiled definition against one element
+ * @param {CompiledDefinition} definition
+ * @param {CheckTarget} target
+ * @param {RuleContext} ctx
+ * @param {FindingLocation} location
+ * @returns {Finding[]}
+ */
+function evaluate(definition, target, ctx, location) {
+  if (!definition.match(target) || definition.check(target)) return [];
+
+  const { vars } = location;
+
+  /** @type {Omit<Finding, 'ruleId' | 'severity' | 'category'>} */
+  const finding = {
+    path: location.path,
+    message: renderTemplate(definition.message, vars),
+    jsonPath: location.jsonPath,
+  };
+  if (definition.suggestion) {
+    finding.suggestion = renderTemplate(definition.suggestion, vars);
+  }
+  if (definition.fix) {
+    finding.fix = {
+      type: /** @type {Fix['type']} */ (definition.fix.type),
+      jsonPath: location.jsonPath,
+      specChanges: definition.fix.changes.map(
+        (change) => /** @type {SpecChange} */ (renderValue(change, vars))
+      ),
+    };
+  }
+
+  return [ctx.createFinding(finding)];
+}
+
+/**
+ * Compile a parsed rule document
+ * @param {unknown} doc - Parsed YAML/JSON rule document
+ * @param {string} [source='<inline>'] - Where the document came from (for errors)
+ * @returns {DeclarativeOperationRule | DeclarativePathRule | DeclarativeSpecRule | DeclarativeSchemaRule}
+ * @throws {Error} Listing every problem found in the document
+ */
+export function compileRule(doc, source = '<inline>') {
+  if (!isPlainObject(doc)) {
+    throw new Error(`Invalid rule ${source}: rule must be a mapping`);
+  }
+
+  /** @type {string[]} */
+  const issues = [];
+
+  for (const key of Object.keys(doc)) {
+    if (!RULE_KEYS.includes(key)) {
+      issues.push(
+        `${key}: unknown key (expected one of ${RULE_KEYS.join(', ')})`
+      );
+    }
+  }
+
+  const id = doc.id;
+  if (typeof id !== 'string' || !/^[\w.-]+\/[\w.-]+$/.test(id)) {
+    issues.push(
+      "id: must be a namespaced rule ID (e.g., 'myorg/require-auth')"
+    );
+  }
+
+  const scope = /** @type {DeclarativeRuleScope} */ (doc.scope ?? 'operation');
+  if (!SCOPES.includes(scope)) {
+    issues.push(`scope: must be one of ${SCOPES.join(', ')}`);
+  }
+
+  const severity = doc.severity ?? 'warning';
+  if (!SEVERITIES.includes(/** @type {string} */ (severity))) {
+    issues.push(`severity: must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  if (
+    doc.category !== undefined &&
+    !CATEGORIES.includes(/** @type {string} */ (doc.category))
+  ) {
+    issues.push(`category: must be one of ${CATEGORIES.join(', ')}`);
+  }
+
+  if (
+    doc.weight !== undefined &&
+    (typeof doc.weight !== 'number' || doc.weight < 0)
+  ) {
+    issues.push('weight: must be a non-negative number');
+  }
+
+  for (const key of ['name', 'description']) {
+    if (doc[key] !== undefined && typeof doc[key] !== 'string') {
+      issues.push(`${key}: must be a string`);
+    }
+  }
+
+  /** @type {string | undefined} */
+  let aip;
+  if (typeof doc.aip === 'number') {
+    aip = `AIP-${doc.aip}`;
+  } else if (typeof doc.aip === 'string' && /^AIP-\d+$/.test(doc.aip)) {
+    aip = doc.aip;
+  } else if (doc.aip !== undefined) {
+    issues.push("aip: must be an AIP number or reference (e.g., 'AIP-122')");
+  }
+
+  const vars = TEMPLATE_VARS[scope] ?? [];
+
+  if (typeof doc.message !== 'string' || doc.message.trim() === '') {
+    issues.push('message: required');
+  } else {
+    validateTemplate(doc.message, 'message', vars, issues);
+  }
+
+  if (doc.suggestion !== undefined) {
+    if (typeof doc.suggestion !== 'string') {
+      issues.push('suggestion: must be a string');
+    } else {
+      validateTemplate(doc.suggestion, 'suggestion', vars, issues);
+    }
+  }
+
+  /** @type {Predicate} */
+  let check = () => true;
+  if (doc.check === undefined) {
+    issues.push('check: required');
+  } else if (SCOPES.includes(scope)) {
+    check = compileCheck(doc.check, scope, 'check', issues);
+  }
+
+  const match = SCOPES.includes(scope)
+    ? compileMatch(doc.match, scope, 'match', issues)
+    : () => false;
+
+  const fix = doc.fix === undefined ? undefined : compileFix(doc.fix, issues);
+
+  if (issues.length > 0) {
+    throw new Error(
+      `Invalid rule ${source}:\n${issues.map((i) => `  - ${i}`).join('\n')}`
+    );
+  }
+
+  const ruleId = /** @type {string} */ (id);
+  const RuleClass = RULE_CLASSES[scope];
+
+  return new RuleClass(
+    {
+      id: ruleId,
+      name: /** @type {string | undefined} */ (doc.name) ?? ruleId,
+      aip,
+      severity: /** @type {Severity} */ (severity),
+      description: /** @type {string | undefined} */ (doc.description) ?? '',
+      category: /** @type {RuleCategory | undefined} */ (doc.category),
+      weight: /** @type {number | undefined} */ (doc.weight),
+    },
+    {
+      match,
+      check,
+      message: /** @type {string} */ (doc.message),
+      suggestion: /** @type {string | undefined} */ (doc.suggestion),
+      fix,
+    }
+  );
+}
+
+/**
+ * Validate a `fix` block
+ *
+ * Placeholders in changes are not validated: JSONPaths legitimately contain
+ * path parameters such as `{id}`, which are left untouched when rendering.
+ *
+ * @param {unknown} fix
+ * @param {string[]} issues
+ * @returns {CompiledDefinition['fix']}
+ */
+function compileFix(fix, issues) {
+  if (!isPlainObject(fix)) {
+    issues.push('fix: expected {type, changes: [...]}');
+    return undefined;
+  }
+  if (typeof fix.type !== 'string' || fix.type === '') {
+    issues.push('fix.type: required');
+  }
+  if (!Array.isArray(fix.changes) || fix.changes.length === 0) {
+    issues.push('fix.changes: expected a non-empty list of spec changes');
+    return undefined;
+  }
+
+  fix.changes.forEach((change, i) => {
+    const where = `fix.changes[${i}]`;
+    if (!isPlainObject(change)) {
+      issues.push(`${where}: expected {operation, path, ...}`);
+      return;
+    }
+    if (!CHANGE_OPERATIONS.includes(/** @type {string} */ (change.operation))) {
+      issues.push(
+        `${where}.operation: must be one of ${CHANGE_OPERATIONS.join(', ')}`
+      );
+    }
+    if (typeof change.path !== 'string' || !change.path.startsWith('$')) {
+      issues.push(`${where}.path: must be a JSONPath starting with '$'`);
+    }
+  });
+
+  return {
+    type: /** @type {string} */ (fix.type),
+    changes: /** @type {SpecChange[]} */ (fix.changes),
+  };
+}
+
+/**
+ * Report placeholders that the rule's scope cannot fill
+ * @param {string} template
+ * @param {string} where
+ * @param {string[]} vars
+ * @param {string[]} issues
+ */
+function validateTemplate(template, where, vars, issues) {
+  for (const [, name] of template.matchAll(/\{(\w+)\}/g)) {
+    if (!vars.includes(name)) {
+      issues.push(
+        `${where}: unknown placeholder {${name}} (available: ${vars.map((v) => `{${v}}`).join(', ')})`
+      );
+    }
+  }
+}
+
+/**
+ * Replace {placeholders} with values
+ * @param {string} template
+ * @param {Record<string, string>} vars
+ * @returns {string}
+ */
+function renderTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(vars, name) ? vars[name] : placeholder
+  );
+}
+
+/**
+ * Render templates in every string of a value
+ * @param {unknown} value
+ * @param {Record<string, string>} vars
+ * @returns {unknown}
+ */
+function renderValue(value, vars) {
+  if (typeof value === 'string') return renderTemplate(value, vars);
+  if (Array.isArray(value)) return value.map((v) => renderValue(v, vars));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, renderValue(v, vars)])
+    );
+  }
+  return value;
+}
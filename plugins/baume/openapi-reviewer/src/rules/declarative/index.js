@@ -0,0 +1,82 @@
+// @ts-check
+/**
+ * Declarative Rule Engine
+ *
+ * Custom rules written as YAML/JSON data (see "Custom Rules" in RULES.md)
+ * are compiled into regular rule instances, so organizations can publish
+ * rules without shipping executable code.
+ *
+ * @example
+ * ```js
+ * const rules = compileRules([
+ *   {
+ *     id: 'myorg/require-auth',
+ *     severity: 'error',
+ *     match: { pathExcludes: ['/health'] },
+ *     check: { hasSecurity: true },
+ *     message: 'Endpoint {method} {path} has no security defined',
+ *   },
+ * ]);
+ * const reviewer = new OpenAPIReviewer({ customRules: rules });
+ * ```
+ *
+ * @module rules/declarative
+ */
+
+import { compileRule } from './compile.js';
+
+export {
+  compileRule,
+  DeclarativeOperationRule,
+  DeclarativePathRule,
+  DeclarativeSpecRule,
+  DeclarativeSchemaRule,
+} from './compile.js';
+export { compileCel, CEL_LIMITS } from './cel.js';
+
+/**
+ * @typedef {import('../base.js').BaseRule} BaseRule
+ * @typedef {import('../index.js').RuleRegistry} RuleRegistry
+ */
+
+/**
+ * Compile several rule documents, rejecting duplicate IDs
+ * @param {unknown[]} docs - Parsed rule documents
+ * @param {string[]} [sources] - Where each document came from (for errors)
+ * @returns {BaseRule[]}
+ * @throws {Error} If a document is invalid or an ID is defined twice
+ */
+export function compileRules(docs, sources = []) {
+  /** @type {Map<string, string>} */
+  const seen = new Map();
+
+  return docs.map((doc, i) => {
+    const source = sources[i] ?? `<inline #${i}>`;
+    const rule = compileRule(doc, source);
+
+    const previous = seen.get(rule.id);
+    if (previous) {
+      throw new Error(
+        `Duplicate rule ID '${rule.id}' in ${source} (already defined in ${previous})`
+      );
+    }
+    seen.set(rule.id, source);
+
+    return rule;
+  });
+}
+
+/**
+ * Register compiled rules under their ID namespace (e.g., "myorg")
+ * @param {RuleRegistry} registry - Registry to add the rules to
+ * @param {BaseRule[]} rules - Compiled declarative rules
+ * @throws {Error} If a rule ID is already registered
+ */
+export function registerDeclarativeRules(registry, rules) {
+  for (const rule of rules) {
+    if (registry.getById(rule.id)) {
+      throw new Error(`Rule '${rule.id}' is already registered`);
+    }
+    registry.register(rule.id.split('/')[0], rule);
+  }
+}
@@ -12,6 +12,7 @@ export {
   escapeRegex,
   isCollectionEndpoint,
   detectCasingStyle,
+  matchesPathPattern,
 } from './path-utils.js';
 
 // Singleton detection
@@ -38,11 +39,21 @@ export {
 // Spec traversal utilities
 export {
   getAllOperations,
+  getPathItemCollections,
+  relocateJsonPath,
+  getOperationParameters,
   hasParameter,
   resolveRef,
   getResponseSchema,
+  isOpenAPI31,
+  getSchemaTypes,
+  isNullable,
+  makeNullable,
 } from './spec-utils.js';
 
+// Schema traversal
+export { walkSchemas } from './schema-walker.js';
+
 // JSONPath utilities
 export {
   pathToJsonPath,
@@ -57,4 +68,14 @@ export {
   schemaPropertyToJsonPath,
   responseSchemaToJsonPath,
   computeRenamedPath,
+  parseJsonPath,
+  formatJsonPath,
+  queryJsonPath,
+  followJsonPath,
+  toNormalizedPath,
+  toJsonPointer,
+  parseJsonPointer,
 } from './jsonpath.js';
+
+// Cascading renames
+export { renamePathSegment, renameWords } from './rename.js';
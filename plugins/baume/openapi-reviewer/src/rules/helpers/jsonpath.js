@@ -132,3 +132,505 @@ export function computeRenamedPath(originalPath, oldSegment, newSegment) {
   const segments = originalPath.split('/');
   return segments.map((s) => (s === oldSegment ? newSegment : s)).join('/');
 }
+
+/**
+ * Split a JSONPath into its segments
+ *
+ * Handles the paths these helpers build: dot notation, quoted brackets
+ * and array indices.
+ * - $.paths['/users'].get -> ['paths', '/users', 'get']
+ * - $.paths.get.parameters[0] -> ['paths', 'get', 'parameters', '0']
+ *
+ * @param {string} jsonPath - With or without the leading `$`
+ * @returns {string[]} Empty for the root
+ */
+export function parseJsonPath(jsonPath) {
+  const path = jsonPath.replace(/^\$\.?/, '');
+  /** @type {string[]} */
+  const segments = [];
+  let current = '';
+  let inBracket = false;
+  let quote = '';
+
+  for (const char of path) {
+    if (inBracket) {
+      if (quote) {
+        // Inside quoted string
+        if (char === quote) {
+          quote = '';
+        } else {
+          current += char;
+        }
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === ']') {
+        if (current) segments.push(current);
+        current = '';
+        inBracket = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '[') {
+      if (current) segments.push(current);
+      current = '';
+      inBracket = true;
+    } else if (char === '.') {
+      if (current) segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) segments.push(current);
+
+  return segments;
+}
+
+/**
+ * Format segments as a JSONPath, in the notation the helpers above use
+ * @param {string[]} segments - e.g., from `parseJsonPath`
+ * @returns {string} e.g., "$.paths['/users'].get.parameters[0]"
+ */
+export function formatJsonPath(segments) {
+  return (
+    '$' +
+    segments
+      .map((segment) => {
+        if (/^\d+$/.test(segment)) return `[${segment}]`;
+        if (/^[A-Za-z_$][\w$-]*$/.test(segment)) return `.${segment}`;
+        return segment.includes("'") ? `["${segment}"]` : `['${segment}']`;
+      })
+      .join('')
+  );
+}
+
+/**
+ * A node selected by a JSONPath query
+ * @typedef {Object} JsonPathNode
+ * @property {Array<string | number>} path - Member names and array indices from the root
+ * @property {unknown} value
+ */
+
+/**
+ * @typedef {{type: 'name', name: string} | {type: 'index', index: number} | {type: 'wildcard'} | {type: 'filter', path: string[], operator?: string, value?: unknown}} Selector
+ * @typedef {{descendant: boolean, selectors: Selector[]}} QuerySegment
+ */
+
+/** Comparison operators supported in filters, longest first */
+const FILTER_OPERATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+/**
+ * Select the nodes of a document matching a JSONPath query (RFC 9535)
+ *
+ * Supports the selectors overlays commonly use: names (`.name`,
+ * `['name']`), indices (`[0]`, `[-1]`), wildcards (`.*`, `[*]`),
+ * descendants (`..name`), unions (`['get','put']`) and filters comparing a
+ * member of each child with a literal (`[?@.operationId == 'getUser']`,
+ * `[?@.deprecated]`). Slices and function extensions are not supported.
+ *
+ * @param {unknown} document
+ * @param {string} query - e.g., "$.paths['/users'].get", "$.paths.*[?@.deprecated]"
+ * @returns {JsonPathNode[]} Matches, in document order
+ * @throws {Error} If the query is invalid or uses unsupported syntax
+ */
+export function queryJsonPath(document, query) {
+  /** @type {JsonPathNode[]} */
+  let nodes = [{ path: [], value: document }];
+
+  for (const { descendant, selectors } of parseQuery(query)) {
+    const candidates = descendant ? nodes.flatMap(descendants) : nodes;
+    nodes = candidates.flatMap((node) =>
+      selectors.flatMap((selector) => select(node, selector))
+    );
+  }
+
+  return nodes;
+}
+
+/**
+ * Format a node's path as an RFC 9535 normalized path
+ * @param {Array<string | number>} path
+ * @returns {string} e.g., "$['paths']['/users']['get']['parameters'][0]"
+ */
+export function toNormalizedPath(path) {
+  return (
+    '$' +
+    path
+      .map((segment) =>
+        typeof segment === 'number'
+          ? `[${segment}]`
+          : `['${segment.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`
+      )
+      .join('')
+  );
+}
+
+/**
+ * Format a path as an RFC 6901 JSON Pointer
+ * @param {Array<string | number>} path - Member names and array indices
+ * @returns {string} e.g., "/paths/~1users/get/parameters/0"
+ */
+export function toJsonPointer(path) {
+  return path
+    .map(
+      (segment) =>
+        `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`
+    )
+    .join('');
+}
+
+/**
+ * Split an RFC 6901 JSON Pointer into reference tokens
+ * @param {string} pointer - e.g., "/paths/~1users/get"
+ * @returns {string[]} Empty for the whole document
+ */
+export function parseJsonPointer(pointer) {
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer '${pointer}'`);
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Follow a parsed JSONPath in a document as far as it exists
+ *
+ * Used to express a fix against the spec as written: the path may not
+ * continue through a `$ref`, whose target is what should be fixed.
+ *
+ * @param {unknown} document
+ * @param {string[]} segments - From `parseJsonPath`
+ * @returns {{path: Array<string | number>, value: unknown, found: number}}
+ *   The deepest existing node and the number of segments leading to it
+ * @throws {Error} If the path continues through a `$ref`
+ */
+export function followJsonPath(document, segments) {
+  /** @type {Array<string | number>} */
+  const path = [];
+  let value = document;
+
+  for (const segment of segments) {
+    if (Array.isArray(value) && /^\d+$/.test(segment)) {
+      const index = Number(segment);
+      if (index >= value.length) break;
+      path.push(index);
+      value = value[index];
+    } else if (
+      typeof value === 'object' &&
+      value !== null &&
+      !Array.isArray(value) &&
+      Object.hasOwn(value, segment)
+    ) {
+      path.push(segment);
+      value = /** @type {Record<string, unknown>} */ (value)[segment];
+    } else {
+      if (typeof value === 'object' && value !== null && '$ref' in value) {
+        throw new Error(
+          `${toNormalizedPath(path)} is a $ref: fix the referenced element instead`
+        );
+      }
+      break;
+    }
+  }
+
+  return { path, value, found: path.length };
+}
+
+/**
+ * Split a query into segments
+ * @param {string} query
+ * @returns {QuerySegment[]}
+ */
+function parseQuery(query) {
+  /** @param {string} reason */
+  const fail = (reason) => {
+    throw new Error(`Invalid JSONPath ${query}: ${reason}`);
+  };
+  if (query[0] !== '$') fail('must start with $');
+
+  /** @type {QuerySegment[]} */
+  const segments = [];
+  let i = 1;
+
+  while (i < query.length) {
+    const descendant = query.startsWith('..', i);
+    if (descendant) {
+      i += 2;
+    } else if (query[i] === '.') {
+      i++;
+    } else if (query[i] !== '[') {
+      fail(`unexpected '${query[i]}' at ${i}`);
+    }
+
+    if (query[i] === '[') {
+      const end = findClosingBracket(query, i);
+      if (end < 0) fail(`unclosed '[' at ${i}`);
+      segments.push({
+        descendant,
+        selectors: splitUnion(query.slice(i + 1, end)).map((s) =>
+          parseSelector(s.trim(), fail)
+        ),
+      });
+      i = end + 1;
+    } else {
+      const name = /^[^.[\s]+/.exec(query.slice(i))?.[0];
+      if (!name) fail(`missing name at ${i}`);
+      const shorthand = /** @type {string} */ (name);
+      segments.push({
+        descendant,
+        selectors: [
+          shorthand === '*'
+            ? { type: 'wildcard' }
+            : { type: 'name', name: shorthand },
+        ],
+      });
+      i += shorthand.length;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Parse one bracketed selector
+ * @param {string} text
+ * @param {(reason: string) => never} fail
+ * @returns {Selector}
+ */
+function parseSelector(text, fail) {
+  if (text === '*') return { type: 'wildcard' };
+  if (/^-?\d+$/.test(text)) return { type: 'index', index: Number(text) };
+  if (/^['"]/.test(text)) {
+    const literal = parseLiteral(text);
+    if (typeof literal !== 'string') fail(`invalid name ${text}`);
+    return { type: 'name', name: /** @type {string} */ (literal) };
+  }
+  if (text.startsWith('?')) return parseFilter(text.slice(1).trim(), fail);
+  return fail(`unsupported selector [${text}]`);
+}
+
+/**
+ * Parse a filter: a relative path, optionally compared with a literal
+ * @param {string} text - Without the leading `?`
+ * @param {(reason: string) => never} fail
+ * @returns {Selector}
+ */
+function parseFilter(text, fail) {
+  const expression =
+    text.startsWith('(') && text.endsWith(')')
+      ? text.slice(1, -1).trim()
+      : text;
+  const match = /^@((?:\.[\w$-]+|\[(?:'[^']*'|"[^"]*")\])*)\s*(.*)$/.exec(
+    expression
+  );
+  if (!match) return fail(`unsupported filter ?${text}`);
+
+  const path = parseJsonPath(match[1]);
+  const comparison = match[2].trim();
+  if (!comparison) return { type: 'filter', path };
+
+  const operator = FILTER_OPERATORS.find((op) => comparison.startsWith(op));
+  if (!operator) return fail(`unsupported filter ?${text}`);
+  const value = parseLiteral(comparison.slice(operator.length).trim());
+  if (value === undefined) return fail(`unsupported filter ?${text}`);
+
+  return { type: 'filter', path, operator, value };
+}
+
+/**
+ * Parse a literal: a quoted string, a number, true, false or null
+ * @param {string} text
+ * @returns {unknown} Undefined if the text is not a literal
+ */
+function parseLiteral(text) {
+  if (/^'(?:[^'\\]|\\.)*'$/.test(text)) {
+    return text.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  try {
+    const value = JSON.parse(text);
+    return typeof value === 'object' && value !== null ? undefined : value;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Find the `]` closing the bracket at `start`, skipping quoted strings
+ * @param {string} query
+ * @param {number} start
+ * @returns {number} -1 if there is none
+ */
+function findClosingBracket(query, start) {
+  let quote = '';
+  let depth = 0;
+  for (let i = start; i < query.length; i++) {
+    const char = query[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = '';
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split the content of brackets on the commas between selectors
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitUnion(text) {
+  /** @type {string[]} */
+  const parts = [];
+  let quote = '';
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        current += char + (text[++i] ?? '');
+        continue;
+      }
+      if (char === quote) quote = '';
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if (char === ']' || char === ')') {
+      depth--;
+    } else if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * A node followed by all nodes below it, in document order
+ * @param {JsonPathNode} node
+ * @returns {JsonPathNode[]}
+ */
+function descendants(node) {
+  return [node, ...children(node).flatMap(descendants)];
+}
+
+/**
+ * Elements of an array or members of an object
+ * @param {JsonPathNode} node
+ * @returns {JsonPathNode[]}
+ */
+function children({ path, value }) {
+  if (Array.isArray(value)) {
+    return value.map((item, index) => ({
+      path: [...path, index],
+      value: item,
+    }));
+  }
+  if (typeof value === 'object' && value !== null) {
+    return Object.entries(value).map(([key, member]) => ({
+      path: [...path, key],
+      value: member,
+    }));
+  }
+  return [];
+}
+
+/**
+ * Apply a selector to a node's children
+ * @param {JsonPathNode} node
+ * @param {Selector} selector
+ * @returns {JsonPathNode[]}
+ */
+function select(node, selector) {
+  const { path, value } = node;
+  switch (selector.type) {
+    case 'name':
+      return typeof value === 'object' &&
+        value !== null &&
+        !Array.isArray(value) &&
+        Object.hasOwn(value, selector.name)
+        ? [
+            {
+              path: [...path, selector.name],
+              value: /** @type {Record<string, unknown>} */ (value)[
+                selector.name
+              ],
+            },
+          ]
+        : [];
+    case 'index': {
+      if (!Array.isArray(value)) return [];
+      const index =
+        selector.index < 0 ? value.length + selector.index : selector.index;
+      return index >= 0 && index < value.length
+        ? [{ path: [...path, index], value: value[index] }]
+        : [];
+    }
+    case 'wildcard':
+      return children(node);
+    case 'filter':
+      return children(node).filter((child) => matchesFilter(child, selector));
+  }
+}
+
+/**
+ * @param {JsonPathNode} node
+ * @param {Extract<Selector, {type: 'filter'}>} filter
+ * @returns {boolean}
+ */
+function matchesFilter(node, { path, operator, value }) {
+  /** @type {unknown} */
+  let current = node.value;
+  let exists = true;
+  for (const segment of path) {
+    if (
+      typeof current !== 'object' ||
+      current === null ||
+      !Object.hasOwn(current, segment)
+    ) {
+      exists = false;
+      break;
+    }
+    current = /** @type {Record<string, unknown>} */ (current)[segment];
+  }
+
+  switch (operator) {
+    case undefined:
+      return exists;
+    case '==':
+      return exists && current === value;
+    case '!=':
+      return !exists || current !== value;
+  }
+  if (!exists) return false;
+  if (
+    (typeof current !== 'number' || typeof value !== 'number') &&
+    (typeof current !== 'string' || typeof value !== 'string')
+  ) {
+    return false;
+  }
+  switch (operator) {
+    case '<':
+      return current < value;
+    case '<=':
+      return current <= value;
+    case '>':
+      return current > value;
+    default:
+      return current >= value;
+  }
+}
@@ -147,3 +147,29 @@ export function detectCasingStyle(word) {
   if (/^[A-Z]/.test(word)) return 'PascalCase';
   return 'lowercase';
 }
+
+/**
+ * Check if a path matches a glob-style pattern
+ *
+ * `*` matches within a single segment, `**` matches any number of segments
+ * and `[...]` matches one character from a class (e.g., '/v[0-9]*').
+ * Patterns without wildcards must match the path exactly.
+ *
+ * @param {string} path - The URL path (e.g., '/internal/users')
+ * @param {string} pattern - Glob pattern (e.g., '/internal/*', '/docs/**')
+ * @returns {boolean}
+ */
+export function matchesPathPattern(path, pattern) {
+  const source = pattern
+    .split(/(\*\*|\*|\[[^\]/]+\])/)
+    .map((part) => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part.startsWith('[')) return part.replace(/^\[!/, '[^');
+      return escapeRegex(part);
+    })
+    .join('');
+  // '/docs/**' should also match '/docs' itself
+  const regex = new RegExp(`^${source.replace(/\/\.\*$/, '(?:/.*)?')}$`);
+  return regex.test(path);
+}
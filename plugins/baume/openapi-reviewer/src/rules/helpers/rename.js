@@ -0,0 +1,655 @@
+// @ts-check
+/**
+ * Cascading Renames
+ *
+ * Renaming one path key leaves a half-renamed spec: the paths below it
+ * still use the old segment (`/user/{id}/orders`), links still point at the
+ * old paths with `operationRef`, and a renamed path parameter is still
+ * declared, and passed by links, under its old name. `renamePathSegment`
+ * computes the changes to the key and to everything that depends on it,
+ * so a rename fix leaves a consistent spec.
+ *
+ * With `names`, names made of the segment follow it too: tags, OAuth
+ * scopes (`user:read` → `users:read`) and the operationId of the list of
+ * the collection (`listUser` → `listUsers`). The other operationIds name
+ * one resource (`getUser`, `createUser`), and SDK methods after it, so
+ * they are kept. That suits renaming a resource, not taking a verb out of
+ * a path or changing its casing.
+ *
+ * The spec is dereferenced, so an element used through `$ref`s is shared:
+ * it is changed once, at its component when it has one. A path parameter
+ * shared with paths that keep their name is copied instead, under the new
+ * name, where the renamed paths use it.
+ *
+ * Renames come last, so that the other changes address the spec with its
+ * keys as reviewed.
+ *
+ * @example
+ * ```js
+ * renamePathSegment(spec, '/user/{id}', 1, 'users', { names: true });
+ * // [
+ * //   { operation: 'set', path: "$.paths['/user'].get.operationId", value: 'listUsers' },
+ * //   { operation: 'rename-key', path: '$.paths', from: '/user', to: '/users' },
+ * //   { operation: 'rename-key', path: '$.paths', from: '/user/{id}', to: '/users/{id}' },
+ * // ]
+ * ```
+ *
+ * @module rules/helpers/rename
+ */
+
+import { formatJsonPath } from './jsonpath.js';
+import { escapeRegex } from './path-utils.js';
+
+/**
+ * @typedef {import('../../types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('../../types.ts').Operation} Operation
+ * @typedef {import('../../types.ts').Parameter} Parameter
+ * @typedef {import('../../types.ts').Link} Link
+ * @typedef {import('../../types.ts').SpecChange} SpecChange
+ */
+
+/**
+ * An operation of the spec
+ * @typedef {Object} OperationEntry
+ * @property {Operation} operation
+ * @property {string[]} location - Path of the operation in the spec
+ * @property {string} [path] - Its key under `paths` (webhooks have none)
+ */
+
+/**
+ * Changes collected for a rename, each made once per object
+ * @typedef {Object} ChangeList
+ * @property {SpecChange[]} changes
+ * @property {(object: object, location: string[], key: string, value: unknown) => void} set
+ *   Set a member of an object (or an item of an array) at its location
+ * @property {(object: object, location: string[], from: string, to: string) => void} renameKey
+ */
+
+const HTTP_METHODS = [
+  'get',
+  'put',
+  'post',
+  'delete',
+  'options',
+  'head',
+  'patch',
+  'trace',
+];
+
+/**
+ * Changes renaming a segment of a path, in every path that starts with it,
+ * and updating what refers to those paths
+ *
+ * @param {OpenAPISpec} spec - The spec as reviewed
+ * @param {string} path - A path containing the segment
+ * @param {number} index - Index of the segment in `path.split('/')`
+ * @param {string} replacement - New segment, e.g., "users" or "{userId}"
+ * @param {Object} [options]
+ * @param {boolean} [options.names=false] - Rename the tags, OAuth scopes
+ *   and list operationId made of the segment too
+ * @returns {SpecChange[]}
+ */
+export function renamePathSegment(
+  spec,
+  path,
+  index,
+  replacement,
+  options = {}
+) {
+  const segments = path.split('/');
+  const segment = segments[index];
+  const prefix = segments.slice(0, index + 1).join('/');
+  const renamedPrefix = [...segments.slice(0, index), replacement].join('/');
+
+  /** @type {Map<string, string>} Paths to rename, to their new name */
+  const renamed = new Map();
+  for (const key of Object.keys(spec.paths ?? {})) {
+    if (
+      key === prefix ||
+      key.startsWith(`${prefix}/`) ||
+      key.startsWith(`${prefix}:`)
+    ) {
+      renamed.set(key, renamedPrefix + key.slice(prefix.length));
+    }
+  }
+
+  const list = createChangeList();
+  const operations = getOperationEntries(spec);
+  const affected = operations.filter(
+    (entry) => entry.path !== undefined && renamed.has(entry.path)
+  );
+
+  const parameter = templateName(segment);
+  const newParameter = templateName(replacement);
+  const parameterRename =
+    parameter && newParameter && parameter !== newParameter
+      ? { from: parameter, to: newParameter }
+      : undefined;
+  if (parameterRename) {
+    renamePathParameter(spec, renamed, parameterRename, list);
+  }
+
+  /** @type {Map<string, string>} Renamed operationIds, to their new value */
+  const operationIds = new Map();
+  if (options.names) {
+    for (const { operation, location, path: key } of affected) {
+      const id = operation.operationId;
+      // Only the list is named after the collection
+      if (key !== prefix || location[2] !== 'get' || typeof id !== 'string') {
+        continue;
+      }
+      const newId = renameWords(id, segment, replacement);
+      if (newId !== id) {
+        operationIds.set(id, newId);
+        list.set(operation, location, 'operationId', newId);
+      }
+    }
+    renameTags(spec, operations, affected, [segment, replacement], list);
+    renameScopes(spec, operations, affected, [segment, replacement], list);
+  }
+
+  updateLinks(
+    spec,
+    operations,
+    { paths: renamed, operationIds, parameter: parameterRename },
+    list
+  );
+
+  return [
+    ...list.changes,
+    ...[...renamed].map(([from, to]) => ({
+      operation: /** @type {const} */ ('rename-key'),
+      path: '$.paths',
+      from,
+      to,
+    })),
+  ];
+}
+
+/**
+ * Replace a name where its words occur in an identifier, in the
+ * identifier's style
+ *
+ * - ("getUserById", "user", "users") → "getUsersById"
+ * - ("list_user_orders", "user", "users") → "list_users_orders"
+ * - ("read:user", "user", "users") → "read:users"
+ *
+ * @param {string} identifier
+ * @param {string} from
+ * @param {string} to
+ * @returns {string} The identifier, unchanged if it does not contain the words
+ */
+export function renameWords(identifier, from, to) {
+  const fromWords = splitWords(from).map((word) => word.text.toLowerCase());
+  const toWords = splitWords(to).map((word) => word.text.toLowerCase());
+  if (fromWords.length === 0 || toWords.length === 0) return identifier;
+
+  const words = splitWords(identifier);
+  let result = '';
+  let end = 0;
+  for (let i = 0; i + fromWords.length <= words.length;) {
+    const run = words.slice(i, i + fromWords.length);
+    if (!run.every((word, j) => word.text.toLowerCase() === fromWords[j])) {
+      i++;
+      continue;
+    }
+    const start = run[0].start;
+    const stop = run[run.length - 1].end;
+    result +=
+      identifier.slice(end, start) +
+      formatWords(toWords, identifier.slice(start, stop), identifier);
+    end = stop;
+    i += fromWords.length;
+  }
+  return result + identifier.slice(end);
+}
+
+/**
+ * @returns {ChangeList}
+ */
+function createChangeList() {
+  /** @type {SpecChange[]} */
+  const changes = [];
+  /** @type {WeakMap<object, Set<string>>} Members changed, by object */
+  const changed = new WeakMap();
+
+  /**
+   * @param {object} object
+   * @param {string} key
+   * @returns {boolean} Whether the member was not changed yet
+   */
+  const claim = (object, key) => {
+    const keys = changed.get(object) ?? new Set();
+    changed.set(object, keys);
+    if (keys.has(key)) return false;
+    keys.add(key);
+    return true;
+  };
+
+  return {
+    changes,
+    set(object, location, key, value) {
+      if (claim(object, key)) {
+        changes.push({
+          operation: 'set',
+          path: formatJsonPath([...location, key]),
+          value,
+        });
+      }
+    },
+    renameKey(object, location, from, to) {
+      if (claim(object, from)) {
+        changes.push({
+          operation: 'rename-key',
+          path: formatJsonPath(location),
+          from,
+          to,
+        });
+      }
+    },
+  };
+}
+
+/**
+ * The operations of the paths and webhooks of a spec
+ * @param {OpenAPISpec} spec
+ * @returns {OperationEntry[]}
+ */
+function getOperationEntries(spec) {
+  /** @type {OperationEntry[]} */
+  const entries = [];
+  for (const collection of /** @type {const} */ (['paths', 'webhooks'])) {
+    // Rules see webhooks as the `paths` of a view of the spec
+    if (collection === 'webhooks' && spec.webhooks === spec.paths) continue;
+    for (const [key, pathItem] of Object.entries(spec[collection] ?? {})) {
+      for (const method of HTTP_METHODS) {
+        const operation = /** @type {Operation | undefined} */ (
+          /** @type {Record<string, unknown>} */ (pathItem)[method]
+        );
+        if (!operation) continue;
+        entries.push({
+          operation,
+          location: [collection, key, method],
+          ...(collection === 'paths' && { path: key }),
+        });
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Rename a path parameter where the renamed paths declare it
+ * @param {OpenAPISpec} spec
+ * @param {Map<string, string>} renamed - Renamed paths
+ * @param {{from: string, to: string}} rename - Old and new parameter name
+ * @param {ChangeList} list
+ */
+function renamePathParameter(spec, renamed, rename, list) {
+  /** @type {Map<Parameter, Array<{location: string[], path: string}>>} */
+  const uses = new Map();
+  for (const [path, pathItem] of Object.entries(spec.paths ?? {})) {
+    const declared = [
+      { parameters: pathItem.parameters, location: ['paths', path] },
+      ...HTTP_METHODS.map((method) => ({
+        parameters: /** @type {Operation | undefined} */ (
+          /** @type {Record<string, unknown>} */ (pathItem)[method]
+        )?.parameters,
+        location: ['paths', path, method],
+      })),
+    ];
+    for (const { parameters, location } of declared) {
+      parameters?.forEach((parameter, i) => {
+        if (parameter?.in !== 'path' || parameter.name !== rename.from) return;
+        uses.set(parameter, [
+          ...(uses.get(parameter) ?? []),
+          { location: [...location, 'parameters', String(i)], path },
+        ]);
+      });
+    }
+  }
+
+  for (const [parameter, places] of uses) {
+    const inRenamed = places.filter(({ path }) => renamed.has(path));
+    if (inRenamed.length === 0) continue;
+
+    if (inRenamed.length === places.length) {
+      const component = Object.entries(spec.components?.parameters ?? {}).find(
+        ([, candidate]) => candidate === parameter
+      );
+      list.set(
+        parameter,
+        component
+          ? ['components', 'parameters', component[0]]
+          : inRenamed[0].location,
+        'name',
+        rename.to
+      );
+    } else {
+      // Paths that keep their name still use it
+      for (const { location } of inRenamed) {
+        const index = /** @type {string} */ (location.pop());
+        list.set({}, location, index, { ...parameter, name: rename.to });
+      }
+    }
+  }
+}
+
+/**
+ * Rename the tags of renamed operations that are named after the segment,
+ * wherever they are used
+ * @param {OpenAPISpec} spec
+ * @param {OperationEntry[]} operations
+ * @param {OperationEntry[]} affected - Operations of the renamed paths
+ * @param {[string, string]} rename - Segment and replacement
+ * @param {ChangeList} list
+ */
+function renameTags(spec, operations, affected, [segment, replacement], list) {
+  const used = new Set(
+    affected.flatMap(({ operation }) => operation.tags ?? [])
+  );
+  for (const tag of used) {
+    if (!sameWords(tag, segment)) continue;
+    const newTag = renameWords(tag, segment, replacement);
+
+    spec.tags?.forEach((declared, i) => {
+      if (declared.name === tag) {
+        list.set(declared, ['tags', String(i)], 'name', newTag);
+      }
+    });
+    for (const { operation, location } of operations) {
+      operation.tags?.forEach((name, i) => {
+        if (name === tag) {
+          list.set(
+            operation.tags ?? [],
+            [...location, 'tags'],
+            String(i),
+            newTag
+          );
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Rename the OAuth scopes of renamed operations that mention the segment,
+ * in their security scheme and in every requirement
+ * @param {OpenAPISpec} spec
+ * @param {OperationEntry[]} operations
+ * @param {OperationEntry[]} affected - Operations of the renamed paths
+ * @param {[string, string]} rename - Segment and replacement
+ * @param {ChangeList} list
+ */
+function renameScopes(
+  spec,
+  operations,
+  affected,
+  [segment, replacement],
+  list
+) {
+  const schemes = spec.components?.securitySchemes ?? {};
+
+  /** @type {Map<string, Map<string, string>>} Renamed scopes, by scheme */
+  const renamedScopes = new Map();
+  for (const { operation } of affected) {
+    for (const requirement of operation.security ?? spec.security ?? []) {
+      for (const [scheme, scopes] of Object.entries(requirement)) {
+        for (const scope of scopes) {
+          const newScope = renameWords(scope, segment, replacement);
+          if (newScope === scope) continue;
+          const byScope = renamedScopes.get(scheme) ?? new Map();
+          renamedScopes.set(scheme, byScope.set(scope, newScope));
+        }
+      }
+    }
+  }
+
+  for (const [scheme, byScope] of renamedScopes) {
+    const flows =
+      /** @type {Record<string, {scopes?: Record<string, string>}>} */ (
+        schemes[scheme]?.flows ?? {}
+      );
+    for (const [flow, settings] of Object.entries(flows)) {
+      for (const [scope, newScope] of byScope) {
+        if (settings?.scopes && Object.hasOwn(settings.scopes, scope)) {
+          list.renameKey(
+            settings.scopes,
+            ['components', 'securitySchemes', scheme, 'flows', flow, 'scopes'],
+            scope,
+            newScope
+          );
+        }
+      }
+    }
+  }
+
+  const requirements = [
+    ...(spec.security ?? []).map((requirement, i) => ({
+      requirement,
+      location: ['security', String(i)],
+    })),
+    ...operations.flatMap(({ operation, location }) =>
+      (operation.security ?? []).map((requirement, i) => ({
+        requirement,
+        location: [...location, 'security', String(i)],
+      }))
+    ),
+  ];
+  for (const { requirement, location } of requirements) {
+    for (const [scheme, scopes] of Object.entries(requirement)) {
+      scopes.forEach((scope, i) => {
+        const newScope = renamedScopes.get(scheme)?.get(scope);
+        if (newScope) {
+          list.set(scopes, [...location, scheme], String(i), newScope);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Point links at the renamed paths and operationIds, and pass a renamed
+ * path parameter under its new name
+ * @param {OpenAPISpec} spec
+ * @param {OperationEntry[]} operations
+ * @param {{paths: Map<string, string>, operationIds: Map<string, string>, parameter?: {from: string, to: string}}} renamed
+ * @param {ChangeList} list
+ */
+function updateLinks(spec, operations, renamed, list) {
+  /** @type {Map<Link, {location: string[], owners: Array<string | undefined>}>} */
+  const links = new Map();
+  /**
+   * @param {Record<string, Link> | undefined} declared
+   * @param {string[]} location
+   * @param {OperationEntry} [owner] - Operation whose response has the links
+   */
+  const collect = (declared, location, owner) => {
+    for (const [name, link] of Object.entries(declared ?? {})) {
+      if (typeof link !== 'object' || link === null) continue;
+      const entry = links.get(link) ?? {
+        location: [...location, name],
+        owners: [],
+      };
+      if (owner) entry.owners.push(owner.path);
+      links.set(link, entry);
+    }
+  };
+
+  // Components first, so shared links are changed where they are defined
+  collect(spec.components?.links, ['components', 'links']);
+  for (const [code, response] of Object.entries(
+    spec.components?.responses ?? {}
+  )) {
+    collect(response?.links, ['components', 'responses', code, 'links']);
+  }
+  for (const entry of operations) {
+    for (const [code, response] of Object.entries(
+      entry.operation.responses ?? {}
+    )) {
+      collect(
+        response?.links,
+        [...entry.location, 'responses', code, 'links'],
+        entry
+      );
+    }
+  }
+
+  /** @type {Map<string, string | undefined>} Paths of operations, by operationId */
+  const byId = new Map(
+    operations.flatMap(({ operation, path }) =>
+      typeof operation.operationId === 'string'
+        ? [[operation.operationId, path]]
+        : []
+    )
+  );
+
+  for (const [link, { location, owners }] of links) {
+    /** @type {string | undefined} Path of the linked operation */
+    let target;
+    if (typeof link.operationRef === 'string') {
+      const match = /^(.*#\/paths\/)([^/]+)(.*)$/.exec(link.operationRef);
+      if (match) {
+        const encoded = match[2].includes('%');
+        target = fromPointerSegment(match[2], encoded);
+        const newPath = renamed.paths.get(target);
+        if (newPath) {
+          list.set(
+            link,
+            location,
+            'operationRef',
+            match[1] + toPointerSegment(newPath, encoded) + match[3]
+          );
+        }
+      }
+    } else if (typeof link.operationId === 'string') {
+      target = byId.get(link.operationId);
+      const newId = renamed.operationIds.get(link.operationId);
+      if (newId) list.set(link, location, 'operationId', newId);
+    }
+
+    const { parameter } = renamed;
+    if (!parameter || !link.parameters) continue;
+    const parameters = link.parameters;
+    const parametersLocation = [...location, 'parameters'];
+
+    // Expressions reading the parameter, if every operation using the link has it
+    if (
+      owners.length > 0 &&
+      owners.every((owner) => owner !== undefined && renamed.paths.has(owner))
+    ) {
+      const expression = new RegExp(
+        `(\\$request\\.path\\.)${escapeRegex(parameter.from)}(?![\\w.-])`,
+        'g'
+      );
+      for (const [name, value] of Object.entries(parameters)) {
+        if (typeof value === 'string' && expression.test(value)) {
+          list.set(
+            parameters,
+            parametersLocation,
+            name,
+            value.replace(expression, `$1${parameter.to}`)
+          );
+        }
+      }
+    }
+
+    // The parameter passed to the linked operation
+    if (target !== undefined && renamed.paths.has(target)) {
+      for (const name of [parameter.from, `path.${parameter.from}`]) {
+        if (Object.hasOwn(parameters, name)) {
+          list.renameKey(
+            parameters,
+            parametersLocation,
+            name,
+            name.replace(parameter.from, parameter.to)
+          );
+        }
+      }
+    }
+  }
+}
+
+/**
+ * @param {string} segment - e.g., "{userId}"
+ * @returns {string | undefined} The name of a path template, e.g., "userId"
+ */
+function templateName(segment) {
+  return /^\{([^{}]+)\}$/.exec(segment)?.[1];
+}
+
+/**
+ * @param {string} segment - Segment of a JSON Pointer in a URI fragment
+ * @param {boolean} encoded - Whether it is percent-encoded
+ * @returns {string}
+ */
+function fromPointerSegment(segment, encoded) {
+  const decoded = encoded ? decodeURIComponent(segment) : segment;
+  return decoded.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+/**
+ * @param {string} key
+ * @param {boolean} encoded - Whether to percent-encode it
+ * @returns {string}
+ */
+function toPointerSegment(key, encoded) {
+  const escaped = key.replace(/~/g, '~0').replace(/\//g, '~1');
+  return encoded ? escaped.replace(/[{}]/g, encodeURIComponent) : escaped;
+}
+
+/**
+ * Split an identifier into its words: camelCase humps, and runs of letters
+ * or digits between other characters
+ * @param {string} text
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function splitWords(text) {
+  return [...text.matchAll(/[A-Z]+(?![a-z])|[A-Z]?[a-z]+|\d+/g)].map(
+    (match) => ({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+    })
+  );
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} Whether both are made of the same words
+ */
+function sameWords(a, b) {
+  const words = (/** @type {string} */ text) =>
+    splitWords(text)
+      .map((word) => word.text.toLowerCase())
+      .join(' ');
+  return words(a) === words(b);
+}
+
+/**
+ * Write words in the style of the text they replace
+ * @param {string[]} words - Lowercase
+ * @param {string} replaced - e.g., "User", "user_profile", "USER"
+ * @param {string} identifier - The text it is part of, for the separator
+ * @returns {string}
+ */
+function formatWords(words, replaced, identifier) {
+  const separator =
+    /[^A-Za-z\d]/.exec(replaced)?.[0] ??
+    (/[^A-Za-z\d]/.exec(identifier) && !/[a-z][A-Z]/.test(identifier)
+      ? /** @type {RegExpExecArray} */ (/[^A-Za-z\d]/.exec(identifier))[0]
+      : '');
+  if (/[A-Z]/.test(replaced) && replaced === replaced.toUpperCase()) {
+    return words.map((word) => word.toUpperCase()).join(separator);
+  }
+  const capitalize = (/** @type {string} */ word) =>
+    word.charAt(0).toUpperCase() + word.slice(1);
+  return words
+    .map((word, i) =>
+      (i === 0 ? /^[A-Z]/.test(replaced) : separator === '')
+        ? capitalize(word)
+        : word
+    )
+    .join(separator);
+}
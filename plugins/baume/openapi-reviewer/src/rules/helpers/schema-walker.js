@@ -0,0 +1,278 @@
+// @ts-check
+/**
+ * Schema traversal for OpenAPI specs.
+ *
+ * Finds every schema of a spec: component schemas, inline parameter,
+ * request body, response and header schemas (of paths, webhooks and
+ * reusable path items), and everything nested in them (properties, array
+ * items, additional properties, `allOf`/`oneOf`/`anyOf` branches and `not`,
+ * plus the JSON Schema 2020-12 `prefixItems`, `$defs` and
+ * `unevaluatedProperties` of OpenAPI 3.1).
+ *
+ * Each schema object is visited once, at the first place it is found.
+ * Component schemas are walked first, so after dereferencing a schema
+ * used through `$ref` is reported at its component. This also makes
+ * circular schemas safe to walk. Unresolved `$ref` objects are skipped:
+ * their target is walked as a component.
+ *
+ * @module rules/helpers/schema-walker
+ */
+
+import {
+  getAllOperations,
+  getOperationParameters,
+  getPathItemCollections,
+  relocateJsonPath,
+} from './spec-utils.js';
+import {
+  pathParametersToJsonPath,
+  requestBodyToJsonPath,
+  responseToJsonPath,
+  schemaToJsonPath,
+} from './jsonpath.js';
+
+/**
+ * @typedef {import('../../types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('../../types.ts').Schema} Schema
+ * @typedef {import('../../types.ts').MediaType} MediaType
+ * @typedef {import('../../types.ts').SchemaVisit} SchemaVisit
+ * @typedef {import('../../types.ts').PropertyVisit} PropertyVisit
+ */
+
+/** Keywords holding lists of subschemas */
+const COMBINERS = /** @type {const} */ (['allOf', 'oneOf', 'anyOf']);
+
+/**
+ * Where the walk currently is
+ * @typedef {Object} Position
+ * @property {string} root - Logical location of the root schema (e.g., "POST /books requestBody")
+ * @property {string} pointer - Position below the root (e.g., "author.name")
+ * @property {string} jsonPath
+ * @property {object[]} ancestors - Enclosing elements, outermost first
+ * @property {string} [component] - Name of the component schema being walked
+ */
+
+/**
+ * Find every schema and property of a spec
+ * @param {OpenAPISpec} spec
+ * @returns {{schemas: SchemaVisit[], properties: PropertyVisit[]}}
+ */
+export function walkSchemas(spec) {
+  /** @type {SchemaVisit[]} */
+  const schemas = [];
+  /** @type {PropertyVisit[]} */
+  const properties = [];
+  /** @type {WeakSet<object>} */
+  const visited = new WeakSet();
+
+  /**
+   * @param {unknown} schema
+   * @param {Position} position
+   */
+  function walk(schema, position) {
+    if (!isSchema(schema) || '$ref' in schema || visited.has(schema)) return;
+    visited.add(schema);
+
+    const location = formatLocation(position.root, position.pointer);
+    schemas.push({
+      name:
+        position.pointer === '' && position.component
+          ? position.component
+          : location,
+      schema,
+      jsonPath: position.jsonPath,
+      location,
+      ancestors: position.ancestors,
+    });
+
+    /**
+     * @param {string} segment
+     * @param {string} jsonPath
+     * @returns {Position}
+     */
+    const child = (segment, jsonPath) => ({
+      ...position,
+      pointer: appendSegment(position.pointer, segment),
+      jsonPath,
+      ancestors: [...position.ancestors, schema],
+    });
+
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      const next = child(name, `${position.jsonPath}.properties['${name}']`);
+      if (isSchema(property)) {
+        properties.push({
+          name,
+          schema: property,
+          parentName: location,
+          jsonPath: next.jsonPath,
+          location: formatLocation(next.root, next.pointer),
+          ancestors: next.ancestors,
+        });
+      }
+      walk(property, next);
+    }
+
+    (schema.prefixItems || []).forEach((item, i) =>
+      walk(item, child(`[${i}]`, `${position.jsonPath}.prefixItems[${i}]`))
+    );
+    walk(schema.items, child('[]', `${position.jsonPath}.items`));
+
+    // Both describe the properties not listed; booleans are not schemas
+    for (const keyword of /** @type {const} */ ([
+      'additionalProperties',
+      'unevaluatedProperties',
+    ])) {
+      walk(schema[keyword], child('{}', `${position.jsonPath}.${keyword}`));
+    }
+
+    for (const [name, definition] of Object.entries(schema.$defs || {})) {
+      walk(
+        definition,
+        child(`$defs.${name}`, `${position.jsonPath}.$defs['${name}']`)
+      );
+    }
+
+    for (const keyword of COMBINERS) {
+      (schema[keyword] || []).forEach((branch, i) =>
+        walk(
+          branch,
+          child(`${keyword}[${i}]`, `${position.jsonPath}.${keyword}[${i}]`)
+        )
+      );
+    }
+
+    walk(schema.not, child('not', `${position.jsonPath}.not`));
+  }
+
+  /**
+   * Walk the schemas of a request body or response content map
+   * @param {Record<string, MediaType> | undefined} content
+   * @param {string} root
+   * @param {string} jsonPath - JSONPath of the object holding `content`
+   * @param {object[]} ancestors
+   */
+  function walkContent(content, root, jsonPath, ancestors) {
+    const mediaTypes = Object.keys(content || {});
+    for (const [mediaType, media] of Object.entries(content || {})) {
+      walk(media?.schema, {
+        root: mediaTypes.length > 1 ? `${root} (${mediaType})` : root,
+        pointer: '',
+        jsonPath: `${jsonPath}.content['${mediaType}'].schema`,
+        ancestors,
+      });
+    }
+  }
+
+  for (const [name, schema] of Object.entries(spec.components?.schemas || {})) {
+    walk(schema, {
+      root: name,
+      pointer: '',
+      jsonPath: schemaToJsonPath(name),
+      ancestors: [],
+      component: name,
+    });
+  }
+
+  for (const collection of getPathItemCollections(spec)) {
+    const { spec: view } = collection;
+    /** @param {string} jsonPath */
+    const at = (jsonPath) => relocateJsonPath(jsonPath, collection);
+
+    for (const [path, pathItem] of Object.entries(view.paths || {})) {
+      (pathItem.parameters || []).forEach((param, i) =>
+        walk(param?.schema, {
+          root: `${path} parameter ${param?.name}`,
+          pointer: '',
+          jsonPath: at(`${pathParametersToJsonPath(path)}[${i}].schema`),
+          ancestors: [pathItem, param],
+        })
+      );
+    }
+
+    for (const { path, method, operation } of getAllOperations(view)) {
+      const pathItem = /** @type {object} */ (view.paths?.[path]);
+      const scope = [pathItem, operation];
+
+      for (const { parameter, jsonPath } of getOperationParameters(
+        view,
+        path,
+        method
+      )) {
+        walk(parameter.schema, {
+          root: `${method} ${path} parameter ${parameter.name}`,
+          pointer: '',
+          jsonPath: at(`${jsonPath}.schema`),
+          ancestors: [...scope, parameter],
+        });
+      }
+
+      const requestBody = operation.requestBody;
+      if (requestBody) {
+        walkContent(
+          requestBody.content,
+          `${method} ${path} requestBody`,
+          at(requestBodyToJsonPath(path, method)),
+          [...scope, requestBody]
+        );
+      }
+
+      for (const [status, response] of Object.entries(
+        operation.responses || {}
+      )) {
+        if (!response) continue;
+        const root = `${method} ${path} ${status} response`;
+        const jsonPath = at(responseToJsonPath(path, method, status));
+        const ancestors = [...scope, response];
+
+        walkContent(response.content, root, jsonPath, ancestors);
+        for (const [header, definition] of Object.entries(
+          response.headers || {}
+        )) {
+          walk(definition?.schema, {
+            root: `${root} header ${header}`,
+            pointer: '',
+            jsonPath: `${jsonPath}.headers['${header}'].schema`,
+            ancestors: [...ancestors, definition],
+          });
+        }
+      }
+    }
+  }
+
+  return { schemas, properties };
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Schema}
+ */
+function isSchema(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Add a segment to a position below a root schema
+ *
+ * Property names and keywords are joined with dots; `[]` (array items),
+ * `[0]` (prefix items) and `{}` (additional properties) are appended as
+ * they are.
+ *
+ * @param {string} pointer
+ * @param {string} segment
+ * @returns {string}
+ */
+function appendSegment(pointer, segment) {
+  if (pointer === '' || segment.startsWith('[') || segment === '{}') {
+    return pointer + segment;
+  }
+  return `${pointer}.${segment}`;
+}
+
+/**
+ * @param {string} root
+ * @param {string} pointer
+ * @returns {string} e.g., "POST /books requestBody > author.name"
+ */
+function formatLocation(root, pointer) {
+  return pointer === '' ? root : `${root} > ${pointer}`;
+}
@@ -4,12 +4,16 @@
  * @module rules/helpers/spec-utils
  */
 
+import { parametersToJsonPath, pathParametersToJsonPath } from './jsonpath.js';
+
 /**
  * @typedef {import('../../types.ts').OpenAPISpec} OpenAPISpec
  * @typedef {import('../../types.ts').Operation} Operation
  * @typedef {import('../../types.ts').Schema} Schema
  * @typedef {import('../../types.ts').Response} Response
  * @typedef {import('../../types.ts').Parameter} Parameter
+ * @typedef {import('../../types.ts').PathItem} PathItem
+ * @typedef {import('../../types.ts').PathItemCollection} PathItemCollection
  */
 
 /**
@@ -47,6 +51,110 @@ export function getAllOperations(spec) {
   return operations;
 }
 
+/**
+ * Get the groups of path items a spec defines operations in
+ *
+ * `paths` always comes first. OpenAPI 3.1 adds `webhooks`, keyed by name,
+ * and reusable `components.pathItems`; a reusable path item that is also
+ * used under `paths` or `webhooks` (after dereferencing) is left out so its
+ * operations are reviewed once, where they are used.
+ *
+ * Each collection comes with a view of the spec whose `paths` are its path
+ * items, so path-based helpers and rules work on all of them unchanged.
+ *
+ * @param {OpenAPISpec} spec - The OpenAPI specification
+ * @returns {PathItemCollection[]}
+ */
+export function getPathItemCollections(spec) {
+  /** @type {PathItemCollection[]} */
+  const collections = [
+    { jsonPath: '$.paths', pathItems: spec.paths || {}, spec },
+  ];
+
+  if (spec.webhooks) {
+    collections.push({
+      jsonPath: '$.webhooks',
+      pathItems: spec.webhooks,
+      spec: { ...spec, paths: spec.webhooks },
+    });
+  }
+
+  if (spec.components?.pathItems) {
+    const used = new Set([
+      ...Object.values(spec.paths || {}),
+      ...Object.values(spec.webhooks || {}),
+    ]);
+    const pathItems = Object.fromEntries(
+      Object.entries(spec.components.pathItems).filter(
+        ([, pathItem]) => !used.has(pathItem)
+      )
+    );
+    collections.push({
+      jsonPath: '$.components.pathItems',
+      pathItems,
+      spec: { ...spec, paths: pathItems },
+    });
+  }
+
+  return collections;
+}
+
+/**
+ * Move a JSONPath under `$.paths` to the collection it was computed for
+ * @param {string} jsonPath - e.g., "$.paths['newBook'].post"
+ * @param {PathItemCollection} collection
+ * @returns {string} e.g., "$.webhooks['newBook'].post"
+ */
+export function relocateJsonPath(jsonPath, collection) {
+  if (
+    collection.jsonPath === '$.paths' ||
+    !/^\$\.paths(?=[[.]|$)/.test(jsonPath)
+  ) {
+    return jsonPath;
+  }
+  return collection.jsonPath + jsonPath.slice('$.paths'.length);
+}
+
+/**
+ * Get the parameters that apply to an operation, with their JSONPath
+ *
+ * Operation parameters come first; path item parameters follow unless
+ * the operation overrides them (same `name` and `in`).
+ *
+ * @param {OpenAPISpec} spec - The OpenAPI specification
+ * @param {string} path - The API path
+ * @param {string} method - HTTP method (GET, POST, etc.)
+ * @returns {Array<{parameter: Parameter, jsonPath: string}>}
+ */
+export function getOperationParameters(spec, path, method) {
+  const pathItem = spec.paths?.[path];
+  const operation = /** @type {Operation | undefined} */ (
+    /** @type {Record<string, unknown>} */ (pathItem ?? {})[
+      method.toLowerCase()
+    ]
+  );
+
+  const own = (operation?.parameters || []).map((parameter, i) => ({
+    parameter,
+    jsonPath: `${parametersToJsonPath(path, method)}[${i}]`,
+  }));
+  const inherited = (pathItem?.parameters || [])
+    .map((parameter, i) => ({
+      parameter,
+      jsonPath: `${pathParametersToJsonPath(path)}[${i}]`,
+    }))
+    .filter(
+      ({ parameter }) =>
+        !own.some(
+          (o) =>
+            o.parameter.name === parameter.name &&
+            o.parameter.in === parameter.in
+        )
+    );
+
+  return [...own, ...inherited];
+}
+
 /**
  * Check if operation has a parameter
  * @param {Operation} operation - The operation object
@@ -115,3 +223,64 @@ export function getResponseSchema(spec, operation, statusCode) {
   const schema = mediaType.schema;
   return schema.$ref ? resolveRef(spec, schema.$ref) : schema;
 }
+
+/**
+ * Whether a spec uses OpenAPI 3.1 (or later) schema idioms
+ *
+ * From 3.1 on, schemas are JSON Schema 2020-12: `nullable` is gone in
+ * favour of `type: [..., "null"]`.
+ *
+ * @param {OpenAPISpec} spec
+ * @returns {boolean}
+ */
+export function isOpenAPI31(spec) {
+  return /^3\.[1-9]/.test(spec.openapi ?? '');
+}
+
+/**
+ * Get the types a schema allows
+ *
+ * Handles both a single `type` and a 3.1 type array; a 3.0 `nullable`
+ * schema also allows "null".
+ *
+ * @param {Schema} schema
+ * @returns {string[]} e.g., ["string", "null"]; empty when unconstrained
+ */
+export function getSchemaTypes(schema) {
+  const types =
+    schema.type === undefined
+      ? []
+      : Array.isArray(schema.type)
+        ? [...schema.type]
+        : [schema.type];
+  if (schema.nullable === true && !types.includes('null')) {
+    types.push('null');
+  }
+  return types;
+}
+
+/**
+ * Check if a schema accepts null, the 3.0 or the 3.1 way
+ * @param {Schema} schema
+ * @returns {boolean}
+ */
+export function isNullable(schema) {
+  return getSchemaTypes(schema).includes('null') || schema.const === null;
+}
+
+/**
+ * Make a schema accept null in the idiom of the spec it goes into
+ * @param {Schema} schema - Schema with a single `type`
+ * @param {OpenAPISpec} spec
+ * @returns {Schema} e.g., `{type: ['string', 'null']}` for 3.1 specs,
+ *   `{type: 'string', nullable: true}` otherwise
+ */
+export function makeNullable(schema, spec) {
+  if (!isOpenAPI31(spec)) return { ...schema, nullable: true };
+
+  const types = getSchemaTypes(schema);
+  return {
+    ...schema,
+    type: types.includes('null') ? types : [...types, 'null'],
+  };
+}
@@ -8,6 +8,7 @@
  */
 
 import {
+  DEFAULT_WEIGHTS,
   BaseRule,
   SpecRule,
   PathRule,
@@ -19,6 +20,7 @@ import {
 
 // Re-export base classes
 export {
+  DEFAULT_WEIGHTS,
   BaseRule,
   SpecRule,
   PathRule,
@@ -31,6 +33,13 @@ export {
 // Re-export helpers
 export * from './helpers/index.js';
 
+// Re-export rule options helpers
+export {
+  getDefaultOptions,
+  validateOptions,
+  describeOptionType,
+} from './options.js';
+
 // Import all AIP rules
 import { rules as aip122Rules } from './aip122/index.js';
 import { rules as aip131Rules } from './aip131/index.js';
@@ -41,21 +50,48 @@ import { rules as aip135Rules } from './aip135/index.js';
 import { rules as aip155Rules } from './aip155/index.js';
 import { rules as aip158Rules } from './aip158/index.js';
 import { rules as aip193Rules } from './aip193/index.js';
+import { presets } from './presets.js';
+
+// Re-export the declarative rule engine
+export {
+  compileRule,
+  compileRules,
+  registerDeclarativeRules,
+  DeclarativeOperationRule,
+  DeclarativePathRule,
+  DeclarativeSpecRule,
+  DeclarativeSchemaRule,
+  compileCel,
+  CEL_LIMITS,
+} from './declarative/index.js';
+
+// Re-export built-in presets
+export {
+  presets as defaultPresets,
+  googleAipStrict,
+  googleAipStandard,
+  googleAipMinimal,
+  restBestPractices,
+} from './presets.js';
 
 /**
  * @typedef {import('../types.ts').RuleCategory} RuleCategory
+ * @typedef {import('../types.ts').RulePreset} RulePreset
  */
 
 /**
  * Rule Registry - manages all AIP rules
  */
 export class RuleRegistry {
-  /** @type {Map<number, BaseRule[]>} */
+  /** @type {Map<number | string, BaseRule[]>} */
   #rules = new Map();
 
+  /** @type {Map<string, RulePreset>} */
+  #presets = new Map();
+
   /**
-   * Register rules for an AIP
-   * @param {number} aip - AIP number (e.g., 122)
+   * Register rules for an AIP, or under a custom rule namespace
+   * @param {number | string} aip - AIP number (e.g., 122) or namespace (e.g., "myorg")
    * @param {...BaseRule} rules - Rules to register
    */
   register(aip, ...rules) {
@@ -112,7 +148,9 @@ export class RuleRegistry {
    * @returns {number[]}
    */
   getAips() {
-    return [...this.#rules.keys()].sort((a, b) => a - b);
+    return [...this.#rules.keys()]
+      .filter((key) => typeof key === 'number')
+      .sort((a, b) => a - b);
   }
 
   /**
@@ -122,6 +160,65 @@ export class RuleRegistry {
   get size() {
     return this.getAll().length;
   }
+
+  /**
+   * Create a registry with the same rules and presets
+   *
+   * Registering into the copy leaves this registry unchanged.
+   *
+   * @returns {RuleRegistry}
+   */
+  clone() {
+    const copy = new RuleRegistry();
+    for (const [aip, rules] of this.#rules) {
+      copy.register(aip, ...rules);
+    }
+    copy.registerPreset(...this.#presets.values());
+    return copy;
+  }
+
+  /**
+   * Register presets (replaces presets with the same name)
+   * @param {...RulePreset} presets - Presets to register
+   */
+  registerPreset(...presets) {
+    for (const preset of presets) {
+      this.#presets.set(preset.name, preset);
+    }
+  }
+
+  /**
+   * Get a preset by name
+   * @param {string} name - Preset name (e.g., "google-aip-standard")
+   * @returns {RulePreset | undefined}
+   */
+  getPreset(name) {
+    return this.#presets.get(name);
+  }
+
+  /**
+   * Get all registered presets
+   * @returns {RulePreset[]}
+   */
+  getPresets() {
+    return [...this.#presets.values()];
+  }
+
+  /**
+   * Get the rules selected by a preset
+   * @param {string} name - Preset name
+   * @returns {BaseRule[]}
+   * @throws {Error} If the preset is not registered
+   */
+  getPresetRules(name) {
+    const preset = this.getPreset(name);
+    if (!preset) {
+      const available = [...this.#presets.keys()].join(', ');
+      throw new Error(`Unknown preset '${name}' (available: ${available})`);
+    }
+    const ids = new Set(preset.rules);
+    return this.getAll().filter((r) => ids.has(r.id));
+  }
 }
 
 // Create and populate default registry
@@ -138,6 +235,9 @@ defaultRegistry.register(155, ...aip155Rules);
 defaultRegistry.register(158, ...aip158Rules);
 defaultRegistry.register(193, ...aip193Rules);
 
+// Register built-in presets
+defaultRegistry.registerPreset(...presets);
+
 /**
  * Get rules by category (backward-compat helper)
  * @param {RuleCategory[]} categories
@@ -158,5 +258,14 @@ export function getRuleById(id) {
   return defaultRegistry.getById(id);
 }
 
+/**
+ * Get a built-in preset by name
+ * @param {string} name
+ * @returns {RulePreset | undefined}
+ */
+export function getPreset(name) {
+  return defaultRegistry.getPreset(name);
+}
+
 // Backward-compat export - returns all rules as array
 export const defaultRules = defaultRegistry.getAll();
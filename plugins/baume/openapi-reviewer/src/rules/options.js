@@ -0,0 +1,156 @@
+// @ts-check
+/**
+ * Rule Options
+ *
+ * Rules declare their tunable policy (accepted parameter names, limits,
+ * allowed codes...) as a small JSON Schema subset, one entry per option:
+ *
+ * ```js
+ * options: {
+ *   pageSizeNames: {
+ *     type: 'array',
+ *     items: { type: 'string' },
+ *     default: ['page_size', 'pageSize', 'limit'],
+ *     description: 'Query parameters that set the page size',
+ *   },
+ * }
+ * ```
+ *
+ * Users override them per rule in the config file
+ * (`rules: { <id>: { options: { ... } } }`).
+ *
+ * @module rules/options
+ */
+
+/**
+ * @typedef {import('../types.ts').RuleOptionSchema} RuleOptionSchema
+ */
+
+/**
+ * Get the default value of every option that has one
+ * @param {Record<string, RuleOptionSchema>} schema
+ * @returns {Record<string, unknown>}
+ */
+export function getDefaultOptions(schema) {
+  /** @type {Record<string, unknown>} */
+  const defaults = {};
+  for (const [name, option] of Object.entries(schema)) {
+    if (option.default !== undefined) {
+      defaults[name] = structuredClone(option.default);
+    }
+  }
+  return defaults;
+}
+
+/**
+ * Freeze options and every value in them, so that rules share them safely
+ * @template T
+ * @param {T} value
+ * @returns {Readonly<T>}
+ */
+export function freezeOptions(value) {
+  if (typeof value === 'object' && value !== null && !Object.isFrozen(value)) {
+    for (const member of Object.values(value)) freezeOptions(member);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+/**
+ * Validate option values against a rule's options schema
+ * @param {Record<string, RuleOptionSchema>} schema
+ * @param {unknown} value - Options supplied by the user
+ * @param {string} [where='options'] - Location prefix for messages
+ * @returns {string[]} Issues (empty if valid)
+ */
+export function validateOptions(schema, value, where = 'options') {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return [`${where}: must be a mapping`];
+  }
+
+  /** @type {string[]} */
+  const issues = [];
+  const names = Object.keys(schema);
+
+  for (const [name, optionValue] of Object.entries(value)) {
+    const option = schema[name];
+    if (!option) {
+      issues.push(
+        names.length > 0
+          ? `${where}.${name}: unknown option (expected one of ${names.join(', ')})`
+          : `${where}.${name}: unknown option (the rule has no options)`
+      );
+      continue;
+    }
+    const issue = checkValue(option, optionValue);
+    if (issue) {
+      issues.push(`${where}.${name}: ${issue}`);
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Describe an option's type for messages and listings
+ * @param {RuleOptionSchema | Omit<RuleOptionSchema, 'description'>} option
+ * @returns {string} e.g., "integer", "list of strings"
+ */
+export function describeOptionType(option) {
+  if (option.type === 'array') {
+    return `list of ${option.items ? describeOptionType(option.items) : 'value'}s`;
+  }
+  return option.type;
+}
+
+/**
+ * Check one value against its option schema
+ * @param {RuleOptionSchema | Omit<RuleOptionSchema, 'description'>} option
+ * @param {unknown} value
+ * @returns {string | undefined} What is wrong, if anything
+ */
+function checkValue(option, value) {
+  const expected = `must be ${withArticle(describeOptionType(option))}`;
+
+  switch (option.type) {
+    case 'string':
+    case 'boolean':
+      if (typeof value !== option.type) return expected;
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return expected;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return expected;
+      break;
+    case 'array': {
+      if (!Array.isArray(value)) return expected;
+      const items = option.items;
+      if (items && value.some((item) => checkValue(items, item))) {
+        return expected;
+      }
+      break;
+    }
+  }
+
+  if (option.enum && !option.enum.includes(value)) {
+    return `must be one of ${option.enum.join(', ')}`;
+  }
+  if (
+    option.minimum !== undefined &&
+    typeof value === 'number' &&
+    value < option.minimum
+  ) {
+    return `must be at least ${option.minimum}`;
+  }
+
+  return undefined;
+}
+
+/**
+ * @param {string} noun
+ * @returns {string}
+ */
+function withArticle(noun) {
+  return /^[aeiou]/.test(noun) ? `an ${noun}` : `a ${noun}`;
+}
@@ -0,0 +1,122 @@
+// @ts-check
+/**
+ * Built-in Rule Presets
+ *
+ * A preset selects a set of rules and may adjust their severities.
+ * Presets are referenced by name through `extends:` in the project config
+ * or the `--preset` CLI flag.
+ *
+ * @module rules/presets
+ */
+
+/**
+ * @typedef {import('../types.ts').RulePreset} RulePreset
+ */
+
+/**
+ * Full AIP compliance: every rule, suggestions promoted to warnings
+ * @type {RulePreset}
+ */
+export const googleAipStrict = {
+  name: 'google-aip-strict',
+  description: 'Full AIP compliance, all rules enabled',
+  rules: [
+    'aip122/plural-resources',
+    'aip122/no-verbs',
+    'aip122/consistent-casing',
+    'aip122/nested-ownership',
+    'aip131/get-no-body',
+    'aip132/has-filtering',
+    'aip132/has-ordering',
+    'aip133/post-returns-201',
+    'aip134/patch-over-put',
+    'aip135/delete-idempotent',
+    'aip155/idempotency-key',
+    'aip158/list-paginated',
+    'aip158/max-page-size',
+    'aip158/response-next-token',
+    'aip193/schema-defined',
+    'aip193/responses-documented',
+    'aip193/standard-codes',
+  ],
+  severity: {
+    'aip122/nested-ownership': 'warning',
+    'aip132/has-filtering': 'warning',
+    'aip132/has-ordering': 'warning',
+    'aip133/post-returns-201': 'warning',
+    'aip134/patch-over-put': 'warning',
+    'aip155/idempotency-key': 'warning',
+    'aip158/max-page-size': 'warning',
+    'aip193/responses-documented': 'warning',
+    'aip193/standard-codes': 'warning',
+  },
+};
+
+/**
+ * Rules that default to errors or warnings, without the suggestions
+ * @type {RulePreset}
+ */
+export const googleAipStandard = {
+  name: 'google-aip-standard',
+  description: 'Balanced — errors and warnings, no nitpicking',
+  rules: [
+    'aip122/plural-resources',
+    'aip122/no-verbs',
+    'aip122/consistent-casing',
+    'aip131/get-no-body',
+    'aip135/delete-idempotent',
+    'aip158/list-paginated',
+    'aip158/response-next-token',
+    'aip193/schema-defined',
+  ],
+};
+
+/**
+ * Rules whose violations break clients or scale, for legacy APIs
+ * @type {RulePreset}
+ */
+export const googleAipMinimal = {
+  name: 'google-aip-minimal',
+  description: 'Critical rules only — for legacy APIs',
+  rules: [
+    'aip122/no-verbs',
+    'aip131/get-no-body',
+    'aip135/delete-idempotent',
+    'aip158/list-paginated',
+  ],
+};
+
+/**
+ * AIP-inspired REST conventions without AIP-specific vocabulary
+ * (next_page_token, parent-named ID parameters)
+ * @type {RulePreset}
+ */
+export const restBestPractices = {
+  name: 'rest-best-practices',
+  description: 'AIP-inspired with generic naming',
+  rules: [
+    'aip122/plural-resources',
+    'aip122/no-verbs',
+    'aip122/consistent-casing',
+    'aip131/get-no-body',
+    'aip132/has-filtering',
+    'aip132/has-ordering',
+    'aip133/post-returns-201',
+    'aip134/patch-over-put',
+    'aip135/delete-idempotent',
+    'aip155/idempotency-key',
+    'aip158/list-paginated',
+    'aip158/max-page-size',
+    'aip193/schema-defined',
+    'aip193/responses-documented',
+    'aip193/standard-codes',
+  ],
+};
+
+/** @type {RulePreset[]} */
+export const presets = [
+  googleAipStrict,
+  googleAipStandard,
+  googleAipMinimal,
+  restBestPractices,
+];
@@ -0,0 +1,531 @@
+// @ts-check
+/**
+ * Tests for the schema walker and parameter inheritance
+ * Run with: node --test src/schema-walker.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAPIReviewer } from './reviewer.js';
+import {
+  getOperationParameters,
+  operationToJsonPath,
+  OperationRule,
+  ParameterRule,
+  PropertyRule,
+  walkSchemas,
+} from './rules/index.js';
+
+/** @returns {any} */
+function createSpec() {
+  const author = {
+    type: 'object',
+    properties: { name: { type: 'string' } },
+  };
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Books', version: '1.0.0' },
+    paths: {
+      '/books': {
+        parameters: [
+          { name: 'tenant', in: 'header', schema: { type: 'string' } },
+          { name: 'page_size', in: 'query', schema: { type: 'integer' } },
+        ],
+        get: {
+          parameters: [
+            { name: 'page_size', in: 'query', schema: { type: 'integer' } },
+          ],
+          responses: {
+            200: {
+              description: 'OK',
+              headers: { 'X-Total': { schema: { type: 'integer' } } },
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'array',
+                    items: { $ref: '#/components/schemas/Book' },
+                  },
+                },
+              },
+            },
+          },
+        },
+        post: {
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    title: { type: 'string' },
+                    author,
+                    tags: { type: 'array', items: { type: 'string' } },
+                  },
+                },
+              },
+            },
+          },
+          responses: { 201: { description: 'Created' } },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Book: {
+          allOf: [
+            { $ref: '#/components/schemas/Base' },
+            {
+              type: 'object',
+              properties: { isbn: { type: 'string' } },
+              additionalProperties: { type: 'string' },
+            },
+          ],
+        },
+        Base: { type: 'object', properties: { id: { type: 'string' } } },
+      },
+    },
+  };
+}
+
+/**
+ * OpenAPI 3.1 spec with a webhook, reusable path items and JSON Schema
+ * 2020-12 keywords
+ * @returns {any}
+ */
+function createSpec31() {
+  const audit = {
+    post: {
+      requestBody: {
+        content: { 'application/json': { schema: { type: 'object' } } },
+      },
+      responses: { 204: { description: 'Recorded' } },
+    },
+  };
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Books', version: '1.0.0' },
+    paths: { '/audit': audit },
+    webhooks: {
+      newBook: {
+        post: {
+          parameters: [
+            { name: 'X-Signature', in: 'header', schema: { type: 'string' } },
+          ],
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Book' },
+              },
+            },
+          },
+          responses: { 200: { description: 'OK' } },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Book: {
+          type: 'object',
+          properties: {
+            title: { type: ['string', 'null'] },
+            shelf: {
+              type: 'array',
+              prefixItems: [{ type: 'string' }, { type: 'integer' }],
+            },
+          },
+          unevaluatedProperties: false,
+          $defs: {
+            Isbn: { type: 'string', const: '978-0' },
+          },
+        },
+        Extensible: {
+          type: 'object',
+          unevaluatedProperties: { type: 'string' },
+        },
+      },
+      pathItems: {
+        Audit: audit,
+        Ping: {
+          get: {
+            responses: {
+              200: {
+                description: 'OK',
+                content: { 'text/plain': { schema: { type: 'string' } } },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * @param {import('./types.ts').ReviewResult} result
+ * @param {string} ruleId
+ */
+function findingsOf(result, ruleId) {
+  return result.findings.filter((f) => f.ruleId === ruleId);
+}
+
+describe('walkSchemas', () => {
+  it('finds inline and nested schemas with their location and JSONPath', () => {
+    const { schemas } = walkSchemas(createSpec());
+
+    assert.deepEqual(
+      schemas.map((s) => [s.location, s.jsonPath]),
+      [
+        ['Book', "$.components.schemas['Book']"],
+        ['Book > allOf[1]', "$.components.schemas['Book'].allOf[1]"],
+        [
+          'Book > allOf[1].isbn',
+          "$.components.schemas['Book'].allOf[1].properties['isbn']",
+        ],
+        [
+          'Book > allOf[1]{}',
+          "$.components.schemas['Book'].allOf[1].additionalProperties",
+        ],
+        ['Base', "$.components.schemas['Base']"],
+        ['Base > id', "$.components.schemas['Base'].properties['id']"],
+        ['/books parameter tenant', "$.paths['/books'].parameters[0].schema"],
+        [
+          '/books parameter page_size',
+          "$.paths['/books'].parameters[1].schema",
+        ],
+        [
+          'GET /books parameter page_size',
+          "$.paths['/books'].get.parameters[0].schema",
+        ],
+        [
+          'GET /books 200 response',
+          "$.paths['/books'].get.responses['200'].content['application/json'].schema",
+        ],
+        [
+          'GET /books 200 response header X-Total',
+          "$.paths['/books'].get.responses['200'].headers['X-Total'].schema",
+        ],
+        [
+          'POST /books requestBody',
+          "$.paths['/books'].post.requestBody.content['application/json'].schema",
+        ],
+        [
+          'POST /books requestBody > title',
+          "$.paths['/books'].post.requestBody.content['application/json'].schema.properties['title']",
+        ],
+        [
+          'POST /books requestBody > author',
+          "$.paths['/books'].post.requestBody.content['application/json'].schema.properties['author']",
+        ],
+        [
+          'POST /books requestBody > author.name',
+          "$.paths['/books'].post.requestBody.content['application/json'].schema.properties['author'].properties['name']",
+        ],
+        [
+          'POST /books requestBody > tags',
+          "$.paths['/books'].post.requestBody.content['application/json'].schema.properties['tags']",
+        ],
+        [
+          'POST /books requestBody > tags[]',
+          "$.paths['/books'].post.requestBody.content['application/json'].schema.properties['tags'].items",
+        ],
+      ]
+    );
+  });
+
+  it('names component schemas by their name and inline ones by location', () => {
+    const { schemas, properties } = walkSchemas(createSpec());
+
+    assert.equal(schemas[0].name, 'Book');
+    assert.equal(schemas[1].name, 'Book > allOf[1]');
+
+    const name = properties.find((p) => p.name === 'name');
+    assert.equal(name?.parentName, 'POST /books requestBody > author');
+    assert.equal(name?.location, 'POST /books requestBody > author.name');
+  });
+
+  it('visits each schema once and reports schemas reached through $ref at their component', () => {
+    const spec = createSpec();
+    // What a dereferenced spec looks like: the response shares Book's object
+    spec.paths['/books'].get.responses[200].content[
+      'application/json'
+    ].schema.items = spec.components.schemas.Book;
+
+    const { schemas } = walkSchemas(spec);
+
+    assert.equal(
+      schemas.filter((s) => s.schema === spec.components.schemas.Book).length,
+      1
+    );
+    assert.equal(new Set(schemas.map((s) => s.schema)).size, schemas.length);
+  });
+
+  it('walks circular schemas', () => {
+    /** @type {any} */
+    const node = { type: 'object', properties: {} };
+    node.properties.parent = node;
+    node.properties.children = { type: 'array', items: node };
+    const spec = {
+      openapi: '3.0.3',
+      info: { title: 'Tree', version: '1.0.0' },
+      paths: {},
+      components: { schemas: { Node: node } },
+    };
+
+    const { schemas, properties } = walkSchemas(spec);
+
+    assert.deepEqual(
+      schemas.map((s) => s.location),
+      ['Node', 'Node > children']
+    );
+    assert.deepEqual(
+      properties.map((p) => p.location),
+      ['Node > parent', 'Node > children']
+    );
+  });
+
+  it('suffixes the media type when the content has several', () => {
+    const spec = createSpec();
+    const content = spec.paths['/books'].post.requestBody.content;
+    content['application/xml'] = { schema: { type: 'string' } };
+
+    const locations = walkSchemas(spec).schemas.map((s) => s.location);
+
+    assert.ok(
+      locations.includes(
+        'POST /books requestBody (application/json) > author.name'
+      )
+    );
+    assert.ok(locations.includes('POST /books requestBody (application/xml)'));
+  });
+});
+
+describe('walkSchemas on OpenAPI 3.1 specs', () => {
+  it('walks prefixItems, $defs and unevaluatedProperties', () => {
+    const { schemas } = walkSchemas(createSpec31());
+
+    assert.deepEqual(
+      schemas
+        .filter((s) => s.jsonPath.startsWith('$.components.schemas'))
+        .map((s) => [s.location, s.jsonPath]),
+      [
+        ['Book', "$.components.schemas['Book']"],
+        ['Book > title', "$.components.schemas['Book'].properties['title']"],
+        ['Book > shelf', "$.components.schemas['Book'].properties['shelf']"],
+        [
+          'Book > shelf[0]',
+          "$.components.schemas['Book'].properties['shelf'].prefixItems[0]",
+        ],
+        [
+          'Book > shelf[1]',
+          "$.components.schemas['Book'].properties['shelf'].prefixItems[1]",
+        ],
+        ['Book > $defs.Isbn', "$.components.schemas['Book'].$defs['Isbn']"],
+        ['Extensible', "$.components.schemas['Extensible']"],
+        [
+          'Extensible > {}',
+          "$.components.schemas['Extensible'].unevaluatedProperties",
+        ],
+      ]
+    );
+  });
+
+  it('walks webhooks and path items not used under paths', () => {
+    const { schemas } = walkSchemas(createSpec31());
+
+    assert.deepEqual(
+      schemas
+        .filter((s) => !s.jsonPath.startsWith('$.components.schemas'))
+        .map((s) => [s.location, s.jsonPath]),
+      [
+        [
+          'POST /audit requestBody',
+          "$.paths['/audit'].post.requestBody.content['application/json'].schema",
+        ],
+        [
+          'POST newBook parameter X-Signature',
+          "$.webhooks['newBook'].post.parameters[0].schema",
+        ],
+        [
+          'GET Ping 200 response',
+          "$.components.pathItems['Ping'].get.responses['200'].content['text/plain'].schema",
+        ],
+      ]
+    );
+  });
+});
+
+describe('getOperationParameters', () => {
+  it('adds path-level parameters the operation does not override', () => {
+    const spec = createSpec();
+
+    assert.deepEqual(
+      getOperationParameters(spec, '/books', 'GET').map((p) => [
+        p.parameter.name,
+        p.jsonPath,
+      ]),
+      [
+        ['page_size', "$.paths['/books'].get.parameters[0]"],
+        ['tenant', "$.paths['/books'].parameters[0]"],
+      ]
+    );
+    assert.deepEqual(
+      getOperationParameters(spec, '/books', 'POST').map(
+        (p) => p.parameter.name
+      ),
+      ['tenant', 'page_size']
+    );
+  });
+});
+
+describe('OpenAPIReviewer traversal', () => {
+  it('runs property rules on inline and nested schemas', () => {
+    class NameRule extends PropertyRule {
+      constructor() {
+        super({
+          id: 'test/no-name',
+          name: 'No name',
+          severity: 'warning',
+          description: 'Properties must not be called name',
+        });
+      }
+
+      /** @type {PropertyRule['checkProperty']} */
+      checkProperty(propertyName, _property, schemaName, _spec, ctx) {
+        if (propertyName !== 'name') return [];
+        return [
+          ctx.createFinding({
+            path: schemaName,
+            message: `${ctx.location}: avoid 'name'`,
+            jsonPath: ctx.jsonPath,
+          }),
+        ];
+      }
+    }
+
+    const result = new OpenAPIReviewer({
+      customRules: [new NameRule()],
+    }).review(createSpec());
+
+    assert.deepEqual(
+      findingsOf(result, 'test/no-name').map((f) => [
+        f.path,
+        f.message,
+        f.jsonPath,
+      ]),
+      [
+        [
+          'POST /books requestBody > author',
+          "POST /books requestBody > author.name: avoid 'name'",
+          "$.paths['/books'].post.requestBody.content['application/json'].schema.properties['author'].properties['name']",
+        ],
+      ]
+    );
+  });
+
+  it('runs parameter rules on inherited path-level parameters', () => {
+    class TenantRule extends ParameterRule {
+      constructor() {
+        super({
+          id: 'test/tenant',
+          name: 'Tenant',
+          severity: 'warning',
+          description: 'Reports tenant headers',
+        });
+      }
+
+      /** @type {ParameterRule['checkParameter']} */
+      checkParameter(param, method, path, _spec, ctx) {
+        if (param.name !== 'tenant') return [];
+        return [
+          ctx.createFinding({
+            path: `${method} ${path}`,
+            message: 'tenant',
+            jsonPath: ctx.jsonPath,
+          }),
+        ];
+      }
+    }
+
+    const result = new OpenAPIReviewer({
+      customRules: [new TenantRule()],
+    }).review(createSpec());
+
+    assert.deepEqual(
+      findingsOf(result, 'test/tenant').map((f) => [f.path, f.jsonPath]),
+      [
+        ['GET /books', "$.paths['/books'].parameters[0]"],
+        ['POST /books', "$.paths['/books'].parameters[0]"],
+      ]
+    );
+  });
+
+  it('runs operation and parameter rules on webhooks and path items', () => {
+    class RequestIdRule extends OperationRule {
+      constructor() {
+        super({
+          id: 'test/request-id',
+          name: 'Request ID',
+          severity: 'suggestion',
+          description: 'Operations accept an X-Request-Id header',
+        });
+      }
+
+      /** @type {OperationRule['checkOperation']} */
+      checkOperation(method, _operation, path, _spec, ctx) {
+        const jsonPath = `${operationToJsonPath(path, method)}.parameters`;
+        return [
+          ctx.createFinding({
+            path: `${method} ${path}`,
+            message: 'No X-Request-Id header',
+            fix: {
+              type: 'add-parameter',
+              jsonPath,
+              specChanges: [
+                {
+                  operation: 'add',
+                  path: jsonPath,
+                  value: { name: 'X-Request-Id', in: 'header' },
+                },
+              ],
+            },
+          }),
+        ];
+      }
+    }
+
+    const spec = createSpec31();
+    spec.webhooks.newBook.post['x-baume-ignore'] = [
+      { rule: 'test/request-id' },
+    ];
+
+    const result = new OpenAPIReviewer({
+      customRules: [new RequestIdRule()],
+    }).review(spec);
+
+    // The Audit path item is reviewed once, under paths, and fixed in its
+    // component
+    assert.deepEqual(
+      findingsOf(result, 'test/request-id').map((f) => [
+        f.path,
+        f.jsonPath,
+        f.fix?.specChanges[0].path,
+      ]),
+      [
+        [
+          'POST /audit',
+          undefined,
+          '$.components.pathItems.Audit.post.parameters',
+        ],
+        [
+          'GET Ping',
+          "$.components.pathItems['Ping'].get",
+          '$.components.pathItems.Ping.get.parameters',
+        ],
+      ]
+    );
+    assert.deepEqual(
+      result.metadata.suppressions?.map((s) => [s.location, s.status]),
+      [["$.webhooks['newBook'].post", 'used']]
+    );
+  });
+});
@@ -0,0 +1,208 @@
+// @ts-check
+/**
+ * API Hygiene Scoring
+ *
+ * Condenses findings into a 0-100 score. Each finding costs its rule's
+ * weight, scaled by the finding's severity. The total is divided by the
+ * number of operations, so a large API is not punished for its size, and
+ * mapped through an exponential decay: the first problems cost the most
+ * points and the score never drops below zero.
+ *
+ *   score = round(100 × e^(−penalty / operations / DECAY))
+ *
+ * The same formula produces the per-category and per-tag breakdowns.
+ *
+ * @module scoring
+ */
+
+import { getAllOperations, getPathItemCollections } from './rules/index.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').RuleCategory} RuleCategory
+ * @typedef {import('./types.ts').Severity} Severity
+ * @typedef {import('./types.ts').HygieneLevel} HygieneLevel
+ * @typedef {import('./types.ts').HygieneScore} HygieneScore
+ * @typedef {import('./types.ts').ScoreBreakdown} ScoreBreakdown
+ */
+
+/**
+ * Share of a rule's weight charged per finding, by the finding's severity
+ * @type {Record<Severity, number>}
+ */
+export const SEVERITY_FACTORS = {
+  error: 1,
+  warning: 0.5,
+  suggestion: 0.2,
+};
+
+/**
+ * Penalty per operation that brings the score down to ~37 (1/e)
+ */
+export const DECAY = 8;
+
+/**
+ * Hygiene levels, from best to worst, with their minimum score
+ * @type {Array<{level: HygieneLevel, min: number}>}
+ */
+export const HYGIENE_LEVELS = [
+  { level: 'Operating Room', min: 90 },
+  { level: 'Clean', min: 75 },
+  { level: 'Presentable', min: 50 },
+  { level: 'Grimy', min: 25 },
+  { level: 'Biohazard', min: 0 },
+];
+
+/**
+ * @typedef {Object} ScoreOptions
+ * @property {Record<string, number>} weights - Weight per rule ID
+ * @property {RuleCategory[]} [categories] - Categories to include in the breakdown even without findings
+ */
+
+/**
+ * Compute the hygiene score for a review
+ * @param {Finding[]} findings - Findings (with final severities)
+ * @param {OpenAPISpec} spec - The reviewed spec (for operation counts and tags)
+ * @param {ScoreOptions} options
+ * @returns {HygieneScore}
+ */
+export function computeScore(findings, spec, { weights, categories = [] }) {
+  // Webhooks and reusable path items are reviewed, so they count too
+  const operations = getPathItemCollections(spec).flatMap((collection) =>
+    getAllOperations(collection.spec)
+  );
+  const operationCount = operations.length;
+
+  /** @type {Map<string, string[]>} Tags per "METHOD /path" */
+  const tagsByOperation = new Map();
+  /** @type {Map<string, Set<string>>} Tags of all operations under a path */
+  const tagsByPath = new Map();
+  /** @type {Map<string, number>} */
+  const operationsByTag = new Map();
+
+  for (const { path, method, operation } of operations) {
+    const tags = operation.tags ?? [];
+    tagsByOperation.set(`${method} ${path}`, tags);
+    const pathTags = tagsByPath.get(path) ?? new Set();
+    for (const tag of tags) {
+      pathTags.add(tag);
+      operationsByTag.set(tag, (operationsByTag.get(tag) ?? 0) + 1);
+    }
+    tagsByPath.set(path, pathTags);
+  }
+
+  const overall = new Tally();
+  /** @type {Map<RuleCategory, Tally>} */
+  const byCategory = new Map(categories.map((c) => [c, new Tally()]));
+  /** @type {Map<string, Tally>} */
+  const byTag = new Map(
+    [...operationsByTag.keys()].map((t) => [t, new Tally()])
+  );
+
+  for (const finding of findings) {
+    const penalty =
+      (weights[finding.ruleId] ?? 0) * SEVERITY_FACTORS[finding.severity];
+
+    overall.add(penalty);
+
+    let category = byCategory.get(finding.category);
+    if (!category) {
+      category = new Tally();
+      byCategory.set(finding.category, category);
+    }
+    category.add(penalty);
+
+    for (const tag of findingTags(finding, tagsByOperation, tagsByPath)) {
+      byTag.get(tag)?.add(penalty);
+    }
+  }
+
+  return {
+    ...overall.toBreakdown(operationCount),
+    operationCount,
+    byCategory: Object.fromEntries(
+      [...byCategory]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([c, tally]) => [c, tally.toBreakdown(operationCount)])
+    ),
+    byTag: Object.fromEntries(
+      [...byTag]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([tag, tally]) => {
+          const count = operationsByTag.get(tag) ?? 0;
+          return [tag, { ...tally.toBreakdown(count), operations: count }];
+        })
+    ),
+  };
+}
+
+/**
+ * Convert a penalty into a score
+ * @param {number} penalty - Sum of weighted finding penalties
+ * @param {number} operationCount - Operations the penalty is spread over
+ * @returns {number} Integer from 0 to 100
+ */
+export function scoreFromPenalty(penalty, operationCount) {
+  const density = penalty / Math.max(operationCount, 1);
+  return Math.round(100 * Math.exp(-density / DECAY));
+}
+
+/**
+ * Get the hygiene level for a score
+ * @param {number} score - Score from 0 to 100
+ * @returns {HygieneLevel}
+ */
+export function getHygieneLevel(score) {
+  const match = HYGIENE_LEVELS.find(({ min }) => score >= min);
+  return match?.level ?? 'Biohazard';
+}
+
+/**
+ * Tags a finding is attributed to
+ *
+ * Operation findings count for the operation's tags, path findings for the
+ * tags of every operation under the path. Spec-wide findings have no tag.
+ *
+ * @param {Finding} finding
+ * @param {Map<string, string[]>} tagsByOperation
+ * @param {Map<string, Set<string>>} tagsByPath
+ * @returns {Iterable<string>}
+ */
+function findingTags(finding, tagsByOperation, tagsByPath) {
+  const operationTags = tagsByOperation.get(finding.path);
+  if (operationTags) return operationTags;
+  return tagsByPath.get(finding.path) ?? [];
+}
+
+/**
+ * Running penalty total for one slice of the findings
+ */
+class Tally {
+  penalty = 0;
+
+  findings = 0;
+
+  /**
+   * @param {number} penalty
+   */
+  add(penalty) {
+    this.penalty += penalty;
+    this.findings++;
+  }
+
+  /**
+   * @param {number} operationCount
+   * @returns {ScoreBreakdown}
+   */
+  toBreakdown(operationCount) {
+    const score = scoreFromPenalty(this.penalty, operationCount);
+    return {
+      score,
+      level: getHygieneLevel(score),
+      // Rounded so repeated runs serialize identically
+      penalty: Math.round(this.penalty * 100) / 100,
+      findings: this.findings,
+    };
+  }
+}
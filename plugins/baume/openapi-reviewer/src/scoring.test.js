@@ -0,0 +1,222 @@
+// @ts-check
+/**
+ * Tests for the API hygiene score
+ * Run with: node --test src/scoring.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeScore,
+  scoreFromPenalty,
+  getHygieneLevel,
+  DECAY,
+} from './scoring.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import { DEFAULT_WEIGHTS, getRuleById } from './rules/index.js';
+
+/** @type {import('./types.js').OpenAPISpec} */
+const spec = {
+  openapi: '3.0.3',
+  info: { title: 'Scoring', version: '1.0.0' },
+  paths: {
+    '/users': {
+      get: { tags: ['users'], responses: { 200: { description: 'OK' } } },
+      post: { tags: ['users'], responses: { 201: { description: 'OK' } } },
+    },
+    '/users/{id}': {
+      get: { tags: ['users'], responses: { 200: { description: 'OK' } } },
+    },
+    '/getBooks': {
+      get: { tags: ['books'], responses: { 200: { description: 'OK' } } },
+    },
+  },
+};
+
+/**
+ * @param {Partial<import('./types.js').Finding>} overrides
+ * @returns {import('./types.js').Finding}
+ */
+function finding(overrides) {
+  return {
+    ruleId: 'aip122/no-verbs',
+    severity: 'error',
+    category: 'naming',
+    path: 'GET /getBooks',
+    message: 'Path contains a verb',
+    ...overrides,
+  };
+}
+
+describe('scoreFromPenalty', () => {
+  it('gives 100 without penalty and decays with penalty density', () => {
+    assert.equal(scoreFromPenalty(0, 10), 100);
+    assert.equal(scoreFromPenalty(DECAY, 1), 37);
+    assert.equal(scoreFromPenalty(DECAY * 4, 4), 37);
+    assert.ok(scoreFromPenalty(10, 1) < scoreFromPenalty(10, 5));
+    assert.equal(scoreFromPenalty(1e6, 1), 0);
+  });
+
+  it('treats a spec without operations as one operation', () => {
+    assert.equal(scoreFromPenalty(DECAY, 0), 37);
+  });
+});
+
+describe('getHygieneLevel', () => {
+  it('maps scores to levels at the documented thresholds', () => {
+    assert.equal(getHygieneLevel(100), 'Operating Room');
+    assert.equal(getHygieneLevel(90), 'Operating Room');
+    assert.equal(getHygieneLevel(89), 'Clean');
+    assert.equal(getHygieneLevel(75), 'Clean');
+    assert.equal(getHygieneLevel(74), 'Presentable');
+    assert.equal(getHygieneLevel(50), 'Presentable');
+    assert.equal(getHygieneLevel(49), 'Grimy');
+    assert.equal(getHygieneLevel(25), 'Grimy');
+    assert.equal(getHygieneLevel(24), 'Biohazard');
+    assert.equal(getHygieneLevel(0), 'Biohazard');
+  });
+});
+
+describe('computeScore', () => {
+  const weights = { 'aip122/no-verbs': 10, 'aip122/plural-resources': 5 };
+
+  it('scales each finding by weight and severity', () => {
+    const score = computeScore(
+      [
+        finding({}),
+        finding({ severity: 'warning' }),
+        finding({ severity: 'suggestion' }),
+      ],
+      spec,
+      { weights }
+    );
+
+    assert.equal(score.penalty, 10 + 5 + 2);
+    assert.equal(score.operationCount, 4);
+    assert.equal(score.findings, 3);
+    assert.equal(score.score, scoreFromPenalty(17, 4));
+  });
+
+  it('ignores findings from rules without a weight', () => {
+    const score = computeScore([finding({ ruleId: 'other/rule' })], spec, {
+      weights,
+    });
+    assert.equal(score.score, 100);
+    assert.equal(score.findings, 1);
+  });
+
+  it('breaks the score down by category', () => {
+    const score = computeScore(
+      [finding({}), finding({ category: 'pagination' })],
+      spec,
+      { weights, categories: ['naming', 'pagination', 'errors'] }
+    );
+
+    assert.deepEqual(Object.keys(score.byCategory), [
+      'errors',
+      'naming',
+      'pagination',
+    ]);
+    assert.equal(score.byCategory.errors?.score, 100);
+    assert.equal(score.byCategory.naming?.penalty, 10);
+  });
+
+  it('attributes findings to tags and normalizes by tag size', () => {
+    const score = computeScore(
+      [
+        finding({}),
+        finding({
+          ruleId: 'aip122/plural-resources',
+          path: '/users',
+          severity: 'warning',
+        }),
+      ],
+      spec,
+      { weights }
+    );
+
+    assert.deepEqual(score.byTag.books, {
+      score: scoreFromPenalty(10, 1),
+      level: getHygieneLevel(scoreFromPenalty(10, 1)),
+      penalty: 10,
+      findings: 1,
+      operations: 1,
+    });
+    assert.equal(score.byTag.users.penalty, 2.5);
+    assert.equal(score.byTag.users.score, scoreFromPenalty(2.5, 3));
+  });
+
+  it('counts the operations of webhooks and reusable path items', () => {
+    const score = computeScore(
+      [finding({ path: 'POST bookAdded' })],
+      {
+        ...spec,
+        openapi: '3.1.0',
+        webhooks: {
+          bookAdded: {
+            post: {
+              tags: ['books'],
+              responses: { 200: { description: 'OK' } },
+            },
+          },
+        },
+        components: {
+          pathItems: {
+            Audit: { get: { responses: { 200: { description: 'OK' } } } },
+          },
+        },
+      },
+      { weights }
+    );
+
+    assert.equal(score.operationCount, 6);
+    assert.equal(score.score, scoreFromPenalty(10, 6));
+    assert.equal(score.byTag.books.operations, 2);
+    assert.equal(score.byTag.books.findings, 1);
+  });
+
+  it('does not attribute spec-wide findings to tags', () => {
+    const score = computeScore(
+      [finding({ path: 'components/schemas' })],
+      spec,
+      { weights }
+    );
+    assert.equal(score.findings, 1);
+    assert.equal(score.byTag.books.findings, 0);
+    assert.equal(score.byTag.users.findings, 0);
+  });
+});
+
+describe('reviewer scoring', () => {
+  it('adds a deterministic score to the summary', () => {
+    const reviewer = new OpenAPIReviewer();
+    const first = reviewer.review(spec).summary.score;
+    const second = reviewer.review(structuredClone(spec)).summary.score;
+
+    assert.ok(first);
+    assert.ok(first.score < 100);
+    assert.deepEqual(first, second);
+  });
+
+  it('defaults rule weights from severity', () => {
+    assert.equal(getRuleById('aip122/no-verbs')?.weight, DEFAULT_WEIGHTS.error);
+    assert.equal(
+      getRuleById('aip122/plural-resources')?.weight,
+      DEFAULT_WEIGHTS.warning
+    );
+  });
+
+  it('applies weight overrides from config', () => {
+    const base = new OpenAPIReviewer().review(spec).summary.score;
+    const ignored = new OpenAPIReviewer({
+      rules: { 'aip122/no-verbs': { weight: 0 } },
+    }).review(spec).summary.score;
+
+    assert.ok(base && ignored);
+    assert.ok(ignored.score > base.score);
+    assert.equal(
+      ignored.byTag.books.penalty.toFixed(2),
+      (base.byTag.books.penalty - DEFAULT_WEIGHTS.error).toFixed(2)
+    );
+  });
+});
@@ -0,0 +1,369 @@
+// @ts-check
+/**
+ * Source Locations for Findings
+ *
+ * The reviewer works on a dereferenced spec, so findings only know their
+ * logical `path` and `jsonPath`. A SourceMap parses the original YAML or
+ * JSON files (JSON is read as YAML) and resolves those JSONPaths back to
+ * file, line and column. Where the path crosses a `$ref`, resolution
+ * continues at the referenced element, in the same file or in another one,
+ * so findings on shared components point at their definition.
+ *
+ * @example
+ * ```js
+ * const result = reviewer.review(spec, 'api.yaml');
+ * addSourceLocations(result, new SourceMap('api.yaml'));
+ * result.findings[0].location; // { file: 'api.yaml', line: 12, column: 5, ... }
+ * ```
+ *
+ * @module source-map
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import {
+  LineCounter,
+  isAlias,
+  isMap,
+  isScalar,
+  isSeq,
+  parseDocument,
+} from 'yaml';
+import {
+  operationToJsonPath,
+  parseJsonPath,
+  pathToJsonPath,
+} from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').ReviewResult} ReviewResult
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').SourceLocation} SourceLocation
+ * @typedef {import('yaml').Document.Parsed} ParsedDocument
+ * @typedef {import('yaml').Node} YAMLNode
+ */
+
+/**
+ * A parsed source file
+ * @typedef {Object} SourceFile
+ * @property {string} file - Path as reported in locations
+ * @property {string} text
+ * @property {ParsedDocument} document
+ * @property {LineCounter} lineCounter
+ */
+
+/**
+ * Element of a source file a JSONPath leads to
+ * @typedef {Object} SourceTarget
+ * @property {SourceFile} source
+ * @property {YAMLNode} node - The element's value
+ * @property {[number, number]} range - Offsets to report (key included for mapping entries)
+ * @property {import('yaml').Pair<unknown, unknown>} [pair] - Mapping entry holding the element
+ * @property {YAMLNode} [parent] - Mapping or sequence holding the element
+ */
+
+/**
+ * Result of resolving a JSONPath in the source
+ * @typedef {SourceTarget & {missing: string[]}} SourceElement
+ * The deepest element found, and the segments of the path below it that are not in the source
+ */
+
+/** `$ref` chains longer than this are treated as circular */
+const MAX_REF_DEPTH = 32;
+
+const HTTP_METHODS = [
+  'GET',
+  'PUT',
+  'POST',
+  'DELETE',
+  'OPTIONS',
+  'HEAD',
+  'PATCH',
+  'TRACE',
+];
+
+/**
+ * Maps JSONPaths of a spec to positions in its source files
+ */
+export class SourceMap {
+  /** @type {string} */
+  #root;
+
+  /** @type {Map<string, SourceFile | null>} Parsed files, null when unreadable */
+  #files = new Map();
+
+  /**
+   * @param {string} specPath - Path of the root spec file, as it should appear in locations
+   * @param {string} [text] - Content of the root file, when already read
+   * @param {Record<string, string>} [files] - Content of files it `$ref`s, by
+   *   path as in locations, when not to be read from disk (e.g., edited)
+   */
+  constructor(specPath, text, files = {}) {
+    this.#root = specPath;
+    for (const [file, content] of Object.entries(files)) {
+      this.#files.set(file, parseSource(file, content));
+    }
+    if (text !== undefined) {
+      this.#files.set(specPath, parseSource(specPath, text));
+    }
+  }
+
+  /**
+   * Find where an element is defined
+   *
+   * Resolves as much of the path as exists in the source, so a path to a
+   * missing key (e.g., a `maximum` a fix would add) gives the location of
+   * the element that should hold it.
+   *
+   * @param {string} jsonPath - e.g., "$.paths['/users'].get"
+   * @returns {SourceLocation | undefined} Undefined if the spec cannot be read
+   */
+  locate(jsonPath) {
+    const element = this.resolve(jsonPath);
+    return element && toLocation(element);
+  }
+
+  /**
+   * Find the source element a JSONPath leads to
+   *
+   * Like `locate`, but returns the parsed element, for tools that edit the
+   * source. `missing` lists the trailing segments that do not exist.
+   *
+   * @param {string} jsonPath
+   * @returns {SourceElement | undefined} Undefined if the spec cannot be read
+   */
+  resolve(jsonPath) {
+    const source = this.#load(this.#root);
+    if (!source?.document.contents) return undefined;
+
+    /** @type {SourceTarget} */
+    let target = {
+      source,
+      node: source.document.contents,
+      range: rangeOf(source.document.contents),
+    };
+
+    const segments = parseJsonPath(jsonPath);
+    let found = 0;
+    for (const segment of segments) {
+      const current = this.#followRefs(target);
+      const child = childOf(current.source, current.node, segment);
+      if (!child) break;
+      target = child;
+      found++;
+    }
+
+    return { ...target, missing: segments.slice(found) };
+  }
+
+  /**
+   * Follow the element if it is a `$ref`
+   * @param {SourceElement} element
+   * @returns {SourceElement} The referenced element, or the element itself
+   */
+  dereference(element) {
+    return { ...this.#followRefs(element), missing: element.missing };
+  }
+
+  /**
+   * Convert an offset in a source file to a line and column
+   * @param {string} file - File as reported in a location
+   * @param {number} offset
+   * @returns {{line: number, column: number}}
+   */
+  position(file, offset) {
+    const source = this.#load(file);
+    if (!source) return { line: 1, column: 1 };
+    const { line, col } = source.lineCounter.linePos(offset);
+    return { line, column: col };
+  }
+
+  /**
+   * Lines of a source file, for code frames
+   * @param {string} file - File as reported in a location
+   * @returns {string[] | undefined}
+   */
+  getLines(file) {
+    return this.#load(file)?.text.split(/\r?\n/);
+  }
+
+  /**
+   * Continue at the target of a `$ref`, if the element is one
+   * @param {SourceTarget} target
+   * @returns {SourceTarget} Where the reference points
+   */
+  #followRefs(target) {
+    let { source, node } = target;
+
+    for (let depth = 0; depth < MAX_REF_DEPTH; depth++) {
+      const ref = isMap(node) ? node.get('$ref') : undefined;
+      if (typeof ref !== 'string') break;
+
+      const [file, pointer = ''] = ref.split('#');
+      const next = file ? this.#load(join(dirname(source.file), file)) : source;
+      if (!next?.document.contents) break;
+
+      /** @type {YAMLNode | undefined} */
+      let resolved = next.document.contents;
+      for (const segment of parsePointer(pointer)) {
+        resolved = resolved && childOf(next, resolved, segment)?.node;
+      }
+      if (!resolved) break;
+
+      source = next;
+      node = resolved;
+    }
+
+    if (node === target.node) return target;
+    return { source, node, range: rangeOf(node) };
+  }
+
+  /**
+   * Read and parse a file once
+   * @param {string} file
+   * @returns {SourceFile | null}
+   */
+  #load(file) {
+    let source = this.#files.get(file);
+    if (source === undefined) {
+      try {
+        source = parseSource(file, readFileSync(file, 'utf-8'));
+      } catch {
+        source = null;
+      }
+      this.#files.set(file, source);
+    }
+    return source;
+  }
+}
+
+/**
+ * @param {string} file
+ * @param {string} text
+ * @returns {SourceFile}
+ */
+function parseSource(file, text) {
+  const lineCounter = new LineCounter();
+  const document = parseDocument(text, { lineCounter });
+  return { file, text, document, lineCounter };
+}
+
+/**
+ * Set `location` on the findings of a review
+ *
+ * Findings without a `jsonPath` are located from their `path` when it
+ * names an operation or a path.
+ *
+ * @param {ReviewResult} result
+ * @param {SourceMap} sourceMap
+ * @returns {ReviewResult} The same result
+ */
+export function addSourceLocations(result, sourceMap) {
+  for (const finding of result.findings) {
+    const jsonPath = finding.jsonPath ?? jsonPathFromPath(finding.path);
+    if (!jsonPath) continue;
+
+    const location = sourceMap.locate(jsonPath);
+    if (location) finding.location = location;
+  }
+  return result;
+}
+
+/**
+ * Derive a JSONPath from a finding's logical path
+ * @param {string} path - e.g., "GET /users" or "/users"
+ * @returns {string | undefined}
+ */
+function jsonPathFromPath(path) {
+  const [first, second] = path.split(' ');
+  if (HTTP_METHODS.includes(first) && second?.startsWith('/')) {
+    return operationToJsonPath(second, first);
+  }
+  if (second === undefined && first.startsWith('/')) {
+    return pathToJsonPath(first);
+  }
+  return undefined;
+}
+
+/**
+ * Get a child element of a mapping or sequence
+ * @param {SourceFile} source
+ * @param {YAMLNode} node
+ * @param {string} segment - Key or array index
+ * @returns {SourceTarget | undefined}
+ */
+function childOf(source, node, segment) {
+  const resolved = isAlias(node) ? node.resolve(source.document) : node;
+
+  if (isMap(resolved)) {
+    const pair = resolved.items.find(
+      (item) =>
+        String(isScalar(item.key) ? item.key.value : item.key) === segment
+    );
+    if (!pair || !isScalar(pair.key)) return undefined;
+
+    const value = /** @type {YAMLNode | null} */ (pair.value);
+    const keyRange = rangeOf(pair.key);
+    return {
+      source,
+      node: value ?? pair.key,
+      range: [keyRange[0], value ? rangeOf(value)[1] : keyRange[1]],
+      pair,
+      parent: resolved,
+    };
+  }
+
+  if (isSeq(resolved) && /^\d+$/.test(segment)) {
+    const item = /** @type {YAMLNode | undefined} */ (
+      resolved.items[Number(segment)]
+    );
+    return item
+      ? { source, node: item, range: rangeOf(item), parent: resolved }
+      : undefined;
+  }
+
+  return undefined;
+}
+
+/**
+ * Split a JSON Pointer (the part of a `$ref` after `#`)
+ * @param {string} pointer - e.g., "/components/schemas/Book"
+ * @returns {string[]}
+ */
+function parsePointer(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map((segment) =>
+      decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')
+    );
+}
+
+/**
+ * @param {YAMLNode} node
+ * @returns {[number, number]}
+ */
+function rangeOf(node) {
+  const [start, end] = node.range ?? [0, 0];
+  return [start, end];
+}
+
+/**
+ * @param {SourceTarget} target
+ * @returns {SourceLocation}
+ */
+function toLocation({ source, range }) {
+  // Block values end after their last line break; point at the last character
+  let end = range[1];
+  while (end > range[0] && /\s/.test(source.text[end - 1])) end--;
+
+  const start = source.lineCounter.linePos(range[0]);
+  const last = source.lineCounter.linePos(end);
+  return {
+    file: source.file,
+    line: start.line,
+    column: start.col,
+    endLine: last.line,
+    endColumn: last.col,
+  };
+}
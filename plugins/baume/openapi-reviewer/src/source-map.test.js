@@ -0,0 +1,172 @@
+// @ts-check
+/**
+ * Tests for source locations
+ * Run with: node --test src/source-map.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { SourceMap, addSourceLocations } from './source-map.js';
+import { parseJsonPath } from './rules/index.js';
+
+const API = `openapi: 3.0.3
+info:
+  title: Books
+  version: 1.0.0
+paths:
+  /books:
+    get:
+      parameters:
+        - $ref: '#/components/parameters/PageSize'
+      responses:
+        200:
+          description: OK
+          content:
+            application/json:
+              schema:
+                $ref: 'schemas/book.yaml#/Book'
+components:
+  parameters:
+    PageSize:
+      name: page_size
+      in: query
+      schema:
+        type: integer
+`;
+
+const BOOK = `Book:
+  type: object
+  properties:
+    title:
+      type: string
+`;
+
+const TEMP_DIR = mkdtempSync(join(tmpdir(), 'baume-source-'));
+
+after(() => {
+  rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Write the API and its external schema file to a temp directory
+ * @returns {string} Path of the root spec
+ */
+function writeSpec() {
+  const dir = mkdtempSync(join(TEMP_DIR, 'spec-'));
+  mkdirSync(join(dir, 'schemas'));
+  writeFileSync(join(dir, 'api.yaml'), API);
+  writeFileSync(join(dir, 'schemas', 'book.yaml'), BOOK);
+  return join(dir, 'api.yaml');
+}
+
+describe('parseJsonPath', () => {
+  it('splits dot, bracket and index segments', () => {
+    assert.deepEqual(
+      parseJsonPath("$.paths['/books/{id}'].get.parameters[0].schema"),
+      ['paths', '/books/{id}', 'get', 'parameters', '0', 'schema']
+    );
+    assert.deepEqual(parseJsonPath("$.paths['/a.b']"), ['paths', '/a.b']);
+    assert.deepEqual(parseJsonPath('$'), []);
+  });
+});
+
+describe('SourceMap', () => {
+  it('locates mapping entries from their key to the end of their value', () => {
+    const specPath = writeSpec();
+    const map = new SourceMap(specPath);
+
+    assert.deepEqual(map.locate("$.paths['/books'].get"), {
+      file: specPath,
+      line: 7,
+      column: 5,
+      endLine: 16,
+      endColumn: 48,
+    });
+    assert.deepEqual(map.locate('$.info.title'), {
+      file: specPath,
+      line: 3,
+      column: 3,
+      endLine: 3,
+      endColumn: 15,
+    });
+  });
+
+  it('follows local and external $refs', () => {
+    const specPath = writeSpec();
+    const map = new SourceMap(specPath);
+
+    const parameter = map.locate("$.paths['/books'].get.parameters[0].schema");
+    assert.equal(parameter?.file, specPath);
+    assert.equal(parameter?.line, 22);
+
+    const title = map.locate(
+      "$.paths['/books'].get.responses['200'].content['application/json'].schema.properties['title']"
+    );
+    assert.deepEqual(title, {
+      file: join(specPath, '..', 'schemas', 'book.yaml'),
+      line: 4,
+      column: 5,
+      endLine: 5,
+      endColumn: 19,
+    });
+  });
+
+  it('falls back to the closest existing element', () => {
+    const specPath = writeSpec();
+    const map = new SourceMap(specPath);
+
+    assert.equal(
+      map.locate("$.components.parameters['PageSize'].schema.maximum")?.line,
+      22
+    );
+  });
+
+  it('reads JSON and in-memory content', () => {
+    const map = new SourceMap(
+      'api.json',
+      JSON.stringify({ openapi: '3.0.3', paths: { '/books': {} } }, null, 2)
+    );
+
+    assert.deepEqual(map.locate("$.paths['/books']"), {
+      file: 'api.json',
+      line: 4,
+      column: 5,
+      endLine: 4,
+      endColumn: 17,
+    });
+    assert.equal(map.getLines('api.json')?.[0], '{');
+  });
+
+  it('returns nothing for unreadable specs', () => {
+    const map = new SourceMap(join(tmpdir(), 'baume-missing.yaml'));
+    assert.equal(map.locate('$.paths'), undefined);
+  });
+});
+
+describe('addSourceLocations', () => {
+  it('locates findings by JSONPath or by operation path', () => {
+    const specPath = writeSpec();
+    /** @type {any} */
+    const result = {
+      findings: [
+        { path: 'GET /books', message: 'a' },
+        {
+          path: 'PageSize',
+          message: 'b',
+          jsonPath: "$.components.parameters['PageSize']",
+        },
+        { path: 'components/schemas', message: 'c' },
+      ],
+    };
+
+    addSourceLocations(result, new SourceMap(specPath));
+
+    assert.deepEqual(
+      result.findings.map((/** @type {any} */ f) => f.location?.line),
+      [7, 19, undefined]
+    );
+  });
+});
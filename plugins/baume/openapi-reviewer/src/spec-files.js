@@ -0,0 +1,69 @@
+// @ts-check
+/**
+ * Spec File Search
+ *
+ * Finds OpenAPI/Swagger files in a directory tree. Shared by the discovery
+ * CLI and multi-spec reviews.
+ *
+ * @module spec-files
+ */
+
+import { glob } from 'node:fs/promises';
+import { resolve } from 'node:path';
+
+/**
+ * Default glob patterns to ignore
+ */
+export const DEFAULT_IGNORES = [
+  '**/node_modules/**',
+  '**/.git/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/.next/**',
+  '**/.nuxt/**',
+];
+
+/**
+ * Glob patterns to find OpenAPI specs
+ */
+export const GLOB_PATTERNS = [
+  '**/openapi.{yaml,yml,json}',
+  '**/swagger.{yaml,yml,json}',
+  '**/api.{yaml,yml,json}',
+  '**/*openapi*.{yaml,yml,json}',
+  '**/*swagger*.{yaml,yml,json}',
+];
+
+/**
+ * Find spec files using native glob
+ * @param {string} dir - Directory to search
+ * @param {string[]} [ignores] - Glob patterns to ignore (defaults to DEFAULT_IGNORES)
+ * @returns {Promise<string[]>}
+ */
+export async function findSpecFiles(dir, ignores = DEFAULT_IGNORES) {
+  /** @type {Set<string>} */
+  const results = new Set();
+
+  const matches = glob(GLOB_PATTERNS, { cwd: dir, exclude: ignores });
+
+  for await (const match of matches) {
+    results.add(resolve(dir, match));
+  }
+
+  return [...results];
+}
+
+/**
+ * Check if content looks like OpenAPI/Swagger
+ * @param {string} content
+ * @returns {boolean}
+ */
+export function looksLikeSpec(content) {
+  return (
+    content.includes('openapi:') ||
+    content.includes('"openapi":') ||
+    content.includes('swagger:') ||
+    content.includes('"swagger":')
+  );
+}
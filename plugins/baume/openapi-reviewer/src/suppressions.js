@@ -0,0 +1,251 @@
+// @ts-check
+/**
+ * Inline Suppressions
+ *
+ * Spec authors can silence findings where they occur with an
+ * `x-baume-ignore` extension on the root document, a path item (webhooks
+ * and reusable path items included), an operation, a parameter or a
+ * component schema (and its properties):
+ *
+ * ```yaml
+ * paths:
+ *   /exports:
+ *     get:
+ *       x-baume-ignore:
+ *         - rule: aip158/list-paginated
+ *           reason: Streams a single CSV file
+ * ```
+ *
+ * A suppression covers the element it is declared on and everything
+ * below it, so one on the root document applies to the whole spec.
+ *
+ * @module suppressions
+ */
+
+import {
+  getAllOperations,
+  getPathItemCollections,
+  relocateJsonPath,
+  walkSchemas,
+} from './rules/index.js';
+import {
+  operationToJsonPath,
+  pathToJsonPath,
+} from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').Suppression} Suppression
+ */
+
+/** Vendor extension holding suppressions */
+export const SUPPRESSION_KEY = 'x-baume-ignore';
+
+/**
+ * @typedef {Object} SuppressionEntry
+ * @property {string} rule - Rule ID, "namespace/*" or "*"
+ * @property {string} [reason]
+ * @property {string} location - JSONPath of the element carrying the extension
+ * @property {number} matched - Findings suppressed so far
+ */
+
+/**
+ * Index of the suppressions declared in a spec
+ *
+ * Entries are keyed by the object carrying them. After dereferencing, a
+ * shared parameter or schema is the same object everywhere it is used,
+ * so its suppressions are reported once, at the first location found.
+ */
+export class SuppressionIndex {
+  /** @type {OpenAPISpec} */
+  #spec;
+
+  /** @type {Map<object, SuppressionEntry[]>} */
+  #byNode = new Map();
+
+  /** @type {WeakSet<object>} */
+  #visited = new WeakSet();
+
+  /** @type {string[]} Problems with malformed entries */
+  issues = [];
+
+  /**
+   * @param {OpenAPISpec} spec - Spec to collect suppressions from
+   */
+  constructor(spec) {
+    this.#spec = spec;
+    this.#collect(spec, '$');
+
+    // Path items of `paths`, webhooks and reusable path items
+    for (const collection of getPathItemCollections(spec)) {
+      /** @param {string} jsonPath */
+      const at = (jsonPath) => relocateJsonPath(jsonPath, collection);
+
+      for (const [path, pathItem] of Object.entries(collection.pathItems)) {
+        this.#collect(pathItem, at(pathToJsonPath(path)));
+        (pathItem.parameters || []).forEach((param, i) =>
+          this.#collect(param, at(`${pathToJsonPath(path)}.parameters[${i}]`))
+        );
+      }
+
+      for (const { path, method, operation } of getAllOperations(
+        collection.spec
+      )) {
+        const location = at(operationToJsonPath(path, method));
+        this.#collect(operation, location);
+        (operation.parameters || []).forEach((param, i) =>
+          this.#collect(param, `${location}.parameters[${i}]`)
+        );
+      }
+    }
+
+    // Every schema, inline ones and properties included
+    for (const { schema, jsonPath } of walkSchemas(spec).schemas) {
+      this.#collect(schema, jsonPath);
+    }
+  }
+
+  /**
+   * Whether the spec declares any suppression
+   * @returns {boolean}
+   */
+  get isEmpty() {
+    return this.#byNode.size === 0;
+  }
+
+  /**
+   * Drop the findings suppressed on the given elements
+   *
+   * Without elements, they are derived from each finding's `path`
+   * ("GET /users", "/users" or a schema name), which is how findings of
+   * spec-wide rules get matched.
+   *
+   * @param {Finding[]} findings - Findings of one rule on one element
+   * @param {object[]} [nodes] - Elements the rule checked, outermost first
+   * @returns {Finding[]} The findings that were not suppressed
+   */
+  filter(findings, nodes) {
+    if (this.isEmpty) return findings;
+
+    return findings.filter((finding) => {
+      for (const node of nodes ?? this.#nodesForFinding(finding)) {
+        const entry = this.#byNode
+          .get(node)
+          ?.find((e) => matchesRule(finding.ruleId, e.rule));
+        if (entry) {
+          entry.matched++;
+          return false;
+        }
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Report every suppression with how it was used
+   * @param {string[]} rulesApplied - IDs of the rules that ran
+   * @returns {Suppression[]}
+   */
+  report(rulesApplied) {
+    return [...this.#byNode.values()].flat().map((entry) => ({
+      rule: entry.rule,
+      ...(entry.reason !== undefined && { reason: entry.reason }),
+      location: entry.location,
+      matched: entry.matched,
+      status:
+        entry.matched > 0
+          ? 'used'
+          : rulesApplied.some((id) => matchesRule(id, entry.rule))
+            ? 'unused'
+            : 'inactive',
+    }));
+  }
+
+  /**
+   * Elements a finding belongs to, based on its `path`
+   * @param {Finding} finding
+   * @returns {object[]}
+   */
+  #nodesForFinding(finding) {
+    const spec = this.#spec;
+    const [first, second] = finding.path.split(' ');
+
+    if (second !== undefined) {
+      const pathItem = spec.paths?.[second];
+      const operation = /** @type {Record<string, object | undefined>} */ (
+        pathItem ?? {}
+      )[first.toLowerCase()];
+      return /** @type {object[]} */ (
+        [spec, pathItem, operation].filter(Boolean)
+      );
+    }
+
+    const pathItem = spec.paths?.[first];
+    if (pathItem) return [spec, pathItem];
+
+    const schema = spec.components?.schemas?.[first];
+    if (schema) return [spec, schema];
+
+    return [spec];
+  }
+
+  /**
+   * Read and validate the suppressions on one element
+   * @param {object} node
+   * @param {string} location - JSONPath of the element
+   */
+  #collect(node, location) {
+    if (this.#visited.has(node)) return;
+    this.#visited.add(node);
+
+    const raw = /** @type {Record<string, unknown>} */ (node)[SUPPRESSION_KEY];
+    if (raw === undefined) return;
+
+    const where = `${location}['${SUPPRESSION_KEY}']`;
+    if (!Array.isArray(raw)) {
+      this.issues.push(`${where}: must be a list of { rule, reason } entries`);
+      return;
+    }
+
+    /** @type {SuppressionEntry[]} */
+    const entries = [];
+    raw.forEach((item, i) => {
+      if (
+        typeof item !== 'object' ||
+        item === null ||
+        typeof item.rule !== 'string' ||
+        item.rule === ''
+      ) {
+        this.issues.push(`${where}[${i}].rule: must be a rule ID`);
+        return;
+      }
+      if (item.reason !== undefined && typeof item.reason !== 'string') {
+        this.issues.push(`${where}[${i}].reason: must be a string`);
+        return;
+      }
+      entries.push({
+        rule: item.rule,
+        reason: item.reason,
+        location,
+        matched: 0,
+      });
+    });
+
+    if (entries.length > 0) {
+      this.#byNode.set(node, entries);
+    }
+  }
+}
+
+/**
+ * Check whether a rule ID matches a suppression's rule pattern
+ * @param {string} ruleId - e.g., "aip158/list-paginated"
+ * @param {string} pattern - Exact ID, "aip158/*" or "*"
+ * @returns {boolean}
+ */
+export function matchesRule(ruleId, pattern) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('/*')) return ruleId.startsWith(pattern.slice(0, -1));
+  return ruleId === pattern;
+}
@@ -0,0 +1,291 @@
+// @ts-check
+/**
+ * Tests for x-baume-ignore suppressions
+ * Run with: node --test src/suppressions.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAPIReviewer } from './reviewer.js';
+import { SuppressionIndex, matchesRule } from './suppressions.js';
+import { formatConsole, formatMarkdown } from './formatters.js';
+import { compileRule } from './rules/index.js';
+
+/**
+ * Spec with a list endpoint that is not paginated and a verb in a path
+ * @param {Record<string, unknown>} [extra] - Root-level additions
+ * @returns {any}
+ */
+function createSpec(extra = {}) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Suppressions', version: '1.0.0' },
+    paths: {
+      '/users': {
+        get: { responses: { 200: { description: 'OK' } } },
+      },
+      '/exports': {
+        get: { responses: { 200: { description: 'OK' } } },
+      },
+      '/getBooks': {
+        get: { responses: { 200: { description: 'OK' } } },
+      },
+    },
+    ...extra,
+  };
+}
+
+/**
+ * @param {import('./types.js').ReviewResult} result
+ * @param {string} ruleId
+ * @returns {string[]}
+ */
+function pathsFor(result, ruleId) {
+  return result.findings.filter((f) => f.ruleId === ruleId).map((f) => f.path);
+}
+
+describe('matchesRule', () => {
+  it('matches exact IDs, namespaces and everything', () => {
+    assert.ok(matchesRule('aip158/list-paginated', 'aip158/list-paginated'));
+    assert.ok(matchesRule('aip158/list-paginated', 'aip158/*'));
+    assert.ok(matchesRule('aip158/list-paginated', '*'));
+    assert.ok(!matchesRule('aip158/list-paginated', 'aip158/max-page-size'));
+    assert.ok(!matchesRule('aip1580/x', 'aip158/*'));
+  });
+});
+
+describe('x-baume-ignore', () => {
+  it('drops findings suppressed on an operation and records the reason', () => {
+    const spec = createSpec();
+    spec.paths['/exports'].get['x-baume-ignore'] = [
+      { rule: 'aip158/list-paginated', reason: 'Streams a single CSV file' },
+    ];
+
+    const result = new OpenAPIReviewer().review(spec);
+
+    assert.deepEqual(pathsFor(result, 'aip158/list-paginated').sort(), [
+      'GET /getBooks',
+      'GET /users',
+    ]);
+    assert.deepEqual(result.metadata.suppressions, [
+      {
+        rule: 'aip158/list-paginated',
+        reason: 'Streams a single CSV file',
+        location: "$.paths['/exports'].get",
+        matched: 1,
+        status: 'used',
+      },
+    ]);
+  });
+
+  it('applies path item suppressions to path and operation findings', () => {
+    const spec = createSpec();
+    spec.paths['/getBooks']['x-baume-ignore'] = [
+      { rule: 'aip122/no-verbs' },
+      { rule: 'aip158/*' },
+    ];
+
+    const result = new OpenAPIReviewer().review(spec);
+
+    assert.deepEqual(pathsFor(result, 'aip122/no-verbs'), []);
+    assert.ok(
+      !pathsFor(result, 'aip158/list-paginated').includes('GET /getBooks')
+    );
+  });
+
+  it('applies root suppressions to the whole spec', () => {
+    const result = new OpenAPIReviewer().review(
+      createSpec({ 'x-baume-ignore': [{ rule: 'aip193/*' }] })
+    );
+
+    assert.ok(result.findings.length > 0);
+    assert.ok(result.findings.every((f) => !f.ruleId.startsWith('aip193/')));
+  });
+
+  it('matches findings of spec-wide rules by their path', () => {
+    const spec = createSpec();
+    spec.paths['/user_profiles'] = {
+      get: { responses: { 200: { description: 'OK' } } },
+    };
+    spec.paths['/userSettings'] = {
+      get: { responses: { 200: { description: 'OK' } } },
+    };
+    spec.paths['/admin_users'] = {
+      get: { responses: { 200: { description: 'OK' } } },
+    };
+
+    const before = new OpenAPIReviewer().review(spec);
+    assert.deepEqual(pathsFor(before, 'aip122/consistent-casing'), [
+      '/getBooks',
+      '/userSettings',
+    ]);
+
+    spec.paths['/userSettings']['x-baume-ignore'] = [
+      { rule: 'aip122/consistent-casing', reason: 'Legacy path' },
+    ];
+    const after = new OpenAPIReviewer().review(spec);
+    assert.deepEqual(pathsFor(after, 'aip122/consistent-casing'), [
+      '/getBooks',
+    ]);
+  });
+
+  it('applies parameter suppressions to parameter findings', () => {
+    const spec = createSpec();
+    spec.paths['/users'].get.parameters = [
+      {
+        name: 'page_size',
+        in: 'query',
+        schema: { type: 'integer' },
+        'x-baume-ignore': [{ rule: 'aip158/max-page-size' }],
+      },
+    ];
+
+    const result = new OpenAPIReviewer().review(spec);
+
+    assert.deepEqual(pathsFor(result, 'aip158/max-page-size'), []);
+    assert.equal(result.metadata.suppressions?.[0].matched, 1);
+  });
+
+  it('applies schema suppressions to schema findings', () => {
+    const rule = compileRule({
+      id: 'myorg/schema-description',
+      scope: 'schema',
+      check: { cel: 'has(schema.description)' },
+      message: 'Schema {schema} has no description',
+    });
+    const spec = createSpec({
+      components: {
+        schemas: {
+          User: { type: 'object' },
+          Book: {
+            type: 'object',
+            'x-baume-ignore': [{ rule: 'myorg/schema-description' }],
+          },
+        },
+      },
+    });
+
+    const result = new OpenAPIReviewer({ customRules: [rule] }).review(spec);
+
+    assert.deepEqual(pathsFor(result, 'myorg/schema-description'), ['User']);
+  });
+
+  it('applies suppressions on inline schemas to everything nested in them', () => {
+    const rule = compileRule({
+      id: 'myorg/schema-description',
+      scope: 'schema',
+      check: { cel: 'has(schema.description)' },
+      message: 'Schema {schema} has no description',
+    });
+    const spec = createSpec();
+    spec.paths['/users'].post = {
+      requestBody: {
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              description: 'New user',
+              properties: {
+                address: {
+                  type: 'object',
+                  'x-baume-ignore': [{ rule: 'myorg/schema-description' }],
+                  properties: { city: { type: 'string' } },
+                },
+                name: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+      responses: { 201: { description: 'Created' } },
+    };
+
+    const result = new OpenAPIReviewer({ customRules: [rule] }).review(spec);
+
+    assert.deepEqual(pathsFor(result, 'myorg/schema-description'), [
+      'POST /users requestBody > name',
+    ]);
+  });
+
+  it('reports suppressions that no longer match and ones for rules that did not run', () => {
+    const spec = createSpec();
+    spec.paths['/users'].get['x-baume-ignore'] = [
+      { rule: 'aip122/no-verbs', reason: 'Was /getUsers' },
+      { rule: 'aip155/idempotency-key' },
+    ];
+
+    const result = new OpenAPIReviewer({
+      skipRules: ['aip155/idempotency-key'],
+    }).review(spec);
+
+    assert.deepEqual(
+      result.metadata.suppressions?.map((s) => [s.rule, s.status]),
+      [
+        ['aip122/no-verbs', 'unused'],
+        ['aip155/idempotency-key', 'inactive'],
+      ]
+    );
+
+    const consoleOutput = formatConsole(result, false);
+    assert.ok(consoleOutput.includes('Unused suppressions (1)'));
+    assert.ok(consoleOutput.includes("$.paths['/users'].get"));
+
+    const markdown = formatMarkdown(result);
+    assert.ok(markdown.includes('### ⚠️ Unused Suppressions'));
+    assert.ok(!markdown.includes('aip155/idempotency-key'));
+  });
+
+  it('omits suppression metadata when the spec declares none', () => {
+    const result = new OpenAPIReviewer().review(createSpec());
+    assert.equal(result.metadata.suppressions, undefined);
+  });
+
+  it('reports shared elements once after dereferencing', () => {
+    const shared = {
+      name: 'limit',
+      in: 'query',
+      schema: { type: 'integer' },
+      'x-baume-ignore': [{ rule: 'aip158/max-page-size' }],
+    };
+    const spec = createSpec();
+    spec.paths['/users'].get.parameters = [shared];
+    spec.paths['/exports'].get.parameters = [shared];
+
+    const result = new OpenAPIReviewer().review(spec);
+
+    assert.equal(result.metadata.suppressions?.length, 1);
+    assert.equal(result.metadata.suppressions?.[0].matched, 2);
+  });
+
+  it('collects malformed entries as issues', () => {
+    const index = new SuppressionIndex(
+      createSpec({
+        'x-baume-ignore': [
+          { reason: 'no rule' },
+          { rule: 'aip122/no-verbs', reason: 42 },
+        ],
+        paths: { '/a': { 'x-baume-ignore': 'aip122/no-verbs' } },
+      })
+    );
+
+    assert.ok(index.isEmpty);
+    assert.deepEqual(index.issues, [
+      "$['x-baume-ignore'][0].rule: must be a rule ID",
+      "$['x-baume-ignore'][1].reason: must be a string",
+      "$.paths['/a']['x-baume-ignore']: must be a list of { rule, reason } entries",
+    ]);
+  });
+
+  it('reports malformed entries in the result, not on stderr', (t) => {
+    const error = t.mock.method(console, 'error', () => {});
+
+    const result = new OpenAPIReviewer().review(
+      createSpec({ 'x-baume-ignore': [{ reason: 'no rule' }] })
+    );
+
+    assert.deepEqual(result.metadata.invalidSuppressions, [
+      "$['x-baume-ignore'][0].rule: must be a rule ID",
+    ]);
+    assert.equal(error.mock.callCount(), 0);
+  });
+});
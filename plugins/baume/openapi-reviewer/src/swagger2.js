@@ -0,0 +1,890 @@
+// @ts-check
+/**
+ * Swagger 2.0 Input
+ *
+ * Rules are written against OpenAPI 3. A Swagger 2.0 spec is converted to
+ * its OpenAPI 3.0 equivalent before review, and the JSONPaths in the result
+ * (findings, fix changes, suppression locations) are translated back so
+ * they point into the Swagger 2.0 document. Source locations, baselines
+ * and `--fix` then work on the file as written.
+ *
+ * The conversion follows the usual correspondence:
+ * - `definitions`, `parameters`, `responses` and `securityDefinitions`
+ *   move to `components` (shared `body` parameters to `requestBodies`)
+ * - `body` parameters become a `requestBody`, `formData` parameters a
+ *   form `requestBody`, with one media type per `consumes` entry
+ * - response `schema`s move under `content`, one media type per `produces` entry
+ * - parameter and header types move under `schema`
+ * - `host`, `basePath` and `schemes` become `servers`
+ *
+ * @example
+ * ```js
+ * const conversion = new Swagger2Conversion(swagger);
+ * const result = reviewer.review(conversion.spec);
+ * conversion.restore(result); // JSONPaths now point into `swagger`
+ * ```
+ *
+ * `OpenAPIReviewer.review()` does this itself when given a Swagger 2.0 spec.
+ *
+ * @module swagger2
+ */
+
+import { pathToJsonPath } from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').ReviewResult} ReviewResult
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ * @typedef {Record<string, any>} Swagger2Object
+ */
+
+/**
+ * Where an element of the converted spec comes from
+ *
+ * - `same`: the element at `path` is the same element
+ * - `flattened`: a schema whose keywords sit on the element at `path`
+ *   (parameters and headers have no `schema` in Swagger 2.0)
+ * - `approximate`: no Swagger 2.0 equivalent; `path` is the closest element
+ *
+ * @typedef {Object} PathMapping
+ * @property {string} path - JSONPath in the Swagger 2.0 spec
+ * @property {'same' | 'flattened' | 'approximate'} kind
+ */
+
+/** OpenAPI version of converted specs */
+const OPENAPI_VERSION = '3.0.3';
+
+/** Media types assumed when a spec declares no `consumes` or `produces` */
+const DEFAULT_MEDIA_TYPES = ['application/json'];
+
+const FORM_MEDIA_TYPES = [
+  'application/x-www-form-urlencoded',
+  'multipart/form-data',
+];
+
+const HTTP_METHODS = [
+  'get',
+  'put',
+  'post',
+  'delete',
+  'options',
+  'head',
+  'patch',
+];
+
+/** Parameter and header fields that describe the value, i.e. its schema */
+const SCHEMA_KEYWORDS = [
+  'type',
+  'format',
+  'items',
+  'default',
+  'maximum',
+  'exclusiveMaximum',
+  'minimum',
+  'exclusiveMinimum',
+  'maxLength',
+  'minLength',
+  'pattern',
+  'maxItems',
+  'minItems',
+  'uniqueItems',
+  'enum',
+  'multipleOf',
+];
+
+/** Swagger 2.0 OAuth2 flow names and their OpenAPI 3 equivalents */
+const OAUTH2_FLOWS = {
+  implicit: 'implicit',
+  password: 'password',
+  application: 'clientCredentials',
+  accessCode: 'authorizationCode',
+};
+
+/** Local `$ref` prefixes in Swagger 2.0 and OpenAPI 3 */
+const REF_PREFIXES = [
+  ['#/definitions/', '#/components/schemas/'],
+  ['#/parameters/', '#/components/parameters/'],
+  ['#/responses/', '#/components/responses/'],
+  ['#/securityDefinitions/', '#/components/securitySchemes/'],
+];
+
+/**
+ * Check whether a spec is a Swagger 2.0 document
+ * @param {object} spec
+ * @returns {boolean}
+ */
+export function isSwagger2(spec) {
+  const version = /** @type {Swagger2Object} */ (spec).swagger;
+  return typeof version === 'string' && version.startsWith('2.');
+}
+
+/**
+ * A Swagger 2.0 spec converted to OpenAPI 3.0
+ */
+export class Swagger2Conversion {
+  /** @type {OpenAPISpec} The equivalent OpenAPI 3.0 spec */
+  spec;
+
+  /** @type {Swagger2Object} */
+  #swagger;
+
+  /** @type {Map<string, PathMapping>} Origin of converted elements, by their JSONPath */
+  #paths = new Map();
+
+  /** @type {WeakMap<object, object>} Converted schemas, so shared schemas stay shared */
+  #schemas = new WeakMap();
+
+  /**
+   * @param {Swagger2Object} swagger - Swagger 2.0 spec, dereferenced or not
+   */
+  constructor(swagger) {
+    this.#swagger = swagger;
+    this.spec = this.#convertSpec(swagger);
+  }
+
+  /**
+   * Translate a JSONPath of the converted spec to the Swagger 2.0 spec
+   * @param {string} jsonPath
+   * @returns {string} The closest Swagger 2.0 element for OpenAPI 3 only elements
+   */
+  toSwagger2Path(jsonPath) {
+    return this.#translate(jsonPath).path;
+  }
+
+  /**
+   * Translate a fix change to the Swagger 2.0 spec
+   *
+   * Paths are translated and values written the Swagger 2.0 way (e.g.,
+   * parameter types next to the name rather than under `schema`).
+   *
+   * @param {SpecChange} change - Change to the converted spec
+   * @returns {SpecChange | undefined} Undefined if Swagger 2.0 cannot express it
+   */
+  toSwagger2Change(change) {
+    const { path, kind, nested } = this.#translate(change.path);
+    if (kind === 'approximate') return undefined;
+
+    /** @type {SpecChange} */
+    const translated = { ...change, path };
+    if (change.value !== undefined) {
+      translated.value = downgradeValue(change.path, change.value);
+    }
+
+    // A whole parameter or header schema: its keywords go on the element
+    if (kind === 'flattened' && !nested) {
+      if (change.operation !== 'set' || !isObject(translated.value)) {
+        return undefined;
+      }
+      translated.operation = 'merge';
+    }
+
+    return translated;
+  }
+
+  /**
+   * Point the JSONPaths of a review of the converted spec into the Swagger 2.0 spec
+   *
+   * Fixes that Swagger 2.0 cannot express are dropped; their findings stay.
+   *
+   * @param {ReviewResult} result - Review of `spec`
+   * @returns {ReviewResult} The same result
+   */
+  restore(result) {
+    for (const finding of result.findings) {
+      if (finding.jsonPath) {
+        finding.jsonPath = this.toSwagger2Path(finding.jsonPath);
+      }
+      if (!finding.fix) continue;
+
+      const fix = finding.fix;
+      const changes = fix.specChanges.map((c) => this.toSwagger2Change(c));
+      if (changes.some((c) => c === undefined)) {
+        delete finding.fix;
+        continue;
+      }
+
+      // The replacement is usually the value of one of the changes
+      const index = fix.specChanges.findIndex(
+        (c) => c.value !== undefined && c.value === fix.replacement
+      );
+      finding.fix = {
+        ...fix,
+        jsonPath: this.toSwagger2Path(fix.jsonPath),
+        specChanges: /** @type {SpecChange[]} */ (changes),
+        ...(index >= 0 && { replacement: changes[index]?.value }),
+      };
+    }
+
+    for (const suppression of result.metadata.suppressions ?? []) {
+      suppression.location = this.toSwagger2Path(suppression.location);
+    }
+
+    result.metadata.convertedFrom = `swagger-${this.#swagger.swagger}`;
+    return result;
+  }
+
+  /**
+   * Find where an element of the converted spec comes from
+   * @param {string} jsonPath
+   * @returns {PathMapping & {nested: boolean}} `nested` if the path is below the mapped element
+   */
+  #translate(jsonPath) {
+    /** @type {[string, PathMapping] | undefined} */
+    let match;
+    for (const entry of this.#paths) {
+      const [prefix] = entry;
+      if (
+        (jsonPath === prefix ||
+          (jsonPath.startsWith(prefix) &&
+            '.['.includes(jsonPath[prefix.length]))) &&
+        prefix.length > (match?.[0].length ?? -1)
+      ) {
+        match = entry;
+      }
+    }
+
+    if (!match) return { path: jsonPath, kind: 'same', nested: false };
+
+    const [prefix, mapping] = match;
+    const rest = jsonPath.slice(prefix.length);
+    return {
+      path: mapping.kind === 'approximate' ? mapping.path : mapping.path + rest,
+      kind: mapping.kind,
+      nested: rest !== '',
+    };
+  }
+
+  /**
+   * Record where an element of the converted spec comes from
+   * @param {string} jsonPath - JSONPath in the converted spec
+   * @param {string} path - JSONPath in the Swagger 2.0 spec
+   * @param {PathMapping['kind']} [kind='same']
+   */
+  #map(jsonPath, path, kind = 'same') {
+    if (jsonPath !== path || kind !== 'same') {
+      this.#paths.set(jsonPath, { path, kind });
+    }
+  }
+
+  /**
+   * @param {Swagger2Object} swagger
+   * @returns {OpenAPISpec}
+   */
+  #convertSpec(swagger) {
+    const {
+      swagger: _version,
+      host,
+      basePath,
+      schemes,
+      consumes = DEFAULT_MEDIA_TYPES,
+      produces = DEFAULT_MEDIA_TYPES,
+      paths = {},
+      definitions,
+      parameters,
+      responses,
+      securityDefinitions,
+      ...rest
+    } = swagger;
+
+    /** @type {Swagger2Object} */
+    const spec = { openapi: OPENAPI_VERSION, ...rest };
+
+    if (host || basePath) {
+      const url = host ? `//${host}${basePath ?? ''}` : basePath;
+      spec.servers = host
+        ? (schemes?.length ? schemes : ['https']).map(
+            (/** @type {string} */ scheme) => ({ url: `${scheme}:${url}` })
+          )
+        : [{ url }];
+      this.#map('$.servers', basePath ? '$.basePath' : '$.host', 'approximate');
+    }
+
+    spec.paths = {};
+    for (const [path, pathItem] of Object.entries(paths)) {
+      spec.paths[path] = this.#convertPathItem(pathItem, pathToJsonPath(path), {
+        consumes,
+        produces,
+      });
+    }
+
+    /** @type {Swagger2Object} */
+    const components = {};
+
+    if (definitions) {
+      components.schemas = mapValues(definitions, (schema) =>
+        this.#convertSchema(schema)
+      );
+      this.#map('$.components.schemas', '$.definitions');
+    }
+
+    for (const [name, parameter] of Object.entries(parameters ?? {})) {
+      const source = `$.parameters['${name}']`;
+      if (parameter.in === 'body') {
+        const jsonPath = `$.components.requestBodies['${name}']`;
+        components.requestBodies ??= {};
+        components.requestBodies[name] = this.#convertBody(
+          parameter,
+          consumes,
+          jsonPath,
+          source
+        );
+        this.#map(jsonPath, source);
+      } else if (parameter.in !== 'formData') {
+        const jsonPath = `$.components.parameters['${name}']`;
+        components.parameters ??= {};
+        components.parameters[name] = this.#convertParameter(parameter);
+        this.#map(jsonPath, source);
+        this.#map(`${jsonPath}.schema`, source, 'flattened');
+      }
+    }
+
+    if (responses) {
+      components.responses = {};
+      for (const [code, response] of Object.entries(responses)) {
+        components.responses[code] = this.#convertResponse(
+          response,
+          produces,
+          `$.components.responses['${code}']`,
+          `$.responses['${code}']`
+        );
+      }
+      this.#map('$.components.responses', '$.responses');
+    }
+
+    if (securityDefinitions) {
+      components.securitySchemes = mapValues(
+        securityDefinitions,
+        convertSecurityScheme
+      );
+      this.#map('$.components.securitySchemes', '$.securityDefinitions');
+    }
+
+    if (Object.keys(components).length > 0) {
+      spec.components = components;
+    }
+
+    return /** @type {OpenAPISpec} */ (spec);
+  }
+
+  /**
+   * @param {Swagger2Object} pathItem
+   * @param {string} jsonPath
+   * @param {{consumes: string[], produces: string[]}} mediaTypes - Spec-wide defaults
+   * @returns {Swagger2Object}
+   */
+  #convertPathItem(pathItem, jsonPath, mediaTypes) {
+    const shared = pathItem.parameters ?? [];
+
+    /** @type {Swagger2Object} */
+    const result = {};
+    for (const [key, value] of Object.entries(pathItem)) {
+      if (HTTP_METHODS.includes(key)) {
+        result[key] = this.#convertOperation(value, `${jsonPath}.${key}`, {
+          shared,
+          sharedPath: jsonPath,
+          ...mediaTypes,
+        });
+      } else if (key === 'parameters') {
+        const parameters = this.#convertParameters(value, jsonPath);
+        if (parameters.length > 0) result.parameters = parameters;
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * @param {Swagger2Object} operation
+   * @param {string} jsonPath
+   * @param {Object} inherited
+   * @param {Swagger2Object[]} inherited.shared - Path item parameters
+   * @param {string} inherited.sharedPath - JSONPath of the path item
+   * @param {string[]} inherited.consumes
+   * @param {string[]} inherited.produces
+   * @returns {Swagger2Object}
+   */
+  #convertOperation(operation, jsonPath, inherited) {
+    const {
+      parameters = [],
+      responses,
+      consumes = inherited.consumes,
+      produces = inherited.produces,
+      schemes: _schemes,
+      ...rest
+    } = operation;
+
+    /** @type {Swagger2Object} */
+    const result = { ...rest };
+
+    const converted = this.#convertParameters(parameters, jsonPath);
+    if (converted.length > 0) result.parameters = converted;
+
+    const requestBody =
+      this.#convertRequestBody(parameters, jsonPath, jsonPath, consumes) ??
+      this.#convertRequestBody(
+        inherited.shared,
+        inherited.sharedPath,
+        jsonPath,
+        consumes
+      );
+    if (requestBody) result.requestBody = requestBody;
+
+    if (responses) {
+      result.responses = {};
+      for (const [code, response] of Object.entries(responses)) {
+        const path = `${jsonPath}.responses['${code}']`;
+        result.responses[code] = this.#convertResponse(
+          response,
+          produces,
+          path,
+          path
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert the parameters of an operation or path item, leaving out
+   * those that become the request body
+   * @param {Swagger2Object[]} parameters
+   * @param {string} owner - JSONPath of the operation or path item
+   * @returns {Swagger2Object[]}
+   */
+  #convertParameters(parameters, owner) {
+    /** @type {Swagger2Object[]} */
+    const result = [];
+    parameters.forEach((parameter, i) => {
+      const location = this.#resolveParameter(parameter).in;
+      if (location === 'body' || location === 'formData') return;
+
+      const jsonPath = `${owner}.parameters[${result.length}]`;
+      const source = `${owner}.parameters[${i}]`;
+      this.#map(jsonPath, source);
+      if (!parameter.$ref) {
+        this.#map(`${jsonPath}.schema`, source, 'flattened');
+      }
+      result.push(this.#convertParameter(parameter));
+    });
+    return result;
+  }
+
+  /**
+   * @param {Swagger2Object} parameter - A parameter that is not `body` or `formData`
+   * @returns {Swagger2Object}
+   */
+  #convertParameter(parameter) {
+    if (parameter.$ref) return { $ref: toOpenAPIRef(parameter.$ref) };
+
+    const { collectionFormat, ...rest } = parameter;
+    const { fields, schema } = this.#splitSchema(rest);
+
+    /** @type {Swagger2Object} */
+    const result = { ...fields, schema };
+    if (schema.type === 'array' && parameter.in === 'query') {
+      if (collectionFormat === 'ssv') result.style = 'spaceDelimited';
+      if (collectionFormat === 'pipes') result.style = 'pipeDelimited';
+      result.explode = collectionFormat === 'multi';
+    }
+    return result;
+  }
+
+  /**
+   * Build the request body of an operation from its `body` or `formData` parameters
+   * @param {Swagger2Object[]} parameters
+   * @param {string} owner - JSONPath of the operation or path item holding the parameters
+   * @param {string} operationPath - JSONPath of the operation
+   * @param {string[]} consumes
+   * @returns {Swagger2Object | undefined}
+   */
+  #convertRequestBody(parameters, owner, operationPath, consumes) {
+    const jsonPath = `${operationPath}.requestBody`;
+
+    const index = parameters.findIndex(
+      (p) => this.#resolveParameter(p).in === 'body'
+    );
+    if (index >= 0) {
+      const parameter = parameters[index];
+      const source = `${owner}.parameters[${index}]`;
+      this.#map(jsonPath, source);
+      if (parameter.$ref) return { $ref: toOpenAPIRef(parameter.$ref) };
+      return this.#convertBody(parameter, consumes, jsonPath, source);
+    }
+
+    const fields = parameters
+      .map((parameter, i) => ({
+        parameter: this.#resolveParameter(parameter),
+        source: `${owner}.parameters[${i}]`,
+      }))
+      .filter(({ parameter }) => parameter.in === 'formData');
+    if (fields.length === 0) return undefined;
+
+    // Form fields are parameters in Swagger 2.0; the body itself has no equivalent
+    this.#map(jsonPath, operationPath, 'approximate');
+
+    const hasFile = fields.some(({ parameter }) => parameter.type === 'file');
+    const declared = consumes.filter((type) => FORM_MEDIA_TYPES.includes(type));
+    const mediaTypes =
+      declared.length > 0 ? declared : [FORM_MEDIA_TYPES[hasFile ? 1 : 0]];
+
+    /** @type {Swagger2Object} */
+    const schema = { type: 'object', properties: {} };
+    for (const { parameter, source } of fields) {
+      const { name, in: _in, required, description, ...rest } = parameter;
+      const converted = this.#splitSchema(rest);
+      schema.properties[name] = {
+        ...(description && { description }),
+        ...converted.schema,
+      };
+      if (required) (schema.required ??= []).push(name);
+
+      for (const mediaType of mediaTypes) {
+        this.#map(
+          `${jsonPath}.content['${mediaType}'].schema.properties['${name}']`,
+          source,
+          'flattened'
+        );
+      }
+    }
+
+    return {
+      required: fields.some(({ parameter }) => parameter.required),
+      content: Object.fromEntries(mediaTypes.map((type) => [type, { schema }])),
+    };
+  }
+
+  /**
+   * @param {Swagger2Object} parameter - A `body` parameter
+   * @param {string[]} consumes
+   * @param {string} jsonPath - JSONPath of the request body
+   * @param {string} source - JSONPath of the parameter
+   * @returns {Swagger2Object}
+   */
+  #convertBody(parameter, consumes, jsonPath, source) {
+    const { name: _name, in: _in, schema, ...rest } = parameter;
+    const converted = this.#convertSchema(schema);
+
+    for (const mediaType of consumes) {
+      this.#map(
+        `${jsonPath}.content['${mediaType}'].schema`,
+        `${source}.schema`
+      );
+    }
+
+    return {
+      ...rest,
+      content: Object.fromEntries(
+        consumes.map((type) => [type, { schema: converted }])
+      ),
+    };
+  }
+
+  /**
+   * @param {Swagger2Object} response
+   * @param {string[]} produces
+   * @param {string} jsonPath - JSONPath in the converted spec
+   * @param {string} source - JSONPath in the Swagger 2.0 spec
+   * @returns {Swagger2Object}
+   */
+  #convertResponse(response, produces, jsonPath, source) {
+    if (response.$ref) return { $ref: toOpenAPIRef(response.$ref) };
+
+    const { schema, headers, examples, ...rest } = response;
+
+    /** @type {Swagger2Object} */
+    const result = { ...rest };
+
+    if (headers) {
+      result.headers = {};
+      for (const [name, header] of Object.entries(headers)) {
+        const headerPath = `${jsonPath}.headers['${name}']`;
+        const headerSource = `${source}.headers['${name}']`;
+        const { fields, schema: headerSchema } = this.#splitSchema(header);
+        result.headers[name] = { ...fields, schema: headerSchema };
+        this.#map(`${headerPath}.schema`, headerSource, 'flattened');
+      }
+    }
+
+    if (schema) {
+      const converted = this.#convertSchema(schema);
+      result.content = {};
+      for (const mediaType of produces) {
+        result.content[mediaType] = {
+          schema: converted,
+          ...(examples?.[mediaType] !== undefined && {
+            example: examples[mediaType],
+          }),
+        };
+        this.#map(
+          `${jsonPath}.content['${mediaType}'].schema`,
+          `${source}.schema`
+        );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Separate the value keywords of a parameter or header from its other fields
+   * @param {Swagger2Object} element
+   * @returns {{fields: Swagger2Object, schema: Swagger2Object}}
+   */
+  #splitSchema(element) {
+    /** @type {Swagger2Object} */
+    const fields = {};
+    /** @type {Swagger2Object} */
+    const schema = {};
+    for (const [key, value] of Object.entries(element)) {
+      if (SCHEMA_KEYWORDS.includes(key)) {
+        schema[key] = value;
+      } else if (key !== 'collectionFormat') {
+        fields[key] = value;
+      }
+    }
+    return { fields, schema: this.#convertSchema(schema) };
+  }
+
+  /**
+   * Convert a schema; the few differences are `x-nullable`, string
+   * discriminators, `file` types and `$ref` targets
+   * @param {unknown} schema
+   * @returns {any}
+   */
+  #convertSchema(schema) {
+    if (!isObject(schema)) return schema;
+
+    const cached = this.#schemas.get(schema);
+    if (cached) return cached;
+
+    /** @type {Swagger2Object} */
+    const result = {};
+    this.#schemas.set(schema, result);
+
+    for (const [key, value] of Object.entries(schema)) {
+      switch (key) {
+        case '$ref':
+          result.$ref = toOpenAPIRef(value);
+          break;
+        case 'x-nullable':
+          result.nullable = value;
+          break;
+        case 'discriminator':
+          result.discriminator =
+            typeof value === 'string' ? { propertyName: value } : value;
+          break;
+        case 'type':
+          if (value === 'file') {
+            result.type = 'string';
+            result.format = 'binary';
+          } else {
+            result.type = value;
+          }
+          break;
+        case 'properties':
+          result.properties = mapValues(value, (s) => this.#convertSchema(s));
+          break;
+        case 'items':
+        case 'additionalProperties':
+          result[key] = this.#convertSchema(value);
+          break;
+        case 'allOf':
+          result.allOf = Array.isArray(value)
+            ? value.map((s) => this.#convertSchema(s))
+            : value;
+          break;
+        default:
+          result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Look up a shared parameter, to know where a `$ref` parameter goes
+   * @param {Swagger2Object} parameter
+   * @returns {Swagger2Object}
+   */
+  #resolveParameter(parameter) {
+    const ref = parameter?.$ref;
+    if (typeof ref === 'string' && ref.startsWith('#/parameters/')) {
+      return (
+        this.#swagger.parameters?.[ref.slice('#/parameters/'.length)] ??
+        parameter
+      );
+    }
+    return parameter ?? {};
+  }
+}
+
+/**
+ * @param {Swagger2Object} scheme
+ * @returns {Swagger2Object}
+ */
+function convertSecurityScheme(scheme) {
+  if (scheme.type === 'basic') {
+    const { type: _type, ...rest } = scheme;
+    return { ...rest, type: 'http', scheme: 'basic' };
+  }
+  if (scheme.type === 'oauth2') {
+    const { flow, authorizationUrl, tokenUrl, scopes = {}, ...rest } = scheme;
+    const name = OAUTH2_FLOWS[/** @type {keyof OAUTH2_FLOWS} */ (flow)] ?? flow;
+    return {
+      ...rest,
+      flows: {
+        [name]: {
+          ...(authorizationUrl && { authorizationUrl }),
+          ...(tokenUrl && { tokenUrl }),
+          scopes,
+        },
+      },
+    };
+  }
+  return scheme;
+}
+
+/**
+ * Write a value of the converted spec the Swagger 2.0 way
+ * @param {string} jsonPath - Where the value goes in the converted spec
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function downgradeValue(jsonPath, value) {
+  if (/\.parameters$/.test(jsonPath) && Array.isArray(value)) {
+    return value.map(downgradeParameter);
+  }
+  if (/\.parameters(\[\d+\])?$/.test(jsonPath)) {
+    return downgradeParameter(value);
+  }
+  if (/\.responses\['[^']*'\]$/.test(jsonPath)) {
+    return downgradeResponse(value);
+  }
+  if (/^\$\.components\.schemas\b|\.schema\b/.test(jsonPath)) {
+    return downgradeSchema(value);
+  }
+  return value;
+}
+
+/**
+ * @param {unknown} parameter
+ * @returns {unknown}
+ */
+function downgradeParameter(parameter) {
+  if (!isObject(parameter) || typeof parameter.$ref === 'string') {
+    return downgradeSchema(parameter);
+  }
+  const { schema, style: _style, explode: _explode, ...rest } = parameter;
+  return { ...rest, .../** @type {object} */ (downgradeSchema(schema ?? {})) };
+}
+
+/**
+ * @param {unknown} response
+ * @returns {unknown}
+ */
+function downgradeResponse(response) {
+  if (!isObject(response) || typeof response.$ref === 'string') {
+    return downgradeSchema(response);
+  }
+  const { content, headers, ...rest } = response;
+
+  /** @type {Swagger2Object} */
+  const result = { ...rest };
+  if (isObject(headers)) {
+    result.headers = mapValues(headers, downgradeParameter);
+  }
+  if (isObject(content)) {
+    const media = content['application/json'] ?? Object.values(content)[0];
+    if (isObject(media) && media.schema !== undefined) {
+      result.schema = downgradeSchema(media.schema);
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {unknown} schema
+ * @returns {unknown}
+ */
+function downgradeSchema(schema) {
+  if (!isObject(schema)) return schema;
+
+  /** @type {Swagger2Object} */
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    switch (key) {
+      case '$ref':
+        result.$ref = typeof value === 'string' ? toSwagger2Ref(value) : value;
+        break;
+      case 'nullable':
+        result['x-nullable'] = value;
+        break;
+      case 'discriminator':
+        result.discriminator = isObject(value) ? value.propertyName : value;
+        break;
+      case 'properties':
+        result.properties = isObject(value)
+          ? mapValues(value, downgradeSchema)
+          : value;
+        break;
+      case 'items':
+      case 'additionalProperties':
+        result[key] = downgradeSchema(value);
+        break;
+      case 'allOf':
+        result.allOf = Array.isArray(value)
+          ? value.map(downgradeSchema)
+          : value;
+        break;
+      default:
+        result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {string} ref - A Swagger 2.0 `$ref`
+ * @returns {string}
+ */
+function toOpenAPIRef(ref) {
+  for (const [swagger2, openapi] of REF_PREFIXES) {
+    if (ref.startsWith(swagger2)) return openapi + ref.slice(swagger2.length);
+  }
+  return ref;
+}
+
+/**
+ * @param {string} ref - An OpenAPI 3 `$ref`
+ * @returns {string}
+ */
+function toSwagger2Ref(ref) {
+  if (ref.startsWith('#/components/requestBodies/')) {
+    return '#/parameters/' + ref.slice('#/components/requestBodies/'.length);
+  }
+  for (const [swagger2, openapi] of REF_PREFIXES) {
+    if (ref.startsWith(openapi)) return swagger2 + ref.slice(openapi.length);
+  }
+  return ref;
+}
+
+/**
+ * @template T, U
+ * @param {Record<string, T>} object
+ * @param {(value: T) => U} fn
+ * @returns {Record<string, U>}
+ */
+function mapValues(object, fn) {
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key, fn(value)])
+  );
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, any>}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,360 @@
+// @ts-check
+/**
+ * Tests for Swagger 2.0 input
+ * Run with: node --test src/swagger2.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Swagger2Conversion, isSwagger2 } from './swagger2.js';
+import { OpenAPIReviewer } from './reviewer.js';
+import { OpenAPIFixer } from './fixer.js';
+
+/**
+ * Swagger 2.0 spec with body, form and path-level parameters
+ * @returns {any}
+ */
+function createSwagger() {
+  return {
+    swagger: '2.0',
+    info: { title: 'Books', version: '1.0.0' },
+    host: 'api.example.com',
+    basePath: '/v1',
+    schemes: ['https', 'http'],
+    consumes: ['application/json'],
+    produces: ['application/json'],
+    paths: {
+      '/books': {
+        get: {
+          parameters: [
+            { name: 'page_size', in: 'query', type: 'integer' },
+            { name: 'page_token', in: 'query', type: 'string' },
+            {
+              name: 'tags',
+              in: 'query',
+              type: 'array',
+              items: { type: 'string' },
+            },
+          ],
+          responses: {
+            200: {
+              description: 'OK',
+              schema: { $ref: '#/definitions/BookList' },
+              headers: { 'X-Total': { type: 'integer' } },
+            },
+          },
+        },
+        post: {
+          parameters: [
+            { name: 'X-Request-Id', in: 'header', type: 'string' },
+            {
+              name: 'book',
+              in: 'body',
+              required: true,
+              schema: { $ref: '#/definitions/Book' },
+            },
+          ],
+          responses: { 201: { description: 'Created' } },
+        },
+      },
+      '/books/{id}/cover': {
+        parameters: [
+          { name: 'id', in: 'path', required: true, type: 'string' },
+        ],
+        put: {
+          consumes: ['multipart/form-data'],
+          parameters: [
+            { name: 'file', in: 'formData', type: 'file', required: true },
+            { name: 'caption', in: 'formData', type: 'string' },
+          ],
+          responses: { 204: { description: 'Updated' } },
+        },
+      },
+    },
+    definitions: {
+      Book: {
+        type: 'object',
+        discriminator: 'kind',
+        properties: {
+          kind: { type: 'string' },
+          subtitle: { type: 'string', 'x-nullable': true },
+        },
+      },
+      BookList: {
+        type: 'object',
+        properties: {
+          books: { type: 'array', items: { $ref: '#/definitions/Book' } },
+        },
+      },
+    },
+    securityDefinitions: {
+      basic: { type: 'basic' },
+      oauth: {
+        type: 'oauth2',
+        flow: 'accessCode',
+        authorizationUrl: 'https://auth.example.com/authorize',
+        tokenUrl: 'https://auth.example.com/token',
+        scopes: { read: 'Read books' },
+      },
+    },
+  };
+}
+
+describe('isSwagger2', () => {
+  it('recognizes Swagger 2.0 documents', () => {
+    assert.ok(isSwagger2({ swagger: '2.0' }));
+    assert.ok(!isSwagger2({ openapi: '3.0.3' }));
+  });
+});
+
+describe('Swagger2Conversion', () => {
+  it('converts to the OpenAPI 3 structure', () => {
+    const { spec } = new Swagger2Conversion(createSwagger());
+    /** @type {any} */
+    const paths = spec.paths;
+
+    assert.equal(spec.openapi, '3.0.3');
+    assert.deepEqual(spec.servers, [
+      { url: 'https://api.example.com/v1' },
+      { url: 'http://api.example.com/v1' },
+    ]);
+
+    assert.deepEqual(paths['/books'].get.parameters[0], {
+      name: 'page_size',
+      in: 'query',
+      schema: { type: 'integer' },
+    });
+    assert.equal(paths['/books'].get.parameters[2].explode, false);
+    assert.deepEqual(paths['/books'].get.responses['200'], {
+      description: 'OK',
+      headers: { 'X-Total': { schema: { type: 'integer' } } },
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/BookList' },
+        },
+      },
+    });
+
+    assert.deepEqual(paths['/books'].post.parameters, [
+      { name: 'X-Request-Id', in: 'header', schema: { type: 'string' } },
+    ]);
+    assert.deepEqual(paths['/books'].post.requestBody, {
+      required: true,
+      content: {
+        'application/json': { schema: { $ref: '#/components/schemas/Book' } },
+      },
+    });
+  });
+
+  it('turns form parameters into a form request body', () => {
+    const { spec } = new Swagger2Conversion(createSwagger());
+    /** @type {any} */
+    const pathItem = spec.paths?.['/books/{id}/cover'];
+
+    assert.equal(pathItem.parameters[0].name, 'id');
+    assert.equal(pathItem.put.parameters, undefined);
+    assert.deepEqual(pathItem.put.requestBody, {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            type: 'object',
+            properties: {
+              file: { type: 'string', format: 'binary' },
+              caption: { type: 'string' },
+            },
+            required: ['file'],
+          },
+        },
+      },
+    });
+  });
+
+  it('converts schemas and security definitions', () => {
+    const { spec } = new Swagger2Conversion(createSwagger());
+
+    assert.deepEqual(spec.components?.schemas?.Book, {
+      type: 'object',
+      discriminator: { propertyName: 'kind' },
+      properties: {
+        kind: { type: 'string' },
+        subtitle: { type: 'string', nullable: true },
+      },
+    });
+    assert.deepEqual(spec.components?.securitySchemes, {
+      basic: { type: 'http', scheme: 'basic' },
+      oauth: {
+        type: 'oauth2',
+        flows: {
+          authorizationCode: {
+            authorizationUrl: 'https://auth.example.com/authorize',
+            tokenUrl: 'https://auth.example.com/token',
+            scopes: { read: 'Read books' },
+          },
+        },
+      },
+    });
+  });
+
+  it('keeps schemas shared in dereferenced specs', () => {
+    const swagger = createSwagger();
+    const book = swagger.definitions.Book;
+    swagger.paths['/books'].post.parameters[1].schema = book;
+    swagger.definitions.BookList.properties.books.items = book;
+
+    const { spec } = new Swagger2Conversion(swagger);
+    /** @type {any} */
+    const post = spec.paths?.['/books'].post;
+
+    assert.equal(
+      post.requestBody.content['application/json'].schema,
+      spec.components?.schemas?.Book
+    );
+  });
+
+  it('translates JSONPaths back to the Swagger 2.0 spec', () => {
+    const conversion = new Swagger2Conversion(createSwagger());
+
+    assert.equal(
+      conversion.toSwagger2Path("$.paths['/books'].post.parameters[0].schema"),
+      "$.paths['/books'].post.parameters[0]"
+    );
+    assert.equal(
+      conversion.toSwagger2Path(
+        "$.paths['/books'].post.requestBody.content['application/json'].schema"
+      ),
+      "$.paths['/books'].post.parameters[1].schema"
+    );
+    assert.equal(
+      conversion.toSwagger2Path(
+        "$.paths['/books'].get.responses['200'].content['application/json'].schema.properties['books']"
+      ),
+      "$.paths['/books'].get.responses['200'].schema.properties['books']"
+    );
+    assert.equal(
+      conversion.toSwagger2Path(
+        "$.paths['/books/{id}/cover'].put.requestBody.content['multipart/form-data'].schema.properties['caption']"
+      ),
+      "$.paths['/books/{id}/cover'].put.parameters[1]"
+    );
+    assert.equal(
+      conversion.toSwagger2Path("$.components.schemas['Book'].properties"),
+      "$.definitions['Book'].properties"
+    );
+    assert.equal(
+      conversion.toSwagger2Path("$.paths['/books'].get.summary"),
+      "$.paths['/books'].get.summary"
+    );
+  });
+
+  it('writes fix changes the Swagger 2.0 way', () => {
+    const conversion = new Swagger2Conversion(createSwagger());
+
+    assert.deepEqual(
+      conversion.toSwagger2Change({
+        operation: 'add',
+        path: "$.paths['/books'].post.parameters",
+        value: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          schema: { type: 'string' },
+        },
+      }),
+      {
+        operation: 'add',
+        path: "$.paths['/books'].post.parameters",
+        value: { name: 'Idempotency-Key', in: 'header', type: 'string' },
+      }
+    );
+    assert.deepEqual(
+      conversion.toSwagger2Change({
+        operation: 'set',
+        path: "$.paths['/books'].get.parameters[0].schema",
+        value: { type: 'integer', maximum: 100 },
+      }),
+      {
+        operation: 'merge',
+        path: "$.paths['/books'].get.parameters[0]",
+        value: { type: 'integer', maximum: 100 },
+      }
+    );
+    assert.deepEqual(
+      conversion.toSwagger2Change({
+        operation: 'set',
+        path: "$.paths['/books'].get.responses['default']",
+        value: {
+          description: 'Error',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Error' },
+            },
+          },
+        },
+      })?.value,
+      { description: 'Error', schema: { $ref: '#/definitions/Error' } }
+    );
+    assert.deepEqual(
+      conversion.toSwagger2Change({
+        operation: 'remove',
+        path: "$.paths['/books'].post.requestBody",
+      }),
+      { operation: 'remove', path: "$.paths['/books'].post.parameters[1]" }
+    );
+    assert.equal(
+      conversion.toSwagger2Change({
+        operation: 'remove',
+        path: "$.paths['/books/{id}/cover'].put.requestBody",
+      }),
+      undefined
+    );
+  });
+});
+
+describe('reviewing Swagger 2.0 specs', () => {
+  it('reports Swagger 2.0 locations and fixes that apply to the spec', () => {
+    const swagger = createSwagger();
+    const result = new OpenAPIReviewer().review(swagger);
+
+    assert.equal(result.metadata.convertedFrom, 'swagger-2.0');
+
+    const fixable = result.findings.filter(
+      (f) =>
+        f.ruleId === 'aip158/max-page-size' ||
+        f.ruleId === 'aip155/idempotency-key' ||
+        f.ruleId === 'aip158/response-next-token'
+    );
+    assert.equal(fixable.length, 3);
+
+    const fixer = new OpenAPIFixer(swagger);
+    assert.ok(fixer.applyFixes(fixable).every((r) => r.applied));
+
+    /** @type {any} */
+    const fixed = fixer.getSpec();
+    assert.equal(fixed.paths['/books'].get.parameters[0].maximum, 100);
+    assert.deepEqual(fixed.paths['/books'].post.parameters[2], {
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Unique key for idempotent requests (UUID recommended)',
+      type: 'string',
+    });
+    assert.ok(fixed.paths['/books'].get.responses['200'].content === undefined);
+  });
+
+  it('honors suppressions and reports their Swagger 2.0 location', () => {
+    const swagger = createSwagger();
+    swagger.paths['/books'].get.parameters[0]['x-baume-ignore'] = [
+      { rule: 'aip158/max-page-size' },
+    ];
+
+    const result = new OpenAPIReviewer().review(swagger);
+
+    assert.ok(
+      !result.findings.some((f) => f.ruleId === 'aip158/max-page-size')
+    );
+    assert.deepEqual(
+      result.metadata.suppressions?.map((s) => [s.location, s.status]),
+      [["$.paths['/books'].get.parameters[0]", 'used']]
+    );
+  });
+});
@@ -0,0 +1,593 @@
+// @ts-check
+/**
+ * Text Edits for Spec Changes
+ *
+ * Turns the `specChanges` of a fix into edits of the spec's source text.
+ * Edits only touch the entries a change concerns, so comments, quoting and
+ * key order elsewhere in the file are kept. Changes reaching an element
+ * through a `$ref` edit the referenced definition, which may be in another
+ * file.
+ *
+ * Entries of block collections are written as YAML, with the indentation
+ * of their siblings. Entries of flow collections (`{...}`, `[...]`, which
+ * includes every JSON file) are written as JSON, on their own lines when
+ * the collection spans several lines and inline otherwise.
+ *
+ * @example
+ * ```js
+ * const edits = planTextEdits(finding.fix.specChanges, new SourceMap('api.yaml'));
+ * // [{ file: 'api.yaml', start: 120, end: 120, text: '        maximum: 100\n' }]
+ * ```
+ *
+ * @module text-edits
+ */
+
+import { isMap, isPair, isScalar, isSeq, stringify } from 'yaml';
+
+/**
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ * @typedef {import('./types.ts').TextEdit} TextEdit
+ * @typedef {import('./source-map.js').SourceMap} SourceMap
+ * @typedef {import('./source-map.js').SourceElement} SourceElement
+ * @typedef {import('yaml').Node} YAMLNode
+ */
+
+/**
+ * Plan the text edits applying a list of spec changes
+ * @param {SpecChange[]} changes
+ * @param {SourceMap} sourceMap - Source of the spec the changes apply to
+ * @returns {TextEdit[] | undefined} Edits sorted by file and offset, or undefined
+ *   if a change cannot be expressed as a text edit or two edits overlap
+ */
+export function planTextEdits(changes, sourceMap) {
+  /** @type {TextEdit[]} */
+  const edits = [];
+  for (const change of changes) {
+    const planned = planChange(change, sourceMap);
+    if (!planned) return undefined;
+    edits.push(...planned);
+  }
+
+  edits.sort((a, b) => a.file.localeCompare(b.file) || a.start - b.start);
+
+  /** @type {TextEdit[]} */
+  const merged = [];
+  for (const edit of edits) {
+    const previous = merged[merged.length - 1];
+    if (previous?.file !== edit.file || previous.end < edit.start) {
+      merged.push(edit);
+    } else if (
+      previous.start === previous.end &&
+      edit.start === edit.end &&
+      previous.start === edit.start
+    ) {
+      // Insertions at the same place, in the order of the changes
+      merged[merged.length - 1] = {
+        ...previous,
+        text: previous.text + edit.text,
+      };
+    } else if (previous.end > edit.start) {
+      return undefined;
+    } else {
+      merged.push(edit);
+    }
+  }
+  return merged;
+}
+
+/**
+ * @param {SpecChange} change
+ * @param {SourceMap} sourceMap
+ * @returns {TextEdit[] | undefined}
+ */
+function planChange(change, sourceMap) {
+  switch (change.operation) {
+    case 'rename-key': {
+      if (!change.from || !change.to) return undefined;
+      const element = sourceMap.resolve(`${change.path}['${change.from}']`);
+      if (!element || element.missing.length > 0 || !element.pair) {
+        return undefined;
+      }
+      const key = /** @type {YAMLNode} */ (element.pair.key);
+      return [
+        replaceRange(element, rangeOf(key), formatKey(element, change.to)),
+      ];
+    }
+
+    case 'set': {
+      const element = sourceMap.resolve(change.path);
+      if (!element) return undefined;
+      if (element.missing.length > 0) {
+        return insertEntry(
+          sourceMap.dereference(element),
+          element.missing,
+          change.value
+        );
+      }
+      return replaceElement(element, change.value);
+    }
+
+    case 'add': {
+      const element = sourceMap.resolve(change.path);
+      if (!element) return undefined;
+      if (element.missing.length > 0) {
+        return insertEntry(sourceMap.dereference(element), element.missing, [
+          change.value,
+        ]);
+      }
+      return appendItems(sourceMap.dereference(element), [change.value]);
+    }
+
+    case 'remove': {
+      const element = sourceMap.resolve(change.path);
+      if (!element) return undefined;
+      // Already absent: nothing to do
+      if (element.missing.length > 0) return [];
+      return removeElement(element);
+    }
+
+    case 'merge': {
+      const element = sourceMap.resolve(change.path);
+      if (!element) return undefined;
+      if (element.missing.length > 0) {
+        return insertEntry(
+          sourceMap.dereference(element),
+          element.missing,
+          change.value
+        );
+      }
+      const target = sourceMap.dereference(element);
+      if (Array.isArray(change.value)) {
+        return appendItems(target, change.value);
+      }
+      if (!isPlainObject(change.value) || !isMap(target.node)) return undefined;
+
+      /** @type {TextEdit[]} */
+      const edits = [];
+      for (const [key, value] of Object.entries(change.value)) {
+        const planned = planChange(
+          { operation: 'set', path: `${change.path}['${key}']`, value },
+          sourceMap
+        );
+        if (!planned) return undefined;
+        edits.push(...planned);
+      }
+      return edits;
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Replace an existing element with a new value
+ * @param {SourceElement} element
+ * @param {unknown} value
+ * @returns {TextEdit[] | undefined}
+ */
+function replaceElement(element, value) {
+  const { node, pair, parent } = element;
+
+  // Scalars are replaced in place, keeping anything after them on the line
+  if (isScalar(node) && !isObject(value) && node !== pair?.key) {
+    const text =
+      typeof value === 'string' &&
+      (node.type === 'QUOTE_DOUBLE' || (parent && isFlow(parent)))
+        ? JSON.stringify(value)
+        : formatScalar(value);
+    return [replaceRange(element, rangeOf(node), text)];
+  }
+
+  if (!parent) return undefined;
+  if (isFlow(parent)) {
+    const { text } = element.source;
+    const range = rangeOf(node);
+    const layout = {
+      ...flowLayout(text, parent),
+      indent: indentation(text, range[0]),
+    };
+    return [replaceRange(element, range, formatFlowValue(value, layout))];
+  }
+
+  const start = pair
+    ? rangeOf(/** @type {YAMLNode} */ (pair.key))[0]
+    : rangeOf(node)[0];
+  const end = contentEnd(element.source.text, rangeOf(node)[1]);
+  const key = pair && scalarKey(pair);
+  if (pair && key === undefined) return undefined;
+
+  // Sequence items are replaced after their dash; keys keep their quoting
+  let block = stringify(pair ? { [String(key)]: value } : value, YAML_OPTIONS);
+  if (pair) {
+    const keyRange = rangeOf(/** @type {YAMLNode} */ (pair.key));
+    block =
+      element.source.text.slice(keyRange[0], keyRange[1]) +
+      block.slice(formatScalar(key).length);
+  }
+  const column = start - lineStart(element.source.text, start);
+  return [
+    replaceRange(element, [start, end], indentBlock(block, column, false)),
+  ];
+}
+
+/**
+ * Insert an entry into the mapping an element resolves to
+ * @param {SourceElement} element - Dereferenced element holding the new entry
+ * @param {string[]} keys - Missing keys, outermost first
+ * @param {unknown} value
+ * @returns {TextEdit[] | undefined}
+ */
+function insertEntry(element, keys, value) {
+  const { node, source } = element;
+  // An array index leading to the new entry means the path is stale (e.g.,
+  // renamed by an earlier fix)
+  if (!isMap(node) || keys.slice(0, -1).some((key) => /^\d+$/.test(key))) {
+    return undefined;
+  }
+
+  /** @type {unknown} */
+  let entry = value;
+  for (const key of [...keys].reverse()) {
+    entry = { [key]: entry };
+  }
+
+  if (node.items.length === 0) return replaceEmpty(element, entry);
+  if (isFlow(node)) {
+    const layout = flowLayout(source.text, node);
+    const [[key, member]] = Object.entries(/** @type {object} */ (entry));
+    const firstKey = rangeOf(/** @type {YAMLNode} */ (node.items[0].key))[0];
+    const formattedKey =
+      source.text[firstKey] === '"' ? JSON.stringify(key) : formatScalar(key);
+    return [
+      insertAfterItems(
+        element,
+        `${formattedKey}: ${formatFlowValue(member, layout)}`,
+        layout
+      ),
+    ];
+  }
+
+  const first = /** @type {YAMLNode} */ (node.items[0].key);
+  const column = rangeOf(first)[0] - lineStart(source.text, rangeOf(first)[0]);
+  const last = node.items[node.items.length - 1];
+  const end = rangeOf(/** @type {YAMLNode} */ (last.value ?? last.key))[1];
+
+  return [
+    insertAfterLine(
+      element,
+      end,
+      indentBlock(stringify(entry, YAML_OPTIONS), column, true)
+    ),
+  ];
+}
+
+/**
+ * Append items to the sequence an element resolves to
+ * @param {SourceElement} element - Dereferenced sequence
+ * @param {unknown[]} values
+ * @returns {TextEdit[] | undefined}
+ */
+function appendItems(element, values) {
+  const { node, source } = element;
+  if (!isSeq(node)) return undefined;
+  if (values.length === 0) return [];
+  if (node.items.length === 0) return replaceEmpty(element, values);
+  if (isFlow(node)) {
+    const layout = flowLayout(source.text, node);
+    return values.map((value) =>
+      insertAfterItems(element, formatFlowValue(value, layout), layout)
+    );
+  }
+
+  // Items start after their dash: indent new ones like the first dash
+  const firstStart = rangeOf(/** @type {YAMLNode} */ (node.items[0]))[0];
+  const lineOffset = lineStart(source.text, firstStart);
+  const dash = source.text.slice(lineOffset, firstStart).lastIndexOf('-');
+  if (dash === -1) return undefined;
+
+  const last = /** @type {YAMLNode} */ (node.items[node.items.length - 1]);
+  return [
+    insertAfterLine(
+      element,
+      rangeOf(last)[1],
+      indentBlock(stringify(values, YAML_OPTIONS), dash, true)
+    ),
+  ];
+}
+
+/**
+ * Delete the lines of a mapping entry or sequence item
+ * @param {SourceElement} element
+ * @returns {TextEdit[] | undefined}
+ */
+function removeElement(element) {
+  const { node, pair, parent, source } = element;
+  if (!parent) return undefined;
+  if (isFlow(parent)) return removeFlowItem(element, parent);
+
+  const start = pair
+    ? rangeOf(/** @type {YAMLNode} */ (pair.key))[0]
+    : rangeOf(node)[0];
+  const from = lineStart(source.text, start);
+  const prefix = source.text.slice(from, start);
+  // A sequence item's dash goes with it; the first key of an item cannot be removed alone
+  if (!/^\s*$/.test(prefix) && !(isSeq(parent) && /^\s*-\s*$/.test(prefix))) {
+    return undefined;
+  }
+
+  const to = nextLine(source.text, contentEnd(source.text, rangeOf(node)[1]));
+  return [replaceRange(element, [from, to], '')];
+}
+
+/**
+ * Replace an empty collection (`{}` or `[]`) with a value
+ * @param {SourceElement} element - Dereferenced empty mapping or sequence
+ * @param {unknown} value
+ * @returns {TextEdit[] | undefined}
+ */
+function replaceEmpty(element, value) {
+  const { node, parent, source } = element;
+  if (parent && !isFlow(parent)) return replaceElement(element, value);
+
+  // The file's root, a $ref'd element or an item of a flow collection
+  const range = rangeOf(node);
+  const layout = parent
+    ? flowLayout(source.text, parent)
+    : { multiline: true, indent: 0, unit: 2 };
+  return [
+    replaceRange(
+      element,
+      range,
+      formatFlowValue(value, {
+        ...layout,
+        indent: indentation(source.text, range[0]),
+      })
+    ),
+  ];
+}
+
+/**
+ * Insert an item after the last one of a flow collection
+ * @param {SourceElement} element - Dereferenced, non-empty flow collection
+ * @param {string} text - The item as written
+ * @param {FlowLayout} layout
+ * @returns {TextEdit}
+ */
+function insertAfterItems(element, text, layout) {
+  const node = /** @type {import('yaml').YAMLMap | import('yaml').YAMLSeq} */ (
+    element.node
+  );
+  const end = itemRange(node.items[node.items.length - 1])[1];
+  const separator = layout.multiline ? `,\n${' '.repeat(layout.indent)}` : ', ';
+  return replaceRange(element, [end, end], separator + text);
+}
+
+/**
+ * Delete an item of a flow collection with the comma separating it
+ * @param {SourceElement} element
+ * @param {YAMLNode} parent - Flow collection holding the element
+ * @returns {TextEdit[] | undefined}
+ */
+function removeFlowItem(element, parent) {
+  const items = /** @type {unknown[]} */ (
+    /** @type {import('yaml').YAMLMap | import('yaml').YAMLSeq} */ (parent)
+      .items
+  );
+  const index = items.indexOf(element.pair ?? element.node);
+  if (index === -1) return undefined;
+
+  if (items.length === 1) {
+    const [start, end] = rangeOf(parent);
+    return [replaceRange(element, [start + 1, end - 1], '')];
+  }
+  const [start, end] = itemRange(items[index]);
+  return index < items.length - 1
+    ? [replaceRange(element, [start, itemRange(items[index + 1])[0]], '')]
+    : [replaceRange(element, [itemRange(items[index - 1])[1], end], '')];
+}
+
+/**
+ * How the items of a flow collection are laid out
+ * @typedef {Object} FlowLayout
+ * @property {boolean} multiline - Whether the collection spans several lines
+ * @property {number} indent - Indentation of the lines of its items
+ * @property {number} unit - Indentation added for each level
+ */
+
+/**
+ * @param {string} text
+ * @param {YAMLNode} node - Flow mapping or sequence
+ * @returns {FlowLayout}
+ */
+function flowLayout(text, node) {
+  const [start, end] = rangeOf(node);
+  const multiline = text.slice(start, end).includes('\n');
+  const outer = indentation(text, start);
+  const { items } =
+    /** @type {import('yaml').YAMLMap | import('yaml').YAMLSeq} */ (node);
+  const inner =
+    multiline && items.length > 0
+      ? indentation(text, itemRange(items[0])[0])
+      : outer;
+  const unit = inner > outer ? inner - outer : 2;
+  return { multiline, indent: multiline ? outer + unit : outer, unit };
+}
+
+/**
+ * Write a value as JSON, laid out like the collection it goes in
+ * @param {unknown} value
+ * @param {FlowLayout} layout
+ * @returns {string}
+ */
+function formatFlowValue(value, layout) {
+  if (!layout.multiline) return JSON.stringify(value);
+  return JSON.stringify(value, null, layout.unit).replace(
+    /\n/g,
+    `\n${' '.repeat(layout.indent)}`
+  );
+}
+
+/**
+ * @param {unknown} item - Mapping entry or sequence item
+ * @returns {[number, number]} Offsets of the item, key included
+ */
+function itemRange(item) {
+  if (isPair(item)) {
+    const key = /** @type {YAMLNode} */ (item.key);
+    const value = /** @type {YAMLNode | null} */ (item.value);
+    return [rangeOf(key)[0], rangeOf(value ?? key)[1]];
+  }
+  return rangeOf(/** @type {YAMLNode} */ (item));
+}
+
+/**
+ * Options for serializing new values; values shared by a fix are written
+ * out each time, as anchors could clash with the file's own
+ */
+const YAML_OPTIONS = { lineWidth: 0, aliasDuplicateObjects: false };
+
+/**
+ * @param {SourceElement} element
+ * @param {[number, number]} range
+ * @param {string} text
+ * @returns {TextEdit}
+ */
+function replaceRange(element, [start, end], text) {
+  return { file: element.source.file, start, end, text };
+}
+
+/**
+ * Insert text on the line after an offset
+ * @param {SourceElement} element
+ * @param {number} offset - Offset in the last line to keep
+ * @param {string} text - Complete lines
+ * @returns {TextEdit}
+ */
+function insertAfterLine(element, offset, text) {
+  const { text: source } = element.source;
+  const at = nextLine(source, contentEnd(source, offset));
+  const prefix = at === source.length && !source.endsWith('\n') ? '\n' : '';
+  return replaceRange(element, [at, at], prefix + text);
+}
+
+/**
+ * Indent a YAML block to a column
+ * @param {string} block - Serialized YAML, ending with a newline
+ * @param {number} column - 0-based
+ * @param {boolean} firstLine - Whether to indent the first line too
+ * @returns {string}
+ */
+function indentBlock(block, column, firstLine) {
+  const padding = ' '.repeat(column);
+  const lines = block.replace(/\n$/, '').split('\n');
+  const indented = lines.map((line, i) =>
+    (i > 0 || firstLine) && line !== '' ? padding + line : line
+  );
+  // Replacements end where the old value ended, before its line break
+  return firstLine ? `${indented.join('\n')}\n` : indented.join('\n');
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatScalar(value) {
+  return stringify(value, YAML_OPTIONS).replace(/\n$/, '');
+}
+
+/**
+ * Format a key, keeping the quotes of the key it replaces
+ * @param {SourceElement} element
+ * @param {string} key
+ * @returns {string}
+ */
+function formatKey(element, key) {
+  const pairKey = /** @type {YAMLNode} */ (element.pair?.key);
+  const quote = element.source.text[rangeOf(pairKey)[0]];
+  if (quote === "'") return `'${key.replace(/'/g, "''")}'`;
+  if (quote === '"') return JSON.stringify(key);
+  return formatScalar(key);
+}
+
+/**
+ * @param {import('yaml').Pair<unknown, unknown>} pair
+ * @returns {unknown}
+ */
+function scalarKey(pair) {
+  return isScalar(pair.key) ? pair.key.value : undefined;
+}
+
+/**
+ * @param {YAMLNode} node
+ * @returns {boolean}
+ */
+function isFlow(node) {
+  return (isMap(node) || isSeq(node)) && Boolean(node.flow);
+}
+
+/**
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return isObject(value) && !Array.isArray(value);
+}
+
+/**
+ * @param {YAMLNode} node
+ * @returns {[number, number]} Start and end of the value (comments excluded)
+ */
+function rangeOf(node) {
+  const [start, end] = node.range ?? [0, 0];
+  return [start, end];
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number} Number of spaces starting the line of an offset
+ */
+function indentation(text, offset) {
+  const start = lineStart(text, offset);
+  return /^ */.exec(text.slice(start, offset + 1))?.[0].length ?? 0;
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number} Offset of the start of the line
+ */
+function lineStart(text, offset) {
+  return text.lastIndexOf('\n', offset - 1) + 1;
+}
+
+/**
+ * @param {string} text
+ * @param {number} offset
+ * @returns {number} Offset just after the line break ending the line
+ */
+function nextLine(text, offset) {
+  const end = text.indexOf('\n', offset);
+  return end === -1 ? text.length : end + 1;
+}
+
+/**
+ * Back up over trailing whitespace (block values end after their line break)
+ * @param {string} text
+ * @param {number} end
+ * @returns {number}
+ */
+function contentEnd(text, end) {
+  let offset = end;
+  while (offset > 0 && /\s/.test(text[offset - 1])) offset--;
+  return offset;
+}
@@ -0,0 +1,325 @@
+// @ts-check
+/**
+ * Tests for text edits planned from spec changes
+ * Run with: node --test src/text-edits.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { SourceMap } from './source-map.js';
+import { planTextEdits } from './text-edits.js';
+
+const API = `openapi: 3.0.3
+info:
+  title: Books # shown in the docs
+  version: 1.0.0
+paths:
+  /book:
+    get:
+      parameters:
+        - name: page_size
+          in: query
+          schema:
+            type: integer
+        - $ref: '#/components/parameters/Tenant'
+      requestBody:
+        content:
+          application/json:
+            schema:
+              type: object
+      responses:
+        '200':
+          description: OK
+components:
+  parameters:
+    Tenant:
+      name: tenant
+      in: header
+      schema:
+        $ref: 'tenant.yaml#/Tenant'
+`;
+
+const TENANT = `Tenant:
+  type: string
+`;
+
+const TEMP_DIR = mkdtempSync(join(tmpdir(), 'baume-edits-'));
+
+after(() => {
+  rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Write the spec files and plan edits for some changes
+ * @param {import('./types.ts').SpecChange[]} changes
+ * @param {string} [api=API]
+ * @returns {{edits: import('./types.ts').TextEdit[] | undefined, files: Record<string, string>}}
+ *   The edits and the files after applying them
+ */
+function plan(changes, api = API) {
+  const dir = mkdtempSync(join(TEMP_DIR, 'spec-'));
+  const specPath = join(dir, 'api.yaml');
+  writeFileSync(specPath, api);
+  writeFileSync(join(dir, 'tenant.yaml'), TENANT);
+
+  const edits = planTextEdits(changes, new SourceMap(specPath));
+
+  /** @type {Record<string, string>} */
+  const files = {
+    'api.yaml': api,
+    'tenant.yaml': TENANT,
+  };
+  for (const edit of [...(edits ?? [])].reverse()) {
+    const name = edit.file.slice(dir.length + 1);
+    files[name] =
+      files[name].slice(0, edit.start) +
+      edit.text +
+      files[name].slice(edit.end);
+  }
+  return { edits, files };
+}
+
+describe('planTextEdits', () => {
+  it('renames keys in place', () => {
+    const { files } = plan([
+      { operation: 'rename-key', path: '$.paths', from: '/book', to: '/books' },
+    ]);
+    assert.equal(files['api.yaml'], API.replace('/book:', '/books:'));
+  });
+
+  it('replaces scalars without touching comments', () => {
+    const { files } = plan([
+      { operation: 'set', path: '$.info.title', value: 'Library' },
+    ]);
+    assert.ok(
+      files['api.yaml'].includes('  title: Library # shown in the docs\n')
+    );
+  });
+
+  it('inserts missing keys with the indentation of their siblings', () => {
+    const { files } = plan([
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.parameters[0].schema.maximum",
+        value: 100,
+      },
+    ]);
+    assert.ok(
+      files['api.yaml'].includes(
+        '          schema:\n            type: integer\n            maximum: 100\n        - $ref'
+      )
+    );
+  });
+
+  it('replaces entries holding objects, keeping the key as written', () => {
+    const { files } = plan([
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.responses['200']",
+        value: { description: 'Books', content: {} },
+      },
+    ]);
+    assert.ok(
+      files['api.yaml'].endsWith(
+        "        '200':\n          description: Books\n          content: {}\ncomponents:\n" +
+          API.split('components:\n')[1]
+      )
+    );
+  });
+
+  it('appends sequence items and removes entries', () => {
+    const { files } = plan([
+      {
+        operation: 'add',
+        path: "$.paths['/book'].get.parameters",
+        value: { name: 'page_token', in: 'query' },
+      },
+      { operation: 'remove', path: "$.paths['/book'].get.requestBody" },
+    ]);
+    assert.ok(
+      files['api.yaml'].includes(
+        "        - $ref: '#/components/parameters/Tenant'\n        - name: page_token\n          in: query\n      responses:"
+      )
+    );
+  });
+
+  it('removes sequence items with their dash', () => {
+    const { files } = plan([
+      { operation: 'remove', path: "$.paths['/book'].get.parameters[0]" },
+    ]);
+    assert.ok(
+      files['api.yaml'].includes(
+        "      parameters:\n        - $ref: '#/components/parameters/Tenant'\n"
+      )
+    );
+  });
+
+  it('edits the file a $ref points to', () => {
+    const { edits, files } = plan([
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.parameters[1].schema.maxLength",
+        value: 64,
+      },
+    ]);
+    assert.equal(edits?.length, 1);
+    assert.equal(files['api.yaml'], API);
+    assert.equal(
+      files['tenant.yaml'],
+      'Tenant:\n  type: string\n  maxLength: 64\n'
+    );
+  });
+
+  it('merges objects as one insertion', () => {
+    const { edits, files } = plan([
+      {
+        operation: 'merge',
+        path: "$.paths['/book'].get",
+        value: { operationId: 'listBooks', tags: ['books'] },
+      },
+    ]);
+    assert.equal(edits?.length, 1);
+    assert.ok(
+      files['api.yaml'].includes(
+        '          description: OK\n      operationId: listBooks\n      tags:\n        - books\ncomponents:'
+      )
+    );
+  });
+
+  it('treats removing a missing element as done', () => {
+    assert.deepEqual(
+      plan([{ operation: 'remove', path: '$.info.summary' }]).edits,
+      []
+    );
+  });
+
+  it('edits JSON in its layout, one entry per line', () => {
+    const json = `${JSON.stringify(
+      {
+        openapi: '3.0.3',
+        info: { title: 'A', version: 1 },
+        paths: {
+          '/book': { get: { tags: ['Books'], parameters: [], responses: {} } },
+        },
+      },
+      null,
+      2
+    )}\n`;
+    const { files } = plan(
+      [
+        { operation: 'set', path: '$.info.version', value: '1.0.0' },
+        {
+          operation: 'set',
+          path: '$.info.contact',
+          value: { name: 'Team', email: 'team@example.com' },
+        },
+        { operation: 'add', path: "$.paths['/book'].get.tags", value: 'Read' },
+        {
+          operation: 'add',
+          path: "$.paths['/book'].get.parameters",
+          value: { name: 'page_size', in: 'query' },
+        },
+        {
+          operation: 'merge',
+          path: "$.paths['/book'].get.responses",
+          value: { 200: { description: 'OK' } },
+        },
+      ],
+      json
+    );
+
+    assert.equal(
+      files['api.yaml'],
+      `{
+  "openapi": "3.0.3",
+  "info": {
+    "title": "A",
+    "version": "1.0.0",
+    "contact": {
+      "name": "Team",
+      "email": "team@example.com"
+    }
+  },
+  "paths": {
+    "/book": {
+      "get": {
+        "tags": [
+          "Books",
+          "Read"
+        ],
+        "parameters": [
+          {
+            "name": "page_size",
+            "in": "query"
+          }
+        ],
+        "responses": {
+          "200": {
+            "description": "OK"
+          }
+        }
+      }
+    }
+  }
+}
+`
+    );
+    JSON.parse(files['api.yaml']);
+  });
+
+  it('removes flow entries with their comma', () => {
+    const json = '{"a": 1, "b": {"c": 2}, "d": [3]}\n';
+    const remove = (/** @type {string} */ path) =>
+      plan([{ operation: 'remove', path }], json).files['api.yaml'];
+
+    assert.equal(remove('$.a'), '{"b": {"c": 2}, "d": [3]}\n');
+    assert.equal(remove('$.b'), '{"a": 1, "d": [3]}\n');
+    assert.equal(remove('$.d'), '{"a": 1, "b": {"c": 2}}\n');
+    assert.equal(remove('$.d[0]'), '{"a": 1, "b": {"c": 2}, "d": []}\n');
+
+    const { files } = plan(
+      [
+        { operation: 'rename-key', path: '$', from: 'a', to: 'e' },
+        { operation: 'set', path: '$.b.c', value: 'two' },
+      ],
+      json
+    );
+    assert.equal(files['api.yaml'], '{"e": 1, "b": {"c": "two"}, "d": [3]}\n');
+  });
+
+  it('writes into YAML flow collections and replaces empty ones', () => {
+    const { files } = plan(
+      [
+        { operation: 'add', path: '$.tags', value: 'Read' },
+        { operation: 'set', path: '$.components.schemas', value: { A: {} } },
+        {
+          operation: 'merge',
+          path: '$.info',
+          value: { version: '1.0.0' },
+        },
+      ],
+      'info: {title: A} # the title\ntags: [Books]\ncomponents:\n  schemas: {}\n'
+    );
+    assert.equal(
+      files['api.yaml'],
+      'info: {title: A, version: "1.0.0"} # the title\ntags: [Books, "Read"]\ncomponents:\n  schemas:\n    A: {}\n'
+    );
+  });
+
+  it('gives up on overlapping edits', () => {
+    assert.equal(
+      plan([
+        { operation: 'remove', path: "$.paths['/book'].get" },
+        {
+          operation: 'set',
+          path: "$.paths['/book'].get.parameters[0].in",
+          value: 'header',
+        },
+      ]).edits,
+      undefined
+    );
+  });
+});
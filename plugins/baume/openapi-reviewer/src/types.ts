@@ -3,6 +3,9 @@
  * @module types
  */
 
+import type { BaseRule } from './rules/base.js';
+import type { RuleRegistry } from './rules/index.js';
+
 /** Severity levels for findings */
 export type Severity = 'error' | 'warning' | 'suggestion';
 
@@ -34,7 +37,9 @@ export type FixType =
   | 'add-schema' // Add a schema to components/schemas
   | 'add-schema-property' // Add a property to an existing schema
   | 'add-response' // Add a response to an operation
-  | 'set-schema-constraint'; // Set max/min/pattern constraint on a schema
+  | 'set-schema-constraint' // Set max/min/pattern constraint on a schema
+  | 'suppress' // Add an x-baume-ignore entry for the finding
+  | 'undo'; // Revert a fix recorded in a journal
 
 /** Types of JSON operations for spec changes */
 export type SpecChangeOperation =
@@ -102,6 +107,83 @@ export interface Finding {
   context?: Record<string, unknown>;
   /** Machine-readable fix for automated application */
   fix?: Fix;
+  /** Whether the finding is in the baseline (set when a baseline is applied) */
+  baseline?: 'new' | 'known';
+  /** Whether the finding was there before fixes (set when reviewing a fixed spec) */
+  fixStatus?: 'persisting' | 'introduced';
+  /** Where the element is defined in the source files (set by the CLI) */
+  location?: SourceLocation;
+}
+
+/**
+ * Replacement of a range of a spec file's text
+ */
+export interface TextEdit {
+  /** File path, as in SourceLocation */
+  file: string;
+  /** Offset of the first replaced character */
+  start: number;
+  /** Offset after the last replaced character (equal to start for insertions) */
+  end: number;
+  /** New text */
+  text: string;
+}
+
+/**
+ * OpenAPI Overlay 1.0 document: changes layered on top of a spec
+ * @see https://spec.openapis.org/overlay/v1.0.0.html
+ */
+export interface Overlay {
+  /** Overlay specification version (e.g., "1.0.0") */
+  overlay: string;
+  info: { title: string; version: string };
+  /** URL of the spec the overlay applies to */
+  extends?: string;
+  actions: OverlayAction[];
+}
+
+/**
+ * A change to the nodes selected by a JSONPath query
+ */
+export interface OverlayAction {
+  /** RFC 9535 JSONPath query selecting the nodes to change */
+  target: string;
+  description?: string;
+  /** Merged into each selected object, or appended to each selected array */
+  update?: unknown;
+  /** Remove the selected nodes */
+  remove?: boolean;
+  /** Rule whose fix the action comes from */
+  'x-baume-rule'?: string;
+  [extension: `x-${string}`]: unknown;
+}
+
+/**
+ * RFC 6902 JSON Patch operation; paths are RFC 6901 JSON Pointers
+ * @see https://www.rfc-editor.org/rfc/rfc6902
+ */
+export type JsonPatchOperation =
+  | { op: 'add' | 'replace' | 'test'; path: string; value: unknown }
+  | { op: 'remove'; path: string }
+  | { op: 'move' | 'copy'; from: string; path: string };
+
+/** RFC 6902 JSON Patch document: operations applied in order, atomically */
+export type JsonPatch = JsonPatchOperation[];
+
+/**
+ * Position of an element in a spec file
+ */
+export interface SourceLocation {
+  /** File path, as given for the spec or relative to it for `$ref`'d files */
+  file: string;
+  /** 1-based line of the element (its key, for mapping entries) */
+  line: number;
+  /** 1-based column */
+  column: number;
+  /** 1-based line where the element ends */
+  endLine: number;
+  /** 1-based column just after the element's last character */
+  endColumn: number;
 }
 
 /**
@@ -122,7 +204,22 @@ export interface ReviewResult {
     warnings: number;
     suggestions: number;
     byCategory: Record<RuleCategory, number>;
+    /** API hygiene score (see "Hygiene Score" in RULES.md) */
+    score?: HygieneScore;
+    /** Comparison with the baseline, if one was applied */
+    baseline?: {
+      /** Findings covered by the baseline */
+      known: number;
+      /** Findings not in the baseline */
+      new: number;
+      /** Baseline findings that no longer occur */
+      fixed: number;
+    };
+    /** Outcome of the fixes, if the result is the review of a fixed spec */
+    fixes?: FixVerification;
   };
+  /** Findings of the review before fixes that the fixes resolved */
+  resolved?: Finding[];
   /** Review metadata */
   metadata: {
     reviewedAt: string;
@@ -132,7 +229,230 @@ export interface ReviewResult {
     lenientMode?: boolean;
     /** Reason for lenient mode (explicit request or auto-fallback) */
     lenientReason?: string;
+    /** Path to the project config file used for this review */
+    configPath?: string;
+    /** Path to the baseline file findings were compared with */
+    baselinePath?: string;
+    /** Path to the overlay applied to the spec before review */
+    overlayPath?: string;
+    /** Path to the JSON Patch applied to the spec before review */
+    patchPath?: string;
+    /** Errors raised by rules; the affected rules produced no findings there */
+    ruleErrors?: RuleError[];
+    /** `x-baume-ignore` suppressions declared in the spec */
+    suppressions?: Suppression[];
+    /** Malformed `x-baume-ignore` entries, which were ignored */
+    invalidSuppressions?: string[];
+    /** Format the spec was converted from before review (e.g., 'swagger-2.0') */
+    convertedFrom?: string;
+    /** Path to the base spec, when the result lists changes from it (diff) */
+    comparedWith?: string;
+  };
+}
+
+/**
+ * Outcome of fixing a spec, checked by reviewing the fixed spec again
+ */
+export interface FixVerification {
+  /** Fixes applied, over all iterations */
+  applied: number;
+  /** Fixes that failed or conflicted with another fix */
+  failed: number;
+  /** Rounds of fixing the spec and reviewing it again */
+  iterations: number;
+  /** False if the last review still had fixable findings that fixes introduced */
+  converged: boolean;
+  /** Findings before fixes that no longer occur */
+  resolved: number;
+  /** Findings before fixes that still occur */
+  persisting: number;
+  /** Findings that the fixes introduced */
+  introduced: number;
+}
+
+/**
+ * A spec that could not be loaded or reviewed in a multi-spec review
+ */
+export interface SpecFailure {
+  specPath: string;
+  /** Why the spec was not reviewed */
+  error: string;
+}
+
+/**
+ * Aggregated review of several specs (e.g., all specs of a monorepo)
+ */
+export interface MultiReviewResult {
+  /** One review per spec, in input order */
+  reviews: ReviewResult[];
+  /** Specs that could not be reviewed */
+  failures: SpecFailure[];
+  /** Counts summed over all reviews */
+  summary: {
+    /** Specs reviewed or failed */
+    specs: number;
+    /** Specs that could not be reviewed */
+    failed: number;
+    errors: number;
+    warnings: number;
+    suggestions: number;
+    byCategory: Partial<Record<RuleCategory, number>>;
+    /** Score of all findings spread over the operations of all specs */
+    score?: ScoreBreakdown & { operationCount: number };
+    /** Baseline counts summed over the reviews that applied one */
+    baseline?: { known: number; new: number; fixed: number };
   };
+  metadata: {
+    reviewedAt: string;
+    reviewerVersion: string;
+  };
+}
+
+/**
+ * How a change between two spec versions affects existing clients (AIP-180)
+ */
+export type ChangeClassification = 'breaking' | 'potentially-breaking' | 'safe';
+
+/**
+ * A difference between two versions of a spec
+ */
+export interface ApiChange {
+  /** Kind of change (e.g., "aip180/operation-removed") */
+  id: string;
+  classification: ChangeClassification;
+  /** Affected element (e.g., "GET /users/{id}") */
+  path: string;
+  /** Human-readable description of the change */
+  message: string;
+  /** JSONPath in the revised spec (for removals, of the enclosing element) */
+  jsonPath?: string;
+  /** Previous value, for changed values (e.g., a type) */
+  before?: unknown;
+  /** New value, for changed values */
+  after?: unknown;
+}
+
+/**
+ * Findings recorded at one point in time (see "Baselines" in RULES.md)
+ */
+export interface Baseline {
+  /** File format version */
+  version: number;
+  findings: BaselineEntry[];
+}
+
+/**
+ * A recorded finding; only the fingerprint is used for matching
+ */
+export interface BaselineEntry {
+  /** Hash of the rule ID, location and normalized message */
+  fingerprint: string;
+  ruleId: string;
+  path: string;
+  message: string;
+  /** Number of identical findings, when more than one */
+  count?: number;
+}
+
+/**
+ * Fixes written by one `--fix` run, and how to revert them (see "Undoing
+ * fixes" in RULES.md)
+ */
+export interface FixJournal {
+  /** File format version */
+  version: number;
+  createdAt: string;
+  /** Spec that was fixed, relative to the journal */
+  spec: string;
+  /** Fixed spec written, relative to the journal */
+  output: string;
+  /** In the order the fixes were applied */
+  fixes: FixJournalEntry[];
+}
+
+/**
+ * A fix written, with the JSON Patch reverting it right after it
+ */
+export interface FixJournalEntry {
+  ruleId: string;
+  severity: Severity;
+  category: RuleCategory;
+  path: string;
+  message: string;
+  /** Guarded by `test`s of the values the fix wrote */
+  inverse: JsonPatch;
+}
+
+/**
+ * An `x-baume-ignore` entry and the findings it suppressed
+ */
+export interface Suppression {
+  /** Rule ID, "namespace/*" or "*" */
+  rule: string;
+  /** Why the findings are acceptable */
+  reason?: string;
+  /** JSONPath of the element carrying the extension */
+  location: string;
+  /** Number of findings suppressed */
+  matched: number;
+  /**
+   * "unused" when the rule ran without producing a matching finding,
+   * "inactive" when no matching rule ran (e.g., skipped or disabled)
+   */
+  status: 'used' | 'unused' | 'inactive';
+}
+
+/**
+ * Entry of an `x-baume-ignore` extension
+ */
+export interface IgnoreEntry {
+  /** Rule ID, "namespace/*" or "*" */
+  rule: string;
+  reason?: string;
+}
+
+/** Hygiene level derived from a score */
+export type HygieneLevel =
+  | 'Operating Room'
+  | 'Clean'
+  | 'Presentable'
+  | 'Grimy'
+  | 'Biohazard';
+
+/**
+ * Score for a slice of the findings
+ */
+export interface ScoreBreakdown {
+  /** Score from 0 (worst) to 100 (no findings) */
+  score: number;
+  level: HygieneLevel;
+  /** Sum of weighted finding penalties */
+  penalty: number;
+  /** Number of findings counted */
+  findings: number;
+}
+
+/**
+ * Overall hygiene score with per-category and per-tag breakdowns
+ */
+export interface HygieneScore extends ScoreBreakdown {
+  /** Operations the penalty is spread over */
+  operationCount: number;
+  byCategory: Partial<Record<RuleCategory, ScoreBreakdown>>;
+  /** Tag breakdowns, each normalized by the tag's own operation count */
+  byTag: Record<string, ScoreBreakdown & { operations: number }>;
+}
+
+/**
+ * An error raised by a rule while reviewing a spec
+ */
+export interface RuleError {
+  /** Rule that failed */
+  ruleId: string;
+  /** Element being checked (e.g., "GET /users"), if any */
+  path?: string;
+  /** Error message */
+  message: string;
 }
 
 /**
@@ -145,10 +465,91 @@ export interface ReviewerConfig {
   categories?: RuleCategory[];
   /** Skip specific rule IDs */
   skipRules?: string[];
-  /** Custom rules to add */
-  customRules?: Rule[];
+  /** Custom rules to add (compiled declarative rules or legacy rules) */
+  customRules?: Array<Rule | BaseRule>;
+  /** Start from a named preset instead of all rules */
+  preset?: string;
+  /** Per-rule overrides keyed by rule ID (layered on top of the preset) */
+  rules?: Record<string, RuleOverride>;
+  /** Path patterns excluded from all rules (e.g., "/internal/*") */
+  exclude?: string[];
+  /** Registry providing the rules and presets (default: built-in rules only) */
+  registry?: RuleRegistry;
+}
+
+/**
+ * A named selection of rules with optional severity adjustments
+ */
+export interface RulePreset {
+  /** Preset name used by `extends:` and `--preset` */
+  name: string;
+  /** Human-readable description */
+  description: string;
+  /** IDs of the rules enabled by this preset */
+  rules: string[];
+  /** Severity overrides for rules in this preset */
+  severity?: Record<string, Severity>;
+}
+
+/**
+ * Per-rule override from project configuration
+ */
+export interface RuleOverride {
+  /** Set to false to disable the rule, true to enable it outside the preset */
+  enabled?: boolean;
+  /** Replace the rule's default severity */
+  severity?: Severity;
+  /** Replace the rule's hygiene score weight */
+  weight?: number;
+  /** Rule-specific options (see the rule's optionsSchema) */
+  options?: Record<string, unknown>;
+  /** Why the rule was adjusted (documentation only) */
+  reason?: string;
+}
+
+/**
+ * Project configuration loaded from `.api-hygiene/config.yaml`
+ */
+export interface ProjectConfig {
+  /** Preset to start from (e.g., "google-aip-standard") */
+  extends?: string;
+  /** Per-rule overrides keyed by rule ID */
+  rules?: Record<string, RuleOverride>;
+  /** Path patterns excluded from all rules */
+  exclude?: string[];
+  /** Declarative rule files or globs, relative to the config file */
+  customRules?: string[];
+  /** Plugin packages or modules (paths relative to the config file) */
+  plugins?: string[];
+}
+
+/**
+ * Output formatter contributed by a plugin
+ */
+export type ReviewFormatter = (
+  result: ReviewResult,
+  options: { color: boolean }
+) => string;
+
+/**
+ * A loaded and validated rule plugin
+ */
+export interface RulePlugin {
+  /** Package name or path the plugin was loaded from */
+  name: string;
+  /** Prefix of everything the plugin contributes (e.g., "acme") */
+  namespace: string;
+  /** Rules, with IDs like "acme/operation-ids" */
+  rules: BaseRule[];
+  /** Presets, with names like "acme/recommended" */
+  presets: RulePreset[];
+  /** Output formats, keyed by names like "acme/junit" */
+  formatters: Record<string, ReviewFormatter>;
 }
 
+/** Element a declarative rule is evaluated against */
+export type DeclarativeRuleScope = 'operation' | 'path' | 'spec' | 'schema';
+
 /**
  * A single review rule (legacy interface)
  */
@@ -277,6 +678,29 @@ export interface RuleContext {
   createFinding: (
     partial: Partial<Finding> & { path: string; message: string }
   ) => Finding;
+  /** Rule options (defaults merged with config overrides) */
+  options?: Record<string, unknown>;
+  /** JSONPath of the checked element (parameter, schema and property rules) */
+  jsonPath?: string;
+  /** Logical location of the checked schema or property (e.g., "POST /books requestBody > author.name") */
+  location?: string;
+}
+
+/**
+ * Schema of a configurable rule option (a JSON Schema subset)
+ */
+export interface RuleOptionSchema {
+  type: 'string' | 'number' | 'integer' | 'boolean' | 'array';
+  /** Schema of the items, for arrays */
+  items?: Omit<RuleOptionSchema, 'description'>;
+  /** Allowed values */
+  enum?: unknown[];
+  /** Smallest allowed value, for numbers */
+  minimum?: number;
+  /** Value used when the config does not set the option */
+  default?: unknown;
+  /** What the option controls */
+  description: string;
 }
 
 // ============================================
@@ -296,14 +720,21 @@ export interface OpenAPISpec {
     [key: string]: unknown;
   };
   paths?: Record<string, PathItem>;
+  /** OpenAPI 3.1 webhooks, keyed by name */
+  webhooks?: Record<string, PathItem>;
   components?: {
     schemas?: Record<string, Schema>;
     parameters?: Record<string, Parameter>;
     responses?: Record<string, Response>;
     securitySchemes?: Record<string, SecurityScheme>;
+    links?: Record<string, Link>;
+    /** OpenAPI 3.1 reusable path items */
+    pathItems?: Record<string, PathItem>;
   };
   servers?: Server[];
   tags?: Tag[];
+  security?: SecurityRequirement[];
+  'x-baume-ignore'?: IgnoreEntry[];
 }
 
 export interface PathItem {
@@ -318,6 +749,7 @@ export interface PathItem {
   parameters?: Parameter[];
   summary?: string;
   description?: string;
+  'x-baume-ignore'?: IgnoreEntry[];
 }
 
 export interface Operation {
@@ -330,6 +762,7 @@ export interface Operation {
   responses?: Record<string, Response>;
   security?: SecurityRequirement[];
   deprecated?: boolean;
+  'x-baume-ignore'?: IgnoreEntry[];
 }
 
 export interface Parameter {
@@ -340,6 +773,7 @@ export interface Parameter {
   schema?: Schema;
   style?: string;
   explode?: boolean;
+  'x-baume-ignore'?: IgnoreEntry[];
 }
 
 export interface RequestBody {
@@ -352,9 +786,20 @@ export interface Response {
   description?: string;
   headers?: Record<string, Header>;
   content?: Record<string, MediaType>;
+  links?: Record<string, Link>;
   $ref?: string;
 }
 
+export interface Link {
+  /** JSON Pointer to the target operation, e.g., "#/paths/~1books~1{bookId}/get" */
+  operationRef?: string;
+  operationId?: string;
+  /** Values for the target's parameters, often runtime expressions */
+  parameters?: Record<string, unknown>;
+  requestBody?: unknown;
+  description?: string;
+}
+
 export interface MediaType {
   schema?: Schema;
   example?: unknown;
@@ -362,13 +807,20 @@ export interface MediaType {
 }
 
 export interface Schema {
-  type?: string;
+  /** A list of types in OpenAPI 3.1 (e.g., ["string", "null"]) */
+  type?: string | string[];
   format?: string;
   items?: Schema;
+  /** OpenAPI 3.1: schemas of the leading array items */
+  prefixItems?: Schema[];
   properties?: Record<string, Schema>;
   required?: string[];
   enum?: unknown[];
+  /** OpenAPI 3.1: single allowed value */
+  const?: unknown;
   $ref?: string;
+  /** OpenAPI 3.1: local schema definitions */
+  $defs?: Record<string, Schema>;
   allOf?: Schema[];
   oneOf?: Schema[];
   anyOf?: Schema[];
@@ -381,6 +833,53 @@ export interface Schema {
   maxLength?: number;
   pattern?: string;
   additionalProperties?: boolean | Schema;
+  /** OpenAPI 3.1 */
+  unevaluatedProperties?: boolean | Schema;
+  not?: Schema;
+  'x-baume-ignore'?: IgnoreEntry[];
+}
+
+/**
+ * A schema found by the schema walker
+ */
+export interface SchemaVisit {
+  /** Component name for component schemas, otherwise the location */
+  name: string;
+  schema: Schema;
+  /** Where the schema is defined */
+  jsonPath: string;
+  /** Logical location (e.g., "POST /books requestBody > author") */
+  location: string;
+  /** Enclosing elements, outermost first (path item, operation, parent schemas...) */
+  ancestors: object[];
+}
+
+/**
+ * A property found by the schema walker
+ */
+export interface PropertyVisit {
+  /** Property name */
+  name: string;
+  /** The property's schema */
+  schema: Schema;
+  /** Name of the schema holding the property (as in SchemaVisit) */
+  parentName: string;
+  jsonPath: string;
+  /** Logical location (e.g., "POST /books requestBody > author.name") */
+  location: string;
+  /** Enclosing elements, outermost first, ending with the parent schema */
+  ancestors: object[];
+}
+
+/**
+ * A group of path items: `paths`, `webhooks` or `components.pathItems`
+ */
+export interface PathItemCollection {
+  /** Where the path items are (e.g., "$.webhooks") */
+  jsonPath: string;
+  pathItems: Record<string, PathItem>;
+  /** The spec with `paths` replaced by these path items */
+  spec: OpenAPISpec;
 }
 
 export interface Header {
@@ -0,0 +1,193 @@
+// @ts-check
+/**
+ * Fix Verification
+ *
+ * Applying a fix says nothing about whether it resolved its finding: a
+ * change can miss what the rule checks, and renaming a path segment can
+ * make the path break another rule (e.g., `aip122/nested-ownership`).
+ * `verifyFixes` reviews the fixed spec again and sorts the findings into
+ * resolved, persisting and introduced ones.
+ *
+ * Findings before and after fixes are matched by rule and location, with
+ * locations followed through the keys the fixes renamed. Messages are not
+ * compared, since they may mention what the fix changed.
+ *
+ * Fixes can introduce findings that are fixable in turn: with
+ * `maxIterations`, the fixes of introduced findings are applied and the
+ * spec reviewed again, until no fixable finding is introduced (a fixed
+ * point) or the cap is reached.
+ *
+ * @example
+ * ```js
+ * const verified = verifyFixes(reviewer, spec, reviewer.review(spec), { maxIterations: 3 });
+ * const { resolved, persisting, introduced } = verified.result.summary.fixes;
+ * ```
+ *
+ * @module verify
+ */
+
+import { OpenAPIFixer, getRenamedKeys, rebasePath } from './fixer.js';
+import { parseJsonPath } from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ * @typedef {import('./types.ts').ReviewResult} ReviewResult
+ * @typedef {import('./fixer.js').FixResult} FixResult
+ * @typedef {import('./fixer.js').FixSummary} FixSummary
+ * @typedef {import('./fixer.js').RenamedKey} RenamedKey
+ * @typedef {{review(spec: OpenAPISpec, specPath?: string): ReviewResult}} Reviewer
+ */
+
+/**
+ * @typedef {Object} FindingComparison
+ * @property {Finding[]} resolved - Findings before fixes that no longer occur
+ * @property {Finding[]} persisting - Findings after fixes that already occurred before
+ * @property {Finding[]} introduced - Findings after fixes that did not occur before
+ */
+
+/**
+ * @typedef {Object} VerifiedFixes
+ * @property {OpenAPISpec} spec - The fixed spec
+ * @property {FixResult[]} fixResults - Results of every iteration, in the order the fixes were applied
+ * @property {FixSummary} summary - Counts over all iterations
+ * @property {ReviewResult} result - Review of the fixed spec, with `summary.fixes`,
+ *   the `fixStatus` of its findings and the `resolved` findings
+ */
+
+/**
+ * Apply the fixes of a review and review the fixed spec again
+ *
+ * The spec given is not modified.
+ *
+ * @param {Reviewer} reviewer - Reviewer that produced the result
+ * @param {OpenAPISpec} spec - The reviewed spec
+ * @param {ReviewResult} result - Its review
+ * @param {Object} [options]
+ * @param {number} [options.maxIterations=1] - Rounds of fixing and reviewing
+ * @param {Finding[]} [options.fixes] - Findings to fix in the first round
+ *   (by default, every fixable finding of the result)
+ * @param {(finding: Finding) => boolean} [options.filter] - Which introduced
+ *   findings to fix in later rounds (by default, every fixable one)
+ * @returns {VerifiedFixes}
+ */
+export function verifyFixes(reviewer, spec, result, options = {}) {
+  const maxIterations = options.maxIterations ?? 1;
+
+  let current = spec;
+  let review = result;
+  /** @type {FixResult[]} */
+  const fixResults = [];
+  /** @type {RenamedKey[]} */
+  const renamed = [];
+  /** @type {FixSummary} */
+  const summary = { total: 0, applied: 0, failed: 0, conflicts: 0, changes: 0 };
+
+  const filter = options.filter ?? (() => true);
+
+  let pending =
+    options.fixes ?? result.findings.filter((finding) => finding.fix);
+  let iterations = 0;
+  while (pending.length > 0 && iterations < maxIterations) {
+    iterations++;
+    const fixer = new OpenAPIFixer(current);
+    const results = fixer.applyFixes(pending);
+    const iterationRenamed = getRenamedKeys(results);
+    fixResults.push(...results);
+    renamed.push(...iterationRenamed);
+    for (const [key, count] of Object.entries(fixer.getSummary())) {
+      summary[/** @type {keyof FixSummary} */ (key)] += count;
+    }
+
+    current = fixer.getSpec();
+    const next = reviewer.review(current, result.specPath);
+    // Findings the previous fixes left are not fixed twice
+    pending = compareFindings(
+      review.findings,
+      next.findings,
+      iterationRenamed
+    ).introduced.filter((finding) => finding.fix && filter(finding));
+    review = next;
+  }
+
+  const { resolved, persisting, introduced } = compareFindings(
+    result.findings,
+    review.findings,
+    renamed
+  );
+  for (const finding of persisting) finding.fixStatus = 'persisting';
+  for (const finding of introduced) finding.fixStatus = 'introduced';
+  review.resolved = resolved;
+  review.summary.fixes = {
+    applied: summary.applied,
+    failed: summary.failed,
+    iterations,
+    converged: pending.length === 0,
+    resolved: resolved.length,
+    persisting: persisting.length,
+    introduced: introduced.length,
+  };
+
+  return { spec: current, fixResults, summary, result: review };
+}
+
+/**
+ * Compare the findings of a spec before and after fixes
+ *
+ * A finding persists if a finding after fixes has the same rule and
+ * location, following the renamed keys. Each finding matches at most one
+ * on the other side.
+ *
+ * @param {Finding[]} before
+ * @param {Finding[]} after
+ * @param {RenamedKey[]} [renamed=[]] - Keys the fixes renamed, in order
+ * @returns {FindingComparison}
+ */
+export function compareFindings(before, after, renamed = []) {
+  /** @type {Map<string, Finding[]>} Unmatched findings after fixes, by key */
+  const unmatched = new Map();
+  for (const finding of after) {
+    const key = findingKey(finding, []);
+    unmatched.set(key, [...(unmatched.get(key) ?? []), finding]);
+  }
+
+  /** @type {Finding[]} */
+  const resolved = [];
+  /** @type {Set<Finding>} */
+  const matched = new Set();
+  for (const finding of before) {
+    const match = unmatched.get(findingKey(finding, renamed))?.shift();
+    if (match) {
+      matched.add(match);
+    } else {
+      resolved.push(finding);
+    }
+  }
+
+  return {
+    resolved,
+    persisting: after.filter((finding) => matched.has(finding)),
+    introduced: after.filter((finding) => !matched.has(finding)),
+  };
+}
+
+/**
+ * Identify a finding by rule and location, after renames
+ * @param {Finding} finding
+ * @param {RenamedKey[]} renamed
+ * @returns {string}
+ */
+function findingKey(finding, renamed) {
+  // Logical paths name the spec's paths (e.g., "GET /books")
+  let path = finding.path.split(' ');
+  for (const { key, to } of renamed) {
+    if (key.length === 2 && key[0] === 'paths') {
+      path = path.map((token) => (token === key[1] ? to : token));
+    }
+  }
+  const jsonPath = finding.jsonPath
+    ? parseJsonPath(rebasePath(finding.jsonPath, renamed))
+    : [];
+
+  return [finding.ruleId, path.join(' '), ...jsonPath].join('\0');
+}
@@ -0,0 +1,193 @@
+// @ts-check
+/**
+ * Tests for re-reviewing fixed specs
+ * Run with: node --test src/verify.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAPIReviewer } from './reviewer.js';
+import { compareFindings, verifyFixes } from './verify.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').OpenAPISpec} OpenAPISpec
+ */
+
+/** @returns {OpenAPISpec} */
+function createSpec() {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Library', version: '1.0.0' },
+    paths: {
+      '/books': {
+        get: {
+          responses: {
+            200: {
+              description: 'OK',
+              content: {
+                'application/json': {
+                  schema: { type: 'object', properties: {} },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/author/{id}': {
+        get: {
+          parameters: [
+            {
+              name: 'id',
+              in: 'path',
+              required: true,
+              schema: { type: 'string' },
+            },
+          ],
+          responses: { 200: { description: 'OK' } },
+        },
+      },
+    },
+  };
+}
+
+/**
+ * @param {string} ruleId
+ * @param {string} path
+ * @param {string} [jsonPath]
+ * @returns {Finding}
+ */
+function createFinding(ruleId, path, jsonPath) {
+  return {
+    ruleId,
+    severity: 'warning',
+    category: 'naming',
+    path,
+    message: `${ruleId} message`,
+    ...(jsonPath && { jsonPath }),
+  };
+}
+
+const reviewer = new OpenAPIReviewer({
+  skipRules: ['aip193/schema-defined', 'aip193/responses-documented'],
+});
+
+describe('verifyFixes', () => {
+  it('reports what the fixes resolved and introduced', () => {
+    const spec = createSpec();
+    const result = reviewer.review(spec);
+
+    const verified = verifyFixes(reviewer, spec, result);
+
+    assert.deepEqual(verified.result.summary.fixes, {
+      applied: 4,
+      failed: 0,
+      iterations: 1,
+      converged: false,
+      resolved: 4,
+      persisting: 0,
+      introduced: 1,
+    });
+    assert.deepEqual(
+      verified.result.resolved?.map((finding) => finding.ruleId),
+      [
+        'aip122/plural-resources',
+        'aip132/has-filtering',
+        'aip132/has-ordering',
+        'aip158/list-paginated',
+      ]
+    );
+    // Paginating the list makes its response need a next page token
+    const [introduced] = verified.result.findings;
+    assert.equal(introduced.ruleId, 'aip158/response-next-token');
+    assert.equal(introduced.fixStatus, 'introduced');
+    assert.ok(verified.spec.paths?.['/authors/{id}']);
+    assert.deepEqual(spec, createSpec());
+  });
+
+  it('fixes introduced findings until none are', () => {
+    const spec = createSpec();
+    const result = reviewer.review(spec);
+
+    const verified = verifyFixes(reviewer, spec, result, { maxIterations: 5 });
+
+    assert.deepEqual(verified.result.findings, []);
+    assert.equal(verified.summary.applied, 5);
+    assert.deepEqual(verified.result.summary.fixes, {
+      applied: 5,
+      failed: 0,
+      iterations: 2,
+      converged: true,
+      resolved: 4,
+      persisting: 0,
+      introduced: 0,
+    });
+    assert.equal(
+      verified.fixResults[verified.fixResults.length - 1].ruleId,
+      'aip158/response-next-token'
+    );
+  });
+
+  it('reviews nothing again without fixable findings', () => {
+    const result = reviewer.review(createSpec());
+    result.findings = result.findings.map(
+      ({ fix: _fix, ...finding }) => finding
+    );
+
+    const verified = verifyFixes(reviewer, createSpec(), result);
+
+    assert.equal(verified.result, result);
+    assert.equal(verified.result.summary.fixes?.iterations, 0);
+    assert.equal(verified.result.summary.fixes?.persisting, 4);
+  });
+});
+
+describe('compareFindings', () => {
+  it('matches findings by rule and location, following renamed keys', () => {
+    const before = [
+      createFinding('aip158/list-paginated', 'GET /book'),
+      createFinding(
+        'aip193/standard-codes',
+        'GET /book',
+        "$.paths['/book'].get.responses['200']"
+      ),
+      createFinding('aip132/has-ordering', 'GET /book'),
+      createFinding('aip122/plural-resources', '/book'),
+    ];
+    const after = [
+      createFinding('aip158/list-paginated', 'GET /books'),
+      createFinding(
+        'aip193/standard-codes',
+        'GET /books',
+        "$.paths['/books'].get.responses['201']"
+      ),
+      createFinding('aip122/nested-ownership', '/books'),
+    ];
+    after[0].message = 'Another message';
+
+    const { resolved, persisting, introduced } = compareFindings(
+      before,
+      after,
+      [
+        { key: ['paths', '/book'], to: '/books' },
+        { key: ['paths', '/books', 'get', 'responses', '200'], to: '201' },
+      ]
+    );
+
+    assert.deepEqual(resolved, [before[2], before[3]]);
+    assert.deepEqual(persisting, [after[0], after[1]]);
+    assert.deepEqual(introduced, [after[2]]);
+  });
+
+  it('matches each finding once', () => {
+    const finding = createFinding('aip132/has-ordering', 'GET /books');
+
+    const { persisting, introduced } = compareFindings(
+      [finding],
+      [{ ...finding }, { ...finding }]
+    );
+
+    assert.equal(persisting.length, 1);
+    assert.equal(introduced.length, 1);
+  });
+});
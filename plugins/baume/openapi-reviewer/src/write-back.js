@@ -0,0 +1,376 @@
+// @ts-check
+/**
+ * Fix Write-Back
+ *
+ * Writes fixes into the spec's source text instead of serializing the
+ * fixed spec, so that a fixed file differs from the original only where the
+ * fixes changed it: comments, key order, quoting, anchors and line wrapping
+ * are kept, and `$ref`s are not inlined.
+ *
+ * Fixes are applied one after the other, and so are the changes of a fix,
+ * each to the text the previous ones left: a change may address what an
+ * earlier one renamed. A change is written as text edits when possible
+ * (see `planTextEdits`); otherwise it is applied to the file's `yaml`
+ * Document, which keeps comments and styles but re-renders the whole file,
+ * and its fix is reported as reformatting it. A fix is written as a whole,
+ * or not at all.
+ *
+ * Fixes of elements the spec `$ref`s from another file are written into
+ * that file (see `canonicalizeFixes`), and returned with it in `files`;
+ * only the root file can be re-rendered. Those files are fixed in place, so
+ * when the root file is written elsewhere, such fixes are skipped
+ * (`refFiles: false`), and its relative `$ref`s need rebasing (see
+ * `rebaseRefs`).
+ *
+ * @example
+ * ```js
+ * const { text, files, skipped } = writeBackFixes(appliedFindings, 'api.yaml');
+ * writeFileSync('api.yaml', text);
+ * for (const [file, content] of Object.entries(files)) writeFileSync(file, content);
+ * ```
+ *
+ * @module write-back
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname, isAbsolute, relative, resolve, sep } from 'node:path';
+import { isMap, isScalar, isSeq, parseDocument, visit } from 'yaml';
+import { SourceMap } from './source-map.js';
+import { planTextEdits } from './text-edits.js';
+import { followJsonPath, parseJsonPath } from './rules/helpers/jsonpath.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ * @typedef {import('./types.ts').TextEdit} TextEdit
+ * @typedef {import('yaml').Document.Parsed} ParsedDocument
+ */
+
+/**
+ * @typedef {Object} WriteBackResult
+ * @property {string} text - Content of the fixed root file
+ * @property {Record<string, string>} files - Content of the fixed files the root `$ref`s, by path
+ * @property {Finding[]} written - Findings whose fix was written
+ * @property {Finding[]} reformatted - Written findings whose fix re-rendered the file
+ * @property {Array<{ruleId: string, path: string, error: string}>} skipped - Fixes that could not be written
+ * @property {Map<Finding, unknown[]>} previous - For each written finding, what
+ *   the paths of its changes held as written (`$ref`s kept), undefined where
+ *   there was nothing
+ */
+
+/**
+ * Write the fixes of findings into the source of a spec
+ * @param {Finding[]} findings - Findings whose fix applies to the spec, in order
+ * @param {string} specPath - Root file of the spec
+ * @param {string} [text] - Its content, when already read (or not on disk)
+ * @param {Object} [options]
+ * @param {boolean} [options.refFiles=true] - Whether fixes may write into
+ *   the files the root `$ref`s; the fixes that would are skipped otherwise
+ * @returns {WriteBackResult}
+ */
+export function writeBackFixes(
+  findings,
+  specPath,
+  text,
+  { refFiles = true } = {}
+) {
+  /** @type {WriteBackResult} */
+  const result = {
+    text: text ?? readFileSync(specPath, 'utf-8'),
+    files: {},
+    written: [],
+    reformatted: [],
+    skipped: [],
+    previous: new Map(),
+  };
+
+  for (const finding of findings) {
+    const changes = finding.fix?.specChanges;
+    if (!changes) continue;
+
+    // Kept only if every change is written
+    let content = result.text;
+    const files = { ...result.files };
+    let reformatted = false;
+    /** @type {unknown[]} */
+    const previous = [];
+    try {
+      for (const change of changes) {
+        const sourceMap = new SourceMap(specPath, content, files);
+        previous.push(writtenValue(sourceMap, change));
+
+        const edits = planTextEdits([change], sourceMap);
+        if (!edits) {
+          content = applyToDocument(content, [change], specPath);
+          reformatted = true;
+          continue;
+        }
+        for (const file of new Set(edits.map((edit) => edit.file))) {
+          if (file !== specPath && !refFiles) {
+            throw new Error(
+              `Cannot fix ${file}, which the spec $refs, unless the spec is fixed in place`
+            );
+          }
+          const edited = applyTextEdits(
+            file === specPath
+              ? content
+              : (files[file] ?? readFileSync(file, 'utf-8')),
+            edits.filter((edit) => edit.file === file)
+          );
+          if (file === specPath) content = edited;
+          else files[file] = edited;
+        }
+      }
+    } catch (error) {
+      result.skipped.push({
+        ruleId: finding.ruleId,
+        path: finding.path,
+        error: error instanceof Error ? error.message : String(error),
+      });
+      continue;
+    }
+
+    result.text = content;
+    result.files = files;
+    result.written.push(finding);
+    if (reformatted) result.reformatted.push(finding);
+    result.previous.set(finding, previous);
+  }
+
+  return result;
+}
+
+/**
+ * Rebase the relative `$ref`s of a file onto another directory, so that
+ * they still point to the same files once it is written there
+ * @param {string} text - Content of the file, YAML or JSON
+ * @param {string} from - Directory its `$ref`s are relative to
+ * @param {string} to - Directory it is written to
+ * @returns {string}
+ */
+export function rebaseRefs(text, from, to) {
+  /** @type {Array<Omit<TextEdit, 'file'>>} */
+  const edits = [];
+  visit(parseDocument(text), {
+    Pair(_, pair) {
+      const { key, value } = pair;
+      if (!isScalar(key) || key.value !== '$ref') return;
+      if (!isScalar(value) || typeof value.value !== 'string') return;
+      const ref = value.value;
+      const hash = ref.indexOf('#');
+      const file = hash === -1 ? ref : ref.slice(0, hash);
+      // Local pointers, URLs and absolute paths point to the same place
+      if (!file || isAbsolute(file) || /^[a-z][a-z\d+.-]*:/i.test(file)) {
+        return;
+      }
+
+      let rebased = relative(to, resolve(from, file)).split(sep).join('/');
+      if (file.startsWith('./') && !rebased.startsWith('.')) {
+        rebased = `./${rebased}`;
+      }
+      rebased += hash === -1 ? '' : ref.slice(hash);
+      const [start, end] = /** @type {[number, number, number]} */ (
+        value.range
+      );
+      edits.push({
+        start,
+        end,
+        text:
+          value.type === 'PLAIN'
+            ? rebased
+            : value.type === 'QUOTE_SINGLE'
+              ? `'${rebased.replaceAll("'", "''")}'`
+              : JSON.stringify(rebased),
+      });
+    },
+  });
+  return applyTextEdits(text, edits);
+}
+
+/**
+ * What the path of a change holds in the source, before the change
+ * @param {SourceMap} sourceMap
+ * @param {SpecChange} change
+ * @returns {unknown} As written, with its `$ref`s; undefined if missing
+ */
+function writtenValue(sourceMap, change) {
+  if (change.operation === 'rename-key') return undefined;
+  const element = sourceMap.resolve(change.path);
+  if (!element || element.missing.length > 0) return undefined;
+  // A key without a value
+  if (element.pair && element.pair.value === null) return null;
+  return element.node.toJS(element.source.document);
+}
+
+/**
+ * @param {string} text
+ * @param {Array<Omit<TextEdit, 'file'>>} edits - Sorted, not overlapping
+ * @returns {string}
+ */
+function applyTextEdits(text, edits) {
+  let edited = text;
+  for (const { start, end, text: replacement } of [...edits].reverse()) {
+    edited = edited.slice(0, start) + replacement + edited.slice(end);
+  }
+  return edited;
+}
+
+/**
+ * Apply changes to the `yaml` Document of a file and render it again
+ * @param {string} text
+ * @param {SpecChange[]} changes
+ * @param {string} specPath - Its extension selects JSON or YAML output
+ * @returns {string}
+ * @throws {Error} If a change does not apply (nothing is changed then)
+ */
+function applyToDocument(text, changes, specPath) {
+  const document = parseDocument(text);
+  for (const change of changes) {
+    applyChange(document, change);
+  }
+
+  if (extname(specPath).toLowerCase() === '.json') {
+    const indent = /^\{\n( +)"/.exec(text)?.[1].length ?? 2;
+    return `${JSON.stringify(document.toJS(), null, indent)}\n`;
+  }
+  return document.toString({
+    lineWidth: 0,
+    // Keep sequences at the indentation of their key, if written so
+    indentSeq: !/^( *)[^\s#-][^\n]*:\n\1- /m.test(text),
+  });
+}
+
+/**
+ * @param {ParsedDocument} document
+ * @param {SpecChange} change
+ */
+function applyChange(document, change) {
+  const segments = parseJsonPath(change.path);
+  // Throws for paths through a $ref, which the fixed spec had dereferenced
+  const { value, found } = followJsonPath(document.toJS(), segments);
+  const keys = documentKeys(document, segments);
+  const exists = found === segments.length;
+
+  switch (change.operation) {
+    case 'set':
+      setValue(document, keys, segments, found, change.value);
+      return;
+
+    case 'add':
+      if (!exists) {
+        setValue(document, keys, segments, found, [change.value]);
+      } else if (Array.isArray(value)) {
+        document.addIn(keys, change.value);
+      } else {
+        throw new Error(`Expected array at ${change.path}`);
+      }
+      return;
+
+    case 'remove':
+      if (exists) document.deleteIn(keys);
+      return;
+
+    case 'merge':
+      if (!exists) {
+        setValue(document, keys, segments, found, change.value);
+      } else if (Array.isArray(value) && Array.isArray(change.value)) {
+        for (const item of change.value) document.addIn(keys, item);
+      } else if (isPlainObject(value) && isPlainObject(change.value)) {
+        for (const [key, member] of Object.entries(change.value)) {
+          const path = [...segments, key];
+          setValue(
+            document,
+            documentKeys(document, path),
+            path,
+            followJsonPath(document.toJS(), path).found,
+            member
+          );
+        }
+      } else {
+        throw new Error(`Cannot merge into ${change.path}`);
+      }
+      return;
+
+    case 'rename-key': {
+      const node = keys.length ? document.getIn(keys, true) : document.contents;
+      const pair = isMap(node)
+        ? node.items.find(
+            (item) =>
+              isScalar(item.key) && String(item.key.value) === change.from
+          )
+        : undefined;
+      if (!exists || !isMap(node) || !pair || !isScalar(pair.key)) {
+        throw new Error(`Key '${change.from}' not found at ${change.path}`);
+      }
+      if (isPlainObject(value) && String(change.to) in value) {
+        throw new Error(`Key '${change.to}' already exists at ${change.path}`);
+      }
+      // Keeps the key's place and quoting
+      pair.key.value = change.to;
+      return;
+    }
+
+    default:
+      throw new Error(`Unknown operation: ${change.operation}`);
+  }
+}
+
+/**
+ * Set a member, creating the mappings leading to it
+ * @param {ParsedDocument} document
+ * @param {unknown[]} keys - Document keys of the member
+ * @param {string[]} segments - Its path
+ * @param {number} found - Number of segments that exist
+ * @param {unknown} value
+ */
+function setValue(document, keys, segments, found, value) {
+  if (segments.length === 0) throw new Error('Cannot replace the root');
+  // An array index leading to the member means the path is stale (e.g.,
+  // renamed by an earlier fix)
+  const missing = segments.slice(found);
+  if (missing.slice(0, -1).some((key) => /^\d+$/.test(key))) {
+    throw new Error(`Cannot add ${missing.join('.')}`);
+  }
+  document.setIn(keys, value);
+}
+
+/**
+ * The keys of a path as the document has them
+ *
+ * Mapping keys are matched by their string value (`200:` is a number in
+ * YAML), so existing entries are found and new ones are added as strings.
+ *
+ * @param {ParsedDocument} document
+ * @param {string[]} segments
+ * @returns {unknown[]}
+ */
+function documentKeys(document, segments) {
+  /** @type {unknown[]} */
+  const keys = [];
+  /** @type {unknown} */
+  let node = document.contents;
+  for (const segment of segments) {
+    if (isMap(node)) {
+      const pair = node.items.find(
+        (item) => isScalar(item.key) && String(item.key.value) === segment
+      );
+      keys.push(pair ? pair.key : segment);
+      node = pair?.value;
+    } else if (isSeq(node) && /^\d+$/.test(segment)) {
+      keys.push(Number(segment));
+      node = node.items[Number(segment)];
+    } else {
+      keys.push(segment);
+      node = undefined;
+    }
+  }
+  return keys;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
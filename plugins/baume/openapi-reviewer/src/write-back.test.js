@@ -0,0 +1,386 @@
+// @ts-check
+/**
+ * Tests for writing fixes into the spec's source text
+ * Run with: node --test src/write-back.test.js
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { parse as parseYaml } from 'yaml';
+import { rebaseRefs, writeBackFixes } from './write-back.js';
+
+/**
+ * @typedef {import('./types.ts').Finding} Finding
+ * @typedef {import('./types.ts').SpecChange} SpecChange
+ */
+
+const API = `# Library API
+openapi: 3.0.3
+info:
+  title: Library # shown in the docs
+  version: 1.0.0
+paths:
+  /book:
+    get:
+      parameters:
+        - name: page_size
+          in: query
+          schema:
+            type: integer
+        - $ref: 'common.yaml#/Tenant'
+      responses:
+        200:
+          description: OK
+    post:
+      responses:
+        '200':
+          description: OK
+components: {}
+`;
+
+/**
+ * Finding with a fix made of the given changes
+ * @param {string} ruleId
+ * @param {SpecChange[]} specChanges
+ * @returns {Finding}
+ */
+function createFinding(ruleId, specChanges) {
+  return {
+    ruleId,
+    severity: 'warning',
+    category: 'naming',
+    path: '/book',
+    message: `${ruleId} message`,
+    fix: { type: 'test', jsonPath: '$', specChanges },
+  };
+}
+
+const TEMP_DIR = mkdtempSync(join(tmpdir(), 'baume-write-back-'));
+
+after(() => {
+  rmSync(TEMP_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Write a spec (and the file it $refs) to a temporary directory
+ * @param {string} [text=API]
+ * @param {string} [name='api.yaml']
+ * @returns {string} Path of the spec
+ */
+function writeSpec(text = API, name = 'api.yaml') {
+  const dir = mkdtempSync(join(TEMP_DIR, 'spec-'));
+  writeFileSync(join(dir, name), text);
+  writeFileSync(join(dir, 'common.yaml'), 'Tenant:\n  name: tenant\n');
+  return join(dir, name);
+}
+
+describe('writeBackFixes', () => {
+  it('changes only the lines the fixes touch', () => {
+    const specPath = writeSpec();
+    const findings = [
+      createFinding('aip158/max-page-size', [
+        {
+          operation: 'set',
+          path: "$.paths['/book'].get.parameters[0].schema.maximum",
+          value: 100,
+        },
+      ]),
+      createFinding('aip133/post-returns-201', [
+        {
+          operation: 'rename-key',
+          path: "$.paths['/book'].post.responses",
+          from: '200',
+          to: '201',
+        },
+      ]),
+      createFinding('aip122/plural-resources', [
+        {
+          operation: 'rename-key',
+          path: '$.paths',
+          from: '/book',
+          to: '/books',
+        },
+      ]),
+      // Sees the rename above
+      createFinding('aip193/responses-documented', [
+        {
+          operation: 'merge',
+          path: "$.paths['/books'].get.responses",
+          value: { default: { description: 'Error' } },
+        },
+      ]),
+    ];
+
+    const result = writeBackFixes(findings, specPath);
+
+    assert.deepEqual(result.skipped, []);
+    assert.deepEqual(result.reformatted, []);
+    assert.equal(result.written.length, 4);
+    assert.equal(
+      result.text,
+      API.replace('  /book:', '  /books:')
+        .replace("'200'", "'201'")
+        .replace(
+          '            type: integer\n',
+          '            type: integer\n            maximum: 100\n'
+        )
+        .replace(
+          '          description: OK\n    post:',
+          '          description: OK\n        default:\n          description: Error\n    post:'
+        )
+    );
+  });
+
+  it('writes JSON specs as JSON', () => {
+    const json = `${JSON.stringify(parseYaml(API), null, 4)}\n`;
+    const specPath = writeSpec(json, 'api.json');
+
+    const result = writeBackFixes(
+      [
+        createFinding('aip131/get-no-body', [
+          { operation: 'remove', path: "$.paths['/book'].post" },
+        ]),
+        createFinding('info', [
+          { operation: 'set', path: '$.info.contact', value: { name: 'Team' } },
+        ]),
+      ],
+      specPath
+    );
+
+    assert.deepEqual(result.reformatted, []);
+    const expected = parseYaml(API);
+    delete expected.paths['/book'].post;
+    expected.info.contact = { name: 'Team' };
+    assert.equal(result.text, `${JSON.stringify(expected, null, 4)}\n`);
+  });
+
+  it('re-renders the file for fixes that cannot be written as edits', () => {
+    const specPath = writeSpec();
+
+    const result = writeBackFixes(
+      [
+        createFinding('first-key', [
+          {
+            operation: 'remove',
+            path: "$.paths['/book'].get.parameters[0].name",
+          },
+        ]),
+      ],
+      specPath
+    );
+
+    assert.deepEqual(
+      result.reformatted.map((finding) => finding.ruleId),
+      ['first-key']
+    );
+    assert.match(result.text, /^# Library API$/m);
+    assert.match(result.text, /title: Library # shown in the docs/);
+    assert.deepEqual(parseYaml(result.text).paths['/book'].get.parameters[0], {
+      in: 'query',
+      schema: { type: 'integer' },
+    });
+  });
+
+  it("writes fixes to $ref'd files into them", () => {
+    const specPath = writeSpec();
+    const common = join(dirname(specPath), 'common.yaml');
+    const setRequired = createFinding('aip155/idempotency-key', [
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.parameters[1].required",
+        value: true,
+      },
+    ]);
+
+    const result = writeBackFixes(
+      [
+        setRequired,
+        // Sees the fix above
+        createFinding('aip155/idempotency-key', [
+          {
+            operation: 'set',
+            path: "$.paths['/book'].get.parameters[1].in",
+            value: 'header',
+          },
+        ]),
+      ],
+      specPath
+    );
+
+    assert.deepEqual(result.skipped, []);
+    assert.equal(result.written.length, 2);
+    assert.equal(result.text, API);
+    assert.deepEqual(result.files, {
+      [common]: 'Tenant:\n  name: tenant\n  required: true\n  in: header\n',
+    });
+    assert.equal(readFileSync(common, 'utf-8'), 'Tenant:\n  name: tenant\n');
+  });
+
+  it("skips fixes to $ref'd files unless asked to write them", () => {
+    const specPath = writeSpec();
+    const setRequired = createFinding('aip155/idempotency-key', [
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.parameters[0].required",
+        value: true,
+      },
+      {
+        operation: 'set',
+        path: "$.paths['/book'].get.parameters[1].required",
+        value: true,
+      },
+    ]);
+
+    const result = writeBackFixes([setRequired], specPath, undefined, {
+      refFiles: false,
+    });
+
+    assert.deepEqual(result.written, []);
+    assert.equal(result.skipped.length, 1);
+    assert.match(
+      result.skipped[0].error,
+      /common\.yaml, which the spec \$refs/
+    );
+    assert.equal(result.text, API);
+    assert.deepEqual(result.files, {});
+  });
+
+  it('writes each change of a fix to the text the previous ones left', () => {
+    const specPath = writeSpec();
+    const rename = createFinding('aip122/plural-resources', [
+      { operation: 'rename-key', path: '$.paths', from: '/book', to: '/books' },
+      {
+        operation: 'set',
+        path: "$.paths['/books'].get.operationId",
+        value: 'listBooks',
+      },
+      {
+        operation: 'set',
+        path: "$.paths['/books'].get.parameters[1]",
+        value: { name: 'tenant', in: 'header' },
+      },
+    ]);
+
+    const result = writeBackFixes([rename], specPath);
+
+    assert.deepEqual(result.skipped, []);
+    assert.equal(
+      result.text,
+      API.replace('  /book:', '  /books:')
+        .replace(
+          "        - $ref: 'common.yaml#/Tenant'\n",
+          '        - name: tenant\n          in: header\n'
+        )
+        .replace(
+          '          description: OK\n    post:',
+          '          description: OK\n      operationId: listBooks\n    post:'
+        )
+    );
+    // What each change overwrote, as written
+    assert.deepEqual(result.previous.get(rename), [
+      undefined,
+      undefined,
+      { $ref: 'common.yaml#/Tenant' },
+    ]);
+  });
+
+  it('writes a fix as a whole, or not at all', () => {
+    const specPath = writeSpec();
+
+    const result = writeBackFixes(
+      [
+        createFinding('aip122/plural-resources', [
+          {
+            operation: 'rename-key',
+            path: '$.paths',
+            from: '/book',
+            to: '/books',
+          },
+          {
+            operation: 'set',
+            path: "$.paths['/author'].get.parameters[0].schema.maximum",
+            value: 100,
+          },
+        ]),
+      ],
+      specPath
+    );
+
+    assert.equal(result.text, API);
+    assert.deepEqual(result.written, []);
+    assert.equal(result.skipped.length, 1);
+  });
+
+  it('skips fixes to stale paths', () => {
+    const specPath = writeSpec();
+
+    const result = writeBackFixes(
+      [
+        createFinding('aip158/max-page-size', [
+          {
+            operation: 'set',
+            path: "$.paths['/author'].get.parameters[0].schema.maximum",
+            value: 100,
+          },
+        ]),
+      ],
+      specPath
+    );
+
+    assert.equal(result.text, API);
+    assert.deepEqual(result.written, []);
+    assert.deepEqual(
+      result.skipped.map((s) => s.ruleId),
+      ['aip158/max-page-size']
+    );
+    assert.match(result.skipped[0].error, /Cannot add/);
+  });
+});
+
+describe('rebaseRefs', () => {
+  it('points relative $refs to the same files from another directory', () => {
+    const text = `a:
+  $ref: ./schemas/a.yaml
+b:
+  $ref: 'schemas/b.yaml#/B'
+c:
+  $ref: "#/components/schemas/C"
+d:
+  $ref: https://example.com/d.yaml
+e:
+  $ref: "../e.yaml" # shared
+`;
+    assert.equal(
+      rebaseRefs(text, 'api', join('api', 'out')),
+      `a:
+  $ref: ../schemas/a.yaml
+b:
+  $ref: '../schemas/b.yaml#/B'
+c:
+  $ref: "#/components/schemas/C"
+d:
+  $ref: https://example.com/d.yaml
+e:
+  $ref: "../../e.yaml" # shared
+`
+    );
+    assert.equal(
+      rebaseRefs(text, join('api', 'out'), 'api'),
+      text
+        .replace('./schemas/a.yaml', './out/schemas/a.yaml')
+        .replace("'schemas/b.yaml", "'out/schemas/b.yaml")
+        .replace('"../e.yaml"', '"e.yaml"')
+    );
+  });
+
+  it('rewrites JSON as JSON', () => {
+    const text = '{\n  "$ref": "./a.json#/A"\n}\n';
+    assert.equal(
+      rebaseRefs(text, 'api', join('api', 'out')),
+      '{\n  "$ref": "../a.json#/A"\n}\n'
+    );
+  });
+});
@@ -7,27 +7,55 @@
  * Run with: npm run test:e2e
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, after } from 'node:test';
 import assert from 'node:assert/strict';
 import { execFile } from 'node:child_process';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import { dirname, join } from 'node:path';
+import {
+  mkdirSync,
+  mkdtempSync,
+  readFileSync,
+  rmSync,
+  writeFileSync,
+} from 'node:fs';
+import { tmpdir } from 'node:os';
+import { parse as parseYaml } from 'yaml';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const CLI_PATH = join(__dirname, '..', 'src', 'cli.js');
 const FIXTURE_PATH = join(__dirname, 'fixtures', 'acme-commerce.yaml');
 
+/** @type {string[]} Temporary directories of the tests */
+const tempDirs = [];
+
+after(() => {
+  for (const dir of tempDirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/**
+ * Create a temporary directory, removed after the tests
+ * @param {string} prefix
+ * @returns {string}
+ */
+function createTempDir(prefix) {
+  const dir = mkdtempSync(join(tmpdir(), prefix));
+  tempDirs.push(dir);
+  return dir;
+}
+
 /**
  * Run CLI and capture output
  * @param {string[]} args
+ * @param {{cwd?: string}} [options] - Where to run it (fix runs write journals there)
  * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
  */
-function runCLI(args) {
+function runCLI(args, options = {}) {
   return new Promise((resolve) => {
     execFile(
       'node',
       [CLI_PATH, ...args],
-      { maxBuffer: 10 * 1024 * 1024 },
+      { maxBuffer: 10 * 1024 * 1024, cwd: options.cwd },
       (error, stdout, stderr) => {
         resolve({
           stdout,
@@ -95,6 +123,42 @@ describe('CLI Output Formats', () => {
     assert.ok(sarif.runs, 'Should have runs array');
     assert.ok(sarif.runs[0].results, 'Should have results in first run');
     assert.ok(sarif.runs[0].results.length > 0, 'Should have some results');
+
+    const [rule] = sarif.runs[0].tool.driver.rules;
+    assert.match(rule.helpUri, /^https:\/\/google\.aip\.dev\/\d+$/);
+    assert.ok(
+      sarif.runs[0].results.some((/** @type {any} */ r) => r.fixes),
+      'Should have fixes'
+    );
+  });
+
+  it('points findings at their line in the spec', async () => {
+    const { stdout } = await runCLI([FIXTURE_PATH, '--format', 'json']);
+    const lines = readFileSync(FIXTURE_PATH, 'utf-8').split('\n');
+
+    const finding = JSON.parse(stdout).findings.find((/** @type {any} */ f) =>
+      /^(GET|POST|PUT|PATCH|DELETE) \//.test(f.path)
+    );
+    assert.ok(finding, 'Should have an operation finding');
+    assert.equal(finding.location.file, FIXTURE_PATH);
+    assert.match(
+      lines[finding.location.line - 1],
+      new RegExp(`^\\s+${finding.path.split(' ')[0].toLowerCase()}:`)
+    );
+
+    const sarif = JSON.parse(
+      (await runCLI([FIXTURE_PATH, '--format', 'sarif'])).stdout
+    );
+    assert.ok(
+      sarif.runs[0].results.some(
+        (/** @type {any} */ r) => r.locations[0].physicalLocation.region
+      ),
+      'Should have SARIF regions'
+    );
+
+    const consoleOutput = await runCLI([FIXTURE_PATH, '--no-color']);
+    assert.match(consoleOutput.stdout, /\(.*acme-commerce\.yaml:\d+:\d+\)/);
+    assert.match(consoleOutput.stdout, /^ {4}> \d+ \| /m);
   });
 
   it('Summary format returns concise overview', async () => {
@@ -246,6 +310,294 @@ describe('CLI Strict Mode', () => {
   });
 });
 
+describe('CLI Project Config', () => {
+  it('applies overrides from --config and records the config path', async () => {
+    const dir = createTempDir('baume-e2e-config-');
+    const configPath = join(dir, 'config.yaml');
+    writeFileSync(
+      configPath,
+      [
+        'rules:',
+        '  aip158/list-paginated:',
+        '    enabled: false',
+        'exclude:',
+        "  - '/products/**'",
+      ].join('\n')
+    );
+
+    const { stdout } = await runCLI([
+      FIXTURE_PATH,
+      '--format',
+      'json',
+      '--config',
+      configPath,
+    ]);
+    const result = JSON.parse(stdout);
+
+    assert.equal(result.metadata.configPath, configPath);
+    assert.ok(
+      !result.findings.some(
+        (/** @type {any} */ f) => f.ruleId === 'aip158/list-paginated'
+      ),
+      'Disabled rule should not report findings'
+    );
+    assert.ok(
+      !result.findings.some((/** @type {any} */ f) =>
+        f.path.includes('/products')
+      ),
+      'Excluded paths should not report findings'
+    );
+  });
+
+  it('exits with code 2 for an invalid config', async () => {
+    const dir = createTempDir('baume-e2e-config-');
+    const configPath = join(dir, 'config.yaml');
+    writeFileSync(configPath, 'rules: []\n');
+
+    const { exitCode, stderr } = await runCLI([
+      FIXTURE_PATH,
+      '--config',
+      configPath,
+    ]);
+
+    assert.equal(exitCode, 2);
+    assert.ok(stderr.includes('rules: must be a mapping'));
+  });
+
+  it('runs declarative custom rules referenced by the config', async () => {
+    const dir = createTempDir('baume-e2e-config-');
+    const configPath = join(dir, 'config.yaml');
+    mkdirSync(join(dir, 'rules'));
+    writeFileSync(configPath, 'customRules:\n  - ./rules/*.yaml\n');
+    writeFileSync(
+      join(dir, 'rules', 'flag-gets.yaml'),
+      [
+        'id: myorg/flag-gets',
+        'severity: error',
+        'match:',
+        '  methods: [GET]',
+        'check:',
+        '  hasRequestBody: true',
+        "message: '{method} {path} flagged by {ruleId}'",
+      ].join('\n')
+    );
+
+    const { stdout } = await runCLI([
+      FIXTURE_PATH,
+      '--format',
+      'json',
+      '--config',
+      configPath,
+    ]);
+    const result = JSON.parse(stdout);
+
+    const custom = result.findings.filter(
+      (/** @type {any} */ f) => f.ruleId === 'myorg/flag-gets'
+    );
+    assert.ok(custom.length > 0, 'Custom rule should report findings');
+    assert.equal(custom[0].severity, 'error');
+    assert.match(custom[0].message, /^GET \/\S* flagged by myorg\/flag-gets$/);
+  });
+
+  it('exits with code 2 for an invalid custom rule', async () => {
+    const dir = createTempDir('baume-e2e-config-');
+    const configPath = join(dir, 'config.yaml');
+    writeFileSync(configPath, 'customRules:\n  - ./bad-rule.yaml\n');
+    writeFileSync(
+      join(dir, 'bad-rule.yaml'),
+      'id: myorg/bad\ncheck:\n  hasSecurty: true\nmessage: x\n'
+    );
+
+    const { exitCode, stderr } = await runCLI([
+      FIXTURE_PATH,
+      '--config',
+      configPath,
+    ]);
+
+    assert.equal(exitCode, 2);
+    assert.ok(stderr.includes('check.hasSecurty: unknown check function'));
+  });
+});
+
+describe('CLI Baseline', () => {
+  it('only fails on findings that are not in the baseline', async () => {
+    const dir = createTempDir('baume-e2e-baseline-');
+    const baselinePath = join(dir, '.baume', 'baseline.json');
+    const specPath = join(dir, 'openapi.yaml');
+    const fixture = readFileSync(FIXTURE_PATH, 'utf-8');
+    writeFileSync(specPath, fixture);
+
+    const written = await runCLI([
+      specPath,
+      '--strict',
+      '--no-config',
+      '--write-baseline',
+      baselinePath,
+    ]);
+    assert.equal(written.exitCode, 0);
+    assert.match(written.stdout, /Baseline with \d+ finding\(s\) written/);
+
+    // Unrelated edit: the same findings are still known
+    writeFileSync(
+      specPath,
+      fixture.replace(/^info:\n/m, 'info:\n  x-owner: platform-team\n')
+    );
+    const known = await runCLI([
+      specPath,
+      '--strict',
+      '--no-config',
+      '--baseline',
+      baselinePath,
+      '--format',
+      'json',
+    ]);
+    const knownResult = JSON.parse(known.stdout);
+    assert.equal(known.exitCode, 0);
+    assert.equal(knownResult.summary.baseline.new, 0);
+    assert.ok(knownResult.summary.baseline.known > 0);
+    assert.equal(knownResult.metadata.baselinePath, baselinePath);
+
+    // New violation: only it is reported as new and fails the run
+    writeFileSync(
+      specPath,
+      fixture.replace(
+        /^paths:\n/m,
+        [
+          'paths:',
+          '  /getInvoices:',
+          '    get:',
+          '      responses:',
+          "        '200':",
+          '          description: OK',
+          '',
+        ].join('\n')
+      )
+    );
+    const added = await runCLI([
+      specPath,
+      '--strict',
+      '--no-config',
+      '--baseline',
+      baselinePath,
+      '--no-color',
+    ]);
+    assert.equal(added.exitCode, 1);
+    assert.ok(added.stdout.includes('/getInvoices'));
+    assert.match(added.stdout, /Baseline: \d+ new, \d+ known \(not shown\)/);
+  });
+
+  it('exits with code 2 for a missing baseline', async () => {
+    const { exitCode, stderr } = await runCLI([
+      FIXTURE_PATH,
+      '--baseline',
+      join(tmpdir(), 'does-not-exist.json'),
+    ]);
+
+    assert.equal(exitCode, 2);
+    assert.ok(stderr.includes('Cannot read baseline'));
+  });
+});
+
+describe('CLI Plugins', () => {
+  /**
+   * Write a plugin with a spec rule and a formatter next to a config
+   * @returns {string} Directory holding acme.js
+   */
+  function writePlugin() {
+    const dir = createTempDir('baume-e2e-plugin-');
+    const rulesUrl = pathToFileURL(
+      join(__dirname, '..', 'src', 'rules', 'index.js')
+    ).href;
+    writeFileSync(
+      join(dir, 'acme.js'),
+      [
+        `import { SpecRule } from '${rulesUrl}';`,
+        'class LicenseRule extends SpecRule {',
+        '  constructor() {',
+        "    super({ id: 'acme/license', name: 'License', aip: 'ACME-1', severity: 'error', description: 'Specs need a license' });",
+        '  }',
+        '  checkSpec(spec, ctx) {',
+        "    return spec.info.license ? [] : [ctx.createFinding({ path: 'info', message: 'No license' })];",
+        '  }',
+        '}',
+        'export const rules = [new LicenseRule()];',
+        'export const formatters = {',
+        "  'acme/ids': (result) => result.findings.map((f) => f.ruleId).join('\\n'),",
+        '};',
+      ].join('\n')
+    );
+    return dir;
+  }
+
+  it('runs rules and formats from --plugin', async () => {
+    const dir = writePlugin();
+
+    const { stdout, exitCode } = await runCLI([
+      FIXTURE_PATH,
+      '--no-config',
+      '--plugin',
+      join(dir, 'acme.js'),
+      '--format',
+      'acme/ids',
+    ]);
+
+    assert.equal(exitCode, 1);
+    assert.ok(stdout.split('\n').includes('acme/license'));
+  });
+
+  it('loads plugins listed in the config relative to it', async () => {
+    const dir = writePlugin();
+    const configPath = join(dir, 'config.yaml');
+    writeFileSync(
+      configPath,
+      [
+        'plugins:',
+        '  - ./acme.js',
+        'rules:',
+        '  acme/license:',
+        '    severity: suggestion',
+      ].join('\n')
+    );
+
+    const { stdout } = await runCLI([
+      FIXTURE_PATH,
+      '--config',
+      configPath,
+      '--format',
+      'json',
+    ]);
+    const result = JSON.parse(stdout);
+    const finding = result.findings.find(
+      (/** @type {any} */ f) => f.ruleId === 'acme/license'
+    );
+    assert.equal(finding?.severity, 'suggestion');
+  });
+
+  it('exits with code 2 for invalid plugins and unknown plugin formats', async () => {
+    const dir = createTempDir('baume-e2e-plugin-');
+    writeFileSync(join(dir, 'empty.js'), 'export const version = 1;\n');
+
+    const invalid = await runCLI([
+      FIXTURE_PATH,
+      '--plugin',
+      join(dir, 'empty.js'),
+    ]);
+    assert.equal(invalid.exitCode, 2);
+    assert.ok(
+      invalid.stderr.includes('must export rules, presets or formatters')
+    );
+
+    const unknownFormat = await runCLI([
+      FIXTURE_PATH,
+      '--no-config',
+      '--format',
+      'acme/ids',
+    ]);
+    assert.equal(unknownFormat.exitCode, 2);
+    assert.ok(unknownFormat.stderr.includes("Unknown format 'acme/ids'"));
+  });
+});
+
 describe('CLI Fix Mode', () => {
   it('dry-run shows fixes without writing', async () => {
     const { stdout } = await runCLI([
@@ -268,6 +620,806 @@ describe('CLI Fix Mode', () => {
       'Should not write file in dry run'
     );
   });
+
+  it('writes fixes into the spec text, keeping everything else', async () => {
+    const dir = createTempDir('baume-fix-');
+    const specPath = join(dir, 'library.yaml');
+    const original = readFileSync(
+      join(__dirname, 'fixtures', 'library-v1.yaml'),
+      'utf-8'
+    ).replace(/^info:\n/m, '# Owned by the platform team\ninfo:\n');
+    writeFileSync(specPath, original);
+
+    const { exitCode, stdout } = await runCLI(
+      [specPath, '--fix', '--no-color'],
+      { cwd: dir }
+    );
+    assert.equal(exitCode, 0);
+    assert.ok(!stdout.includes('Reformatted'));
+
+    // Only new lines: the original ones are all there, in order
+    const fixed = readFileSync(join(dir, 'library.fixed.yaml'), 'utf-8');
+    const fixedLines = fixed.split('\n');
+    let at = 0;
+    for (const line of original.split('\n')) {
+      at = fixedLines.indexOf(line, at) + 1;
+      assert.ok(at > 0, `Line missing from the fixed spec: ${line}`);
+    }
+    assert.ok(fixedLines.length > original.split('\n').length);
+
+    const review = JSON.parse(
+      (await runCLI([join(dir, 'library.fixed.yaml'), '--format', 'json']))
+        .stdout
+    );
+    assert.deepEqual(review.findings, []);
+  });
+
+  it('writes fixes into JSON specs in their layout', async () => {
+    const dir = createTempDir('baume-fix-');
+    const specPath = join(dir, 'library.json');
+    const spec = parseYaml(
+      readFileSync(join(__dirname, 'fixtures', 'library-v1.yaml'), 'utf-8')
+    );
+    writeFileSync(specPath, JSON.stringify(spec, null, 4) + '\n');
+
+    const { exitCode } = await runCLI([specPath, '--fix', '--no-color'], {
+      cwd: dir,
+    });
+    assert.equal(exitCode, 0);
+
+    const fixed = readFileSync(join(dir, 'library.fixed.json'), 'utf-8');
+    assert.equal(fixed, JSON.stringify(JSON.parse(fixed), null, 4) + '\n');
+    assert.equal(
+      JSON.parse(fixed).paths['/books'].get.parameters[0].schema.maximum,
+      100
+    );
+  });
+
+  it('reviews the fixed spec and reports the delta in the format', async () => {
+    const { stdout, stderr } = await runCLI([
+      FIXTURE_PATH,
+      '--fix',
+      '--dry-run',
+      '--format',
+      'json',
+      '--no-color',
+    ]);
+
+    assert.match(stderr, /Re-reviewed the fixed spec: \d+ resolved/);
+    const result = JSON.parse(stdout);
+    const { fixes } = result.summary;
+    assert.equal(fixes.iterations, 1);
+    assert.ok(fixes.resolved > 0);
+    assert.equal(result.resolved.length, fixes.resolved);
+    assert.equal(
+      result.findings.filter(
+        (/** @type {any} */ f) => f.fixStatus === 'introduced'
+      ).length,
+      fixes.introduced
+    );
+  });
+
+  it('fixes what fixes introduce, up to --fix-iterations', async () => {
+    const once = await runCLI([
+      FIXTURE_PATH,
+      '--fix',
+      '--dry-run',
+      '--no-color',
+    ]);
+    assert.match(
+      once.stdout,
+      /\d+ introduced\n {2}\+ aip158\/response-next-token/
+    );
+    assert.match(once.stdout, /higher --fix-iterations/);
+
+    const repeated = await runCLI([
+      FIXTURE_PATH,
+      '--fix',
+      '--dry-run',
+      '--fix-iterations',
+      '5',
+      '--no-color',
+    ]);
+    assert.match(repeated.stdout, / 0 introduced \(2 iterations\)/);
+    assert.ok(!repeated.stdout.includes('--fix-iterations'));
+
+    const invalid = await runCLI([
+      FIXTURE_PATH,
+      '--fix',
+      '--fix-iterations',
+      '0',
+    ]);
+    assert.equal(invalid.exitCode, 2);
+    assert.match(invalid.stderr, /--fix-iterations must be a positive integer/);
+  });
+
+  it('only applies the fixes the --fix-* filters select', async () => {
+    const { stdout } = await runCLI([
+      FIXTURE_PATH,
+      '--fix',
+      '--dry-run',
+      '--fix-rule',
+      'aip158/*',
+      '--fix-severity',
+      'warning',
+      '--no-color',
+    ]);
+    assert.match(stdout, /\d+ of them selected by --fix-rule/);
+    const applied = stdout.match(/✓ \S+/g) ?? [];
+    assert.ok(applied.length > 0);
+    assert.ok(applied.every((line) => line.startsWith('✓ aip158/')));
+
+    const dir = createTempDir('baume-e2e-select-');
+    const patchPath = join(dir, 'patch.json');
+    await runCLI([
+      FIXTURE_PATH,
+      '--write-patch',
+      patchPath,
+      '--fix-rule',
+      'aip158/max-page-size',
+    ]);
+    const patch = JSON.parse(readFileSync(patchPath, 'utf-8'));
+    assert.deepEqual(
+      patch.map((/** @type {any} */ op) => op.path),
+      ['/paths/~1product/get/parameters/0/schema/maximum']
+    );
+  });
+
+  it('reverts a fix run with the journal it wrote', async () => {
+    const dir = createTempDir('baume-undo-');
+    const specPath = join(dir, 'library.yaml');
+    const original = readFileSync(
+      join(__dirname, 'fixtures', 'library-v1.yaml'),
+      'utf-8'
+    );
+    writeFileSync(specPath, original);
+
+    const fix = await runCLI(
+      [specPath, '--fix', '--output', specPath, '--no-color'],
+      { cwd: dir }
+    );
+    assert.equal(fix.exitCode, 0);
+    const journalPath = fix.stdout.match(/Journal written to (\S+)/)?.[1] ?? '';
+    assert.ok(journalPath.startsWith(join('.baume', 'fixes')));
+    const fixed = readFileSync(specPath, 'utf-8');
+    assert.notEqual(fixed, original);
+
+    const dryRun = await runCLI(['--undo', journalPath, '--dry-run'], {
+      cwd: dir,
+    });
+    assert.match(dryRun.stdout, /Would undo 7 fix\(es\) in library\.yaml/);
+    assert.equal(readFileSync(specPath, 'utf-8'), fixed);
+
+    const undo = await runCLI(['--undo', journalPath, '--no-color'], {
+      cwd: dir,
+    });
+    assert.equal(undo.exitCode, 0);
+    assert.match(undo.stdout, /↶ aip158\/max-page-size GET \/books/);
+    assert.equal(readFileSync(specPath, 'utf-8'), original);
+
+    // The values the fixes wrote are gone now
+    const again = await runCLI(['--undo', journalPath], { cwd: dir });
+    assert.equal(again.exitCode, 2);
+    assert.match(again.stderr, /the spec has changed since/);
+    assert.equal(readFileSync(specPath, 'utf-8'), original);
+  });
+
+  it("fixes components and $ref'd files in place, once", async () => {
+    const dir = createTempDir('baume-refs-');
+    const specPath = join(dir, 'library.yaml');
+    const bookPath = join(dir, 'schemas', 'book-list.yaml');
+    const list = (/** @type {string} */ ref) => `    get:
+      parameters:
+        - name: page_size
+          in: query
+          schema:
+            type: integer
+            maximum: 100
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                $ref: '${ref}'
+`;
+    const spec = `openapi: 3.0.3
+info:
+  title: Library
+  version: 1.0.0
+paths:
+  /authors:
+${list('#/components/schemas/AuthorList')}  /books:
+${list('./schemas/book-list.yaml')}  /shelves/{shelf}/books:
+${list('./schemas/book-list.yaml')}components:
+  schemas:
+    AuthorList:
+      type: object
+      properties:
+        authors:
+          type: array
+          items:
+            type: string
+`;
+    const bookList = `type: object
+properties:
+  books:
+    type: array
+    items:
+      type: string
+`;
+    writeFileSync(specPath, spec);
+    mkdirSync(join(dir, 'schemas'));
+    writeFileSync(bookPath, bookList);
+
+    const fix = await runCLI(
+      [
+        specPath,
+        '--fix',
+        '--fix-rule',
+        'aip158/response-next-token',
+        '--output',
+        specPath,
+        '--no-color',
+      ],
+      { cwd: dir }
+    );
+    assert.equal(fix.exitCode, 0);
+    assert.match(fix.stdout, /Fixed \$ref'd file in place: \S*book-list\.yaml/);
+    const token = `  next_page_token:
+    type: string
+    nullable: true
+`;
+    assert.equal(readFileSync(bookPath, 'utf-8'), bookList + token);
+    assert.equal(
+      readFileSync(specPath, 'utf-8'),
+      spec + token.replace(/^(?=.)/gm, '      ')
+    );
+
+    const journalPath = fix.stdout.match(/Journal written to (\S+)/)?.[1] ?? '';
+    const undo = await runCLI(['--undo', journalPath, '--no-color'], {
+      cwd: dir,
+    });
+    assert.equal(undo.exitCode, 0);
+    assert.match(undo.stdout, /Reverted \$ref'd file in place/);
+    assert.equal(readFileSync(bookPath, 'utf-8'), bookList);
+    assert.equal(readFileSync(specPath, 'utf-8'), spec);
+  });
+
+  it("leaves $ref'd files alone when writing a copy of the spec", async () => {
+    const dir = createTempDir('baume-refs-');
+    const specPath = join(dir, 'library.yaml');
+    const bookPath = join(dir, 'schemas', 'book-list.yaml');
+    const spec = `openapi: 3.0.3
+info:
+  title: Library
+  version: 1.0.0
+paths:
+  /books:
+    get:
+      parameters:
+        - name: page_size
+          in: query
+          schema:
+            type: integer
+            maximum: 100
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                $ref: './schemas/book-list.yaml'
+`;
+    const bookList = `type: object
+properties:
+  books:
+    type: array
+    items:
+      type: string
+`;
+    writeFileSync(specPath, spec);
+    mkdirSync(join(dir, 'schemas'));
+    writeFileSync(bookPath, bookList);
+
+    const fix = await runCLI(
+      [
+        specPath,
+        '--fix',
+        '--fix-rule',
+        'aip158/response-next-token',
+        '--no-color',
+      ],
+      { cwd: dir }
+    );
+    assert.equal(fix.exitCode, 1);
+    assert.match(fix.stdout, /1 fix\(es\) could not be written/);
+    assert.match(fix.stdout, /unless the spec is fixed in place/);
+    assert.doesNotMatch(fix.stdout, /Fixed \$ref'd file in place/);
+    assert.equal(readFileSync(bookPath, 'utf-8'), bookList);
+    assert.equal(readFileSync(specPath, 'utf-8'), spec);
+  });
+
+  it('rebases relative $refs of a spec written to another directory', async () => {
+    const dir = createTempDir('baume-refs-');
+    const specPath = join(dir, 'library.yaml');
+    const outputPath = join(dir, 'out', 'library.yaml');
+    writeFileSync(
+      specPath,
+      `openapi: 3.0.3
+info:
+  title: Library
+  version: 1.0.0
+paths:
+  /books:
+    get:
+      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                $ref: './schemas/book-list.yaml'
+`
+    );
+    mkdirSync(join(dir, 'schemas'));
+    writeFileSync(
+      join(dir, 'schemas', 'book-list.yaml'),
+      `type: object
+properties:
+  books:
+    type: array
+    items:
+      type: string
+  next_page_token:
+    type: string
+`
+    );
+    mkdirSync(join(dir, 'out'));
+
+    const fix = await runCLI(
+      [
+        specPath,
+        '--fix',
+        '--fix-rule',
+        'aip158/list-paginated',
+        '--output',
+        outputPath,
+        '--no-color',
+      ],
+      { cwd: dir }
+    );
+    assert.equal(fix.exitCode, 0);
+    assert.match(
+      readFileSync(outputPath, 'utf-8'),
+      /\$ref: '\.\.\/schemas\/book-list\.yaml'\n/
+    );
+
+    const review = await runCLI([outputPath, '--format', 'json'], {
+      cwd: dir,
+    });
+    assert.equal(review.stderr, '');
+    assert.deepEqual(
+      JSON.parse(review.stdout).findings.filter(
+        (/** @type {{ruleId: string}} */ finding) =>
+          finding.ruleId === 'aip158/list-paginated'
+      ),
+      []
+    );
+  });
+
+  it('reverts a cascaded rename', async () => {
+    const dir = createTempDir('baume-undo-rename-');
+    const specPath = join(dir, 'library.yaml');
+    const bookPath = join(dir, 'schemas', 'book.yaml');
+    const get = (/** @type {string} */ id, parameters = '') => `    get:
+      operationId: ${id}
+${parameters}      responses:
+        '200':
+          description: OK
+          content:
+            application/json:
+              schema:
+                $ref: './schemas/book.yaml'
+`;
+    const spec = `openapi: 3.0.3
+info:
+  title: Library
+  version: 1.0.0
+paths:
+  /book:
+${get('listBook')}  /book/{bookId}:
+${get('getBook', "      parameters:\n        - $ref: '#/components/parameters/BookId'\n")}components:
+  parameters:
+    BookId:
+      name: bookId
+      in: path
+      required: true
+      schema:
+        type: string
+`;
+    writeFileSync(specPath, spec);
+    mkdirSync(join(dir, 'schemas'));
+    writeFileSync(bookPath, 'type: object\n');
+
+    const fix = await runCLI(
+      [
+        specPath,
+        '--fix',
+        '--fix-rule',
+        'aip122/plural-resources',
+        '--output',
+        specPath,
+        '--no-color',
+      ],
+      { cwd: dir }
+    );
+    assert.equal(fix.exitCode, 0);
+    const fixed = readFileSync(specPath, 'utf-8');
+    assert.match(fixed, /\/books:\n {4}get:\n {6}operationId: listBooks\n/);
+    assert.match(
+      fixed,
+      /\/books\/\{bookId\}:\n {4}get:\n {6}operationId: getBook\n/
+    );
+    const journalPath = fix.stdout.match(/Journal written to (\S+)/)?.[1] ?? '';
+
+    // Reverting the rename onto a path added since would duplicate it
+    writeFileSync(specPath, fixed.replace('paths:\n', 'paths:\n  /book: {}\n'));
+    const clash = await runCLI(['--undo', journalPath], { cwd: dir });
+    assert.equal(clash.exitCode, 2);
+    assert.match(clash.stderr, /would leave invalid files/);
+    assert.match(clash.stderr, /unique/);
+
+    writeFileSync(specPath, fixed);
+    const undo = await runCLI(['--undo', journalPath, '--no-color'], {
+      cwd: dir,
+    });
+    assert.equal(undo.exitCode, 0);
+    assert.equal(readFileSync(specPath, 'utf-8'), spec);
+    assert.equal(readFileSync(bookPath, 'utf-8'), 'type: object\n');
+  });
+
+  it('rejects fix selections it cannot make', async () => {
+    const cases = [
+      [['--fix', '--fix-severity', 'minor'], /--fix-severity must be one of/],
+      [['--fix-category', 'naming'], /select the fixes of --fix/],
+      [['--interactive'], /--interactive selects the fixes of --fix/],
+      // Tests run without a terminal
+      [['--fix', '--interactive'], /--interactive needs a terminal/],
+    ];
+    for (const [args, error] of cases) {
+      const { exitCode, stderr } = await runCLI([
+        FIXTURE_PATH,
+        .../** @type {string[]} */ (args),
+      ]);
+      assert.equal(exitCode, 2);
+      assert.match(stderr, /** @type {RegExp} */ (error));
+    }
+  });
+});
+
+describe('CLI Swagger 2.0 Input', () => {
+  const SWAGGER2_PATH = join(__dirname, 'fixtures', 'petstore-swagger2.yaml');
+
+  it('reviews Swagger 2.0 specs and points findings into them', async () => {
+    const { stdout } = await runCLI([SWAGGER2_PATH, '--format', 'json']);
+    const result = JSON.parse(stdout);
+
+    assert.equal(result.metadata.convertedFrom, 'swagger-2.0');
+    const maxPageSize = result.findings.find(
+      (/** @type {any} */ f) => f.ruleId === 'aip158/max-page-size'
+    );
+    assert.deepEqual(maxPageSize.fix.specChanges, [
+      {
+        operation: 'set',
+        path: "$.paths['/pet'].get.parameters[0].maximum",
+        value: 100,
+      },
+    ]);
+    assert.equal(maxPageSize.location.line, 15);
+  });
+
+  it('writes fixes into the Swagger 2.0 spec', async () => {
+    const dir = createTempDir('baume-swagger2-');
+    const output = join(dir, 'fixed.yaml');
+
+    const { exitCode } = await runCLI(
+      [SWAGGER2_PATH, '--fix', '--output', output, '--no-color'],
+      { cwd: dir }
+    );
+    assert.equal(exitCode, 0);
+
+    const fixed = readFileSync(output, 'utf-8');
+    assert.match(fixed, /^swagger: '2\.0'$/m);
+    assert.match(fixed, /type: integer\n\s+maximum: 100/);
+    assert.match(fixed, /\$ref: "?#\/definitions\/Error"?/);
+
+    const review = JSON.parse(
+      (await runCLI([output, '--format', 'json'])).stdout
+    );
+    assert.deepEqual(review.findings, []);
+  });
+});
+
+describe('CLI Overlays', () => {
+  const SWAGGER2_PATH = join(__dirname, 'fixtures', 'petstore-swagger2.yaml');
+
+  it('writes fixes as an overlay that the review applies', async () => {
+    const dir = createTempDir('baume-overlay-');
+    const overlayPath = join(dir, 'fixes', 'petstore.overlay.yaml');
+
+    const written = await runCLI([
+      SWAGGER2_PATH,
+      '--write-overlay',
+      overlayPath,
+      '--no-color',
+    ]);
+    assert.equal(written.exitCode, 0);
+    assert.match(written.stdout, /Overlay with \d+ action\(s\) written/);
+
+    const overlay = readFileSync(overlayPath, 'utf-8');
+    assert.match(overlay, /^overlay: 1\.0\.0$/m);
+    assert.match(overlay, /^extends: \.\.\/.*petstore-swagger2\.yaml$/m);
+    assert.match(
+      overlay,
+      /target: \$\['paths'\]\['\/pet'\]\['get'\]\['parameters'\]\[0\]/
+    );
+    assert.match(overlay, /x-baume-rule: aip158\/max-page-size/);
+
+    const overlaid = await runCLI([
+      SWAGGER2_PATH,
+      '--overlay',
+      overlayPath,
+      '--format',
+      'json',
+    ]);
+    const result = JSON.parse(overlaid.stdout);
+    assert.equal(overlaid.exitCode, 0);
+    assert.deepEqual(result.findings, []);
+    assert.equal(result.metadata.overlayPath, overlayPath);
+  });
+
+  it('skips fixes it cannot express and fails', async () => {
+    const dir = createTempDir('baume-overlay-');
+    const overlayPath = join(dir, 'acme.overlay.json');
+
+    const { stdout, exitCode } = await runCLI([
+      FIXTURE_PATH,
+      '--write-overlay',
+      overlayPath,
+      '--no-color',
+    ]);
+    assert.equal(exitCode, 1);
+    assert.match(stdout, /✗ aip122\/no-verbs \/getOrder\/{id}/);
+
+    const overlay = JSON.parse(readFileSync(overlayPath, 'utf-8'));
+    assert.ok(overlay.actions.length > 0);
+  });
+
+  it('rejects invalid overlays and several specs', async () => {
+    const dir = createTempDir('baume-overlay-');
+    const overlayPath = join(dir, 'invalid.yaml');
+    writeFileSync(overlayPath, 'overlay: 1.0.0\nactions:\n  - update: {}\n');
+
+    const invalid = await runCLI([FIXTURE_PATH, '--overlay', overlayPath]);
+    assert.equal(invalid.exitCode, 2);
+    assert.match(invalid.stderr, /Invalid overlay/);
+
+    const multi = await runCLI([
+      FIXTURE_PATH,
+      SWAGGER2_PATH,
+      '--overlay',
+      overlayPath,
+    ]);
+    assert.equal(multi.exitCode, 2);
+    assert.match(multi.stderr, /--overlay/);
+  });
+});
+
+describe('CLI JSON Patch', () => {
+  const SWAGGER2_PATH = join(__dirname, 'fixtures', 'petstore-swagger2.yaml');
+
+  it('writes fixes as a JSON Patch that the review applies', async () => {
+    const dir = createTempDir('baume-patch-');
+    const patchPath = join(dir, 'petstore.patch.json');
+
+    const written = await runCLI([
+      SWAGGER2_PATH,
+      '--write-patch',
+      patchPath,
+      '--no-color',
+    ]);
+    assert.equal(written.exitCode, 0);
+    assert.match(written.stdout, /JSON Patch with \d+ operation\(s\) written/);
+
+    const patch = JSON.parse(readFileSync(patchPath, 'utf-8'));
+    assert.ok(
+      patch.some(
+        (/** @type {any} */ operation) =>
+          operation.op === 'add' &&
+          operation.path === '/paths/~1pet/get/parameters/0/maximum'
+      )
+    );
+
+    const patched = await runCLI([
+      SWAGGER2_PATH,
+      '--patch',
+      patchPath,
+      '--format',
+      'json',
+    ]);
+    const result = JSON.parse(patched.stdout);
+    assert.equal(patched.exitCode, 0);
+    assert.deepEqual(result.findings, []);
+    assert.equal(result.metadata.patchPath, patchPath);
+  });
+
+  it('fails on a patch whose tests no longer hold', async () => {
+    const dir = createTempDir('baume-patch-');
+    const patchPath = join(dir, 'stale.patch.json');
+    writeFileSync(
+      patchPath,
+      JSON.stringify([
+        { op: 'test', path: '/info/title', value: 'Another API' },
+        { op: 'replace', path: '/info/title', value: 'Pets' },
+      ])
+    );
+
+    const { stderr, exitCode } = await runCLI([
+      SWAGGER2_PATH,
+      '--patch',
+      patchPath,
+    ]);
+    assert.equal(exitCode, 2);
+    assert.match(
+      stderr,
+      /Error applying JSON Patch: Operation 0 \(test \/info\/title\): Test failed/
+    );
+
+    const combined = await runCLI([
+      SWAGGER2_PATH,
+      '--patch',
+      patchPath,
+      '--write-overlay',
+      join(dir, 'overlay.yaml'),
+    ]);
+    assert.equal(combined.exitCode, 2);
+    assert.match(combined.stderr, /cannot be combined/);
+  });
+});
+
+describe('CLI Diff', () => {
+  const V1_PATH = join(__dirname, 'fixtures', 'library-v1.yaml');
+  const V2_PATH = join(__dirname, 'fixtures', 'library-v2.yaml');
+
+  it('reports breaking changes and fails', async () => {
+    const { stdout, exitCode } = await runCLI([
+      'diff',
+      V1_PATH,
+      V2_PATH,
+      '--format',
+      'json',
+    ]);
+    const result = JSON.parse(stdout);
+
+    assert.equal(exitCode, 1);
+    assert.equal(result.metadata.comparedWith, V1_PATH);
+    assert.deepEqual(
+      result.findings
+        .filter((/** @type {any} */ f) => f.severity === 'error')
+        .map((/** @type {any} */ f) => [f.ruleId, f.location?.line]),
+      [
+        ['aip180/parameter-required', 10],
+        ['aip180/field-removed', 20],
+        ['aip180/operation-removed', 27],
+      ]
+    );
+  });
+
+  it('passes when nothing changed', async () => {
+    const { stdout, exitCode } = await runCLI([
+      'diff',
+      V1_PATH,
+      V1_PATH,
+      '--no-color',
+    ]);
+
+    assert.equal(exitCode, 0);
+    assert.ok(stdout.includes('No changes found!'));
+  });
+
+  it('fails on potentially breaking changes in strict mode', async () => {
+    const base = readFileSync(V1_PATH, 'utf-8');
+    const dir = createTempDir('baume-diff-');
+    const revision = join(dir, 'api.yaml');
+    writeFileSync(
+      revision,
+      base.replace('[draft, published]', '[draft, published, archived]')
+    );
+
+    assert.equal((await runCLI(['diff', V1_PATH, revision])).exitCode, 0);
+    assert.equal(
+      (await runCLI(['diff', V1_PATH, revision, '--strict'])).exitCode,
+      1
+    );
+  });
+
+  it('exits with code 2 without two specs', async () => {
+    const { exitCode } = await runCLI(['diff', V1_PATH]);
+    assert.equal(exitCode, 2);
+  });
+});
+
+describe('CLI Multiple Specs', () => {
+  const LIBRARY_GLOB = join(__dirname, 'fixtures', 'library-*.yaml');
+
+  it('reviews every spec and aggregates the results', async () => {
+    const { stdout, exitCode } = await runCLI([
+      FIXTURE_PATH,
+      LIBRARY_GLOB,
+      '--format',
+      'json',
+    ]);
+    const result = JSON.parse(stdout);
+
+    assert.equal(exitCode, 1);
+    assert.equal(result.summary.specs, 3);
+    assert.deepEqual(
+      result.reviews.map((/** @type {any} */ r) => r.specPath.split('/').pop()),
+      ['acme-commerce.yaml', 'library-v1.yaml', 'library-v2.yaml']
+    );
+    assert.equal(
+      result.summary.errors,
+      result.reviews.reduce(
+        (/** @type {number} */ sum, /** @type {any} */ r) =>
+          sum + r.summary.errors,
+        0
+      )
+    );
+    assert.equal(result.summary.score.operationCount, 32);
+  });
+
+  it('passes when no spec has errors', async () => {
+    const { stdout, exitCode } = await runCLI([
+      LIBRARY_GLOB,
+      '--format',
+      'markdown',
+    ]);
+
+    assert.equal(exitCode, 0);
+    assert.ok(stdout.startsWith('# API Review: 2 specs'));
+    assert.ok(stdout.includes('**Overall hygiene score:**'));
+  });
+
+  it('reviews the specs of a discovery result', async () => {
+    const dir = createTempDir('baume-multi-');
+    const discovery = join(dir, 'specs.json');
+    writeFileSync(
+      discovery,
+      JSON.stringify({
+        searchPath: join(__dirname, 'fixtures'),
+        specs: [
+          { absolutePath: join(__dirname, 'fixtures', 'library-v1.yaml') },
+        ],
+      })
+    );
+
+    const { stdout, exitCode } = await runCLI([discovery, '--format', 'json']);
+
+    assert.equal(exitCode, 0);
+    assert.equal(JSON.parse(stdout).reviews.length, 1);
+  });
+
+  it('exits with code 2 if a spec cannot be reviewed', async () => {
+    const { stdout, exitCode } = await runCLI([
+      LIBRARY_GLOB,
+      'nonexistent-file.yaml',
+      '--no-color',
+    ]);
+
+    assert.equal(exitCode, 2);
+    assert.ok(stdout.includes('✗ nonexistent-file.yaml'));
+  });
 });
 
 describe('CLI Error Handling', () => {